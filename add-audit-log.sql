@@ -0,0 +1,58 @@
+-- =============================================
+-- AUDIT LOG
+-- One row per state-changing action (strategy changes, listing settings,
+-- auto-reduction toggles, credential saves, listing ends): who did it, from
+-- where (ui / scheduler / api), the values before and after, and the request
+-- id so rows written by the same request can be grouped.
+-- Written by the functions through utils/audit-log.js; price changes keep
+-- their own history in price_reduction_log.
+-- =============================================
+
+CREATE TABLE IF NOT EXISTS audit_log (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    actor_id UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+    source TEXT NOT NULL CHECK (source IN ('ui', 'scheduler', 'api')),
+    action TEXT NOT NULL,
+    entity_type TEXT NOT NULL,
+    entity_id TEXT,
+    before_values JSONB,
+    after_values JSONB,
+    request_id TEXT,
+    metadata JSONB NOT NULL DEFAULT '{}'::jsonb,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_audit_log_user_created
+ON audit_log(user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_audit_log_user_action
+ON audit_log(user_id, action, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_audit_log_request
+ON audit_log(request_id);
+
+ALTER TABLE audit_log ENABLE ROW LEVEL SECURITY;
+
+-- Append-only: readable by the owner and their organization teammates
+-- (add-organizations.sql), written only by the service role
+DROP POLICY IF EXISTS "Organization members can view audit log" ON audit_log;
+CREATE POLICY "Organization members can view audit log"
+ON audit_log
+FOR SELECT
+TO authenticated
+USING (can_view_user_data(user_id));
+
+DROP POLICY IF EXISTS "Service role can insert audit log" ON audit_log;
+CREATE POLICY "Service role can insert audit log"
+ON audit_log
+FOR INSERT
+TO service_role
+WITH CHECK (true);
+
+COMMENT ON TABLE audit_log IS 'Append-only trail of state-changing actions';
+COMMENT ON COLUMN audit_log.user_id IS 'Owner of the changed data';
+COMMENT ON COLUMN audit_log.actor_id IS 'Signed-in user who made the change; NULL for the scheduler';
+COMMENT ON COLUMN audit_log.source IS 'ui: the app, scheduler: scheduled jobs, api: direct calls without a browser';
+COMMENT ON COLUMN audit_log.action IS 'e.g. listing.strategy_changed, listing.auto_reduction_toggled, listing.ended, settings.listing_settings_saved, credentials.saved';
+COMMENT ON COLUMN audit_log.before_values IS 'Changed fields before the action (secrets are never stored)';
+COMMENT ON COLUMN audit_log.after_values IS 'Changed fields after the action';
+COMMENT ON COLUMN audit_log.request_id IS 'Netlify request id (or x-request-id) of the request that made the change';
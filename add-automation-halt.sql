@@ -0,0 +1,73 @@
+-- =============================================
+-- EMERGENCY STOP AND VACATION MODE
+-- A global "halt all price writes" flag in system_state and the per-user
+-- vacation mode (users.vacation_mode). The scheduled reducer, the manual
+-- trigger and the sync writers (re-asserting prices edited on eBay) check
+-- both before calling eBay (utils/automation-guard.js). Every skipped run
+-- is written to automation_skips with its reason.
+-- =============================================
+
+-- Vacation mode was added to users by hand; make it part of the schema
+ALTER TABLE users
+ADD COLUMN IF NOT EXISTS vacation_mode BOOLEAN NOT NULL DEFAULT false;
+
+ALTER TABLE users
+ADD COLUMN IF NOT EXISTS vacation_mode_since TIMESTAMPTZ;
+
+-- Global flag (JSON: { "halted": bool, "reason": text, "updatedBy": uuid, "updatedAt": iso })
+INSERT INTO system_state (key, value, updated_at)
+VALUES ('price_writes_halted', '{"halted": false}', NOW())
+ON CONFLICT (key) DO NOTHING;
+
+CREATE TABLE IF NOT EXISTS automation_skips (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    job TEXT NOT NULL,
+    reason TEXT NOT NULL CHECK (reason IN ('global_halt', 'vacation_mode')),
+    details JSONB NOT NULL DEFAULT '{}'::jsonb,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_automation_skips_created
+ON automation_skips(created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_automation_skips_user_created
+ON automation_skips(user_id, created_at DESC);
+
+ALTER TABLE automation_skips ENABLE ROW LEVEL SECURITY;
+
+-- Sellers (and their teammates) see their own skips; global skips have no user
+DROP POLICY IF EXISTS "Organization members can view automation skips" ON automation_skips;
+CREATE POLICY "Organization members can view automation skips"
+ON automation_skips
+FOR SELECT
+TO authenticated
+USING (user_id IS NOT NULL AND can_view_user_data(user_id));
+
+DROP POLICY IF EXISTS "Service role can manage automation skips" ON automation_skips;
+CREATE POLICY "Service role can manage automation skips"
+ON automation_skips
+FOR ALL
+TO service_role
+USING (true)
+WITH CHECK (true);
+
+COMMENT ON COLUMN users.vacation_mode IS 'Pauses automated price writes for this seller (reductions, recovery, end-of-life, sync re-asserts); manual changes still work';
+COMMENT ON COLUMN users.vacation_mode_since IS 'When vacation mode was switched on';
+COMMENT ON TABLE automation_skips IS 'Runs or price writes skipped by the emergency stop or vacation mode. Cleaned up after 90 days.';
+COMMENT ON COLUMN automation_skips.user_id IS 'Seller whose writes were skipped; NULL when a whole run stopped on the global halt';
+COMMENT ON COLUMN automation_skips.job IS 'scheduled-price-reduction, trigger-price-reduction, process-price-reductions, sync, refresh, notification';
+
+CREATE OR REPLACE FUNCTION cleanup_old_automation_skips()
+RETURNS INTEGER AS $$
+DECLARE
+    deleted_count INTEGER;
+BEGIN
+    DELETE FROM automation_skips
+    WHERE created_at < NOW() - INTERVAL '90 days';
+
+    GET DIAGNOSTICS deleted_count = ROW_COUNT;
+    RETURN deleted_count;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+GRANT EXECUTE ON FUNCTION cleanup_old_automation_skips() TO service_role;
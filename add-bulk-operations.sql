@@ -0,0 +1,99 @@
+-- =============================================
+-- BULK OPERATIONS
+-- One change applied to many listings: set strategy, set min price as a % of
+-- the current price, toggle auto-reduction, end, hide, or an immediate X% cut.
+-- bulk-operations.js creates the operation with one item row per target
+-- listing and works through the items in chunks (utils/bulk-operations.js);
+-- scheduled-bulk-operations.js finishes any the browser stopped driving.
+-- A lease (locked_by / locked_until) keeps two runners off the same operation.
+-- =============================================
+
+CREATE TABLE IF NOT EXISTS bulk_operations (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    operation TEXT NOT NULL CHECK (operation IN (
+        'set_strategy', 'set_min_price_percent', 'toggle_reduction', 'end', 'hide', 'reduce_percent'
+    )),
+    params JSONB NOT NULL DEFAULT '{}'::jsonb,
+    selection JSONB NOT NULL DEFAULT '{}'::jsonb,
+    status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'running', 'completed', 'cancelled')),
+    total INTEGER NOT NULL DEFAULT 0,
+    processed INTEGER NOT NULL DEFAULT 0,
+    succeeded INTEGER NOT NULL DEFAULT 0,
+    failed INTEGER NOT NULL DEFAULT 0,
+    skipped INTEGER NOT NULL DEFAULT 0,
+    source TEXT NOT NULL DEFAULT 'ui',
+    request_id TEXT,
+    locked_by TEXT,
+    locked_until TIMESTAMPTZ,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    started_at TIMESTAMPTZ,
+    completed_at TIMESTAMPTZ,
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS bulk_operation_items (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    operation_id UUID NOT NULL REFERENCES bulk_operations(id) ON DELETE CASCADE,
+    listing_id UUID NOT NULL REFERENCES listings(id) ON DELETE CASCADE,
+    position INTEGER NOT NULL,
+    status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'succeeded', 'failed', 'skipped')),
+    message TEXT,
+    result JSONB,
+    processed_at TIMESTAMPTZ,
+    UNIQUE (operation_id, listing_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_bulk_operations_user_created
+ON bulk_operations(user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_bulk_operations_open
+ON bulk_operations(created_at)
+WHERE status IN ('pending', 'running');
+CREATE INDEX IF NOT EXISTS idx_bulk_operation_items_pending
+ON bulk_operation_items(operation_id, position)
+WHERE status = 'pending';
+
+ALTER TABLE bulk_operations ENABLE ROW LEVEL SECURITY;
+ALTER TABLE bulk_operation_items ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users can view own bulk operations" ON bulk_operations;
+CREATE POLICY "Users can view own bulk operations"
+ON bulk_operations
+FOR SELECT
+TO authenticated
+USING (auth.uid() = user_id);
+
+DROP POLICY IF EXISTS "Service role can manage bulk operations" ON bulk_operations;
+CREATE POLICY "Service role can manage bulk operations"
+ON bulk_operations
+FOR ALL
+TO service_role
+USING (true)
+WITH CHECK (true);
+
+DROP POLICY IF EXISTS "Users can view own bulk operation items" ON bulk_operation_items;
+CREATE POLICY "Users can view own bulk operation items"
+ON bulk_operation_items
+FOR SELECT
+TO authenticated
+USING (EXISTS (
+    SELECT 1 FROM bulk_operations o
+    WHERE o.id = bulk_operation_items.operation_id
+      AND o.user_id = auth.uid()
+));
+
+DROP POLICY IF EXISTS "Service role can manage bulk operation items" ON bulk_operation_items;
+CREATE POLICY "Service role can manage bulk operation items"
+ON bulk_operation_items
+FOR ALL
+TO service_role
+USING (true)
+WITH CHECK (true);
+
+COMMENT ON TABLE bulk_operations IS 'A change applied to many listings, processed in chunks with progress counters';
+COMMENT ON COLUMN bulk_operations.user_id IS 'Who started it; target listings may belong to organization teammates';
+COMMENT ON COLUMN bulk_operations.params IS 'Operation parameters, e.g. { "strategyId": ... }, { "percent": 10 }, { "enabled": true }';
+COMMENT ON COLUMN bulk_operations.selection IS 'What was targeted: { "listingIds": [...] } or { "filter": {...} }';
+COMMENT ON COLUMN bulk_operations.locked_until IS 'Lease held by the runner processing the next chunk';
+COMMENT ON TABLE bulk_operation_items IS 'Per-listing result of a bulk operation';
+COMMENT ON COLUMN bulk_operation_items.result IS 'Before/after values for the item, e.g. { "oldPrice": 20, "newPrice": 18 }';
@@ -0,0 +1,28 @@
+-- Allow the competitor_anchored strategy type
+-- Parameters (strategies.parameters):
+--   { "anchor": "lowest", "undercut_cents": 1, "allow_title_only": false, "max_analysis_age_hours": 24 }
+--   { "anchor": "average", "below_average_percentage": 5, "allow_title_only": false }
+-- Competitor prices come from the listings.market_* columns written by
+-- CompetitivePricingService (refreshed by the reducer when older than max_analysis_age_hours).
+
+ALTER TABLE strategies DROP CONSTRAINT IF EXISTS strategies_reduction_type_check;
+ALTER TABLE strategies DROP CONSTRAINT IF EXISTS strategies_strategy_type_check;
+
+DO $$
+BEGIN
+  IF EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'strategies' AND column_name = 'reduction_type'
+  ) THEN
+    ALTER TABLE strategies ADD CONSTRAINT strategies_reduction_type_check
+      CHECK (reduction_type IN ('percentage', 'dollar', 'stepped', 'exponential_decay', 'target_date', 'competitor_anchored'));
+  END IF;
+
+  IF EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'strategies' AND column_name = 'strategy_type' AND data_type = 'text'
+  ) THEN
+    ALTER TABLE strategies ADD CONSTRAINT strategies_strategy_type_check
+      CHECK (strategy_type IN ('percentage', 'dollar', 'stepped', 'exponential_decay', 'target_date', 'competitor_anchored'));
+  END IF;
+END $$;
@@ -0,0 +1,206 @@
+-- =============================================
+-- COST BASIS AND PROFIT FLOOR
+-- Derives a listing's price floor from what the item cost instead of a
+-- hand-entered minimum_price:
+--
+--   profit_floor_price = (item_cost + inbound_shipping_cost + per_order_fee)
+--                        / (1 - (final_value_fee_percentage + desired_margin_percentage) / 100)
+--
+-- break_even_price is the same with a 0% margin. Fee rates come from the
+-- user's category_fee_rates row for the listing's category, falling back to
+-- users.profit_floor_settings, then to eBay's standard 13.25% + $0.30.
+-- Both columns are maintained by triggers; the reducers read them through
+-- getEffectiveMinimumPrice in netlify/functions/utils/pricing-core.js, which
+-- uses the higher of minimum_price and profit_floor_price.
+-- =============================================
+
+-- Per-listing cost basis
+ALTER TABLE listings
+ADD COLUMN IF NOT EXISTS item_cost DECIMAL(10, 2) CHECK (item_cost IS NULL OR item_cost >= 0),
+ADD COLUMN IF NOT EXISTS inbound_shipping_cost DECIMAL(10, 2) NOT NULL DEFAULT 0 CHECK (inbound_shipping_cost >= 0),
+ADD COLUMN IF NOT EXISTS desired_margin_percentage DECIMAL(5, 2) CHECK (desired_margin_percentage IS NULL OR (desired_margin_percentage >= 0 AND desired_margin_percentage <= 50)),
+ADD COLUMN IF NOT EXISTS break_even_price DECIMAL(10, 2),
+ADD COLUMN IF NOT EXISTS profit_floor_price DECIMAL(10, 2);
+
+-- Account defaults
+ALTER TABLE users
+ADD COLUMN IF NOT EXISTS profit_floor_settings JSONB NOT NULL DEFAULT '{}'::jsonb;
+
+-- Example structure:
+-- { "default_final_value_fee_percentage": 13.25, "default_per_order_fee": 0.30, "default_margin_percentage": 10 }
+
+-- Estimated eBay final value + payment fees per category
+CREATE TABLE IF NOT EXISTS category_fee_rates (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  category_id TEXT NOT NULL,
+  category_name TEXT,
+  final_value_fee_percentage DECIMAL(5, 2) NOT NULL CHECK (final_value_fee_percentage >= 0 AND final_value_fee_percentage <= 30),
+  per_order_fee DECIMAL(6, 2) NOT NULL DEFAULT 0.30 CHECK (per_order_fee >= 0),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+
+  CONSTRAINT unique_user_category_fee_rate UNIQUE (user_id, category_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_category_fee_rates_user_id ON category_fee_rates(user_id);
+
+ALTER TABLE category_fee_rates ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users can view own category fee rates" ON category_fee_rates;
+CREATE POLICY "Users can view own category fee rates"
+  ON category_fee_rates
+  FOR SELECT
+  USING (auth.uid() = user_id);
+
+DROP POLICY IF EXISTS "Users can create own category fee rates" ON category_fee_rates;
+CREATE POLICY "Users can create own category fee rates"
+  ON category_fee_rates
+  FOR INSERT
+  WITH CHECK (auth.uid() = user_id);
+
+DROP POLICY IF EXISTS "Users can update own category fee rates" ON category_fee_rates;
+CREATE POLICY "Users can update own category fee rates"
+  ON category_fee_rates
+  FOR UPDATE
+  USING (auth.uid() = user_id)
+  WITH CHECK (auth.uid() = user_id);
+
+DROP POLICY IF EXISTS "Users can delete own category fee rates" ON category_fee_rates;
+CREATE POLICY "Users can delete own category fee rates"
+  ON category_fee_rates
+  FOR DELETE
+  USING (auth.uid() = user_id);
+
+CREATE OR REPLACE FUNCTION update_category_fee_rates_updated_at()
+RETURNS TRIGGER AS $$
+BEGIN
+  NEW.updated_at = NOW();
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trigger_update_category_fee_rates_timestamp ON category_fee_rates;
+CREATE TRIGGER trigger_update_category_fee_rates_timestamp
+  BEFORE UPDATE ON category_fee_rates
+  FOR EACH ROW
+  EXECUTE FUNCTION update_category_fee_rates_updated_at();
+
+-- =============================================
+-- FLOOR CALCULATION
+-- =============================================
+
+CREATE OR REPLACE FUNCTION calculate_profit_floor(
+  p_user_id UUID,
+  p_category_id TEXT,
+  p_item_cost DECIMAL,
+  p_inbound_shipping_cost DECIMAL,
+  p_margin_percentage DECIMAL,
+  OUT break_even_price DECIMAL,
+  OUT profit_floor_price DECIMAL
+) AS $$
+DECLARE
+  v_settings JSONB;
+  v_fee_percentage DECIMAL;
+  v_per_order_fee DECIMAL;
+  v_margin DECIMAL;
+  v_costs DECIMAL;
+BEGIN
+  IF p_item_cost IS NULL THEN
+    RETURN;
+  END IF;
+
+  SELECT COALESCE(profit_floor_settings, '{}'::jsonb) INTO v_settings FROM users WHERE id = p_user_id;
+  v_settings := COALESCE(v_settings, '{}'::jsonb);
+
+  SELECT final_value_fee_percentage, per_order_fee
+    INTO v_fee_percentage, v_per_order_fee
+    FROM category_fee_rates
+   WHERE user_id = p_user_id AND category_id = p_category_id;
+
+  v_fee_percentage := COALESCE(v_fee_percentage, (v_settings->>'default_final_value_fee_percentage')::DECIMAL, 13.25);
+  v_per_order_fee := COALESCE(v_per_order_fee, (v_settings->>'default_per_order_fee')::DECIMAL, 0.30);
+  v_margin := COALESCE(p_margin_percentage, (v_settings->>'default_margin_percentage')::DECIMAL, 0);
+  v_costs := p_item_cost + COALESCE(p_inbound_shipping_cost, 0) + v_per_order_fee;
+
+  IF v_fee_percentage >= 100 OR v_fee_percentage + v_margin >= 100 THEN
+    RETURN;
+  END IF;
+
+  -- Round up so the floor never lands a cent below break-even
+  break_even_price := CEIL(v_costs / (1 - v_fee_percentage / 100) * 100) / 100;
+  profit_floor_price := CEIL(v_costs / (1 - (v_fee_percentage + v_margin) / 100) * 100) / 100;
+END;
+$$ LANGUAGE plpgsql STABLE;
+
+-- Recompute on the listing itself when its cost inputs change
+CREATE OR REPLACE FUNCTION set_listing_profit_floor()
+RETURNS TRIGGER AS $$
+DECLARE
+  v_floor RECORD;
+BEGIN
+  v_floor := calculate_profit_floor(NEW.user_id, NEW.category_id, NEW.item_cost, NEW.inbound_shipping_cost, NEW.desired_margin_percentage);
+  NEW.break_even_price := v_floor.break_even_price;
+  NEW.profit_floor_price := v_floor.profit_floor_price;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trigger_set_listing_profit_floor ON listings;
+CREATE TRIGGER trigger_set_listing_profit_floor
+  BEFORE INSERT OR UPDATE OF item_cost, inbound_shipping_cost, desired_margin_percentage, category_id ON listings
+  FOR EACH ROW
+  EXECUTE FUNCTION set_listing_profit_floor();
+
+-- Recompute a user's listings when their fee rates or defaults change
+CREATE OR REPLACE FUNCTION refresh_user_profit_floors(p_user_id UUID)
+RETURNS VOID AS $$
+BEGIN
+  UPDATE listings l
+     SET (break_even_price, profit_floor_price) = (
+       SELECT f.break_even_price, f.profit_floor_price
+         FROM calculate_profit_floor(l.user_id, l.category_id, l.item_cost, l.inbound_shipping_cost, l.desired_margin_percentage) f
+     )
+   WHERE l.user_id = p_user_id
+     AND l.item_cost IS NOT NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE OR REPLACE FUNCTION refresh_profit_floors_on_fee_change()
+RETURNS TRIGGER AS $$
+BEGIN
+  PERFORM refresh_user_profit_floors(COALESCE(NEW.user_id, OLD.user_id));
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trigger_refresh_profit_floors_category_fees ON category_fee_rates;
+CREATE TRIGGER trigger_refresh_profit_floors_category_fees
+  AFTER INSERT OR UPDATE OR DELETE ON category_fee_rates
+  FOR EACH ROW
+  EXECUTE FUNCTION refresh_profit_floors_on_fee_change();
+
+CREATE OR REPLACE FUNCTION refresh_profit_floors_on_settings_change()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF NEW.profit_floor_settings IS DISTINCT FROM OLD.profit_floor_settings THEN
+    PERFORM refresh_user_profit_floors(NEW.id);
+  END IF;
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trigger_refresh_profit_floors_settings ON users;
+CREATE TRIGGER trigger_refresh_profit_floors_settings
+  AFTER UPDATE OF profit_floor_settings ON users
+  FOR EACH ROW
+  EXECUTE FUNCTION refresh_profit_floors_on_settings_change();
+
+-- Add comments for documentation
+COMMENT ON COLUMN listings.item_cost IS 'What the seller paid for the item; NULL = no cost basis, minimum_price only';
+COMMENT ON COLUMN listings.inbound_shipping_cost IS 'Shipping paid to get the item in stock';
+COMMENT ON COLUMN listings.desired_margin_percentage IS 'Profit margin (% of sale price) to keep above break-even; NULL = account default';
+COMMENT ON COLUMN listings.break_even_price IS 'Derived: lowest price that covers cost, inbound shipping and estimated eBay fees';
+COMMENT ON COLUMN listings.profit_floor_price IS 'Derived: break-even plus desired margin; reducers never go below it';
+COMMENT ON COLUMN users.profit_floor_settings IS 'Profit floor defaults: { default_final_value_fee_percentage, default_per_order_fee, default_margin_percentage }';
+COMMENT ON TABLE category_fee_rates IS 'Estimated eBay final value + payment fees per category, used to derive profit floors';
@@ -0,0 +1,98 @@
+-- =============================================
+-- LINKED EBAY ACCOUNTS
+-- One app user can connect several eBay seller accounts (stores). Each
+-- account has its own refresh token, business policies, SKU prefix and
+-- listings. The eBay App ID / Cert ID stay on users (one developer app).
+-- Token lookup: netlify/functions/utils/ebay-accounts.js.
+-- =============================================
+
+CREATE TABLE IF NOT EXISTS ebay_accounts (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  ebay_user_id TEXT,
+  label TEXT,
+  refresh_token TEXT,
+  refresh_token_expires_at TIMESTAMPTZ,
+  access_token TEXT,
+  token_expires_at TIMESTAMPTZ,
+  connection_status TEXT NOT NULL DEFAULT 'connected'
+    CHECK (connection_status IN ('connected', 'disconnected', 'expired')),
+  connected_at TIMESTAMPTZ,
+  fulfillment_policy_id TEXT,
+  payment_policy_id TEXT,
+  return_policy_id TEXT,
+  sku_prefix TEXT,
+  is_default BOOLEAN NOT NULL DEFAULT false,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (user_id, ebay_user_id)
+);
+
+-- At most one default account per user
+CREATE UNIQUE INDEX IF NOT EXISTS idx_ebay_accounts_one_default
+  ON ebay_accounts(user_id) WHERE is_default;
+
+CREATE INDEX IF NOT EXISTS idx_ebay_accounts_user ON ebay_accounts(user_id);
+
+ALTER TABLE ebay_accounts ENABLE ROW LEVEL SECURITY;
+
+-- No browser policies: rows hold tokens, so the browser goes through the
+-- ebay-accounts function (service role), which never returns them
+
+CREATE OR REPLACE FUNCTION update_ebay_accounts_updated_at()
+RETURNS TRIGGER AS $$
+BEGIN
+  NEW.updated_at = NOW();
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS ebay_accounts_updated_at ON ebay_accounts;
+CREATE TRIGGER ebay_accounts_updated_at
+  BEFORE UPDATE ON ebay_accounts
+  FOR EACH ROW
+  EXECUTE FUNCTION update_ebay_accounts_updated_at();
+
+-- Backfill: the account each user already connected becomes their default,
+-- with the policies and SKU prefix from listing_settings
+INSERT INTO ebay_accounts (
+  user_id, ebay_user_id, label, refresh_token, refresh_token_expires_at,
+  access_token, token_expires_at, connection_status, connected_at,
+  fulfillment_policy_id, payment_policy_id, return_policy_id, sku_prefix, is_default
+)
+SELECT
+  u.id,
+  u.ebay_user_id,
+  u.ebay_user_id,
+  u.ebay_refresh_token,
+  u.ebay_refresh_token_expires_at,
+  u.ebay_access_token,
+  u.ebay_token_expires_at,
+  'connected',
+  u.ebay_connected_at,
+  u.listing_settings->>'defaultFulfillmentPolicyId',
+  u.listing_settings->>'defaultPaymentPolicyId',
+  u.listing_settings->>'defaultReturnPolicyId',
+  u.listing_settings->>'skuPrefix',
+  true
+FROM users u
+WHERE u.ebay_refresh_token IS NOT NULL
+  AND NOT EXISTS (SELECT 1 FROM ebay_accounts a WHERE a.user_id = u.id);
+
+-- Listings belong to the account they were synced from or created on
+ALTER TABLE listings
+ADD COLUMN IF NOT EXISTS ebay_account_id UUID REFERENCES ebay_accounts(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_listings_ebay_account ON listings(ebay_account_id);
+
+UPDATE listings l
+SET ebay_account_id = a.id
+FROM ebay_accounts a
+WHERE a.user_id = l.user_id
+  AND a.is_default
+  AND l.ebay_account_id IS NULL;
+
+COMMENT ON TABLE ebay_accounts IS 'eBay seller accounts linked to an app user; tokens are encrypted and service-role only';
+COMMENT ON COLUMN ebay_accounts.is_default IS 'Used when no account is given; mirrored to the legacy users.ebay_* token columns';
+COMMENT ON COLUMN ebay_accounts.sku_prefix IS 'Prefix for SKUs generated by create-ebay-listing for this account';
+COMMENT ON COLUMN listings.ebay_account_id IS 'eBay account the listing lives on (NULL: created before accounts, treated as the default)';
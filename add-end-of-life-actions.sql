@@ -0,0 +1,43 @@
+-- =============================================
+-- END-OF-LIFE ACTIONS
+-- What happens to a listing that has sat at its price floor: notify the
+-- seller, flag it for attention, end it on eBay, or end and relist it at
+-- original_price. Configured per strategy, evaluated by
+-- process-price-reductions via utils/end-of-life.js.
+-- =============================================
+
+-- End-of-life settings live on the strategy (nothing happens unless set)
+ALTER TABLE strategies
+ADD COLUMN IF NOT EXISTS end_of_life_settings JSONB NOT NULL DEFAULT '{}'::jsonb;
+
+-- Example structure:
+-- { "action": "relist", "wait_days": 14, "notify": true, "max_relists": 1 }
+
+ALTER TABLE listings
+ADD COLUMN IF NOT EXISTS floor_reached_at TIMESTAMPTZ,
+ADD COLUMN IF NOT EXISTS end_of_life_action TEXT CHECK (end_of_life_action IS NULL OR end_of_life_action IN ('notify', 'needs_attention', 'end', 'relist')),
+ADD COLUMN IF NOT EXISTS end_of_life_at TIMESTAMPTZ,
+ADD COLUMN IF NOT EXISTS needs_attention BOOLEAN NOT NULL DEFAULT false,
+ADD COLUMN IF NOT EXISTS needs_attention_reason TEXT,
+ADD COLUMN IF NOT EXISTS total_relists INTEGER NOT NULL DEFAULT 0;
+
+CREATE INDEX IF NOT EXISTS idx_listings_needs_attention ON listings(user_id) WHERE needs_attention;
+
+-- End-of-life actions are logged alongside reductions with their own type
+ALTER TABLE price_reduction_log
+ADD COLUMN IF NOT EXISTS notes TEXT;
+
+ALTER TABLE price_reduction_log DROP CONSTRAINT IF EXISTS price_reduction_log_reduction_type_check;
+ALTER TABLE price_reduction_log ADD CONSTRAINT price_reduction_log_reduction_type_check
+  CHECK (reduction_type IN ('manual', 'scheduled', 'automated', 'recovery', 'end_of_life'));
+
+-- Add comments for documentation
+COMMENT ON COLUMN strategies.end_of_life_settings IS 'End-of-life rules: { action: none|notify|needs_attention|end|relist, wait_days, notify, max_relists }';
+COMMENT ON COLUMN listings.floor_reached_at IS 'When the listing was first seen at its price floor; cleared when the price moves back above it';
+COMMENT ON COLUMN listings.end_of_life_action IS 'Last end-of-life action taken';
+COMMENT ON COLUMN listings.end_of_life_at IS 'When the end-of-life action ran for the current visit to the floor';
+COMMENT ON COLUMN listings.needs_attention IS 'In the Listings "Needs attention" queue until the seller dismisses it';
+COMMENT ON COLUMN listings.total_relists IS 'Times the listing was ended and relisted by an end-of-life action';
+COMMENT ON COLUMN price_reduction_log.reduction_type IS 'Type: manual (user clicked button), scheduled (daily 1:10 AM), automated (other triggers), recovery (price raised by a recovery rule; amounts are negative), end_of_life (action at the price floor)';
+COMMENT ON COLUMN price_reduction_log.reduction_method IS 'Strategy type for reductions (percentage/dollar/stepped/...), trigger for recoveries (sales_velocity/competitor_rise), action for end_of_life (notify/needs_attention/end/relist)';
+COMMENT ON COLUMN price_reduction_log.notes IS 'Why an end-of-life action ran';
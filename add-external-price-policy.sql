@@ -0,0 +1,67 @@
+-- =============================================
+-- EXTERNAL PRICE EDITS
+-- Sync (sync-ebay-listings, sync-service refreshes, ItemRevised notifications)
+-- detects prices changed directly on eBay for auto-reduced listings, logs them
+-- in price_history as 'external' and applies the seller's policy
+-- (netlify/functions/utils/external-price.js).
+-- =============================================
+
+ALTER TABLE users
+ADD COLUMN IF NOT EXISTS external_price_policy TEXT NOT NULL DEFAULT 'pause'
+  CHECK (external_price_policy IN ('pause', 'adopt', 'reassert'));
+
+-- Last price sent to eBay, written before the request: an incoming price
+-- that matches it is our own push echoing back, not a seller edit
+ALTER TABLE listings
+ADD COLUMN IF NOT EXISTS last_pushed_price DECIMAL(10,2),
+ADD COLUMN IF NOT EXISTS last_pushed_at TIMESTAMPTZ;
+
+-- price_history was dropped in some environments; bring it back in the
+-- NEW-DATABASE-SCHEMA.sql shape
+CREATE TABLE IF NOT EXISTS price_history (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    listing_id UUID REFERENCES listings(id) ON DELETE CASCADE,
+    price DECIMAL(10,2) NOT NULL,
+    previous_price DECIMAL(10,2),
+    change_type TEXT,
+    change_reason TEXT,
+    timestamp TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Older shape (supabase-schema.sql) had a required reason and created_at instead
+ALTER TABLE price_history
+ADD COLUMN IF NOT EXISTS previous_price DECIMAL(10,2),
+ADD COLUMN IF NOT EXISTS change_type TEXT,
+ADD COLUMN IF NOT EXISTS change_reason TEXT,
+ADD COLUMN IF NOT EXISTS timestamp TIMESTAMPTZ DEFAULT NOW();
+
+DO $$
+BEGIN
+    IF EXISTS (
+        SELECT 1 FROM information_schema.columns
+        WHERE table_name = 'price_history' AND column_name = 'reason'
+    ) THEN
+        ALTER TABLE price_history ALTER COLUMN reason DROP NOT NULL;
+    END IF;
+END $$;
+
+CREATE INDEX IF NOT EXISTS idx_price_history_listing_timestamp ON price_history(listing_id, timestamp DESC);
+
+ALTER TABLE price_history ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users can view own price history" ON price_history;
+CREATE POLICY "Users can view own price history" ON price_history
+    FOR SELECT USING (
+        EXISTS (
+            SELECT 1 FROM listings
+            WHERE listings.id = price_history.listing_id
+            AND listings.user_id = auth.uid()
+        )
+    );
+
+GRANT INSERT ON price_history TO service_role;
+
+COMMENT ON COLUMN users.external_price_policy IS 'When a price is changed directly on eBay: pause (turn off auto-reduction and flag), adopt (new baseline), reassert (push our price back)';
+COMMENT ON COLUMN listings.last_pushed_price IS 'Price most recently sent to eBay by this app (written before the eBay call)';
+COMMENT ON COLUMN listings.last_pushed_at IS 'When last_pushed_price was sent';
+COMMENT ON COLUMN price_history.change_type IS 'initial, scheduled_reduction, market_analysis, manual, sync, external (edited directly on eBay)';
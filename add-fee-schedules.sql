@@ -0,0 +1,113 @@
+-- =============================================
+-- EBAY FEE SCHEDULES
+-- Versioned copies of eBay's fee table, edited by administrators
+-- (ADMIN_EMAILS) in AdminSettings because eBay changes them. The version in
+-- effect is the latest one whose effective_from has passed; a version can
+-- be edited until it takes effect, after that a new version replaces it.
+--
+-- netlify/functions/utils/listing-fees.js estimates what a sale nets:
+--
+--   net proceeds = price - final value fee - per-order fee
+--                  - promoted listing ad fee - outbound shipping cost
+--
+-- The final value fee rate is the seller's own category_fee_rates row, then
+-- their profit_floor_settings default, then this table (category row, then
+-- the schedule default). The seller rates are the ones calculate_profit_floor
+-- uses (add-cost-basis-profit-floor.sql), so floors and net proceeds agree.
+-- =============================================
+
+CREATE TABLE IF NOT EXISTS fee_schedules (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    version INTEGER NOT NULL UNIQUE,
+    name TEXT NOT NULL,
+    marketplace_id TEXT NOT NULL DEFAULT 'EBAY_US',
+    effective_from TIMESTAMPTZ NOT NULL,
+    default_final_value_fee_percentage DECIMAL(5, 2) NOT NULL DEFAULT 13.25
+        CHECK (default_final_value_fee_percentage >= 0 AND default_final_value_fee_percentage <= 30),
+    -- eBay charges a lower rate on the part of a sale above a threshold
+    tier_threshold DECIMAL(10, 2) CHECK (tier_threshold IS NULL OR tier_threshold > 0),
+    above_threshold_fee_percentage DECIMAL(5, 2)
+        CHECK (above_threshold_fee_percentage IS NULL OR (above_threshold_fee_percentage >= 0 AND above_threshold_fee_percentage <= 30)),
+    per_order_fee DECIMAL(6, 2) NOT NULL DEFAULT 0.40 CHECK (per_order_fee >= 0),
+    small_order_per_order_fee DECIMAL(6, 2) NOT NULL DEFAULT 0.30 CHECK (small_order_per_order_fee >= 0),
+    small_order_threshold DECIMAL(10, 2) NOT NULL DEFAULT 10.00 CHECK (small_order_threshold >= 0),
+    notes TEXT,
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS fee_schedule_categories (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    schedule_id UUID NOT NULL REFERENCES fee_schedules(id) ON DELETE CASCADE,
+    category_id TEXT NOT NULL,
+    category_name TEXT,
+    final_value_fee_percentage DECIMAL(5, 2) NOT NULL
+        CHECK (final_value_fee_percentage >= 0 AND final_value_fee_percentage <= 30),
+    tier_threshold DECIMAL(10, 2) CHECK (tier_threshold IS NULL OR tier_threshold > 0),
+    above_threshold_fee_percentage DECIMAL(5, 2)
+        CHECK (above_threshold_fee_percentage IS NULL OR (above_threshold_fee_percentage >= 0 AND above_threshold_fee_percentage <= 30)),
+    UNIQUE (schedule_id, category_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_fee_schedules_effective
+ON fee_schedules(marketplace_id, effective_from DESC);
+
+-- Standard eBay US rates as the first version
+INSERT INTO fee_schedules (
+    version, name, effective_from, default_final_value_fee_percentage,
+    tier_threshold, above_threshold_fee_percentage,
+    per_order_fee, small_order_per_order_fee, small_order_threshold, notes
+)
+VALUES (
+    1, 'eBay US standard', '2020-01-01T00:00:00Z', 13.25,
+    7500.00, 2.35,
+    0.40, 0.30, 10.00, 'Most categories; add category rows for exceptions'
+)
+ON CONFLICT (version) DO NOTHING;
+
+-- Per-listing costs that come out of the sale
+ALTER TABLE listings
+ADD COLUMN IF NOT EXISTS shipping_cost DECIMAL(10, 2) CHECK (shipping_cost IS NULL OR shipping_cost >= 0),
+ADD COLUMN IF NOT EXISTS promoted_ad_rate DECIMAL(5, 2) CHECK (promoted_ad_rate IS NULL OR (promoted_ad_rate >= 0 AND promoted_ad_rate <= 100));
+
+ALTER TABLE fee_schedules ENABLE ROW LEVEL SECURITY;
+ALTER TABLE fee_schedule_categories ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Authenticated users can view fee schedules" ON fee_schedules;
+CREATE POLICY "Authenticated users can view fee schedules"
+ON fee_schedules
+FOR SELECT
+TO authenticated
+USING (true);
+
+DROP POLICY IF EXISTS "Service role can manage fee schedules" ON fee_schedules;
+CREATE POLICY "Service role can manage fee schedules"
+ON fee_schedules
+FOR ALL
+TO service_role
+USING (true)
+WITH CHECK (true);
+
+DROP POLICY IF EXISTS "Authenticated users can view fee schedule categories" ON fee_schedule_categories;
+CREATE POLICY "Authenticated users can view fee schedule categories"
+ON fee_schedule_categories
+FOR SELECT
+TO authenticated
+USING (true);
+
+DROP POLICY IF EXISTS "Service role can manage fee schedule categories" ON fee_schedule_categories;
+CREATE POLICY "Service role can manage fee schedule categories"
+ON fee_schedule_categories
+FOR ALL
+TO service_role
+USING (true)
+WITH CHECK (true);
+
+COMMENT ON TABLE fee_schedules IS 'Versioned eBay fee tables; the latest version whose effective_from has passed applies';
+COMMENT ON COLUMN fee_schedules.tier_threshold IS 'Sale amount above which above_threshold_fee_percentage applies instead; NULL = one rate';
+COMMENT ON COLUMN fee_schedules.per_order_fee IS 'Fixed fee per order; small_order_per_order_fee applies at or below small_order_threshold';
+COMMENT ON TABLE fee_schedule_categories IS 'Final value fee rates for categories that differ from the schedule default';
+COMMENT ON COLUMN listings.shipping_cost IS 'Outbound shipping the seller pays per sale; NULL = account default';
+COMMENT ON COLUMN listings.promoted_ad_rate IS 'Promoted listing ad rate (% of sale); NULL = account default';
+COMMENT ON COLUMN users.profit_floor_settings IS 'Profit floor and fee defaults: { default_final_value_fee_percentage, default_per_order_fee, default_margin_percentage, default_shipping_cost, default_promoted_ad_rate }';
@@ -0,0 +1,41 @@
+-- =============================================
+-- IMPORT MAPPING PROFILES
+-- Saved spreadsheet column mappings for Auto-List imports. A profile maps
+-- Auto-List's fields (asin, upc, sku, title, price, quantity, condition,
+-- cost, minPrice, brand, imageUrl) to the column headers of a seller's
+-- spreadsheet, so a file laid out the same way maps in one click.
+-- Managed by import-mappings.js.
+-- =============================================
+
+CREATE TABLE IF NOT EXISTS import_mapping_profiles (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    name TEXT NOT NULL,
+    mapping JSONB NOT NULL DEFAULT '{}'::jsonb,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    UNIQUE (user_id, name)
+);
+
+CREATE INDEX IF NOT EXISTS idx_import_mapping_profiles_user
+ON import_mapping_profiles(user_id, updated_at DESC);
+
+ALTER TABLE import_mapping_profiles ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users can view own import mapping profiles" ON import_mapping_profiles;
+CREATE POLICY "Users can view own import mapping profiles"
+ON import_mapping_profiles
+FOR SELECT
+TO authenticated
+USING (auth.uid() = user_id);
+
+DROP POLICY IF EXISTS "Service role can manage import mapping profiles" ON import_mapping_profiles;
+CREATE POLICY "Service role can manage import mapping profiles"
+ON import_mapping_profiles
+FOR ALL
+TO service_role
+USING (true)
+WITH CHECK (true);
+
+COMMENT ON TABLE import_mapping_profiles IS 'Saved spreadsheet column mappings for Auto-List imports';
+COMMENT ON COLUMN import_mapping_profiles.mapping IS 'Auto-List field → spreadsheet column header, e.g. { "asin": "ASIN", "price": "Your Price" }';
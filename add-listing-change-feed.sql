@@ -0,0 +1,62 @@
+-- =============================================
+-- LISTING CHANGE FEED
+-- sync-ebay-listings compares a checksum of the eBay-owned fields
+-- (utils/listing-changes.js) and only writes listings whose data changed.
+-- What changed (price, quantity, title, images, status) is kept per listing
+-- so ListingDetail can show "what changed since last sync".
+-- =============================================
+
+ALTER TABLE listings
+ADD COLUMN IF NOT EXISTS data_checksum VARCHAR(64);
+
+CREATE TABLE IF NOT EXISTS listing_changes (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    listing_id UUID NOT NULL REFERENCES listings(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    changed_fields TEXT[] NOT NULL,
+    changes JSONB NOT NULL DEFAULT '{}'::jsonb,
+    source TEXT NOT NULL DEFAULT 'sync' CHECK (source IN ('sync', 'refresh')),
+    detected_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_listing_changes_listing_detected
+ON listing_changes(listing_id, detected_at DESC);
+CREATE INDEX IF NOT EXISTS idx_listing_changes_detected_at
+ON listing_changes(detected_at);
+
+ALTER TABLE listing_changes ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users can view own listing changes" ON listing_changes;
+CREATE POLICY "Users can view own listing changes"
+ON listing_changes
+FOR SELECT
+TO authenticated
+USING (auth.uid() = user_id);
+
+DROP POLICY IF EXISTS "Service role can manage all listing changes" ON listing_changes;
+CREATE POLICY "Service role can manage all listing changes"
+ON listing_changes
+FOR ALL
+TO service_role
+USING (true)
+WITH CHECK (true);
+
+COMMENT ON COLUMN listings.data_checksum IS 'sha256 of the eBay-owned fields at the last sync; unchanged rows are not rewritten';
+COMMENT ON TABLE listing_changes IS 'Fields eBay changed per sync. Cleaned up after 90 days.';
+COMMENT ON COLUMN listing_changes.changed_fields IS 'Groups that changed: price, quantity, title, images, status';
+COMMENT ON COLUMN listing_changes.changes IS 'Column → { from, to } for each changed column';
+
+CREATE OR REPLACE FUNCTION cleanup_old_listing_changes()
+RETURNS INTEGER AS $$
+DECLARE
+    deleted_count INTEGER;
+BEGIN
+    DELETE FROM listing_changes
+    WHERE detected_at < NOW() - INTERVAL '90 days';
+
+    GET DIAGNOSTICS deleted_count = ROW_COUNT;
+    RETURN deleted_count;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+GRANT EXECUTE ON FUNCTION cleanup_old_listing_changes() TO service_role;
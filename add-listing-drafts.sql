@@ -0,0 +1,61 @@
+-- =============================================
+-- LISTING DRAFTS
+-- Listings being prepared for eBay. create-ebay-listing.js can validate a
+-- draft without touching eBay (resolved category, aspects, condition, fees)
+-- and publishes in steps: inventory item → offer → publish. Each step is
+-- recorded here, so an offer that was created but never published stays
+-- visible (status 'offer_created') and can be published again later
+-- instead of being left behind on eBay.
+-- =============================================
+
+CREATE TABLE IF NOT EXISTS listing_drafts (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    ebay_account_id UUID REFERENCES ebay_accounts(id) ON DELETE SET NULL,
+    status TEXT NOT NULL DEFAULT 'draft' CHECK (status IN (
+        'draft', 'validated', 'offer_created', 'published', 'failed'
+    )),
+    title TEXT,
+    payload JSONB NOT NULL DEFAULT '{}'::jsonb,
+    resolved JSONB,
+    sku TEXT,
+    offer_id TEXT,
+    ebay_item_id TEXT,
+    listing_id UUID REFERENCES listings(id) ON DELETE SET NULL,
+    last_step TEXT,
+    last_error TEXT,
+    validated_at TIMESTAMPTZ,
+    published_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_listing_drafts_user_updated
+ON listing_drafts(user_id, updated_at DESC);
+CREATE INDEX IF NOT EXISTS idx_listing_drafts_unpublished
+ON listing_drafts(user_id, status)
+WHERE status IN ('offer_created', 'failed');
+
+ALTER TABLE listing_drafts ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users can view own listing drafts" ON listing_drafts;
+CREATE POLICY "Users can view own listing drafts"
+ON listing_drafts
+FOR SELECT
+TO authenticated
+USING (auth.uid() = user_id);
+
+DROP POLICY IF EXISTS "Service role can manage listing drafts" ON listing_drafts;
+CREATE POLICY "Service role can manage listing drafts"
+ON listing_drafts
+FOR ALL
+TO service_role
+USING (true)
+WITH CHECK (true);
+
+COMMENT ON TABLE listing_drafts IS 'Listings being prepared for eBay, with the progress of each publish attempt';
+COMMENT ON COLUMN listing_drafts.status IS 'draft → validated → offer_created → published; failed when the inventory item or offer could not be created';
+COMMENT ON COLUMN listing_drafts.payload IS 'The create-ebay-listing request body (title, description, price, quantity, images, aspects, condition, ...)';
+COMMENT ON COLUMN listing_drafts.resolved IS 'Result of the last validation: category, aspects, condition, policies, SKU and fee estimate';
+COMMENT ON COLUMN listing_drafts.offer_id IS 'eBay offer created for the draft; set while the offer is unpublished so it can be resumed';
+COMMENT ON COLUMN listing_drafts.last_step IS 'Last publish step attempted: inventory_item, offer, publish or save';
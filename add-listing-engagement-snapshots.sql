@@ -0,0 +1,57 @@
+-- =============================================
+-- LISTING ENGAGEMENT SNAPSHOTS + VELOCITY-AWARE STRATEGIES
+-- Periodic view_count / watch_count snapshots written by the sync jobs,
+-- read by process-price-reductions to pause or accelerate reductions
+-- =============================================
+
+CREATE TABLE IF NOT EXISTS listing_engagement_snapshots (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    listing_id UUID NOT NULL REFERENCES listings(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    view_count INTEGER NOT NULL DEFAULT 0,
+    watch_count INTEGER NOT NULL DEFAULT 0,
+    captured_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_engagement_snapshots_listing_captured
+ON listing_engagement_snapshots(listing_id, captured_at DESC);
+CREATE INDEX IF NOT EXISTS idx_engagement_snapshots_captured_at
+ON listing_engagement_snapshots(captured_at);
+
+ALTER TABLE listing_engagement_snapshots ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view own engagement snapshots"
+ON listing_engagement_snapshots
+FOR SELECT
+TO authenticated
+USING (auth.uid() = user_id);
+
+CREATE POLICY "Service role can manage all engagement snapshots"
+ON listing_engagement_snapshots
+FOR ALL
+TO service_role
+USING (true)
+WITH CHECK (true);
+
+-- Velocity settings live on the strategy (off unless enabled)
+ALTER TABLE strategies
+ADD COLUMN IF NOT EXISTS velocity_settings JSONB NOT NULL DEFAULT '{}'::jsonb;
+
+COMMENT ON TABLE listing_engagement_snapshots IS 'View/watch counter history per listing. Cleaned up after 60 days.';
+COMMENT ON COLUMN strategies.velocity_settings IS 'Engagement velocity mode: { enabled, window_days, watcher_growth_threshold, flat_views_threshold, acceleration_factor }';
+
+-- Snapshots older than the longest allowed window (60 days) are no longer read
+CREATE OR REPLACE FUNCTION cleanup_old_engagement_snapshots()
+RETURNS INTEGER AS $$
+DECLARE
+    deleted_count INTEGER;
+BEGIN
+    DELETE FROM listing_engagement_snapshots
+    WHERE captured_at < NOW() - INTERVAL '60 days';
+
+    GET DIAGNOSTICS deleted_count = ROW_COUNT;
+    RETURN deleted_count;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+GRANT EXECUTE ON FUNCTION cleanup_old_engagement_snapshots() TO service_role;
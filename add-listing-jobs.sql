@@ -0,0 +1,103 @@
+-- =============================================
+-- LISTING JOBS
+-- Auto-List batches processed on the server. The page uploads the rows once
+-- (ASIN, price, quantity, condition, ...) and listing-jobs.js works through
+-- them a row at a time (utils/listing-jobs.js): fetch the product from Keepa
+-- when needed, then create the eBay listing. scheduled-listing-jobs.js
+-- finishes jobs nobody is watching. Rows are throttled and back off when
+-- Keepa or eBay rate-limits; failed rows can be retried on their own.
+-- A lease (locked_by / locked_until) keeps two runners off the same job.
+-- =============================================
+
+CREATE TABLE IF NOT EXISTS listing_jobs (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    ebay_account_id UUID REFERENCES ebay_accounts(id) ON DELETE SET NULL,
+    template_id UUID REFERENCES listing_templates(id) ON DELETE SET NULL,
+    source TEXT NOT NULL DEFAULT 'manual' CHECK (source IN ('manual', 'file', 'sheets')),
+    status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'running', 'completed', 'cancelled')),
+    total INTEGER NOT NULL DEFAULT 0,
+    processed INTEGER NOT NULL DEFAULT 0,
+    succeeded INTEGER NOT NULL DEFAULT 0,
+    failed INTEGER NOT NULL DEFAULT 0,
+    skipped INTEGER NOT NULL DEFAULT 0,
+    throttled_until TIMESTAMPTZ,
+    throttle_reason TEXT,
+    locked_by TEXT,
+    locked_until TIMESTAMPTZ,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    started_at TIMESTAMPTZ,
+    completed_at TIMESTAMPTZ,
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS listing_job_rows (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    job_id UUID NOT NULL REFERENCES listing_jobs(id) ON DELETE CASCADE,
+    position INTEGER NOT NULL,
+    input JSONB NOT NULL,
+    status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'succeeded', 'failed', 'skipped')),
+    attempts INTEGER NOT NULL DEFAULT 0,
+    product JSONB,
+    draft_id UUID REFERENCES listing_drafts(id) ON DELETE SET NULL,
+    result JSONB,
+    message TEXT,
+    processed_at TIMESTAMPTZ,
+    UNIQUE (job_id, position)
+);
+
+CREATE INDEX IF NOT EXISTS idx_listing_jobs_user_created
+ON listing_jobs(user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_listing_jobs_open
+ON listing_jobs(created_at)
+WHERE status IN ('pending', 'running');
+CREATE INDEX IF NOT EXISTS idx_listing_job_rows_pending
+ON listing_job_rows(job_id, position)
+WHERE status = 'pending';
+
+ALTER TABLE listing_jobs ENABLE ROW LEVEL SECURITY;
+ALTER TABLE listing_job_rows ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users can view own listing jobs" ON listing_jobs;
+CREATE POLICY "Users can view own listing jobs"
+ON listing_jobs
+FOR SELECT
+TO authenticated
+USING (auth.uid() = user_id);
+
+DROP POLICY IF EXISTS "Service role can manage listing jobs" ON listing_jobs;
+CREATE POLICY "Service role can manage listing jobs"
+ON listing_jobs
+FOR ALL
+TO service_role
+USING (true)
+WITH CHECK (true);
+
+DROP POLICY IF EXISTS "Users can view own listing job rows" ON listing_job_rows;
+CREATE POLICY "Users can view own listing job rows"
+ON listing_job_rows
+FOR SELECT
+TO authenticated
+USING (EXISTS (
+    SELECT 1 FROM listing_jobs j
+    WHERE j.id = listing_job_rows.job_id
+      AND j.user_id = auth.uid()
+));
+
+DROP POLICY IF EXISTS "Service role can manage listing job rows" ON listing_job_rows;
+CREATE POLICY "Service role can manage listing job rows"
+ON listing_job_rows
+FOR ALL
+TO service_role
+USING (true)
+WITH CHECK (true);
+
+COMMENT ON TABLE listing_jobs IS 'An Auto-List batch: rows turned into eBay listings by a server-side queue';
+COMMENT ON COLUMN listing_jobs.template_id IS 'Listing template applied to every row (add-listing-templates.sql)';
+COMMENT ON COLUMN listing_jobs.throttled_until IS 'No rows are processed before this, after Keepa or eBay rate-limited the job';
+COMMENT ON COLUMN listing_jobs.locked_until IS 'Lease held by the runner processing the next rows';
+COMMENT ON TABLE listing_job_rows IS 'One uploaded row of a listing job and its outcome';
+COMMENT ON COLUMN listing_job_rows.input IS 'The row as uploaded: { asin, upc, sku, title, price, quantity, condition, cost, minPrice, brand, imageUrl }';
+COMMENT ON COLUMN listing_job_rows.product IS 'Keepa product data fetched for the row, kept so a retry does not spend Keepa tokens again';
+COMMENT ON COLUMN listing_job_rows.draft_id IS 'Listing draft of the last publish attempt; a retry resumes it';
+COMMENT ON COLUMN listing_job_rows.result IS 'On success: { listingId, sku, viewUrl, title, price }';
@@ -0,0 +1,80 @@
+-- =============================================
+-- LISTING TEMPLATES
+-- Seller-defined title and description templates with placeholders
+-- ({{brand}}, {{model}}, {{condition}}, {{aspect:Color}}, ...), applied by
+-- create-ebay-listing.js when a listing names a template. A template can
+-- have a variant per eBay category; the variant's title or description
+-- replaces the template's own once the category is known. Rendered titles
+-- are trimmed to eBay's 80 characters and descriptions are sanitized
+-- (netlify/functions/utils/listing-templates.js).
+-- =============================================
+
+CREATE TABLE IF NOT EXISTS listing_templates (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    name TEXT NOT NULL,
+    title_template TEXT NOT NULL,
+    description_template TEXT NOT NULL,
+    is_default BOOLEAN NOT NULL DEFAULT false,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    UNIQUE (user_id, name)
+);
+
+CREATE TABLE IF NOT EXISTS listing_template_variants (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    template_id UUID NOT NULL REFERENCES listing_templates(id) ON DELETE CASCADE,
+    category_id TEXT NOT NULL,
+    category_name TEXT,
+    -- NULL = use the template's own
+    title_template TEXT,
+    description_template TEXT,
+    UNIQUE (template_id, category_id)
+);
+
+-- One default template per seller, preselected in the listing forms
+CREATE UNIQUE INDEX IF NOT EXISTS idx_listing_templates_default
+ON listing_templates(user_id)
+WHERE is_default;
+
+ALTER TABLE listing_templates ENABLE ROW LEVEL SECURITY;
+ALTER TABLE listing_template_variants ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users can view own listing templates" ON listing_templates;
+CREATE POLICY "Users can view own listing templates"
+ON listing_templates
+FOR SELECT
+TO authenticated
+USING (auth.uid() = user_id);
+
+DROP POLICY IF EXISTS "Service role can manage listing templates" ON listing_templates;
+CREATE POLICY "Service role can manage listing templates"
+ON listing_templates
+FOR ALL
+TO service_role
+USING (true)
+WITH CHECK (true);
+
+DROP POLICY IF EXISTS "Users can view own listing template variants" ON listing_template_variants;
+CREATE POLICY "Users can view own listing template variants"
+ON listing_template_variants
+FOR SELECT
+TO authenticated
+USING (EXISTS (
+    SELECT 1 FROM listing_templates t
+    WHERE t.id = listing_template_variants.template_id
+    AND t.user_id = auth.uid()
+));
+
+DROP POLICY IF EXISTS "Service role can manage listing template variants" ON listing_template_variants;
+CREATE POLICY "Service role can manage listing template variants"
+ON listing_template_variants
+FOR ALL
+TO service_role
+USING (true)
+WITH CHECK (true);
+
+COMMENT ON TABLE listing_templates IS 'Title and description templates with {{placeholders}}, picked when creating listings';
+COMMENT ON COLUMN listing_templates.title_template IS 'Rendered title is cleaned up and trimmed to 80 characters at a word boundary';
+COMMENT ON COLUMN listing_templates.description_template IS 'HTML; placeholder values are escaped and the result is sanitized (no scripts, frames, forms or event handlers)';
+COMMENT ON TABLE listing_template_variants IS 'Per-category replacements for a template''s title and/or description';
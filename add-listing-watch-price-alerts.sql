@@ -0,0 +1,81 @@
+-- =============================================
+-- LISTING WATCH + PRICE ALERTS + REALTIME
+-- Backs the watchListing / updatePriceAlert mutations in graphql-api.js and
+-- the listingUpdated / priceDropped pushes, which the browser receives over
+-- Supabase Realtime (frontend/src/lib/listingEvents.js).
+-- =============================================
+
+ALTER TABLE listings
+ADD COLUMN IF NOT EXISTS watched BOOLEAN NOT NULL DEFAULT false;
+
+CREATE TABLE IF NOT EXISTS price_alerts (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  listing_id UUID NOT NULL REFERENCES listings(id) ON DELETE CASCADE,
+  threshold DECIMAL(5,2) NOT NULL CHECK (threshold > 0 AND threshold <= 100),
+  enabled BOOLEAN NOT NULL DEFAULT true,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (user_id, listing_id)
+);
+
+ALTER TABLE price_alerts ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users can view own price alerts" ON price_alerts;
+CREATE POLICY "Users can view own price alerts"
+  ON price_alerts
+  FOR SELECT
+  USING (auth.uid() = user_id);
+
+DROP POLICY IF EXISTS "Users can create own price alerts" ON price_alerts;
+CREATE POLICY "Users can create own price alerts"
+  ON price_alerts
+  FOR INSERT
+  WITH CHECK (auth.uid() = user_id);
+
+DROP POLICY IF EXISTS "Users can update own price alerts" ON price_alerts;
+CREATE POLICY "Users can update own price alerts"
+  ON price_alerts
+  FOR UPDATE
+  USING (auth.uid() = user_id)
+  WITH CHECK (auth.uid() = user_id);
+
+DROP POLICY IF EXISTS "Users can delete own price alerts" ON price_alerts;
+CREATE POLICY "Users can delete own price alerts"
+  ON price_alerts
+  FOR DELETE
+  USING (auth.uid() = user_id);
+
+-- Keep updated_at current
+CREATE OR REPLACE FUNCTION update_price_alerts_updated_at()
+RETURNS TRIGGER AS $$
+BEGIN
+  NEW.updated_at = NOW();
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS price_alerts_updated_at ON price_alerts;
+CREATE TRIGGER price_alerts_updated_at
+  BEFORE UPDATE ON price_alerts
+  FOR EACH ROW
+  EXECUTE FUNCTION update_price_alerts_updated_at();
+
+-- Realtime: broadcast listing changes (RLS limits each user to their own rows).
+-- REPLICA IDENTITY FULL includes the previous row, so price drops can be detected.
+ALTER TABLE listings REPLICA IDENTITY FULL;
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_publication_tables
+    WHERE pubname = 'supabase_realtime' AND schemaname = 'public' AND tablename = 'listings'
+  ) THEN
+    ALTER PUBLICATION supabase_realtime ADD TABLE listings;
+  END IF;
+END $$;
+
+-- Add comments for documentation
+COMMENT ON COLUMN listings.watched IS 'Seller is watching this listing: every price drop is pushed to the Listings page';
+COMMENT ON TABLE price_alerts IS 'Per-listing price drop alerts set through the updatePriceAlert GraphQL mutation';
+COMMENT ON COLUMN price_alerts.threshold IS 'Minimum drop, in percent of the previous price, that raises an alert';
@@ -0,0 +1,284 @@
+-- =============================================
+-- TEAM WORKSPACES
+-- Organizations with owner / manager / viewer members and email invitations.
+-- Rows stay keyed on user_id (the seller whose eBay accounts they belong
+-- to); members of the same organization can see each other's listings,
+-- strategies, assignment rules and fee settings, and owners/managers can
+-- change them.
+-- Viewers are read-only. Functions running as service role apply the same
+-- rules through netlify/functions/utils/organizations.js.
+-- =============================================
+
+CREATE TABLE IF NOT EXISTS organizations (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  name TEXT NOT NULL CHECK (length(trim(name)) > 0),
+  created_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS organization_members (
+  organization_id UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  role TEXT NOT NULL DEFAULT 'viewer' CHECK (role IN ('owner', 'manager', 'viewer')),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (organization_id, user_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_organization_members_user ON organization_members(user_id);
+
+CREATE TABLE IF NOT EXISTS organization_invitations (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  organization_id UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+  email TEXT NOT NULL,
+  role TEXT NOT NULL DEFAULT 'viewer' CHECK (role IN ('manager', 'viewer')),
+  token TEXT NOT NULL UNIQUE,
+  invited_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  expires_at TIMESTAMPTZ NOT NULL DEFAULT NOW() + INTERVAL '14 days',
+  accepted_at TIMESTAMPTZ
+);
+
+-- One open invitation per email per organization
+CREATE UNIQUE INDEX IF NOT EXISTS idx_organization_invitations_open
+  ON organization_invitations(organization_id, lower(email))
+  WHERE accepted_at IS NULL;
+
+-- =============================================
+-- ACCESS HELPERS
+-- SECURITY DEFINER so policies can read organization_members without
+-- recursing through its own RLS.
+-- =============================================
+
+-- Can the signed-in user see rows owned by p_owner?
+CREATE OR REPLACE FUNCTION can_view_user_data(p_owner UUID)
+RETURNS BOOLEAN
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  SELECT p_owner = auth.uid()
+    OR EXISTS (
+      SELECT 1
+      FROM organization_members me
+      JOIN organization_members them ON them.organization_id = me.organization_id
+      WHERE me.user_id = auth.uid()
+        AND them.user_id = p_owner
+    );
+$$;
+
+-- Can the signed-in user change rows owned by p_owner? (owners and managers)
+CREATE OR REPLACE FUNCTION can_manage_user_data(p_owner UUID)
+RETURNS BOOLEAN
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  SELECT p_owner = auth.uid()
+    OR EXISTS (
+      SELECT 1
+      FROM organization_members me
+      JOIN organization_members them ON them.organization_id = me.organization_id
+      WHERE me.user_id = auth.uid()
+        AND me.role IN ('owner', 'manager')
+        AND them.user_id = p_owner
+    );
+$$;
+
+CREATE OR REPLACE FUNCTION is_organization_member(p_organization UUID)
+RETURNS BOOLEAN
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  SELECT EXISTS (
+    SELECT 1 FROM organization_members
+    WHERE organization_id = p_organization AND user_id = auth.uid()
+  );
+$$;
+
+-- =============================================
+-- ORGANIZATION TABLES RLS
+-- Reads only; creating, inviting and role changes go through the
+-- organizations function so the role rules live in one place.
+-- =============================================
+
+ALTER TABLE organizations ENABLE ROW LEVEL SECURITY;
+ALTER TABLE organization_members ENABLE ROW LEVEL SECURITY;
+ALTER TABLE organization_invitations ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Members can view their organizations" ON organizations;
+CREATE POLICY "Members can view their organizations"
+  ON organizations
+  FOR SELECT
+  USING (is_organization_member(id));
+
+DROP POLICY IF EXISTS "Members can view fellow members" ON organization_members;
+CREATE POLICY "Members can view fellow members"
+  ON organization_members
+  FOR SELECT
+  USING (is_organization_member(organization_id));
+
+DROP POLICY IF EXISTS "Members can view invitations" ON organization_invitations;
+CREATE POLICY "Members can view invitations"
+  ON organization_invitations
+  FOR SELECT
+  USING (is_organization_member(organization_id));
+
+-- =============================================
+-- SHARED DATA RLS
+-- =============================================
+
+-- Listings
+DROP POLICY IF EXISTS "Users can view own listings" ON listings;
+DROP POLICY IF EXISTS "Organization members can view listings" ON listings;
+CREATE POLICY "Organization members can view listings" ON listings
+    FOR SELECT USING (can_view_user_data(user_id));
+
+DROP POLICY IF EXISTS "Users can update own listings" ON listings;
+DROP POLICY IF EXISTS "Organization managers can update listings" ON listings;
+CREATE POLICY "Organization managers can update listings" ON listings
+    FOR UPDATE USING (can_manage_user_data(user_id))
+    WITH CHECK (can_manage_user_data(user_id));
+
+-- Inserts stay own-only: a listing is created on the creator's eBay account
+DROP POLICY IF EXISTS "Users can insert own listings" ON listings;
+CREATE POLICY "Users can insert own listings" ON listings
+    FOR INSERT WITH CHECK (auth.uid() = user_id);
+
+-- Strategies
+DROP POLICY IF EXISTS "Users can view own strategies" ON strategies;
+DROP POLICY IF EXISTS "Organization members can view strategies" ON strategies;
+CREATE POLICY "Organization members can view strategies"
+  ON strategies
+  FOR SELECT
+  USING (can_view_user_data(user_id));
+
+DROP POLICY IF EXISTS "Users can create own strategies" ON strategies;
+CREATE POLICY "Users can create own strategies"
+  ON strategies
+  FOR INSERT
+  WITH CHECK (auth.uid() = user_id);
+
+DROP POLICY IF EXISTS "Users can update own strategies" ON strategies;
+DROP POLICY IF EXISTS "Organization managers can update strategies" ON strategies;
+CREATE POLICY "Organization managers can update strategies"
+  ON strategies
+  FOR UPDATE
+  USING (can_manage_user_data(user_id))
+  WITH CHECK (can_manage_user_data(user_id));
+
+DROP POLICY IF EXISTS "Users can delete own strategies" ON strategies;
+DROP POLICY IF EXISTS "Organization managers can delete strategies" ON strategies;
+CREATE POLICY "Organization managers can delete strategies"
+  ON strategies
+  FOR DELETE
+  USING (
+    can_manage_user_data(user_id)
+    AND NOT EXISTS (
+      SELECT 1 FROM listings
+      WHERE listings.strategy_id = strategies.id
+    )
+  );
+
+-- Strategy assignment rules (per-seller automation settings)
+DROP POLICY IF EXISTS "Users can view own strategy assignment rules" ON strategy_assignment_rules;
+DROP POLICY IF EXISTS "Organization members can view strategy assignment rules" ON strategy_assignment_rules;
+CREATE POLICY "Organization members can view strategy assignment rules"
+  ON strategy_assignment_rules
+  FOR SELECT
+  USING (can_view_user_data(user_id));
+
+DROP POLICY IF EXISTS "Users can update own strategy assignment rules" ON strategy_assignment_rules;
+DROP POLICY IF EXISTS "Organization managers can update strategy assignment rules" ON strategy_assignment_rules;
+CREATE POLICY "Organization managers can update strategy assignment rules"
+  ON strategy_assignment_rules
+  FOR UPDATE
+  USING (can_manage_user_data(user_id))
+  WITH CHECK (can_manage_user_data(user_id));
+
+DROP POLICY IF EXISTS "Users can delete own strategy assignment rules" ON strategy_assignment_rules;
+DROP POLICY IF EXISTS "Organization managers can delete strategy assignment rules" ON strategy_assignment_rules;
+CREATE POLICY "Organization managers can delete strategy assignment rules"
+  ON strategy_assignment_rules
+  FOR DELETE
+  USING (can_manage_user_data(user_id));
+
+-- Category fee rates (per-seller fee settings, used for profit floors)
+DROP POLICY IF EXISTS "Users can view own category fee rates" ON category_fee_rates;
+DROP POLICY IF EXISTS "Organization members can view category fee rates" ON category_fee_rates;
+CREATE POLICY "Organization members can view category fee rates"
+  ON category_fee_rates
+  FOR SELECT
+  USING (can_view_user_data(user_id));
+
+DROP POLICY IF EXISTS "Users can create own category fee rates" ON category_fee_rates;
+DROP POLICY IF EXISTS "Organization managers can create category fee rates" ON category_fee_rates;
+CREATE POLICY "Organization managers can create category fee rates"
+  ON category_fee_rates
+  FOR INSERT
+  WITH CHECK (can_manage_user_data(user_id));
+
+DROP POLICY IF EXISTS "Users can update own category fee rates" ON category_fee_rates;
+DROP POLICY IF EXISTS "Organization managers can update category fee rates" ON category_fee_rates;
+CREATE POLICY "Organization managers can update category fee rates"
+  ON category_fee_rates
+  FOR UPDATE
+  USING (can_manage_user_data(user_id))
+  WITH CHECK (can_manage_user_data(user_id));
+
+DROP POLICY IF EXISTS "Users can delete own category fee rates" ON category_fee_rates;
+DROP POLICY IF EXISTS "Organization managers can delete category fee rates" ON category_fee_rates;
+CREATE POLICY "Organization managers can delete category fee rates"
+  ON category_fee_rates
+  FOR DELETE
+  USING (can_manage_user_data(user_id));
+
+-- Seller settings kept on the users row (listing_settings, profit_floor_settings,
+-- reduction_schedule) stay own-only here: that row also holds eBay tokens.
+-- Functions acting on a teammate's listings read the owner's settings as service role.
+
+-- Pricing history is readable by every member, viewers included
+DROP POLICY IF EXISTS "Users can view own price reduction logs" ON price_reduction_log;
+DROP POLICY IF EXISTS "Organization members can view price reduction logs" ON price_reduction_log;
+CREATE POLICY "Organization members can view price reduction logs"
+ON price_reduction_log
+FOR SELECT
+TO authenticated
+USING (can_view_user_data(user_id));
+
+DROP POLICY IF EXISTS "Users can view own listing changes" ON listing_changes;
+DROP POLICY IF EXISTS "Organization members can view listing changes" ON listing_changes;
+CREATE POLICY "Organization members can view listing changes"
+ON listing_changes
+FOR SELECT
+TO authenticated
+USING (can_view_user_data(user_id));
+
+DROP POLICY IF EXISTS "Users can view own engagement snapshots" ON listing_engagement_snapshots;
+DROP POLICY IF EXISTS "Organization members can view engagement snapshots" ON listing_engagement_snapshots;
+CREATE POLICY "Organization members can view engagement snapshots"
+ON listing_engagement_snapshots
+FOR SELECT
+TO authenticated
+USING (can_view_user_data(user_id));
+
+DROP POLICY IF EXISTS "Users can view own price history" ON price_history;
+DROP POLICY IF EXISTS "Organization members can view price history" ON price_history;
+CREATE POLICY "Organization members can view price history" ON price_history
+    FOR SELECT USING (
+        EXISTS (
+            SELECT 1 FROM listings
+            WHERE listings.id = price_history.listing_id
+            AND can_view_user_data(listings.user_id)
+        )
+    );
+
+COMMENT ON TABLE organizations IS 'Team workspaces; members see each other''s listings, strategies and settings';
+COMMENT ON COLUMN organization_members.role IS 'owner: everything incl. members; manager: change listings/strategies, trigger reductions, invite; viewer: read-only';
+COMMENT ON TABLE organization_invitations IS 'Pending invitations; accepted by a signed-in user with the invited email through the organizations function';
+COMMENT ON FUNCTION can_view_user_data(UUID) IS 'RLS helper: own rows, or rows of a fellow organization member';
+COMMENT ON FUNCTION can_manage_user_data(UUID) IS 'RLS helper: own rows, or rows of a fellow member when the caller is an owner or manager';
@@ -0,0 +1,36 @@
+-- =============================================
+-- PRICE RECOVERY (BUMP-UP) RULES
+-- Lets a strategy step prices back up toward original_price when a
+-- multi-quantity listing sells quickly or competitors are priced above it.
+-- Evaluated by process-price-reductions via utils/price-recovery.js.
+-- =============================================
+
+-- Recovery settings live on the strategy (off unless enabled)
+ALTER TABLE strategies
+ADD COLUMN IF NOT EXISTS recovery_settings JSONB NOT NULL DEFAULT '{}'::jsonb;
+
+-- When the listing was last raised (cooldown, and restarts the reduction interval)
+ALTER TABLE listings
+ADD COLUMN IF NOT EXISTS last_price_recovery TIMESTAMPTZ,
+ADD COLUMN IF NOT EXISTS total_recoveries INTEGER NOT NULL DEFAULT 0;
+
+-- Units sold counter history for the sales-velocity trigger
+-- (NULL when the sync source does not report it, e.g. Inventory API)
+ALTER TABLE listing_engagement_snapshots
+ADD COLUMN IF NOT EXISTS quantity_sold INTEGER;
+
+-- Raises are logged alongside reductions with their own type
+ALTER TABLE price_reduction_log
+ADD COLUMN IF NOT EXISTS reduction_method TEXT,
+ADD COLUMN IF NOT EXISTS strategy_id UUID REFERENCES strategies(id) ON DELETE SET NULL;
+
+ALTER TABLE price_reduction_log DROP CONSTRAINT IF EXISTS price_reduction_log_reduction_type_check;
+ALTER TABLE price_reduction_log ADD CONSTRAINT price_reduction_log_reduction_type_check
+  CHECK (reduction_type IN ('manual', 'scheduled', 'automated', 'recovery'));
+
+-- Add comments for documentation
+COMMENT ON COLUMN strategies.recovery_settings IS 'Price recovery rules: { enabled, window_days, sales_threshold, competitor_gap_percentage, step_percentage, max_price_percentage, cooldown_days }';
+COMMENT ON COLUMN listings.last_price_recovery IS 'Last automatic price raise by a recovery rule';
+COMMENT ON COLUMN listing_engagement_snapshots.quantity_sold IS 'eBay QuantitySold at capture time; NULL when unknown';
+COMMENT ON COLUMN price_reduction_log.reduction_type IS 'Type: manual (user clicked button), scheduled (daily 1:10 AM), automated (other triggers), recovery (price raised by a recovery rule; amounts are negative)';
+COMMENT ON COLUMN price_reduction_log.reduction_method IS 'Strategy type for reductions (percentage/dollar/stepped/...), trigger for recoveries (sales_velocity/competitor_rise)';
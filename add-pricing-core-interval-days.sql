@@ -0,0 +1,81 @@
+-- =============================================
+-- PRICING CORE: ONE INTERVAL UNIT (DAYS)
+-- netlify/functions/utils/pricing-core.js is now the only engine that decides
+-- when and by how much a listing is reduced. It reads:
+--   listings.reduction_interval        days between reductions (default 7)
+--   strategies.interval_days           days, production schema (wins over the listing)
+--   strategies.frequency_days          days, UAT schema (wins over the listing)
+--   listings.enable_auto_reduction     on/off flag
+-- process-price-reductions used to read reduction_interval as HOURS, so a
+-- listing set to "7" was reduced every 7 hours by the scheduled job but every
+-- 7 days by the manual buttons. This migration normalises the stored data.
+-- =============================================
+
+-- 1. One on/off flag: copy the older price_reduction_enabled into enable_auto_reduction
+ALTER TABLE listings
+ADD COLUMN IF NOT EXISTS enable_auto_reduction BOOLEAN DEFAULT false;
+
+DO $$
+BEGIN
+  IF EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'listings' AND column_name = 'price_reduction_enabled'
+  ) THEN
+    UPDATE listings
+    SET enable_auto_reduction = true
+    WHERE price_reduction_enabled = true
+      AND enable_auto_reduction IS DISTINCT FROM true;
+  END IF;
+END $$;
+
+-- 2. Listings with a strategy take the strategy's interval (both schema versions)
+ALTER TABLE listings
+ADD COLUMN IF NOT EXISTS reduction_interval INTEGER DEFAULT 7;
+
+DO $$
+BEGIN
+  IF EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'strategies' AND column_name = 'interval_days'
+  ) THEN
+    UPDATE listings l
+    SET reduction_interval = LEAST(GREATEST(s.interval_days, 1), 30)
+    FROM strategies s
+    WHERE l.strategy_id = s.id
+      AND s.interval_days IS NOT NULL
+      AND l.reduction_interval IS DISTINCT FROM LEAST(GREATEST(s.interval_days, 1), 30);
+  END IF;
+
+  IF EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'strategies' AND column_name = 'frequency_days'
+  ) THEN
+    UPDATE listings l
+    SET reduction_interval = LEAST(GREATEST(s.frequency_days, 1), 30)
+    FROM strategies s
+    WHERE l.strategy_id = s.id
+      AND s.frequency_days IS NOT NULL
+      AND l.reduction_interval IS DISTINCT FROM LEAST(GREATEST(s.frequency_days, 1), 30);
+  END IF;
+END $$;
+
+-- 3. Missing or invalid intervals get the documented default of 7 days
+UPDATE listings
+SET reduction_interval = 7
+WHERE reduction_interval IS NULL OR reduction_interval < 1;
+
+ALTER TABLE listings ALTER COLUMN reduction_interval SET DEFAULT 7;
+
+-- 4. Recompute next_price_reduction in days from the last reduction
+ALTER TABLE listings
+ADD COLUMN IF NOT EXISTS next_price_reduction TIMESTAMPTZ;
+
+UPDATE listings
+SET next_price_reduction = last_price_reduction + make_interval(days => reduction_interval)
+WHERE enable_auto_reduction = true
+  AND last_price_reduction IS NOT NULL;
+
+-- Add comments for documentation
+COMMENT ON COLUMN listings.reduction_interval IS 'Days between automatic reductions (pricing-core.js). An assigned strategy''s interval wins.';
+COMMENT ON COLUMN listings.enable_auto_reduction IS 'Automatic price reductions on/off. Read by every reduction entry point via pricing-core.js.';
+COMMENT ON COLUMN listings.next_price_reduction IS 'Informational: when the next reduction falls due. Written by pricing-core.js after each reduction.';
@@ -0,0 +1,30 @@
+-- =============================================
+-- REDUCTION CALENDARS
+-- Per-user and per-strategy rules for when price reductions may run:
+-- allowed weekdays, a local-hour window in the seller's time zone, and
+-- holiday/promotion blackout date ranges. Read by isDueForReduction in
+-- netlify/functions/utils/pricing-core.js (see utils/reduction-calendar.js).
+-- =============================================
+
+ALTER TABLE users
+ADD COLUMN IF NOT EXISTS reduction_schedule JSONB NOT NULL DEFAULT '{}'::jsonb;
+
+ALTER TABLE strategies
+ADD COLUMN IF NOT EXISTS reduction_schedule JSONB NOT NULL DEFAULT '{}'::jsonb;
+
+-- Schedules must always be JSON objects
+ALTER TABLE users DROP CONSTRAINT IF EXISTS users_reduction_schedule_object_check;
+ALTER TABLE users ADD CONSTRAINT users_reduction_schedule_object_check
+  CHECK (jsonb_typeof(reduction_schedule) = 'object');
+
+ALTER TABLE strategies DROP CONSTRAINT IF EXISTS strategies_reduction_schedule_object_check;
+ALTER TABLE strategies ADD CONSTRAINT strategies_reduction_schedule_object_check
+  CHECK (jsonb_typeof(reduction_schedule) = 'object');
+
+-- Add comments for documentation
+COMMENT ON COLUMN users.reduction_schedule IS 'Account reduction calendar: { timezone, allowed_weekdays, start_hour, end_hour, blackout_ranges }';
+COMMENT ON COLUMN strategies.reduction_schedule IS 'Strategy reduction calendar (uses the seller''s time zone): { allowed_weekdays, start_hour, end_hour, blackout_ranges }';
+
+-- Example structure:
+-- { "timezone": "America/Chicago", "allowed_weekdays": [1, 2, 3, 4, 5], "start_hour": 8, "end_hour": 20,
+--   "blackout_ranges": [{ "start": "2026-11-27", "end": "2026-11-30", "label": "Black Friday promo" }] }
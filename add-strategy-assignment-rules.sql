@@ -0,0 +1,96 @@
+-- =============================================
+-- STRATEGY ASSIGNMENT RULES
+-- Ordered per-user rules that pick a listing's strategy automatically, e.g.
+--   category 9355        → Aggressive
+--   price > $200         → Slow
+--   listed > 60 days     → Clearance
+--
+-- Rules are evaluated lowest position first; the first rule whose conditions
+-- all match wins. Evaluated by netlify/functions/utils/strategy-assignment.js
+-- after every listing sync and by the scheduled-strategy-assignment job.
+-- Listings whose strategy was picked by hand (strategy_source = 'manual') are
+-- never touched by rules.
+-- =============================================
+
+CREATE TABLE IF NOT EXISTS strategy_assignment_rules (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  name TEXT NOT NULL,
+  position INTEGER NOT NULL DEFAULT 0,
+  conditions JSONB NOT NULL DEFAULT '[]'::jsonb CHECK (jsonb_typeof(conditions) = 'array'),
+  strategy_id UUID NOT NULL REFERENCES strategies(id) ON DELETE CASCADE,
+  is_active BOOLEAN NOT NULL DEFAULT true,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- Example conditions:
+-- [{ "field": "category_id", "operator": "equals", "value": "9355" },
+--  { "field": "current_price", "operator": "greater_than", "value": 200 },
+--  { "field": "days_listed", "operator": "greater_than", "value": 60 }]
+
+CREATE INDEX IF NOT EXISTS idx_strategy_assignment_rules_user_position
+  ON strategy_assignment_rules(user_id, position);
+
+ALTER TABLE strategy_assignment_rules ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users can view own strategy assignment rules" ON strategy_assignment_rules;
+CREATE POLICY "Users can view own strategy assignment rules"
+  ON strategy_assignment_rules
+  FOR SELECT
+  USING (auth.uid() = user_id);
+
+DROP POLICY IF EXISTS "Users can create own strategy assignment rules" ON strategy_assignment_rules;
+CREATE POLICY "Users can create own strategy assignment rules"
+  ON strategy_assignment_rules
+  FOR INSERT
+  WITH CHECK (auth.uid() = user_id);
+
+DROP POLICY IF EXISTS "Users can update own strategy assignment rules" ON strategy_assignment_rules;
+CREATE POLICY "Users can update own strategy assignment rules"
+  ON strategy_assignment_rules
+  FOR UPDATE
+  USING (auth.uid() = user_id)
+  WITH CHECK (auth.uid() = user_id);
+
+DROP POLICY IF EXISTS "Users can delete own strategy assignment rules" ON strategy_assignment_rules;
+CREATE POLICY "Users can delete own strategy assignment rules"
+  ON strategy_assignment_rules
+  FOR DELETE
+  USING (auth.uid() = user_id);
+
+CREATE OR REPLACE FUNCTION update_strategy_assignment_rules_updated_at()
+RETURNS TRIGGER AS $$
+BEGIN
+  NEW.updated_at = NOW();
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trigger_update_strategy_assignment_rules_timestamp ON strategy_assignment_rules;
+CREATE TRIGGER trigger_update_strategy_assignment_rules_timestamp
+  BEFORE UPDATE ON strategy_assignment_rules
+  FOR EACH ROW
+  EXECUTE FUNCTION update_strategy_assignment_rules_updated_at();
+
+-- Who picked each listing's strategy, and which rule matched
+ALTER TABLE listings
+ADD COLUMN IF NOT EXISTS strategy_source TEXT CHECK (strategy_source IS NULL OR strategy_source IN ('manual', 'rule')),
+ADD COLUMN IF NOT EXISTS strategy_rule_id UUID REFERENCES strategy_assignment_rules(id) ON DELETE SET NULL,
+ADD COLUMN IF NOT EXISTS strategy_assigned_at TIMESTAMPTZ;
+
+-- Listings that already have a strategy were assigned by hand
+UPDATE listings
+   SET strategy_source = 'manual'
+ WHERE strategy_id IS NOT NULL
+   AND strategy_source IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_listings_strategy_rule_id ON listings(strategy_rule_id);
+
+-- Add comments for documentation
+COMMENT ON TABLE strategy_assignment_rules IS 'Ordered rules that assign strategies to listings; first matching rule wins';
+COMMENT ON COLUMN strategy_assignment_rules.position IS 'Evaluation order, lowest first';
+COMMENT ON COLUMN strategy_assignment_rules.conditions IS 'All must match: [{ field, operator, value }]';
+COMMENT ON COLUMN listings.strategy_source IS 'manual = picked by the seller (rules never override); rule = set by strategy_rule_id; NULL = unassigned';
+COMMENT ON COLUMN listings.strategy_rule_id IS 'Assignment rule that last matched this listing';
+COMMENT ON COLUMN listings.strategy_assigned_at IS 'When strategy_id was last set by a rule or by hand';
@@ -0,0 +1,43 @@
+-- Add pluggable strategy types to the strategies table
+-- New types (stepped, exponential_decay, target_date) keep their settings in
+-- a JSONB parameters column. percentage and dollar strategies keep using
+-- reduction_percentage / reduction_amount and leave parameters empty.
+
+ALTER TABLE strategies
+ADD COLUMN IF NOT EXISTS parameters JSONB NOT NULL DEFAULT '{}'::jsonb;
+
+-- Widen the type CHECK constraints (both schema versions: reduction_type / strategy_type)
+ALTER TABLE strategies DROP CONSTRAINT IF EXISTS strategies_reduction_type_check;
+ALTER TABLE strategies DROP CONSTRAINT IF EXISTS strategies_strategy_type_check;
+
+DO $$
+BEGIN
+  IF EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'strategies' AND column_name = 'reduction_type'
+  ) THEN
+    ALTER TABLE strategies ADD CONSTRAINT strategies_reduction_type_check
+      CHECK (reduction_type IN ('percentage', 'dollar', 'stepped', 'exponential_decay', 'target_date'));
+  END IF;
+
+  IF EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'strategies' AND column_name = 'strategy_type' AND data_type = 'text'
+  ) THEN
+    ALTER TABLE strategies ADD CONSTRAINT strategies_strategy_type_check
+      CHECK (strategy_type IN ('percentage', 'dollar', 'stepped', 'exponential_decay', 'target_date'));
+  END IF;
+END $$;
+
+-- Parameters must always be a JSON object
+ALTER TABLE strategies DROP CONSTRAINT IF EXISTS strategies_parameters_object_check;
+ALTER TABLE strategies ADD CONSTRAINT strategies_parameters_object_check
+  CHECK (jsonb_typeof(parameters) = 'object');
+
+-- Add comments for documentation
+COMMENT ON COLUMN strategies.parameters IS 'Type-specific settings, validated by netlify/functions/utils/strategy-types.js';
+
+-- Example structures:
+-- stepped:           { "steps": [{ "reduction_type": "percentage", "amount": 10 }, { "reduction_type": "dollar", "amount": 2 }] }
+-- exponential_decay: { "decay_percentage": 20, "min_step": 0.50 }
+-- target_date:       { "target_price": 49.99, "target_date": "2026-12-01" }
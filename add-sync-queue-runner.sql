@@ -0,0 +1,134 @@
+-- =============================================
+-- SYNC QUEUE RUNNER
+-- Turns sync_queue into a real job runner for background eBay syncs, run by
+-- netlify/functions/sync-service.js every few minutes (utils/sync-queue.js):
+--   - claim_sync_jobs() leases jobs with FOR UPDATE SKIP LOCKED, so two
+--     invocations never take the same job; a lease that expires (crashed or
+--     timed-out run) counts as a failed attempt: the runner backs it off or
+--     dead-letters it (recoverExpiredSyncJobs), and the claim never takes an
+--     expired job whose attempts are used up
+--   - each user gets their first job before anyone gets a second
+--   - failures retry with exponential backoff; after max_attempts the job is
+--     dead-lettered ('dead') and copied into sync_errors
+-- =============================================
+
+ALTER TABLE sync_queue
+ADD COLUMN IF NOT EXISTS locked_by TEXT,
+ADD COLUMN IF NOT EXISTS locked_until TIMESTAMPTZ,
+ADD COLUMN IF NOT EXISTS dedupe_key TEXT,
+ADD COLUMN IF NOT EXISTS last_error_at TIMESTAMPTZ;
+
+-- Status now: pending, processing, completed, failed (legacy), dead
+ALTER TABLE sync_queue DROP CONSTRAINT IF EXISTS sync_queue_status_check;
+ALTER TABLE sync_queue ADD CONSTRAINT sync_queue_status_check
+  CHECK (status IN ('pending', 'processing', 'completed', 'failed', 'dead'));
+
+-- At most one open job per user and dedupe_key (e.g. 'full_sync', 'refresh:hot')
+CREATE UNIQUE INDEX IF NOT EXISTS idx_sync_queue_dedupe
+ON sync_queue(user_id, dedupe_key)
+WHERE dedupe_key IS NOT NULL AND status IN ('pending', 'processing');
+
+CREATE INDEX IF NOT EXISTS idx_sync_queue_claim
+ON sync_queue(scheduled_for, priority)
+WHERE status IN ('pending', 'processing');
+
+-- Dead letters (the table was dropped in some environments)
+CREATE TABLE IF NOT EXISTS sync_errors (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    listing_id UUID REFERENCES listings(id) ON DELETE CASCADE,
+    error_message TEXT NOT NULL,
+    resolved BOOLEAN DEFAULT FALSE,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+ALTER TABLE sync_errors
+ADD COLUMN IF NOT EXISTS user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE,
+ADD COLUMN IF NOT EXISTS job_id UUID,
+ADD COLUMN IF NOT EXISTS job_type TEXT,
+ADD COLUMN IF NOT EXISTS payload JSONB,
+ADD COLUMN IF NOT EXISTS attempts INTEGER;
+
+CREATE INDEX IF NOT EXISTS idx_sync_errors_user_created ON sync_errors(user_id, created_at DESC);
+
+ALTER TABLE sync_errors ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users can view own sync errors" ON sync_errors;
+CREATE POLICY "Users can view own sync errors" ON sync_errors
+    FOR SELECT USING (auth.uid() = user_id);
+
+-- Lease up to p_limit due jobs, at most p_per_user per user, round-robin across users
+CREATE OR REPLACE FUNCTION claim_sync_jobs(
+    p_worker TEXT,
+    p_limit INTEGER DEFAULT 10,
+    p_lease_seconds INTEGER DEFAULT 300,
+    p_per_user INTEGER DEFAULT 2
+)
+RETURNS SETOF sync_queue
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+    RETURN QUERY
+    WITH claimable AS (
+        SELECT id, user_id, priority, scheduled_for
+        FROM sync_queue
+        WHERE scheduled_for <= NOW()
+          AND (
+            status = 'pending'
+            OR (
+              status = 'processing'
+              AND locked_until < NOW()
+              AND COALESCE(attempts, 0) < COALESCE(max_attempts, 3)
+            )
+          )
+        FOR UPDATE SKIP LOCKED
+    ),
+    ranked AS (
+        SELECT id, priority, scheduled_for,
+               ROW_NUMBER() OVER (PARTITION BY user_id ORDER BY priority, scheduled_for) AS user_rank
+        FROM claimable
+    ),
+    picked AS (
+        SELECT id
+        FROM ranked
+        WHERE user_rank <= p_per_user
+        ORDER BY user_rank, priority, scheduled_for
+        LIMIT p_limit
+    )
+    UPDATE sync_queue q
+    SET status = 'processing',
+        locked_by = p_worker,
+        locked_until = NOW() + make_interval(secs => p_lease_seconds),
+        started_at = NOW(),
+        attempts = COALESCE(q.attempts, 0) + 1
+    FROM picked
+    WHERE q.id = picked.id
+    RETURNING q.*;
+END;
+$$;
+
+REVOKE ALL ON FUNCTION claim_sync_jobs(TEXT, INTEGER, INTEGER, INTEGER) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION claim_sync_jobs(TEXT, INTEGER, INTEGER, INTEGER) TO service_role;
+
+-- Queue depth for the admin view
+CREATE OR REPLACE VIEW sync_queue_depth AS
+SELECT
+    status,
+    job_type,
+    COUNT(*) AS job_count,
+    COUNT(DISTINCT user_id) AS user_count,
+    MIN(scheduled_for) AS oldest_scheduled_for,
+    COUNT(*) FILTER (WHERE scheduled_for <= NOW()) AS due_count
+FROM sync_queue
+WHERE status IN ('pending', 'processing', 'dead')
+GROUP BY status, job_type;
+
+REVOKE ALL ON sync_queue_depth FROM anon, authenticated;
+
+-- Add comments for documentation
+COMMENT ON COLUMN sync_queue.locked_by IS 'Invocation that holds the lease on a processing job';
+COMMENT ON COLUMN sync_queue.locked_until IS 'Lease expiry; after it the job can be claimed again';
+COMMENT ON COLUMN sync_queue.dedupe_key IS 'Only one pending/processing job per user and key';
+COMMENT ON FUNCTION claim_sync_jobs IS 'Lease due sync jobs for a worker, fair across users';
+COMMENT ON VIEW sync_queue_depth IS 'Open and dead-lettered sync jobs by status and type';
@@ -0,0 +1,50 @@
+-- =============================================
+-- EBAY WEBHOOK EVENTS
+-- webhook_events (supabase-listings-schema.sql) is filled by the
+-- ebay-notifications function: Platform Notifications (ItemSold,
+-- FixedPriceTransaction, ItemRevised, ItemClosed) and Marketplace
+-- Account Deletion. event_id is unique, so eBay retries are stored once.
+-- =============================================
+
+-- Create the table if this database never ran supabase-listings-schema.sql
+CREATE TABLE IF NOT EXISTS webhook_events (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    event_type VARCHAR(100) NOT NULL,
+    event_id VARCHAR(255) UNIQUE,
+    payload JSONB NOT NULL,
+    processed BOOLEAN DEFAULT false,
+    processed_at TIMESTAMP WITH TIME ZONE,
+    error TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Which seller the event was for (NULL when no connected user matched)
+ALTER TABLE webhook_events
+ADD COLUMN IF NOT EXISTS user_id UUID REFERENCES users(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_webhook_events_user_created
+ON webhook_events(user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_webhook_events_unprocessed
+ON webhook_events(created_at) WHERE NOT processed;
+
+ALTER TABLE webhook_events ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users can view own webhook events" ON webhook_events;
+CREATE POLICY "Users can view own webhook events"
+ON webhook_events
+FOR SELECT
+TO authenticated
+USING (auth.uid() = user_id);
+
+DROP POLICY IF EXISTS "Service role can manage all webhook events" ON webhook_events;
+CREATE POLICY "Service role can manage all webhook events"
+ON webhook_events
+FOR ALL
+TO service_role
+USING (true)
+WITH CHECK (true);
+
+-- Add comments for documentation
+COMMENT ON TABLE webhook_events IS 'eBay notifications received by the ebay-notifications function, one row per event_id';
+COMMENT ON COLUMN webhook_events.event_id IS 'notificationId for Notification API events; EventName:ItemID:TransactionID:Timestamp for Platform Notifications';
+COMMENT ON COLUMN webhook_events.error IS 'Last dispatch error; unprocessed events are retried when eBay redelivers them';
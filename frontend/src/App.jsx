@@ -1,6 +1,7 @@
 import { useState, useEffect, lazy, Suspense } from 'react'
 import { Routes, Route, Link, useNavigate, useLocation } from 'react-router-dom'
 import { useAuth } from './contexts/AuthContext'
+import EbayAccountSwitcher from './components/EbayAccountSwitcher'
 
 // Lazy load all page components for code splitting
 const Account = lazy(() => import('./pages/Account'))
@@ -11,6 +12,7 @@ const Login = lazy(() => import('./pages/Login'))
 const AutoList = lazy(() => import('./pages/AutoList'))
 const AdminSettings = lazy(() => import('./pages/AdminSettings'))
 const ListingSettings = lazy(() => import('./pages/ListingSettings'))
+const Audit = lazy(() => import('./pages/Audit'))
 
 // Simple components without complex dependencies
 function Dashboard() {
@@ -226,6 +228,16 @@ export default function App() {
               >
                 Analytics
               </Link>
+              <Link
+                to="/audit"
+                className={`px-3 py-2 rounded-md text-sm font-medium transition-colors ${
+                  location.pathname === '/audit'
+                    ? 'bg-blue-700 text-white'
+                    : 'text-blue-100 hover:text-white hover:bg-blue-700'
+                }`}
+              >
+                Audit
+              </Link>
               <Link
                 to="/account"
                 className={`px-3 py-2 rounded-md text-sm font-medium transition-colors ${
@@ -236,6 +248,7 @@ export default function App() {
               >
                 Account
               </Link>
+              <EbayAccountSwitcher />
               <button
                 onClick={handleLogout}
                 className="bg-blue-800 hover:bg-blue-900 px-4 py-2 rounded-md text-sm font-medium transition-colors"
@@ -291,6 +304,9 @@ export default function App() {
                   </div>
                 )}
 
+                {/* eBay Account */}
+                <EbayAccountSwitcher className="w-full mb-2" />
+
                 {/* Navigation Links */}
                 <Link
                   to="/"
@@ -367,6 +383,21 @@ export default function App() {
                   Analytics
                 </Link>
 
+                <Link
+                  to="/audit"
+                  className={`flex items-center px-3 py-3 rounded-md text-base font-medium transition-colors ${
+                    location.pathname === '/audit'
+                      ? 'bg-blue-700 text-white'
+                      : 'text-blue-100 hover:text-white hover:bg-blue-700'
+                  }`}
+                  onClick={() => setMobileMenuOpen(false)}
+                >
+                  <svg className="mr-3 h-5 w-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 5H7a2 2 0 00-2 2v12a2 2 0 002 2h10a2 2 0 002-2V7a2 2 0 00-2-2h-2M9 5a2 2 0 002 2h2a2 2 0 002-2M9 5a2 2 0 012-2h2a2 2 0 012 2m-6 9l2 2 4-4" />
+                  </svg>
+                  Audit
+                </Link>
+
                 <Link
                   to="/account"
                   className={`flex items-center px-3 py-3 rounded-md text-base font-medium transition-colors ${
@@ -419,6 +450,7 @@ export default function App() {
               <Route path="/auto-list" element={<AutoList />} />
               <Route path="/strategies" element={<Strategies />} />
               <Route path="/analytics" element={<Analytics />} />
+              <Route path="/audit" element={<Audit />} />
               <Route path="/account" element={<Account />} />
               <Route path="/listing-settings" element={<ListingSettings />} />
               <Route path="/admin-settings" element={<AdminSettings />} />
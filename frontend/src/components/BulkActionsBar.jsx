@@ -0,0 +1,229 @@
+import { useEffect, useRef, useState } from 'react'
+import apiService from '../services/api'
+import { getStrategyDisplayName } from '../data/strategies'
+
+const OPERATIONS = [
+  { value: 'set_strategy', label: 'Set strategy' },
+  { value: 'set_min_price_percent', label: 'Set minimum price (% of current)' },
+  { value: 'toggle_reduction', label: 'Turn auto-reduction on/off' },
+  { value: 'reduce_percent', label: 'Cut price now by %' },
+  { value: 'hide', label: 'Hide' },
+  { value: 'end', label: 'End on eBay' }
+]
+
+const isOpen = (operation) => operation && ['pending', 'running'].includes(operation.status)
+
+// Bulk changes for the selected listings (bulk-operations function). The
+// server works in chunks; this keeps asking for the next chunk while the page
+// is open and shows progress and per-listing failures.
+export default function BulkActionsBar({ selectedIds, strategies = [], onClear, onFinished, onNotify }) {
+  const [operation, setOperation] = useState('set_strategy')
+  const [strategyId, setStrategyId] = useState('')
+  const [percent, setPercent] = useState('')
+  const [enabled, setEnabled] = useState(true)
+  const [activeOperation, setActiveOperation] = useState(null)
+  const [problems, setProblems] = useState([])
+  const [isStarting, setIsStarting] = useState(false)
+  const unmounted = useRef(false)
+
+  useEffect(() => () => { unmounted.current = true }, [])
+
+  // Drive the operation until it completes or is cancelled
+  useEffect(() => {
+    if (!isOpen(activeOperation)) return undefined
+
+    let stopped = false
+    const next = async () => {
+      try {
+        const { operation: updated } = await apiService.processBulkOperation(activeOperation.id)
+        if (!stopped && !unmounted.current) setActiveOperation(updated)
+      } catch (error) {
+        // The scheduled runner picks it up; keep polling a little slower
+        await new Promise(resolve => setTimeout(resolve, 3000))
+        if (!stopped && !unmounted.current) setActiveOperation(op => ({ ...op }))
+      }
+    }
+    next()
+    return () => { stopped = true }
+  }, [activeOperation])
+
+  // Load per-listing problems once finished
+  useEffect(() => {
+    if (!activeOperation || isOpen(activeOperation)) return
+    if (activeOperation.failed + activeOperation.skipped === 0) {
+      setProblems([])
+    } else {
+      Promise.all([
+        apiService.getBulkOperation(activeOperation.id, 'failed'),
+        apiService.getBulkOperation(activeOperation.id, 'skipped')
+      ])
+        .then(([failed, skipped]) => setProblems([...failed.items, ...skipped.items]))
+        .catch(() => setProblems([]))
+    }
+    onFinished?.(activeOperation)
+  }, [activeOperation?.id, activeOperation?.status])
+
+  const buildParams = () => {
+    switch (operation) {
+      case 'set_strategy':
+        return { strategyId: strategyId || null }
+      case 'set_min_price_percent':
+      case 'reduce_percent':
+        return { percent: parseFloat(percent) }
+      case 'toggle_reduction':
+        return { enabled }
+      default:
+        return {}
+    }
+  }
+
+  const needsPercent = operation === 'set_min_price_percent' || operation === 'reduce_percent'
+
+  const handleApply = async () => {
+    if (needsPercent && !(parseFloat(percent) > 0)) {
+      onNotify?.('error', 'Enter a percentage')
+      return
+    }
+
+    const count = selectedIds.length
+    const label = OPERATIONS.find(o => o.value === operation)?.label
+    const warning = operation === 'end'
+      ? `End ${count} listing(s) on eBay? This cannot be undone.`
+      : operation === 'reduce_percent'
+        ? `Cut the price of ${count} listing(s) on eBay by ${percent}% now (never below their minimum price)?`
+        : `${label} for ${count} listing(s)?`
+    if (!window.confirm(warning)) return
+
+    setIsStarting(true)
+    setProblems([])
+    try {
+      const { operation: started, notFound } = await apiService.startBulkOperation(operation, buildParams(), selectedIds)
+      setActiveOperation(started)
+      if (notFound > 0) {
+        onNotify?.('warning', `${notFound} selected listing(s) no longer exist and were left out`)
+      }
+    } catch (error) {
+      onNotify?.('error', error.message || 'Failed to start bulk operation')
+    } finally {
+      setIsStarting(false)
+    }
+  }
+
+  const handleCancel = async () => {
+    try {
+      const { operation: cancelled } = await apiService.cancelBulkOperation(activeOperation.id)
+      setActiveOperation(cancelled)
+    } catch (error) {
+      onNotify?.('error', error.message || 'Failed to cancel bulk operation')
+    }
+  }
+
+  const running = isOpen(activeOperation)
+  const progress = activeOperation?.total ? Math.round((activeOperation.processed / activeOperation.total) * 100) : 0
+
+  if (selectedIds.length === 0 && !activeOperation) return null
+
+  return (
+    <div className="bg-dark-surface rounded-lg border border-accent/40 p-4 space-y-3">
+      {!running && selectedIds.length > 0 && (
+        <div className="flex flex-wrap items-center gap-2">
+          <span className="text-sm font-medium text-text-primary">{selectedIds.length} selected</span>
+          <select
+            value={operation}
+            onChange={(e) => setOperation(e.target.value)}
+            className="border border-dark-border rounded-lg px-2 py-1.5 text-sm bg-dark-bg text-text-primary"
+          >
+            {OPERATIONS.map(o => <option key={o.value} value={o.value}>{o.label}</option>)}
+          </select>
+
+          {operation === 'set_strategy' && (
+            <select
+              value={strategyId}
+              onChange={(e) => setStrategyId(e.target.value)}
+              className="border border-dark-border rounded-lg px-2 py-1.5 text-sm bg-dark-bg text-text-primary"
+            >
+              <option value="">No strategy</option>
+              {strategies.map(s => <option key={s.id} value={s.id}>{getStrategyDisplayName(s)}</option>)}
+            </select>
+          )}
+
+          {needsPercent && (
+            <div className="flex items-center gap-1">
+              <input
+                type="number"
+                min="0"
+                max={operation === 'reduce_percent' ? 90 : 100}
+                step="0.5"
+                value={percent}
+                onChange={(e) => setPercent(e.target.value)}
+                placeholder={operation === 'reduce_percent' ? '10' : '70'}
+                className="w-20 border border-dark-border rounded-lg px-2 py-1.5 text-sm bg-dark-bg text-text-primary"
+              />
+              <span className="text-sm text-text-secondary">%</span>
+            </div>
+          )}
+
+          {operation === 'toggle_reduction' && (
+            <select
+              value={enabled ? 'on' : 'off'}
+              onChange={(e) => setEnabled(e.target.value === 'on')}
+              className="border border-dark-border rounded-lg px-2 py-1.5 text-sm bg-dark-bg text-text-primary"
+            >
+              <option value="on">On</option>
+              <option value="off">Off</option>
+            </select>
+          )}
+
+          <button
+            onClick={handleApply}
+            disabled={isStarting}
+            className={`px-3 py-1.5 rounded-lg text-sm font-medium text-white disabled:opacity-50 ${
+              operation === 'end' ? 'bg-error hover:bg-error/80' : 'bg-accent hover:bg-accent-hover'
+            }`}
+          >
+            {isStarting ? 'Starting...' : 'Apply'}
+          </button>
+          <button onClick={onClear} className="px-3 py-1.5 text-sm text-text-secondary hover:text-text-primary">
+            Clear selection
+          </button>
+        </div>
+      )}
+
+      {activeOperation && (
+        <div className="space-y-2">
+          <div className="flex items-center justify-between text-sm">
+            <span className="text-text-primary">
+              {activeOperation.label}: {activeOperation.processed} of {activeOperation.total}
+              {activeOperation.status === 'completed' && ' · done'}
+              {activeOperation.status === 'cancelled' && ' · cancelled'}
+            </span>
+            {running ? (
+              <button onClick={handleCancel} className="text-sm text-error hover:underline">Cancel</button>
+            ) : (
+              <button onClick={() => { setActiveOperation(null); setProblems([]) }} className="text-sm text-text-secondary hover:text-text-primary">
+                Dismiss
+              </button>
+            )}
+          </div>
+          <div className="w-full h-2 bg-dark-bg rounded-full overflow-hidden">
+            <div className="h-2 bg-accent transition-all" style={{ width: `${progress}%` }} />
+          </div>
+          <div className="text-xs text-text-secondary">
+            {activeOperation.succeeded} updated · {activeOperation.skipped} skipped · {activeOperation.failed} failed
+          </div>
+
+          {problems.length > 0 && (
+            <ul className="max-h-48 overflow-y-auto divide-y divide-dark-border text-xs">
+              {problems.map(item => (
+                <li key={item.listingId} className="py-1.5 flex justify-between gap-3">
+                  <span className="text-text-primary truncate">{item.title || item.sku || item.listingId}</span>
+                  <span className={item.status === 'failed' ? 'text-error' : 'text-text-tertiary'}>{item.message}</span>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,173 @@
+import { useState, useEffect, useRef } from 'react'
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query'
+import apiService from '../services/api'
+import { toast } from '../utils/toast'
+import { IMPORT_FIELDS, findMatchingProfile, hasIdentifierColumn } from '../lib/importMapping'
+
+const SAMPLE_ROWS = 3
+
+// Auto-List step 2 for files and Google Sheets: pick the column for each
+// field, with saved mapping profiles for spreadsheets laid out the same way
+export default function ColumnMapper({ headers, rows, mapping, onChange }) {
+  const queryClient = useQueryClient()
+  const [profileName, setProfileName] = useState('')
+  const [appliedProfileId, setAppliedProfileId] = useState(null)
+  const autoApplied = useRef(false)
+
+  const { data } = useQuery(['importMappings'], () => apiService.getImportMappings(), {
+    refetchOnWindowFocus: false
+  })
+  const profiles = data?.profiles || []
+
+  // A saved profile that fits this sheet beats guessing by column names
+  useEffect(() => {
+    if (autoApplied.current || !data) return
+    autoApplied.current = true
+    const profile = findMatchingProfile(profiles, headers)
+    if (profile) {
+      onChange(profile.mapping)
+      setAppliedProfileId(profile.id)
+      setProfileName(profile.name)
+    }
+  }, [data])
+
+  const saveMutation = useMutation(() => apiService.saveImportMapping({ name: profileName.trim(), mapping }), {
+    onSuccess: ({ profile }) => {
+      queryClient.invalidateQueries(['importMappings'])
+      setAppliedProfileId(profile.id)
+      toast.success(`Saved mapping "${profile.name}"`)
+    },
+    onError: (err) => toast.error(err.message)
+  })
+
+  const deleteMutation = useMutation((id) => apiService.deleteImportMapping(id), {
+    onSuccess: () => {
+      queryClient.invalidateQueries(['importMappings'])
+      setAppliedProfileId(null)
+      toast.success('Mapping deleted')
+    },
+    onError: (err) => toast.error(err.message)
+  })
+
+  const applyProfile = (id) => {
+    const profile = profiles.find(p => p.id === id)
+    if (!profile) return
+    const missing = Object.values(profile.mapping).filter(column => !headers.includes(column))
+    if (missing.length > 0) {
+      toast.error(`This sheet has no column ${missing.map(column => `"${column}"`).join(', ')}`)
+    }
+    onChange(Object.fromEntries(Object.entries(profile.mapping).filter(([, column]) => headers.includes(column))))
+    setAppliedProfileId(profile.id)
+    setProfileName(profile.name)
+  }
+
+  const setField = (key, column) => {
+    const next = { ...mapping }
+    if (column) {
+      next[key] = column
+    } else {
+      delete next[key]
+    }
+    onChange(next)
+  }
+
+  const samples = (column) => rows
+    .map(row => String(row[column] ?? '').trim())
+    .filter(Boolean)
+    .slice(0, SAMPLE_ROWS)
+
+  // The same column on two fields is allowed (e.g. ASIN as SKU), just unusual
+  const usedColumns = Object.values(mapping)
+
+  return (
+    <div className="space-y-4">
+      <p className="text-sm text-gray-600">
+        {rows.length} row(s) and {headers.length} column(s) found. Pick the column for each field;
+        ASIN, UPC or title is required, the rest is optional.
+      </p>
+
+      <div className="flex flex-col sm:flex-row gap-2 sm:items-center">
+        <select
+          value={appliedProfileId || ''}
+          onChange={(e) => applyProfile(e.target.value)}
+          className="border rounded px-3 py-2 text-sm"
+          disabled={profiles.length === 0}
+        >
+          <option value="">{profiles.length === 0 ? 'No saved mappings' : 'Apply a saved mapping…'}</option>
+          {profiles.map(profile => (
+            <option key={profile.id} value={profile.id}>{profile.name}</option>
+          ))}
+        </select>
+        {appliedProfileId && (
+          <button
+            type="button"
+            onClick={() => deleteMutation.mutate(appliedProfileId)}
+            disabled={deleteMutation.isLoading}
+            className="text-sm text-red-600 hover:text-red-800"
+          >
+            Delete saved mapping
+          </button>
+        )}
+      </div>
+
+      <div className="overflow-x-auto">
+        <table className="min-w-full divide-y divide-gray-200">
+          <thead className="bg-gray-50">
+            <tr>
+              <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Field</th>
+              <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Column</th>
+              <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Sample values</th>
+            </tr>
+          </thead>
+          <tbody className="bg-white divide-y divide-gray-200">
+            {IMPORT_FIELDS.map(field => (
+              <tr key={field.key}>
+                <td className="px-4 py-2 text-sm font-medium text-gray-900">{field.label}</td>
+                <td className="px-4 py-2 text-sm">
+                  <select
+                    value={mapping[field.key] || ''}
+                    onChange={(e) => setField(field.key, e.target.value)}
+                    className="border rounded px-2 py-1 text-sm w-full"
+                  >
+                    <option value="">— Not in this sheet —</option>
+                    {headers.map(header => (
+                      <option key={header} value={header}>
+                        {header}{usedColumns.includes(header) && mapping[field.key] !== header ? ' (mapped)' : ''}
+                      </option>
+                    ))}
+                  </select>
+                </td>
+                <td className="px-4 py-2 text-xs text-gray-500 max-w-xs truncate">
+                  {mapping[field.key] ? samples(mapping[field.key]).join(', ') || <span className="italic">empty</span> : ''}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      {!hasIdentifierColumn(mapping) && (
+        <p className="text-sm text-amber-700">Map a column to ASIN, UPC or title to continue.</p>
+      )}
+
+      <div className="flex flex-col sm:flex-row gap-2 border-t pt-4">
+        <input
+          type="text"
+          value={profileName}
+          onChange={(e) => setProfileName(e.target.value)}
+          placeholder="Name this mapping, e.g. Amazon removal order"
+          maxLength={100}
+          className="border rounded px-3 py-2 text-sm flex-1"
+        />
+        <button
+          type="button"
+          onClick={() => saveMutation.mutate()}
+          disabled={!profileName.trim() || !hasIdentifierColumn(mapping) || saveMutation.isLoading}
+          className="px-4 py-2 text-sm bg-gray-100 text-gray-700 rounded hover:bg-gray-200 disabled:opacity-50"
+        >
+          {saveMutation.isLoading ? 'Saving...' : 'Save Mapping'}
+        </button>
+      </div>
+    </div>
+  )
+}
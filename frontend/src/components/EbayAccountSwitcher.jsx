@@ -0,0 +1,24 @@
+import { useEbayAccount } from '../contexts/EbayAccountContext'
+import { ebayAccountName } from '../lib/ebayAccounts'
+
+// Layout picker for the active eBay store; only shown with two or more linked accounts
+export default function EbayAccountSwitcher({ className = '' }) {
+  const { accounts, selectedAccountId, selectAccount } = useEbayAccount()
+
+  if (accounts.length < 2) return null
+
+  return (
+    <select
+      value={selectedAccountId || ''}
+      onChange={(e) => selectAccount(e.target.value)}
+      aria-label="eBay account"
+      className={`bg-blue-700 text-white text-sm rounded-md border border-blue-500 px-2 py-1.5 focus:outline-none focus:ring-2 focus:ring-white ${className}`}
+    >
+      {accounts.map(account => (
+        <option key={account.id} value={account.id}>
+          {`${ebayAccountName(account)}${account.connection_status !== 'connected' ? ' (disconnected)' : ''}`}
+        </option>
+      ))}
+    </select>
+  )
+}
@@ -4,6 +4,7 @@ import { useNavigate } from 'react-router-dom'
 import { userAPI } from '../lib/supabase'
 import { isTokenExpiringSoon, refreshEbayToken, getTokenStatus, formatTokenExpiry } from '../utils/ebayTokenManager'
 import { toast } from '../utils/toast'
+import LinkedEbayAccounts from './LinkedEbayAccounts'
 
 export default function EbayConnect() {
   const [connectionStep, setConnectionStep] = useState('idle') // idle, connecting, connected, error, needs-setup
@@ -69,12 +70,13 @@ export default function EbayConnect() {
   }, [profile, connectionStep])
 
   // Initiate OAuth flow
-  const connectEbay = async () => {
+  // addAccount links another store instead of reconnecting the current one
+  const connectEbay = async ({ addAccount = false } = {}) => {
     try {
       setConnectionStep('connecting')
 
       // Get OAuth authorization URL from backend
-      const response = await fetch('/.netlify/functions/ebay-oauth?action=initiate', {
+      const response = await fetch(`/.netlify/functions/ebay-oauth?action=initiate${addAccount === true ? '&addAccount=true' : ''}`, {
         headers: {
           'Authorization': `Bearer ${await userAPI.getAuthToken()}`
         }
@@ -108,6 +110,7 @@ export default function EbayConnect() {
             window.ebayAuthWindow = null
             // Refresh profile to get updated connection status
             queryClient.invalidateQueries(['profile'])
+            queryClient.invalidateQueries(['ebay-accounts'])
             setConnectionStep('idle')
             // Show success message
             toast.success(`Successfully connected to eBay${event.data.ebayUser ? ` as ${event.data.ebayUser}` : ''}! Your refresh token has been securely encrypted and stored.`)
@@ -666,6 +669,9 @@ export default function EbayConnect() {
               </button>
             </div>
 
+            {/* Linked stores */}
+            <LinkedEbayAccounts onLinkAnother={() => connectEbay({ addAccount: true })} />
+
             {/* Connection Info */}
             <div className="border-t pt-4">
               <h5 className="font-medium text-gray-900 mb-3">Connection Details</h5>
@@ -0,0 +1,321 @@
+import { useState } from 'react'
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query'
+import apiService from '../services/api'
+import { toast } from '../utils/toast'
+
+const RATE_FIELDS = [
+  { key: 'defaultFinalValueFeePercentage', label: 'Final value fee (%)', step: '0.01' },
+  { key: 'tierThreshold', label: 'Lower rate above ($)', step: '0.01', placeholder: 'None' },
+  { key: 'aboveThresholdFeePercentage', label: 'Rate above threshold (%)', step: '0.01', placeholder: 'None' },
+  { key: 'perOrderFee', label: 'Per-order fee ($)', step: '0.01' },
+  { key: 'smallOrderPerOrderFee', label: 'Small order per-order fee ($)', step: '0.01' },
+  { key: 'smallOrderThreshold', label: 'Small order up to ($)', step: '0.01' }
+]
+
+const inputClassName = 'w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-indigo-500 focus:border-indigo-500 disabled:bg-gray-50'
+
+const toInput = (value) => (value === null || value === undefined ? '' : String(value))
+const toDateInput = (value) => (value ? new Date(value).toISOString().slice(0, 10) : '')
+
+// Form state for a schedule from fee-schedules
+const toForm = (schedule) => ({
+  name: schedule.name,
+  effectiveFrom: toDateInput(schedule.effectiveFrom),
+  notes: schedule.notes || '',
+  ...Object.fromEntries(RATE_FIELDS.map(field => [field.key, toInput(schedule[field.key])])),
+  categories: schedule.categories.map(category => ({
+    categoryId: category.categoryId,
+    categoryName: category.categoryName || '',
+    finalValueFeePercentage: toInput(category.finalValueFeePercentage)
+  }))
+})
+
+const formatDate = (value) => new Date(value).toLocaleDateString()
+
+// Admin Settings → eBay Fee Tables. Versions can be edited until they take
+// effect; after that a new version replaces them.
+export default function FeeSchedulesCard() {
+  const queryClient = useQueryClient()
+  const [openId, setOpenId] = useState(null)
+  const [form, setForm] = useState(null)
+
+  const { data, isLoading, error } = useQuery(['feeSchedules'], () => apiService.getFeeSchedules(), {
+    refetchOnWindowFocus: false
+  })
+  const schedules = data?.schedules || []
+  const canEdit = data?.canEdit || false
+
+  const { data: openSchedule } = useQuery(
+    ['feeSchedule', openId],
+    async () => (await apiService.getFeeSchedule(openId)).schedule,
+    {
+      enabled: !!openId,
+      refetchOnWindowFocus: false,
+      onSuccess: (schedule) => setForm(toForm(schedule))
+    }
+  )
+  const openSummary = schedules.find(schedule => schedule.id === openId)
+  const editable = canEdit && openSummary?.editable
+
+  const refresh = () => {
+    queryClient.invalidateQueries(['feeSchedules'])
+    queryClient.invalidateQueries(['feeSchedule'])
+    queryClient.invalidateQueries(['feeEstimates'])
+  }
+
+  const createMutation = useMutation(
+    () => apiService.createFeeScheduleVersion({ copyFromId: data?.active?.id || undefined }),
+    {
+      onSuccess: ({ schedule }) => {
+        refresh()
+        setForm(null)
+        setOpenId(schedule.id)
+        toast.success(`Version ${schedule.version} created. It takes effect on ${formatDate(schedule.effectiveFrom)}.`)
+      },
+      onError: (err) => toast.error(err.message)
+    }
+  )
+
+  const saveMutation = useMutation(
+    () => apiService.updateFeeSchedule(openId, {
+      ...form,
+      notes: form.notes || null,
+      categories: form.categories.filter(category => category.categoryId.trim())
+    }),
+    {
+      onSuccess: () => {
+        refresh()
+        toast.success('Fee table saved')
+      },
+      onError: (err) => toast.error(err.message)
+    }
+  )
+
+  const deleteMutation = useMutation((id) => apiService.deleteFeeSchedule(id), {
+    onSuccess: () => {
+      refresh()
+      setOpenId(null)
+      setForm(null)
+      toast.success('Version deleted')
+    },
+    onError: (err) => toast.error(err.message)
+  })
+
+  const setField = (key, value) => setForm(prev => ({ ...prev, [key]: value }))
+
+  const setCategory = (index, key, value) => setForm(prev => ({
+    ...prev,
+    categories: prev.categories.map((category, i) => i === index ? { ...category, [key]: value } : category)
+  }))
+
+  const addCategory = () => setForm(prev => ({
+    ...prev,
+    categories: [...prev.categories, { categoryId: '', categoryName: '', finalValueFeePercentage: '' }]
+  }))
+
+  const removeCategory = (index) => setForm(prev => ({
+    ...prev,
+    categories: prev.categories.filter((_, i) => i !== index)
+  }))
+
+  const handleDelete = (schedule) => {
+    if (window.confirm(`Delete version ${schedule.version}? It has not taken effect yet.`)) {
+      deleteMutation.mutate(schedule.id)
+    }
+  }
+
+  return (
+    <div className="bg-white shadow rounded-lg p-6 mb-6">
+      <div className="flex items-center justify-between mb-2">
+        <h2 className="text-xl font-semibold text-gray-900">eBay Fee Tables</h2>
+        {canEdit && (
+          <button
+            type="button"
+            onClick={() => createMutation.mutate()}
+            disabled={createMutation.isLoading}
+            className="px-3 py-1 text-sm bg-indigo-600 text-white rounded-md hover:bg-indigo-700 disabled:bg-gray-400"
+          >
+            {createMutation.isLoading ? 'Creating...' : 'New version'}
+          </button>
+        )}
+      </div>
+      <p className="text-sm text-gray-600 mb-4">
+        Used for net proceeds estimates when a seller has not entered their own fee rates. A new version
+        starts as a copy of the current one and can be edited until it takes effect.
+      </p>
+
+      {isLoading ? (
+        <p className="text-sm text-gray-600">Loading fee tables...</p>
+      ) : error ? (
+        <p className="text-sm text-red-600">{error.message}</p>
+      ) : (
+        <ul className="divide-y divide-gray-100 mb-4">
+          {schedules.map(schedule => (
+            <li key={schedule.id} className="py-2 flex items-center justify-between gap-3">
+              <div className="text-sm text-gray-900">
+                v{schedule.version} &middot; {schedule.name} &middot; from {formatDate(schedule.effectiveFrom)}
+                {schedule.active && (
+                  <span className="ml-2 px-2 py-0.5 rounded text-xs bg-green-100 text-green-700">In effect</span>
+                )}
+                {schedule.editable && (
+                  <span className="ml-2 px-2 py-0.5 rounded text-xs bg-yellow-100 text-yellow-800">Scheduled</span>
+                )}
+                <div className="text-xs text-gray-500">
+                  {schedule.defaultFinalValueFeePercentage}% + ${schedule.perOrderFee.toFixed(2)} per order
+                </div>
+              </div>
+              <div className="flex gap-2">
+                <button
+                  type="button"
+                  onClick={() => {
+                    setForm(null)
+                    setOpenId(openId === schedule.id ? null : schedule.id)
+                  }}
+                  className="text-sm text-indigo-600 hover:text-indigo-800"
+                >
+                  {openId === schedule.id ? 'Close' : canEdit && schedule.editable ? 'Edit' : 'View'}
+                </button>
+                {canEdit && schedule.editable && (
+                  <button
+                    type="button"
+                    onClick={() => handleDelete(schedule)}
+                    disabled={deleteMutation.isLoading}
+                    className="text-sm text-red-600 hover:text-red-800"
+                  >
+                    Delete
+                  </button>
+                )}
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {openId && openSchedule && form && (
+        <div className="border-t pt-4 space-y-4">
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Name</label>
+              <input
+                type="text"
+                value={form.name}
+                onChange={(e) => setField('name', e.target.value)}
+                disabled={!editable}
+                className={inputClassName}
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Takes effect</label>
+              <input
+                type="date"
+                value={form.effectiveFrom}
+                onChange={(e) => setField('effectiveFrom', e.target.value)}
+                disabled={!editable}
+                className={inputClassName}
+              />
+            </div>
+            {RATE_FIELDS.map(field => (
+              <div key={field.key}>
+                <label className="block text-sm font-medium text-gray-700 mb-1">{field.label}</label>
+                <input
+                  type="number"
+                  min="0"
+                  step={field.step}
+                  placeholder={field.placeholder}
+                  value={form[field.key]}
+                  onChange={(e) => setField(field.key, e.target.value)}
+                  disabled={!editable}
+                  className={inputClassName}
+                />
+              </div>
+            ))}
+          </div>
+
+          <div>
+            <h3 className="text-sm font-medium text-gray-700 mb-2">Category rates</h3>
+            {form.categories.length === 0 && (
+              <p className="text-sm text-gray-600 mb-2">Every category uses the final value fee above.</p>
+            )}
+            {form.categories.map((category, index) => (
+              <div key={index} className="grid grid-cols-12 gap-2 mb-2">
+                <input
+                  type="text"
+                  value={category.categoryId}
+                  onChange={(e) => setCategory(index, 'categoryId', e.target.value)}
+                  disabled={!editable}
+                  placeholder="Category ID"
+                  className={`${inputClassName} col-span-3`}
+                />
+                <input
+                  type="text"
+                  value={category.categoryName}
+                  onChange={(e) => setCategory(index, 'categoryName', e.target.value)}
+                  disabled={!editable}
+                  placeholder="Name"
+                  className={`${inputClassName} col-span-5`}
+                />
+                <input
+                  type="number"
+                  min="0"
+                  step="0.01"
+                  value={category.finalValueFeePercentage}
+                  onChange={(e) => setCategory(index, 'finalValueFeePercentage', e.target.value)}
+                  disabled={!editable}
+                  placeholder="%"
+                  className={`${inputClassName} col-span-3`}
+                />
+                {editable && (
+                  <button
+                    type="button"
+                    onClick={() => removeCategory(index)}
+                    className="col-span-1 text-sm text-red-600 hover:text-red-800"
+                    aria-label="Remove category"
+                  >
+                    ✕
+                  </button>
+                )}
+              </div>
+            ))}
+            {editable && (
+              <button
+                type="button"
+                onClick={addCategory}
+                className="text-sm text-indigo-600 hover:text-indigo-800"
+              >
+                + Add category
+              </button>
+            )}
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Notes</label>
+            <textarea
+              rows={2}
+              value={form.notes}
+              onChange={(e) => setField('notes', e.target.value)}
+              disabled={!editable}
+              className={inputClassName}
+            />
+          </div>
+
+          {editable ? (
+            <button
+              type="button"
+              onClick={() => saveMutation.mutate()}
+              disabled={saveMutation.isLoading}
+              className="px-4 py-2 bg-indigo-600 text-white rounded-md hover:bg-indigo-700 disabled:bg-gray-400"
+            >
+              {saveMutation.isLoading ? 'Saving...' : 'Save version'}
+            </button>
+          ) : (
+            <p className="text-sm text-gray-500">
+              {canEdit
+                ? 'This version has taken effect. Create a new version to change the rates.'
+                : 'Only administrators can change the fee tables.'}
+            </p>
+          )}
+        </div>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,185 @@
+import { useState } from 'react'
+import { useMutation, useQueryClient } from '@tanstack/react-query'
+import { useEbayAccount } from '../contexts/EbayAccountContext'
+import { ebayAccountsAPI, ebayAccountName } from '../lib/ebayAccounts'
+import { toast } from '../utils/toast'
+
+const EDITABLE_FIELDS = [
+  { key: 'label', label: 'Name', placeholder: 'e.g. Main store' },
+  { key: 'sku_prefix', label: 'SKU Prefix', placeholder: 'e.g. MAIN-' },
+  { key: 'fulfillment_policy_id', label: 'Shipping Policy ID', placeholder: 'Fulfillment policy ID' },
+  { key: 'payment_policy_id', label: 'Payment Policy ID', placeholder: 'Payment policy ID' },
+  { key: 'return_policy_id', label: 'Return Policy ID', placeholder: 'Return policy ID' }
+]
+
+// Stores linked to this user (ebay_accounts): name, SKU prefix and business
+// policies per store, default store, disconnect
+export default function LinkedEbayAccounts({ onLinkAnother }) {
+  const { accounts } = useEbayAccount()
+  const queryClient = useQueryClient()
+  const [editingId, setEditingId] = useState(null)
+  const [form, setForm] = useState({})
+
+  const onSuccess = (updated) => {
+    if (Array.isArray(updated)) {
+      queryClient.setQueryData(['ebay-accounts'], updated)
+    }
+    queryClient.invalidateQueries(['ebay-accounts'])
+  }
+
+  const updateMutation = useMutation(
+    ({ accountId, fields }) => ebayAccountsAPI.update(accountId, fields),
+    {
+      onSuccess: (updated) => {
+        onSuccess(updated)
+        setEditingId(null)
+        toast.success('eBay account updated')
+      },
+      onError: (error) => toast.error(`Failed to update eBay account: ${error.message}`)
+    }
+  )
+
+  const defaultMutation = useMutation(
+    (accountId) => ebayAccountsAPI.setDefault(accountId),
+    {
+      onSuccess,
+      onError: (error) => toast.error(`Failed to change default account: ${error.message}`)
+    }
+  )
+
+  const disconnectMutation = useMutation(
+    (accountId) => ebayAccountsAPI.disconnect(accountId),
+    {
+      onSuccess: () => {
+        onSuccess()
+        queryClient.invalidateQueries(['profile'])
+        toast.success('eBay account disconnected')
+      },
+      onError: (error) => toast.error(`Failed to disconnect eBay account: ${error.message}`)
+    }
+  )
+
+  const startEditing = (account) => {
+    setEditingId(account.id)
+    setForm(Object.fromEntries(EDITABLE_FIELDS.map(({ key }) => [key, account[key] || ''])))
+  }
+
+  const handleDisconnect = (account) => {
+    if (!confirm(`Disconnect ${ebayAccountName(account)}?\n\nIts listings are kept but will not sync or reduce until you reconnect it.`)) return
+    disconnectMutation.mutate(account.id)
+  }
+
+  return (
+    <div className="border border-gray-200 rounded-lg">
+      <div className="px-4 py-3 border-b border-gray-200 flex items-center justify-between">
+        <div>
+          <h5 className="font-medium text-gray-900">Linked eBay Accounts</h5>
+          <p className="text-xs text-gray-500 mt-0.5">
+            Each store has its own listings, business policies and SKU prefix. Switch stores from the top bar.
+          </p>
+        </div>
+        <button
+          onClick={onLinkAnother}
+          className="text-sm text-blue-600 hover:text-blue-700 font-medium whitespace-nowrap ml-4"
+        >
+          + Link another account
+        </button>
+      </div>
+
+      {accounts.length === 0 ? (
+        <p className="px-4 py-3 text-sm text-gray-500">No linked accounts yet.</p>
+      ) : (
+        <ul className="divide-y divide-gray-200">
+          {accounts.map(account => (
+            <li key={account.id} className="px-4 py-3">
+              <div className="flex items-center justify-between gap-3">
+                <div className="min-w-0">
+                  <div className="flex items-center gap-2">
+                    <span className="font-medium text-gray-900 truncate">{ebayAccountName(account)}</span>
+                    {account.is_default && (
+                      <span className="text-xs bg-blue-100 text-blue-800 px-2 py-0.5 rounded-full">Default</span>
+                    )}
+                    {account.connection_status !== 'connected' && (
+                      <span className="text-xs bg-yellow-100 text-yellow-800 px-2 py-0.5 rounded-full capitalize">
+                        {account.connection_status}
+                      </span>
+                    )}
+                  </div>
+                  <p className="text-xs text-gray-500 mt-0.5">
+                    {account.ebay_user_id ? `eBay user: ${account.ebay_user_id}` : 'eBay user unknown'}
+                    {account.sku_prefix ? ` · SKU prefix ${account.sku_prefix}` : ''}
+                  </p>
+                </div>
+                <div className="flex items-center gap-3 text-sm whitespace-nowrap">
+                  {!account.is_default && account.connection_status === 'connected' && (
+                    <button
+                      onClick={() => defaultMutation.mutate(account.id)}
+                      disabled={defaultMutation.isLoading}
+                      className="text-gray-600 hover:text-gray-900 disabled:opacity-50"
+                    >
+                      Make default
+                    </button>
+                  )}
+                  <button
+                    onClick={() => (editingId === account.id ? setEditingId(null) : startEditing(account))}
+                    className="text-blue-600 hover:text-blue-700"
+                  >
+                    {editingId === account.id ? 'Cancel' : 'Edit'}
+                  </button>
+                  {account.connection_status === 'connected' ? (
+                    <button
+                      onClick={() => handleDisconnect(account)}
+                      disabled={disconnectMutation.isLoading}
+                      className="text-red-600 hover:text-red-700 disabled:opacity-50"
+                    >
+                      Disconnect
+                    </button>
+                  ) : (
+                    <button
+                      onClick={onLinkAnother}
+                      className="text-green-600 hover:text-green-700"
+                    >
+                      Reconnect
+                    </button>
+                  )}
+                </div>
+              </div>
+
+              {editingId === account.id && (
+                <form
+                  className="mt-3 grid grid-cols-1 sm:grid-cols-2 gap-3"
+                  onSubmit={(e) => {
+                    e.preventDefault()
+                    updateMutation.mutate({ accountId: account.id, fields: form })
+                  }}
+                >
+                  {EDITABLE_FIELDS.map(({ key, label, placeholder }) => (
+                    <label key={key} className="block">
+                      <span className="block text-xs font-medium text-gray-700 mb-1">{label}</span>
+                      <input
+                        type="text"
+                        value={form[key]}
+                        onChange={(e) => setForm({ ...form, [key]: e.target.value })}
+                        placeholder={placeholder}
+                        className="w-full px-3 py-2 text-sm border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                      />
+                    </label>
+                  ))}
+                  <div className="sm:col-span-2 flex justify-end">
+                    <button
+                      type="submit"
+                      disabled={updateMutation.isLoading}
+                      className="bg-blue-600 text-white px-4 py-2 rounded-md text-sm hover:bg-blue-700 disabled:opacity-50"
+                    >
+                      {updateMutation.isLoading ? 'Saving...' : 'Save'}
+                    </button>
+                  </div>
+                </form>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  )
+}
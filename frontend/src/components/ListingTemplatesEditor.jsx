@@ -0,0 +1,378 @@
+import { useState } from 'react'
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query'
+import apiService from '../services/api'
+import { toast } from '../utils/toast'
+
+const EMPTY_TEMPLATE = {
+  name: '',
+  titleTemplate: '{{brand}} {{model}} {{title}}',
+  descriptionTemplate: '<h2>{{title}}</h2>\n{{description}}\n<h3>Item specifics</h3>\n{{aspects}}\n<p>Condition: {{condition}}</p>',
+  isDefault: false,
+  variants: []
+}
+
+// Rendered in the editor's preview; real listings use their own data
+const SAMPLE_LISTING = {
+  title: 'Wireless Noise Cancelling Over-Ear Headphones with 30 Hour Battery',
+  description: '<p>Immersive sound with active noise cancelling and a comfortable fit.</p>',
+  condition: '1500',
+  aspects: {
+    Brand: ['Acme'],
+    Model: ['WH-1000'],
+    Color: ['Black'],
+    'Connectivity': ['Bluetooth']
+  }
+}
+
+const PLACEHOLDER_HELP = [
+  ['{{title}}', 'Original title'],
+  ['{{brand}} {{model}} {{mpn}}', 'From the item specifics'],
+  ['{{condition}} {{category}}', 'As resolved for eBay'],
+  ['{{aspect:Color}}', 'Any item specific by name'],
+  ['{{description}}', 'Original description (description only)'],
+  ['{{aspects}}', 'All item specifics as a list (description only)']
+]
+
+const inputClassName = 'w-full border rounded px-3 py-2'
+
+// Listing Settings → Listing Templates: title and description templates
+// picked in Create Listing and Auto-List
+export default function ListingTemplatesEditor() {
+  const queryClient = useQueryClient()
+  const [form, setForm] = useState(null)
+  const [preview, setPreview] = useState(null)
+  const [previewCategoryId, setPreviewCategoryId] = useState('')
+
+  const { data, isLoading, error } = useQuery(['listingTemplates'], () => apiService.getListingTemplates())
+  const templates = data?.templates || []
+
+  const saveMutation = useMutation((template) => apiService.saveListingTemplate(template), {
+    onSuccess: ({ template }) => {
+      queryClient.invalidateQueries(['listingTemplates'])
+      setForm(toForm(template))
+      toast.success('Template saved')
+    },
+    onError: (err) => toast.error(err.message)
+  })
+
+  const deleteMutation = useMutation((id) => apiService.deleteListingTemplate(id), {
+    onSuccess: () => {
+      queryClient.invalidateQueries(['listingTemplates'])
+      setForm(null)
+      setPreview(null)
+      toast.success('Template deleted')
+    },
+    onError: (err) => toast.error(err.message)
+  })
+
+  const previewMutation = useMutation(
+    () => apiService.previewListingTemplate({
+      template: toPayload(form),
+      listing: SAMPLE_LISTING,
+      categoryId: previewCategoryId || null
+    }),
+    {
+      onSuccess: (result) => setPreview(result.preview),
+      onError: (err) => {
+        setPreview(null)
+        toast.error(err.message)
+      }
+    }
+  )
+
+  const openForm = (template) => {
+    setForm(template ? toForm(template) : { ...EMPTY_TEMPLATE, variants: [] })
+    setPreview(null)
+    setPreviewCategoryId('')
+  }
+
+  const setField = (key, value) => {
+    setForm(prev => ({ ...prev, [key]: value }))
+    setPreview(null)
+  }
+
+  const setVariant = (index, key, value) => {
+    setForm(prev => ({
+      ...prev,
+      variants: prev.variants.map((variant, i) => i === index ? { ...variant, [key]: value } : variant)
+    }))
+    setPreview(null)
+  }
+
+  const addVariant = () => setForm(prev => ({
+    ...prev,
+    variants: [...prev.variants, { categoryId: '', categoryName: '', titleTemplate: '', descriptionTemplate: '' }]
+  }))
+
+  const removeVariant = (index) => {
+    setForm(prev => ({ ...prev, variants: prev.variants.filter((_, i) => i !== index) }))
+    setPreview(null)
+  }
+
+  const handleDelete = (template) => {
+    if (window.confirm(`Delete the template "${template.name}"?`)) {
+      deleteMutation.mutate(template.id)
+    }
+  }
+
+  return (
+    <div className="mb-6 border rounded-lg p-4">
+      <div className="flex items-center justify-between mb-2">
+        <h2 className="text-xl font-semibold">Listing Templates</h2>
+        <button
+          type="button"
+          onClick={() => openForm(null)}
+          className="text-sm bg-blue-600 text-white px-3 py-1 rounded hover:bg-blue-700"
+        >
+          New Template
+        </button>
+      </div>
+      <p className="text-sm text-gray-600 mb-4">
+        Build titles and descriptions from product data when creating listings. Titles are trimmed to
+        eBay's 80 characters and descriptions are cleaned of scripts and other content eBay does not allow.
+      </p>
+
+      {isLoading ? (
+        <p className="text-sm text-gray-600">Loading templates...</p>
+      ) : error ? (
+        <p className="text-sm text-red-600">{error.message}</p>
+      ) : templates.length === 0 ? (
+        <p className="text-sm text-gray-600 mb-2">No templates yet. Listings use the product title and description as they are.</p>
+      ) : (
+        <ul className="divide-y mb-4">
+          {templates.map(template => (
+            <li key={template.id} className="py-2 flex items-center justify-between gap-3">
+              <div className="text-sm">
+                <span className="font-medium">{template.name}</span>
+                {template.isDefault && (
+                  <span className="ml-2 px-2 py-0.5 rounded text-xs bg-blue-100 text-blue-700">Default</span>
+                )}
+                {template.variants.length > 0 && (
+                  <span className="ml-2 text-xs text-gray-500">
+                    {template.variants.length} category variant{template.variants.length === 1 ? '' : 's'}
+                  </span>
+                )}
+                <div className="text-xs text-gray-500 font-mono truncate">{template.titleTemplate}</div>
+              </div>
+              <div className="flex gap-3">
+                <button type="button" onClick={() => openForm(template)} className="text-sm text-blue-600 hover:text-blue-800">
+                  Edit
+                </button>
+                <button
+                  type="button"
+                  onClick={() => handleDelete(template)}
+                  disabled={deleteMutation.isLoading}
+                  className="text-sm text-red-600 hover:text-red-800"
+                >
+                  Delete
+                </button>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {form && (
+        <div className="border-t pt-4 space-y-4">
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm font-medium mb-1">Name</label>
+              <input
+                type="text"
+                className={inputClassName}
+                value={form.name}
+                onChange={(e) => setField('name', e.target.value)}
+                placeholder="e.g., Electronics"
+              />
+            </div>
+            <label className="flex items-center gap-2 text-sm sm:mt-6">
+              <input
+                type="checkbox"
+                checked={form.isDefault}
+                onChange={(e) => setField('isDefault', e.target.checked)}
+              />
+              Preselect this template when creating listings
+            </label>
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium mb-1">Title</label>
+            <input
+              type="text"
+              className={`${inputClassName} font-mono text-sm`}
+              value={form.titleTemplate}
+              onChange={(e) => setField('titleTemplate', e.target.value)}
+            />
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium mb-1">Description (HTML)</label>
+            <textarea
+              rows={6}
+              className={`${inputClassName} font-mono text-sm`}
+              value={form.descriptionTemplate}
+              onChange={(e) => setField('descriptionTemplate', e.target.value)}
+            />
+          </div>
+
+          <details className="text-sm">
+            <summary className="text-blue-600 cursor-pointer">Placeholders</summary>
+            <ul className="mt-2 ml-4 space-y-1 text-gray-600">
+              {PLACEHOLDER_HELP.map(([placeholder, help]) => (
+                <li key={placeholder}>
+                  <code className="bg-gray-100 px-1 rounded">{placeholder}</code> {help}
+                </li>
+              ))}
+            </ul>
+            <p className="mt-2 text-xs text-gray-500">
+              Empty placeholders are left out, along with the separators around them in titles.
+            </p>
+          </details>
+
+          <div>
+            <h3 className="text-sm font-medium mb-2">Category variants</h3>
+            <p className="text-xs text-gray-500 mb-2">
+              Replace the title and/or description for listings in one eBay category. Leave a field empty to use the template's own.
+            </p>
+            {form.variants.map((variant, index) => (
+              <div key={index} className="border rounded p-3 mb-2 space-y-2">
+                <div className="grid grid-cols-12 gap-2">
+                  <input
+                    type="text"
+                    className={`${inputClassName} col-span-4`}
+                    value={variant.categoryId}
+                    onChange={(e) => setVariant(index, 'categoryId', e.target.value)}
+                    placeholder="eBay category ID"
+                  />
+                  <input
+                    type="text"
+                    className={`${inputClassName} col-span-7`}
+                    value={variant.categoryName}
+                    onChange={(e) => setVariant(index, 'categoryName', e.target.value)}
+                    placeholder="Category name (for your reference)"
+                  />
+                  <button
+                    type="button"
+                    onClick={() => removeVariant(index)}
+                    className="col-span-1 text-sm text-red-600 hover:text-red-800"
+                    aria-label="Remove variant"
+                  >
+                    ✕
+                  </button>
+                </div>
+                <input
+                  type="text"
+                  className={`${inputClassName} font-mono text-sm`}
+                  value={variant.titleTemplate}
+                  onChange={(e) => setVariant(index, 'titleTemplate', e.target.value)}
+                  placeholder="Title (optional)"
+                />
+                <textarea
+                  rows={3}
+                  className={`${inputClassName} font-mono text-sm`}
+                  value={variant.descriptionTemplate}
+                  onChange={(e) => setVariant(index, 'descriptionTemplate', e.target.value)}
+                  placeholder="Description (optional)"
+                />
+              </div>
+            ))}
+            <button type="button" onClick={addVariant} className="text-sm text-blue-600 hover:text-blue-800">
+              + Add category variant
+            </button>
+          </div>
+
+          <div className="flex flex-wrap items-center gap-3">
+            <button
+              type="button"
+              onClick={() => saveMutation.mutate(toPayload(form))}
+              disabled={saveMutation.isLoading || !form.name.trim()}
+              className="bg-blue-600 text-white px-4 py-2 rounded hover:bg-blue-700 disabled:bg-gray-400"
+            >
+              {saveMutation.isLoading ? 'Saving...' : 'Save Template'}
+            </button>
+            <button
+              type="button"
+              onClick={() => previewMutation.mutate()}
+              disabled={previewMutation.isLoading}
+              className="border px-4 py-2 rounded hover:bg-gray-50 disabled:text-gray-400"
+            >
+              {previewMutation.isLoading ? 'Rendering...' : 'Preview'}
+            </button>
+            {form.variants.some(variant => variant.categoryId) && (
+              <select
+                className="border rounded px-3 py-2 text-sm"
+                value={previewCategoryId}
+                onChange={(e) => { setPreviewCategoryId(e.target.value); setPreview(null) }}
+              >
+                <option value="">Preview without a category</option>
+                {form.variants.filter(variant => variant.categoryId).map(variant => (
+                  <option key={variant.categoryId} value={variant.categoryId}>
+                    As category {variant.categoryName || variant.categoryId}
+                  </option>
+                ))}
+              </select>
+            )}
+            <button type="button" onClick={() => setForm(null)} className="text-sm text-gray-600 hover:text-gray-800">
+              Close
+            </button>
+          </div>
+
+          {preview && <TemplatePreview preview={preview} note="Rendered with a sample product." />}
+        </div>
+      )}
+    </div>
+  )
+}
+
+// Rendered title and description from the templates endpoint or validate mode
+export function TemplatePreview({ preview, note = null }) {
+  return (
+    <div className="border rounded p-4 bg-gray-50 text-sm space-y-2">
+      {note && <p className="text-xs text-gray-500">{note}</p>}
+      <div>
+        <span className="text-gray-500">Title ({preview.title.length}/80):</span>{' '}
+        <span className="font-semibold">{preview.title}</span>
+      </div>
+      {preview.warnings?.length > 0 && (
+        <ul className="list-disc list-inside text-yellow-700">
+          {preview.warnings.map((warning, idx) => <li key={idx}>{warning}</li>)}
+        </ul>
+      )}
+      {/* Sanitized by the server before it gets here */}
+      <div
+        className="border rounded p-3 bg-white max-h-64 overflow-y-auto"
+        dangerouslySetInnerHTML={{ __html: preview.description }}
+      />
+    </div>
+  )
+}
+
+function toForm(template) {
+  return {
+    id: template.id,
+    name: template.name,
+    titleTemplate: template.titleTemplate,
+    descriptionTemplate: template.descriptionTemplate,
+    isDefault: template.isDefault,
+    variants: template.variants.map(variant => ({
+      categoryId: variant.categoryId,
+      categoryName: variant.categoryName || '',
+      titleTemplate: variant.titleTemplate || '',
+      descriptionTemplate: variant.descriptionTemplate || ''
+    }))
+  }
+}
+
+// Empty variant rows are dropped; empty fields fall back to the template
+function toPayload(form) {
+  return {
+    ...form,
+    variants: form.variants
+      .filter(variant => variant.categoryId.trim())
+      .map(variant => ({
+        ...variant,
+        titleTemplate: variant.titleTemplate || null,
+        descriptionTemplate: variant.descriptionTemplate || null
+      }))
+  }
+}
@@ -0,0 +1,353 @@
+import { useState } from 'react'
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query'
+import { organizationsAPI, ORG_ROLE_LABELS, invitationLink } from '../lib/organizations'
+import { toast } from '../utils/toast'
+
+const ROLE_DESCRIPTIONS = {
+  manager: 'Can change listings and strategies, reduce prices, end listings and invite people',
+  viewer: 'Can see listings, strategies and pricing history, but cannot change them'
+}
+
+// Account → Team: organizations, members, roles and invitations.
+// inviteToken comes from an invitation link (?invite=...); it is shown, not accepted.
+export default function TeamSettings({ inviteToken = null, onInviteHandled }) {
+  const queryClient = useQueryClient()
+  const [newOrgName, setNewOrgName] = useState('')
+  const [inviteForms, setInviteForms] = useState({})
+
+  const { data, isLoading, error } = useQuery(['organizations'], () => organizationsAPI.list())
+  const organizations = data?.organizations || []
+  const pendingInvitations = data?.pendingInvitations || []
+
+  // Teammates' listings and strategies become visible (or disappear)
+  const refresh = () => {
+    queryClient.invalidateQueries(['organizations'])
+    queryClient.invalidateQueries(['listings'])
+    queryClient.invalidateQueries(['strategies'])
+  }
+
+  const mutationOptions = (successMessage) => ({
+    onSuccess: () => {
+      refresh()
+      if (successMessage) toast.success(successMessage)
+    },
+    onError: (err) => toast.error(err.message)
+  })
+
+  const createMutation = useMutation((name) => organizationsAPI.create(name), {
+    onSuccess: () => {
+      refresh()
+      setNewOrgName('')
+      toast.success('Team created')
+    },
+    onError: (err) => toast.error(err.message)
+  })
+
+  const inviteMutation = useMutation(
+    ({ organizationId, email, role }) => organizationsAPI.invite(organizationId, email, role),
+    {
+      onSuccess: ({ invitation }, { organizationId }) => {
+        refresh()
+        setInviteForms(prev => ({ ...prev, [organizationId]: { email: '', role: prev[organizationId]?.role || 'viewer' } }))
+        navigator.clipboard?.writeText(invitationLink(invitation.token)).catch(() => {})
+        toast.success(`Invitation created for ${invitation.email}. The link has been copied - send it to them.`)
+      },
+      onError: (err) => toast.error(err.message)
+    }
+  )
+
+  const acceptMutation = useMutation((token) => organizationsAPI.accept(token), {
+    ...mutationOptions('You joined the team'),
+    onSettled: () => onInviteHandled?.()
+  })
+  const roleMutation = useMutation(
+    ({ organizationId, userId, role }) => organizationsAPI.updateRole(organizationId, userId, role),
+    mutationOptions('Role updated')
+  )
+  const removeMutation = useMutation(
+    ({ organizationId, userId }) => organizationsAPI.removeMember(organizationId, userId),
+    mutationOptions('Member removed')
+  )
+  const leaveMutation = useMutation((organizationId) => organizationsAPI.leave(organizationId), mutationOptions('You left the team'))
+  const revokeMutation = useMutation((invitationId) => organizationsAPI.revokeInvite(invitationId), mutationOptions('Invitation revoked'))
+  const deleteMutation = useMutation((organizationId) => organizationsAPI.remove(organizationId), mutationOptions('Team deleted'))
+
+  // An invitation link only shows the invitation; joining waits for the Accept button
+  const linkedInvitation = inviteToken ? pendingInvitations.find(invite => invite.token === inviteToken) : null
+  const otherInvitations = pendingInvitations.filter(invite => invite !== linkedInvitation)
+
+  const inviteForm = (organizationId) => inviteForms[organizationId] || { email: '', role: 'viewer' }
+  const setInviteForm = (organizationId, changes) =>
+    setInviteForms(prev => ({ ...prev, [organizationId]: { ...inviteForm(organizationId), ...changes } }))
+
+  const copyLink = (token) => {
+    navigator.clipboard?.writeText(invitationLink(token))
+      .then(() => toast.success('Invitation link copied'))
+      .catch(() => toast.error('Could not copy the link'))
+  }
+
+  if (isLoading) {
+    return <div className="text-center py-8 text-gray-500">Loading teams...</div>
+  }
+
+  if (error) {
+    return <div className="text-red-600 text-sm">Failed to load teams: {error.message}</div>
+  }
+
+  return (
+    <div className="space-y-6">
+      <div>
+        <h3 className="text-lg font-medium text-gray-900">Team</h3>
+        <p className="text-sm text-gray-600">
+          Share your stores with teammates. Everyone in a team sees each other's listings, strategies and pricing history.
+        </p>
+      </div>
+
+      {inviteToken && (
+        <div className="border border-blue-300 bg-blue-50 rounded-lg p-4 space-y-3">
+          {linkedInvitation ? (
+            <>
+              <div>
+                <h4 className="font-medium text-blue-900">
+                  {linkedInvitation.organizationName || 'A team'} invited you as {ORG_ROLE_LABELS[linkedInvitation.role]}
+                </h4>
+                <p className="text-sm text-blue-900 mt-1">
+                  {ROLE_DESCRIPTIONS[linkedInvitation.role]} in this team.
+                </p>
+                <p className="text-sm text-blue-900 mt-1">
+                  Joining shares your stores with the team: its owner and managers will be able to change your
+                  listings and strategies, reduce your prices and end listings on your eBay account.
+                </p>
+              </div>
+              <div className="flex gap-2">
+                <button
+                  onClick={() => acceptMutation.mutate(linkedInvitation.token)}
+                  disabled={acceptMutation.isLoading}
+                  className="bg-blue-600 text-white px-3 py-1.5 rounded-md text-sm hover:bg-blue-700 disabled:opacity-50"
+                >
+                  {acceptMutation.isLoading ? 'Joining...' : 'Accept'}
+                </button>
+                <button
+                  onClick={() => onInviteHandled?.()}
+                  disabled={acceptMutation.isLoading}
+                  className="border border-gray-300 bg-white text-gray-700 px-3 py-1.5 rounded-md text-sm hover:bg-gray-50 disabled:opacity-50"
+                >
+                  Not now
+                </button>
+              </div>
+            </>
+          ) : (
+            <div className="flex items-center justify-between text-sm">
+              <span className="text-blue-900">
+                This invitation link has expired, was already used or was sent to a different email address.
+              </span>
+              <button
+                onClick={() => onInviteHandled?.()}
+                className="border border-gray-300 bg-white text-gray-700 px-3 py-1.5 rounded-md hover:bg-gray-50"
+              >
+                Dismiss
+              </button>
+            </div>
+          )}
+        </div>
+      )}
+
+      {otherInvitations.length > 0 && (
+        <div className="border border-blue-200 bg-blue-50 rounded-lg p-4 space-y-2">
+          <h4 className="font-medium text-blue-900">Invitations for you</h4>
+          {otherInvitations.map(invite => (
+            <div key={invite.id} className="flex items-center justify-between text-sm">
+              <span className="text-blue-900">
+                {invite.organizationName || 'A team'} · {ORG_ROLE_LABELS[invite.role]}
+              </span>
+              <button
+                onClick={() => acceptMutation.mutate(invite.token)}
+                disabled={acceptMutation.isLoading}
+                className="bg-blue-600 text-white px-3 py-1.5 rounded-md hover:bg-blue-700 disabled:opacity-50"
+              >
+                Join
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {organizations.map(org => {
+        const canInvite = org.role === 'owner' || org.role === 'manager'
+        const isOwner = org.role === 'owner'
+        const form = inviteForm(org.id)
+
+        return (
+          <div key={org.id} className="border border-gray-200 rounded-lg">
+            <div className="px-4 py-3 border-b border-gray-200 flex items-center justify-between">
+              <div>
+                <h4 className="font-medium text-gray-900">{org.name}</h4>
+                <p className="text-xs text-gray-500 mt-0.5">Your role: {ORG_ROLE_LABELS[org.role]}</p>
+              </div>
+              {isOwner ? (
+                <button
+                  onClick={() => {
+                    if (confirm(`Delete ${org.name}?\n\nMembers lose access to each other's data. Nobody's listings or strategies are deleted.`)) {
+                      deleteMutation.mutate(org.id)
+                    }
+                  }}
+                  disabled={deleteMutation.isLoading}
+                  className="text-sm text-red-600 hover:text-red-700 disabled:opacity-50"
+                >
+                  Delete team
+                </button>
+              ) : (
+                <button
+                  onClick={() => {
+                    if (confirm(`Leave ${org.name}?`)) leaveMutation.mutate(org.id)
+                  }}
+                  disabled={leaveMutation.isLoading}
+                  className="text-sm text-red-600 hover:text-red-700 disabled:opacity-50"
+                >
+                  Leave
+                </button>
+              )}
+            </div>
+
+            <ul className="divide-y divide-gray-200">
+              {org.members.map(member => (
+                <li key={member.userId} className="px-4 py-3 flex items-center justify-between gap-3">
+                  <div className="min-w-0">
+                    <div className="font-medium text-gray-900 truncate">
+                      {member.name || member.email || 'Unknown user'}
+                      {member.isYou && <span className="text-xs text-gray-500 font-normal ml-2">(you)</span>}
+                    </div>
+                    {member.name && member.email && (
+                      <div className="text-xs text-gray-500 truncate">{member.email}</div>
+                    )}
+                  </div>
+                  <div className="flex items-center gap-3 text-sm whitespace-nowrap">
+                    {isOwner && member.role !== 'owner' ? (
+                      <>
+                        <select
+                          value={member.role}
+                          onChange={(e) => roleMutation.mutate({ organizationId: org.id, userId: member.userId, role: e.target.value })}
+                          disabled={roleMutation.isLoading}
+                          className="border border-gray-300 rounded-md px-2 py-1 text-sm"
+                        >
+                          <option value="manager">Manager</option>
+                          <option value="viewer">Viewer</option>
+                        </select>
+                        <button
+                          onClick={() => {
+                            if (confirm(`Remove ${member.email || 'this member'} from ${org.name}?`)) {
+                              removeMutation.mutate({ organizationId: org.id, userId: member.userId })
+                            }
+                          }}
+                          disabled={removeMutation.isLoading}
+                          className="text-red-600 hover:text-red-700 disabled:opacity-50"
+                        >
+                          Remove
+                        </button>
+                      </>
+                    ) : (
+                      <span className="text-xs bg-gray-100 text-gray-700 px-2 py-0.5 rounded-full">
+                        {ORG_ROLE_LABELS[member.role]}
+                      </span>
+                    )}
+                  </div>
+                </li>
+              ))}
+            </ul>
+
+            {org.invitations.length > 0 && (
+              <div className="px-4 py-3 border-t border-gray-200 space-y-2">
+                <h5 className="text-xs font-medium text-gray-500 uppercase">Pending invitations</h5>
+                {org.invitations.map(invite => (
+                  <div key={invite.id} className="flex items-center justify-between text-sm">
+                    <span className="text-gray-700">
+                      {invite.email} · {ORG_ROLE_LABELS[invite.role]}
+                      {invite.expired && <span className="text-yellow-700 ml-2">(expired)</span>}
+                    </span>
+                    {canInvite && (
+                      <div className="flex items-center gap-3">
+                        {invite.token && !invite.expired && (
+                          <button onClick={() => copyLink(invite.token)} className="text-blue-600 hover:text-blue-700">
+                            Copy link
+                          </button>
+                        )}
+                        <button
+                          onClick={() => revokeMutation.mutate(invite.id)}
+                          disabled={revokeMutation.isLoading}
+                          className="text-red-600 hover:text-red-700 disabled:opacity-50"
+                        >
+                          Revoke
+                        </button>
+                      </div>
+                    )}
+                  </div>
+                ))}
+              </div>
+            )}
+
+            {canInvite && (
+              <form
+                className="px-4 py-3 border-t border-gray-200 space-y-2"
+                onSubmit={(e) => {
+                  e.preventDefault()
+                  inviteMutation.mutate({ organizationId: org.id, email: form.email, role: form.role })
+                }}
+              >
+                <div className="flex flex-col sm:flex-row gap-2">
+                  <input
+                    type="email"
+                    required
+                    value={form.email}
+                    onChange={(e) => setInviteForm(org.id, { email: e.target.value })}
+                    placeholder="teammate@example.com"
+                    className="flex-1 px-3 py-2 text-sm border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  />
+                  <select
+                    value={form.role}
+                    onChange={(e) => setInviteForm(org.id, { role: e.target.value })}
+                    className="px-3 py-2 text-sm border border-gray-300 rounded-md"
+                  >
+                    <option value="viewer">Viewer</option>
+                    <option value="manager">Manager</option>
+                  </select>
+                  <button
+                    type="submit"
+                    disabled={inviteMutation.isLoading}
+                    className="bg-blue-600 text-white px-4 py-2 rounded-md text-sm hover:bg-blue-700 disabled:opacity-50"
+                  >
+                    {inviteMutation.isLoading ? 'Inviting...' : 'Invite'}
+                  </button>
+                </div>
+                <p className="text-xs text-gray-500">{ROLE_DESCRIPTIONS[form.role]}</p>
+              </form>
+            )}
+          </div>
+        )
+      })}
+
+      <form
+        className="border border-dashed border-gray-300 rounded-lg p-4 flex flex-col sm:flex-row gap-2"
+        onSubmit={(e) => {
+          e.preventDefault()
+          createMutation.mutate(newOrgName)
+        }}
+      >
+        <input
+          type="text"
+          required
+          value={newOrgName}
+          onChange={(e) => setNewOrgName(e.target.value)}
+          placeholder="New team name"
+          className="flex-1 px-3 py-2 text-sm border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+        />
+        <button
+          type="submit"
+          disabled={createMutation.isLoading}
+          className="bg-gray-800 text-white px-4 py-2 rounded-md text-sm hover:bg-gray-900 disabled:opacity-50"
+        >
+          {createMutation.isLoading ? 'Creating...' : 'Create team'}
+        </button>
+      </form>
+    </div>
+  )
+}
@@ -0,0 +1,54 @@
+import React, { createContext, useContext, useEffect, useState } from 'react'
+import { useQuery } from '@tanstack/react-query'
+import { useAuth } from './AuthContext'
+import { ebayAccountsAPI, getSelectedEbayAccountId, setSelectedEbayAccountId } from '../lib/ebayAccounts'
+
+// Defaults for trees rendered without the provider (e.g. tests)
+const EbayAccountContext = createContext({
+  accounts: [],
+  selectedAccount: null,
+  selectedAccountId: null,
+  selectAccount: () => {},
+  isLoading: false
+})
+
+export const useEbayAccount = () => useContext(EbayAccountContext)
+
+export const EbayAccountProvider = ({ children }) => {
+  const { isAuthenticated } = useAuth()
+  const [storedAccountId, setStoredAccountId] = useState(getSelectedEbayAccountId)
+
+  const { data: accounts = [], isLoading } = useQuery(
+    ['ebay-accounts'],
+    () => ebayAccountsAPI.list(),
+    { enabled: Boolean(isAuthenticated) }
+  )
+
+  // A remembered account that was removed falls back to the default
+  const selectedAccount = accounts.find(a => a.id === storedAccountId) ||
+    accounts.find(a => a.is_default) ||
+    accounts[0] ||
+    null
+
+  useEffect(() => {
+    if (!isLoading && storedAccountId && accounts.length > 0 && !accounts.some(a => a.id === storedAccountId)) {
+      setSelectedEbayAccountId(null)
+      setStoredAccountId(null)
+    }
+  }, [accounts, isLoading, storedAccountId])
+
+  const selectAccount = (accountId) => {
+    setSelectedEbayAccountId(accountId)
+    setStoredAccountId(accountId)
+  }
+
+  const value = {
+    accounts,
+    selectedAccount,
+    selectedAccountId: selectedAccount?.id || null,
+    selectAccount,
+    isLoading
+  }
+
+  return <EbayAccountContext.Provider value={value}>{children}</EbayAccountContext.Provider>
+}
@@ -0,0 +1,40 @@
+// Formatting for audit_log entries (get-audit-log). Actions are written by
+// netlify/functions/utils/audit-log.js callers; keep the labels in sync.
+
+export const AUDIT_ACTION_LABELS = {
+  'listing.strategy_changed': 'Strategy changed',
+  'listing.auto_reduction_toggled': 'Auto-reduction toggled',
+  'listing.ended': 'Listing ended',
+  'listing.relisted': 'Listing relisted',
+  'listing.minimum_price_changed': 'Minimum price changed',
+  'listing.hidden': 'Listing hidden',
+  'settings.listing_settings_saved': 'Listing settings saved',
+  'credentials.saved': 'eBay credentials saved',
+  'settings.vacation_mode_changed': 'Vacation mode changed',
+  'system.price_writes_halted': 'Emergency stop changed',
+  'system.fee_schedule_changed': 'Fee table changed'
+}
+
+export const AUDIT_SOURCE_LABELS = {
+  ui: 'App',
+  scheduler: 'Scheduler',
+  api: 'API'
+}
+
+export const auditActionLabel = (action) => AUDIT_ACTION_LABELS[action] || action
+
+const formatValue = (value) => {
+  if (value === null || value === undefined || value === '') return '—'
+  if (typeof value === 'object') return JSON.stringify(value)
+  return String(value)
+}
+
+// [{ field, from, to }] for the fields an entry changed
+export const describeAuditChanges = (entry) => {
+  const fields = [...new Set([...Object.keys(entry.before || {}), ...Object.keys(entry.after || {})])]
+  return fields.map(field => ({
+    field,
+    from: formatValue(entry.before?.[field]),
+    to: formatValue(entry.after?.[field])
+  }))
+}
@@ -0,0 +1,43 @@
+// Formatting for listing_changes entries (the change feed written by
+// netlify/functions/utils/listing-changes.js during sync).
+// Keep the two in sync.
+
+export const CHANGE_GROUP_LABELS = {
+  price: 'Price',
+  quantity: 'Quantity',
+  title: 'Title',
+  images: 'Images',
+  status: 'Status'
+}
+
+const COLUMN_LABELS = {
+  current_price: 'Price',
+  quantity_available: 'Available',
+  quantity_sold: 'Sold',
+  title: 'Title',
+  image_url: 'Image',
+  listing_status: 'Status'
+}
+
+// Entries within this long of listings.last_sync came from the last sync
+const LAST_SYNC_WINDOW_MS = 2 * 60 * 1000
+
+const formatValue = (column, value) => {
+  if (value === null || value === undefined) return '—'
+  if (column === 'current_price') return `$${parseFloat(value).toFixed(2)}`
+  if (column === 'image_url') return 'image'
+  return String(value)
+}
+
+// [{ column, label, from, to }] for one entry
+export const describeListingChange = (entry) =>
+  Object.entries(entry.changes || {}).map(([column, { from, to }]) => ({
+    column,
+    label: COLUMN_LABELS[column] || column,
+    from: column === 'image_url' ? null : formatValue(column, from),
+    to: column === 'image_url' ? 'Image replaced' : formatValue(column, to)
+  }))
+
+export const isFromLastSync = (entry, lastSync) =>
+  Boolean(lastSync) &&
+  Math.abs(new Date(entry.detected_at).getTime() - new Date(lastSync).getTime()) <= LAST_SYNC_WINDOW_MS
@@ -0,0 +1,57 @@
+// Formatting for price_reduction_log entries (get-price-reduction-logs)
+// Recovery rows are price raises: stored with negative amounts and
+// reducedPrice above originalPrice. End-of-life rows record an action taken at
+// the price floor; only a relist changes the price.
+
+export const PRICE_CHANGE_TYPE_LABELS = {
+  manual: 'Manual',
+  scheduled: 'Scheduled',
+  automated: 'Automatic',
+  recovery: 'Recovery',
+  end_of_life: 'End of life'
+}
+
+export const RECOVERY_TRIGGER_LABELS = {
+  sales_velocity: 'Selling fast',
+  competitor_rise: 'Competitors priced higher'
+}
+
+export const END_OF_LIFE_ACTION_LABELS = {
+  notify: 'Seller notified',
+  needs_attention: 'Flagged for attention',
+  end: 'Listing ended',
+  relist: 'Relisted at original price'
+}
+
+export const isPriceIncrease = (log) =>
+  log.direction === 'increase' || log.type === 'recovery' || log.reducedPrice > log.originalPrice
+
+// { isIncrease, label, detail, amountText, percentageText } for one log entry
+export const describePriceChange = (log) => {
+  const isIncrease = isPriceIncrease(log)
+  const amount = Math.abs(log.reducedPrice - log.originalPrice)
+  const percentage = log.originalPrice > 0 ? (amount / log.originalPrice) * 100 : 0
+  const sign = isIncrease ? '+' : '−'
+
+  if (log.type === 'end_of_life' && amount < 0.005) {
+    return {
+      isIncrease: false,
+      label: PRICE_CHANGE_TYPE_LABELS.end_of_life,
+      detail: END_OF_LIFE_ACTION_LABELS[log.method] || log.method || null,
+      amountText: '—',
+      percentageText: ''
+    }
+  }
+
+  let detail = log.strategy || log.method || null
+  if (log.type === 'end_of_life') detail = END_OF_LIFE_ACTION_LABELS[log.method] || log.method || null
+  else if (isIncrease) detail = RECOVERY_TRIGGER_LABELS[log.method] || log.method || null
+
+  return {
+    isIncrease,
+    label: PRICE_CHANGE_TYPE_LABELS[log.type] || log.type,
+    detail,
+    amountText: `${sign}$${amount.toFixed(2)}`,
+    percentageText: `${sign}${percentage.toFixed(1)}%`
+  }
+}
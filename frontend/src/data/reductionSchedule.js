@@ -0,0 +1,80 @@
+// Reduction calendars (account-wide and per strategy)
+// Mirrors netlify/functions/utils/reduction-calendar.js, which is what the
+// price reduction engine actually enforces. Keep the two in sync.
+
+export const DEFAULT_TIMEZONE = 'America/Chicago'
+
+export const WEEKDAYS = [
+  { value: 0, label: 'Sun' },
+  { value: 1, label: 'Mon' },
+  { value: 2, label: 'Tue' },
+  { value: 3, label: 'Wed' },
+  { value: 4, label: 'Thu' },
+  { value: 5, label: 'Fri' },
+  { value: 6, label: 'Sat' }
+]
+
+export const COMMON_TIMEZONES = [
+  'America/New_York',
+  'America/Chicago',
+  'America/Denver',
+  'America/Phoenix',
+  'America/Los_Angeles',
+  'America/Anchorage',
+  'Pacific/Honolulu',
+  'Europe/London',
+  'Europe/Berlin',
+  'Australia/Sydney',
+  'UTC'
+]
+
+const MAX_BLACKOUT_RANGES = 50
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/
+
+const hasValue = (value) => value !== undefined && value !== null && value !== ''
+
+export const hasHourWindow = (schedule) =>
+  hasValue(schedule?.start_hour) && hasValue(schedule?.end_hour) && schedule.start_hour !== schedule.end_hour
+
+// Drop unset fields so an untouched calendar saves as {}
+export const cleanSchedule = (schedule = {}) => {
+  const cleaned = {}
+  if (schedule.timezone) cleaned.timezone = schedule.timezone
+  if (schedule.allowed_weekdays?.length) cleaned.allowed_weekdays = [...schedule.allowed_weekdays].sort((a, b) => a - b)
+  if (hasValue(schedule.start_hour) && hasValue(schedule.end_hour)) {
+    cleaned.start_hour = parseInt(schedule.start_hour)
+    cleaned.end_hour = parseInt(schedule.end_hour)
+  }
+  if (schedule.blackout_ranges?.length) cleaned.blackout_ranges = schedule.blackout_ranges
+  return cleaned
+}
+
+// Returns an error message, or null when the calendar is valid
+export const validateSchedule = (schedule = {}) => {
+  if (hasValue(schedule.start_hour) !== hasValue(schedule.end_hour)) {
+    return 'Set both a start hour and an end hour, or neither'
+  }
+  const ranges = schedule.blackout_ranges || []
+  if (ranges.length > MAX_BLACKOUT_RANGES) return `At most ${MAX_BLACKOUT_RANGES} blackout ranges`
+  for (const range of ranges) {
+    if (!DATE_PATTERN.test(range.start || '') || !DATE_PATTERN.test(range.end || '')) {
+      return 'Blackout ranges need a start and end date'
+    }
+    if (range.start > range.end) return `Blackout range ${range.start} to ${range.end} ends before it starts`
+  }
+  return null
+}
+
+// Short human-readable summary, or null when the calendar allows any time
+export const describeSchedule = (schedule) => {
+  if (!schedule) return null
+  const parts = []
+  if (schedule.allowed_weekdays?.length && schedule.allowed_weekdays.length < 7) {
+    parts.push(schedule.allowed_weekdays.map(day => WEEKDAYS[day]?.label).join(', '))
+  }
+  if (hasHourWindow(schedule)) parts.push(`${schedule.start_hour}:00–${schedule.end_hour}:00`)
+  if (schedule.blackout_ranges?.length) {
+    parts.push(`${schedule.blackout_ranges.length} blackout${schedule.blackout_ranges.length !== 1 ? 's' : ''}`)
+  }
+  return parts.length ? parts.join(' · ') : null
+}
@@ -2,6 +2,7 @@
 // Strategies are now persisted in the database via strategiesAPI
 
 import { strategiesAPI } from '../lib/supabase'
+import { describeStrategyReduction } from './strategyTypes'
 
 // Helper function to get active strategies for use in listings
 export const getActiveStrategies = async () => {
@@ -22,10 +23,8 @@ export const getStrategyById = async (id) => {
 // Helper function to get strategy display name
 export const getStrategyDisplayName = (strategy) => {
   if (!strategy) return 'No strategy'
-  const amount = strategy.reduction_type === 'percentage'
-    ? `${strategy.reduction_amount}%`
-    : `$${strategy.reduction_amount}`
-  return `${strategy.name} (${amount} every ${strategy.frequency_days} days)`
+  const amount = describeStrategyReduction(strategy)
+  return `${strategy.name} (${amount} every ${strategy.interval_days || strategy.frequency_days} days)`
 }
 
 // Get all strategies (alias for consistency)
@@ -0,0 +1,85 @@
+// Strategy assignment rules (strategy_assignment_rules table)
+// Mirrors netlify/functions/utils/strategy-assignment.js, which is what sync
+// and the daily job actually evaluate. Keep the two in sync.
+
+export const RULE_FIELDS = [
+  { value: 'category_id', label: 'Category ID', type: 'text', placeholder: '9355' },
+  { value: 'current_price', label: 'Price ($)', type: 'number', placeholder: '200' },
+  { value: 'days_listed', label: 'Days listed', type: 'number', placeholder: '60' },
+  { value: 'quantity_available', label: 'Quantity', type: 'number', placeholder: '1' },
+  { value: 'title', label: 'Title', type: 'text', placeholder: 'vintage' },
+  { value: 'ebay_sku', label: 'SKU', type: 'text', placeholder: 'SHOE-' }
+]
+
+export const OPERATORS = {
+  number: [
+    { value: 'greater_than', label: '>' },
+    { value: 'at_least', label: '≥' },
+    { value: 'less_than', label: '<' },
+    { value: 'at_most', label: '≤' },
+    { value: 'equals', label: '=' }
+  ],
+  text: [
+    { value: 'equals', label: 'is' },
+    { value: 'not_equals', label: 'is not' },
+    { value: 'contains', label: 'contains' },
+    { value: 'in', label: 'is one of' }
+  ]
+}
+
+const MAX_CONDITIONS = 10
+
+export const getRuleField = (field) => RULE_FIELDS.find(f => f.value === field) || RULE_FIELDS[0]
+
+export const getDefaultCondition = (field = 'category_id') => ({
+  field,
+  operator: OPERATORS[getRuleField(field).type][0].value,
+  value: ''
+})
+
+export const EMPTY_ASSIGNMENT_RULE = {
+  name: '',
+  strategy_id: '',
+  is_active: true,
+  conditions: [getDefaultCondition()]
+}
+
+// Returns an error message, or null when the rule is valid
+export const validateAssignmentRule = (rule) => {
+  if (!rule.name?.trim()) return 'Each rule needs a name'
+  if (!rule.strategy_id) return `Choose a strategy for "${rule.name}"`
+  const conditions = rule.conditions || []
+  if (conditions.length > MAX_CONDITIONS) return `At most ${MAX_CONDITIONS} conditions per rule`
+  for (const condition of conditions) {
+    const field = getRuleField(condition.field)
+    if (field.type === 'number' && isNaN(parseFloat(condition.value))) {
+      return `${field.label} in "${rule.name}" needs a number`
+    }
+    if (field.type === 'text' && !String(condition.value ?? '').trim()) {
+      return `${field.label} in "${rule.name}" needs a value`
+    }
+  }
+  return null
+}
+
+// Numbers stored as numbers, text trimmed
+export const cleanConditions = (conditions = []) => conditions.map(condition => ({
+  field: condition.field,
+  operator: condition.operator,
+  value: getRuleField(condition.field).type === 'number'
+    ? parseFloat(condition.value)
+    : String(condition.value).trim()
+}))
+
+// "Category ID is 9355 and Price ($) > 200", or "Every listing"
+export const describeConditions = (conditions = []) => {
+  if (!conditions.length) return 'Every listing'
+  return conditions.map(condition => {
+    const field = getRuleField(condition.field)
+    const operator = OPERATORS[field.type].find(o => o.value === condition.operator)?.label || condition.operator
+    return `${field.label} ${operator} ${condition.value}`
+  }).join(' and ')
+}
+
+// Strategy dropdown value that hands a listing back to the rules
+export const AUTO_STRATEGY_VALUE = 'auto'
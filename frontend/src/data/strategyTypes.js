@@ -0,0 +1,262 @@
+// Strategy type definitions for the Strategies page
+// Mirrors netlify/functions/utils/strategy-types.js, which is what the
+// price reduction engine actually enforces. Keep the two in sync.
+
+import { cleanSchedule, validateSchedule } from './reductionSchedule'
+
+const MAX_PERCENTAGE = 50
+const MAX_STEPS = 20
+const MAX_VELOCITY_WINDOW_DAYS = 60
+
+// Engagement velocity mode (see netlify/functions/utils/engagement-velocity.js)
+export const DEFAULT_VELOCITY_SETTINGS = {
+  enabled: false,
+  window_days: 7,
+  watcher_growth_threshold: 1,
+  flat_views_threshold: 2,
+  acceleration_factor: 2
+}
+
+// Price recovery (bump-up) rules (see netlify/functions/utils/price-recovery.js)
+export const DEFAULT_RECOVERY_SETTINGS = {
+  enabled: false,
+  window_days: 7,
+  sales_threshold: 3,
+  competitor_gap_percentage: 10,
+  step_percentage: 5,
+  max_price_percentage: 100,
+  cooldown_days: 3
+}
+
+// What happens at the price floor (see netlify/functions/utils/end-of-life.js)
+export const DEFAULT_END_OF_LIFE_SETTINGS = {
+  action: 'none',
+  wait_days: 7,
+  notify: false,
+  max_relists: 1
+}
+
+export const END_OF_LIFE_ACTIONS = {
+  none: { label: 'Do nothing', description: 'Leave the listing at its floor' },
+  notify: { label: 'Notify me', description: 'Send a notification and leave the listing as it is' },
+  needs_attention: { label: 'Flag for attention', description: 'Add it to the Needs attention queue on the Listings page' },
+  end: { label: 'End listing', description: 'End the listing on eBay' },
+  relist: { label: 'Relist fresh', description: 'End it and relist at the original price, restarting reductions' }
+}
+
+export const STRATEGY_TYPES = {
+  percentage: {
+    label: 'Percentage (%)',
+    description: 'Reduce by the same percentage of the current price each time'
+  },
+  dollar: {
+    label: 'Dollar Amount ($)',
+    description: 'Reduce by the same dollar amount each time'
+  },
+  stepped: {
+    label: 'Stepped Schedule',
+    description: 'A different reduction for each step; the last step repeats',
+    defaultParameters: {
+      steps: [
+        { reduction_type: 'percentage', amount: 10 },
+        { reduction_type: 'percentage', amount: 5 },
+        { reduction_type: 'percentage', amount: 2 }
+      ]
+    }
+  },
+  exponential_decay: {
+    label: 'Exponential Decay',
+    description: 'Close a share of the gap to the minimum price each time: big cuts at the top, small cuts near the floor',
+    defaultParameters: { decay_percentage: 20, min_step: 0.5 }
+  },
+  target_date: {
+    label: 'Target Price by Date',
+    description: 'Spread reductions evenly so the price reaches a target by a date',
+    defaultParameters: { target_price: '', target_date: '' }
+  },
+  competitor_anchored: {
+    label: 'Competitor Anchored',
+    description: 'Reprice against competitor listings found by UPC, title and category; never below your minimum price',
+    defaultParameters: {
+      anchor: 'lowest',
+      undercut_cents: 1,
+      below_average_percentage: 5,
+      allow_title_only: false,
+      max_analysis_age_hours: 24
+    }
+  }
+}
+
+export const getStrategyType = (strategy) =>
+  strategy?.reduction_type || strategy?.strategy_type || 'percentage'
+
+export const getDefaultParameters = (type) =>
+  JSON.parse(JSON.stringify(STRATEGY_TYPES[type]?.defaultParameters || {}))
+
+const validateAmount = (reductionType, amount, label) => {
+  const value = parseFloat(amount)
+  if (isNaN(value) || value <= 0) return `${label} must be greater than 0`
+  if (reductionType === 'percentage' && value > MAX_PERCENTAGE) {
+    return `${label} cannot exceed ${MAX_PERCENTAGE}%`
+  }
+  return null
+}
+
+const validateVelocitySettings = (velocity) => {
+  if (!velocity?.enabled) return null
+  const windowDays = parseFloat(velocity.window_days)
+  if (isNaN(windowDays) || windowDays < 1 || windowDays > MAX_VELOCITY_WINDOW_DAYS) {
+    return `Velocity window must be between 1 and ${MAX_VELOCITY_WINDOW_DAYS} days`
+  }
+  const factor = parseFloat(velocity.acceleration_factor)
+  if (isNaN(factor) || factor < 1 || factor > 10) return 'Acceleration factor must be between 1 and 10'
+  return null
+}
+
+const validateRecoverySettings = (recovery) => {
+  if (!recovery?.enabled) return null
+  const step = parseFloat(recovery.step_percentage)
+  if (isNaN(step) || step <= 0 || step > 25) return 'Recovery step must be between 0 and 25%'
+  const ceiling = parseFloat(recovery.max_price_percentage)
+  if (isNaN(ceiling) || ceiling <= 0 || ceiling > 100) return 'Recovery ceiling must be between 1 and 100% of the original price'
+  if (!(parseInt(recovery.sales_threshold) > 0) && !(parseFloat(recovery.competitor_gap_percentage) > 0)) {
+    return 'Recovery needs a sales threshold or a competitor gap'
+  }
+  return null
+}
+
+export const hasEndOfLifeAction = (endOfLife) =>
+  Boolean(endOfLife && ((endOfLife.action && endOfLife.action !== 'none') || endOfLife.notify))
+
+const validateEndOfLifeSettings = (endOfLife) => {
+  if (!hasEndOfLifeAction(endOfLife)) return null
+  if (!END_OF_LIFE_ACTIONS[endOfLife.action]) return `Unknown end-of-life action: ${endOfLife.action}`
+  const waitDays = parseFloat(endOfLife.wait_days)
+  if (isNaN(waitDays) || waitDays < 0 || waitDays > 365) return 'Days at floor must be between 0 and 365'
+  if (endOfLife.action === 'relist') {
+    const relists = parseInt(endOfLife.max_relists)
+    if (isNaN(relists) || relists < 1 || relists > 10) return 'Relists must be between 1 and 10'
+  }
+  return null
+}
+
+// Returns an error message, or null when the rule is valid
+export const validateStrategyRule = (rule) => {
+  const params = rule.parameters || {}
+  const velocityError = validateVelocitySettings(rule.velocity_settings)
+  if (velocityError) return velocityError
+  const recoveryError = validateRecoverySettings(rule.recovery_settings)
+  if (recoveryError) return recoveryError
+  const endOfLifeError = validateEndOfLifeSettings(rule.end_of_life_settings)
+  if (endOfLifeError) return endOfLifeError
+  const scheduleError = validateSchedule(rule.reduction_schedule)
+  if (scheduleError) return scheduleError
+
+  switch (rule.reduction_type) {
+    case 'percentage':
+    case 'dollar':
+      return validateAmount(rule.reduction_type, rule.reduction_amount, 'Reduction amount')
+    case 'stepped': {
+      const steps = params.steps || []
+      if (steps.length === 0) return 'Stepped schedule needs at least one step'
+      if (steps.length > MAX_STEPS) return `Stepped schedule cannot have more than ${MAX_STEPS} steps`
+      for (let i = 0; i < steps.length; i++) {
+        const error = validateAmount(steps[i].reduction_type, steps[i].amount, `Step ${i + 1} amount`)
+        if (error) return error
+      }
+      return null
+    }
+    case 'exponential_decay': {
+      const decay = parseFloat(params.decay_percentage)
+      if (isNaN(decay) || decay <= 0 || decay >= 100) return 'Decay percentage must be between 0 and 100'
+      if (params.min_step !== '' && params.min_step !== undefined && !(parseFloat(params.min_step) >= 0)) {
+        return 'Minimum step must be 0 or greater'
+      }
+      return null
+    }
+    case 'target_date': {
+      if (!(parseFloat(params.target_price) > 0)) return 'Target price must be greater than 0'
+      if (!params.target_date || isNaN(new Date(params.target_date).getTime())) return 'Target date must be a valid date'
+      return null
+    }
+    case 'competitor_anchored': {
+      if (params.anchor === 'lowest') {
+        if (!(parseFloat(params.undercut_cents) >= 0)) return 'Undercut amount must be 0 cents or more'
+      } else if (params.anchor === 'average') {
+        const percentage = parseFloat(params.below_average_percentage)
+        if (isNaN(percentage) || percentage < 0 || percentage > MAX_PERCENTAGE) {
+          return `Percentage below average must be between 0 and ${MAX_PERCENTAGE}`
+        }
+      } else {
+        return 'Anchor must be "lowest" or "average"'
+      }
+      if (!(parseFloat(params.max_analysis_age_hours) > 0)) return 'Maximum analysis age must be greater than 0 hours'
+      return null
+    }
+    default:
+      return `Unknown strategy type: ${rule.reduction_type}`
+  }
+}
+
+// Convert a Strategies page form value to database columns
+export const toStrategyRecord = (rule) => {
+  const isSimple = rule.reduction_type === 'percentage' || rule.reduction_type === 'dollar'
+  return {
+    name: rule.name,
+    strategy_type: rule.reduction_type, // DB uses strategy_type
+    reduction_percentage: rule.reduction_type === 'percentage' ? rule.reduction_amount : 0,
+    reduction_amount: rule.reduction_type === 'dollar' ? rule.reduction_amount : 0,
+    interval_days: rule.frequency_days, // DB uses interval_days
+    parameters: isSimple ? {} : rule.parameters,
+    velocity_settings: rule.velocity_settings?.enabled ? rule.velocity_settings : {},
+    recovery_settings: rule.recovery_settings?.enabled ? rule.recovery_settings : {},
+    end_of_life_settings: hasEndOfLifeAction(rule.end_of_life_settings) ? rule.end_of_life_settings : {},
+    // Strategy calendars use the seller's time zone from the account calendar
+    reduction_schedule: cleanSchedule({ ...rule.reduction_schedule, timezone: undefined })
+  }
+}
+
+// Convert a database strategy row to a Strategies page form value
+export const fromStrategyRecord = (strategy) => {
+  const type = getStrategyType(strategy)
+  return {
+    name: strategy.name,
+    reduction_type: type,
+    reduction_amount: type === 'percentage'
+      ? (strategy.reduction_percentage || strategy.reduction_amount || 0)
+      : (strategy.reduction_amount || 0),
+    frequency_days: strategy.interval_days || strategy.frequency_days || 7,
+    parameters: { ...getDefaultParameters(type), ...(strategy.parameters || {}) },
+    velocity_settings: { ...DEFAULT_VELOCITY_SETTINGS, ...(strategy.velocity_settings || {}) },
+    recovery_settings: { ...DEFAULT_RECOVERY_SETTINGS, ...(strategy.recovery_settings || {}) },
+    end_of_life_settings: { ...DEFAULT_END_OF_LIFE_SETTINGS, ...(strategy.end_of_life_settings || {}) },
+    reduction_schedule: strategy.reduction_schedule || {}
+  }
+}
+
+// Short human-readable summary of the reduction a strategy applies
+export const describeStrategyReduction = (strategy) => {
+  const type = getStrategyType(strategy)
+  const params = strategy.parameters || {}
+
+  switch (type) {
+    case 'percentage':
+      return `${strategy.reduction_percentage || strategy.reduction_amount}%`
+    case 'dollar':
+      return `$${strategy.reduction_amount}`
+    case 'stepped':
+      return (params.steps || [])
+        .map(step => step.reduction_type === 'dollar' ? `$${step.amount}` : `${step.amount}%`)
+        .join(' → ')
+    case 'exponential_decay':
+      return `${params.decay_percentage}% of gap to minimum`
+    case 'target_date':
+      return `to $${params.target_price} by ${params.target_date ? new Date(params.target_date).toLocaleDateString() : '?'}`
+    case 'competitor_anchored':
+      return params.anchor === 'average'
+        ? `${params.below_average_percentage}% below market average`
+        : `${params.undercut_cents}¢ under lowest competitor`
+    default:
+      return type
+  }
+}
@@ -0,0 +1,60 @@
+import { userAPI } from './supabase'
+
+// Linked eBay accounts (netlify/functions/ebay-accounts.js). The account
+// picked in the layout switcher is remembered per browser and scopes the
+// listings view and new listings.
+
+const SELECTED_ACCOUNT_KEY = 'selected-ebay-account'
+
+export const getSelectedEbayAccountId = () => localStorage.getItem(SELECTED_ACCOUNT_KEY)
+
+export const setSelectedEbayAccountId = (accountId) => {
+  if (accountId) {
+    localStorage.setItem(SELECTED_ACCOUNT_KEY, accountId)
+  } else {
+    localStorage.removeItem(SELECTED_ACCOUNT_KEY)
+  }
+}
+
+// Label shown for an account everywhere
+export const ebayAccountName = (account) =>
+  account?.label || account?.ebay_user_id || 'eBay account'
+
+const request = async (method, { query = '', body } = {}) => {
+  const response = await fetch(`/.netlify/functions/ebay-accounts${query}`, {
+    method,
+    headers: {
+      'Authorization': `Bearer ${await userAPI.getAuthToken()}`,
+      'Content-Type': 'application/json'
+    },
+    body: body ? JSON.stringify(body) : undefined
+  })
+
+  const data = await response.json()
+  if (!response.ok) {
+    throw new Error(data.message || data.error || 'eBay accounts request failed')
+  }
+  return data
+}
+
+export const ebayAccountsAPI = {
+  async list() {
+    const data = await request('GET')
+    return data.accounts || []
+  },
+
+  // fields: label, sku_prefix, fulfillment_policy_id, payment_policy_id, return_policy_id
+  async update(accountId, fields) {
+    const data = await request('PUT', { body: { accountId, ...fields } })
+    return data.accounts || []
+  },
+
+  async setDefault(accountId) {
+    const data = await request('PUT', { body: { accountId, isDefault: true } })
+    return data.accounts || []
+  },
+
+  async disconnect(accountId) {
+    return request('DELETE', { query: `?accountId=${encodeURIComponent(accountId)}` })
+  }
+}
@@ -0,0 +1,86 @@
+import * as XLSX from 'xlsx'
+
+// Auto-List row fields a spreadsheet column can be mapped to (IMPORT_FIELDS
+// in netlify/functions/utils/listing-jobs.js). aliases are the column headers
+// matched automatically, compared in lower case.
+export const IMPORT_FIELDS = [
+  { key: 'asin', label: 'ASIN', aliases: ['asin', 'amazon asin'] },
+  { key: 'upc', label: 'UPC / EAN', aliases: ['upc', 'ean', 'gtin', 'barcode', 'product id'] },
+  { key: 'sku', label: 'SKU', aliases: ['sku', 'merchant sku', 'seller sku'] },
+  { key: 'title', label: 'Title', aliases: ['product name', 'title', 'product', 'item name'] },
+  { key: 'price', label: 'Price', aliases: ['price', 'your price', 'list price'] },
+  { key: 'quantity', label: 'Quantity', aliases: ['quantity', 'qty', 'shipped quantity'] },
+  { key: 'condition', label: 'Condition', aliases: ['condition', 'item condition'] },
+  { key: 'cost', label: 'Cost', aliases: ['cost', 'item cost', 'unit cost', 'cost price'] },
+  { key: 'minPrice', label: 'Min price', aliases: ['min price', 'minimum price', 'floor price'] },
+  { key: 'brand', label: 'Brand', aliases: ['brand'] },
+  { key: 'imageUrl', label: 'Image URL', aliases: ['image url', 'main image'] }
+]
+
+// eBay condition keys the server normalizes spreadsheet conditions to
+export const CONDITION_LABELS = {
+  NEW: 'New',
+  NEW_OTHER: 'New (Other)',
+  NEW_WITH_DEFECTS: 'New with defects',
+  MANUFACTURER_REFURBISHED: 'Manufacturer refurbished',
+  CERTIFIED_REFURBISHED: 'Certified refurbished',
+  SELLER_REFURBISHED: 'Seller refurbished',
+  LIKE_NEW: 'Like New',
+  USED_EXCELLENT: 'Used',
+  USED_VERY_GOOD: 'Used - Very Good',
+  USED_GOOD: 'Used - Good',
+  USED_ACCEPTABLE: 'Used - Acceptable',
+  FOR_PARTS_OR_NOT_WORKING: 'For parts or not working'
+}
+
+export const conditionLabel = (condition) => CONDITION_LABELS[condition] || condition
+
+/**
+ * The first sheet of a workbook as { headers, rows }; rows are keyed by
+ * header, every cell as the text shown in the sheet
+ */
+export const readWorkbook = (workbook) => {
+  const worksheet = workbook.Sheets[workbook.SheetNames[0]]
+  const rows = XLSX.utils.sheet_to_json(worksheet, { defval: '', raw: false })
+  // Columns without a header come back as __EMPTY, __EMPTY_1, ...
+  const headers = Object.keys(rows[0] || {}).filter(header => !header.startsWith('__EMPTY'))
+  return { headers, rows }
+}
+
+/**
+ * Map fields to headers by name: the field's aliases, then its label
+ */
+export const guessMapping = (headers) => {
+  const byName = new Map(headers.map(header => [String(header).trim().toLowerCase(), header]))
+  const mapping = {}
+  for (const field of IMPORT_FIELDS) {
+    const name = [...field.aliases, field.label.toLowerCase()].find(alias => byName.has(alias))
+    if (name) mapping[field.key] = byName.get(name)
+  }
+  return mapping
+}
+
+/**
+ * The saved profile whose columns are all in this sheet, most recent first
+ */
+export const findMatchingProfile = (profiles, headers) => {
+  const present = new Set(headers)
+  return profiles.find(profile => {
+    const columns = Object.values(profile.mapping || {})
+    return columns.length > 0 && columns.every(column => present.has(column))
+  }) || null
+}
+
+/**
+ * Sheet rows as listing job rows (unmapped fields are left out)
+ */
+export const applyMapping = (rows, mapping) => rows.map(row => {
+  const mapped = {}
+  for (const { key } of IMPORT_FIELDS) {
+    const header = mapping[key]
+    if (header) mapped[key] = String(row[header] ?? '').trim()
+  }
+  return mapped
+})
+
+export const hasIdentifierColumn = (mapping) => Boolean(mapping.asin || mapping.upc || mapping.title)
@@ -0,0 +1,105 @@
+import { supabase } from './supabase'
+
+// Realtime bridge for the GraphQL Subscription type in
+// netlify/functions/graphql-api.js. The lambda can't hold a subscription
+// open, so listing changes come from Supabase Realtime (RLS keeps them to
+// the signed-in user's rows) and are reshaped into the same payloads:
+//   listingUpdated → { listing, updateType, previousValues }
+//   priceDropped   → { listing, oldPrice, newPrice, changePercentage }
+
+// listings row → GraphQL Listing fields
+export const toListingNode = (row) => ({
+  id: row.id,
+  userId: row.user_id,
+  ebayItemId: row.ebay_item_id,
+  sku: row.sku || row.ebay_sku,
+  title: row.title,
+  category: row.category,
+  categoryId: row.category_id,
+  listingStatus: row.listing_status,
+  currentPrice: row.current_price != null ? parseFloat(row.current_price) : null,
+  originalPrice: row.original_price != null ? parseFloat(row.original_price) : null,
+  currency: row.currency,
+  minimumPrice: row.minimum_price != null ? parseFloat(row.minimum_price) : null,
+  quantity: row.quantity,
+  quantityAvailable: row.quantity_available,
+  quantitySold: row.quantity_sold,
+  primaryImageUrl: row.primary_image_url || row.image_url,
+  priceReductionEnabled: row.price_reduction_enabled ?? row.enable_auto_reduction,
+  reductionPercentage: row.reduction_percentage,
+  lastPriceReduction: row.last_price_reduction,
+  lastSynced: row.last_synced || row.last_sync,
+  syncStatus: row.sync_status,
+  watched: row.watched,
+  updatedAt: row.updated_at
+})
+
+// Columns whose value changed (old is only complete with REPLICA IDENTITY FULL)
+const getPreviousValues = (newRow, oldRow) => {
+  const previous = {}
+  Object.keys(oldRow || {}).forEach(key => {
+    if (key !== 'updated_at' && JSON.stringify(oldRow[key]) !== JSON.stringify(newRow[key])) {
+      previous[key] = oldRow[key]
+    }
+  })
+  return previous
+}
+
+// A drop is pushed when the listing has an enabled alert it clears, or is
+// watched and clears the subscription-wide threshold
+export const getPriceDrop = (newRow, oldRow, { threshold = 0, alerts = {} } = {}) => {
+  const oldPrice = parseFloat(oldRow?.current_price)
+  const newPrice = parseFloat(newRow.current_price)
+  if (isNaN(oldPrice) || isNaN(newPrice) || newPrice >= oldPrice || oldPrice <= 0) return null
+
+  const changePercentage = Math.round(((oldPrice - newPrice) / oldPrice) * 10000) / 100
+  const alert = alerts[newRow.id]
+  const alertHit = alert?.enabled && changePercentage >= alert.threshold
+  const watchHit = newRow.watched && changePercentage >= threshold
+  if (!alertHit && !watchHit) return null
+
+  return { listing: toListingNode(newRow), oldPrice, newPrice, changePercentage }
+}
+
+/**
+ * Subscribe to listingUpdated / priceDropped for a user
+ * @param {string} userId - Signed-in user
+ * @param {Object} handlers - { onListingUpdated, onPriceDropped, getOptions }
+ *   getOptions() returns the current { threshold, alerts } so the caller can
+ *   change them without resubscribing
+ * @returns {Function} unsubscribe
+ */
+export const subscribeToListingEvents = (userId, { onListingUpdated, onPriceDropped, getOptions = () => ({}) }) => {
+  if (!userId || typeof supabase.channel !== 'function') {
+    return () => {}
+  }
+
+  const channel = supabase
+    .channel(`listing-events:${userId}`)
+    .on(
+      'postgres_changes',
+      { event: '*', schema: 'public', table: 'listings', filter: `user_id=eq.${userId}` },
+      ({ eventType, new: newRow, old: oldRow }) => {
+        if (eventType === 'DELETE') {
+          onListingUpdated?.({ listing: toListingNode(oldRow), updateType: 'DELETE', previousValues: null })
+          return
+        }
+
+        onListingUpdated?.({
+          listing: toListingNode(newRow),
+          updateType: eventType,
+          previousValues: eventType === 'UPDATE' ? getPreviousValues(newRow, oldRow) : null
+        })
+
+        if (eventType === 'UPDATE') {
+          const drop = getPriceDrop(newRow, oldRow, getOptions())
+          if (drop) onPriceDropped?.(drop)
+        }
+      }
+    )
+    .subscribe()
+
+  return () => {
+    supabase.removeChannel(channel)
+  }
+}
@@ -0,0 +1,46 @@
+import { userAPI } from './supabase'
+
+// Team workspaces (netlify/functions/organizations.js). Teammates see each
+// other's listings, strategies and pricing; viewers cannot change them.
+
+export const ORG_ROLE_LABELS = {
+  owner: 'Owner',
+  manager: 'Manager',
+  viewer: 'Viewer'
+}
+
+// Link an invitee opens to accept (Account → Team)
+export const invitationLink = (token) =>
+  `${window.location.origin}/account?tab=team&invite=${encodeURIComponent(token)}`
+
+const request = async (method, body) => {
+  const response = await fetch('/.netlify/functions/organizations', {
+    method,
+    headers: {
+      'Authorization': `Bearer ${await userAPI.getAuthToken()}`,
+      'Content-Type': 'application/json'
+    },
+    body: body ? JSON.stringify(body) : undefined
+  })
+
+  const data = await response.json()
+  if (!response.ok) {
+    throw new Error(data.message || data.error || 'Organization request failed')
+  }
+  return data
+}
+
+const action = (name, params) => request('POST', { action: name, ...params })
+
+export const organizationsAPI = {
+  // { organizations, pendingInvitations }
+  list: () => request('GET'),
+  create: (name) => action('create', { name }),
+  invite: (organizationId, email, role) => action('invite', { organizationId, email, role }),
+  accept: (token) => action('accept', { token }),
+  updateRole: (organizationId, userId, role) => action('updateRole', { organizationId, userId, role }),
+  removeMember: (organizationId, userId) => action('removeMember', { organizationId, userId }),
+  leave: (organizationId) => action('removeMember', { organizationId }),
+  revokeInvite: (invitationId) => action('revokeInvite', { invitationId }),
+  remove: (organizationId) => action('delete', { organizationId })
+}
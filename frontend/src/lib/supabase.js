@@ -254,6 +254,11 @@ const mockListingsAPI = {
     return listing
   },
 
+  async getListingChanges(id) {
+    await delay(200)
+    return []
+  },
+
   async updateListing(id, updates) {
     await delay(300)
     const listingIndex = mockListings.findIndex(l => l.id === id)
@@ -325,12 +330,19 @@ const realListingsAPI = realSupabaseClient ? {
     const { data: { user } } = await realSupabaseClient.auth.getUser()
     if (!user) throw new Error('User not authenticated')
 
-    const { status = 'Active' } = filters
+    const { status = 'Active', ebayAccountId = null } = filters
 
+    // RLS returns own listings plus those of organization teammates
     let query = realSupabaseClient
       .from('listings')
       .select('*')
-      .eq('user_id', user.id)
+
+    // One of the user's linked eBay accounts; own listings with none (from
+    // before linked accounts) show under every account until a sync assigns
+    // them. Teammates' listings are not scoped by the switcher.
+    if (ebayAccountId) {
+      query = query.or(`ebay_account_id.eq.${ebayAccountId},and(user_id.eq.${user.id},ebay_account_id.is.null),user_id.neq.${user.id}`)
+    }
 
     // ALWAYS exclude hidden listings from all views
     // Hidden listings are those manually closed by the user
@@ -363,13 +375,25 @@ const realListingsAPI = realSupabaseClient ? {
       .from('listings')
       .select('*')
       .eq('id', id)
-      .eq('user_id', user.id)
       .single()
 
     if (error) throw error
     return data
   },
 
+  // Fields eBay changed per sync, newest first (listing_changes)
+  async getListingChanges(id, limit = 20) {
+    const { data, error } = await realSupabaseClient
+      .from('listing_changes')
+      .select('id, changed_fields, changes, source, detected_at')
+      .eq('listing_id', id)
+      .order('detected_at', { ascending: false })
+      .limit(limit)
+
+    if (error) throw error
+    return data || []
+  },
+
   async updateListing(id, updates) {
     const { data: { user } } = await realSupabaseClient.auth.getUser()
     if (!user) throw new Error('User not authenticated')
@@ -378,7 +402,6 @@ const realListingsAPI = realSupabaseClient ? {
       .from('listings')
       .update(updates)
       .eq('id', id)
-      .eq('user_id', user.id)
       .select()
       .single()
 
@@ -482,6 +505,7 @@ const realListingsAPI = realSupabaseClient ? {
 } : {
   getListings: () => Promise.reject(new Error('Real Supabase not configured')),
   getListing: () => Promise.reject(new Error('Real Supabase not configured')),
+  getListingChanges: () => Promise.reject(new Error('Real Supabase not configured')),
   updateListing: () => Promise.reject(new Error('Real Supabase not configured')),
   deleteListing: () => Promise.reject(new Error('Real Supabase not configured')),
   endListing: () => Promise.reject(new Error('Real Supabase not configured')),
@@ -543,6 +567,21 @@ const mockStrategiesAPI = {
     }
 
     mockStrategies.splice(strategyIndex, 1)
+  },
+
+  async forecastStrategy() {
+    await delay(200)
+    throw new Error('Forecasts are not available in demo mode')
+  },
+
+  async getAssignmentRules() {
+    await delay(150)
+    return []
+  },
+
+  async applyAssignmentRules() {
+    await delay(200)
+    throw new Error('Assignment rules are not available in demo mode')
   }
 }
 
@@ -554,7 +593,6 @@ const realStrategiesAPI = realSupabaseClient ? {
     const { data, error } = await realSupabaseClient
       .from('strategies')
       .select('*')
-      .eq('user_id', user.id)
       .order('created_at', { ascending: false })
 
     if (error) throw error
@@ -569,7 +607,6 @@ const realStrategiesAPI = realSupabaseClient ? {
       .from('strategies')
       .select('*')
       .eq('id', id)
-      .eq('user_id', user.id)
       .single()
 
     if (error) throw error
@@ -601,7 +638,6 @@ const realStrategiesAPI = realSupabaseClient ? {
       .from('strategies')
       .update(updates)
       .eq('id', id)
-      .eq('user_id', user.id)
       .select()
       .single()
 
@@ -618,7 +654,6 @@ const realStrategiesAPI = realSupabaseClient ? {
       .from('strategies')
       .delete()
       .eq('id', id)
-      .eq('user_id', user.id)
 
     if (error) {
       // Provide user-friendly error message
@@ -627,13 +662,77 @@ const realStrategiesAPI = realSupabaseClient ? {
       }
       throw error
     }
+  },
+
+  async forecastStrategy({ strategyId, strategy, listingIds, maxSteps }) {
+    const { data: { session } } = await realSupabaseClient.auth.getSession()
+    if (!session) throw new Error('No active session')
+
+    // Projected price timeline per listing; nothing is changed on eBay
+    const response = await fetch('/.netlify/functions/forecast-price-reductions', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${session.access_token}`
+      },
+      body: JSON.stringify({ strategyId, strategy, listingIds, maxSteps })
+    })
+
+    const data = await response.json()
+
+    if (!response.ok) {
+      throw new Error(data.error || 'Failed to forecast price reductions')
+    }
+
+    return data
+  },
+
+  async getAssignmentRules() {
+    const { data: { user } } = await realSupabaseClient.auth.getUser()
+    if (!user) throw new Error('User not authenticated')
+
+    const { data, error } = await realSupabaseClient
+      .from('strategy_assignment_rules')
+      .select('*')
+      .eq('user_id', user.id)
+      .order('position', { ascending: true })
+      .order('created_at', { ascending: true })
+
+    if (error) throw error
+    return data || []
+  },
+
+  async applyAssignmentRules({ listingIds, clearOverrides } = {}) {
+    const { data: { session } } = await realSupabaseClient.auth.getSession()
+    if (!session) throw new Error('No active session')
+
+    // Re-runs the seller's assignment rules; clearOverrides hands manual picks back to the rules
+    const response = await fetch('/.netlify/functions/apply-strategy-rules', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${session.access_token}`
+      },
+      body: JSON.stringify({ listingIds, clearOverrides })
+    })
+
+    const data = await response.json()
+
+    if (!response.ok) {
+      throw new Error(data.error || 'Failed to apply assignment rules')
+    }
+
+    return data
   }
 } : {
   getStrategies: () => Promise.reject(new Error('Real Supabase not configured')),
   getStrategy: () => Promise.reject(new Error('Real Supabase not configured')),
   createStrategy: () => Promise.reject(new Error('Real Supabase not configured')),
   updateStrategy: () => Promise.reject(new Error('Real Supabase not configured')),
-  deleteStrategy: () => Promise.reject(new Error('Real Supabase not configured'))
+  deleteStrategy: () => Promise.reject(new Error('Real Supabase not configured')),
+  forecastStrategy: () => Promise.reject(new Error('Real Supabase not configured')),
+  getAssignmentRules: () => Promise.reject(new Error('Real Supabase not configured')),
+  applyAssignmentRules: () => Promise.reject(new Error('Real Supabase not configured'))
 }
 
 export const strategiesAPI = isDemoMode ? mockStrategiesAPI : realStrategiesAPI
@@ -756,7 +855,7 @@ const realUserAPI = realSupabaseClient ? {
         id, email, name, created_at, updated_at,
         ebay_refresh_token, ebay_user_id, ebay_connection_status, ebay_connected_at, ebay_refresh_token_expires_at,
         default_reduction_strategy, default_reduction_percentage, default_reduction_interval,
-        email_notifications, price_reduction_alerts,
+        email_notifications, price_reduction_alerts, external_price_policy,
         subscription_plan, subscription_active, subscription_expires_at, listing_limit,
         is_active, last_login, login_count,
         keepa_api_key
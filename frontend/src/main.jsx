@@ -3,6 +3,7 @@ import ReactDOM from 'react-dom/client'
 import { BrowserRouter } from 'react-router-dom'
 import { QueryClient, QueryClientProvider } from '@tanstack/react-query'
 import { AuthProvider } from './contexts/AuthContext'
+import { EbayAccountProvider } from './contexts/EbayAccountContext'
 import App from './App.jsx'
 import './index.css'
 
@@ -21,7 +22,9 @@ ReactDOM.createRoot(document.getElementById('root')).render(
   <QueryClientProvider client={queryClient}>
     <BrowserRouter>
       <AuthProvider>
-        <App />
+        <EbayAccountProvider>
+          <App />
+        </EbayAccountProvider>
       </AuthProvider>
     </BrowserRouter>
   </QueryClientProvider>
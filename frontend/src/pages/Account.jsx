@@ -4,6 +4,7 @@ import { useSearchParams, Link } from 'react-router-dom'
 import { userAPI, authAPI } from '../lib/supabase'
 import keepaApi from '../services/keepaApi'
 import EbayConnect from '../components/EbayConnect'
+import TeamSettings from '../components/TeamSettings'
 
 export default function Account() {
   const [searchParams, setSearchParams] = useSearchParams()
@@ -56,7 +57,8 @@ export default function Account() {
     if (profile && !isEditingPreferences) {
       setPreferencesData({
         email_notifications: profile.email_notifications ?? true,
-        price_reduction_alerts: profile.price_reduction_alerts ?? true
+        price_reduction_alerts: profile.price_reduction_alerts ?? true,
+        external_price_policy: profile.external_price_policy || 'pause'
       })
     }
   }, [profile, isEditingPreferences])
@@ -64,7 +66,7 @@ export default function Account() {
   // Handle tab query parameter
   useEffect(() => {
     const tab = searchParams.get('tab')
-    if (tab && ['profile', 'preferences', 'security', 'billing', 'integrations'].includes(tab)) {
+    if (tab && ['profile', 'preferences', 'team', 'security', 'billing', 'integrations'].includes(tab)) {
       setActiveTab(tab)
       // If navigating to integrations tab, expand the eBay section by default
       if (tab === 'integrations') {
@@ -328,6 +330,7 @@ export default function Account() {
   const tabs = [
     { id: 'profile', name: 'Profile', icon: '👤' },
     { id: 'preferences', name: 'Preferences', icon: '⚙️' },
+    { id: 'team', name: 'Team', icon: '👥' },
     { id: 'security', name: 'Security', icon: '🔒' },
     { id: 'billing', name: 'Billing', icon: '💳' },
     { id: 'integrations', name: 'Integrations', icon: '🔗' }
@@ -530,6 +533,24 @@ export default function Account() {
                     className="h-4 w-4 text-blue-600"
                   />
                 </div>
+
+                <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-2 pb-2 border-b sm:border-0">
+                  <div>
+                    <label htmlFor="external_price_policy" className="text-sm font-medium text-gray-900">Prices Changed on eBay</label>
+                    <p className="text-sm text-gray-600">What to do when you change an auto-reduced listing's price directly on eBay</p>
+                  </div>
+                  <select
+                    id="external_price_policy"
+                    value={isEditingPreferences ? (preferencesData.external_price_policy ?? profile?.external_price_policy ?? 'pause') : (profile?.external_price_policy ?? 'pause')}
+                    onChange={(e) => setPreferencesData(prev => ({ ...prev, external_price_policy: e.target.value }))}
+                    disabled={!isEditingPreferences}
+                    className="border border-gray-300 rounded px-2 py-1 text-sm"
+                  >
+                    <option value="pause">Pause automation and flag it</option>
+                    <option value="adopt">Keep reducing from the new price</option>
+                    <option value="reassert">Put my automated price back</option>
+                  </select>
+                </div>
               </div>
 
               <div className="flex flex-col sm:flex-row gap-3">
@@ -674,6 +695,13 @@ export default function Account() {
             </div>
           )}
 
+          {activeTab === 'team' && (
+            <TeamSettings
+              inviteToken={searchParams.get('invite')}
+              onInviteHandled={() => setSearchParams({ tab: 'team' })}
+            />
+          )}
+
           {activeTab === 'integrations' && (
             <div className="space-y-6">
               <div>
@@ -1,6 +1,7 @@
 import React, { useState, useEffect } from 'react'
 import { userAPI } from '../lib/supabase'
 import { useNavigate } from 'react-router-dom'
+import FeeSchedulesCard from '../components/FeeSchedulesCard'
 
 export default function AdminSettings() {
   const navigate = useNavigate()
@@ -14,6 +15,12 @@ export default function AdminSettings() {
   const [saving, setSaving] = useState(false)
   const [message, setMessage] = useState({ type: '', text: '' })
   const [showCertId, setShowCertId] = useState(false)
+  const [syncQueue, setSyncQueue] = useState(null)
+  const [retryingJobId, setRetryingJobId] = useState(null)
+  const [automation, setAutomation] = useState(null)
+  const [haltReason, setHaltReason] = useState('')
+  const [savingHalt, setSavingHalt] = useState(false)
+  const [haltError, setHaltError] = useState('')
 
   useEffect(() => {
     // Check if user is authenticated
@@ -30,8 +37,98 @@ export default function AdminSettings() {
     }
 
     fetchCredentials()
+    fetchSyncQueue()
+    fetchAutomationControls()
   }, [navigate])
 
+  const fetchAutomationControls = async () => {
+    try {
+      const token = await userAPI.getAuthToken()
+      const response = await fetch('/.netlify/functions/automation-controls', {
+        headers: { 'Authorization': `Bearer ${token}` }
+      })
+      const data = await response.json()
+      if (response.ok) {
+        setAutomation(data)
+      }
+    } catch (error) {
+      console.error('Error fetching automation controls:', error)
+    }
+  }
+
+  const handleToggleHalt = async () => {
+    const halted = !automation.globalHalt.halted
+    if (halted && !window.confirm('Stop all automated price writes for every seller until you resume them?')) {
+      return
+    }
+
+    setSavingHalt(true)
+    setHaltError('')
+    try {
+      const token = await userAPI.getAuthToken()
+      const response = await fetch('/.netlify/functions/automation-controls', {
+        method: 'PUT',
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ globalHalt: { halted, reason: halted ? haltReason : null } })
+      })
+      const data = await response.json()
+      if (!response.ok) {
+        setHaltError(data.error || 'Failed to change the emergency stop')
+        return
+      }
+      setHaltReason('')
+      await fetchAutomationControls()
+    } catch (error) {
+      console.error('Error changing emergency stop:', error)
+      setHaltError('Error changing the emergency stop. Please try again.')
+    } finally {
+      setSavingHalt(false)
+    }
+  }
+
+  const fetchSyncQueue = async () => {
+    try {
+      const token = await userAPI.getAuthToken()
+      const response = await fetch('/.netlify/functions/sync-queue-status', {
+        headers: { 'Authorization': `Bearer ${token}` }
+      })
+      const data = await response.json()
+      if (response.ok) {
+        setSyncQueue(data)
+      }
+    } catch (error) {
+      console.error('Error fetching sync queue:', error)
+    }
+  }
+
+  const handleRetryJob = async (jobId) => {
+    setRetryingJobId(jobId)
+    try {
+      const token = await userAPI.getAuthToken()
+      const response = await fetch('/.netlify/functions/sync-queue-status', {
+        method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ retryJobId: jobId })
+      })
+      const data = await response.json()
+      if (!response.ok) {
+        setMessage({ type: 'error', text: data.error || 'Failed to retry sync job' })
+      }
+      await fetchSyncQueue()
+    } catch (error) {
+      console.error('Error retrying sync job:', error)
+      setMessage({ type: 'error', text: 'Error retrying sync job. Please try again.' })
+    } finally {
+      setRetryingJobId(null)
+    }
+  }
+
   const fetchCredentials = async () => {
     setLoading(true)
     try {
@@ -146,6 +243,80 @@ export default function AdminSettings() {
       <div className="max-w-2xl mx-auto">
         <h1 className="text-3xl font-bold text-gray-900 mb-8">Admin Settings</h1>
 
+        <div className={`bg-white shadow rounded-lg p-6 mb-6 ${automation?.globalHalt.halted ? 'border-2 border-red-500' : ''}`}>
+          <h2 className="text-xl font-semibold text-gray-900 mb-2">Emergency Stop</h2>
+          <p className="text-sm text-gray-600 mb-4">
+            Halts every automated price write for all sellers: scheduled reductions, recovery raises,
+            end-of-life actions and sync re-asserts. Skipped runs are logged below. Sellers can still
+            change prices by hand, and each seller can pause their own automation with vacation mode.
+          </p>
+
+          {!automation ? (
+            <p className="text-sm text-gray-600">Loading...</p>
+          ) : (
+            <>
+              {automation.globalHalt.halted ? (
+                <div className="mb-4 p-4 bg-red-50 border border-red-200 rounded-lg">
+                  <p className="text-sm font-medium text-red-800">Price writes are halted</p>
+                  {automation.globalHalt.reason && (
+                    <p className="text-sm text-red-700 mt-1">{automation.globalHalt.reason}</p>
+                  )}
+                  {automation.globalHalt.updatedAt && (
+                    <p className="text-xs text-red-600 mt-1">Since {new Date(automation.globalHalt.updatedAt).toLocaleString()}</p>
+                  )}
+                </div>
+              ) : (
+                <p className="mb-4 text-sm text-green-700">Automation is running normally.</p>
+              )}
+
+              {automation.canManageGlobal ? (
+                <div className="flex flex-col sm:flex-row gap-3">
+                  {!automation.globalHalt.halted && (
+                    <input
+                      type="text"
+                      value={haltReason}
+                      onChange={(e) => setHaltReason(e.target.value)}
+                      placeholder="Reason (optional)"
+                      className="flex-1 px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-indigo-500 focus:border-indigo-500"
+                    />
+                  )}
+                  <button
+                    type="button"
+                    onClick={handleToggleHalt}
+                    disabled={savingHalt}
+                    className={`px-4 py-2 text-white rounded-md disabled:bg-gray-400 ${
+                      automation.globalHalt.halted ? 'bg-indigo-600 hover:bg-indigo-700' : 'bg-red-600 hover:bg-red-700'
+                    }`}
+                  >
+                    {savingHalt ? 'Saving...' : automation.globalHalt.halted ? 'Resume price writes' : 'Halt all price writes'}
+                  </button>
+                </div>
+              ) : (
+                <p className="text-sm text-gray-500">Only administrators can change the emergency stop.</p>
+              )}
+
+              {haltError && (
+                <p className="mt-3 text-sm text-red-600">{haltError}</p>
+              )}
+
+              <h3 className="text-sm font-medium text-gray-700 mt-6 mb-2">Recently skipped</h3>
+              {automation.recentSkips.length === 0 ? (
+                <p className="text-sm text-gray-600">Nothing has been skipped.</p>
+              ) : (
+                <ul className="divide-y divide-gray-100">
+                  {automation.recentSkips.map(skip => (
+                    <li key={skip.id} className="py-2 text-sm text-gray-900">
+                      {skip.job} &middot; {skip.reason === 'global_halt' ? 'emergency stop' : 'vacation mode'} &middot; {new Date(skip.createdAt).toLocaleString()}
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </>
+          )}
+        </div>
+
+        <FeeSchedulesCard />
+
         <div className="bg-white shadow rounded-lg p-6">
           <h2 className="text-xl font-semibold text-gray-900 mb-4">eBay Developer Credentials</h2>
 
@@ -255,6 +426,83 @@ export default function AdminSettings() {
             </p>
           </div>
         </div>
+
+        <div className="bg-white shadow rounded-lg p-6 mt-6">
+          <div className="flex items-center justify-between mb-4">
+            <h2 className="text-xl font-semibold text-gray-900">Sync Queue</h2>
+            <button
+              type="button"
+              onClick={fetchSyncQueue}
+              className="text-sm text-indigo-600 hover:text-indigo-800"
+            >
+              Refresh
+            </button>
+          </div>
+
+          {!syncQueue ? (
+            <p className="text-sm text-gray-600">Loading sync queue...</p>
+          ) : (
+            <>
+              {syncQueue.globalDepth && (
+                <>
+                  <h3 className="text-sm font-medium text-gray-700 mb-2">All sellers</h3>
+                  {syncQueue.globalDepth.length === 0 ? (
+                    <p className="text-sm text-gray-600 mb-4">The queue is empty.</p>
+                  ) : (
+                    <table className="w-full text-sm mb-4">
+                      <thead>
+                        <tr className="text-left text-gray-500 border-b border-gray-200">
+                          <th className="py-2">Status</th>
+                          <th className="py-2">Job type</th>
+                          <th className="py-2 text-right">Jobs</th>
+                          <th className="py-2 text-right">Due now</th>
+                          <th className="py-2 text-right">Sellers</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {syncQueue.globalDepth.map(row => (
+                          <tr key={`${row.status}:${row.jobType}`} className="border-b border-gray-100">
+                            <td className={`py-2 ${row.status === 'dead' ? 'text-red-600' : 'text-gray-900'}`}>{row.status}</td>
+                            <td className="py-2 text-gray-900">{row.jobType}</td>
+                            <td className="py-2 text-right text-gray-900">{row.count}</td>
+                            <td className="py-2 text-right text-gray-900">{row.due}</td>
+                            <td className="py-2 text-right text-gray-900">{row.users}</td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  )}
+                </>
+              )}
+
+              <h3 className="text-sm font-medium text-gray-700 mb-2">Your failed jobs</h3>
+              {syncQueue.deadLetters.length === 0 ? (
+                <p className="text-sm text-gray-600">No failed sync jobs.</p>
+              ) : (
+                <ul className="divide-y divide-gray-100">
+                  {syncQueue.deadLetters.map(deadLetter => (
+                    <li key={deadLetter.id} className="py-2 flex items-start justify-between gap-3">
+                      <div>
+                        <p className="text-sm text-gray-900">
+                          {deadLetter.job_type} &middot; {deadLetter.attempts} attempts &middot; {new Date(deadLetter.created_at).toLocaleString()}
+                        </p>
+                        <p className="text-xs text-red-600 break-all">{deadLetter.error_message}</p>
+                      </div>
+                      <button
+                        type="button"
+                        onClick={() => handleRetryJob(deadLetter.job_id)}
+                        disabled={retryingJobId === deadLetter.job_id}
+                        className="px-3 py-1 text-sm bg-indigo-600 text-white rounded-md hover:bg-indigo-700 disabled:bg-gray-400"
+                      >
+                        {retryingJobId === deadLetter.job_id ? 'Retrying...' : 'Retry'}
+                      </button>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </>
+          )}
+        </div>
       </div>
     </div>
   )
@@ -0,0 +1,254 @@
+import { Fragment, useState } from 'react'
+import { useQuery } from '@tanstack/react-query'
+import apiService, { handleApiError } from '../services/api'
+import {
+  AUDIT_SOURCE_LABELS,
+  auditActionLabel,
+  describeAuditChanges
+} from '../data/auditLog'
+import { toast } from '../utils/toast'
+
+const PAGE_SIZE = 50
+
+const EMPTY_FILTERS = { action: '', source: '', entityId: '', from: '', to: '' }
+
+// Filter values → get-audit-log query parameters (dates cover whole days)
+const toQuery = (filters) => {
+  const query = {}
+  if (filters.action) query.action = filters.action
+  if (filters.source) query.source = filters.source
+  if (filters.entityId.trim()) query.entityId = filters.entityId.trim()
+  if (filters.from) query.from = new Date(`${filters.from}T00:00:00`).toISOString()
+  if (filters.to) query.to = new Date(`${filters.to}T23:59:59.999`).toISOString()
+  return query
+}
+
+export default function Audit() {
+  const [filters, setFilters] = useState(EMPTY_FILTERS)
+  const [page, setPage] = useState(0)
+  const [expandedId, setExpandedId] = useState(null)
+  const [isExporting, setIsExporting] = useState(false)
+
+  const query = toQuery(filters)
+
+  const { data, isLoading, error } = useQuery(
+    ['audit-log', query, page],
+    () => apiService.getAuditLog(query, PAGE_SIZE, page * PAGE_SIZE),
+    { keepPreviousData: true, refetchOnWindowFocus: false }
+  )
+
+  const entries = data?.entries || []
+  const total = data?.total || 0
+  const pageCount = Math.max(1, Math.ceil(total / PAGE_SIZE))
+
+  const updateFilter = (key, value) => {
+    setFilters(prev => ({ ...prev, [key]: value }))
+    setPage(0)
+  }
+
+  const handleExport = async () => {
+    setIsExporting(true)
+    try {
+      const csv = await apiService.exportAuditLogCsv(query)
+      const url = URL.createObjectURL(new Blob([csv], { type: 'text/csv' }))
+      const a = document.createElement('a')
+      a.href = url
+      a.download = `audit-log-${new Date().toISOString().slice(0, 10)}.csv`
+      a.click()
+      URL.revokeObjectURL(url)
+    } catch (err) {
+      toast.error(handleApiError(err, 'Failed to export audit log'))
+    } finally {
+      setIsExporting(false)
+    }
+  }
+
+  return (
+    <div className="space-y-6">
+      <div className="flex flex-col sm:flex-row sm:items-end sm:justify-between gap-4">
+        <div>
+          <h1 className="text-3xl font-bold text-gray-900">Audit Log</h1>
+          <p className="text-gray-600 mt-2">
+            Every strategy change, settings save, auto-reduction toggle, credential save and listing end.
+            Price changes are in each listing's price history.
+          </p>
+        </div>
+        <button
+          onClick={handleExport}
+          disabled={isExporting || total === 0}
+          className="bg-white border border-gray-300 text-gray-700 px-4 py-2 rounded-md text-sm font-medium hover:bg-gray-50 disabled:opacity-50 whitespace-nowrap"
+        >
+          {isExporting ? 'Exporting...' : 'Export CSV'}
+        </button>
+      </div>
+
+      <div className="bg-white rounded-lg shadow p-4 grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-5 gap-3">
+        <label className="block">
+          <span className="block text-xs font-medium text-gray-700 mb-1">Action</span>
+          <select
+            value={filters.action}
+            onChange={(e) => updateFilter('action', e.target.value)}
+            className="w-full border border-gray-300 rounded-md px-3 py-2 text-sm"
+          >
+            <option value="">All actions</option>
+            {(data?.actions || []).map(action => (
+              <option key={action} value={action}>{auditActionLabel(action)}</option>
+            ))}
+          </select>
+        </label>
+        <label className="block">
+          <span className="block text-xs font-medium text-gray-700 mb-1">Source</span>
+          <select
+            value={filters.source}
+            onChange={(e) => updateFilter('source', e.target.value)}
+            className="w-full border border-gray-300 rounded-md px-3 py-2 text-sm"
+          >
+            <option value="">All sources</option>
+            {Object.entries(AUDIT_SOURCE_LABELS).map(([value, label]) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+        </label>
+        <label className="block">
+          <span className="block text-xs font-medium text-gray-700 mb-1">Listing / entity ID</span>
+          <input
+            type="text"
+            value={filters.entityId}
+            onChange={(e) => updateFilter('entityId', e.target.value)}
+            placeholder="Any"
+            className="w-full border border-gray-300 rounded-md px-3 py-2 text-sm"
+          />
+        </label>
+        <label className="block">
+          <span className="block text-xs font-medium text-gray-700 mb-1">From</span>
+          <input
+            type="date"
+            value={filters.from}
+            onChange={(e) => updateFilter('from', e.target.value)}
+            className="w-full border border-gray-300 rounded-md px-3 py-2 text-sm"
+          />
+        </label>
+        <label className="block">
+          <span className="block text-xs font-medium text-gray-700 mb-1">To</span>
+          <input
+            type="date"
+            value={filters.to}
+            onChange={(e) => updateFilter('to', e.target.value)}
+            className="w-full border border-gray-300 rounded-md px-3 py-2 text-sm"
+          />
+        </label>
+      </div>
+
+      <div className="bg-white rounded-lg shadow overflow-hidden">
+        {isLoading ? (
+          <div className="text-center py-8 text-gray-500">Loading audit log...</div>
+        ) : error ? (
+          <div className="p-4 text-sm text-red-600">{handleApiError(error, 'Failed to load audit log')}</div>
+        ) : entries.length === 0 ? (
+          <div className="text-center py-8 text-gray-500">No audit entries match these filters.</div>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200 text-sm">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-4 py-3 text-left font-medium text-gray-500">Time</th>
+                  <th className="px-4 py-3 text-left font-medium text-gray-500">Action</th>
+                  <th className="px-4 py-3 text-left font-medium text-gray-500">Item</th>
+                  <th className="px-4 py-3 text-left font-medium text-gray-500">By</th>
+                  <th className="px-4 py-3 text-left font-medium text-gray-500">Source</th>
+                  <th className="px-4 py-3"></th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200">
+                {entries.map(entry => {
+                  const changes = describeAuditChanges(entry)
+                  const isExpanded = expandedId === entry.id
+                  return (
+                    <Fragment key={entry.id}>
+                      <tr className="hover:bg-gray-50">
+                        <td className="px-4 py-3 text-gray-600 whitespace-nowrap">
+                          {new Date(entry.createdAt).toLocaleString()}
+                        </td>
+                        <td className="px-4 py-3 text-gray-900">{auditActionLabel(entry.action)}</td>
+                        <td className="px-4 py-3 text-gray-700 max-w-xs truncate">
+                          {entry.metadata?.title || entry.entityId || entry.entityType}
+                        </td>
+                        <td className="px-4 py-3 text-gray-700">
+                          {entry.actorEmail || (entry.source === 'scheduler' ? 'Scheduler' : 'Unknown')}
+                        </td>
+                        <td className="px-4 py-3">
+                          <span className="text-xs bg-gray-100 text-gray-700 px-2 py-0.5 rounded-full">
+                            {AUDIT_SOURCE_LABELS[entry.source] || entry.source}
+                          </span>
+                        </td>
+                        <td className="px-4 py-3 text-right">
+                          <button
+                            onClick={() => setExpandedId(isExpanded ? null : entry.id)}
+                            className="text-blue-600 hover:text-blue-700"
+                          >
+                            {isExpanded ? 'Hide' : 'Details'}
+                          </button>
+                        </td>
+                      </tr>
+                      {isExpanded && (
+                        <tr className="bg-gray-50">
+                          <td colSpan={6} className="px-4 py-3">
+                            {changes.length > 0 ? (
+                              <table className="text-xs mb-2">
+                                <tbody>
+                                  {changes.map(change => (
+                                    <tr key={change.field}>
+                                      <td className="pr-4 py-0.5 font-mono text-gray-600">{change.field}</td>
+                                      <td className="pr-2 py-0.5 text-gray-500 break-all">{change.from}</td>
+                                      <td className="pr-2 py-0.5 text-gray-400">→</td>
+                                      <td className="py-0.5 text-gray-900 break-all">{change.to}</td>
+                                    </tr>
+                                  ))}
+                                </tbody>
+                              </table>
+                            ) : (
+                              <p className="text-xs text-gray-500 mb-2">No field values changed.</p>
+                            )}
+                            <p className="text-xs text-gray-500">
+                              {entry.ownerEmail && `Owner: ${entry.ownerEmail} · `}
+                              {entry.entityType}{entry.entityId ? ` ${entry.entityId}` : ''}
+                              {entry.requestId && ` · Request ${entry.requestId}`}
+                            </p>
+                          </td>
+                        </tr>
+                      )}
+                    </Fragment>
+                  )
+                })}
+              </tbody>
+            </table>
+          </div>
+        )}
+
+        {total > PAGE_SIZE && (
+          <div className="px-4 py-3 border-t border-gray-200 flex items-center justify-between text-sm">
+            <span className="text-gray-600">
+              {page * PAGE_SIZE + 1}–{Math.min((page + 1) * PAGE_SIZE, total)} of {total}
+            </span>
+            <div className="flex gap-2">
+              <button
+                onClick={() => setPage(p => p - 1)}
+                disabled={page === 0}
+                className="px-3 py-1.5 border border-gray-300 rounded-md disabled:opacity-50"
+              >
+                Previous
+              </button>
+              <button
+                onClick={() => setPage(p => p + 1)}
+                disabled={page + 1 >= pageCount}
+                className="px-3 py-1.5 border border-gray-300 rounded-md disabled:opacity-50"
+              >
+                Next
+              </button>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  )
+}
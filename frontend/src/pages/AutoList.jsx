@@ -1,8 +1,24 @@
-import { useState, useCallback } from 'react'
+import { useState, useCallback, useEffect, useRef } from 'react'
 import { useDropzone } from 'react-dropzone'
 import * as XLSX from 'xlsx'
-import { useMutation } from '@tanstack/react-query'
-import { listingsAPI, supabase } from '../lib/supabase'
+import { useQuery } from '@tanstack/react-query'
+import apiService from '../services/api'
+import { TemplatePreview } from '../components/ListingTemplatesEditor'
+import ColumnMapper from '../components/ColumnMapper'
+import { readWorkbook, guessMapping, applyMapping, hasIdentifierColumn, conditionLabel } from '../lib/importMapping'
+import { useEbayAccount } from '../contexts/EbayAccountContext'
+import { ebayAccountName } from '../lib/ebayAccounts'
+
+const isJobOpen = (job) => job && ['pending', 'running'].includes(job.status)
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms))
+
+const ROW_STATUS_STYLES = {
+  succeeded: 'bg-green-50 border-green-200',
+  failed: 'bg-red-50 border-red-200',
+  skipped: 'bg-gray-50 border-gray-200',
+  pending: 'bg-white border-gray-200'
+}
 
 export default function AutoList() {
   const [excelData, setExcelData] = useState([])
@@ -13,162 +29,102 @@ export default function AutoList() {
   const [step, setStep] = useState(1) // 1: Select Method, 2: Input Data, 3: Review, 4: Create Listings
   const [notification, setNotification] = useState(null)
   const [manualAsins, setManualAsins] = useState('')
-  const [loadingAsins, setLoadingAsins] = useState(false)
   const [sheetsUrl, setSheetsUrl] = useState('')
   const [loadingSheets, setLoadingSheets] = useState(false)
+  const [sheet, setSheet] = useState(null) // { headers, rows } of an uploaded file or Google Sheet, until mapped
+  const [mapping, setMapping] = useState({}) // Row field → sheet column header
+  const [checkingRows, setCheckingRows] = useState(false)
   const [editablePrices, setEditablePrices] = useState({}) // Track edited prices by item ID
-  const [creationResults, setCreationResults] = useState(null) // Track success/failure for each listing
+  const [activeJob, setActiveJob] = useState(null) // Server-side listing job (listing-jobs function)
+  const [jobRows, setJobRows] = useState(null) // Per-row results once the job stops
+  const [startingJob, setStartingJob] = useState(false)
+  const watchedJobId = useRef(null) // Job seen running here, to announce when it finishes
+  const [pickedTemplateId, setPickedTemplateId] = useState(null) // null until picked: use the default template
+  const [previews, setPreviews] = useState({}) // Validate-mode results by item ID
+  const { accounts: ebayAccounts, selectedAccount: ebayAccount } = useEbayAccount()
+
+  const { data: templateData } = useQuery(['listingTemplates'], () => apiService.getListingTemplates(), {
+    refetchOnWindowFocus: false
+  })
+  const templates = templateData?.templates || []
+  const templateId = pickedTemplateId ?? (templates.find(template => template.isDefault)?.id || '')
+
+  // Jobs keep running on the server after the tab closes; offer to reopen them
+  const { data: jobsData, refetch: refetchJobs } = useQuery(['listingJobs'], () => apiService.getListingJobs(), {
+    refetchOnWindowFocus: false
+  })
+  const recentJobs = jobsData?.jobs || []
 
   const showNotification = (type, message) => {
     setNotification({ type, message })
     setTimeout(() => setNotification(null), 5000)
   }
 
-  // Process manual ASINs using Keepa API
-  const processManualAsins = async () => {
-    setLoadingAsins(true)
-
+  // Validate rows and look for SKUs already in use, before anything is created
+  const checkImportRows = async (rows) => {
+    setCheckingRows(true)
     try {
-      // Parse ASINs from textarea
-      const asinList = manualAsins
-        .split('\n')
-        .map(asin => asin.trim())
-        .filter(asin => asin && asin.length === 10) // Valid Amazon ASINs are 10 characters
-
-      if (asinList.length === 0) {
-        showNotification('error', 'Please enter at least one valid ASIN')
-        setLoadingAsins(false)
-        return
-      }
-
-      showNotification('info', `Processing ${asinList.length} ASINs...`)
-
-      // Get auth token for API calls
-      const { data: { session } } = await supabase.auth.getSession()
-      if (!session) {
-        showNotification('error', 'Please log in to use this feature')
-        setLoadingAsins(false)
-        return
-      }
-
-      // Fetch product data from Keepa API for each ASIN
-      const keepaPromises = asinList.map(async (asin, index) => {
-        try {
-          // Call keepa-fetch-product endpoint for enhanced field mapping
-          const response = await fetch(`/.netlify/functions/keepa-fetch-product`, {
-            method: 'POST',
-            headers: {
-              'Authorization': `Bearer ${session.access_token}`,
-              'Content-Type': 'application/json'
-            },
-            body: JSON.stringify({ asin })
-          })
-
-          if (!response.ok) {
-            throw new Error(`Failed to fetch data for ASIN ${asin}`)
-          }
-
-          const data = await response.json()
-
-          if (!data.success) {
-            throw new Error(data.message || `No data found for ASIN ${asin}`)
-          }
-
-          const product = data.keepaData
-          const ebayDraft = data.ebayDraft // This has all enhanced aspects!
-
-          // DEBUG: Log what we received from Keepa
-          console.log('🔍 KEEPA FETCH RESPONSE:', {
-            asin: asin,
-            hasEbayDraft: !!ebayDraft,
-            ebayDraftKeys: ebayDraft ? Object.keys(ebayDraft) : [],
-            hasImages: !!ebayDraft?.images,
-            imagesCount: ebayDraft?.images?.length || 0,
-            images: ebayDraft?.images || [],
-            firstImage: ebayDraft?.images?.[0],
-            descriptionLength: ebayDraft?.description?.length || 0,
-            hasKeepaDataImages: !!product.images,
-            keepaImagesCount: product.images?.length || 0
-          })
-
-          // Extract price from Keepa stats.current array
-          // Index 1 = Amazon price, Index 4 = Buy Box price (prices in cents)
-          let currentPrice = 0
-          if (product.stats?.current) {
-            // Try Buy Box price first (index 4), then Amazon price (index 1)
-            const buyBoxPrice = product.stats.current[4]
-            const amazonPrice = product.stats.current[1]
-
-            if (buyBoxPrice && buyBoxPrice > 0) {
-              currentPrice = buyBoxPrice / 100 // Convert cents to dollars
-            } else if (amazonPrice && amazonPrice > 0) {
-              currentPrice = amazonPrice / 100 // Convert cents to dollars
-            }
-          }
-
-          return {
-            id: `asin-${index}`,
-            asin: asin,
-            // sku will be auto-generated by backend with user's prefix
-            fnsku: '',
-            title: product.title || `Product ${asin}`,
-            quantity: 1, // Default quantity
-            condition: 'NEW', // Default: Brand New
-            originalPrice: currentPrice,
-            suggestedPrice: null,
-            category: product.categoryTree?.[0]?.name || 'Unknown',
-            brand: product.brand || '',
-            imageUrl: product.imagesCSV?.split(',')[0] || '', // For display only
-            ebayDraft: ebayDraft // Include the enhanced eBay draft with all aspects, description, and ALL images
-          }
-        } catch (error) {
-          console.error(`Error processing ASIN ${asin}:`, error)
-          // Return partial data even if Keepa fails
-          return {
-            id: `asin-${index}`,
-            asin: asin,
-            sku: asin,
-            fnsku: '',
-            title: `Product ${asin} (Data unavailable)`,
-            quantity: 1,
-            condition: 'NEW', // Default: Brand New
-            originalPrice: 0,
-            suggestedPrice: null,
-            category: 'Unknown',
-            brand: '',
-            imageUrl: '',
-            error: error.message
-          }
-        }
-      })
-
-      const results = await Promise.all(keepaPromises)
-
-      // Filter out completely failed entries
-      const validResults = results.filter(item => item.asin)
+      const { rows: checked } = await apiService.checkListingJobRows(rows, ebayAccount?.id || null)
+      const items = checked
+        .map((result, index) => result.row && {
+          ...result.row,
+          id: `${inputMethod}-${index}`,
+          rowNumber: index + 1,
+          originalPrice: result.row.price || 0, // 0: the Amazon price from Keepa when listed
+          suggestedPrice: null,
+          errors: result.errors
+        })
+        .filter(Boolean)
 
-      if (validResults.length === 0) {
-        showNotification('error', 'Failed to process any ASINs. Please check your Keepa API connection.')
-        setLoadingAsins(false)
+      if (items.length === 0) {
+        showNotification('error', 'No rows with an ASIN, a UPC or a title')
         return
       }
 
-      const failedCount = asinList.length - validResults.length
-      if (failedCount > 0) {
-        showNotification('warning', `Processed ${validResults.length} ASINs successfully. ${failedCount} failed.`)
+      const invalid = items.filter(item => item.errors.length > 0).length
+      setExcelData(items)
+      setSelectedItems(new Set())
+      setEditablePrices({})
+      setPreviews({})
+      if (invalid > 0) {
+        showNotification('warning', `Loaded ${items.length} rows. ${invalid} have problems and cannot be listed; see the rows marked below.`)
       } else {
-        showNotification('success', `Successfully processed ${validResults.length} ASINs`)
+        showNotification('success', `Loaded ${items.length} rows`)
       }
-
-      setExcelData(validResults)
       setStep(3) // Move to review step
-
     } catch (error) {
-      console.error('Error processing manual ASINs:', error)
-      showNotification('error', `Failed to process ASINs: ${error.message}`)
+      showNotification('error', `Failed to check rows: ${error.message}`)
+    } finally {
+      setCheckingRows(false)
+    }
+  }
+
+  // Manual ASINs: product data is fetched from Keepa by the listing job
+  const processManualAsins = () => {
+    // Parse ASINs from textarea; the check reports malformed ones
+    const asinList = [...new Set(manualAsins
+      .split('\n')
+      .map(asin => asin.trim().toUpperCase())
+      .filter(Boolean))]
+
+    if (asinList.length === 0) {
+      showNotification('error', 'Please enter at least one ASIN')
+      return
     }
 
-    setLoadingAsins(false)
+    // sku will be auto-generated by backend with user's prefix
+    checkImportRows(asinList.map(asin => ({ asin })))
+  }
+
+  // A spreadsheet goes to the column mapping before its rows are checked
+  const loadSheet = (workbook) => {
+    const { headers, rows } = readWorkbook(workbook)
+    if (rows.length === 0 || headers.length === 0) {
+      throw new Error('The sheet has no header row or no data rows')
+    }
+    setSheet({ headers, rows })
+    setMapping(guessMapping(headers))
+    return rows.length
   }
 
   // Process Google Sheets data
@@ -206,55 +162,9 @@ export default function AutoList() {
 
       const csvText = await response.text()
 
-      // Parse CSV data
-      const lines = csvText.split('\n').filter(line => line.trim())
-      if (lines.length < 2) {
-        throw new Error('Google Sheet appears to be empty or has no data rows')
-      }
-
-      const headers = lines[0].split(',').map(h => h.replace(/"/g, '').trim().toLowerCase())
-      const dataRows = lines.slice(1)
-
-      showNotification('info', `Processing ${dataRows.length} rows from Google Sheets...`)
-
-      // Process each row
-      const processed = dataRows.map((row, index) => {
-        const values = row.split(',').map(v => v.replace(/"/g, '').trim())
-        const rowData = {}
-
-        headers.forEach((header, i) => {
-          rowData[header] = values[i] || ''
-        })
-
-        return {
-          id: `sheets-${index}`,
-          asin: rowData['asin'] || rowData['amazon asin'] || '',
-          sku: rowData['sku'] || rowData['merchant sku'] || rowData['asin'] || '',
-          fnsku: rowData['fnsku'] || '',
-          title: rowData['product name'] || rowData['title'] || rowData['product'] || '',
-          quantity: parseInt(rowData['quantity'] || rowData['qty'] || 1),
-          condition: rowData['condition'] || 'NEW', // Default: Brand New
-          originalPrice: parseFloat(rowData['price'] || rowData['your price'] || 0),
-          suggestedPrice: null,
-          category: rowData['category'] || rowData['product category'] || '',
-          brand: rowData['brand'] || '',
-          imageUrl: rowData['image url'] || rowData['main image'] || ''
-        }
-      }).filter(item => item.asin || item.sku) // Filter out empty rows
-
-      if (processed.length === 0) {
-        throw new Error('No valid product data found in Google Sheets. Please check your column headers.')
-      }
-
-      const skippedRows = dataRows.length - processed.length
-      if (skippedRows > 0) {
-        showNotification('warning', `Processed ${processed.length} rows successfully. ${skippedRows} rows skipped due to missing ASIN/SKU.`)
-      } else {
-        showNotification('success', `Successfully imported ${processed.length} products from Google Sheets`)
-      }
-
-      setExcelData(processed)
-      setStep(3) // Move to review step
+      // raw: keep cells as text, so UPCs keep their leading zeros
+      const rowCount = loadSheet(XLSX.read(csvText, { type: 'string', raw: true }))
+      showNotification('success', `Found ${rowCount} rows in Google Sheets. Map the columns to continue.`)
 
     } catch (error) {
       console.error('Error processing Google Sheets:', error)
@@ -270,32 +180,11 @@ export default function AutoList() {
     reader.onload = (e) => {
       try {
         const data = new Uint8Array(e.target.result)
-        const workbook = XLSX.read(data, { type: 'array' })
-        const sheetName = workbook.SheetNames[0]
-        const worksheet = workbook.Sheets[sheetName]
-        const jsonData = XLSX.utils.sheet_to_json(worksheet)
-
-        // Process Amazon removal order data
-        const processed = jsonData.map((row, index) => ({
-          id: `row-${index}`,
-          asin: row['ASIN'] || row['asin'] || '',
-          sku: row['SKU'] || row['sku'] || row['Merchant SKU'] || '',
-          fnsku: row['FNSKU'] || row['fnsku'] || '',
-          title: row['Product Name'] || row['Title'] || row['Product'] || '',
-          quantity: parseInt(row['Quantity'] || row['quantity'] || row['Qty'] || 1),
-          condition: row['Condition'] || row['condition'] || 'NEW', // Default: Brand New
-          originalPrice: parseFloat(row['Price'] || row['Your Price'] || 0),
-          suggestedPrice: null,
-          category: row['Category'] || row['Product Category'] || '',
-          brand: row['Brand'] || '',
-          imageUrl: row['Image URL'] || row['Main Image'] || ''
-        })).filter(item => item.asin || item.sku) // Filter out empty rows
-
-        setExcelData(processed)
-        setStep(3)
-        showNotification('success', `Loaded ${processed.length} items from Excel`)
+        const workbook = XLSX.read(data, { type: 'array', raw: file.name.toLowerCase().endsWith('.csv') })
+        const rowCount = loadSheet(workbook)
+        showNotification('success', `Found ${rowCount} rows in ${file.name}. Map the columns to continue.`)
       } catch (error) {
-        showNotification('error', 'Failed to parse Excel file. Please ensure it contains the correct columns.')
+        showNotification('error', `Failed to parse the file: ${error.message}`)
         console.error('Excel parsing error:', error)
       }
     }
@@ -327,11 +216,11 @@ export default function AutoList() {
 
     // Calculate suggested prices and prepare for eBay
     // Note: We don't set ebayCategory here - let the backend determine it from title via eBay Taxonomy API
+    // Without a price (ASIN-only rows) the job uses the Amazon price from Keepa
     const ebayListings = itemsToProcess.map(item => ({
       ...item,
-      suggestedPrice: calculateEbayPrice(item.originalPrice, item.condition),
-      listingTitle: createEbayTitle(item),
-      listingDescription: createListingDescription(item)
+      suggestedPrice: item.originalPrice > 0 ? calculateEbayPrice(item.originalPrice, item.condition) : '',
+      listingTitle: item.title ? createEbayTitle(item) : ''
     }))
 
     setProcessedData(ebayListings)
@@ -342,11 +231,11 @@ export default function AutoList() {
   // Price calculation based on condition and market
   const calculateEbayPrice = (originalPrice, condition) => {
     const conditionMultipliers = {
-      'New': 1.2,
-      'Like New': 1.1,
-      'Very Good': 0.95,
-      'Good': 0.85,
-      'Acceptable': 0.75
+      NEW: 1.2,
+      LIKE_NEW: 1.1,
+      USED_VERY_GOOD: 0.95,
+      USED_GOOD: 0.85,
+      USED_ACCEPTABLE: 0.75
     }
     const multiplier = conditionMultipliers[condition] || 1.0
     return (originalPrice * multiplier).toFixed(2)
@@ -362,8 +251,8 @@ export default function AutoList() {
     }
 
     // Don't add condition suffix for NEW_OTHER as it's the default
-    if (item.condition && item.condition !== 'NEW_OTHER' && item.condition !== 'New') {
-      title += ` - ${item.condition}`
+    if (item.condition && item.condition !== 'NEW_OTHER' && item.condition !== 'NEW') {
+      title += ` - ${conditionLabel(item.condition)}`
     }
 
     // Trim to 80 chars without cutting words
@@ -392,14 +281,6 @@ export default function AutoList() {
     return categoryMap[amazonCategory] || '0' // Default category
   }
 
-  // Create listing description
-  const createListingDescription = (item) => {
-    return `
-      <h3>${item.title}</h3>
-      <p><strong>Condition:</strong> ${item.condition}</p>
-    `
-  }
-
   // Toggle item selection
   const toggleSelection = (itemId) => {
     const newSelection = new Set(selectedItems)
@@ -411,9 +292,13 @@ export default function AutoList() {
     setSelectedItems(newSelection)
   }
 
+  // Rows that failed the check stay out of the job until fixed in the sheet
+  const listableItems = excelData.filter(item => !item.errors?.length)
+  const invalidCount = excelData.length - listableItems.length
+
   // Select all items
   const selectAll = () => {
-    setSelectedItems(new Set(excelData.map(item => item.id)))
+    setSelectedItems(new Set(listableItems.map(item => item.id)))
   }
 
   // Deselect all items
@@ -421,96 +306,167 @@ export default function AutoList() {
     setSelectedItems(new Set())
   }
 
-  // Create eBay listings with detailed tracking
-  const createListingsMutation = useMutation(
-    async (listings) => {
-      const results = []
-
-      // Process listings sequentially to track individual success/failure
-      for (const listing of listings) {
-        try {
-          // Use edited price if available, otherwise use suggested price
-          const price = editablePrices[listing.id] || listing.suggestedPrice
-
-          // Use ALL images from ebayDraft if available, otherwise fallback to imageUrl
-          const images = listing.ebayDraft?.images && listing.ebayDraft.images.length > 0
-            ? listing.ebayDraft.images
-            : (listing.imageUrl
-                ? listing.imageUrl.split(',').map(img =>
-                    img.startsWith('http') ? img : `https://images-na.ssl-images-amazon.com/images/I/${img.trim()}`
-                  )
-                : [])
-
-          // Use full Keepa description from ebayDraft if available, otherwise use minimal description
-          const description = listing.ebayDraft?.description || listing.listingDescription
-
-          // Use enhanced aspects from ebayDraft if available, otherwise fallback to brand only
-          const aspects = listing.ebayDraft?.aspects || {}
-          if (!aspects.Brand && listing.brand) {
-            aspects['Brand'] = [listing.brand]
-          }
-
-          // Debug logging
-          console.log('📦 Creating listing with data:', {
-            asin: listing.asin,
-            sku: listing.sku,
-            hasEbayDraft: !!listing.ebayDraft,
-            imageCount: images.length,
-            images: images, // Show actual image URLs
-            descriptionLength: description?.length || 0,
-            aspectsKeys: Object.keys(aspects)
-          })
-
-          const result = await listingsAPI.createListing({
-            asin: listing.asin, // ✅ Pass ASIN for SKU generation
-            title: listing.listingTitle,
-            description: description, // ✅ Use full Keepa description
-            price: price,
-            quantity: listing.quantity,
-            // sku: Let backend generate with user's prefix settings
-            condition: listing.condition,
-            images: images, // ✅ Use ALL images from Keepa
-            aspects: aspects // Includes all enhanced aspects from Keepa
-          })
-
-          results.push({
-            id: listing.id,
-            sku: listing.sku,
-            title: listing.listingTitle,
-            success: true,
-            result: result
-          })
-        } catch (error) {
-          results.push({
-            id: listing.id,
-            sku: listing.sku,
-            title: listing.listingTitle,
-            success: false,
-            error: error.message || 'Unknown error'
-          })
-        }
+  // A row of the listing job; the server fetches Keepa data and builds the listing
+  const toJobRow = (listing) => ({
+    asin: listing.asin,
+    upc: listing.upc,
+    sku: listing.sku,
+    title: listing.listingTitle,
+    // Use edited price if available, otherwise use suggested price
+    price: editablePrices[listing.id] || listing.suggestedPrice || null,
+    quantity: listing.quantity,
+    condition: listing.condition,
+    cost: listing.cost,
+    minPrice: listing.minPrice,
+    brand: listing.brand,
+    imageUrl: listing.imageUrl
+  })
+
+  // Validate one item without publishing: shows the templated title and
+  // description with the category eBay will use
+  const previewListing = async (listing) => {
+    setPreviews(prev => ({ ...prev, [listing.id]: { loading: true } }))
+    try {
+      const { preview } = await apiService.previewListingJobRow({
+        row: toJobRow(listing),
+        templateId: templateId || null,
+        ebayAccountId: ebayAccount?.id || null
+      })
+      setPreviews(prev => ({ ...prev, [listing.id]: { result: preview } }))
+    } catch (error) {
+      setPreviews(prev => ({ ...prev, [listing.id]: { error: error.message || 'Validation failed' } }))
+    }
+  }
+
+  const closePreview = (itemId) => {
+    setPreviews(prev => {
+      const next = { ...prev }
+      delete next[itemId]
+      return next
+    })
+  }
+
+  // Upload the rows once; the server lists them in a throttled queue
+  const startListingJob = async () => {
+    setStartingJob(true)
+    try {
+      const { job, ignored } = await apiService.startListingJob({
+        rows: processedData.map(toJobRow),
+        templateId: templateId || null,
+        ebayAccountId: ebayAccount?.id || null, // Store picked in the layout switcher (policies + SKU prefix)
+        source: inputMethod || 'manual'
+      })
+      setJobRows(null)
+      setActiveJob(job)
+      if (ignored > 0) {
+        showNotification('warning', `${ignored} row(s) had neither an ASIN nor a title and were left out`)
       }
+    } catch (error) {
+      showNotification('error', `Failed to start listing job: ${error.message}`)
+    } finally {
+      setStartingJob(false)
+    }
+  }
 
-      return results
-    },
-    {
-      onSuccess: (results) => {
-        const successful = results.filter(r => r.success).length
-        const failed = results.filter(r => !r.success).length
+  // Drive the job while the page is open; scheduled-listing-jobs finishes it otherwise
+  useEffect(() => {
+    if (!isJobOpen(activeJob)) return undefined
+    watchedJobId.current = activeJob.id
+
+    let stopped = false
+    const next = async () => {
+      const throttledFor = activeJob.throttledUntil ? new Date(activeJob.throttledUntil) - Date.now() : 0
+      if (throttledFor > 0) {
+        await sleep(Math.min(throttledFor, 30000))
+      } else if (activeJob.stalled) {
+        // Another of your jobs is running, or a runner holds this one
+        await sleep(5000)
+      }
+      if (stopped) return
+
+      try {
+        const { job } = await apiService.processListingJob(activeJob.id)
+        if (!stopped) setActiveJob({ ...job, stalled: job.processed === activeJob.processed && !job.throttledUntil })
+      } catch (error) {
+        // The scheduled runner picks it up; keep polling a little slower
+        await sleep(3000)
+        if (!stopped) setActiveJob(job => ({ ...job }))
+      }
+    }
+    next()
+    return () => { stopped = true }
+  }, [activeJob])
 
-        setCreationResults(results)
+  // Per-row results once the job stops
+  useEffect(() => {
+    if (!activeJob || isJobOpen(activeJob)) return
 
-        if (failed === 0) {
-          showNotification('success', `Successfully created all ${successful} eBay listings!`)
-        } else {
-          showNotification('warning', `Created ${successful} listings, ${failed} failed. See details below.`)
-        }
-      },
-      onError: (error) => {
-        showNotification('error', `Failed to create listings: ${error.message}`)
+    apiService.getListingJob(activeJob.id)
+      .then(({ rows }) => setJobRows(rows))
+      .catch(() => setJobRows([]))
+
+    if (activeJob.status === 'completed' && watchedJobId.current === activeJob.id) {
+      if (activeJob.failed === 0) {
+        showNotification('success', `Successfully created all ${activeJob.succeeded} eBay listings!`)
+      } else {
+        showNotification('warning', `Created ${activeJob.succeeded} listings, ${activeJob.failed} failed. See details below.`)
       }
     }
-  )
+  }, [activeJob?.id, activeJob?.status])
+
+  const handleRetryFailed = async () => {
+    try {
+      const { job, retried } = await apiService.retryListingJob(activeJob.id)
+      setJobRows(null)
+      setActiveJob(job)
+      showNotification('info', `Retrying ${retried} failed row(s)`)
+    } catch (error) {
+      showNotification('error', error.message || 'Failed to retry')
+    }
+  }
+
+  const handleCancelJob = async () => {
+    try {
+      const { job } = await apiService.cancelListingJob(activeJob.id)
+      setActiveJob(job)
+    } catch (error) {
+      showNotification('error', error.message || 'Failed to cancel the job')
+    }
+  }
+
+  const handleDownloadReport = async () => {
+    try {
+      const csv = await apiService.exportListingJobCsv(activeJob.id)
+      const url = URL.createObjectURL(new Blob([csv], { type: 'text/csv' }))
+      const link = document.createElement('a')
+      link.href = url
+      link.download = `listing-job-${activeJob.createdAt.slice(0, 10)}.csv`
+      link.click()
+      URL.revokeObjectURL(url)
+    } catch (error) {
+      showNotification('error', error.message || 'Failed to download the report')
+    }
+  }
+
+  const openJob = (job) => {
+    setJobRows(null)
+    setActiveJob(job)
+    setStep(4)
+  }
+
+  const startOver = () => {
+    setActiveJob(null)
+    setJobRows(null)
+    setEditablePrices({})
+    setPreviews({})
+    setExcelData([])
+    setProcessedData([])
+    setSelectedItems(new Set())
+    setSheet(null)
+    setMapping({})
+    setStep(1)
+    refetchJobs()
+  }
 
   // Update price for a specific item
   const handlePriceChange = (itemId, newPrice) => {
@@ -518,6 +474,7 @@ export default function AutoList() {
       ...prev,
       [itemId]: parseFloat(newPrice)
     }))
+    closePreview(itemId)
   }
 
   return (
@@ -652,6 +609,33 @@ export default function AutoList() {
               </div>
 
             </div>
+
+            {recentJobs.length > 0 && (
+              <div className="mt-8 border-t pt-6">
+                <h3 className="text-sm font-medium text-gray-900 mb-3">Recent listing jobs</h3>
+                <ul className="divide-y divide-gray-100">
+                  {recentJobs.map(job => (
+                    <li key={job.id} className="py-2 flex items-center justify-between gap-3 text-sm">
+                      <div className="text-gray-700">
+                        {new Date(job.createdAt).toLocaleString()} &middot; {job.total} row{job.total === 1 ? '' : 's'}
+                        <span className="ml-2 text-gray-500">
+                          {isJobOpen(job)
+                            ? `In progress: ${job.processed} of ${job.total}`
+                            : `${job.succeeded} listed, ${job.failed} failed${job.status === 'cancelled' ? ' (cancelled)' : ''}`}
+                        </span>
+                      </div>
+                      <button
+                        type="button"
+                        onClick={() => openJob(job)}
+                        className="text-blue-600 hover:text-blue-800"
+                      >
+                        {isJobOpen(job) ? 'Watch' : 'Results'}
+                      </button>
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            )}
           </div>
         </div>
       )}
@@ -662,14 +646,17 @@ export default function AutoList() {
           <div className="p-6">
             <div className="flex items-center justify-between mb-4">
               <h2 className="text-lg font-medium text-gray-900">
-                {inputMethod === 'file' && 'Upload File'}
+                {sheet && 'Map Columns'}
+                {!sheet && inputMethod === 'file' && 'Upload File'}
                 {inputMethod === 'manual' && 'Enter ASINs Manually'}
-                {inputMethod === 'sheets' && 'Connect Google Sheets'}
+                {!sheet && inputMethod === 'sheets' && 'Connect Google Sheets'}
               </h2>
               <button
                 onClick={() => {
                   setStep(1)
                   setInputMethod(null)
+                  setSheet(null)
+                  setMapping({})
                 }}
                 className="text-sm text-gray-500 hover:text-gray-700"
               >
@@ -677,8 +664,38 @@ export default function AutoList() {
               </button>
             </div>
 
+            {/* Column mapping for an uploaded file or Google Sheet */}
+            {sheet && inputMethod !== 'manual' && (
+              <>
+                <ColumnMapper
+                  headers={sheet.headers}
+                  rows={sheet.rows}
+                  mapping={mapping}
+                  onChange={setMapping}
+                />
+                <div className="mt-6 flex flex-col sm:flex-row sm:justify-between gap-3">
+                  <button
+                    onClick={() => {
+                      setSheet(null)
+                      setMapping({})
+                    }}
+                    className="px-4 py-2 bg-gray-200 text-gray-700 rounded hover:bg-gray-300 w-full sm:w-auto"
+                  >
+                    {inputMethod === 'sheets' ? 'Use Another Sheet' : 'Choose Another File'}
+                  </button>
+                  <button
+                    onClick={() => checkImportRows(applyMapping(sheet.rows, mapping))}
+                    disabled={!hasIdentifierColumn(mapping) || checkingRows}
+                    className="px-6 py-2 bg-blue-600 text-white rounded hover:bg-blue-700 disabled:opacity-50 w-full sm:w-auto"
+                  >
+                    {checkingRows ? 'Checking rows...' : `Check ${sheet.rows.length} Rows`}
+                  </button>
+                </div>
+              </>
+            )}
+
             {/* File Upload Interface */}
-            {inputMethod === 'file' && (
+            {!sheet && inputMethod === 'file' && (
               <>
                 <div
                   {...getRootProps()}
@@ -703,18 +720,13 @@ export default function AutoList() {
 
                 <div className="mt-6 border-t pt-6">
                   <h3 className="text-sm font-medium text-gray-900 mb-2">
-                    Expected Excel Columns:
+                    Columns:
                   </h3>
-                  <div className="grid grid-cols-2 sm:grid-cols-4 gap-2 text-xs text-gray-600">
-                    <div>• ASIN</div>
-                    <div>• SKU</div>
-                    <div>• FNSKU</div>
-                    <div>• Product Name</div>
-                    <div>• Quantity</div>
-                    <div>• Condition</div>
-                    <div>• Price</div>
-                    <div>• Category</div>
-                  </div>
+                  <p className="text-xs text-gray-600">
+                    Any layout works: you map your columns to ASIN, UPC, SKU, title, price, quantity,
+                    condition, cost and min price in the next step. Headers such as ASIN, SKU, Product Name
+                    and Price are matched automatically.
+                  </p>
                 </div>
               </>
             )}
@@ -742,23 +754,23 @@ Enter multiple ASINs, one per line"
                   <h4 className="text-sm font-medium text-blue-900 mb-2">How it works:</h4>
                   <ul className="text-sm text-blue-800 space-y-1">
                     <li>• Enter Amazon ASINs (10-character product IDs)</li>
-                    <li>• Product data will be fetched from Keepa API</li>
-                    <li>• Pricing will be calculated automatically</li>
+                    <li>• Product data will be fetched from Keepa API when the listings are created</li>
+                    <li>• Leave the price empty to use the Amazon price</li>
                     <li>• eBay categories will be determined via taxonomy</li>
                   </ul>
                 </div>
                 <button
                   className="w-full bg-green-600 text-white py-2 px-4 rounded-md hover:bg-green-700 disabled:opacity-50 transition-colors"
                   onClick={processManualAsins}
-                  disabled={loadingAsins || !manualAsins.trim()}
+                  disabled={!manualAsins.trim() || checkingRows}
                 >
-                  {loadingAsins ? 'Processing ASINs...' : 'Process ASINs'}
+                  {checkingRows ? 'Checking ASINs...' : 'Process ASINs'}
                 </button>
               </div>
             )}
 
             {/* Google Sheets Interface */}
-            {inputMethod === 'sheets' && (
+            {!sheet && inputMethod === 'sheets' && (
               <div className="space-y-4">
                 <div>
                   <label className="block text-sm font-medium text-gray-700 mb-2">
@@ -776,22 +788,11 @@ Enter multiple ASINs, one per line"
                   <h4 className="text-sm font-medium text-purple-900 mb-2">Setup Instructions:</h4>
                   <ol className="text-sm text-purple-800 space-y-1 list-decimal list-inside">
                     <li>Make your Google Sheet publicly viewable</li>
-                    <li>Ensure column headers match our expected format</li>
                     <li>Paste the shareable link above</li>
                     <li>Click "Connect Sheet" to import data</li>
+                    <li>Map your columns (a saved mapping is applied automatically)</li>
                   </ol>
                 </div>
-                <div className="bg-amber-50 p-4 rounded-md">
-                  <h4 className="text-sm font-medium text-amber-900 mb-2">Expected Columns:</h4>
-                  <div className="grid grid-cols-2 sm:grid-cols-4 gap-2 text-xs text-amber-800">
-                    <div>• ASIN</div>
-                    <div>• SKU</div>
-                    <div>• Product Name</div>
-                    <div>• Quantity</div>
-                    <div>• Condition</div>
-                    <div>• Price</div>
-                  </div>
-                </div>
                 <button
                   className="w-full bg-purple-600 text-white py-2 px-4 rounded-md hover:bg-purple-700 disabled:opacity-50 transition-colors"
                   onClick={processGoogleSheets}
@@ -829,38 +830,54 @@ Enter multiple ASINs, one per line"
               </div>
             </div>
 
+            {invalidCount > 0 && (
+              <div className="mb-4 p-3 rounded-md bg-red-50 border border-red-200 text-sm text-red-800">
+                {invalidCount} row(s) cannot be listed: fix them in your {inputMethod === 'manual' ? 'ASIN list' : 'sheet'} and
+                load it again, or go on without them.
+              </div>
+            )}
+
             {/* Mobile Card View */}
             <div className="sm:hidden space-y-3">
               {excelData.map((item) => (
-                <div key={item.id} className="border rounded-lg p-4 bg-gray-50">
+                <div key={item.id} className={`border rounded-lg p-4 ${item.errors?.length ? 'bg-red-50 border-red-200' : 'bg-gray-50'}`}>
                   <div className="flex items-start justify-between mb-3">
                     <div className="flex items-center">
                       <input
                         type="checkbox"
                         checked={selectedItems.has(item.id)}
                         onChange={() => toggleSelection(item.id)}
+                        disabled={item.errors?.length > 0}
                         className="rounded border-gray-300 mr-3"
                       />
                       <div>
-                        <div className="font-medium text-sm">{item.title}</div>
-                        <div className="text-xs text-gray-500">SKU: {item.sku}</div>
+                        <div className="font-medium text-sm">{item.title || <span className="text-gray-400 italic">Title from Keepa</span>}</div>
+                        <div className="text-xs text-gray-500">Row {item.rowNumber} · SKU: {item.sku || 'auto'}</div>
                         {item.asin && (
                           <div className="text-xs text-gray-500">ASIN: {item.asin}</div>
                         )}
+                        {item.upc && (
+                          <div className="text-xs text-gray-500">UPC: {item.upc}</div>
+                        )}
                       </div>
                     </div>
                   </div>
+                  {item.errors?.length > 0 && (
+                    <ul className="mb-3 text-xs text-red-700 space-y-1">
+                      {item.errors.map(error => <li key={error}>• {error}</li>)}
+                    </ul>
+                  )}
                   <div className="grid grid-cols-2 gap-2 text-sm">
                     <div>
                       <span className="text-gray-500">Qty:</span> {item.quantity}
                     </div>
                     <div>
                       <span className={`px-2 py-1 text-xs rounded-full ${
-                        item.condition === 'New'
+                        item.condition === 'NEW'
                           ? 'bg-green-100 text-green-800'
                           : 'bg-yellow-100 text-yellow-800'
                       }`}>
-                        {item.condition}
+                        {conditionLabel(item.condition)}
                       </span>
                     </div>
                     <div>
@@ -872,6 +889,8 @@ Enter multiple ASINs, one per line"
                         <span className="text-green-600">
                           ${calculateEbayPrice(item.originalPrice, item.condition)}
                         </span>
+                      ) : item.asin || item.upc ? (
+                        <span className="text-gray-500">Amazon price</span>
                       ) : (
                         <span className="text-amber-600">
                           ⚠️ No price
@@ -892,7 +911,7 @@ Enter multiple ASINs, one per line"
                       <div className="flex items-center gap-2">
                         <input
                           type="checkbox"
-                          checked={excelData.length > 0 && selectedItems.size === excelData.length}
+                          checked={listableItems.length > 0 && selectedItems.size === listableItems.length}
                           onChange={(e) => e.target.checked ? selectAll() : deselectAll()}
                           className="rounded border-gray-300"
                           title="Select/Deselect All"
@@ -929,40 +948,61 @@ Enter multiple ASINs, one per line"
                 </thead>
                 <tbody className="bg-white divide-y divide-gray-200">
                   {excelData.map((item) => (
-                    <tr key={item.id} className="hover:bg-gray-50">
+                    <tr key={item.id} className={item.errors?.length ? 'bg-red-50' : 'hover:bg-gray-50'}>
                       <td className="px-4 py-2">
                         <input
                           type="checkbox"
                           checked={selectedItems.has(item.id)}
                           onChange={() => toggleSelection(item.id)}
+                          disabled={item.errors?.length > 0}
                           className="rounded border-gray-300"
                         />
                       </td>
                       <td className="px-4 py-2 text-sm">
-                        <div>{item.sku}</div>
+                        <div className="text-xs text-gray-400">Row {item.rowNumber}</div>
+                        <div>{item.sku || <span className="text-gray-400 italic">auto</span>}</div>
                         {item.asin && (
                           <div className="text-xs text-gray-500">{item.asin}</div>
                         )}
+                        {item.upc && (
+                          <div className="text-xs text-gray-500">UPC {item.upc}</div>
+                        )}
                       </td>
-                      <td className="px-4 py-2 text-sm max-w-xs truncate">
-                        {item.title}
+                      <td className="px-4 py-2 text-sm max-w-xs">
+                        <div className="truncate">
+                          {item.title || <span className="text-gray-400 italic">Title from Keepa</span>}
+                        </div>
+                        {item.errors?.length > 0 && (
+                          <ul className="mt-1 text-xs text-red-700 whitespace-normal">
+                            {item.errors.map(error => <li key={error}>• {error}</li>)}
+                          </ul>
+                        )}
                       </td>
                       <td className="px-4 py-2 text-sm">{item.quantity}</td>
                       <td className="px-4 py-2 text-sm">
                         <span className={`px-2 py-1 text-xs rounded-full ${
-                          item.condition === 'New'
+                          item.condition === 'NEW'
                             ? 'bg-green-100 text-green-800'
                             : 'bg-yellow-100 text-yellow-800'
                         }`}>
-                          {item.condition}
+                          {conditionLabel(item.condition)}
                         </span>
                       </td>
-                      <td className="px-4 py-2 text-sm">${item.originalPrice}</td>
+                      <td className="px-4 py-2 text-sm">
+                        <div>${item.originalPrice}</div>
+                        {(item.cost || item.minPrice) && (
+                          <div className="text-xs text-gray-500">
+                            {item.cost ? `Cost $${item.cost}` : ''}{item.cost && item.minPrice ? ' · ' : ''}{item.minPrice ? `Min $${item.minPrice}` : ''}
+                          </div>
+                        )}
+                      </td>
                       <td className="px-4 py-2 text-sm font-semibold">
                         {item.originalPrice > 0 ? (
                           <span className="text-green-600">
                             ${calculateEbayPrice(item.originalPrice, item.condition)}
                           </span>
+                        ) : item.asin || item.upc ? (
+                          <span className="text-gray-500">Amazon price (Keepa)</span>
                         ) : (
                           <span className="text-amber-600">
                             ⚠️ No price data
@@ -998,123 +1038,232 @@ Enter multiple ASINs, one per line"
       {step === 4 && (
         <div className="bg-white rounded-lg shadow">
           <div className="p-6">
-            <h2 className="text-lg font-medium text-gray-900 mb-4">
-              Review eBay Listings ({processedData.length} items)
-            </h2>
-
-            {!creationResults && (
-              <div className="space-y-4 max-h-96 overflow-y-auto">
-                {processedData.map((item) => (
-                  <div key={item.id} className="border rounded-lg p-4">
-                    <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
-                      <div>
-                        <h3 className="font-medium text-gray-900">{item.listingTitle}</h3>
-                        <p className="text-sm text-gray-500 mt-1">SKU: {item.sku}</p>
-                        <p className="text-sm text-gray-500">Category: {item.ebayCategory}</p>
-                      </div>
-                      <div className="sm:text-right">
-                        <div className="flex items-center justify-end gap-2 mb-2">
-                          <label className="text-sm text-gray-600">Price:</label>
-                          <div className="relative">
-                            <span className="absolute left-2 top-1/2 transform -translate-y-1/2 text-gray-500">$</span>
-                            <input
-                              type="number"
-                              step="0.01"
-                              min="0"
-                              defaultValue={item.suggestedPrice}
-                              onChange={(e) => handlePriceChange(item.id, e.target.value)}
-                              className="w-28 pl-6 pr-2 py-1 border border-gray-300 rounded text-right font-bold text-green-600"
-                            />
-                          </div>
-                        </div>
-                        <p className="text-sm text-gray-500">Quantity: {item.quantity}</p>
-                        <p className="text-sm text-gray-500">Condition: New Open Box</p>
-                      </div>
-                    </div>
+            {!activeJob ? (
+              <>
+                <h2 className="text-lg font-medium text-gray-900 mb-4">
+                  Review eBay Listings ({processedData.length} items)
+                </h2>
+
+                {templates.length > 0 && (
+                  <div className="mb-4">
+                    <label className="block text-sm font-medium text-gray-700 mb-1">Template</label>
+                    <select
+                      value={templateId}
+                      onChange={(e) => {
+                        setPickedTemplateId(e.target.value)
+                        setPreviews({})
+                      }}
+                      disabled={startingJob}
+                      className="w-full sm:w-96 px-3 py-2 border border-gray-300 rounded"
+                    >
+                      <option value="">None (use the product title and description)</option>
+                      {templates.map(template => (
+                        <option key={template.id} value={template.id}>{template.name}</option>
+                      ))}
+                    </select>
+                    <p className="text-xs text-gray-500 mt-1">
+                      Preview an item to see the title and description the template produces for its category.
+                    </p>
                   </div>
-                ))}
-              </div>
-            )}
-
-            {/* Creation Results */}
-            {creationResults && (
-              <div className="space-y-4 max-h-96 overflow-y-auto">
-                <div className="bg-blue-50 border border-blue-200 rounded-lg p-4 mb-4">
-                  <h3 className="font-medium text-blue-900 mb-2">Creation Summary</h3>
-                  <p className="text-sm text-blue-700">
-                    ✅ Successful: {creationResults.filter(r => r.success).length} listings<br/>
-                    ❌ Failed: {creationResults.filter(r => !r.success).length} listings
-                  </p>
-                </div>
-
-                {creationResults.map((result) => (
-                  <div key={result.id} className={`border rounded-lg p-4 ${
-                    result.success ? 'bg-green-50 border-green-200' : 'bg-red-50 border-red-200'
-                  }`}>
-                    <div className="flex items-start justify-between">
-                      <div className="flex-1">
-                        <div className="flex items-center gap-2">
-                          {result.success ? (
-                            <span className="text-green-600 font-bold">✓</span>
-                          ) : (
-                            <span className="text-red-600 font-bold">✗</span>
-                          )}
-                          <h3 className={`font-medium ${result.success ? 'text-green-900' : 'text-red-900'}`}>
-                            {result.title}
+                )}
+
+                <div className="space-y-4 max-h-96 overflow-y-auto">
+                  {processedData.map((item) => (
+                    <div key={item.id} className="border rounded-lg p-4">
+                      <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                        <div>
+                          <h3 className="font-medium text-gray-900">
+                            {item.listingTitle || <span className="text-gray-400 italic">Title from Keepa ({item.asin || `UPC ${item.upc}`})</span>}
                           </h3>
+                          <p className="text-sm text-gray-500 mt-1">SKU: {item.sku || 'Generated'}</p>
                         </div>
-                        <p className={`text-sm mt-1 ${result.success ? 'text-green-700' : 'text-red-700'}`}>
-                          SKU: {result.sku}
+                        <div className="sm:text-right">
+                          <div className="flex items-center justify-end gap-2 mb-2">
+                            <label className="text-sm text-gray-600">Price:</label>
+                            <div className="relative">
+                              <span className="absolute left-2 top-1/2 transform -translate-y-1/2 text-gray-500">$</span>
+                              <input
+                                type="number"
+                                step="0.01"
+                                min="0"
+                                defaultValue={item.suggestedPrice}
+                                placeholder={item.asin || item.upc ? 'Amazon' : ''}
+                                onChange={(e) => handlePriceChange(item.id, e.target.value)}
+                                className="w-28 pl-6 pr-2 py-1 border border-gray-300 rounded text-right font-bold text-green-600"
+                              />
+                            </div>
+                          </div>
+                          <p className="text-sm text-gray-500">Quantity: {item.quantity}</p>
+                          <p className="text-sm text-gray-500">Condition: {conditionLabel(item.condition)}</p>
+                          <button
+                            type="button"
+                            onClick={() => previews[item.id] ? closePreview(item.id) : previewListing(item)}
+                            disabled={previews[item.id]?.loading || startingJob}
+                            className="mt-2 text-sm text-blue-600 hover:text-blue-800 disabled:text-gray-400"
+                          >
+                            {previews[item.id]?.loading ? 'Validating...' : previews[item.id] ? 'Hide preview' : 'Preview'}
+                          </button>
+                        </div>
+                      </div>
+                      {previews[item.id]?.error && (
+                        <p className="text-sm text-red-700 mt-3 bg-red-100 p-2 rounded">
+                          {previews[item.id].error}
                         </p>
-                        {!result.success && (
-                          <p className="text-sm text-red-700 mt-2 bg-red-100 p-2 rounded">
-                            Error: {result.error}
+                      )}
+                      {previews[item.id]?.result && (
+                        <div className="mt-3 space-y-2">
+                          <p className="text-sm text-gray-600">
+                            eBay category: {previews[item.id].result.categoryName || previews[item.id].result.categoryId}
+                            {previews[item.id].result.template && (
+                              <> &middot; Template: {previews[item.id].result.template.name}
+                                {previews[item.id].result.template.variantCategoryId && ' (category variant)'}</>
+                            )}
                           </p>
-                        )}
-                      </div>
+                          <TemplatePreview
+                            preview={{
+                              title: previews[item.id].result.title,
+                              description: previews[item.id].result.description,
+                              warnings: [
+                                ...(previews[item.id].result.template?.warnings || []),
+                                ...(previews[item.id].result.aspectWarnings || [])
+                              ]
+                            }}
+                          />
+                        </div>
+                      )}
                     </div>
-                  </div>
-                ))}
-              </div>
-            )}
+                  ))}
+                </div>
 
-            <div className="mt-6 flex flex-col sm:flex-row sm:justify-between gap-3">
-              {!creationResults ? (
-                <>
+                <div className="mt-6 flex flex-col sm:flex-row sm:justify-between gap-3">
                   <button
                     onClick={() => setStep(3)}
-                    disabled={createListingsMutation.isLoading}
+                    disabled={startingJob}
                     className="px-4 py-2 bg-gray-200 text-gray-700 rounded hover:bg-gray-300 disabled:opacity-50 w-full sm:w-auto"
                   >
                     Back
                   </button>
+                  {ebayAccounts.length > 1 && ebayAccount && (
+                    <p className="text-sm text-gray-600 self-center">
+                      Listing on <span className="font-medium text-gray-900">{ebayAccountName(ebayAccount)}</span>
+                    </p>
+                  )}
                   <button
-                    onClick={() => createListingsMutation.mutate(processedData)}
-                    disabled={createListingsMutation.isLoading}
+                    onClick={startListingJob}
+                    disabled={startingJob || processedData.length === 0}
                     className="px-6 py-2 bg-green-600 text-white rounded hover:bg-green-700 disabled:opacity-50 w-full sm:w-auto"
                   >
-                    {createListingsMutation.isLoading
-                      ? 'Creating Listings...'
-                      : `Create ${processedData.length} eBay Listings`
-                    }
+                    {startingJob ? 'Starting...' : `Create ${processedData.length} eBay Listings`}
                   </button>
-                </>
-              ) : (
-                <button
-                  onClick={() => {
-                    setCreationResults(null)
-                    setEditablePrices({})
-                    setExcelData([])
-                    setProcessedData([])
-                    setSelectedItems(new Set())
-                    setStep(1)
-                  }}
-                  className="px-6 py-2 bg-blue-600 text-white rounded hover:bg-blue-700 w-full sm:w-auto"
-                >
-                  Start Over
-                </button>
-              )}
-            </div>
+                </div>
+              </>
+            ) : (
+              <>
+                <h2 className="text-lg font-medium text-gray-900 mb-4">
+                  Listing Job ({activeJob.total} rows)
+                </h2>
+
+                <div className="bg-blue-50 border border-blue-200 rounded-lg p-4 mb-4">
+                  <div className="w-full bg-blue-100 rounded-full h-2 mb-3">
+                    <div
+                      className="bg-blue-600 h-2 rounded-full transition-all"
+                      style={{ width: `${activeJob.total ? Math.round((activeJob.processed / activeJob.total) * 100) : 0}%` }}
+                    />
+                  </div>
+                  <p className="text-sm text-blue-700">
+                    ✅ Successful: {activeJob.succeeded} listings<br/>
+                    ❌ Failed: {activeJob.failed} listings
+                    {activeJob.skipped > 0 && <><br/>⏭️ Skipped: {activeJob.skipped}</>}
+                  </p>
+                  {isJobOpen(activeJob) && (
+                    <p className="text-sm text-blue-700 mt-2">
+                      {activeJob.throttledUntil && new Date(activeJob.throttledUntil) > new Date()
+                        ? `${activeJob.throttleReason || 'Rate limited'}: continuing at ${new Date(activeJob.throttledUntil).toLocaleTimeString()}.`
+                        : `Listing ${activeJob.processed} of ${activeJob.total}...`}
+                      {' '}You can close this page; the job keeps running on the server.
+                    </p>
+                  )}
+                  {activeJob.status === 'cancelled' && (
+                    <p className="text-sm text-blue-700 mt-2">Cancelled. Rows not yet listed were skipped.</p>
+                  )}
+                </div>
+
+                {jobRows && (
+                  <div className="space-y-3 max-h-96 overflow-y-auto">
+                    {jobRows.map((row) => (
+                      <div key={row.row} className={`border rounded-lg p-4 ${ROW_STATUS_STYLES[row.status] || ROW_STATUS_STYLES.pending}`}>
+                        <div className="flex items-start justify-between gap-3">
+                          <div className="flex-1">
+                            <div className="flex items-center gap-2">
+                              {row.status === 'succeeded' ? (
+                                <span className="text-green-600 font-bold">✓</span>
+                              ) : row.status === 'failed' ? (
+                                <span className="text-red-600 font-bold">✗</span>
+                              ) : (
+                                <span className="text-gray-400 font-bold">–</span>
+                              )}
+                              <h3 className="font-medium text-gray-900">
+                                {row.title || row.asin || `Row ${row.row}`}
+                              </h3>
+                            </div>
+                            <p className="text-sm text-gray-600 mt-1">
+                              Row {row.row}{row.asin && ` · ASIN ${row.asin}`}{row.sku && ` · SKU ${row.sku}`}
+                            </p>
+                            {row.message && row.status !== 'succeeded' && (
+                              <p className={`text-sm mt-2 p-2 rounded ${row.status === 'failed' ? 'text-red-700 bg-red-100' : 'text-gray-600 bg-gray-100'}`}>
+                                {row.status === 'failed' ? `Error: ${row.message}` : row.message}
+                              </p>
+                            )}
+                          </div>
+                          {row.viewUrl && (
+                            <a href={row.viewUrl} target="_blank" rel="noopener noreferrer" className="text-sm text-blue-600 hover:text-blue-800">
+                              View on eBay
+                            </a>
+                          )}
+                        </div>
+                      </div>
+                    ))}
+                    {jobRows.length < activeJob.total && (
+                      <p className="text-sm text-gray-500">Showing the first {jobRows.length} rows. Download the report for all of them.</p>
+                    )}
+                  </div>
+                )}
+
+                <div className="mt-6 flex flex-col sm:flex-row sm:justify-between gap-3">
+                  {isJobOpen(activeJob) ? (
+                    <button
+                      onClick={handleCancelJob}
+                      className="px-4 py-2 bg-gray-200 text-gray-700 rounded hover:bg-gray-300 w-full sm:w-auto"
+                    >
+                      Cancel Remaining
+                    </button>
+                  ) : (
+                    <div className="flex flex-col sm:flex-row gap-3">
+                      {activeJob.failed > 0 && (
+                        <button
+                          onClick={handleRetryFailed}
+                          className="px-4 py-2 bg-red-600 text-white rounded hover:bg-red-700 w-full sm:w-auto"
+                        >
+                          Retry {activeJob.failed} Failed
+                        </button>
+                      )}
+                      <button
+                        onClick={handleDownloadReport}
+                        className="px-4 py-2 bg-gray-200 text-gray-700 rounded hover:bg-gray-300 w-full sm:w-auto"
+                      >
+                        Download Report (CSV)
+                      </button>
+                    </div>
+                  )}
+                  <button
+                    onClick={startOver}
+                    className="px-6 py-2 bg-blue-600 text-white rounded hover:bg-blue-700 w-full sm:w-auto"
+                  >
+                    Start Over
+                  </button>
+                </div>
+              </>
+            )}
           </div>
         </div>
       )}
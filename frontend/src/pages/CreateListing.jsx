@@ -1,10 +1,83 @@
-import { useState } from 'react';
+import { useEffect, useState } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
+import { useEbayAccount } from '../contexts/EbayAccountContext';
 import api from '../services/api';
+import { TemplatePreview } from '../components/ListingTemplatesEditor';
+
+const DRAFT_STATUS_LABELS = {
+  draft: 'Draft',
+  validated: 'Validated',
+  offer_created: 'Offer not published',
+  failed: 'Failed'
+};
+
+const DRAFT_STATUS_STYLES = {
+  draft: 'bg-gray-100 text-gray-700',
+  validated: 'bg-blue-100 text-blue-700',
+  offer_created: 'bg-yellow-100 text-yellow-800',
+  failed: 'bg-red-100 text-red-700'
+};
+
+const formatMoney = (value) => `$${Number(value || 0).toFixed(2)}`;
+
+const COST_FIELDS = [
+  { key: 'itemCost', label: 'Item Cost (USD)', placeholder: 'Optional' },
+  { key: 'inboundShippingCost', label: 'Inbound Shipping (USD)', placeholder: '0.00' },
+  { key: 'shippingCost', label: 'Shipping You Pay (USD)', placeholder: 'Account default' },
+  { key: 'promotedAdRate', label: 'Promoted Ad Rate (%)', placeholder: 'Account default', max: 100 }
+];
+
+const EMPTY_COSTS = { itemCost: '', inboundShippingCost: '', shippingCost: '', promotedAdRate: '' };
+
+// Only the costs that were filled in; blanks fall back to account defaults
+const toCostPayload = (costs) => Object.fromEntries(
+  Object.entries(costs)
+    .filter(([, value]) => value !== '' && !isNaN(parseFloat(value)))
+    .map(([key, value]) => [key, parseFloat(value)])
+);
+
+// Fees, net proceeds and margin from estimate-fees / validate mode
+function FeeBreakdown({ fees }) {
+  return (
+    <div className="space-y-1">
+      <div>
+        Final value fee {formatMoney(fees.finalValueFee)} ({fees.rates.finalValueFeePercentage}%)
+        {' · '}Per-order fee {formatMoney(fees.perOrderFee)}
+        {fees.promotedFee > 0 && <>{' · '}Promoted {formatMoney(fees.promotedFee)} ({fees.promotedAdRate}%)</>}
+        {fees.shippingCost > 0 && <>{' · '}Shipping {formatMoney(fees.shippingCost)}</>}
+      </div>
+      <div>
+        Net proceeds: <span className="font-semibold">{formatMoney(fees.netProceeds)}</span>
+        {fees.profit !== null && (
+          <>
+            {' · '}Profit:{' '}
+            <span className={`font-semibold ${fees.profit < 0 ? 'text-red-600' : 'text-green-700'}`}>
+              {formatMoney(fees.profit)}
+            </span>
+            {fees.marginPercentage !== null && ` (${fees.marginPercentage}% margin)`}
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
+
+// Turn a failed create-ebay-listing response into one readable message
+function describeListingError(error, fallback) {
+  const data = error.data || {};
+  if (data.missingAspects?.length) {
+    return `Missing required fields: ${data.missingAspects.map(a => a.name || a).join(', ')}\n\nPlease ensure the product has all required information.`;
+  }
+  if (data.errors?.length) {
+    return `${data.error}:\n${data.errors.join('\n')}`;
+  }
+  return error.message || fallback;
+}
 
 export default function CreateListing() {
   const { user } = useAuth();
+  const { selectedAccountId } = useEbayAccount();
   const navigate = useNavigate();
 
   const [asin, setAsin] = useState('');
@@ -16,6 +89,96 @@ export default function CreateListing() {
   const [price, setPrice] = useState('');
   const [quantity, setQuantity] = useState('1');
   const [condition, setCondition] = useState('1500'); // NEW_OTHER = eBay condition ID 1500
+  const [costs, setCosts] = useState(EMPTY_COSTS);
+  const [estimate, setEstimate] = useState(null);
+  const [templates, setTemplates] = useState([]);
+  const [templateId, setTemplateId] = useState('');
+
+  // Drafts and validation
+  const [draftId, setDraftId] = useState(null);
+  const [preview, setPreview] = useState(null);
+  const [validating, setValidating] = useState(false);
+  const [savingDraft, setSavingDraft] = useState(false);
+  const [drafts, setDrafts] = useState([]);
+
+  const loadDrafts = async () => {
+    try {
+      const result = await api.getListingDrafts();
+      setDrafts(result.drafts || []);
+    } catch (error) {
+      console.error('Error loading drafts:', error);
+    }
+  };
+
+  // Templates from Listing Settings; the default one is preselected
+  const loadTemplates = async () => {
+    try {
+      const result = await api.getListingTemplates();
+      setTemplates(result.templates || []);
+      setTemplateId(result.templates?.find(template => template.isDefault)?.id || '');
+    } catch (error) {
+      console.error('Error loading templates:', error);
+    }
+  };
+
+  useEffect(() => {
+    loadDrafts();
+    loadTemplates();
+  }, []);
+
+  // Live net proceeds while the price and costs are typed; the category is
+  // only known after validation, so this uses the default rates
+  useEffect(() => {
+    const salePrice = parseFloat(price);
+    if (!productData || !salePrice || salePrice <= 0) {
+      setEstimate(null);
+      return;
+    }
+
+    const timer = setTimeout(async () => {
+      try {
+        const result = await api.estimateFees({ price: salePrice, ...toCostPayload(costs) });
+        setEstimate(result.estimate);
+      } catch (error) {
+        console.error('Error estimating fees:', error);
+        setEstimate(null);
+      }
+    }, 400);
+
+    return () => clearTimeout(timer);
+  }, [productData, price, costs]);
+
+  const setCost = (key, value) => {
+    setCosts(prev => ({ ...prev, [key]: value }));
+    setPreview(null);
+  };
+
+  const buildListingPayload = () => ({
+    title: productData.ebayDraft.title,
+    description: productData.ebayDraft.description,
+    price: parseFloat(price),
+    quantity: parseInt(quantity),
+    condition: condition,
+    images: productData.ebayDraft.images,
+    aspects: productData.ebayDraft.aspects,
+    ebayAccountId: selectedAccountId,
+    templateId: templateId || null,
+    ...toCostPayload(costs)
+  });
+
+  const checkInputs = () => {
+    if (!price || parseFloat(price) <= 0) {
+      alert('Please enter a valid price');
+      return false;
+    }
+
+    if (!quantity || parseInt(quantity) <= 0) {
+      alert('Please enter a valid quantity');
+      return false;
+    }
+
+    return true;
+  };
 
   const handleFetchProduct = async () => {
     if (!asin || !/^B[0-9A-Z]{9}$/.test(asin)) {
@@ -26,11 +189,14 @@ export default function CreateListing() {
     setLoading(true);
     try {
       const response = await api.post('/keepa-fetch-product', { asin });
-      setProductData(response.data);
+      setProductData(response);
 
       // Pre-fill with empty price for user to set
       setPrice('');
       setQuantity('1');
+      setCosts(EMPTY_COSTS);
+      setDraftId(null);
+      setPreview(null);
 
     } catch (error) {
       console.error('Error fetching product:', error);
@@ -40,35 +206,48 @@ export default function CreateListing() {
     }
   };
 
-  const handleCreateListing = async () => {
-    if (!price || parseFloat(price) <= 0) {
-      alert('Please enter a valid price');
-      return;
+  const handleValidate = async () => {
+    if (!checkInputs()) return;
+
+    setValidating(true);
+    try {
+      const result = await api.validateListing(buildListingPayload(), draftId);
+      setPreview(result);
+    } catch (error) {
+      console.error('Error validating listing:', error);
+      setPreview(null);
+      alert(describeListingError(error, 'Validation failed'));
+    } finally {
+      setValidating(false);
     }
+  };
 
-    if (!quantity || parseInt(quantity) <= 0) {
-      alert('Please enter a valid quantity');
-      return;
+  const handleSaveDraft = async () => {
+    setSavingDraft(true);
+    try {
+      const { draft } = await api.saveListingDraft(buildListingPayload(), draftId);
+      setDraftId(draft.id);
+      setPreview(null);
+      loadDrafts();
+    } catch (error) {
+      console.error('Error saving draft:', error);
+      alert(error.message || 'Failed to save draft');
+    } finally {
+      setSavingDraft(false);
     }
+  };
+
+  const handleCreateListing = async () => {
+    if (!checkInputs()) return;
 
     setCreating(true);
     try {
-      const listingPayload = {
-        title: productData.ebayDraft.title,
-        description: productData.ebayDraft.description,
-        price: parseFloat(price),
-        quantity: parseInt(quantity),
-        condition: condition,
-        images: productData.ebayDraft.images,
-        aspects: productData.ebayDraft.aspects
-      };
-
-      const response = await api.post('/create-ebay-listing', listingPayload);
+      const response = await api.publishListing(buildListingPayload(), draftId);
 
       // Show appropriate message based on whether it was updated or created
-      const message = response.data.wasUpdated
-        ? `✅ Listing Updated!\n\nThis item was already listed on eBay and has been updated with your new price and quantity.\n\neBay Item ID: ${response.data.listingId}\n\nView on eBay: ${response.data.viewUrl}`
-        : `✅ New Listing Created!\n\nYour item has been successfully listed on eBay!\n\neBay Item ID: ${response.data.listingId}\n\nView on eBay: ${response.data.viewUrl}`;
+      const message = response.wasUpdated
+        ? `✅ Listing Updated!\n\nThis item was already listed on eBay and has been updated with your new price and quantity.\n\neBay Item ID: ${response.listingId}\n\nView on eBay: ${response.viewUrl}`
+        : `✅ New Listing Created!\n\nYour item has been successfully listed on eBay!\n\neBay Item ID: ${response.listingId}\n\nView on eBay: ${response.viewUrl}`;
 
       alert(message);
 
@@ -77,23 +256,126 @@ export default function CreateListing() {
 
     } catch (error) {
       console.error('Error creating listing:', error);
-      const errorMsg = error.response?.data?.error || 'Failed to create listing';
-      const missingAspects = error.response?.data?.missingAspects;
+      if (error.data?.draftId) setDraftId(error.data.draftId);
+      loadDrafts();
+      alert(describeListingError(error, 'Failed to create listing'));
+    } finally {
+      setCreating(false);
+    }
+  };
 
-      if (missingAspects) {
-        alert(`Missing required fields: ${missingAspects.join(', ')}\n\nPlease ensure the product has all required information.`);
-      } else {
-        alert(errorMsg);
+  // Open a saved draft in the form
+  const handleOpenDraft = (draft) => {
+    const payload = draft.payload || {};
+    setProductData({
+      ebayDraft: {
+        title: payload.title || '',
+        description: payload.description || '',
+        images: payload.images || [],
+        aspects: payload.aspects || {}
       }
+    });
+    setPrice(payload.price != null ? String(payload.price) : '');
+    setQuantity(payload.quantity != null ? String(payload.quantity) : '1');
+    setCondition(payload.condition || '1500');
+    setTemplateId(payload.templateId || '');
+    setCosts(Object.fromEntries(
+      Object.keys(EMPTY_COSTS).map(key => [key, payload[key] != null ? String(payload[key]) : ''])
+    ));
+    setDraftId(draft.id);
+    setPreview(draft.resolved?.fees ? { ...draft.resolved, draftId: draft.id } : null);
+  };
+
+  const handlePublishDraft = async (draft) => {
+    setCreating(true);
+    try {
+      const response = await api.publishListing({}, draft.id);
+      alert(`✅ Listing published!\n\neBay Item ID: ${response.listingId}\n\nView on eBay: ${response.viewUrl}`);
+      navigate('/listings');
+    } catch (error) {
+      console.error('Error publishing draft:', error);
+      loadDrafts();
+      alert(describeListingError(error, 'Failed to publish draft'));
     } finally {
       setCreating(false);
     }
   };
 
+  const handleDiscardDraft = async (draft) => {
+    const warning = draft.offerId
+      ? 'Discard this draft? Its unpublished offer will be removed from eBay.'
+      : 'Discard this draft?';
+    if (!window.confirm(warning)) return;
+
+    try {
+      await api.discardListingDraft(draft.id);
+      if (draft.id === draftId) {
+        setDraftId(null);
+        setPreview(null);
+      }
+      loadDrafts();
+    } catch (error) {
+      console.error('Error discarding draft:', error);
+      alert(error.message || 'Failed to discard draft');
+    }
+  };
+
   return (
     <div className="max-w-6xl mx-auto p-6">
       <h1 className="text-3xl font-bold mb-6">Create eBay Listing from Amazon ASIN</h1>
 
+      {/* Saved drafts and offers that were never published */}
+      {drafts.length > 0 && (
+        <div className="mb-6 bg-white p-6 rounded shadow">
+          <h2 className="text-lg font-semibold mb-3">Drafts</h2>
+          <ul className="divide-y">
+            {drafts.map(draft => (
+              <li key={draft.id} className="py-3 flex items-center justify-between gap-4">
+                <div className="min-w-0">
+                  <div className="flex items-center gap-2">
+                    <span className="font-medium truncate">{draft.title || 'Untitled draft'}</span>
+                    <span className={`text-xs px-2 py-0.5 rounded ${DRAFT_STATUS_STYLES[draft.status] || DRAFT_STATUS_STYLES.draft}`}>
+                      {DRAFT_STATUS_LABELS[draft.status] || draft.status}
+                    </span>
+                    {draft.id === draftId && <span className="text-xs text-gray-500">(open)</span>}
+                  </div>
+                  <div className="text-xs text-gray-500 mt-1">
+                    Updated {new Date(draft.updatedAt).toLocaleString()}
+                    {draft.offerId && ` · eBay offer ${draft.offerId}`}
+                  </div>
+                  {draft.lastError && (
+                    <div className="text-xs text-red-600 mt-1 truncate" title={draft.lastError}>{draft.lastError}</div>
+                  )}
+                </div>
+                <div className="flex gap-2 shrink-0">
+                  <button
+                    onClick={() => handleOpenDraft(draft)}
+                    className="px-3 py-1 text-sm border rounded hover:bg-gray-50"
+                  >
+                    Open
+                  </button>
+                  {['validated', 'offer_created'].includes(draft.status) && (
+                    <button
+                      onClick={() => handlePublishDraft(draft)}
+                      disabled={creating}
+                      className="px-3 py-1 text-sm bg-green-600 text-white rounded hover:bg-green-700 disabled:bg-gray-400"
+                    >
+                      Publish
+                    </button>
+                  )}
+                  <button
+                    onClick={() => handleDiscardDraft(draft)}
+                    className="px-3 py-1 text-sm text-red-600 hover:underline"
+                  >
+                    Discard
+                  </button>
+                </div>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
       {/* ASIN Input */}
       <div className="mb-6 bg-white p-6 rounded shadow">
         <label className="block text-sm font-medium mb-2">
@@ -176,7 +458,7 @@ export default function CreateListing() {
                   min="0"
                   className="w-full border rounded px-3 py-2"
                   value={price}
-                  onChange={(e) => setPrice(e.target.value)}
+                  onChange={(e) => { setPrice(e.target.value); setPreview(null); }}
                   placeholder="29.99"
                 />
               </div>
@@ -188,7 +470,7 @@ export default function CreateListing() {
                   min="1"
                   className="w-full border rounded px-3 py-2"
                   value={quantity}
-                  onChange={(e) => setQuantity(e.target.value)}
+                  onChange={(e) => { setQuantity(e.target.value); setPreview(null); }}
                 />
               </div>
 
@@ -197,7 +479,7 @@ export default function CreateListing() {
                 <select
                   className="w-full border rounded px-3 py-2"
                   value={condition}
-                  onChange={(e) => setCondition(e.target.value)}
+                  onChange={(e) => { setCondition(e.target.value); setPreview(null); }}
                 >
                   <option value="1000">New</option>
                   <option value="1500">New (Other)</option>
@@ -213,13 +495,112 @@ export default function CreateListing() {
               </div>
             </div>
 
-            <button
-              onClick={handleCreateListing}
-              disabled={creating || !price || !quantity}
-              className="w-full bg-green-600 text-white px-6 py-3 rounded hover:bg-green-700 disabled:bg-gray-400 font-semibold"
-            >
-              {creating ? 'Creating Listing...' : 'Create eBay Listing'}
-            </button>
+            {/* Selling costs: stored on the listing for net proceeds and profit floors */}
+            <div className="grid grid-cols-4 gap-4 mb-4">
+              {COST_FIELDS.map(field => (
+                <div key={field.key}>
+                  <label className="block text-sm font-medium mb-1">{field.label}</label>
+                  <input
+                    type="number"
+                    step="0.01"
+                    min="0"
+                    max={field.max}
+                    className="w-full border rounded px-3 py-2"
+                    value={costs[field.key]}
+                    onChange={(e) => setCost(field.key, e.target.value)}
+                    placeholder={field.placeholder}
+                  />
+                </div>
+              ))}
+            </div>
+
+            {templates.length > 0 && (
+              <div className="mb-4">
+                <label className="block text-sm font-medium mb-1">Template</label>
+                <select
+                  className="w-full border rounded px-3 py-2"
+                  value={templateId}
+                  onChange={(e) => { setTemplateId(e.target.value); setPreview(null); }}
+                >
+                  <option value="">None (use the product title and description)</option>
+                  {templates.map(template => (
+                    <option key={template.id} value={template.id}>{template.name}</option>
+                  ))}
+                </select>
+                <p className="text-xs text-gray-500 mt-1">
+                  Validate to see the title and description the template produces for this item's category.
+                </p>
+              </div>
+            )}
+
+            {estimate && !preview && (
+              <div className="mb-4 text-sm text-gray-700">
+                <FeeBreakdown fees={estimate} />
+              </div>
+            )}
+
+            {/* Validation result: what eBay will get, nothing published yet */}
+            {preview && (
+              <div className="mb-4 border rounded p-4 bg-gray-50 text-sm space-y-2">
+                <div className="font-semibold">Ready to publish</div>
+                <div>
+                  Category: {preview.categoryName || preview.categoryId}
+                  {preview.categorySuggested && <span className="text-gray-500"> (suggested from title)</span>}
+                </div>
+                <div>
+                  Condition: {preview.condition?.displayName || preview.condition?.conditionId}
+                  {preview.condition?.autoCorrected && (
+                    <span className="text-yellow-700"> (changed from {preview.condition.requested}; not allowed in this category)</span>
+                  )}
+                </div>
+                <div>SKU: {preview.sku}</div>
+                {preview.aspectWarnings?.length > 0 && (
+                  <ul className="list-disc list-inside text-yellow-700">
+                    {preview.aspectWarnings.map((warning, idx) => <li key={idx}>{warning}</li>)}
+                  </ul>
+                )}
+                {preview.template && (
+                  <div className="border-t pt-2 space-y-2">
+                    <div>
+                      Template: {preview.template.name}
+                      {preview.template.variantCategoryId && (
+                        <span className="text-gray-500"> (variant for category {preview.template.variantCategoryId})</span>
+                      )}
+                    </div>
+                    <TemplatePreview preview={{ ...preview.template, title: preview.title, description: preview.description }} />
+                  </div>
+                )}
+                {preview.fees && (
+                  <div className="border-t pt-2">
+                    <FeeBreakdown fees={preview.fees} />
+                  </div>
+                )}
+              </div>
+            )}
+
+            <div className="grid grid-cols-3 gap-3">
+              <button
+                onClick={handleSaveDraft}
+                disabled={savingDraft || creating}
+                className="border px-6 py-3 rounded hover:bg-gray-50 disabled:text-gray-400 font-semibold"
+              >
+                {savingDraft ? 'Saving...' : draftId ? 'Update Draft' : 'Save Draft'}
+              </button>
+              <button
+                onClick={handleValidate}
+                disabled={validating || creating || !price || !quantity}
+                className="bg-blue-600 text-white px-6 py-3 rounded hover:bg-blue-700 disabled:bg-gray-400 font-semibold"
+              >
+                {validating ? 'Validating...' : 'Validate'}
+              </button>
+              <button
+                onClick={handleCreateListing}
+                disabled={creating || !price || !quantity}
+                className="bg-green-600 text-white px-6 py-3 rounded hover:bg-green-700 disabled:bg-gray-400 font-semibold"
+              >
+                {creating ? 'Publishing...' : 'Publish to eBay'}
+              </button>
+            </div>
           </div>
         </div>
       )}
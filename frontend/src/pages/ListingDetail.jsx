@@ -3,6 +3,9 @@ import { useParams, useNavigate } from 'react-router-dom'
 import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query'
 import { useForm } from 'react-hook-form'
 import { listingsAPI } from '../lib/supabase'
+import apiService from '../services/api'
+import { describePriceChange } from '../data/priceChanges'
+import { CHANGE_GROUP_LABELS, describeListingChange, isFromLastSync } from '../data/listingChanges'
 import { toast } from 'react-toastify'
 import {
   ArrowLeftIcon,
@@ -22,13 +25,29 @@ export default function ListingDetail() {
     () => listingsAPI.getListing(id)
   )
 
-  // Note: Price history functionality removed - price_history table has been dropped
+  // Price history comes from price_reduction_log (reductions and recovery raises, last 10 days)
+  const { data: priceLog } = useQuery(
+    ['priceReductionLogs', 'listing', id],
+    () => apiService.getPriceReductionLogs(10, 50, null, id)
+  )
+
+  const { data: listingChanges = [] } = useQuery(
+    ['listingChanges', id],
+    () => listingsAPI.getListingChanges(id)
+  )
 
   const { data: marketAnalysis } = useQuery(
     ['marketAnalysis', id],
     () => ({ hasData: false })
   )
 
+  // Net proceeds at the current price, after eBay fees, promoted fee and shipping
+  const { data: feeEstimate } = useQuery(
+    ['feeEstimates', 'listing', id, listing?.current_price],
+    async () => (await apiService.estimateListingFees([id])).estimates?.[id] || null,
+    { enabled: !!listing, refetchOnWindowFocus: false }
+  )
+
   const { register, handleSubmit, reset } = useForm()
 
   const updateMutation = useMutation(
@@ -37,6 +56,7 @@ export default function ListingDetail() {
       onSuccess: () => {
         toast.success('Listing settings updated')
         queryClient.invalidateQueries(['listing', id])
+        queryClient.invalidateQueries(['feeEstimates'])
         setShowSettings(false)
       },
       onError: (error) => {
@@ -51,7 +71,7 @@ export default function ListingDetail() {
       onSuccess: (data) => {
         toast.success(`Price reduced to $${data.current_price}`)
         queryClient.invalidateQueries(['listing', id])
-        // Note: priceHistory query removed
+        queryClient.invalidateQueries(['priceReductionLogs', 'listing', id])
       },
       onError: (error) => {
         toast.error(error.message || 'Failed to reduce price')
@@ -60,7 +80,16 @@ export default function ListingDetail() {
   )
 
   const onUpdateSettings = (data) => {
-    updateMutation.mutate(data)
+    // Empty number inputs come back as NaN; clear the field instead
+    const toNullable = (value) => (value === '' || Number.isNaN(value) ? null : value)
+    updateMutation.mutate({
+      ...data,
+      item_cost: toNullable(data.item_cost),
+      inbound_shipping_cost: toNullable(data.inbound_shipping_cost) ?? 0,
+      shipping_cost: toNullable(data.shipping_cost),
+      promoted_ad_rate: toNullable(data.promoted_ad_rate),
+      desired_margin_percentage: toNullable(data.desired_margin_percentage)
+    })
   }
 
   const handleReducePrice = (customPrice = null) => {
@@ -89,8 +118,13 @@ export default function ListingDetail() {
   }
 
   const listingData = listing
-  // Note: Price history data no longer available - using empty array for backward compatibility
-  const priceHistoryData = []
+  const profitFloor = parseFloat(listingData.profit_floor_price) || null
+  const manualMinimum = parseFloat(listingData.minimum_price) || null
+  const effectiveFloor = Math.max(profitFloor || 0, manualMinimum || 0) || null
+  const belowBreakEven = listingData.break_even_price != null &&
+    parseFloat(listingData.current_price) < parseFloat(listingData.break_even_price)
+  const priceHistoryData = priceLog?.logs || []
+  const lastSyncChanges = listingChanges.filter(entry => isFromLastSync(entry, listingData.last_sync))
   const marketData = marketAnalysis
 
   return (
@@ -173,22 +207,90 @@ export default function ListingDetail() {
             </div>
           </div>
 
-          {/* Price History - Disabled: price_history table removed */}
+          {/* Price History */}
           <div className="card">
             <div className="card-header">
               <h3 className="text-lg font-medium text-gray-900">Price History</h3>
             </div>
             <div className="card-body">
-              <div className="text-center py-6 text-gray-500">
-                <p>Price history feature temporarily unavailable.</p>
-                <p className="text-sm mt-2">Current price: <span className="font-semibold">${listingData.current_price}</span></p>
-                <p className="text-sm">Original price: <span className="font-semibold">${listingData.original_price}</span></p>
-                {listingData.last_price_reduction && (
-                  <p className="text-sm mt-1">
-                    Last reduced: <span className="font-semibold">{new Date(listingData.last_price_reduction).toLocaleDateString()}</span>
-                  </p>
-                )}
+              <div className="text-sm text-gray-500 mb-3">
+                Current price: <span className="font-semibold">${listingData.current_price}</span>
+                {' · '}Original price: <span className="font-semibold">${listingData.original_price}</span>
               </div>
+              {priceHistoryData.length === 0 ? (
+                <p className="text-center py-6 text-gray-500">No price changes in the last 10 days.</p>
+              ) : (
+                <ul className="divide-y divide-gray-200">
+                  {priceHistoryData.map(log => {
+                    const change = describePriceChange(log)
+                    return (
+                      <li key={log.id} className="py-2 flex items-center justify-between text-sm">
+                        <div>
+                          <span className={`badge ${change.isIncrease ? 'badge-success' : 'badge-warning'}`}>
+                            {change.label}
+                          </span>
+                          {change.detail && <span className="ml-2 text-gray-500">{change.detail}</span>}
+                          <div className="text-gray-500 mt-1">{new Date(log.createdAt).toLocaleString()}</div>
+                        </div>
+                        <div className="text-right">
+                          <div>${log.originalPrice.toFixed(2)} → ${log.reducedPrice.toFixed(2)}</div>
+                          <div className={change.isIncrease ? 'text-green-600 font-medium' : 'text-red-600 font-medium'}>
+                            {change.amountText}{change.percentageText && ` (${change.percentageText})`}
+                          </div>
+                        </div>
+                      </li>
+                    )
+                  })}
+                </ul>
+              )}
+            </div>
+          </div>
+
+          {/* Changes from eBay */}
+          <div className="card">
+            <div className="card-header">
+              <h3 className="text-lg font-medium text-gray-900">Changes from eBay</h3>
+            </div>
+            <div className="card-body">
+              <div className="text-sm text-gray-500 mb-3">
+                {listingData.last_sync ? (
+                  <>
+                    Last sync: <span className="font-semibold">{new Date(listingData.last_sync).toLocaleString()}</span>
+                    {' · '}
+                    {lastSyncChanges.length > 0
+                      ? `Changed: ${[...new Set(lastSyncChanges.flatMap(entry => entry.changed_fields))].map(group => CHANGE_GROUP_LABELS[group] || group).join(', ')}`
+                      : 'Nothing changed'}
+                  </>
+                ) : 'Not synced yet'}
+              </div>
+              {listingChanges.length === 0 ? (
+                <p className="text-center py-6 text-gray-500">No changes detected by sync yet.</p>
+              ) : (
+                <ul className="divide-y divide-gray-200">
+                  {listingChanges.map(entry => (
+                    <li key={entry.id} className="py-2 text-sm">
+                      <div className="flex items-center justify-between">
+                        <div className="space-x-1">
+                          {entry.changed_fields.map(group => (
+                            <span key={group} className="badge badge-info">{CHANGE_GROUP_LABELS[group] || group}</span>
+                          ))}
+                          {isFromLastSync(entry, listingData.last_sync) && (
+                            <span className="badge badge-success">Last sync</span>
+                          )}
+                        </div>
+                        <div className="text-gray-500">{new Date(entry.detected_at).toLocaleString()}</div>
+                      </div>
+                      <ul className="mt-1 text-gray-600">
+                        {describeListingChange(entry).map(change => (
+                          <li key={change.column}>
+                            {change.label}: {change.from !== null ? `${change.from} → ${change.to}` : change.to}
+                          </li>
+                        ))}
+                      </ul>
+                    </li>
+                  ))}
+                </ul>
+              )}
             </div>
           </div>
 
@@ -266,8 +368,15 @@ export default function ListingDetail() {
               </div>
 
               <div>
-                <span className="text-gray-500">Minimum Price:</span>
-                <div className="font-medium">${listingData.minimum_price}</div>
+                <span className="text-gray-500">Price Floor:</span>
+                <div className="font-medium">
+                  {effectiveFloor ? `$${effectiveFloor.toFixed(2)}` : 'Not set'}
+                  {effectiveFloor && (
+                    <span className="ml-2 text-xs text-gray-500">
+                      {profitFloor && profitFloor >= (manualMinimum || 0) ? 'profit floor' : 'minimum price'}
+                    </span>
+                  )}
+                </div>
               </div>
 
               <div>
@@ -293,6 +402,60 @@ export default function ListingDetail() {
             </div>
           </div>
 
+          {/* Cost Basis */}
+          <div className="card">
+            <div className="card-header">
+              <h3 className="text-lg font-medium text-gray-900">Cost & Profit Floor</h3>
+            </div>
+            <div className="card-body space-y-3 text-sm">
+              {feeEstimate && (
+                <div className="flex justify-between">
+                  <span className="text-gray-500">
+                    Net at ${parseFloat(listingData.current_price).toFixed(2)} (after ${feeEstimate.totalFees.toFixed(2)} fees
+                    {feeEstimate.shippingCost > 0 ? ` and $${feeEstimate.shippingCost.toFixed(2)} shipping` : ''}):
+                  </span>
+                  <span className="font-medium">
+                    ${feeEstimate.netProceeds.toFixed(2)}
+                    {feeEstimate.marginPercentage !== null && ` (${feeEstimate.marginPercentage}% margin)`}
+                  </span>
+                </div>
+              )}
+              {listingData.item_cost == null ? (
+                <p className="text-gray-500">
+                  No item cost entered. Add one in Settings so reductions never go below break-even.
+                </p>
+              ) : (
+                <>
+                  <div className="flex justify-between">
+                    <span className="text-gray-500">Item Cost:</span>
+                    <span className="font-medium">${parseFloat(listingData.item_cost).toFixed(2)}</span>
+                  </div>
+                  <div className="flex justify-between">
+                    <span className="text-gray-500">Inbound Shipping:</span>
+                    <span className="font-medium">${parseFloat(listingData.inbound_shipping_cost || 0).toFixed(2)}</span>
+                  </div>
+                  <div className="flex justify-between">
+                    <span className="text-gray-500">Break-even (incl. eBay fees):</span>
+                    <span className="font-medium">
+                      {listingData.break_even_price != null ? `$${parseFloat(listingData.break_even_price).toFixed(2)}` : '—'}
+                    </span>
+                  </div>
+                  <div className="flex justify-between">
+                    <span className="text-gray-500">
+                      Profit Floor{listingData.desired_margin_percentage != null ? ` (${listingData.desired_margin_percentage}% margin)` : ''}:
+                    </span>
+                    <span className="font-medium">{profitFloor ? `$${profitFloor.toFixed(2)}` : '—'}</span>
+                  </div>
+                  {belowBreakEven && (
+                    <div className="p-3 bg-red-50 rounded-md text-red-800">
+                      Current price is below break-even. This listing loses money if it sells.
+                    </div>
+                  )}
+                </>
+              )}
+            </div>
+          </div>
+
           {/* Settings Panel */}
           {showSettings && (
             <div className="card">
@@ -350,6 +513,74 @@ export default function ListingDetail() {
                     />
                   </div>
 
+                  <div className="form-group">
+                    <label className="form-label">Item Cost ($)</label>
+                    <input
+                      type="number"
+                      min="0"
+                      step="0.01"
+                      defaultValue={listingData.item_cost ?? ''}
+                      {...register('item_cost', { valueAsNumber: true })}
+                      className="form-input"
+                    />
+                  </div>
+
+                  <div className="form-group">
+                    <label className="form-label">Inbound Shipping ($)</label>
+                    <input
+                      type="number"
+                      min="0"
+                      step="0.01"
+                      defaultValue={listingData.inbound_shipping_cost ?? 0}
+                      {...register('inbound_shipping_cost', { valueAsNumber: true })}
+                      className="form-input"
+                    />
+                  </div>
+
+                  <div className="form-group">
+                    <label className="form-label">Shipping You Pay per Sale ($)</label>
+                    <input
+                      type="number"
+                      min="0"
+                      step="0.01"
+                      placeholder="Account default"
+                      defaultValue={listingData.shipping_cost ?? ''}
+                      {...register('shipping_cost', { valueAsNumber: true })}
+                      className="form-input"
+                    />
+                  </div>
+
+                  <div className="form-group">
+                    <label className="form-label">Promoted Listing Ad Rate (%)</label>
+                    <input
+                      type="number"
+                      min="0"
+                      max="100"
+                      step="0.1"
+                      placeholder="Account default"
+                      defaultValue={listingData.promoted_ad_rate ?? ''}
+                      {...register('promoted_ad_rate', { valueAsNumber: true })}
+                      className="form-input"
+                    />
+                  </div>
+
+                  <div className="form-group">
+                    <label className="form-label">Desired Margin (% of sale price)</label>
+                    <input
+                      type="number"
+                      min="0"
+                      max="50"
+                      step="0.5"
+                      placeholder="Account default"
+                      defaultValue={listingData.desired_margin_percentage ?? ''}
+                      {...register('desired_margin_percentage', { valueAsNumber: true })}
+                      className="form-input"
+                    />
+                    <p className="text-xs text-gray-500 mt-1">
+                      Reductions stop at the higher of the minimum price and cost + eBay fees + margin.
+                    </p>
+                  </div>
+
                   <div className="form-group">
                     <label className="form-label">Reduction Interval (days)</label>
                     <input
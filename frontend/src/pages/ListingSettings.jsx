@@ -1,6 +1,7 @@
 import { useState, useEffect } from 'react';
 import { useAuth } from '../contexts/AuthContext';
 import api from '../services/api';
+import ListingTemplatesEditor from '../components/ListingTemplatesEditor';
 
 export default function ListingSettings() {
   const { user } = useAuth();
@@ -454,6 +455,11 @@ export default function ListingSettings() {
           {saving ? 'Saving...' : 'Save Settings'}
         </button>
       </div>
+
+      {/* Listing Templates - saved on their own */}
+      <div className="mt-8">
+        <ListingTemplatesEditor />
+      </div>
     </div>
   );
 }
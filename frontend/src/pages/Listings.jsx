@@ -1,14 +1,17 @@
 import { useState, useMemo, useEffect } from 'react'
 import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query'
 import { Link, useNavigate } from 'react-router-dom'
-import { listingsAPI, userAPI, supabase } from '../lib/supabase'
+import { listingsAPI, userAPI, strategiesAPI, supabase } from '../lib/supabase'
 import apiService from '../services/api'
 import { getActiveStrategies, getStrategyById, getStrategyDisplayName, getStrategyDisplayInfo } from '../data/strategies'
-import { Search, X, AlertCircle, Plus, Filter, RefreshCw, Palmtree } from 'lucide-react'
+import { AUTO_STRATEGY_VALUE } from '../data/strategyAssignment'
+import { useEbayAccount } from '../contexts/EbayAccountContext'
+import BulkActionsBar from '../components/BulkActionsBar'
+import { Search, X, AlertCircle, Plus, Filter, RefreshCw, Palmtree, AlertTriangle } from 'lucide-react'
 
 // Helper functions for localStorage
 const VALID_COLUMNS = [
-  'image', 'title', 'quantity', 'currentPrice', 'minimumPrice',
+  'image', 'title', 'quantity', 'currentPrice', 'netProceeds', 'minimumPrice',
   'priceReductionEnabled', 'strategy', 'listingAge', 'actions'
 ]
 
@@ -71,6 +74,7 @@ const getStoredVisibleColumns = () => {
     title: true,
     quantity: true,
     currentPrice: true,
+    netProceeds: true,
     minimumPrice: true,
     priceReductionEnabled: true,
     strategy: true,
@@ -94,6 +98,29 @@ const getStoredItemsPerPage = () => {
   return 25 // Default to 25 items per page
 }
 
+// Net proceeds after eBay fees, promoted fee and shipping; margin once an item cost is known
+function NetProceedsCell({ estimate }) {
+  if (!estimate) {
+    return <div className="text-sm text-text-tertiary">—</div>
+  }
+
+  const { rates } = estimate
+  const title = `Fees $${estimate.totalFees.toFixed(2)} (${rates.finalValueFeePercentage}% + $${estimate.perOrderFee.toFixed(2)}` +
+    (estimate.promotedFee > 0 ? `, promoted $${estimate.promotedFee.toFixed(2)}` : '') +
+    (estimate.shippingCost > 0 ? `, shipping $${estimate.shippingCost.toFixed(2)}` : '') + ')'
+
+  return (
+    <div className="text-sm" title={title}>
+      <div className="font-medium text-text-primary">${estimate.netProceeds.toFixed(2)}</div>
+      {estimate.marginPercentage !== null && (
+        <div className={`text-xs ${estimate.marginPercentage < 0 ? 'text-error' : 'text-text-tertiary'}`}>
+          {estimate.marginPercentage}% margin
+        </div>
+      )}
+    </div>
+  )
+}
+
 export default function Listings() {
   const navigate = useNavigate()
   const [status, setStatus] = useState('Active')
@@ -107,6 +134,9 @@ export default function Listings() {
   const [currentPage, setCurrentPage] = useState(1)
   const [itemsPerPage, setItemsPerPage] = useState(getStoredItemsPerPage())
   const [isSyncing, setIsSyncing] = useState(false)
+  const [needsAttentionOnly, setNeedsAttentionOnly] = useState(false)
+  const [selectedIds, setSelectedIds] = useState(new Set())
+  const { selectedAccountId: ebayAccountId } = useEbayAccount()
   const queryClient = useQueryClient()
 
   const showNotification = (type, message) => {
@@ -128,7 +158,8 @@ export default function Listings() {
         headers: {
           'Authorization': `Bearer ${session.access_token}`,
           'Content-Type': 'application/json'
-        }
+        },
+        body: JSON.stringify({ accountId: ebayAccountId })
       })
 
       const data = await response.json()
@@ -184,11 +215,16 @@ export default function Listings() {
   // Reset to page 1 when filters, search, or status changes
   useEffect(() => {
     setCurrentPage(1)
-  }, [searchTerm, filters, status])
+  }, [searchTerm, filters, status, needsAttentionOnly, ebayAccountId])
+
+  // A selection only makes sense within the list it was made in
+  useEffect(() => {
+    setSelectedIds(new Set())
+  }, [status, ebayAccountId])
 
   const { data: listings, isLoading, error, refetch } = useQuery(
-    ['listings', { status }],
-    () => listingsAPI.getListings({ status }),
+    ['listings', { status, ebayAccountId }],
+    () => listingsAPI.getListings({ status, ebayAccountId }),
     {
       keepPreviousData: true,
       refetchOnWindowFocus: false,
@@ -223,18 +259,27 @@ export default function Listings() {
     }
   )
 
+  // Assignment rules, to show which rule picked a listing's strategy
+  const { data: assignmentRules = [] } = useQuery(
+    ['strategyAssignmentRules'],
+    () => strategiesAPI.getAssignmentRules(),
+    {
+      retry: 1,
+      refetchOnWindowFocus: false,
+      staleTime: 5 * 60 * 1000
+    }
+  )
+
+  const getAssignmentRuleName = (listing) => listing.strategy_source === 'rule'
+    ? assignmentRules.find(rule => rule.id === listing.strategy_rule_id)?.name || 'assignment rule'
+    : null
+
   // Fetch vacation mode status
   const { data: vacationMode, isLoading: isVacationLoading } = useQuery(
     ['vacationMode'],
     async () => {
-      const { data: { user } } = await supabase.auth.getUser()
-      if (!user) return false
-      const { data } = await supabase
-        .from('users')
-        .select('vacation_mode')
-        .eq('id', user.id)
-        .single()
-      return data?.vacation_mode || false
+      const controls = await apiService.getAutomationControls()
+      return controls.vacationMode || false
     },
     {
       retry: 1,
@@ -243,20 +288,11 @@ export default function Listings() {
     }
   )
 
-  // Toggle vacation mode mutation
+  // Toggle vacation mode mutation (through automation-controls so it is audited)
   const toggleVacationMutation = useMutation(
     async (newValue) => {
-      const { data: { user } } = await supabase.auth.getUser()
-      if (!user) throw new Error('Not logged in')
-      const { error } = await supabase
-        .from('users')
-        .update({ 
-          vacation_mode: newValue,
-          vacation_mode_since: newValue ? new Date().toISOString() : null
-        })
-        .eq('id', user.id)
-      if (error) throw error
-      return newValue
+      const result = await apiService.setVacationMode(newValue)
+      return result.vacationMode
     },
     {
       onSuccess: (newValue) => {
@@ -272,6 +308,23 @@ export default function Listings() {
     }
   )
 
+  // Clear a listing from the "Needs attention" queue
+  const dismissAttentionMutation = useMutation(
+    (listingId) => listingsAPI.updateListing(listingId, {
+      needs_attention: false,
+      needs_attention_reason: null
+    }),
+    {
+      onSuccess: () => {
+        showNotification('success', 'Removed from Needs attention')
+        queryClient.invalidateQueries(['listings', { status, ebayAccountId }])
+      },
+      onError: (error) => {
+        showNotification('error', error.message || 'Failed to update listing')
+      }
+    }
+  )
+
   // Removed: Manual price reduction feature
   // const reducePriceMutation = useMutation(...)
 
@@ -290,13 +343,13 @@ export default function Listings() {
     {
       onMutate: async ({ listingId, minimumPrice }) => {
         // Cancel outgoing refetches
-        await queryClient.cancelQueries(['listings', { status }])
+        await queryClient.cancelQueries(['listings', { status, ebayAccountId }])
 
         // Snapshot previous value
-        const previousListings = queryClient.getQueryData(['listings', { status }])
+        const previousListings = queryClient.getQueryData(['listings', { status, ebayAccountId }])
 
         // Optimistically update
-        queryClient.setQueryData(['listings', { status }], (old) => {
+        queryClient.setQueryData(['listings', { status, ebayAccountId }], (old) => {
           if (!old) return old
           return old.map(listing =>
             listing.id === listingId
@@ -313,38 +366,50 @@ export default function Listings() {
       onError: (error, variables, context) => {
         // Rollback on error
         if (context?.previousListings) {
-          queryClient.setQueryData(['listings', { status }], context.previousListings)
+          queryClient.setQueryData(['listings', { status, ebayAccountId }], context.previousListings)
         }
         showNotification('error', error.message || 'Failed to update minimum price')
       },
       onSettled: () => {
         // Refetch in background to ensure data consistency
-        queryClient.invalidateQueries(['listings', { status }])
+        queryClient.invalidateQueries(['listings', { status, ebayAccountId }])
       }
     }
   )
 
   const updateStrategyMutation = useMutation(
-    ({ listingId, strategyId }) => listingsAPI.updateListing(listingId, {
-      strategy_id: strategyId || null
-    }),
+    ({ listingId, strategyId }) => strategyId === AUTO_STRATEGY_VALUE
+      // Drop the manual pick and let the assignment rules decide
+      ? strategiesAPI.applyAssignmentRules({ listingIds: [listingId], clearOverrides: true })
+      : listingsAPI.updateListing(listingId, {
+        strategy_id: strategyId || null,
+        strategy_source: 'manual',
+        strategy_rule_id: null,
+        strategy_assigned_at: new Date().toISOString()
+      }),
     {
       onMutate: async ({ listingId, strategyId }) => {
-        await queryClient.cancelQueries(['listings', { status }])
-        const previousListings = queryClient.getQueryData(['listings', { status }])
-
-        queryClient.setQueryData(['listings', { status }], (old) => {
-          if (!old) return old
-          return old.map(listing =>
-            listing.id === listingId
-              ? { ...listing, strategy_id: strategyId }
-              : listing
-          )
-        })
+        await queryClient.cancelQueries(['listings', { status, ebayAccountId }])
+        const previousListings = queryClient.getQueryData(['listings', { status, ebayAccountId }])
+
+        if (strategyId !== AUTO_STRATEGY_VALUE) {
+          queryClient.setQueryData(['listings', { status, ebayAccountId }], (old) => {
+            if (!old) return old
+            return old.map(listing =>
+              listing.id === listingId
+                ? { ...listing, strategy_id: strategyId, strategy_source: 'manual', strategy_rule_id: null }
+                : listing
+            )
+          })
+        }
 
         return { previousListings }
       },
-      onSuccess: (data) => {
+      onSuccess: (data, { strategyId }) => {
+        if (strategyId === AUTO_STRATEGY_VALUE) {
+          showNotification('success', data.assigned > 0 ? 'Strategy assigned by rule' : 'No assignment rule matches this listing')
+          return
+        }
         const strategyName = data.strategy_id
           ? strategies.find(s => s.id === data.strategy_id)?.name || 'selected strategy'
           : 'No strategy';
@@ -352,12 +417,12 @@ export default function Listings() {
       },
       onError: (error, variables, context) => {
         if (context?.previousListings) {
-          queryClient.setQueryData(['listings', { status }], context.previousListings)
+          queryClient.setQueryData(['listings', { status, ebayAccountId }], context.previousListings)
         }
         showNotification('error', error.message || 'Failed to update strategy')
       },
       onSettled: () => {
-        queryClient.invalidateQueries(['listings', { status }])
+        queryClient.invalidateQueries(['listings', { status, ebayAccountId }])
       }
     }
   )
@@ -366,10 +431,10 @@ export default function Listings() {
     ({ listingId, enabled }) => listingsAPI.updateListing(listingId, { enable_auto_reduction: enabled }),
     {
       onMutate: async ({ listingId, enabled }) => {
-        await queryClient.cancelQueries(['listings', { status }])
-        const previousListings = queryClient.getQueryData(['listings', { status }])
+        await queryClient.cancelQueries(['listings', { status, ebayAccountId }])
+        const previousListings = queryClient.getQueryData(['listings', { status, ebayAccountId }])
 
-        queryClient.setQueryData(['listings', { status }], (old) => {
+        queryClient.setQueryData(['listings', { status, ebayAccountId }], (old) => {
           if (!old) return old
           return old.map(listing =>
             listing.id === listingId
@@ -385,12 +450,12 @@ export default function Listings() {
       },
       onError: (error, variables, context) => {
         if (context?.previousListings) {
-          queryClient.setQueryData(['listings', { status }], context.previousListings)
+          queryClient.setQueryData(['listings', { status, ebayAccountId }], context.previousListings)
         }
         showNotification('error', error.message || 'Failed to update price reduction status')
       },
       onSettled: () => {
-        queryClient.invalidateQueries(['listings', { status }])
+        queryClient.invalidateQueries(['listings', { status, ebayAccountId }])
       }
     }
   )
@@ -506,6 +571,28 @@ export default function Listings() {
   }
 
 
+  const toggleSelected = (listingId) => {
+    setSelectedIds(prev => {
+      const next = new Set(prev)
+      if (next.has(listingId)) {
+        next.delete(listingId)
+      } else {
+        next.add(listingId)
+      }
+      return next
+    })
+  }
+
+  const handleBulkFinished = (operation) => {
+    queryClient.invalidateQueries(['listings'])
+    if (operation.status === 'completed') {
+      setSelectedIds(new Set())
+      showNotification(operation.failed > 0 ? 'warning' : 'success',
+        `${operation.label}: ${operation.succeeded} updated, ${operation.skipped} skipped, ${operation.failed} failed`
+      )
+    }
+  }
+
   const handleSort = (key) => {
     let direction = 'asc'
     if (sortConfig.key === key && sortConfig.direction === 'asc') {
@@ -568,6 +655,11 @@ export default function Listings() {
       filtered = []
     }
 
+    // Listings flagged by an end-of-life action
+    if (needsAttentionOnly) {
+      filtered = filtered.filter(listing => listing.needs_attention)
+    }
+
     // Apply search filter
     if (searchTerm.trim()) {
       const searchLower = searchTerm.toLowerCase()
@@ -638,7 +730,7 @@ export default function Listings() {
     }
 
     return filtered
-  }, [listings, searchTerm, filters, strategies])
+  }, [listings, searchTerm, filters, strategies, needsAttentionOnly])
 
   // Then, apply sorting ONLY when sortConfig changes (user clicks column header)
   const sortedAndFilteredListings = useMemo(() => {
@@ -672,6 +764,23 @@ export default function Listings() {
   const endIndex = startIndex + itemsPerPage
   const paginatedListings = sortedAndFilteredListings.slice(startIndex, endIndex)
 
+  // Net proceeds at the current price, for the rows on this page only
+  const pageListingKey = paginatedListings.map(l => `${l.id}:${l.current_price}`).join(',')
+  const { data: feeEstimates = {} } = useQuery(
+    ['feeEstimates', pageListingKey],
+    async () => {
+      const result = await apiService.estimateListingFees(paginatedListings.map(l => l.id))
+      return result.estimates || {}
+    },
+    {
+      enabled: paginatedListings.length > 0 && visibleColumns.netProceeds,
+      keepPreviousData: true,
+      retry: 1,
+      refetchOnWindowFocus: false,
+      staleTime: 5 * 60 * 1000
+    }
+  )
+
   // Generate page numbers to display
   const getPageNumbers = () => {
     const pages = []
@@ -785,6 +894,7 @@ export default function Listings() {
       title: { label: 'Title', sortable: true, sortKey: 'title', width: 'min-w-[200px]' },
       quantity: { label: 'Qty', sortable: true, sortKey: 'quantity', width: 'min-w-[60px] w-16' },
       currentPrice: { label: 'Current Price', sortable: true, sortKey: 'current_price', width: 'min-w-[100px] w-28' },
+      netProceeds: { label: 'Net', sortable: false, width: 'min-w-[100px] w-28' },
       minimumPrice: { label: 'Min Price', sortable: false, width: 'min-w-[90px] w-24' },
       priceReductionEnabled: { label: 'Price Reduction', sortable: true, sortKey: 'enable_auto_reduction', width: 'min-w-[120px] w-32' },
       strategy: { label: 'Strategy', sortable: false, width: 'min-w-[140px] w-40' },
@@ -963,6 +1073,27 @@ export default function Listings() {
             <span>{vacationMode ? 'Vacation: ON' : 'Vacation: OFF'}</span>
           </button>
 
+          {/* Needs Attention Queue - listings flagged at their price floor */}
+          {(() => {
+            const needsAttentionCount = (listings || []).filter(l => l.needs_attention).length
+            if (needsAttentionCount === 0 && !needsAttentionOnly) return null
+
+            return (
+              <button
+                onClick={() => setNeedsAttentionOnly(!needsAttentionOnly)}
+                className={`px-3 py-2 rounded-lg text-sm font-medium flex-shrink-0 transition-colors flex items-center gap-2 ${
+                  needsAttentionOnly
+                    ? 'bg-warning/20 text-warning border border-warning/30 hover:bg-warning/30'
+                    : 'bg-dark-surface text-text-secondary border border-dark-border hover:bg-dark-hover hover:text-text-primary'
+                }`}
+                title="Listings that sat at their price floor and need a decision"
+              >
+                <AlertTriangle className="h-4 w-4" strokeWidth={2} />
+                <span>Needs attention ({needsAttentionCount})</span>
+              </button>
+            )
+          })()}
+
           {/* Bulk Close Button - Show when closeable listings exist */}
           {(() => {
             const closeableListings = status === 'Ended'
@@ -1127,6 +1258,25 @@ export default function Listings() {
         </div>
       )}
 
+      {/* Bulk Actions - for the selected listings */}
+      <BulkActionsBar
+        selectedIds={[...selectedIds]}
+        strategies={strategies}
+        onClear={() => setSelectedIds(new Set())}
+        onFinished={handleBulkFinished}
+        onNotify={showNotification}
+      />
+      {selectedIds.size > 0 && selectedIds.size < totalItems && (
+        <div className="text-sm text-text-secondary">
+          <button
+            onClick={() => setSelectedIds(new Set(sortedAndFilteredListings.map(l => l.id)))}
+            className="text-accent hover:underline"
+          >
+            Select all {totalItems} matching listings
+          </button>
+        </div>
+      )}
+
       {/* Pagination Controls - Top */}
       {totalItems > 0 && (
         <div className="bg-dark-surface rounded-lg border border-dark-border p-4">
@@ -1212,6 +1362,13 @@ export default function Listings() {
         {paginatedListings.map((listing) => (
           <div key={listing.id} className="bg-dark-surface rounded-lg border border-dark-border p-4">
             <div className="flex items-start space-x-4">
+              <input
+                type="checkbox"
+                checked={selectedIds.has(listing.id)}
+                onChange={() => toggleSelected(listing.id)}
+                className="mt-1 h-4 w-4 flex-shrink-0"
+                aria-label={`Select ${listing.title}`}
+              />
               <img
                 src={listing.image_url || '/placeholder-image.jpg'}
                 alt={listing.title}
@@ -1222,12 +1379,36 @@ export default function Listings() {
                 {listing.ebay_sku && (
                   <p className="text-xs text-text-tertiary mt-1">SKU: {listing.ebay_sku}</p>
                 )}
+                {listing.needs_attention && (
+                  <div className="mt-2">
+                    <div className="flex items-center gap-2">
+                      <span className="inline-flex items-center gap-1 px-2 py-0.5 rounded text-xs bg-warning/10 text-warning">
+                        <AlertTriangle className="h-3 w-3" strokeWidth={2} />
+                        Needs attention
+                      </span>
+                      <button
+                        onClick={() => dismissAttentionMutation.mutate(listing.id)}
+                        disabled={dismissAttentionMutation.isLoading}
+                        className="text-xs text-text-tertiary hover:text-text-primary"
+                      >
+                        Dismiss
+                      </button>
+                    </div>
+                    {listing.needs_attention_reason && (
+                      <p className="text-xs text-text-tertiary mt-1">{listing.needs_attention_reason}</p>
+                    )}
+                  </div>
+                )}
 
                 <div className="mt-3 grid grid-cols-2 gap-3 text-sm">
                   <div>
                     <span className="text-text-tertiary">Current Price:</span>
                     <div className="font-bold text-success">${listing.current_price}</div>
                   </div>
+                  <div>
+                    <span className="text-text-tertiary">Net:</span>
+                    <NetProceedsCell estimate={feeEstimates[listing.id]} />
+                  </div>
                   <div>
                     <span className="text-text-tertiary">Quantity:</span>
                     <div className="font-medium text-text-primary">{listing.listing_status === 'Ended' ? 0 : (listing.quantity_available ?? 0)}</div>
@@ -1294,9 +1475,11 @@ export default function Listings() {
                     <select
                       value={listing.strategy_id || listing.reduction_strategy || ''}
                       onChange={(e) => handleStrategyUpdate(listing.id, e.target.value)}
+                      title={getAssignmentRuleName(listing) ? `Assigned by rule: ${getAssignmentRuleName(listing)}` : undefined}
                       className="text-sm border border-dark-border rounded-lg px-2 py-1 max-w-32 bg-dark-bg text-text-primary"
                     >
                       <option value="">No Strategy</option>
+                      {assignmentRules.length > 0 && <option value={AUTO_STRATEGY_VALUE}>Automatic (rules)</option>}
                       {strategies.map((strategy) => (
                         <option key={strategy.id} value={strategy.id}>
                           {strategy.name}
@@ -1345,6 +1528,19 @@ export default function Listings() {
           <table className="w-full table-auto divide-y divide-dark-border">
             <thead className="bg-dark-bg">
               <tr>
+                <th className="px-2 py-3 w-8">
+                  <input
+                    type="checkbox"
+                    checked={paginatedListings.length > 0 && paginatedListings.every(l => selectedIds.has(l.id))}
+                    onChange={(e) => setSelectedIds(prev => {
+                      const next = new Set(prev)
+                      paginatedListings.forEach(l => (e.target.checked ? next.add(l.id) : next.delete(l.id)))
+                      return next
+                    })}
+                    className="h-4 w-4"
+                    aria-label="Select all on this page"
+                  />
+                </th>
                 {columnOrder.map((column) => {
                   if (!visibleColumns[column]) return null
                   const config = getColumnConfig(column)
@@ -1376,7 +1572,16 @@ export default function Listings() {
             </thead>
             <tbody className="bg-dark-surface divide-y divide-dark-border">
               {paginatedListings.map((listing) => (
-                <tr key={listing.id} className="hover:bg-dark-hover transition-colors">
+                <tr key={listing.id} className={`hover:bg-dark-hover transition-colors ${selectedIds.has(listing.id) ? 'bg-accent/5' : ''}`}>
+                  <td className="px-2 py-3 w-8">
+                    <input
+                      type="checkbox"
+                      checked={selectedIds.has(listing.id)}
+                      onChange={() => toggleSelected(listing.id)}
+                      className="h-4 w-4"
+                      aria-label={`Select ${listing.title}`}
+                    />
+                  </td>
                   {columnOrder.map((column) => {
                     if (!visibleColumns[column]) return null
 
@@ -1401,6 +1606,24 @@ export default function Listings() {
                                   SKU: {listing.ebay_sku}
                                 </div>
                               )}
+                              {listing.needs_attention && (
+                                <div className="flex items-center gap-2 mt-1">
+                                  <span
+                                    className="inline-flex items-center gap-1 px-2 py-0.5 rounded text-xs bg-warning/10 text-warning"
+                                    title={listing.needs_attention_reason || undefined}
+                                  >
+                                    <AlertTriangle className="h-3 w-3" strokeWidth={2} />
+                                    Needs attention
+                                  </span>
+                                  <button
+                                    onClick={() => dismissAttentionMutation.mutate(listing.id)}
+                                    disabled={dismissAttentionMutation.isLoading}
+                                    className="text-xs text-text-tertiary hover:text-text-primary"
+                                  >
+                                    Dismiss
+                                  </button>
+                                </div>
+                              )}
                             </div>
                           )
                         case 'quantity':
@@ -1413,6 +1636,8 @@ export default function Listings() {
                           return (
                             <div className="text-sm font-bold text-green-600">${listing.current_price}</div>
                           )
+                        case 'netProceeds':
+                          return <NetProceedsCell estimate={feeEstimates[listing.id]} />
                         case 'minimumPrice':
                           return (
                             <input
@@ -1462,19 +1687,26 @@ export default function Listings() {
                           )
                         case 'strategy':
                           const currentStrategy = getStrategyDisplayInfo(listing, strategies)
+                          const assignmentRuleName = getAssignmentRuleName(listing)
                           return (
-                            <select
-                              value={listing.strategy_id || listing.reduction_strategy || ''}
-                              onChange={(e) => handleStrategyUpdate(listing.id, e.target.value)}
-                              className="text-sm border border-dark-border rounded-lg px-2 py-1 min-w-40 bg-dark-bg text-text-primary"
-                            >
-                              <option value="">No Strategy</option>
-                              {strategies.map((strategy) => (
-                                <option key={strategy.id} value={strategy.id}>
-                                  {strategy.name}
-                                </option>
-                              ))}
-                            </select>
+                            <div>
+                              <select
+                                value={listing.strategy_id || listing.reduction_strategy || ''}
+                                onChange={(e) => handleStrategyUpdate(listing.id, e.target.value)}
+                                className="text-sm border border-dark-border rounded-lg px-2 py-1 min-w-40 bg-dark-bg text-text-primary"
+                              >
+                                <option value="">No Strategy</option>
+                                {assignmentRules.length > 0 && <option value={AUTO_STRATEGY_VALUE}>Automatic (rules)</option>}
+                                {strategies.map((strategy) => (
+                                  <option key={strategy.id} value={strategy.id}>
+                                    {strategy.name}
+                                  </option>
+                                ))}
+                              </select>
+                              {assignmentRuleName && (
+                                <div className="text-xs text-text-tertiary mt-1">Rule: {assignmentRuleName}</div>
+                              )}
+                            </div>
                           )
                         case 'listingAge':
                           return (
@@ -2,6 +2,8 @@ import React, { useState, useCallback, useEffect, useMemo } from 'react';
 import { useQuery, useMutation, useQueryClient, useInfiniteQuery } from '@tanstack/react-query';
 import { useVirtualizer } from '@tanstack/react-virtual';
 import { debounce } from 'lodash';
+import { useAuth } from '../contexts/AuthContext';
+import { subscribeToListingEvents } from '../lib/listingEvents';
 
 // =============================================
 // GRAPHQL QUERIES
@@ -28,6 +30,7 @@ const SEARCH_LISTINGS_QUERY = `
           reductionPercentage
           lastSynced
           syncStatus
+          watched
         }
       }
       pageInfo {
@@ -92,6 +95,55 @@ const UPDATE_LISTING_MUTATION = `
   }
 `;
 
+const GET_PRICE_ALERTS_QUERY = `
+  query GetPriceAlerts {
+    getPriceAlerts {
+      listingId
+      threshold
+      enabled
+    }
+  }
+`;
+
+const WATCH_LISTING_MUTATION = `
+  mutation WatchListing($listingId: ID!, $watch: Boolean!) {
+    watchListing(listingId: $listingId, watch: $watch) {
+      id
+      watched
+    }
+  }
+`;
+
+const UPDATE_PRICE_ALERT_MUTATION = `
+  mutation UpdatePriceAlert($listingId: ID!, $threshold: Float!, $enabled: Boolean!) {
+    updatePriceAlert(listingId: $listingId, threshold: $threshold, enabled: $enabled) {
+      listingId
+      threshold
+      enabled
+    }
+  }
+`;
+
+const DEFAULT_ALERT_THRESHOLD = 10;
+
+// Apply a change to one listing across every loaded page
+const patchListingPages = (old, listingId, patch) => {
+  if (!old?.pages) return old;
+  return {
+    ...old,
+    pages: old.pages.map(page => ({
+      ...page,
+      edges: patch
+        ? page.edges.map(edge =>
+            edge.node.id === listingId
+              ? { ...edge, node: { ...edge.node, ...patch } }
+              : edge
+          )
+        : page.edges.filter(edge => edge.node.id !== listingId)
+    }))
+  };
+};
+
 // =============================================
 // GRAPHQL CLIENT
 // =============================================
@@ -122,6 +174,7 @@ const graphqlFetch = async (query, variables = {}) => {
 export default function ListingsOptimized() {
   const queryClient = useQueryClient();
   const parentRef = React.useRef();
+  const { user } = useAuth();
 
   // State management
   const [filter, setFilter] = useState({
@@ -140,6 +193,7 @@ export default function ListingsOptimized() {
 
   const [selectedListings, setSelectedListings] = useState(new Set());
   const [viewMode, setViewMode] = useState('grid'); // 'grid' or 'table'
+  const [priceDrops, setPriceDrops] = useState([]);
 
   // =============================================
   // DATA FETCHING WITH INFINITE SCROLL
@@ -173,14 +227,54 @@ export default function ListingsOptimized() {
     refetchOnWindowFocus: false
   });
 
-  // Fetch user stats
+  // Fetch user stats (refreshed by listing pushes, not polling)
   const { data: userStats, refetch: refetchStats } = useQuery({
     queryKey: ['userStats'],
     queryFn: () => graphqlFetch(GET_USER_STATS_QUERY),
-    staleTime: 60 * 1000, // 1 minute
-    refetchInterval: 60 * 1000 // Refetch every minute
+    staleTime: 60 * 1000 // 1 minute
   });
 
+  // Fetch price alerts, keyed by listing
+  const { data: priceAlerts = {} } = useQuery({
+    queryKey: ['priceAlerts'],
+    queryFn: async () => {
+      const result = await graphqlFetch(GET_PRICE_ALERTS_QUERY);
+      return Object.fromEntries(result.getPriceAlerts.map(alert => [alert.listingId, alert]));
+    },
+    staleTime: 5 * 60 * 1000
+  });
+
+  // =============================================
+  // REAL-TIME UPDATES (listingUpdated / priceDropped)
+  // =============================================
+
+  const priceAlertsRef = React.useRef(priceAlerts);
+  priceAlertsRef.current = priceAlerts;
+
+  const refreshStats = useMemo(
+    () => debounce(() => queryClient.invalidateQueries(['userStats']), 2000),
+    [queryClient]
+  );
+
+  useEffect(() => {
+    return subscribeToListingEvents(user?.id, {
+      getOptions: () => ({ alerts: priceAlertsRef.current }),
+      onListingUpdated: ({ listing, updateType }) => {
+        if (updateType === 'INSERT') {
+          queryClient.invalidateQueries(['listings']);
+        } else {
+          queryClient.setQueriesData(['listings'], (old) =>
+            patchListingPages(old, listing.id, updateType === 'DELETE' ? null : listing)
+          );
+        }
+        refreshStats();
+      },
+      onPriceDropped: (drop) => {
+        setPriceDrops(prev => [drop, ...prev.filter(d => d.listing.id !== drop.listing.id)].slice(0, 5));
+      }
+    });
+  }, [user?.id, queryClient, refreshStats]);
+
   // =============================================
   // MUTATIONS
   // =============================================
@@ -189,10 +283,8 @@ export default function ListingsOptimized() {
   const triggerSync = useMutation({
     mutationFn: (input) => graphqlFetch(TRIGGER_SYNC_MUTATION, { input }),
     onSuccess: () => {
+      // Synced listings arrive through the real-time subscription
       queryClient.invalidateQueries(['userStats']);
-      setTimeout(() => {
-        queryClient.invalidateQueries(['listings']);
-      }, 5000); // Refetch listings after 5 seconds
     }
   });
 
@@ -218,6 +310,25 @@ export default function ListingsOptimized() {
     }
   });
 
+  // Watch/unwatch listing mutation
+  const watchListing = useMutation({
+    mutationFn: (variables) => graphqlFetch(WATCH_LISTING_MUTATION, variables),
+    onSuccess: (data) => {
+      queryClient.setQueriesData(['listings'], (old) =>
+        patchListingPages(old, data.watchListing.id, { watched: data.watchListing.watched })
+      );
+    }
+  });
+
+  // Price alert mutation
+  const updatePriceAlert = useMutation({
+    mutationFn: (variables) => graphqlFetch(UPDATE_PRICE_ALERT_MUTATION, variables),
+    onSuccess: (data) => {
+      const alert = data.updatePriceAlert;
+      queryClient.setQueryData(['priceAlerts'], (old) => ({ ...old, [alert.listingId]: alert }));
+    }
+  });
+
   // =============================================
   // VIRTUALIZATION FOR PERFORMANCE
   // =============================================
@@ -360,6 +471,32 @@ export default function ListingsOptimized() {
     );
   };
 
+  const renderPriceDrops = () => {
+    if (priceDrops.length === 0) return null;
+
+    return (
+      <div className="bg-blue-50 border border-blue-200 rounded-lg p-4 mb-6">
+        <div className="flex items-center justify-between mb-2">
+          <h3 className="text-sm font-medium text-blue-900">Price drops</h3>
+          <button
+            onClick={() => setPriceDrops([])}
+            className="text-xs text-blue-700 hover:text-blue-900"
+          >
+            Dismiss all
+          </button>
+        </div>
+        <ul className="space-y-1">
+          {priceDrops.map((drop) => (
+            <li key={drop.listing.id} className="text-sm text-blue-800">
+              <span className="font-medium">{drop.listing.title}</span>
+              {' '}dropped from ${drop.oldPrice.toFixed(2)} to ${drop.newPrice.toFixed(2)} (-{drop.changePercentage}%)
+            </li>
+          ))}
+        </ul>
+      </div>
+    );
+  };
+
   const renderFilters = () => (
     <div className="bg-white rounded-lg shadow p-4 mb-6">
       <div className="flex flex-wrap gap-4 items-center">
@@ -558,6 +695,58 @@ export default function ListingsOptimized() {
             >
               {listing.priceReductionEnabled ? 'Disable' : 'Enable'} Reduction
             </button>
+            <button
+              onClick={(e) => {
+                e.stopPropagation();
+                watchListing.mutate({ listingId: listing.id, watch: !listing.watched });
+              }}
+              disabled={watchListing.isLoading}
+              className={`text-sm px-3 py-1 rounded ${
+                listing.watched
+                  ? 'bg-blue-100 text-blue-800 hover:bg-blue-200'
+                  : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+              }`}
+            >
+              {listing.watched ? 'Watching' : 'Watch'}
+            </button>
+          </div>
+
+          {/* Price alert */}
+          <div
+            className="flex items-center gap-2 mt-2 text-sm text-gray-600"
+            onClick={(e) => e.stopPropagation()}
+          >
+            <label className="flex items-center gap-1">
+              <input
+                type="checkbox"
+                checked={priceAlerts[listing.id]?.enabled || false}
+                onChange={(e) => updatePriceAlert.mutate({
+                  listingId: listing.id,
+                  threshold: priceAlerts[listing.id]?.threshold || DEFAULT_ALERT_THRESHOLD,
+                  enabled: e.target.checked
+                })}
+              />
+              Alert on drops of
+            </label>
+            <input
+              type="number"
+              min="1"
+              max="100"
+              key={`${listing.id}-${priceAlerts[listing.id]?.threshold}`}
+              defaultValue={priceAlerts[listing.id]?.threshold || DEFAULT_ALERT_THRESHOLD}
+              onBlur={(e) => {
+                const threshold = parseFloat(e.target.value);
+                if (threshold > 0 && threshold <= 100 && threshold !== priceAlerts[listing.id]?.threshold) {
+                  updatePriceAlert.mutate({
+                    listingId: listing.id,
+                    threshold,
+                    enabled: priceAlerts[listing.id]?.enabled ?? true
+                  });
+                }
+              }}
+              className="w-16 px-2 py-1 border border-gray-300 rounded focus:outline-none focus:ring-2 focus:ring-blue-500"
+            />
+            <span>%</span>
           </div>
         </div>
       ))}
@@ -762,6 +951,9 @@ export default function ListingsOptimized() {
           </p>
         </div>
 
+        {/* Price drop alerts */}
+        {renderPriceDrops()}
+
         {/* Stats Dashboard */}
         {renderStats()}
 
@@ -1,19 +1,60 @@
 import { useState } from 'react'
 import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query'
-import { strategiesAPI } from '../lib/supabase'
-import { Plus, FileText, Check, X } from 'lucide-react'
+import { supabase, strategiesAPI, listingsAPI } from '../lib/supabase'
+import apiService from '../services/api'
+import { Plus, FileText, Check, X, TrendingDown, TrendingUp, CalendarClock, DollarSign, History, ListOrdered, ArrowUp, ArrowDown } from 'lucide-react'
+import {
+  STRATEGY_TYPES,
+  DEFAULT_VELOCITY_SETTINGS,
+  DEFAULT_RECOVERY_SETTINGS,
+  DEFAULT_END_OF_LIFE_SETTINGS,
+  END_OF_LIFE_ACTIONS,
+  hasEndOfLifeAction,
+  getStrategyType,
+  getDefaultParameters,
+  validateStrategyRule,
+  toStrategyRecord,
+  fromStrategyRecord,
+  describeStrategyReduction
+} from '../data/strategyTypes'
+import {
+  DEFAULT_TIMEZONE,
+  WEEKDAYS,
+  COMMON_TIMEZONES,
+  cleanSchedule,
+  validateSchedule,
+  describeSchedule
+} from '../data/reductionSchedule'
+import { describePriceChange } from '../data/priceChanges'
+import {
+  RULE_FIELDS,
+  OPERATORS,
+  EMPTY_ASSIGNMENT_RULE,
+  getRuleField,
+  getDefaultCondition,
+  validateAssignmentRule,
+  cleanConditions,
+  describeConditions
+} from '../data/strategyAssignment'
+
+const EMPTY_RULE = {
+  name: '',
+  reduction_type: 'percentage',
+  reduction_amount: 5,
+  frequency_days: 7,
+  parameters: {},
+  velocity_settings: DEFAULT_VELOCITY_SETTINGS,
+  recovery_settings: DEFAULT_RECOVERY_SETTINGS,
+  end_of_life_settings: DEFAULT_END_OF_LIFE_SETTINGS,
+  reduction_schedule: {}
+}
 
 export default function Strategies() {
   const queryClient = useQueryClient()
   const [showModal, setShowModal] = useState(false)
   const [editingRule, setEditingRule] = useState(null)
   const [notification, setNotification] = useState(null)
-  const [newRule, setNewRule] = useState({
-    name: '',
-    reduction_type: 'percentage',
-    reduction_amount: 5,
-    frequency_days: 7
-  })
+  const [newRule, setNewRule] = useState(EMPTY_RULE)
 
   const { data: rules = [], isLoading, error } = useQuery({
     queryKey: ['strategies'],
@@ -64,8 +105,9 @@ export default function Strategies() {
       return
     }
 
-    if (newRule.reduction_amount < 1) {
-      showNotification('error', 'Reduction amount must be at least 1')
+    const typeError = validateStrategyRule(newRule)
+    if (typeError) {
+      showNotification('error', typeError)
       return
     }
 
@@ -76,36 +118,23 @@ export default function Strategies() {
 
     // Map frontend field names to database column names
     createStrategyMutation.mutate({
-      name: newRule.name,
-      strategy_type: newRule.reduction_type,  // DB uses strategy_type
-      reduction_percentage: newRule.reduction_type === 'percentage' ? newRule.reduction_amount : 0,
-      reduction_amount: newRule.reduction_type === 'dollar' ? newRule.reduction_amount : 0,
-      interval_days: newRule.frequency_days,  // DB uses interval_days
+      ...toStrategyRecord(newRule),
       is_active: true
     })
 
-    setNewRule({
-      name: '',
-      reduction_type: 'percentage',
-      reduction_amount: 5,
-      frequency_days: 7
-    })
+    setNewRule(EMPTY_RULE)
     setShowModal(false)
   }
 
   const handleUpdateRule = (id, updates) => {
-    // Map frontend field names to database column names
-    const dbUpdates = {
-      name: updates.name,
-      strategy_type: updates.reduction_type,  // DB uses strategy_type
-      reduction_percentage: updates.reduction_type === 'percentage' ? updates.reduction_amount : 0,
-      reduction_amount: updates.reduction_type === 'dollar' ? updates.reduction_amount : 0,
-      interval_days: updates.frequency_days  // DB uses interval_days
-    }
-    updateStrategyMutation.mutate({ id, updates: dbUpdates })
+    updateStrategyMutation.mutate({ id, updates: toStrategyRecord(updates) })
     setEditingRule(null)
   }
 
+  const handleNewRuleTypeChange = (type) => {
+    setNewRule(prev => ({ ...prev, reduction_type: type, parameters: getDefaultParameters(type) }))
+  }
+
   const handleDeleteRule = (id) => {
     const rule = rules.find(r => r.id === id)
     if (window.confirm(`Are you sure you want to delete "${rule?.name}"?`)) {
@@ -114,12 +143,7 @@ export default function Strategies() {
   }
 
   const resetModal = () => {
-    setNewRule({
-      name: '',
-      reduction_type: 'percentage',
-      reduction_amount: 5,
-      frequency_days: 7
-    })
+    setNewRule(EMPTY_RULE)
     setShowModal(false)
   }
 
@@ -218,15 +242,33 @@ export default function Strategies() {
                     <div className="flex-1">
                       <div className="flex flex-col sm:flex-row sm:items-center gap-2 sm:gap-4 mb-3">
                         <h4 className="text-lg font-medium text-text-primary">{rule.name}</h4>
+                        {rule.velocity_settings?.enabled && (
+                          <span className="text-xs font-medium px-2 py-0.5 rounded-full bg-accent/10 text-accent border border-accent/30">
+                            Velocity-aware
+                          </span>
+                        )}
+                        {rule.recovery_settings?.enabled && (
+                          <span className="text-xs font-medium px-2 py-0.5 rounded-full bg-success/10 text-success border border-success/30">
+                            Price recovery
+                          </span>
+                        )}
+                        {hasEndOfLifeAction(rule.end_of_life_settings) && (
+                          <span className="text-xs font-medium px-2 py-0.5 rounded-full bg-warning/10 text-warning border border-warning/30">
+                            At floor: {END_OF_LIFE_ACTIONS[rule.end_of_life_settings.action]?.label || 'Notify me'}
+                          </span>
+                        )}
+                        {describeSchedule(rule.reduction_schedule) && (
+                          <span className="text-xs font-medium px-2 py-0.5 rounded-full bg-dark-hover text-text-secondary border border-dark-border">
+                            {describeSchedule(rule.reduction_schedule)}
+                          </span>
+                        )}
                       </div>
 
                       <div className="grid grid-cols-1 sm:grid-cols-3 gap-2 sm:gap-6 text-sm">
                         <div className="flex items-center space-x-2">
                           <span className="text-text-tertiary">Reduction:</span>
-                          <div className="font-medium text-accent">
-                            {(rule.strategy_type || rule.reduction_type) === 'percentage' 
-                              ? `${rule.reduction_percentage || rule.reduction_amount}%` 
-                              : `$${rule.reduction_amount}`}
+                          <div className="font-medium text-accent" title={STRATEGY_TYPES[getStrategyType(rule)]?.label}>
+                            {describeStrategyReduction(rule)}
                           </div>
                         </div>
                         <div className="flex items-center space-x-2">
@@ -262,6 +304,16 @@ export default function Strategies() {
         )}
       </div>
 
+      {rules.length > 0 && <AssignmentRulesPanel strategies={rules} showNotification={showNotification} />}
+
+      <AccountSchedulePanel showNotification={showNotification} />
+
+      <ProfitFloorPanel showNotification={showNotification} />
+
+      {rules.length > 0 && <ForecastPanel rules={rules} />}
+
+      <PriceHistoryPanel />
+
       {/* Add New Rule Modal */}
       {showModal && (
         <div className="fixed inset-0 bg-black/60 backdrop-blur-sm flex items-center justify-center z-50 p-4">
@@ -291,44 +343,25 @@ export default function Strategies() {
               <div>
                 <label className="block text-sm font-medium text-text-secondary mb-1.5">Reduction Type</label>
                 <div className="grid grid-cols-2 gap-2">
-                  <button
-                    type="button"
-                    onClick={() => setNewRule(prev => ({ ...prev, reduction_type: 'percentage' }))}
-                    className={`px-3 py-2.5 rounded-lg border text-sm font-medium transition-colors ${
-                      newRule.reduction_type === 'percentage'
-                        ? 'bg-accent/10 border-accent text-accent'
-                        : 'bg-dark-bg border-dark-border text-text-secondary hover:bg-dark-hover'
-                    }`}
-                  >
-                    Percentage (%)
-                  </button>
-                  <button
-                    type="button"
-                    onClick={() => setNewRule(prev => ({ ...prev, reduction_type: 'dollar' }))}
-                    className={`px-3 py-2.5 rounded-lg border text-sm font-medium transition-colors ${
-                      newRule.reduction_type === 'dollar'
-                        ? 'bg-accent/10 border-accent text-accent'
-                        : 'bg-dark-bg border-dark-border text-text-secondary hover:bg-dark-hover'
-                    }`}
-                  >
-                    Dollar Amount ($)
-                  </button>
+                  {Object.entries(STRATEGY_TYPES).map(([type, definition]) => (
+                    <button
+                      key={type}
+                      type="button"
+                      onClick={() => handleNewRuleTypeChange(type)}
+                      className={`px-3 py-2.5 rounded-lg border text-sm font-medium transition-colors ${
+                        newRule.reduction_type === type
+                          ? 'bg-accent/10 border-accent text-accent'
+                          : 'bg-dark-bg border-dark-border text-text-secondary hover:bg-dark-hover'
+                      }`}
+                    >
+                      {definition.label}
+                    </button>
+                  ))}
                 </div>
+                <p className="text-xs text-text-tertiary mt-1">{STRATEGY_TYPES[newRule.reduction_type]?.description}</p>
               </div>
 
-              <div>
-                <label className="block text-sm font-medium text-text-secondary mb-1.5">
-                  Reduction Amount ({newRule.reduction_type === 'percentage' ? '%' : '$'})
-                </label>
-                <input
-                  type="number"
-                  min="1"
-                  max={newRule.reduction_type === 'percentage' ? "50" : "999"}
-                  value={newRule.reduction_amount}
-                  onChange={(e) => setNewRule(prev => ({ ...prev, reduction_amount: parseInt(e.target.value) || 1 }))}
-                  className="w-full bg-dark-bg border border-dark-border rounded-lg px-3 py-2.5 text-text-primary focus:ring-2 focus:ring-accent focus:border-transparent transition-colors"
-                />
-              </div>
+              <StrategyTypeFields rule={newRule} onChange={setNewRule} />
 
               <div>
                 <label className="block text-sm font-medium text-text-secondary mb-1.5">Frequency (Days)</label>
@@ -343,6 +376,14 @@ export default function Strategies() {
                 />
                 <p className="text-xs text-text-tertiary mt-1">Enter any number from 1 to 365 days</p>
               </div>
+
+              <VelocityFields rule={newRule} onChange={setNewRule} />
+
+              <RecoveryFields rule={newRule} onChange={setNewRule} />
+
+              <EndOfLifeFields rule={newRule} onChange={setNewRule} />
+
+              <RuleScheduleFields rule={newRule} onChange={setNewRule} />
             </div>
 
             <div className="flex space-x-3 mt-6">
@@ -368,20 +409,16 @@ export default function Strategies() {
 }
 
 function EditRuleForm({ rule, onSave, onCancel, showNotification }) {
-  const [editData, setEditData] = useState({
-    name: rule.name,
-    reduction_type: rule.reduction_type || 'percentage',
-    reduction_amount: rule.reduction_amount || 0,
-    frequency_days: rule.frequency_days || 7
-  })
+  const [editData, setEditData] = useState(() => fromStrategyRecord(rule))
 
   const handleSave = () => {
     if (!editData.name.trim()) {
       showNotification('error', 'Please enter a rule name')
       return
     }
-    if (editData.reduction_amount < 1) {
-      showNotification('error', 'Reduction amount must be at least 1')
+    const typeError = validateStrategyRule(editData)
+    if (typeError) {
+      showNotification('error', typeError)
       return
     }
     if (editData.frequency_days < 1 || editData.frequency_days > 365) {
@@ -407,28 +444,18 @@ function EditRuleForm({ rule, onSave, onCancel, showNotification }) {
           <label className="block text-sm font-medium text-text-secondary mb-1.5">Reduction Type</label>
           <select
             value={editData.reduction_type}
-            onChange={(e) => setEditData(prev => ({ ...prev, reduction_type: e.target.value }))}
+            onChange={(e) => setEditData(prev => ({ ...prev, reduction_type: e.target.value, parameters: getDefaultParameters(e.target.value) }))}
             className="w-full bg-dark-bg border border-dark-border rounded-lg px-3 py-2.5 text-text-primary focus:ring-2 focus:ring-accent focus:border-transparent"
           >
-            <option value="percentage">Percentage (%)</option>
-            <option value="dollar">Dollar Amount ($)</option>
+            {Object.entries(STRATEGY_TYPES).map(([type, definition]) => (
+              <option key={type} value={type}>{definition.label}</option>
+            ))}
           </select>
         </div>
       </div>
 
       <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
-        <div>
-          <label className="block text-sm font-medium text-text-secondary mb-1.5">
-            Reduction Amount ({editData.reduction_type === 'percentage' ? '%' : '$'})
-          </label>
-          <input
-            type="number"
-            min="1"
-            value={editData.reduction_amount}
-            onChange={(e) => setEditData(prev => ({ ...prev, reduction_amount: parseInt(e.target.value) || 1 }))}
-            className="w-full bg-dark-bg border border-dark-border rounded-lg px-3 py-2.5 text-text-primary focus:ring-2 focus:ring-accent focus:border-transparent"
-          />
-        </div>
+        <StrategyTypeFields rule={editData} onChange={setEditData} />
         <div>
           <label className="block text-sm font-medium text-text-secondary mb-1.5">Frequency (Days)</label>
           <input
@@ -443,6 +470,14 @@ function EditRuleForm({ rule, onSave, onCancel, showNotification }) {
         </div>
       </div>
 
+      <VelocityFields rule={editData} onChange={setEditData} />
+
+      <RecoveryFields rule={editData} onChange={setEditData} />
+
+      <EndOfLifeFields rule={editData} onChange={setEditData} />
+
+      <RuleScheduleFields rule={editData} onChange={setEditData} />
+
       <div className="flex space-x-3">
         <button
           onClick={handleSave}
@@ -460,3 +495,1535 @@ function EditRuleForm({ rule, onSave, onCancel, showNotification }) {
     </div>
   )
 }
+
+const inputClassName = 'w-full bg-dark-bg border border-dark-border rounded-lg px-3 py-2.5 text-text-primary placeholder-text-tertiary focus:ring-2 focus:ring-accent focus:border-transparent transition-colors'
+
+// Type-specific inputs: a single amount for percentage/dollar, parameters for the rest
+function StrategyTypeFields({ rule, onChange }) {
+  const params = rule.parameters || {}
+  const setParam = (key, value) => onChange(prev => ({ ...prev, parameters: { ...prev.parameters, [key]: value } }))
+
+  if (rule.reduction_type === 'percentage' || rule.reduction_type === 'dollar') {
+    return (
+      <div>
+        <label className="block text-sm font-medium text-text-secondary mb-1.5">
+          Reduction Amount ({rule.reduction_type === 'percentage' ? '%' : '$'})
+        </label>
+        <input
+          type="number"
+          min="1"
+          max={rule.reduction_type === 'percentage' ? "50" : "999"}
+          value={rule.reduction_amount}
+          onChange={(e) => onChange(prev => ({ ...prev, reduction_amount: parseFloat(e.target.value) || 1 }))}
+          className={inputClassName}
+        />
+      </div>
+    )
+  }
+
+  if (rule.reduction_type === 'stepped') {
+    const steps = params.steps || []
+    const setSteps = (nextSteps) => setParam('steps', nextSteps)
+    const updateStep = (index, updates) => setSteps(steps.map((step, i) => i === index ? { ...step, ...updates } : step))
+
+    return (
+      <div className="md:col-span-2">
+        <label className="block text-sm font-medium text-text-secondary mb-1.5">Steps</label>
+        <div className="space-y-2">
+          {steps.map((step, index) => (
+            <div key={index} className="flex items-center gap-2">
+              <span className="text-xs text-text-tertiary w-12">Step {index + 1}</span>
+              <input
+                type="number"
+                min="0"
+                step="0.01"
+                value={step.amount}
+                onChange={(e) => updateStep(index, { amount: parseFloat(e.target.value) || 0 })}
+                className={inputClassName}
+              />
+              <select
+                value={step.reduction_type}
+                onChange={(e) => updateStep(index, { reduction_type: e.target.value })}
+                className="bg-dark-bg border border-dark-border rounded-lg px-2 py-2.5 text-text-primary"
+              >
+                <option value="percentage">%</option>
+                <option value="dollar">$</option>
+              </select>
+              <button
+                type="button"
+                onClick={() => setSteps(steps.filter((_, i) => i !== index))}
+                className="text-text-tertiary hover:text-error p-1"
+              >
+                <X className="h-4 w-4" strokeWidth={1.5} />
+              </button>
+            </div>
+          ))}
+        </div>
+        <button
+          type="button"
+          onClick={() => setSteps([...steps, { reduction_type: 'percentage', amount: 5 }])}
+          className="mt-2 text-sm text-accent hover:text-accent-hover"
+        >
+          + Add step
+        </button>
+        <p className="text-xs text-text-tertiary mt-1">The last step repeats once the schedule runs out</p>
+      </div>
+    )
+  }
+
+  if (rule.reduction_type === 'exponential_decay') {
+    return (
+      <>
+        <div>
+          <label className="block text-sm font-medium text-text-secondary mb-1.5">Share of gap to minimum (%)</label>
+          <input
+            type="number"
+            min="1"
+            max="99"
+            value={params.decay_percentage ?? ''}
+            onChange={(e) => setParam('decay_percentage', parseFloat(e.target.value) || '')}
+            className={inputClassName}
+          />
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-text-secondary mb-1.5">Smallest step ($)</label>
+          <input
+            type="number"
+            min="0"
+            step="0.01"
+            value={params.min_step ?? ''}
+            onChange={(e) => setParam('min_step', e.target.value === '' ? '' : parseFloat(e.target.value))}
+            className={inputClassName}
+          />
+        </div>
+      </>
+    )
+  }
+
+  if (rule.reduction_type === 'target_date') {
+    return (
+      <>
+        <div>
+          <label className="block text-sm font-medium text-text-secondary mb-1.5">Target Price ($)</label>
+          <input
+            type="number"
+            min="0"
+            step="0.01"
+            value={params.target_price ?? ''}
+            onChange={(e) => setParam('target_price', e.target.value === '' ? '' : parseFloat(e.target.value))}
+            className={inputClassName}
+          />
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-text-secondary mb-1.5">Target Date</label>
+          <input
+            type="date"
+            value={params.target_date || ''}
+            onChange={(e) => setParam('target_date', e.target.value)}
+            className={inputClassName}
+          />
+        </div>
+      </>
+    )
+  }
+
+  if (rule.reduction_type === 'competitor_anchored') {
+    return (
+      <>
+        <div>
+          <label className="block text-sm font-medium text-text-secondary mb-1.5">Anchor</label>
+          <select
+            value={params.anchor || 'lowest'}
+            onChange={(e) => setParam('anchor', e.target.value)}
+            className={inputClassName}
+          >
+            <option value="lowest">Under lowest competitor</option>
+            <option value="average">Below market average</option>
+          </select>
+        </div>
+        {params.anchor === 'average' ? (
+          <div>
+            <label className="block text-sm font-medium text-text-secondary mb-1.5">Below average (%)</label>
+            <input
+              type="number"
+              min="0"
+              max="50"
+              step="0.5"
+              value={params.below_average_percentage ?? ''}
+              onChange={(e) => setParam('below_average_percentage', e.target.value === '' ? '' : parseFloat(e.target.value))}
+              className={inputClassName}
+            />
+          </div>
+        ) : (
+          <div>
+            <label className="block text-sm font-medium text-text-secondary mb-1.5">Undercut by (cents)</label>
+            <input
+              type="number"
+              min="0"
+              value={params.undercut_cents ?? ''}
+              onChange={(e) => setParam('undercut_cents', e.target.value === '' ? '' : parseInt(e.target.value))}
+              className={inputClassName}
+            />
+          </div>
+        )}
+        <div>
+          <label className="block text-sm font-medium text-text-secondary mb-1.5">Re-check competitors after (hours)</label>
+          <input
+            type="number"
+            min="1"
+            value={params.max_analysis_age_hours ?? ''}
+            onChange={(e) => setParam('max_analysis_age_hours', e.target.value === '' ? '' : parseInt(e.target.value))}
+            className={inputClassName}
+          />
+        </div>
+        <label className="flex items-center space-x-2 text-sm text-text-secondary md:self-end md:pb-3">
+          <input
+            type="checkbox"
+            checked={Boolean(params.allow_title_only)}
+            onChange={(e) => setParam('allow_title_only', e.target.checked)}
+            className="rounded border-dark-border"
+          />
+          <span>Act on weak title-only matches</span>
+        </label>
+      </>
+    )
+  }
+
+  return null
+}
+
+// Engagement velocity mode: pause while watchers grow, speed up when views are flat
+function VelocityFields({ rule, onChange }) {
+  const velocity = rule.velocity_settings || DEFAULT_VELOCITY_SETTINGS
+  const setVelocity = (key, value) => onChange(prev => ({
+    ...prev,
+    velocity_settings: { ...(prev.velocity_settings || DEFAULT_VELOCITY_SETTINGS), [key]: value }
+  }))
+
+  return (
+    <div className="border border-dark-border rounded-lg p-3 space-y-3">
+      <label className="flex items-center space-x-2 text-sm font-medium text-text-secondary">
+        <input
+          type="checkbox"
+          checked={Boolean(velocity.enabled)}
+          onChange={(e) => setVelocity('enabled', e.target.checked)}
+          className="rounded border-dark-border"
+        />
+        <span>Adjust to engagement (views &amp; watchers)</span>
+      </label>
+      {velocity.enabled && (
+        <>
+          <p className="text-xs text-text-tertiary">
+            Reductions pause while watchers are growing and run faster when views are flat over the window.
+          </p>
+          <div className="grid grid-cols-2 gap-3">
+            <div>
+              <label className="block text-xs font-medium text-text-secondary mb-1">Window (days)</label>
+              <input
+                type="number"
+                min="1"
+                max="60"
+                value={velocity.window_days}
+                onChange={(e) => setVelocity('window_days', parseInt(e.target.value) || 1)}
+                className={inputClassName}
+              />
+            </div>
+            <div>
+              <label className="block text-xs font-medium text-text-secondary mb-1">Speed-up when flat (×)</label>
+              <input
+                type="number"
+                min="1"
+                max="10"
+                step="0.5"
+                value={velocity.acceleration_factor}
+                onChange={(e) => setVelocity('acceleration_factor', parseFloat(e.target.value) || 1)}
+                className={inputClassName}
+              />
+            </div>
+            <div>
+              <label className="block text-xs font-medium text-text-secondary mb-1">Pause at new watchers ≥</label>
+              <input
+                type="number"
+                min="1"
+                value={velocity.watcher_growth_threshold}
+                onChange={(e) => setVelocity('watcher_growth_threshold', parseInt(e.target.value) || 1)}
+                className={inputClassName}
+              />
+            </div>
+            <div>
+              <label className="block text-xs font-medium text-text-secondary mb-1">Flat when new views ≤</label>
+              <input
+                type="number"
+                min="0"
+                value={velocity.flat_views_threshold}
+                onChange={(e) => setVelocity('flat_views_threshold', parseInt(e.target.value) || 0)}
+                className={inputClassName}
+              />
+            </div>
+          </div>
+        </>
+      )}
+    </div>
+  )
+}
+
+function RecoveryFields({ rule, onChange }) {
+  const recovery = rule.recovery_settings || DEFAULT_RECOVERY_SETTINGS
+  const setRecovery = (key, value) => onChange(prev => ({
+    ...prev,
+    recovery_settings: { ...(prev.recovery_settings || DEFAULT_RECOVERY_SETTINGS), [key]: value }
+  }))
+
+  return (
+    <div className="border border-dark-border rounded-lg p-3 space-y-3">
+      <label className="flex items-center space-x-2 text-sm font-medium text-text-secondary">
+        <input
+          type="checkbox"
+          checked={Boolean(recovery.enabled)}
+          onChange={(e) => setRecovery('enabled', e.target.checked)}
+          className="rounded border-dark-border"
+        />
+        <span>Raise prices back up when demand returns</span>
+      </label>
+      {recovery.enabled && (
+        <>
+          <p className="text-xs text-text-tertiary">
+            Steps the price back toward the original when a multi-quantity listing sells quickly or competitors
+            are priced well above it. Set a trigger to 0 to turn it off.
+          </p>
+          <div className="grid grid-cols-2 gap-3">
+            <div>
+              <label className="block text-xs font-medium text-text-secondary mb-1">Raise after units sold ≥</label>
+              <input
+                type="number"
+                min="0"
+                value={recovery.sales_threshold}
+                onChange={(e) => setRecovery('sales_threshold', parseInt(e.target.value) || 0)}
+                className={inputClassName}
+              />
+            </div>
+            <div>
+              <label className="block text-xs font-medium text-text-secondary mb-1">Within (days)</label>
+              <input
+                type="number"
+                min="1"
+                max="60"
+                value={recovery.window_days}
+                onChange={(e) => setRecovery('window_days', parseInt(e.target.value) || 1)}
+                className={inputClassName}
+              />
+            </div>
+            <div>
+              <label className="block text-xs font-medium text-text-secondary mb-1">Raise when competitors ≥ (% above)</label>
+              <input
+                type="number"
+                min="0"
+                step="1"
+                value={recovery.competitor_gap_percentage}
+                onChange={(e) => setRecovery('competitor_gap_percentage', parseFloat(e.target.value) || 0)}
+                className={inputClassName}
+              />
+            </div>
+            <div>
+              <label className="block text-xs font-medium text-text-secondary mb-1">Raise by (% per step)</label>
+              <input
+                type="number"
+                min="0.5"
+                max="25"
+                step="0.5"
+                value={recovery.step_percentage}
+                onChange={(e) => setRecovery('step_percentage', parseFloat(e.target.value) || 0)}
+                className={inputClassName}
+              />
+            </div>
+            <div>
+              <label className="block text-xs font-medium text-text-secondary mb-1">Never above (% of original)</label>
+              <input
+                type="number"
+                min="1"
+                max="100"
+                value={recovery.max_price_percentage}
+                onChange={(e) => setRecovery('max_price_percentage', parseFloat(e.target.value) || 0)}
+                className={inputClassName}
+              />
+            </div>
+            <div>
+              <label className="block text-xs font-medium text-text-secondary mb-1">Wait between raises (days)</label>
+              <input
+                type="number"
+                min="0"
+                value={recovery.cooldown_days}
+                onChange={(e) => setRecovery('cooldown_days', parseFloat(e.target.value) || 0)}
+                className={inputClassName}
+              />
+            </div>
+          </div>
+        </>
+      )}
+    </div>
+  )
+}
+
+function EndOfLifeFields({ rule, onChange }) {
+  const endOfLife = rule.end_of_life_settings || DEFAULT_END_OF_LIFE_SETTINGS
+  const setEndOfLife = (key, value) => onChange(prev => ({
+    ...prev,
+    end_of_life_settings: { ...(prev.end_of_life_settings || DEFAULT_END_OF_LIFE_SETTINGS), [key]: value }
+  }))
+
+  return (
+    <div className="border border-dark-border rounded-lg p-3 space-y-3">
+      <div>
+        <label className="block text-sm font-medium text-text-secondary mb-1">When a listing reaches its price floor</label>
+        <select
+          value={endOfLife.action}
+          onChange={(e) => setEndOfLife('action', e.target.value)}
+          className={inputClassName}
+        >
+          {Object.entries(END_OF_LIFE_ACTIONS).map(([value, action]) => (
+            <option key={value} value={value}>{action.label}</option>
+          ))}
+        </select>
+        <p className="text-xs text-text-tertiary mt-1">{END_OF_LIFE_ACTIONS[endOfLife.action]?.description}</p>
+      </div>
+      {hasEndOfLifeAction(endOfLife) && (
+        <div className="grid grid-cols-2 gap-3">
+          <div>
+            <label className="block text-xs font-medium text-text-secondary mb-1">After days at floor</label>
+            <input
+              type="number"
+              min="0"
+              max="365"
+              value={endOfLife.wait_days}
+              onChange={(e) => setEndOfLife('wait_days', parseInt(e.target.value) || 0)}
+              className={inputClassName}
+            />
+          </div>
+          {endOfLife.action === 'relist' && (
+            <div>
+              <label className="block text-xs font-medium text-text-secondary mb-1">Relist at most (times)</label>
+              <input
+                type="number"
+                min="1"
+                max="10"
+                value={endOfLife.max_relists}
+                onChange={(e) => setEndOfLife('max_relists', parseInt(e.target.value) || 1)}
+                className={inputClassName}
+              />
+            </div>
+          )}
+        </div>
+      )}
+      {endOfLife.action !== 'none' && endOfLife.action !== 'notify' && (
+        <label className="flex items-center space-x-2 text-sm text-text-secondary">
+          <input
+            type="checkbox"
+            checked={Boolean(endOfLife.notify)}
+            onChange={(e) => setEndOfLife('notify', e.target.checked)}
+            className="rounded border-dark-border"
+          />
+          <span>Also notify me</span>
+        </label>
+      )}
+      {endOfLife.action === 'relist' && (
+        <p className="text-xs text-text-tertiary">
+          Only listings imported through the Trading API can be relisted. Others, and listings past the relist limit,
+          are flagged for attention instead.
+        </p>
+      )}
+    </div>
+  )
+}
+
+// Weekday, hour-window and blackout-range editor shared by rules and the account calendar
+function ScheduleFields({ schedule, onChange, showTimezone = false }) {
+  const weekdays = schedule.allowed_weekdays || []
+  const ranges = schedule.blackout_ranges || []
+  const set = (key, value) => onChange({ ...schedule, [key]: value })
+
+  const toggleWeekday = (day) => {
+    set('allowed_weekdays', weekdays.includes(day) ? weekdays.filter(d => d !== day) : [...weekdays, day])
+  }
+  const updateRange = (index, updates) => set('blackout_ranges', ranges.map((range, i) => i === index ? { ...range, ...updates } : range))
+
+  return (
+    <div className="space-y-3">
+      {showTimezone && (
+        <div>
+          <label className="block text-xs font-medium text-text-secondary mb-1">Time zone</label>
+          <select
+            value={schedule.timezone || DEFAULT_TIMEZONE}
+            onChange={(e) => set('timezone', e.target.value)}
+            className={inputClassName}
+          >
+            {COMMON_TIMEZONES.map(zone => <option key={zone} value={zone}>{zone}</option>)}
+          </select>
+        </div>
+      )}
+
+      <div>
+        <label className="block text-xs font-medium text-text-secondary mb-1">Reduce on (none selected = every day)</label>
+        <div className="flex flex-wrap gap-1">
+          {WEEKDAYS.map(day => (
+            <button
+              key={day.value}
+              type="button"
+              onClick={() => toggleWeekday(day.value)}
+              className={`px-2.5 py-1 rounded-lg border text-xs font-medium transition-colors ${
+                weekdays.includes(day.value)
+                  ? 'bg-accent/10 border-accent text-accent'
+                  : 'bg-dark-bg border-dark-border text-text-secondary hover:bg-dark-hover'
+              }`}
+            >
+              {day.label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <div className="grid grid-cols-2 gap-3">
+        <div>
+          <label className="block text-xs font-medium text-text-secondary mb-1">From hour</label>
+          <select
+            value={schedule.start_hour ?? ''}
+            onChange={(e) => set('start_hour', e.target.value === '' ? '' : parseInt(e.target.value))}
+            className={inputClassName}
+          >
+            <option value="">Any time</option>
+            {Array.from({ length: 24 }, (_, hour) => <option key={hour} value={hour}>{hour}:00</option>)}
+          </select>
+        </div>
+        <div>
+          <label className="block text-xs font-medium text-text-secondary mb-1">Until hour</label>
+          <select
+            value={schedule.end_hour ?? ''}
+            onChange={(e) => set('end_hour', e.target.value === '' ? '' : parseInt(e.target.value))}
+            className={inputClassName}
+          >
+            <option value="">Any time</option>
+            {Array.from({ length: 24 }, (_, hour) => <option key={hour + 1} value={hour + 1}>{hour + 1}:00</option>)}
+          </select>
+        </div>
+      </div>
+
+      <div>
+        <label className="block text-xs font-medium text-text-secondary mb-1">Blackout dates (holidays, promotions)</label>
+        <div className="space-y-2">
+          {ranges.map((range, index) => (
+            <div key={index} className="flex items-center gap-2">
+              <input
+                type="date"
+                value={range.start || ''}
+                onChange={(e) => updateRange(index, { start: e.target.value })}
+                className={inputClassName}
+              />
+              <input
+                type="date"
+                value={range.end || ''}
+                onChange={(e) => updateRange(index, { end: e.target.value })}
+                className={inputClassName}
+              />
+              <input
+                type="text"
+                value={range.label || ''}
+                onChange={(e) => updateRange(index, { label: e.target.value })}
+                placeholder="Label"
+                className={inputClassName}
+              />
+              <button
+                type="button"
+                onClick={() => set('blackout_ranges', ranges.filter((_, i) => i !== index))}
+                className="text-text-tertiary hover:text-error p-1"
+              >
+                <X className="h-4 w-4" strokeWidth={2} />
+              </button>
+            </div>
+          ))}
+          <button
+            type="button"
+            onClick={() => set('blackout_ranges', [...ranges, { start: '', end: '', label: '' }])}
+            className="text-sm text-accent hover:text-accent-hover"
+          >
+            + Add blackout range
+          </button>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+function RuleScheduleFields({ rule, onChange }) {
+  const schedule = rule.reduction_schedule || {}
+  const [open, setOpen] = useState(Boolean(describeSchedule(schedule)))
+
+  return (
+    <div className="border border-dark-border rounded-lg p-3 space-y-3">
+      <label className="flex items-center space-x-2 text-sm font-medium text-text-secondary">
+        <input
+          type="checkbox"
+          checked={open}
+          onChange={(e) => {
+            setOpen(e.target.checked)
+            if (!e.target.checked) onChange(prev => ({ ...prev, reduction_schedule: {} }))
+          }}
+          className="rounded border-dark-border"
+        />
+        <span>Limit when this rule reduces</span>
+      </label>
+      {open && (
+        <>
+          <p className="text-xs text-text-tertiary">
+            Applies on top of your account calendar, in your account time zone.
+          </p>
+          <ScheduleFields
+            schedule={schedule}
+            onChange={(next) => onChange(prev => ({ ...prev, reduction_schedule: next }))}
+          />
+        </>
+      )}
+    </div>
+  )
+}
+
+// Account-wide calendar, stored on users.reduction_schedule
+function AccountSchedulePanel({ showNotification }) {
+  const queryClient = useQueryClient()
+  const [draft, setDraft] = useState(null)
+
+  const { data: schedule = {} } = useQuery({
+    queryKey: ['reductionSchedule'],
+    queryFn: async () => {
+      const { data: { user } } = await supabase.auth.getUser()
+      if (!user) return {}
+      const { data } = await supabase
+        .from('users')
+        .select('reduction_schedule')
+        .eq('id', user.id)
+        .single()
+      return data?.reduction_schedule || {}
+    },
+    refetchOnWindowFocus: false
+  })
+
+  const saveMutation = useMutation({
+    mutationFn: async (nextSchedule) => {
+      const { data: { user } } = await supabase.auth.getUser()
+      if (!user) throw new Error('Not logged in')
+      const { error } = await supabase
+        .from('users')
+        .update({ reduction_schedule: nextSchedule })
+        .eq('id', user.id)
+      if (error) throw error
+      return nextSchedule
+    },
+    onSuccess: (nextSchedule) => {
+      queryClient.setQueryData(['reductionSchedule'], nextSchedule)
+      setDraft(null)
+      showNotification('success', 'Reduction calendar saved')
+    },
+    onError: (error) => {
+      showNotification('error', `Failed to save reduction calendar: ${error.message}`)
+    }
+  })
+
+  const handleSave = () => {
+    const error = validateSchedule(draft)
+    if (error) {
+      showNotification('error', error)
+      return
+    }
+    saveMutation.mutate(cleanSchedule({ timezone: DEFAULT_TIMEZONE, ...draft }))
+  }
+
+  return (
+    <div className="bg-dark-surface rounded-lg border border-dark-border overflow-hidden">
+      <div className="px-4 sm:px-6 py-4 border-b border-dark-border flex flex-col sm:flex-row sm:items-center sm:justify-between gap-2">
+        <div className="flex items-center space-x-2">
+          <CalendarClock className="h-5 w-5 text-accent" strokeWidth={1.5} />
+          <h3 className="text-lg font-medium text-text-primary">Reduction Calendar</h3>
+          <span className="text-sm text-text-tertiary">
+            {describeSchedule(schedule) || 'Any day, any time'} ({schedule.timezone || DEFAULT_TIMEZONE})
+          </span>
+        </div>
+        {!draft && (
+          <button
+            onClick={() => setDraft(schedule)}
+            className="bg-accent/10 text-accent border border-accent/30 px-4 py-2 rounded-lg text-sm font-medium hover:bg-accent/20 transition-colors"
+          >
+            Edit
+          </button>
+        )}
+      </div>
+
+      {draft && (
+        <div className="px-4 sm:px-6 py-4 space-y-4">
+          <p className="text-sm text-text-secondary">
+            Applies to every rule. Scheduled runs outside this calendar skip your listings until the next allowed run.
+          </p>
+          <ScheduleFields schedule={draft} onChange={setDraft} showTimezone />
+          <div className="flex space-x-3">
+            <button
+              onClick={handleSave}
+              disabled={saveMutation.isLoading}
+              className="bg-success/10 text-success border border-success/30 px-4 py-2 rounded-lg hover:bg-success/20 disabled:opacity-50 transition-colors font-medium"
+            >
+              Save Calendar
+            </button>
+            <button
+              onClick={() => setDraft(null)}
+              className="bg-dark-hover text-text-secondary px-4 py-2 rounded-lg hover:bg-dark-border transition-colors"
+            >
+              Cancel
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
+
+// Ordered rules that pick strategies for listings automatically; evaluated on
+// every sync and daily (netlify/functions/utils/strategy-assignment.js)
+function AssignmentRulesPanel({ strategies, showNotification }) {
+  const queryClient = useQueryClient()
+  const [draft, setDraft] = useState(null)
+
+  const { data: assignmentRules = [] } = useQuery({
+    queryKey: ['strategyAssignmentRules'],
+    queryFn: strategiesAPI.getAssignmentRules,
+    refetchOnWindowFocus: false
+  })
+
+  const saveMutation = useMutation({
+    mutationFn: async (draftRules) => {
+      const { data: { user } } = await supabase.auth.getUser()
+      if (!user) throw new Error('Not logged in')
+
+      const keptIds = draftRules.map(rule => rule.id).filter(Boolean)
+      const removedIds = assignmentRules.map(rule => rule.id).filter(id => !keptIds.includes(id))
+      if (removedIds.length > 0) {
+        const { error } = await supabase.from('strategy_assignment_rules').delete().in('id', removedIds)
+        if (error) throw error
+      }
+
+      for (const [position, rule] of draftRules.entries()) {
+        const record = {
+          name: rule.name.trim(),
+          strategy_id: rule.strategy_id,
+          is_active: rule.is_active !== false,
+          conditions: cleanConditions(rule.conditions),
+          position
+        }
+        const { error } = rule.id
+          ? await supabase.from('strategy_assignment_rules').update(record).eq('id', rule.id).eq('user_id', user.id)
+          : await supabase.from('strategy_assignment_rules').insert({ ...record, user_id: user.id })
+        if (error) throw error
+      }
+
+      return strategiesAPI.applyAssignmentRules()
+    },
+    onSuccess: (result) => {
+      queryClient.invalidateQueries(['strategyAssignmentRules'])
+      queryClient.invalidateQueries(['listings'])
+      setDraft(null)
+      showNotification('success', `Assignment rules saved. ${result.assigned} listing${result.assigned !== 1 ? 's' : ''} assigned, ${result.unassigned} cleared.`)
+    },
+    onError: (error) => {
+      showNotification('error', `Failed to save assignment rules: ${error.message}`)
+    }
+  })
+
+  const handleSave = () => {
+    for (const rule of draft) {
+      const validationError = validateAssignmentRule(rule)
+      if (validationError) {
+        showNotification('error', validationError)
+        return
+      }
+    }
+    saveMutation.mutate(draft)
+  }
+
+  const updateRule = (index, updates) => setDraft(prev => prev.map((rule, i) => i === index ? { ...rule, ...updates } : rule))
+  const moveRule = (index, offset) => setDraft(prev => {
+    const next = [...prev]
+    const [moved] = next.splice(index, 1)
+    next.splice(index + offset, 0, moved)
+    return next
+  })
+  const updateCondition = (ruleIndex, conditionIndex, updates) => updateRule(ruleIndex, {
+    conditions: draft[ruleIndex].conditions.map((condition, i) => i === conditionIndex ? { ...condition, ...updates } : condition)
+  })
+
+  const strategyName = (id) => strategies.find(strategy => strategy.id === id)?.name || 'Deleted strategy'
+  const activeCount = assignmentRules.filter(rule => rule.is_active).length
+
+  return (
+    <div className="bg-dark-surface rounded-lg border border-dark-border overflow-hidden">
+      <div className="px-4 sm:px-6 py-4 border-b border-dark-border flex flex-col sm:flex-row sm:items-center sm:justify-between gap-2">
+        <div className="flex items-center space-x-2">
+          <ListOrdered className="h-5 w-5 text-accent" strokeWidth={1.5} />
+          <h3 className="text-lg font-medium text-text-primary">Automatic Assignment</h3>
+          <span className="text-sm text-text-tertiary">
+            {activeCount > 0 ? `${activeCount} active rule${activeCount !== 1 ? 's' : ''}` : 'Strategies are assigned by hand'}
+          </span>
+        </div>
+        {!draft && (
+          <button
+            onClick={() => setDraft(assignmentRules.map(rule => ({ ...rule, conditions: rule.conditions || [] })))}
+            className="bg-accent/10 text-accent border border-accent/30 px-4 py-2 rounded-lg text-sm font-medium hover:bg-accent/20 transition-colors"
+          >
+            Edit
+          </button>
+        )}
+      </div>
+
+      {!draft && assignmentRules.length > 0 && (
+        <ol className="px-4 sm:px-6 py-4 space-y-2">
+          {assignmentRules.map((rule, index) => (
+            <li key={rule.id} className={`text-sm ${rule.is_active ? 'text-text-secondary' : 'text-text-tertiary line-through'}`}>
+              <span className="text-text-tertiary mr-2">{index + 1}.</span>
+              <span className="text-text-primary font-medium">{rule.name}</span>
+              {': '}{describeConditions(rule.conditions)} → <span className="text-accent">{strategyName(rule.strategy_id)}</span>
+            </li>
+          ))}
+        </ol>
+      )}
+
+      {draft && (
+        <div className="px-4 sm:px-6 py-4 space-y-4">
+          <p className="text-sm text-text-secondary">
+            Rules run top to bottom and the first match wins. Listings whose strategy you pick by hand keep it;
+            choose "Automatic (rules)" on the Listings page to hand them back.
+          </p>
+
+          {draft.map((rule, ruleIndex) => (
+            <div key={rule.id || `new-${ruleIndex}`} className="border border-dark-border rounded-lg p-3 space-y-3">
+              <div className="flex items-center gap-2">
+                <span className="text-sm text-text-tertiary w-6">{ruleIndex + 1}.</span>
+                <input
+                  type="text"
+                  value={rule.name}
+                  onChange={(e) => updateRule(ruleIndex, { name: e.target.value })}
+                  placeholder="Rule name"
+                  className={inputClassName}
+                />
+                <select
+                  value={rule.strategy_id || ''}
+                  onChange={(e) => updateRule(ruleIndex, { strategy_id: e.target.value })}
+                  className={inputClassName}
+                >
+                  <option value="">Assign strategy...</option>
+                  {strategies.map(strategy => (
+                    <option key={strategy.id} value={strategy.id}>{strategy.name}</option>
+                  ))}
+                </select>
+                <button
+                  type="button"
+                  onClick={() => moveRule(ruleIndex, -1)}
+                  disabled={ruleIndex === 0}
+                  className="text-text-tertiary hover:text-text-primary disabled:opacity-30 p-1"
+                  title="Move up"
+                >
+                  <ArrowUp className="h-4 w-4" strokeWidth={2} />
+                </button>
+                <button
+                  type="button"
+                  onClick={() => moveRule(ruleIndex, 1)}
+                  disabled={ruleIndex === draft.length - 1}
+                  className="text-text-tertiary hover:text-text-primary disabled:opacity-30 p-1"
+                  title="Move down"
+                >
+                  <ArrowDown className="h-4 w-4" strokeWidth={2} />
+                </button>
+                <button
+                  type="button"
+                  onClick={() => setDraft(prev => prev.filter((_, i) => i !== ruleIndex))}
+                  className="text-text-tertiary hover:text-error p-1"
+                  title="Remove rule"
+                >
+                  <X className="h-4 w-4" strokeWidth={2} />
+                </button>
+              </div>
+
+              {rule.conditions.map((condition, conditionIndex) => {
+                const field = getRuleField(condition.field)
+                return (
+                  <div key={conditionIndex} className="flex items-center gap-2 pl-8">
+                    <span className="text-xs text-text-tertiary w-8">{conditionIndex === 0 ? 'If' : 'and'}</span>
+                    <select
+                      value={condition.field}
+                      onChange={(e) => updateCondition(ruleIndex, conditionIndex, getDefaultCondition(e.target.value))}
+                      className={inputClassName}
+                    >
+                      {RULE_FIELDS.map(option => (
+                        <option key={option.value} value={option.value}>{option.label}</option>
+                      ))}
+                    </select>
+                    <select
+                      value={condition.operator}
+                      onChange={(e) => updateCondition(ruleIndex, conditionIndex, { operator: e.target.value })}
+                      className={inputClassName}
+                    >
+                      {OPERATORS[field.type].map(option => (
+                        <option key={option.value} value={option.value}>{option.label}</option>
+                      ))}
+                    </select>
+                    <input
+                      type={field.type === 'number' ? 'number' : 'text'}
+                      value={condition.value ?? ''}
+                      onChange={(e) => updateCondition(ruleIndex, conditionIndex, { value: e.target.value })}
+                      placeholder={condition.operator === 'in' ? `${field.placeholder}, ...` : field.placeholder}
+                      className={inputClassName}
+                    />
+                    <button
+                      type="button"
+                      onClick={() => updateRule(ruleIndex, { conditions: rule.conditions.filter((_, i) => i !== conditionIndex) })}
+                      className="text-text-tertiary hover:text-error p-1"
+                    >
+                      <X className="h-4 w-4" strokeWidth={2} />
+                    </button>
+                  </div>
+                )
+              })}
+
+              <div className="flex items-center justify-between pl-8">
+                <button
+                  type="button"
+                  onClick={() => updateRule(ruleIndex, { conditions: [...rule.conditions, getDefaultCondition()] })}
+                  className="text-sm text-accent hover:text-accent-hover"
+                >
+                  + Add condition
+                </button>
+                <label className="flex items-center space-x-2 text-sm text-text-secondary">
+                  <input
+                    type="checkbox"
+                    checked={rule.is_active !== false}
+                    onChange={(e) => updateRule(ruleIndex, { is_active: e.target.checked })}
+                    className="rounded border-dark-border"
+                  />
+                  <span>Active</span>
+                </label>
+              </div>
+              {rule.conditions.length === 0 && (
+                <p className="text-xs text-text-tertiary pl-8">No conditions: matches every listing that no earlier rule matched.</p>
+              )}
+            </div>
+          ))}
+
+          <button
+            type="button"
+            onClick={() => setDraft(prev => [...prev, { ...EMPTY_ASSIGNMENT_RULE, conditions: [getDefaultCondition()] }])}
+            className="text-sm text-accent hover:text-accent-hover"
+          >
+            + Add rule
+          </button>
+
+          <div className="flex space-x-3">
+            <button
+              onClick={handleSave}
+              disabled={saveMutation.isLoading}
+              className="bg-success/10 text-success border border-success/30 px-4 py-2 rounded-lg hover:bg-success/20 disabled:opacity-50 transition-colors font-medium"
+            >
+              {saveMutation.isLoading ? 'Applying...' : 'Save & Apply'}
+            </button>
+            <button
+              onClick={() => setDraft(null)}
+              className="bg-dark-hover text-text-secondary px-4 py-2 rounded-lg hover:bg-dark-border transition-colors"
+            >
+              Cancel
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
+
+const DEFAULT_FINAL_VALUE_FEE_PERCENTAGE = 13.25
+const DEFAULT_PER_ORDER_FEE = 0.3
+
+const SETTING_KEYS = [
+  'default_final_value_fee_percentage',
+  'default_per_order_fee',
+  'default_margin_percentage',
+  'default_shipping_cost',
+  'default_promoted_ad_rate'
+]
+
+const toNumberOrNull = (value) => (value === '' || value === null || value === undefined ? null : parseFloat(value))
+
+// Fee estimates and default margin used to derive each listing's profit floor
+// (listings.profit_floor_price, computed in the database - see add-cost-basis-profit-floor.sql)
+function ProfitFloorPanel({ showNotification }) {
+  const queryClient = useQueryClient()
+  const [draft, setDraft] = useState(null)
+
+  const { data = { settings: {}, rates: [] } } = useQuery({
+    queryKey: ['profitFloorSettings'],
+    queryFn: async () => {
+      const { data: { user } } = await supabase.auth.getUser()
+      if (!user) return { settings: {}, rates: [] }
+      const [{ data: profile }, { data: rates }] = await Promise.all([
+        supabase.from('users').select('profit_floor_settings').eq('id', user.id).single(),
+        supabase.from('category_fee_rates').select('*').eq('user_id', user.id).order('category_id')
+      ])
+      return { settings: profile?.profit_floor_settings || {}, rates: rates || [] }
+    },
+    refetchOnWindowFocus: false
+  })
+
+  const saveMutation = useMutation({
+    mutationFn: async ({ settings, rates }) => {
+      const { data: { user } } = await supabase.auth.getUser()
+      if (!user) throw new Error('Not logged in')
+
+      const { error: settingsError } = await supabase
+        .from('users')
+        .update({ profit_floor_settings: settings })
+        .eq('id', user.id)
+      if (settingsError) throw settingsError
+
+      const keptIds = rates.map(rate => rate.id).filter(Boolean)
+      const removedIds = data.rates.map(rate => rate.id).filter(id => !keptIds.includes(id))
+      if (removedIds.length > 0) {
+        const { error } = await supabase.from('category_fee_rates').delete().in('id', removedIds)
+        if (error) throw error
+      }
+
+      if (rates.length > 0) {
+        const { error } = await supabase
+          .from('category_fee_rates')
+          .upsert(rates.map(rate => ({
+            user_id: user.id,
+            category_id: rate.category_id.trim(),
+            category_name: rate.category_name?.trim() || null,
+            final_value_fee_percentage: parseFloat(rate.final_value_fee_percentage),
+            per_order_fee: toNumberOrNull(rate.per_order_fee) ?? DEFAULT_PER_ORDER_FEE
+          })), { onConflict: 'user_id,category_id' })
+        if (error) throw error
+      }
+    },
+    onSuccess: () => {
+      queryClient.invalidateQueries(['profitFloorSettings'])
+      queryClient.invalidateQueries(['listings'])
+      setDraft(null)
+      showNotification('success', 'Fee estimates saved. Profit floors were recalculated.')
+    },
+    onError: (error) => {
+      showNotification('error', `Failed to save fee estimates: ${error.message}`)
+    }
+  })
+
+  const handleSave = () => {
+    const invalidRate = draft.rates.find(rate => {
+      const fee = parseFloat(rate.final_value_fee_percentage)
+      return !rate.category_id?.trim() || isNaN(fee) || fee < 0 || fee > 30
+    })
+    if (invalidRate) {
+      showNotification('error', 'Each category needs an ID and a fee between 0% and 30%')
+      return
+    }
+    const margin = toNumberOrNull(draft.settings.default_margin_percentage)
+    if (margin !== null && (isNaN(margin) || margin < 0 || margin > 50)) {
+      showNotification('error', 'Default margin must be between 0% and 50%')
+      return
+    }
+
+    const adRate = toNumberOrNull(draft.settings.default_promoted_ad_rate)
+    if (adRate !== null && (isNaN(adRate) || adRate < 0 || adRate > 100)) {
+      showNotification('error', 'Default ad rate must be between 0% and 100%')
+      return
+    }
+
+    const settings = {}
+    for (const key of SETTING_KEYS) {
+      const value = toNumberOrNull(draft.settings[key])
+      if (value !== null && !isNaN(value)) settings[key] = value
+    }
+    saveMutation.mutate({ settings, rates: draft.rates })
+  }
+
+  const setSetting = (key, value) => setDraft(prev => ({ ...prev, settings: { ...prev.settings, [key]: value } }))
+  const updateRate = (index, updates) => setDraft(prev => ({
+    ...prev,
+    rates: prev.rates.map((rate, i) => i === index ? { ...rate, ...updates } : rate)
+  }))
+
+  const { settings, rates } = data
+
+  return (
+    <div className="bg-dark-surface rounded-lg border border-dark-border overflow-hidden">
+      <div className="px-4 sm:px-6 py-4 border-b border-dark-border flex flex-col sm:flex-row sm:items-center sm:justify-between gap-2">
+        <div className="flex items-center space-x-2">
+          <DollarSign className="h-5 w-5 text-accent" strokeWidth={1.5} />
+          <h3 className="text-lg font-medium text-text-primary">Fees & Profit Floor</h3>
+          <span className="text-sm text-text-tertiary">
+            {settings.default_final_value_fee_percentage ?? DEFAULT_FINAL_VALUE_FEE_PERCENTAGE}% + ${(settings.default_per_order_fee ?? DEFAULT_PER_ORDER_FEE).toFixed(2)} fees
+            {' · '}{settings.default_margin_percentage ?? 0}% margin
+            {rates.length > 0 && ` · ${rates.length} category rate${rates.length !== 1 ? 's' : ''}`}
+          </span>
+        </div>
+        {!draft && (
+          <button
+            onClick={() => setDraft({ settings, rates })}
+            className="bg-accent/10 text-accent border border-accent/30 px-4 py-2 rounded-lg text-sm font-medium hover:bg-accent/20 transition-colors"
+          >
+            Edit
+          </button>
+        )}
+      </div>
+
+      {draft && (
+        <div className="px-4 sm:px-6 py-4 space-y-4">
+          <p className="text-sm text-text-secondary">
+            Listings with an item cost never drop below cost + inbound shipping + estimated eBay fees + margin,
+            even when their minimum price is lower. Net proceeds estimates use these rates too; leave them
+            empty to use the eBay fee table kept by your administrator.
+          </p>
+
+          <div className="grid grid-cols-1 sm:grid-cols-3 gap-3">
+            <div>
+              <label className="block text-xs font-medium text-text-secondary mb-1">Default final value fee (%)</label>
+              <input
+                type="number"
+                min="0"
+                max="30"
+                step="0.01"
+                placeholder={String(DEFAULT_FINAL_VALUE_FEE_PERCENTAGE)}
+                value={draft.settings.default_final_value_fee_percentage ?? ''}
+                onChange={(e) => setSetting('default_final_value_fee_percentage', e.target.value)}
+                className={inputClassName}
+              />
+            </div>
+            <div>
+              <label className="block text-xs font-medium text-text-secondary mb-1">Per-order fee ($)</label>
+              <input
+                type="number"
+                min="0"
+                step="0.01"
+                placeholder={DEFAULT_PER_ORDER_FEE.toFixed(2)}
+                value={draft.settings.default_per_order_fee ?? ''}
+                onChange={(e) => setSetting('default_per_order_fee', e.target.value)}
+                className={inputClassName}
+              />
+            </div>
+            <div>
+              <label className="block text-xs font-medium text-text-secondary mb-1">Default margin (% of sale price)</label>
+              <input
+                type="number"
+                min="0"
+                max="50"
+                step="0.5"
+                placeholder="0"
+                value={draft.settings.default_margin_percentage ?? ''}
+                onChange={(e) => setSetting('default_margin_percentage', e.target.value)}
+                className={inputClassName}
+              />
+            </div>
+            <div>
+              <label className="block text-xs font-medium text-text-secondary mb-1">Shipping you pay per sale ($)</label>
+              <input
+                type="number"
+                min="0"
+                step="0.01"
+                placeholder="0.00"
+                value={draft.settings.default_shipping_cost ?? ''}
+                onChange={(e) => setSetting('default_shipping_cost', e.target.value)}
+                className={inputClassName}
+              />
+            </div>
+            <div>
+              <label className="block text-xs font-medium text-text-secondary mb-1">Promoted listing ad rate (%)</label>
+              <input
+                type="number"
+                min="0"
+                max="100"
+                step="0.1"
+                placeholder="0"
+                value={draft.settings.default_promoted_ad_rate ?? ''}
+                onChange={(e) => setSetting('default_promoted_ad_rate', e.target.value)}
+                className={inputClassName}
+              />
+            </div>
+          </div>
+
+          <div>
+            <label className="block text-xs font-medium text-text-secondary mb-1">Category fee rates</label>
+            <div className="space-y-2">
+              {draft.rates.map((rate, index) => (
+                <div key={rate.id || `new-${index}`} className="flex items-center gap-2">
+                  <input
+                    type="text"
+                    value={rate.category_id || ''}
+                    onChange={(e) => updateRate(index, { category_id: e.target.value })}
+                    placeholder="Category ID"
+                    className={inputClassName}
+                  />
+                  <input
+                    type="text"
+                    value={rate.category_name || ''}
+                    onChange={(e) => updateRate(index, { category_name: e.target.value })}
+                    placeholder="Name"
+                    className={inputClassName}
+                  />
+                  <input
+                    type="number"
+                    min="0"
+                    max="30"
+                    step="0.01"
+                    value={rate.final_value_fee_percentage ?? ''}
+                    onChange={(e) => updateRate(index, { final_value_fee_percentage: e.target.value })}
+                    placeholder="Fee %"
+                    className={inputClassName}
+                  />
+                  <input
+                    type="number"
+                    min="0"
+                    step="0.01"
+                    value={rate.per_order_fee ?? ''}
+                    onChange={(e) => updateRate(index, { per_order_fee: e.target.value })}
+                    placeholder="Per order $"
+                    className={inputClassName}
+                  />
+                  <button
+                    type="button"
+                    onClick={() => setDraft(prev => ({ ...prev, rates: prev.rates.filter((_, i) => i !== index) }))}
+                    className="text-text-tertiary hover:text-error p-1"
+                  >
+                    <X className="h-4 w-4" strokeWidth={2} />
+                  </button>
+                </div>
+              ))}
+              <button
+                type="button"
+                onClick={() => setDraft(prev => ({
+                  ...prev,
+                  rates: [...prev.rates, { category_id: '', category_name: '', final_value_fee_percentage: '', per_order_fee: '' }]
+                }))}
+                className="text-sm text-accent hover:text-accent-hover"
+              >
+                + Add category rate
+              </button>
+            </div>
+          </div>
+
+          <div className="flex space-x-3">
+            <button
+              onClick={handleSave}
+              disabled={saveMutation.isLoading}
+              className="bg-success/10 text-success border border-success/30 px-4 py-2 rounded-lg hover:bg-success/20 disabled:opacity-50 transition-colors font-medium"
+            >
+              Save Fees
+            </button>
+            <button
+              onClick={() => setDraft(null)}
+              className="bg-dark-hover text-text-secondary px-4 py-2 rounded-lg hover:bg-dark-border transition-colors"
+            >
+              Cancel
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
+
+const formatCurrency = (value) => `$${Number(value || 0).toFixed(2)}`
+const formatDate = (value) => value ? new Date(value).toLocaleDateString() : '—'
+
+// Projected price timeline for a rule across selected listings (same engine as the scheduled job)
+function ForecastPanel({ rules }) {
+  const [strategyId, setStrategyId] = useState(rules[0]?.id || '')
+  const [selectedIds, setSelectedIds] = useState([])
+  const [search, setSearch] = useState('')
+  const [expandedId, setExpandedId] = useState(null)
+
+  const { data: listings = [], isLoading: listingsLoading } = useQuery({
+    queryKey: ['listings', { status: 'Active' }],
+    queryFn: () => listingsAPI.getListings({ status: 'Active' })
+  })
+
+  const forecastMutation = useMutation({
+    mutationFn: () => strategiesAPI.forecastStrategy({ strategyId, listingIds: selectedIds })
+  })
+
+  const visibleListings = listings.filter(listing =>
+    !search || listing.title?.toLowerCase().includes(search.toLowerCase())
+  )
+
+  const toggleListing = (id) => {
+    setSelectedIds(prev => prev.includes(id) ? prev.filter(x => x !== id) : [...prev, id])
+  }
+
+  const result = forecastMutation.data
+
+  return (
+    <div className="bg-dark-surface rounded-lg border border-dark-border overflow-hidden">
+      <div className="px-4 sm:px-6 py-4 border-b border-dark-border flex items-center space-x-2">
+        <TrendingDown className="h-5 w-5 text-accent" strokeWidth={1.5} />
+        <h3 className="text-lg font-medium text-text-primary">Forecast</h3>
+        <span className="text-sm text-text-tertiary">See where a rule takes your prices before assigning it</span>
+      </div>
+
+      <div className="px-4 sm:px-6 py-4 space-y-4">
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          <div>
+            <label className="block text-sm font-medium text-text-secondary mb-1.5">Rule</label>
+            <select
+              value={strategyId}
+              onChange={(e) => setStrategyId(e.target.value)}
+              className={inputClassName}
+            >
+              {rules.map(rule => (
+                <option key={rule.id} value={rule.id}>{rule.name} ({describeStrategyReduction(rule)})</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-text-secondary mb-1.5">
+              Listings ({selectedIds.length} selected)
+            </label>
+            <input
+              type="text"
+              value={search}
+              onChange={(e) => setSearch(e.target.value)}
+              placeholder="Filter active listings by title"
+              className={inputClassName}
+            />
+          </div>
+        </div>
+
+        <div className="max-h-48 overflow-y-auto border border-dark-border rounded-lg divide-y divide-dark-border">
+          {listingsLoading ? (
+            <div className="px-3 py-2 text-sm text-text-tertiary">Loading listings...</div>
+          ) : visibleListings.length === 0 ? (
+            <div className="px-3 py-2 text-sm text-text-tertiary">No active listings</div>
+          ) : visibleListings.map(listing => (
+            <label key={listing.id} className="flex items-center space-x-3 px-3 py-2 text-sm hover:bg-dark-hover cursor-pointer">
+              <input
+                type="checkbox"
+                checked={selectedIds.includes(listing.id)}
+                onChange={() => toggleListing(listing.id)}
+                className="rounded border-dark-border text-accent focus:ring-accent"
+              />
+              <span className="flex-1 truncate text-text-primary">{listing.title}</span>
+              <span className="text-text-tertiary">{formatCurrency(listing.current_price)} → min {formatCurrency(listing.minimum_price)}</span>
+            </label>
+          ))}
+        </div>
+
+        <button
+          onClick={() => forecastMutation.mutate()}
+          disabled={!strategyId || selectedIds.length === 0 || forecastMutation.isLoading}
+          className="bg-accent text-white px-4 py-2 rounded-lg hover:bg-accent-hover disabled:opacity-50 disabled:cursor-not-allowed transition-colors font-medium"
+        >
+          {forecastMutation.isLoading ? 'Forecasting...' : 'Run Forecast'}
+        </button>
+
+        {forecastMutation.isError && (
+          <p className="text-sm text-error">{forecastMutation.error.message}</p>
+        )}
+
+        {result && (
+          <div className="space-y-3">
+            <div className="grid grid-cols-2 sm:grid-cols-4 gap-3 text-sm">
+              <div className="bg-dark-bg rounded-lg p-3">
+                <div className="text-text-tertiary">Reach minimum</div>
+                <div className="font-medium text-text-primary">{result.summary.reachingMinimum} of {result.summary.listings}</div>
+              </div>
+              <div className="bg-dark-bg rounded-lg p-3">
+                <div className="text-text-tertiary">Total reductions</div>
+                <div className="font-medium text-text-primary">{result.summary.totalSteps}</div>
+              </div>
+              <div className="bg-dark-bg rounded-lg p-3">
+                <div className="text-text-tertiary">Margin given up</div>
+                <div className="font-medium text-error">{formatCurrency(result.summary.totalMarginGivenUp)}</div>
+                <div className="text-xs text-text-tertiary">
+                  {formatCurrency(result.summary.totalNetGivenUp)} net after fees
+                  {result.summary.unprofitableAtFinal > 0 && ` · ${result.summary.unprofitableAtFinal} end at a loss`}
+                </div>
+              </div>
+              <div className="bg-dark-bg rounded-lg p-3">
+                <div className="text-text-tertiary">Last reduction</div>
+                <div className="font-medium text-text-primary">{formatDate(result.summary.lastReductionAt)}</div>
+              </div>
+            </div>
+
+            <div className="overflow-x-auto">
+              <table className="min-w-full text-sm">
+                <thead>
+                  <tr className="text-left text-text-tertiary border-b border-dark-border">
+                    <th className="py-2 pr-4 font-medium">Listing</th>
+                    <th className="py-2 pr-4 font-medium">Price</th>
+                    <th className="py-2 pr-4 font-medium">Net at final</th>
+                    <th className="py-2 pr-4 font-medium">Steps</th>
+                    <th className="py-2 pr-4 font-medium">Reaches minimum</th>
+                    <th className="py-2 pr-4 font-medium">Margin given up</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-dark-border">
+                  {result.forecasts.map(forecast => (
+                    <ForecastRow
+                      key={forecast.listingId}
+                      forecast={forecast}
+                      expanded={expandedId === forecast.listingId}
+                      onToggle={() => setExpandedId(prev => prev === forecast.listingId ? null : forecast.listingId)}
+                    />
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  )
+}
+
+function ForecastRow({ forecast, expanded, onToggle }) {
+  return (
+    <>
+      <tr onClick={onToggle} className="cursor-pointer hover:bg-dark-hover">
+        <td className="py-2 pr-4 text-text-primary max-w-xs truncate">{forecast.title}</td>
+        <td className="py-2 pr-4 text-text-secondary whitespace-nowrap">
+          {formatCurrency(forecast.startPrice)} → {formatCurrency(forecast.finalPrice)}
+        </td>
+        <td className="py-2 pr-4 whitespace-nowrap">
+          <span className="text-text-secondary">{formatCurrency(forecast.finalNetProceeds)}</span>
+          {forecast.finalMarginPercentage !== null && (
+            <span className={`ml-1 text-xs ${forecast.finalMarginPercentage < 0 ? 'text-error' : 'text-text-tertiary'}`}>
+              ({forecast.finalMarginPercentage}%)
+            </span>
+          )}
+        </td>
+        <td className="py-2 pr-4 text-text-secondary">{forecast.steps} × {forecast.intervalDays}d</td>
+        <td className="py-2 pr-4 whitespace-nowrap">
+          {forecast.reachesMinimum
+            ? <span className="text-text-primary">{formatDate(forecast.reachesMinimumAt)}</span>
+            : <span className="text-text-tertiary" title={forecast.stopReason}>Not reached</span>}
+        </td>
+        <td className="py-2 pr-4 text-error">{formatCurrency(forecast.marginGivenUp)}</td>
+      </tr>
+      {expanded && (
+        <tr>
+          <td colSpan={6} className="py-2 px-4 bg-dark-bg">
+            {forecast.timeline.length === 0 ? (
+              <p className="text-text-tertiary">No reductions: {forecast.stopReason}</p>
+            ) : (
+              <div className="flex flex-wrap gap-2">
+                {forecast.timeline.map(point => (
+                  <span key={point.step} className="text-xs px-2 py-1 rounded bg-dark-surface border border-dark-border text-text-secondary">
+                    {formatDate(point.date)}: {formatCurrency(point.price)}
+                    <span className="text-text-tertiary"> ({formatCurrency(point.netProceeds)} net)</span>
+                  </span>
+                ))}
+              </div>
+            )}
+            {forecast.timeline.length > 0 && (
+              <p className="text-xs text-text-tertiary mt-2">Stops: {forecast.stopReason}</p>
+            )}
+          </td>
+        </tr>
+      )}
+    </>
+  )
+}
+
+// Recent reductions, recovery raises and end-of-life actions from price_reduction_log
+function PriceHistoryPanel() {
+  const [type, setType] = useState('')
+
+  const { data, isLoading, error } = useQuery({
+    queryKey: ['priceReductionLogs', type],
+    queryFn: () => apiService.getPriceReductionLogs(10, 50, type || null),
+    refetchOnWindowFocus: false
+  })
+
+  const logs = data?.logs || []
+  const stats = data?.stats
+
+  return (
+    <div className="bg-dark-surface rounded-lg border border-dark-border overflow-hidden">
+      <div className="px-4 sm:px-6 py-4 border-b border-dark-border flex flex-col sm:flex-row sm:items-center sm:justify-between gap-2">
+        <div className="flex items-center space-x-2">
+          <History className="h-5 w-5 text-accent" strokeWidth={1.5} />
+          <h3 className="text-lg font-medium text-text-primary">Recent Price Changes</h3>
+          {stats && (
+            <span className="text-sm text-text-tertiary">
+              {stats.totalReductions} reduction{stats.totalReductions !== 1 ? 's' : ''} (−${stats.totalSavings || '0.00'})
+              {stats.totalRecoveries > 0 && ` · ${stats.totalRecoveries} recover${stats.totalRecoveries !== 1 ? 'ies' : 'y'} (+$${stats.totalRecovered})`}
+              {stats.totalEndOfLife > 0 && ` · ${stats.totalEndOfLife} end-of-life action${stats.totalEndOfLife !== 1 ? 's' : ''}`}
+            </span>
+          )}
+        </div>
+        <select
+          value={type}
+          onChange={(e) => setType(e.target.value)}
+          className="bg-dark-bg border border-dark-border rounded-lg px-3 py-2 text-sm text-text-primary"
+        >
+          <option value="">All changes</option>
+          <option value="scheduled">Scheduled</option>
+          <option value="automated">Automatic</option>
+          <option value="manual">Manual</option>
+          <option value="recovery">Recoveries</option>
+          <option value="end_of_life">End of life</option>
+        </select>
+      </div>
+
+      <div className="px-4 sm:px-6 py-4">
+        {isLoading ? (
+          <p className="text-sm text-text-tertiary">Loading price history…</p>
+        ) : error ? (
+          <p className="text-sm text-error">Failed to load price history: {error.message}</p>
+        ) : logs.length === 0 ? (
+          <p className="text-sm text-text-tertiary">No price changes in the last 10 days.</p>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="min-w-full text-sm">
+              <thead>
+                <tr className="text-left text-text-tertiary">
+                  <th className="py-2 pr-4 font-medium">Date</th>
+                  <th className="py-2 pr-4 font-medium">Listing</th>
+                  <th className="py-2 pr-4 font-medium">Type</th>
+                  <th className="py-2 pr-4 font-medium text-right">Price</th>
+                  <th className="py-2 font-medium text-right">Change</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-dark-border">
+                {logs.map(log => {
+                  const change = describePriceChange(log)
+                  return (
+                    <tr key={log.id}>
+                      <td className="py-2 pr-4 text-text-secondary whitespace-nowrap">{formatDate(log.createdAt)}</td>
+                      <td className="py-2 pr-4 text-text-primary max-w-xs truncate">{log.title || log.ebayItemId}</td>
+                      <td className="py-2 pr-4 whitespace-nowrap">
+                        <span className={`inline-flex items-center text-xs font-medium px-2 py-0.5 rounded-full border ${
+                          change.isIncrease
+                            ? 'bg-success/10 text-success border-success/30'
+                            : 'bg-dark-hover text-text-secondary border-dark-border'
+                        }`}>
+                          {change.isIncrease
+                            ? <TrendingUp className="h-3 w-3 mr-1" strokeWidth={2} />
+                            : <TrendingDown className="h-3 w-3 mr-1" strokeWidth={2} />}
+                          {change.label}
+                        </span>
+                        {change.detail && <span className="ml-2 text-xs text-text-tertiary">{change.detail}</span>}
+                      </td>
+                      <td className="py-2 pr-4 text-right text-text-secondary whitespace-nowrap">
+                        {formatCurrency(log.originalPrice)} → {formatCurrency(log.reducedPrice)}
+                      </td>
+                      <td className={`py-2 text-right font-medium whitespace-nowrap ${change.isIncrease ? 'text-success' : 'text-text-primary'}`}>
+                        {change.amountText}{change.percentageText && ` (${change.percentageText})`}
+                      </td>
+                    </tr>
+                  )
+                })}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </div>
+  )
+}
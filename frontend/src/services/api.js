@@ -42,7 +42,10 @@ class ApiService {
         if (!response.ok) {
           // Don't retry client errors (4xx)
           if (response.status >= 400 && response.status < 500) {
-            throw new Error(data.error || `HTTP error! status: ${response.status}`);
+            const clientError = new Error(data.error || `HTTP error! status: ${response.status}`);
+            clientError.status = response.status;
+            clientError.data = data;
+            throw clientError;
           }
 
           // Retry server errors (5xx) and network errors
@@ -60,7 +63,7 @@ class ApiService {
         lastError = error;
 
         // Don't retry on abort or client errors
-        if (error.name === 'AbortError' || error.message.includes('HTTP error!')) {
+        if (error.name === 'AbortError' || error.status || error.message.includes('HTTP error!')) {
           throw error;
         }
 
@@ -170,13 +173,295 @@ class ApiService {
     });
   }
 
-  async getPriceReductionLogs(days = 10, limit = 100, type = null) {
+  async getPriceReductionLogs(days = 10, limit = 100, type = null, listingId = null) {
     const typeParam = type ? `&type=${type}` : '';
-    return this.request(`/get-price-reduction-logs?days=${days}&limit=${limit}${typeParam}`, {
+    const listingParam = listingId ? `&listingId=${listingId}` : '';
+    return this.request(`/get-price-reduction-logs?days=${days}&limit=${limit}${typeParam}${listingParam}`, {
       method: 'GET'
     });
   }
 
+  // Audit trail (get-audit-log); filters: action, source, entityType, entityId, actorId, requestId, from, to
+  async getAuditLog(filters = {}, limit = 50, offset = 0) {
+    const params = new URLSearchParams({ ...filters, limit, offset });
+    return this.request(`/get-audit-log?${params}`, {
+      method: 'GET'
+    });
+  }
+
+  // Same filters, every matching row as CSV text
+  async exportAuditLogCsv(filters = {}) {
+    const params = new URLSearchParams({ ...filters, format: 'csv' });
+    const token = await this.getAuthToken();
+    const response = await fetch(`${this.baseURL}/get-audit-log?${params}`, {
+      headers: token ? { 'Authorization': `Bearer ${token}` } : {}
+    });
+
+    if (!response.ok) {
+      const data = await response.json().catch(() => ({}));
+      throw new Error(data.error || `HTTP error! status: ${response.status}`);
+    }
+    return response.text();
+  }
+
+  // Bulk listing operations: start, then call processBulkOperation until completed
+  async startBulkOperation(operation, params, listingIds) {
+    // Not retried: a retry after a timeout would start the operation twice
+    return this.request('/bulk-operations', {
+      method: 'POST',
+      body: JSON.stringify({ operation, params, listingIds })
+    }, 0);
+  }
+
+  async processBulkOperation(id) {
+    return this.request('/bulk-operations', {
+      method: 'POST',
+      body: JSON.stringify({ action: 'process', id })
+    });
+  }
+
+  async cancelBulkOperation(id) {
+    return this.request('/bulk-operations', {
+      method: 'POST',
+      body: JSON.stringify({ action: 'cancel', id })
+    });
+  }
+
+  async getBulkOperation(id, status = null) {
+    const params = new URLSearchParams({ id, limit: 500 });
+    if (status) params.set('status', status);
+    return this.request(`/bulk-operations?${params}`, {
+      method: 'GET'
+    });
+  }
+
+  // Listing drafts: validate without publishing, publish (resumable), save, discard
+  async validateListing(listing, draftId = null) {
+    return this.request('/create-ebay-listing', {
+      method: 'POST',
+      body: JSON.stringify({ ...listing, mode: 'validate', draftId })
+    }, 0);
+  }
+
+  async publishListing(listing, draftId = null) {
+    // Not retried: each attempt writes to eBay
+    return this.request('/create-ebay-listing', {
+      method: 'POST',
+      body: JSON.stringify({ ...listing, mode: 'publish', draftId })
+    }, 0);
+  }
+
+  async getListingDrafts(status = null) {
+    const params = new URLSearchParams();
+    if (status) params.set('status', status);
+    return this.request(`/listing-drafts?${params}`, {
+      method: 'GET'
+    });
+  }
+
+  async saveListingDraft(payload, id = null) {
+    return this.request('/listing-drafts', {
+      method: 'POST',
+      body: JSON.stringify({ id, payload })
+    });
+  }
+
+  async discardListingDraft(id) {
+    return this.request(`/listing-drafts?id=${encodeURIComponent(id)}`, {
+      method: 'DELETE'
+    }, 0);
+  }
+
+  // Listing templates
+  async getListingTemplates() {
+    return this.request('/listing-templates', {
+      method: 'GET'
+    });
+  }
+
+  async saveListingTemplate(template) {
+    return this.request('/listing-templates', {
+      method: template.id ? 'PUT' : 'POST',
+      body: JSON.stringify(template)
+    }, 0);
+  }
+
+  async deleteListingTemplate(id) {
+    return this.request(`/listing-templates?id=${encodeURIComponent(id)}`, {
+      method: 'DELETE'
+    }, 0);
+  }
+
+  // { templateId | template, listing, categoryId?, categoryName? } → { preview }
+  async previewListingTemplate(params) {
+    return this.request('/listing-templates?action=preview', {
+      method: 'POST',
+      body: JSON.stringify(params)
+    }, 0);
+  }
+
+  // Auto-List jobs: start, then call processListingJob until completed
+  async startListingJob({ rows, templateId = null, ebayAccountId = null, source = 'manual' }) {
+    // Not retried: a retry after a timeout would start the job twice
+    return this.request('/listing-jobs', {
+      method: 'POST',
+      body: JSON.stringify({ rows, templateId, ebayAccountId, source })
+    }, 0);
+  }
+
+  async processListingJob(id) {
+    return this.request('/listing-jobs', {
+      method: 'POST',
+      body: JSON.stringify({ action: 'process', id })
+    });
+  }
+
+  async retryListingJob(id) {
+    return this.request('/listing-jobs', {
+      method: 'POST',
+      body: JSON.stringify({ action: 'retry', id })
+    }, 0);
+  }
+
+  async cancelListingJob(id) {
+    return this.request('/listing-jobs', {
+      method: 'POST',
+      body: JSON.stringify({ action: 'cancel', id })
+    });
+  }
+
+  // Validation and SKU clashes on the eBay account for rows, before a job is started
+  async checkListingJobRows(rows, ebayAccountId = null) {
+    return this.request('/listing-jobs', {
+      method: 'POST',
+      body: JSON.stringify({ action: 'check', rows, ebayAccountId })
+    });
+  }
+
+  async previewListingJobRow({ row, templateId = null, ebayAccountId = null }) {
+    return this.request('/listing-jobs', {
+      method: 'POST',
+      body: JSON.stringify({ action: 'preview', row, templateId, ebayAccountId })
+    }, 0);
+  }
+
+  // Saved spreadsheet column mappings for Auto-List imports
+  async getImportMappings() {
+    return this.request('/import-mappings', {
+      method: 'GET'
+    });
+  }
+
+  async saveImportMapping({ name, mapping }) {
+    return this.request('/import-mappings', {
+      method: 'POST',
+      body: JSON.stringify({ name, mapping })
+    });
+  }
+
+  async deleteImportMapping(id) {
+    return this.request(`/import-mappings?id=${encodeURIComponent(id)}`, {
+      method: 'DELETE'
+    });
+  }
+
+  async getListingJobs() {
+    return this.request('/listing-jobs', {
+      method: 'GET'
+    });
+  }
+
+  async getListingJob(id, status = null) {
+    const params = new URLSearchParams({ id, limit: 500 });
+    if (status) params.set('status', status);
+    return this.request(`/listing-jobs?${params}`, {
+      method: 'GET'
+    });
+  }
+
+  async exportListingJobCsv(id) {
+    const params = new URLSearchParams({ id, format: 'csv' });
+    const token = await this.getAuthToken();
+    const response = await fetch(`${this.baseURL}/listing-jobs?${params}`, {
+      headers: token ? { 'Authorization': `Bearer ${token}` } : {}
+    });
+
+    if (!response.ok) {
+      const data = await response.json().catch(() => ({}));
+      throw new Error(data.error || `HTTP error! status: ${response.status}`);
+    }
+    return response.text();
+  }
+
+  // Fee and net proceeds estimates
+  async estimateListingFees(listingIds) {
+    return this.request('/estimate-fees', {
+      method: 'POST',
+      body: JSON.stringify({ listingIds })
+    });
+  }
+
+  async estimateFees(params) {
+    return this.request('/estimate-fees', {
+      method: 'POST',
+      body: JSON.stringify(params)
+    });
+  }
+
+  // eBay fee tables
+  async getFeeSchedules() {
+    return this.request('/fee-schedules', {
+      method: 'GET'
+    });
+  }
+
+  async getFeeSchedule(id) {
+    return this.request(`/fee-schedules?id=${encodeURIComponent(id)}`, {
+      method: 'GET'
+    });
+  }
+
+  async createFeeScheduleVersion(body = {}) {
+    return this.request('/fee-schedules', {
+      method: 'POST',
+      body: JSON.stringify(body)
+    }, 0);
+  }
+
+  async updateFeeSchedule(id, changes) {
+    return this.request('/fee-schedules', {
+      method: 'PUT',
+      body: JSON.stringify({ id, ...changes })
+    });
+  }
+
+  async deleteFeeSchedule(id) {
+    return this.request(`/fee-schedules?id=${encodeURIComponent(id)}`, {
+      method: 'DELETE'
+    }, 0);
+  }
+
+  // Emergency stop and vacation mode
+  async getAutomationControls() {
+    return this.request('/automation-controls', {
+      method: 'GET'
+    });
+  }
+
+  async setGlobalHalt(halted, reason = null) {
+    return this.request('/automation-controls', {
+      method: 'PUT',
+      body: JSON.stringify({ globalHalt: { halted, reason } })
+    });
+  }
+
+  async setVacationMode(vacationMode) {
+    return this.request('/automation-controls', {
+      method: 'PUT',
+      body: JSON.stringify({ vacationMode })
+    });
+  }
+
   // Market Analysis
   async analyzeMarket(itemId = null, keywords = null, categoryId = null) {
     return this.request('/market-analysis', {
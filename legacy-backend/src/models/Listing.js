@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { calculateListingPrice, getNextReductionDate } = require('../utils/pricingCore');
 
 const listingSchema = new mongoose.Schema({
   ebayItemId: {
@@ -93,7 +94,7 @@ const listingSchema = new mongoose.Schema({
   },
   reductionInterval: {
     type: Number,
-    default: 7, // days
+    default: 7, // days - same unit and default as netlify/functions/utils/pricing-core.js
     min: 1,
     max: 30
   },
@@ -153,15 +154,11 @@ listingSchema.virtual('daysSinceLastReduction').get(function() {
   return Math.ceil(diffTime / (1000 * 60 * 60 * 24));
 });
 
-// Method to calculate next price reduction date
+// Method to calculate next price reduction date (shared pricing core)
 listingSchema.methods.calculateNextReductionDate = function() {
   if (!this.priceReductionEnabled) return null;
 
-  const lastReduction = this.lastPriceReduction || this.createdAt;
-  const nextDate = new Date(lastReduction);
-  nextDate.setDate(nextDate.getDate() + this.reductionInterval);
-
-  return nextDate;
+  return getNextReductionDate(this, this.lastPriceReduction || this.createdAt);
 };
 
 // Method to check if price reduction is due
@@ -173,39 +170,10 @@ listingSchema.methods.isPriceReductionDue = function() {
   return new Date() >= nextReduction;
 };
 
-// Method to calculate next price
-listingSchema.methods.calculateNextPrice = function(marketData = null) {
-  let newPrice;
-
-  switch (this.reductionStrategy) {
-    case 'fixed_percentage':
-      newPrice = this.currentPrice * (1 - this.reductionPercentage / 100);
-      break;
-
-    case 'market_based':
-      if (marketData && marketData.averageCompetitorPrice) {
-        newPrice = Math.min(
-          marketData.averageCompetitorPrice * 0.95, // 5% below market average
-          this.currentPrice * (1 - this.reductionPercentage / 100)
-        );
-      } else {
-        newPrice = this.currentPrice * (1 - this.reductionPercentage / 100);
-      }
-      break;
-
-    case 'time_based':
-      // More aggressive reduction over time
-      const daysListed = Math.ceil((new Date() - this.startTime) / (1000 * 60 * 60 * 24));
-      const aggressiveFactor = Math.min(1 + (daysListed / 30) * 0.5, 2); // Up to 2x more aggressive after 30 days
-      newPrice = this.currentPrice * (1 - (this.reductionPercentage / 100) * aggressiveFactor);
-      break;
-
-    default:
-      newPrice = this.currentPrice * (1 - this.reductionPercentage / 100);
-  }
-
-  // Ensure we don't go below minimum price
-  return Math.max(newPrice, this.minimumPrice);
+// Method to calculate next price: the shared pricing core's, so the legacy
+// monitor and the Netlify functions agree (see src/utils/pricingCore.js)
+listingSchema.methods.calculateNextPrice = function() {
+  return calculateListingPrice(this).newPrice;
 };
 
 module.exports = mongoose.model('Listing', listingSchema);
\ No newline at end of file
@@ -1,6 +1,7 @@
 const cron = require('node-cron');
 const EbayService = require('./ebayService');
 const Listing = require('../models/Listing');
+const { calculateListingPrice } = require('../utils/pricingCore');
 
 class PriceMonitorService {
   constructor() {
@@ -106,20 +107,13 @@ class PriceMonitorService {
         return;
       }
 
-      // Get market data if using market-based strategy
-      let marketData = null;
-      if (listing.reductionStrategy === 'market_based') {
-        marketData = await this.getMarketData(listing);
-      }
-
-      // Calculate new price
-      const newPrice = listing.calculateNextPrice(marketData);
+      // Calculate new price with the shared pricing core, rounded to cents
+      // (market_based listings reduce by their percentage there too)
+      const result = calculateListingPrice(listing);
+      const roundedPrice = result.newPrice;
 
-      // Round to 2 decimal places
-      const roundedPrice = Math.round(newPrice * 100) / 100;
-
-      // Skip if new price would be the same as current
-      if (roundedPrice >= listing.currentPrice) {
+      // Skip if the core refused or the price would not go down
+      if (result.skipped || roundedPrice >= listing.currentPrice) {
         console.log(`No price reduction needed for listing ${listing.ebayItemId}`);
         return;
       }
@@ -0,0 +1,49 @@
+/**
+ * Shared pricing core for the legacy backend
+ *
+ * Reductions are decided by netlify/functions/utils/pricing-core.js, the code
+ * every Netlify entry point uses, so a listing gets the same next price and
+ * the same interval (days) whichever backend runs it. This maps the Mongo
+ * Listing model onto the core's listing columns.
+ *
+ * The core has no per-listing market pricing: 'market_based' listings reduce
+ * by their percentage, as they do on the Netlify side. Competitor-based
+ * repricing needs a competitor_anchored strategy there.
+ */
+
+const pricingCore = require('../../../netlify/functions/utils/pricing-core');
+
+/**
+ * A Listing document in the shape pricing-core reads
+ */
+const toCoreListing = (listing) => ({
+  id: listing.ebayItemId || String(listing._id),
+  current_price: listing.currentPrice,
+  minimum_price: listing.minimumPrice,
+  reduction_percentage: listing.reductionPercentage,
+  reduction_strategy: listing.reductionStrategy,
+  reduction_interval: listing.reductionInterval,
+  start_time: listing.startTime,
+  last_price_reduction: listing.lastPriceReduction,
+  listing_status: listing.listingStatus,
+  enable_auto_reduction: listing.priceReductionEnabled
+});
+
+/**
+ * The next price for a listing without an assigned strategy
+ * @returns {Object} pricing-core's calculateNewPrice result
+ */
+const calculateListingPrice = (listing, now = new Date()) =>
+  pricingCore.calculateNewPrice(toCoreListing(listing), null, now, null, { quiet: true });
+
+/**
+ * When the next reduction falls due, counting from a reference time
+ */
+const getNextReductionDate = (listing, from) =>
+  pricingCore.getNextReductionDate(toCoreListing(listing), null, from);
+
+module.exports = {
+  toCoreListing,
+  calculateListingPrice,
+  getNextReductionDate
+};
@@ -161,7 +161,10 @@ describe('PriceMonitorService', () => {
         minimumPrice: 25.00,
         currency: 'USD',
         reductionStrategy: 'fixed_percentage',
-        calculateNextPrice: jest.fn().mockReturnValue(45.00),
+        reductionPercentage: 10,
+        reductionInterval: 7,
+        priceReductionEnabled: true,
+        listingStatus: 'Active',
         calculateNextReductionDate: jest.fn().mockReturnValue(new Date()),
         priceHistory: [],
         syncErrors: [],
@@ -180,8 +183,10 @@ describe('PriceMonitorService', () => {
       expect(console.log).toHaveBeenCalledWith('Listing 123456 already at minimum price');
     });
 
-    it('should skip if new price is not lower than current', async () => {
-      mockListing.calculateNextPrice.mockReturnValue(55.00); // Higher than current
+    it('should skip if the pricing core refuses to reduce', async () => {
+      // Above minimumPrice, but at the core's $0.99 default floor
+      mockListing.currentPrice = 0.99;
+      mockListing.minimumPrice = 0;
 
       await priceMonitorService.processListingReduction(mockListing);
 
@@ -192,7 +197,6 @@ describe('PriceMonitorService', () => {
     it('should successfully reduce price when conditions are met', async () => {
       await priceMonitorService.processListingReduction(mockListing);
 
-      expect(mockListing.calculateNextPrice).toHaveBeenCalled();
       expect(mockEbayService.updateItemPrice).toHaveBeenCalledWith('123456', 45.00, 'USD');
 
       expect(mockListing.currentPrice).toBe(45.00);
@@ -207,15 +211,22 @@ describe('PriceMonitorService', () => {
       expect(mockListing.save).toHaveBeenCalled();
     });
 
-    it('should handle market-based strategy', async () => {
+    it('should reduce market-based listings by their percentage, like the shared core', async () => {
       mockListing.reductionStrategy = 'market_based';
-      const mockMarketData = { averageCompetitorPrice: 40.00 };
-      priceMonitorService.getMarketData = jest.fn().mockResolvedValue(mockMarketData);
+      priceMonitorService.getMarketData = jest.fn().mockResolvedValue({ averageCompetitorPrice: 40.00 });
+
+      await priceMonitorService.processListingReduction(mockListing);
+
+      expect(priceMonitorService.getMarketData).not.toHaveBeenCalled();
+      expect(mockEbayService.updateItemPrice).toHaveBeenCalledWith('123456', 45.00, 'USD');
+    });
+
+    it('should default to the core 5% when the listing has no percentage', async () => {
+      delete mockListing.reductionPercentage;
 
       await priceMonitorService.processListingReduction(mockListing);
 
-      expect(priceMonitorService.getMarketData).toHaveBeenCalledWith(mockListing);
-      expect(mockListing.calculateNextPrice).toHaveBeenCalledWith(mockMarketData);
+      expect(mockEbayService.updateItemPrice).toHaveBeenCalledWith('123456', 47.50, 'USD');
     });
 
     it('should handle eBay API failure', async () => {
@@ -248,12 +259,13 @@ describe('PriceMonitorService', () => {
     });
 
     it('should round prices to 2 decimal places', async () => {
-      mockListing.calculateNextPrice.mockReturnValue(45.556); // Should round to 45.56
+      mockListing.currentPrice = 45.99;
+      mockListing.reductionPercentage = 5; // 43.6905 - should round to 43.69
 
       await priceMonitorService.processListingReduction(mockListing);
 
-      expect(mockEbayService.updateItemPrice).toHaveBeenCalledWith('123456', 45.56, 'USD');
-      expect(mockListing.currentPrice).toBe(45.56);
+      expect(mockEbayService.updateItemPrice).toHaveBeenCalledWith('123456', 43.69, 'USD');
+      expect(mockListing.currentPrice).toBe(43.69);
     });
   });
 
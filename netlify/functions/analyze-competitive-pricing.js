@@ -1,7 +1,7 @@
 const { createClient } = require('@supabase/supabase-js');
 const { getCorsHeaders } = require('./utils/cors');
 const { EnhancedEbayClient } = require('./utils/enhanced-ebay-client');
-const { CompetitivePricingService } = require('./utils/competitive-pricing-service');
+const { createPricingServiceForUser, toListingMarketColumns } = require('./utils/competitive-pricing-service');
 
 const supabase = createClient(
   process.env.SUPABASE_URL,
@@ -42,24 +42,10 @@ exports.handler = async (event, context) => {
 
     console.log(`Starting competitive pricing analysis for user ${user.id}`);
 
-    // Get user's eBay app credentials and seller ID
-    const { data: userData } = await supabase
-      .from('users')
-      .select('ebay_user_id, ebay_app_id, ebay_cert_id_encrypted')
-      .eq('id', user.id)
-      .single();
-
-    const userEbaySellerId = userData?.ebay_user_id;
-    const appId = userData?.ebay_app_id;
-
-    // Decrypt cert ID
-    let certId = null;
-    if (userData?.ebay_cert_id_encrypted) {
-      const { decrypt } = require('./utils/ebay-oauth-helpers');
-      certId = decrypt(userData.ebay_cert_id_encrypted);
-    }
+    // Initialize pricing service with the user's eBay app credentials
+    const pricingService = await createPricingServiceForUser(supabase, user.id);
 
-    if (!appId || !certId) {
+    if (!pricingService) {
       return {
         statusCode: 400,
         headers,
@@ -96,13 +82,6 @@ exports.handler = async (event, context) => {
 
     console.log(`Found ${listingsToAnalyze.length} listings to analyze`);
 
-    // Initialize pricing service with app credentials
-    const pricingService = new CompetitivePricingService(
-      appId,
-      certId,
-      userEbaySellerId
-    );
-
     let analyzedCount = 0;
     let errorCount = 0;
 
@@ -116,15 +95,7 @@ exports.handler = async (event, context) => {
         // Update listing in database
         const { error: updateError } = await supabase
           .from('listings')
-          .update({
-            market_average_price: analysis.suggestedAvgPrice,
-            market_lowest_price: analysis.suggestedMinPrice,
-            market_highest_price: analysis.marketHighestPrice,
-            market_competitor_count: analysis.competitorCount,
-            price_match_tier: analysis.matchTier,
-            last_market_analysis: new Date().toISOString(),
-            price_analysis_completed: true
-          })
+          .update(toListingMarketColumns(analysis))
           .eq('id', listing.id);
 
         if (updateError) {
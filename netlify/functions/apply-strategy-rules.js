@@ -0,0 +1,110 @@
+const { createClient } = require('@supabase/supabase-js');
+const { getCorsHeaders } = require('./utils/cors');
+const { applyAssignmentRules } = require('./utils/strategy-assignment');
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+const MAX_LISTINGS = 500;
+
+/**
+ * Apply Strategy Assignment Rules
+ *
+ * POST /apply-strategy-rules
+ * Body: { listingIds?, clearOverrides? }
+ *
+ * Runs the seller's assignment rules now instead of waiting for the next
+ * sync. With clearOverrides, the given listings lose their manual strategy
+ * pick and go back to being assigned by rule.
+ */
+exports.handler = async (event, context) => {
+  const headers = getCorsHeaders(event);
+
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 200, headers, body: '' };
+  }
+
+  if (event.httpMethod !== 'POST') {
+    return {
+      statusCode: 405,
+      headers,
+      body: JSON.stringify({ error: 'Method not allowed' })
+    };
+  }
+
+  try {
+    // Authenticate user
+    const authHeader = event.headers.authorization || event.headers.Authorization;
+    if (!authHeader?.startsWith('Bearer ')) {
+      return {
+        statusCode: 401,
+        headers,
+        body: JSON.stringify({ error: 'Authentication required' })
+      };
+    }
+
+    const token = authHeader.replace('Bearer ', '');
+    const { data: { user }, error: authError } = await supabase.auth.getUser(token);
+
+    if (authError || !user) {
+      return {
+        statusCode: 401,
+        headers,
+        body: JSON.stringify({ error: 'Invalid authentication' })
+      };
+    }
+
+    const { listingIds = null, clearOverrides = false } = JSON.parse(event.body || '{}');
+
+    if (listingIds !== null && !Array.isArray(listingIds)) {
+      return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify({ error: 'listingIds must be an array' })
+      };
+    }
+
+    if (listingIds?.length > MAX_LISTINGS) {
+      return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify({ error: `At most ${MAX_LISTINGS} listings per request` })
+      };
+    }
+
+    if (clearOverrides && !listingIds?.length) {
+      return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify({ error: 'clearOverrides needs listingIds' })
+      };
+    }
+
+    const results = await applyAssignmentRules(supabase, user.id, {
+      listingIds: listingIds?.length ? listingIds : null,
+      clearOverrides: Boolean(clearOverrides)
+    });
+
+    return {
+      statusCode: 200,
+      headers,
+      body: JSON.stringify({
+        success: true,
+        ...results
+      })
+    };
+
+  } catch (error) {
+    console.error('Apply strategy rules error:', error);
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({
+        error: 'Failed to apply strategy rules',
+        message: error.message
+      })
+    };
+  }
+};
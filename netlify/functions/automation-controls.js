@@ -0,0 +1,175 @@
+const { createClient } = require('@supabase/supabase-js');
+const { getCorsHeaders } = require('./utils/cors');
+const { getGlobalHalt, setGlobalHalt } = require('./utils/automation-guard');
+const { getRequestId, getAuditSource, recordAudit } = require('./utils/audit-log');
+const { isAdministrator } = require('./utils/admins');
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+const RECENT_SKIPS_LIMIT = 20;
+
+/**
+ * Emergency stop and vacation mode
+ *
+ * GET /automation-controls
+ *   → { globalHalt, vacationMode, vacationModeSince, canManageGlobal, recentSkips }
+ *
+ * PUT /automation-controls
+ *   { globalHalt: { halted, reason } }  halt / resume all automated price writes
+ *   { vacationMode: true|false }        pause / resume automation for the signed-in seller
+ */
+exports.handler = async (event, context) => {
+  const headers = getCorsHeaders(event);
+
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 200, headers, body: '' };
+  }
+
+  if (!['GET', 'PUT'].includes(event.httpMethod)) {
+    return { statusCode: 405, headers, body: JSON.stringify({ error: 'Method not allowed' }) };
+  }
+
+  try {
+    const authHeader = event.headers.authorization || event.headers.Authorization;
+    if (!authHeader) {
+      return { statusCode: 401, headers, body: JSON.stringify({ error: 'Unauthorized' }) };
+    }
+
+    const token = authHeader.substring(7);
+    const { data: { user }, error: authError } = await supabase.auth.getUser(token);
+
+    if (authError || !user) {
+      return { statusCode: 401, headers, body: JSON.stringify({ error: 'Invalid token' }) };
+    }
+
+    const { data: userData, error: userError } = await supabase
+      .from('users')
+      .select('vacation_mode, vacation_mode_since')
+      .eq('id', user.id)
+      .single();
+
+    if (userError) throw userError;
+
+    if (event.httpMethod === 'GET') {
+      const globalHalt = await getGlobalHalt(supabase);
+
+      // This seller's skips plus whole runs stopped by the emergency stop
+      const { data: skips, error: skipsError } = await supabase
+        .from('automation_skips')
+        .select('id, user_id, job, reason, details, created_at')
+        .or(`user_id.eq.${user.id},user_id.is.null`)
+        .order('created_at', { ascending: false })
+        .limit(RECENT_SKIPS_LIMIT);
+
+      if (skipsError) throw skipsError;
+
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify({
+          globalHalt,
+          vacationMode: userData.vacation_mode === true,
+          vacationModeSince: userData.vacation_mode_since || null,
+          canManageGlobal: isAdministrator(user),
+          recentSkips: (skips || []).map(skip => ({
+            id: skip.id,
+            job: skip.job,
+            reason: skip.reason,
+            details: skip.details,
+            global: !skip.user_id,
+            createdAt: skip.created_at
+          }))
+        })
+      };
+    }
+
+    const body = JSON.parse(event.body || '{}');
+    const audit = { source: getAuditSource(event), requestId: getRequestId(event, context) };
+
+    if (body.globalHalt !== undefined) {
+      if (!isAdministrator(user)) {
+        return {
+          statusCode: 403,
+          headers,
+          body: JSON.stringify({ error: 'Only administrators can change the emergency stop' })
+        };
+      }
+      if (typeof body.globalHalt?.halted !== 'boolean') {
+        return { statusCode: 400, headers, body: JSON.stringify({ error: 'globalHalt.halted must be true or false' }) };
+      }
+
+      const before = await getGlobalHalt(supabase);
+      const reason = typeof body.globalHalt.reason === 'string' ? body.globalHalt.reason.trim().slice(0, 500) : null;
+      const state = await setGlobalHalt(supabase, { halted: body.globalHalt.halted, reason, actorId: user.id });
+
+      console.log(`🛑 Emergency stop ${state.halted ? 'ON' : 'OFF'} by ${user.email}${state.reason ? `: ${state.reason}` : ''}`);
+
+      await recordAudit(supabase, {
+        userId: user.id,
+        actorId: user.id,
+        ...audit,
+        action: 'system.price_writes_halted',
+        entityType: 'system',
+        entityId: 'price_writes_halted',
+        before: { halted: before.halted, reason: before.reason },
+        after: { halted: state.halted, reason: state.reason }
+      });
+
+      return { statusCode: 200, headers, body: JSON.stringify({ success: true, globalHalt: state }) };
+    }
+
+    if (body.vacationMode !== undefined) {
+      if (typeof body.vacationMode !== 'boolean') {
+        return { statusCode: 400, headers, body: JSON.stringify({ error: 'vacationMode must be true or false' }) };
+      }
+
+      const updates = {
+        vacation_mode: body.vacationMode,
+        vacation_mode_since: body.vacationMode ? userData.vacation_mode_since || new Date().toISOString() : null
+      };
+
+      const { error: updateError } = await supabase
+        .from('users')
+        .update(updates)
+        .eq('id', user.id);
+
+      if (updateError) throw updateError;
+
+      if (Boolean(userData.vacation_mode) !== body.vacationMode) {
+        await recordAudit(supabase, {
+          userId: user.id,
+          actorId: user.id,
+          ...audit,
+          action: 'settings.vacation_mode_changed',
+          entityType: 'settings',
+          entityId: user.id,
+          before: { vacation_mode: Boolean(userData.vacation_mode) },
+          after: { vacation_mode: body.vacationMode }
+        });
+      }
+
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify({
+          success: true,
+          vacationMode: updates.vacation_mode,
+          vacationModeSince: updates.vacation_mode_since
+        })
+      };
+    }
+
+    return { statusCode: 400, headers, body: JSON.stringify({ error: 'Nothing to update: send globalHalt or vacationMode' }) };
+
+  } catch (error) {
+    console.error('automation-controls error:', error);
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({ error: 'Automation controls request failed', message: error.message })
+    };
+  }
+};
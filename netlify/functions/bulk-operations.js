@@ -0,0 +1,195 @@
+const crypto = require('crypto');
+const { createClient } = require('@supabase/supabase-js');
+const { getCorsHeaders } = require('./utils/cors');
+const { getRequestId, getAuditSource } = require('./utils/audit-log');
+const {
+  BULK_OPERATIONS,
+  BULK_CONFIG,
+  BulkOperationError,
+  createBulkOperation,
+  processBulkOperation,
+  cancelBulkOperation,
+  getOperation
+} = require('./utils/bulk-operations');
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+const RECENT_OPERATIONS_LIMIT = 10;
+const MAX_ITEMS_PAGE = 500;
+
+function formatOperation(operation) {
+  return {
+    id: operation.id,
+    operation: operation.operation,
+    label: BULK_OPERATIONS[operation.operation]?.label || operation.operation,
+    params: operation.params,
+    status: operation.status,
+    total: operation.total,
+    processed: operation.processed,
+    succeeded: operation.succeeded,
+    failed: operation.failed,
+    skipped: operation.skipped,
+    createdAt: operation.created_at,
+    startedAt: operation.started_at,
+    completedAt: operation.completed_at
+  };
+}
+
+/**
+ * Bulk listing operations (utils/bulk-operations.js)
+ *
+ * GET  /bulk-operations                    → the caller's recent operations
+ * GET  /bulk-operations?id=<id>            → progress plus per-item results
+ *        &status=failed|skipped|succeeded|pending  &limit=&offset=
+ * POST /bulk-operations
+ *   { operation, params, listingIds: [...] }   or   { operation, params, filter: {...} }
+ *        → creates the operation and processes the first chunks
+ *   { action: 'process', id }               → processes the next chunks
+ *   { action: 'cancel', id }                → skips whatever is left
+ *
+ * Each call works for a few seconds; callers poll with action 'process'
+ * until status is 'completed'. scheduled-bulk-operations.js finishes
+ * operations nobody is polling.
+ */
+exports.handler = async (event, context) => {
+  const headers = getCorsHeaders(event);
+  const startTime = Date.now();
+
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 200, headers, body: '' };
+  }
+
+  if (!['GET', 'POST'].includes(event.httpMethod)) {
+    return { statusCode: 405, headers, body: JSON.stringify({ error: 'Method not allowed' }) };
+  }
+
+  try {
+    const authHeader = event.headers.authorization || event.headers.Authorization;
+    if (!authHeader) {
+      return { statusCode: 401, headers, body: JSON.stringify({ error: 'Unauthorized' }) };
+    }
+
+    const token = authHeader.substring(7);
+    const { data: { user }, error: authError } = await supabase.auth.getUser(token);
+
+    if (authError || !user) {
+      return { statusCode: 401, headers, body: JSON.stringify({ error: 'Invalid token' }) };
+    }
+
+    // Only the person who started an operation can see or drive it
+    const loadOwnOperation = async (id) => {
+      const operation = id ? await getOperation(supabase, id) : null;
+      if (!operation || operation.user_id !== user.id) {
+        throw new BulkOperationError('Bulk operation not found', 404);
+      }
+      return operation;
+    };
+
+    if (event.httpMethod === 'GET') {
+      const params = event.queryStringParameters || {};
+
+      if (!params.id) {
+        const { data: operations, error } = await supabase
+          .from('bulk_operations')
+          .select('*')
+          .eq('user_id', user.id)
+          .order('created_at', { ascending: false })
+          .limit(RECENT_OPERATIONS_LIMIT);
+
+        if (error) throw error;
+        return {
+          statusCode: 200,
+          headers,
+          body: JSON.stringify({ operations: (operations || []).map(formatOperation) })
+        };
+      }
+
+      const operation = await loadOwnOperation(params.id);
+      const limit = Math.min(parseInt(params.limit) || 100, MAX_ITEMS_PAGE);
+      const offset = Math.max(parseInt(params.offset) || 0, 0);
+
+      let query = supabase
+        .from('bulk_operation_items')
+        .select('listing_id, status, message, result, processed_at, listings(title, ebay_sku)', { count: 'exact' })
+        .eq('operation_id', operation.id)
+        .order('position', { ascending: true })
+        .range(offset, offset + limit - 1);
+      if (params.status) query = query.eq('status', params.status);
+
+      const { data: items, error: itemsError, count } = await query;
+      if (itemsError) throw itemsError;
+
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify({
+          operation: formatOperation(operation),
+          items: (items || []).map(item => ({
+            listingId: item.listing_id,
+            title: item.listings?.title || null,
+            sku: item.listings?.ebay_sku || null,
+            status: item.status,
+            message: item.message,
+            result: item.result,
+            processedAt: item.processed_at
+          })),
+          itemsTotal: count || 0
+        })
+      };
+    }
+
+    const body = JSON.parse(event.body || '{}');
+    const workerId = `bulk-operations:${context?.awsRequestId || crypto.randomUUID()}`;
+    const timeBudgetMs = () => Math.max(BULK_CONFIG.TIME_BUDGET_MS - (Date.now() - startTime), 0);
+
+    if (body.action === 'cancel') {
+      const operation = await loadOwnOperation(body.id);
+      const cancelled = await cancelBulkOperation(supabase, operation.id);
+      return { statusCode: 200, headers, body: JSON.stringify({ operation: formatOperation(cancelled) }) };
+    }
+
+    if (body.action === 'process') {
+      const operation = await loadOwnOperation(body.id);
+      const processed = await processBulkOperation(supabase, operation.id, { workerId, timeBudgetMs: timeBudgetMs() });
+      return { statusCode: 200, headers, body: JSON.stringify({ operation: formatOperation(processed) }) };
+    }
+
+    if (body.action) {
+      throw new BulkOperationError(`Unknown action: ${body.action}`);
+    }
+
+    const { operation, notFound } = await createBulkOperation(supabase, user.id, {
+      operation: body.operation,
+      params: body.params || {},
+      listingIds: body.listingIds,
+      filter: body.listingIds ? null : body.filter,
+      source: getAuditSource(event),
+      requestId: getRequestId(event, context)
+    });
+
+    console.log(`📦 Bulk ${operation.operation} started by ${user.email}: ${operation.total} listing(s)`);
+
+    const processed = await processBulkOperation(supabase, operation.id, { workerId, timeBudgetMs: timeBudgetMs() });
+
+    return {
+      statusCode: 200,
+      headers,
+      body: JSON.stringify({ operation: formatOperation(processed), notFound })
+    };
+
+  } catch (error) {
+    if (error instanceof BulkOperationError) {
+      return { statusCode: error.statusCode, headers, body: JSON.stringify({ error: error.message }) };
+    }
+
+    console.error('bulk-operations error:', error);
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({ error: 'Bulk operation failed', message: error.message })
+    };
+  }
+};
@@ -1,6 +1,16 @@
 const { getCorsHeaders } = require('./utils/cors');
 const { createClient } = require('@supabase/supabase-js');
 const { EbayInventoryClient } = require('./utils/ebay-inventory-client');
+const { getEbayAccount } = require('./utils/ebay-accounts');
+const { loadFeeContext, estimateListingFees } = require('./utils/listing-fees');
+const { ListingTemplateError, getTemplate, applyListingTemplate } = require('./utils/listing-templates');
+const {
+  ListingDraftError,
+  toDraftPayload,
+  getDraft,
+  saveDraft,
+  updateDraft
+} = require('./utils/listing-drafts');
 const crypto = require('crypto');
 
 const supabase = createClient(
@@ -67,9 +77,44 @@ function validateListingData(data) {
     }
   }
 
+  // Selling costs (if provided)
+  const costFields = {
+    itemCost: 'Item cost',
+    inboundShippingCost: 'Inbound shipping cost',
+    shippingCost: 'Shipping cost'
+  };
+  for (const [field, label] of Object.entries(costFields)) {
+    if (data[field] !== undefined && data[field] !== null && data[field] !== '') {
+      const cost = parseFloat(data[field]);
+      if (isNaN(cost) || cost < 0) {
+        errors.push(`${label} must be a non-negative number`);
+      }
+    }
+  }
+
+  if (data.promotedAdRate !== undefined && data.promotedAdRate !== null && data.promotedAdRate !== '') {
+    const adRate = parseFloat(data.promotedAdRate);
+    if (isNaN(adRate) || adRate < 0 || adRate > 100) {
+      errors.push('Promoted listing ad rate must be between 0 and 100');
+    }
+  }
+
   return errors;
 }
 
+/**
+ * Optional selling costs from the request; null when not given
+ */
+function parseSellingCosts(data) {
+  const parse = (value) => (value === undefined || value === null || value === '' ? null : parseFloat(value));
+  return {
+    item_cost: parse(data.itemCost),
+    inbound_shipping_cost: parse(data.inboundShippingCost),
+    shipping_cost: parse(data.shippingCost),
+    promoted_ad_rate: parse(data.promotedAdRate)
+  };
+}
+
 /**
  * Generate deterministic SKU for idempotency
  */
@@ -186,450 +231,637 @@ function validateAndAutoFillAspects(requiredAspects, providedAspects = {}) {
   return { aspects: validatedAspects, warnings };
 }
 
-exports.handler = async (event, context) => {
-  const headers = getCorsHeaders(event);
+// Map common string conditions to eBay numeric IDs
+const conditionStringToIdMap = {
+  'NEW': '1000',
+  'NEW_OTHER': '1500',
+  'NEW_WITH_DEFECTS': '1750',
+  'MANUFACTURER_REFURBISHED': '2000',
+  'CERTIFIED_REFURBISHED': '2000',
+  'SELLER_REFURBISHED': '2500',
+  'LIKE_NEW': '2750',
+  'USED_EXCELLENT': '3000',
+  'USED_VERY_GOOD': '4000',
+  'USED_GOOD': '5000',
+  'USED_ACCEPTABLE': '6000',
+  'FOR_PARTS_OR_NOT_WORKING': '7000'
+};
 
-  if (event.httpMethod === 'OPTIONS') {
-    return { statusCode: 200, headers, body: '' };
+/**
+ * A request that stops before eBay is written to; body is the response body
+ */
+class CreateListingError extends Error {
+  constructor(statusCode, body) {
+    super(body.error);
+    this.name = 'CreateListingError';
+    this.statusCode = statusCode;
+    this.body = body;
   }
+}
 
-  if (event.httpMethod !== 'POST') {
-    return {
-      statusCode: 405,
-      headers,
-      body: JSON.stringify({ error: 'Method not allowed' })
-    };
+/**
+ * Steps 3-11 without writing anything to eBay: validate the request and
+ * resolve the account, category, aspects, condition, policies and SKU
+ * into the inventory item and offer payloads.
+ * @param {Object} options - { sku } keeps the SKU of an earlier attempt
+ * @throws {CreateListingError} when the listing cannot be published as is
+ * @returns {Promise<Object>} The resolved plan
+ */
+async function prepareListing(user, listingData, options = {}) {
+  // 3. Comprehensive validation
+  const validationErrors = validateListingData(listingData);
+  if (validationErrors.length > 0) {
+    throw new CreateListingError(400, {
+      error: 'Validation failed',
+      errors: validationErrors
+    });
   }
 
+  // Parse and validate data once
+  const validatedData = {
+    title: listingData.title.substring(0, 80).trim(),
+    description: listingData.description.trim(),
+    price: parseFloat(listingData.price),
+    quantity: parseInt(listingData.quantity, 10),
+    images: listingData.images.slice(0, 12),
+    minimumPrice: listingData.minimumPrice
+      ? parseFloat(listingData.minimumPrice)
+      : parseFloat(listingData.price) * 0.5,
+    sellingCosts: parseSellingCosts(listingData)
+  };
+
+  // 4. Resolve the linked eBay account (request > default) and initialize
+  // its client with TokenError handling
+  let ebayAccount;
   try {
-    // 1. Authenticate user
-    const authHeader = event.headers.authorization || event.headers.Authorization;
-    if (!authHeader) {
-      return {
-        statusCode: 401,
-        headers,
-        body: JSON.stringify({ error: 'Unauthorized' })
-      };
-    }
-
-    // Validate Bearer token format
-    if (!authHeader.startsWith('Bearer ')) {
-      return {
-        statusCode: 401,
-        headers,
-        body: JSON.stringify({ error: 'Authorization header must use Bearer scheme' })
-      };
-    }
+    ebayAccount = await getEbayAccount(supabase, user.id, listingData.ebayAccountId || null);
+  } catch (error) {
+    throw new CreateListingError(404, { error: error.message });
+  }
 
-    const token = authHeader.substring(7);
-    const { data: { user }, error: authError } = await supabase.auth.getUser(token);
+  console.log('Step 4: Initializing eBay client for user:', user.id, 'account:', ebayAccount?.id || 'legacy');
+  const ebayClient = new EbayInventoryClient(user.id, ebayAccount?.id || null);
 
-    if (authError || !user) {
-      return {
-        statusCode: 401,
-        headers,
-        body: JSON.stringify({ error: 'Invalid token' })
-      };
+  try {
+    await ebayClient.initialize();
+    console.log('✓ eBay client initialized successfully');
+  } catch (error) {
+    if (error.name === 'TokenError') {
+      throw new CreateListingError(403, {
+        error: error.message,
+        code: error.code,
+        action: error.action,
+        requiresUserAction: true
+      });
     }
+    throw error; // Re-throw for outer catch
+  }
 
-    // 2. Parse request body with error handling
-    let listingData;
+  // 5. Get category suggestions from title with validation
+  let categoryId = listingData.categoryId;
+  let categoryName = '';
+
+  console.log('Step 5: Category detection - provided categoryId:', categoryId);
+  if (!categoryId) {
+    console.log('Step 5a: Auto-suggesting category from title:', validatedData.title);
+    let suggestions;
     try {
-      listingData = JSON.parse(event.body);
-    } catch (parseError) {
-      return {
-        statusCode: 400,
-        headers,
-        body: JSON.stringify({ error: 'Invalid JSON in request body' })
-      };
+      suggestions = await ebayClient.getCategorySuggestions(validatedData.title);
+    } catch (error) {
+      console.error('Category suggestion failed:', error);
+      throw new CreateListingError(400, {
+        error: 'Failed to determine category',
+        details: error.message,
+        solution: 'Please provide a categoryId in your request'
+      });
     }
 
-    console.log('Creating eBay listing for user:', user.id, 'Data:', listingData);
-
-    // 3. Comprehensive validation
-    const validationErrors = validateListingData(listingData);
-    if (validationErrors.length > 0) {
-      return {
-        statusCode: 400,
-        headers,
-        body: JSON.stringify({
-          error: 'Validation failed',
-          errors: validationErrors
-        })
-      };
+    if (!suggestions?.categorySuggestions?.length) {
+      throw new CreateListingError(400, {
+        error: 'Could not determine eBay category',
+        suggestion: 'Try a more descriptive title or manually select a category'
+      });
     }
 
-    // Parse and validate data once
-    const validatedData = {
-      title: listingData.title.substring(0, 80).trim(),
-      description: listingData.description.trim(),
-      price: parseFloat(listingData.price),
-      quantity: parseInt(listingData.quantity, 10),
-      images: listingData.images.slice(0, 12),
-      minimumPrice: listingData.minimumPrice
-        ? parseFloat(listingData.minimumPrice)
-        : parseFloat(listingData.price) * 0.5
+    const bestMatch = suggestions.categorySuggestions[0];
+    if (!bestMatch?.category?.categoryId) {
+      throw new CreateListingError(400, {
+        error: 'Failed to determine category',
+        details: 'Invalid category suggestion response format',
+        solution: 'Please provide a categoryId in your request'
+      });
     }
 
-    // 4. Initialize eBay client with TokenError handling
-    console.log('Step 4: Initializing eBay client for user:', user.id);
-    const ebayClient = new EbayInventoryClient(user.id);
-
-    try {
-      await ebayClient.initialize();
-      console.log('✓ eBay client initialized successfully');
-    } catch (error) {
-      if (error.name === 'TokenError') {
-        return {
-          statusCode: 403,
-          headers,
-          body: JSON.stringify({
-            error: error.message,
-            code: error.code,
-            action: error.action,
-            requiresUserAction: true
-          })
-        };
-      }
-      throw error; // Re-throw for outer catch
-    }
+    categoryId = bestMatch.category.categoryId;
+    categoryName = bestMatch.category.categoryName;
 
-    // 5. Get category suggestions from title with validation
-    let categoryId = listingData.categoryId;
-    let categoryName = '';
+    console.log(`Suggested category: ${categoryName} (${categoryId})`);
+  }
 
-    console.log('Step 5: Category detection - provided categoryId:', categoryId);
-    if (!categoryId) {
-      console.log('Step 5a: Auto-suggesting category from title:', validatedData.title);
-      try {
-        const suggestions = await ebayClient.getCategorySuggestions(validatedData.title);
-
-        if (!suggestions?.categorySuggestions?.length) {
-          return {
-            statusCode: 400,
-            headers,
-            body: JSON.stringify({
-              error: 'Could not determine eBay category',
-              suggestion: 'Try a more descriptive title or manually select a category'
-            })
-          };
-        }
+  // 6. Get required item aspects for category (WITH CACHING)
+  console.log('Fetching item aspects for category:', categoryId);
+  let aspectsData;
 
-        const bestMatch = suggestions.categorySuggestions[0];
-        if (!bestMatch?.category?.categoryId) {
-          throw new Error('Invalid category suggestion response format');
-        }
+  try {
+    const result = await ebayClient.getCachedCategoryAspects(categoryId);
+    aspectsData = { aspects: result.aspects };
 
-        categoryId = bestMatch.category.categoryId;
-        categoryName = bestMatch.category.categoryName;
+    console.log(`✓ Aspects loaded (${result.fromCache ? 'from cache' : 'fresh from eBay'})`);
 
-        console.log(`Suggested category: ${categoryName} (${categoryId})`);
-      } catch (error) {
-        console.error('Category suggestion failed:', error);
-        return {
-          statusCode: 400,
-          headers,
-          body: JSON.stringify({
-            error: 'Failed to determine category',
-            details: error.message,
-            solution: 'Please provide a categoryId in your request'
-          })
-        };
-      }
+    // Update category name in cache if we have it and fetched from API
+    if (categoryName && !result.fromCache) {
+      await ebayClient.updateCachedCategoryName(categoryId, categoryName);
     }
 
-    // 6. Get required item aspects for category (WITH CACHING)
-    console.log('Fetching item aspects for category:', categoryId);
-    let aspectsData;
-    let cacheInfo;
+  } catch (error) {
+    console.error('Failed to fetch item aspects:', error);
+    throw new CreateListingError(502, {
+      error: 'Failed to fetch category requirements from eBay',
+      categoryId: categoryId,
+      details: error.message
+    });
+  }
 
-    try {
-      const result = await ebayClient.getCachedCategoryAspects(categoryId);
-      aspectsData = { aspects: result.aspects };
-      cacheInfo = {
-        fromCache: result.fromCache,
-        lastFetched: result.lastFetched
-      };
+  // 6.5. Get and validate category condition policies
+  console.log('Step 6.5: Fetching condition policies for category:', categoryId);
+  let conditionPolicies = { conditionRequired: false, allowedConditions: [] };
 
-      console.log(`✓ Aspects loaded (${result.fromCache ? 'from cache' : 'fresh from eBay'})`);
+  try {
+    conditionPolicies = await ebayClient.getCategoryConditionPolicies(categoryId);
+    console.log(`✓ Condition policies loaded: ${conditionPolicies.allowedConditions.length} allowed conditions, required: ${conditionPolicies.conditionRequired}`);
+  } catch (error) {
+    console.error('⚠️ Failed to fetch condition policies, will use fallback validation:', error.message);
+    // Non-fatal: Continue with empty policies and use fallback validation
+    // This allows the listing to proceed even if condition API fails
+  }
 
-      // Update category name in cache if we have it and fetched from API
-      if (categoryName && !result.fromCache) {
-        await ebayClient.updateCachedCategoryName(categoryId, categoryName);
-      }
+  if (!aspectsData?.aspects) {
+    throw new CreateListingError(500, {
+      error: 'Invalid aspects response from eBay',
+      categoryId: categoryId
+    });
+  }
 
-    } catch (error) {
-      console.error('Failed to fetch item aspects:', error);
-      return {
-        statusCode: 502,
-        headers,
-        body: JSON.stringify({
-          error: 'Failed to fetch category requirements from eBay',
-          categoryId: categoryId,
-          details: error.message
-        })
-      };
-    }
+  // Track category usage for aspect cache refresh prioritization
+  try {
+    await supabase.rpc('increment_category_usage', { cat_id: categoryId });
+  } catch (trackingError) {
+    // Non-fatal: log but continue
+    console.warn('Failed to track category usage:', trackingError.message);
+  }
 
-    // 6.5. Get and validate category condition policies
-    console.log('Step 6.5: Fetching condition policies for category:', categoryId);
-    let conditionPolicies = { conditionRequired: false, allowedConditions: [] };
+  const requiredAspects = aspectsData.aspects.filter(a =>
+    a.aspectConstraint?.aspectRequired === true
+  );
 
-    try {
-      conditionPolicies = await ebayClient.getCategoryConditionPolicies(categoryId);
-      console.log(`✓ Condition policies loaded: ${conditionPolicies.allowedConditions.length} allowed conditions, required: ${conditionPolicies.conditionRequired}`);
-    } catch (error) {
-      console.error('⚠️ Failed to fetch condition policies, will use fallback validation:', error.message);
-      // Non-fatal: Continue with empty policies and use fallback validation
-      // This allows the listing to proceed even if condition API fails
-    }
+  console.log(`Found ${requiredAspects.length} required aspects:`, requiredAspects.map(a => a.localizedAspectName));
 
-    if (!aspectsData?.aspects) {
-      return {
-        statusCode: 500,
-        headers,
-        body: JSON.stringify({
-          error: 'Invalid aspects response from eBay',
-          categoryId: categoryId
-        })
-      };
-    }
+  // 7. Validate and auto-fill aspects using eBay's allowed values (DYNAMIC - no hardcoding)
+  const providedAspects = listingData.aspects || {};
 
-    // Track category usage for aspect cache refresh prioritization
-    try {
-      await supabase.rpc('increment_category_usage', { cat_id: categoryId });
-    } catch (trackingError) {
-      // Non-fatal: log but continue
-      console.warn('Failed to track category usage:', trackingError.message);
-    }
+  console.log('Provided aspects:', Object.keys(providedAspects));
 
-    const requiredAspects = aspectsData.aspects.filter(a =>
-      a.aspectConstraint?.aspectRequired === true
-    );
+  // Use dynamic validation against eBay's aspectValues
+  const { aspects: validatedAspects, warnings } = validateAndAutoFillAspects(
+    requiredAspects,
+    providedAspects
+  );
 
-    console.log(`Found ${requiredAspects.length} required aspects:`, requiredAspects.map(a => a.localizedAspectName));
+  if (warnings.length > 0) {
+    console.log('⚠️ Aspect validation warnings:', warnings);
+  }
 
-    // 7. Validate and auto-fill aspects using eBay's allowed values (DYNAMIC - no hardcoding)
-    const providedAspects = listingData.aspects || {};
+  // Check for still-missing required aspects (edge case: no allowed values provided by eBay)
+  const missingAspects = requiredAspects
+    .filter(a => !validatedAspects[a.localizedAspectName] ||
+                 validatedAspects[a.localizedAspectName].length === 0)
+    .map(a => ({
+      name: a.localizedAspectName,
+      constraint: a.aspectConstraint,
+      allowedValues: a.aspectValues?.map(v => v.localizedValue).slice(0, 20) || []
+    }));
+
+  if (missingAspects.length > 0) {
+    console.error('❌ Missing required aspects:', missingAspects.map(a => a.name));
+    throw new CreateListingError(400, {
+      error: 'Missing required product aspects',
+      missingAspects: missingAspects,
+      categoryId,
+      categoryName,
+      suggestion: 'Please provide values for the required aspects'
+    });
+  }
 
-    console.log('Provided aspects:', Object.keys(providedAspects));
+  console.log('✓ All required aspects satisfied:', Object.keys(validatedAspects));
 
-    // Use dynamic validation against eBay's aspectValues
-    const { aspects: validatedAspects, warnings } = validateAndAutoFillAspects(
-      requiredAspects,
-      providedAspects
-    );
+  // 7.5. Get user's default settings with error handling
+  const { data: userData, error: settingsError } = await supabase
+    .from('users')
+    .select('listing_settings')
+    .eq('id', user.id)
+    .single();
 
-    if (warnings.length > 0) {
-      console.log('⚠️ Aspect validation warnings:', warnings);
-    }
+  if (settingsError) {
+    console.error('Failed to load user settings:', settingsError);
+    // Non-fatal: continue with defaults but log warning
+  }
 
-    // Check for still-missing required aspects (edge case: no allowed values provided by eBay)
-    const missingAspects = requiredAspects
-      .filter(a => !validatedAspects[a.localizedAspectName] ||
-                   validatedAspects[a.localizedAspectName].length === 0)
-      .map(a => ({
-        name: a.localizedAspectName,
-        constraint: a.aspectConstraint,
-        allowedValues: a.aspectValues?.map(v => v.localizedValue).slice(0, 20) || []
-      }));
+  const userSettings = userData?.listing_settings || {};
+  console.log('📋 User Settings Retrieved:', JSON.stringify(userSettings, null, 2));
+
+  // 8. Determine business policy IDs to use
+  // Priority: request data > eBay account > user settings > error if none provided
+  // (policies belong to a seller account, so another store's IDs would be rejected)
+  console.log('Determining business policies to use');
+
+  const fulfillmentPolicyId = listingData.fulfillmentPolicyId ||
+                               ebayAccount?.fulfillment_policy_id ||
+                               userSettings.defaultFulfillmentPolicyId;
+  const paymentPolicyId = listingData.paymentPolicyId ||
+                         ebayAccount?.payment_policy_id ||
+                         userSettings.defaultPaymentPolicyId;
+  const returnPolicyId = listingData.returnPolicyId ||
+                        ebayAccount?.return_policy_id ||
+                        userSettings.defaultReturnPolicyId;
+
+  // Validate that we have all required policies
+  const missingPolicies = [];
+  if (!fulfillmentPolicyId) missingPolicies.push('fulfillment/shipping');
+  if (!paymentPolicyId) missingPolicies.push('payment');
+  if (!returnPolicyId) missingPolicies.push('return');
+
+  if (missingPolicies.length > 0) {
+    throw new CreateListingError(400, {
+      error: `Missing required business policy IDs: ${missingPolicies.join(', ')}`,
+      solution: 'Please configure your default business policies in Listing Settings or provide them in the request',
+      settingsUrl: '/listing-settings'
+    });
+  }
 
-    if (missingAspects.length > 0) {
-      console.error('❌ Missing required aspects:', missingAspects.map(a => a.name));
-      return {
-        statusCode: 400,
-        headers,
-        body: JSON.stringify({
-          error: 'Missing required product aspects',
-          missingAspects: missingAspects,
-          categoryId,
-          categoryName,
-          suggestion: 'Please provide values for the required aspects'
-        })
-      };
-    }
+  console.log('Using policies:', { fulfillmentPolicyId, paymentPolicyId, returnPolicyId });
+
+  // 9. Inventory location (created on publish)
+  // eBay has 36 char limit on merchantLocationKey
+  const merchantLocationKey = `loc-${user.id.substring(0, 32)}`;
+
+  // Extract address from defaultLocation structure
+  // userSettings.defaultLocation = { address: { addressLine1, city, ... } }
+  const defaultAddress = listingData.location ||
+                        userSettings.defaultLocation?.address ||
+                        {
+                          addressLine1: '123 Main St',
+                          city: 'San Francisco',
+                          stateOrProvince: 'CA',
+                          postalCode: '94105',
+                          country: 'US'
+                        };
+
+  console.log('🏠 Address used:', JSON.stringify(defaultAddress, null, 2));
+
+  const locationPayload = {
+    location: {
+      address: defaultAddress
+    },
+    locationTypes: ['WAREHOUSE'],
+    name: 'Primary Warehouse Location',
+    phone: '555-555-5555'  // Required by eBay API
+  };
+
+  // 10. Generate deterministic SKU for idempotency
+  // Priority: earlier attempt > request SKU > user settings default SKU > idempotency key > generated SKU
+  const sku = options.sku ||
+              listingData.sku ||
+              userSettings.defaultSku ||
+              listingData.idempotencyKey ||
+              generateDeterministicSku(user.id, listingData, {
+                ...userSettings,
+                skuPrefix: ebayAccount?.sku_prefix || userSettings.skuPrefix
+              });
+
+  // 11. Validate and normalize condition
+  const requestedCondition = listingData.condition ||
+                             userSettings.defaultCondition ||
+                             '1000'; // Default: NEW (ID 1000)
 
-    console.log('✓ All required aspects satisfied:', Object.keys(validatedAspects));
+  // Convert to numeric ID if string provided
+  let conditionId = requestedCondition;
+  if (isNaN(requestedCondition)) {
+    const upperCondition = requestedCondition.toUpperCase();
+    conditionId = conditionStringToIdMap[upperCondition] || requestedCondition;
+  }
 
-    // 7.5. Get user's default settings with error handling
-    const { data: userData, error: settingsError } = await supabase
-      .from('users')
-      .select('listing_settings')
-      .eq('id', user.id)
-      .single();
+  console.log(`📋 Requested condition: "${requestedCondition}" → ID: ${conditionId}`);
 
-    if (settingsError) {
-      console.error('Failed to load user settings:', settingsError);
-      // Non-fatal: continue with defaults but log warning
-    }
+  const requestedConditionId = String(conditionId);
+  let conditionDisplayName = null;
 
-    const userSettings = userData?.listing_settings || {};
-    console.log('📋 User Settings Retrieved:', JSON.stringify(userSettings, null, 2));
+  // Validate condition against category's allowed conditions
+  if (conditionPolicies.allowedConditions && conditionPolicies.allowedConditions.length > 0) {
+    const allowedIds = conditionPolicies.allowedConditions.map(c => String(c.conditionId));
+    const isValid = allowedIds.includes(String(conditionId));
 
-    // 8. Determine business policy IDs to use
-    // Priority: request data > user settings > error if none provided
-    console.log('Determining business policies to use');
+    console.log(`🔍 Validating condition ${conditionId} against allowed: [${allowedIds.join(', ')}]`);
 
-    const fulfillmentPolicyId = listingData.fulfillmentPolicyId ||
-                                 userSettings.defaultFulfillmentPolicyId;
-    const paymentPolicyId = listingData.paymentPolicyId ||
-                           userSettings.defaultPaymentPolicyId;
-    const returnPolicyId = listingData.returnPolicyId ||
-                          userSettings.defaultReturnPolicyId;
+    if (!isValid) {
+      console.error(`❌ Condition ${conditionId} not allowed for category ${categoryId}`);
+      console.error('   Allowed conditions:', conditionPolicies.allowedConditions);
 
-    // Validate that we have all required policies
-    const missingPolicies = [];
-    if (!fulfillmentPolicyId) missingPolicies.push('fulfillment/shipping');
-    if (!paymentPolicyId) missingPolicies.push('payment');
-    if (!returnPolicyId) missingPolicies.push('return');
+      // Auto-select first allowed condition as fallback
+      const fallbackCondition = conditionPolicies.allowedConditions[0];
+      conditionId = fallbackCondition.conditionId;
+      conditionDisplayName = fallbackCondition.conditionDisplayName;
 
-    if (missingPolicies.length > 0) {
-      return {
-        statusCode: 400,
-        headers,
-        body: JSON.stringify({
-          error: `Missing required business policy IDs: ${missingPolicies.join(', ')}`,
-          solution: 'Please configure your default business policies in Listing Settings or provide them in the request',
-          settingsUrl: '/listing-settings'
-        })
-      };
+      console.log(`⚠️ Auto-selecting fallback condition: ${fallbackCondition.conditionDisplayName} (${conditionId})`);
+    } else {
+      const selectedCondition = conditionPolicies.allowedConditions.find(c => String(c.conditionId) === String(conditionId));
+      conditionDisplayName = selectedCondition?.conditionDisplayName || null;
+      console.log(`✅ Condition validated: ${selectedCondition?.conditionDisplayName || conditionId}`);
     }
+  } else {
+    // No condition policies available - use safest default (NEW = 1000)
+    console.warn(`⚠️ No condition policies available for category ${categoryId}, using default validation`);
+
+    // If user selected something obviously invalid, default to NEW
+    const validBasicConditions = ['1000', '1500', '3000', '7000']; // NEW, NEW_OTHER, USED, PARTS
+    if (!validBasicConditions.includes(String(conditionId))) {
+      console.log(`⚠️ Condition ${conditionId} not in basic valid set, defaulting to 1000 (NEW)`);
+      conditionId = '1000';
+    }
+  }
 
-    console.log('Using policies:', { fulfillmentPolicyId, paymentPolicyId, returnPolicyId });
-
-    // 9. Ensure inventory location exists
-    // eBay has 36 char limit on merchantLocationKey
-    const merchantLocationKey = `loc-${user.id.substring(0, 32)}`;
-
-    // Extract address from defaultLocation structure
-    // userSettings.defaultLocation = { address: { addressLine1, city, ... } }
-    console.log('🏠 Address Resolution:');
-    console.log('  - listingData.location:', listingData.location);
-    console.log('  - userSettings.defaultLocation:', JSON.stringify(userSettings.defaultLocation, null, 2));
-    console.log('  - userSettings.defaultLocation?.address:', JSON.stringify(userSettings.defaultLocation?.address, null, 2));
-
-    const defaultAddress = listingData.location ||
-                          userSettings.defaultLocation?.address ||
-                          {
-                            addressLine1: '123 Main St',
-                            city: 'San Francisco',
-                            stateOrProvince: 'CA',
-                            postalCode: '94105',
-                            country: 'US'
-                          };
-
-    console.log('  - Final defaultAddress used:', JSON.stringify(defaultAddress, null, 2));
-
-    const locationPayload = {
-      location: {
-        address: defaultAddress
-      },
-      locationTypes: ['WAREHOUSE'],
-      name: 'Primary Warehouse Location',
-      phone: '555-555-5555'  // Required by eBay API
-    };
-
-    console.log('Step 9: Creating inventory location with payload:', JSON.stringify(locationPayload, null, 2));
+  const condition = conditionId;
 
+  // 11.5. Apply the listing template, now that category and condition are known
+  let template = null;
+  if (listingData.templateId) {
+    let listingTemplate;
     try {
-      await ebayClient.ensureInventoryLocation(merchantLocationKey, locationPayload);
-      console.log('✓ Step 9 complete: Inventory location ensured:', merchantLocationKey);
+      listingTemplate = await getTemplate(supabase, user.id, listingData.templateId);
     } catch (error) {
-      console.error('❌ Step 9 FAILED - Inventory location error:', error.message);
-      console.error('Error details:', JSON.stringify(error, Object.getOwnPropertyNames(error)));
+      if (error instanceof ListingTemplateError) {
+        throw new CreateListingError(error.statusCode, { error: error.message, templateId: listingData.templateId });
+      }
       throw error;
     }
 
-    // 10. Generate deterministic SKU for idempotency
-    // Priority: request SKU > user settings default SKU > idempotency key > generated SKU
-    const sku = listingData.sku ||
-                userSettings.defaultSku ||
-                listingData.idempotencyKey ||
-                generateDeterministicSku(user.id, listingData, userSettings);
-
-    // 11. Create inventory item
-    console.log('Step 11: Creating inventory item with SKU:', sku);
-
-    // Validate and normalize condition
-    let requestedCondition = listingData.condition ||
-                             userSettings.defaultCondition ||
-                             '1000'; // Default: NEW (ID 1000)
+    const rendered = applyListingTemplate(listingTemplate, { ...listingData, aspects: validatedAspects }, {
+      categoryId,
+      categoryName,
+      conditionId: condition,
+      conditionName: conditionDisplayName
+    });
 
-    // Map common string conditions to eBay numeric IDs
-    const conditionStringToIdMap = {
-      'NEW': '1000',
-      'NEW_OTHER': '1500',
-      'NEW_WITH_DEFECTS': '1750',
-      'MANUFACTURER_REFURBISHED': '2000',
-      'CERTIFIED_REFURBISHED': '2000',
-      'SELLER_REFURBISHED': '2500',
-      'LIKE_NEW': '2750',
-      'USED_EXCELLENT': '3000',
-      'USED_VERY_GOOD': '4000',
-      'USED_GOOD': '5000',
-      'USED_ACCEPTABLE': '6000',
-      'FOR_PARTS_OR_NOT_WORKING': '7000'
+    validatedData.title = rendered.title;
+    validatedData.description = rendered.description;
+    template = {
+      id: listingTemplate.id,
+      name: listingTemplate.name,
+      variantCategoryId: rendered.variantCategoryId,
+      titleTrimmed: rendered.titleTrimmed,
+      warnings: rendered.warnings
     };
+    console.log(`📝 Template "${listingTemplate.name}" applied${rendered.variantCategoryId ? ` (variant for ${rendered.variantCategoryId})` : ''}`);
+  }
 
-    // Convert to numeric ID if string provided
-    let conditionId = requestedCondition;
-    if (isNaN(requestedCondition)) {
-      const upperCondition = requestedCondition.toUpperCase();
-      conditionId = conditionStringToIdMap[upperCondition] || requestedCondition;
+  const inventoryItemPayload = {
+    availability: {
+      shipToLocationAvailability: {
+        quantity: parseInt(listingData.quantity)
+      }
+    },
+    condition: condition,
+    conditionDescription: listingData.conditionDescription || 'New item in opened packaging. All original accessories included.',
+    product: {
+      title: validatedData.title, // eBay 80 char limit
+      description: validatedData.description,
+      imageUrls: listingData.images.slice(0, 12), // eBay max 12 images
+      aspects: validatedAspects  // ✅ Using validated aspects (no hardcoded values)
     }
+  };
+
+  const offerPayload = {
+    sku: sku,
+    marketplaceId: 'EBAY_US',
+    format: 'FIXED_PRICE',
+    availableQuantity: parseInt(listingData.quantity),
+    categoryId: categoryId,
+    merchantLocationKey: merchantLocationKey,
+    pricingSummary: {
+      price: {
+        value: parseFloat(listingData.price).toFixed(2),
+        currency: 'USD'
+      }
+    },
+    listingPolicies: {
+      fulfillmentPolicyId: fulfillmentPolicyId,
+      paymentPolicyId: paymentPolicyId,
+      returnPolicyId: returnPolicyId
+    }
+  };
+
+  return {
+    validatedData,
+    ebayAccount,
+    ebayClient,
+    categoryId,
+    categoryName,
+    categorySuggested: !listingData.categoryId,
+    template,
+    requiredAspects: requiredAspects.map(a => a.localizedAspectName),
+    aspects: validatedAspects,
+    aspectWarnings: warnings,
+    condition: {
+      requested: requestedCondition,
+      conditionId: String(condition),
+      displayName: conditionDisplayName,
+      autoCorrected: String(condition) !== requestedConditionId,
+      allowedConditions: (conditionPolicies.allowedConditions || []).map(c => ({
+        conditionId: String(c.conditionId),
+        displayName: c.conditionDisplayName
+      }))
+    },
+    policies: { fulfillmentPolicyId, paymentPolicyId, returnPolicyId },
+    merchantLocationKey,
+    locationPayload,
+    sku,
+    inventoryItemPayload,
+    offerPayload
+  };
+}
 
-    console.log(`📋 Requested condition: "${requestedCondition}" → ID: ${conditionId}`);
+/**
+ * Record where a publish stopped. A draft that already has an eBay offer
+ * stays 'offer_created' so it can be published again.
+ */
+async function recordPublishFailure(draftId, offerId, step, error) {
+  await updateDraft(supabase, draftId, {
+    status: offerId ? 'offer_created' : 'failed',
+    last_step: step,
+    last_error: error.message
+  });
+}
 
-    // Validate condition against category's allowed conditions
-    if (conditionPolicies.allowedConditions && conditionPolicies.allowedConditions.length > 0) {
-      const allowedIds = conditionPolicies.allowedConditions.map(c => String(c.conditionId));
-      const isValid = allowedIds.includes(String(conditionId));
+/**
+ * What a prepared listing resolved to, as returned by validate and stored
+ * on the draft
+ */
+function describePlan(plan) {
+  return {
+    ebayAccountId: plan.ebayAccount?.id || null,
+    title: plan.validatedData.title,
+    description: plan.validatedData.description,
+    template: plan.template,
+    price: plan.validatedData.price,
+    quantity: plan.validatedData.quantity,
+    minimumPrice: plan.validatedData.minimumPrice,
+    categoryId: plan.categoryId,
+    categoryName: plan.categoryName,
+    categorySuggested: plan.categorySuggested,
+    requiredAspects: plan.requiredAspects,
+    aspects: plan.aspects,
+    aspectWarnings: plan.aspectWarnings,
+    condition: plan.condition,
+    policies: plan.policies,
+    sku: plan.sku
+  };
+}
 
-      console.log(`🔍 Validating condition ${conditionId} against allowed: [${allowedIds.join(', ')}]`);
+/**
+ * Validate or publish one listing for a user: steps 2.5-15 of the handler.
+ * Also used by listing jobs (utils/listing-jobs.js), which run without a
+ * request.
+ * @param {Object} user - { id }
+ * @param {Object} requestBody - the listing plus mode and draftId, as POSTed
+ * @returns {Promise<{statusCode, body}>} body is the response object
+ */
+async function createListingForUser(user, requestBody) {
+  // Publish progress, for the draft and the error responses
+  let draftId = null;
+  let offerId = null;
+  let step = null;
 
-      if (!isValid) {
-        console.error(`❌ Condition ${conditionId} not allowed for category ${categoryId}`);
-        console.error('   Allowed conditions:', conditionPolicies.allowedConditions);
+  try {
+    const mode = requestBody.mode || 'publish';
+    if (!['publish', 'validate'].includes(mode)) {
+      return {
+        statusCode: 400,
+        body: { error: 'mode must be one of: publish, validate' }
+      };
+    }
 
-        // Auto-select first allowed condition as fallback
-        const fallbackCondition = conditionPolicies.allowedConditions[0];
-        conditionId = fallbackCondition.conditionId;
+    // 2.5. Load the draft, saving any listing fields sent with it
+    let draft = null;
+    let listingData = requestBody;
 
-        console.log(`⚠️ Auto-selecting fallback condition: ${fallbackCondition.conditionDisplayName} (${conditionId})`);
-      } else {
-        const selectedCondition = conditionPolicies.allowedConditions.find(c => c.conditionId === conditionId);
-        console.log(`✅ Condition validated: ${selectedCondition?.conditionDisplayName || conditionId}`);
+    if (requestBody.draftId) {
+      draft = await getDraft(supabase, user.id, requestBody.draftId);
+
+      if (draft.status === 'published') {
+        return {
+          statusCode: 409,
+          body: {
+            error: 'This draft is already published',
+            draftId: draft.id,
+            listingId: draft.ebay_item_id,
+            viewUrl: draft.ebay_item_id ? `https://www.ebay.com/itm/${draft.ebay_item_id}` : null
+          }
+        };
       }
-    } else {
-      // No condition policies available - use safest default (NEW = 1000)
-      console.warn(`⚠️ No condition policies available for category ${categoryId}, using default validation`);
-
-      // If user selected something obviously invalid, default to NEW
-      const validBasicConditions = ['1000', '1500', '3000', '7000']; // NEW, NEW_OTHER, USED, PARTS
-      if (!validBasicConditions.includes(String(conditionId))) {
-        console.log(`⚠️ Condition ${conditionId} not in basic valid set, defaulting to 1000 (NEW)`);
-        conditionId = '1000';
+
+      const changes = toDraftPayload(requestBody);
+      if (Object.keys(changes).length > 0) {
+        draft = await saveDraft(supabase, user.id, { id: draft.id, payload: { ...draft.payload, ...changes } });
       }
+
+      listingData = draft.payload;
+      draftId = draft.id;
+      offerId = draft.offer_id;
     }
 
-    const condition = conditionId;
+    console.log(`${mode === 'validate' ? 'Validating' : 'Creating'} eBay listing for user:`, user.id, draftId ? `draft: ${draftId}` : '', 'Data:', listingData);
 
-    const inventoryItemPayload = {
-      availability: {
-        shipToLocationAvailability: {
-          quantity: parseInt(listingData.quantity)
+    // 3-11. Resolve everything eBay needs without writing to it
+    let plan;
+    try {
+      plan = await prepareListing(user, listingData, { sku: draft?.sku });
+    } catch (error) {
+      if (error instanceof CreateListingError && draftId) {
+        await updateDraft(supabase, draftId, {
+          last_step: 'validate',
+          last_error: error.message
+        });
+      }
+      throw error;
+    }
+
+    const resolved = describePlan(plan);
+
+    if (mode === 'validate') {
+      const feeContext = await loadFeeContext(supabase, user.id);
+      const fees = estimateListingFees({
+        ...plan.validatedData.sellingCosts,
+        current_price: plan.validatedData.price,
+        category_id: plan.categoryId
+      }, feeContext);
+      const preview = { ...resolved, fees };
+
+      if (draftId) {
+        await updateDraft(supabase, draftId, {
+          status: draft.offer_id ? 'offer_created' : 'validated',
+          resolved: preview,
+          ebay_account_id: resolved.ebayAccountId,
+          last_step: 'validate',
+          last_error: null,
+          validated_at: new Date().toISOString()
+        });
+      }
+
+      return {
+        statusCode: 200,
+        body: {
+          success: true,
+          validateOnly: true,
+          draftId,
+          ...preview
         }
-      },
-      condition: condition,
-      conditionDescription: listingData.conditionDescription || 'New item in opened packaging. All original accessories included.',
-      product: {
-        title: listingData.title.substring(0, 80), // eBay 80 char limit
-        description: listingData.description,
-        imageUrls: listingData.images.slice(0, 12), // eBay max 12 images
-        aspects: validatedAspects  // ✅ Using validated aspects (no hardcoded values)
+      };
+    }
+
+    // Track the publish on a draft so a failure part-way is visible
+    if (!draft) {
+      try {
+        draft = await saveDraft(supabase, user.id, { payload: listingData });
+        draftId = draft.id;
+      } catch (error) {
+        // Non-fatal: publish without tracking
+        console.warn('Failed to create listing draft:', error.message);
       }
-    };
+    }
+
+    const { ebayClient, sku, inventoryItemPayload, offerPayload, validatedData, ebayAccount, categoryId, categoryName } = plan;
+
+    await updateDraft(supabase, draftId, {
+      resolved,
+      sku,
+      ebay_account_id: resolved.ebayAccountId,
+      last_error: null
+    });
 
+    // 9. Ensure inventory location exists
+    step = 'inventory_item';
+    console.log('Step 9: Creating inventory location with payload:', JSON.stringify(plan.locationPayload, null, 2));
+
+    try {
+      await ebayClient.ensureInventoryLocation(plan.merchantLocationKey, plan.locationPayload);
+      console.log('✓ Step 9 complete: Inventory location ensured:', plan.merchantLocationKey);
+    } catch (error) {
+      console.error('❌ Step 9 FAILED - Inventory location error:', error.message);
+      console.error('Error details:', JSON.stringify(error, Object.getOwnPropertyNames(error)));
+      throw error;
+    }
+
+    // 11. Create inventory item
+    console.log('Step 11: Creating inventory item with SKU:', sku);
     console.log('Inventory item payload:', JSON.stringify(inventoryItemPayload, null, 2));
 
     try {
@@ -638,44 +870,26 @@ exports.handler = async (event, context) => {
     } catch (error) {
       console.error('❌ Step 11 FAILED - Create inventory item error:', error.message);
       console.error('eBay error response:', JSON.stringify(error.ebayErrorResponse, null, 2));
+      await recordPublishFailure(draftId, offerId, step, error);
       // Return detailed error for debugging
       return {
         statusCode: 500,
-        headers,
-        body: JSON.stringify({
+        body: {
           error: 'Step 11 Failed: Create Inventory Item',
           step: 11,
           message: error.message,
           ebayErrorResponse: error.ebayErrorResponse,
           payloadSent: inventoryItemPayload,
-          sku: sku
-        })
+          sku: sku,
+          draftId
+        }
       };
     }
 
     // 12. Check for existing offer and create/update accordingly
+    step = 'offer';
     console.log('Step 12: Checking for existing offer for SKU:', sku);
 
-    const offerPayload = {
-      sku: sku,
-      marketplaceId: 'EBAY_US',
-      format: 'FIXED_PRICE',
-      availableQuantity: parseInt(listingData.quantity),
-      categoryId: categoryId,
-      merchantLocationKey: merchantLocationKey,
-      pricingSummary: {
-        price: {
-          value: parseFloat(listingData.price).toFixed(2),
-          currency: 'USD'
-        }
-      },
-      listingPolicies: {
-        fulfillmentPolicyId: fulfillmentPolicyId,
-        paymentPolicyId: paymentPolicyId,
-        returnPolicyId: returnPolicyId
-      }
-    };
-
     let offerResponse;
     let existingOfferId = null;
 
@@ -707,23 +921,32 @@ exports.handler = async (event, context) => {
     } catch (error) {
       console.error('❌ Step 12 FAILED - Create/update offer error:', error.message);
       console.error('eBay error response:', JSON.stringify(error.ebayErrorResponse, null, 2));
+      await recordPublishFailure(draftId, offerId, step, error);
       // Return detailed error for debugging
       return {
         statusCode: 500,
-        headers,
-        body: JSON.stringify({
+        body: {
           error: 'Step 12 Failed: Create/Update Offer',
           step: 12,
           message: error.message,
           ebayErrorResponse: error.ebayErrorResponse,
           payloadSent: offerPayload,
           sku: sku,
-          existingOfferId: existingOfferId
-        })
+          existingOfferId: existingOfferId,
+          draftId
+        }
       };
     }
 
+    offerId = offerResponse.offerId;
+    await updateDraft(supabase, draftId, {
+      status: 'offer_created',
+      offer_id: offerId,
+      last_step: step
+    });
+
     // 13. Publish offer (only if not already published)
+    step = 'publish';
     console.log('Step 13: Publishing offer ID:', offerResponse.offerId);
     let publishResponse;
 
@@ -751,8 +974,10 @@ exports.handler = async (event, context) => {
     }
 
     // 14. Store listing in Supabase (upsert to handle duplicates)
+    step = 'save';
     const listingPayload = {
       user_id: user.id,
+      ebay_account_id: ebayAccount?.id || null,
       ebay_item_id: publishResponse.listingId,
       sku: sku,
       title: validatedData.title,
@@ -767,6 +992,11 @@ exports.handler = async (event, context) => {
       start_time: new Date().toISOString()
     };
 
+    // Costs entered on the form; leave whatever a relisted item already has otherwise
+    for (const [column, value] of Object.entries(validatedData.sellingCosts)) {
+      if (value !== null) listingPayload[column] = value;
+    }
+
     const { data: listing, error: dbError } = await supabase
       .from('listings')
       .upsert(listingPayload, {
@@ -776,6 +1006,15 @@ exports.handler = async (event, context) => {
       .select()
       .single();
 
+    await updateDraft(supabase, draftId, {
+      status: 'published',
+      ebay_item_id: publishResponse.listingId,
+      listing_id: listing?.id || null,
+      last_step: step,
+      last_error: dbError ? `Published, but saving the listing failed: ${dbError.message}` : null,
+      published_at: new Date().toISOString()
+    });
+
     // CRITICAL: Handle database save failure properly
     if (dbError) {
       console.error('🔴 CRITICAL: Listing published but DB save failed:', {
@@ -787,8 +1026,7 @@ exports.handler = async (event, context) => {
 
       return {
         statusCode: 207, // Multi-Status
-        headers,
-        body: JSON.stringify({
+        body: {
           partialSuccess: true,
           ebayListingLive: true,
           databaseSaveFailed: true,
@@ -797,16 +1035,16 @@ exports.handler = async (event, context) => {
           viewUrl: `https://www.ebay.com/itm/${publishResponse.listingId}`,
           action: 'CONTACT_SUPPORT_FOR_SYNC',
           message: 'Listing is live on eBay but failed to save to your account. Please contact support with this listing ID to sync it.',
-          error: dbError.message
-        })
+          error: dbError.message,
+          draftId
+        }
       };
     }
 
     // 15. Return success response
     return {
       statusCode: 200,
-      headers,
-      body: JSON.stringify({
+      body: {
         success: true,
         wasUpdated: existingOfferId ? true : false,
         listingId: publishResponse.listingId,
@@ -816,14 +1054,29 @@ exports.handler = async (event, context) => {
         categoryName: categoryName,
         viewUrl: `https://www.ebay.com/itm/${publishResponse.listingId}`,
         listing: listing,
+        draftId,
         warnings: publishResponse.warnings || [],
         message: existingOfferId
           ? `Listing updated successfully! Previously listed as ${publishResponse.listingId}`
           : 'New listing created successfully!'
-      })
+      }
     };
 
   } catch (error) {
+    if (error instanceof CreateListingError) {
+      return {
+        statusCode: error.statusCode,
+        body: { ...error.body, draftId }
+      };
+    }
+
+    if (error instanceof ListingDraftError) {
+      return {
+        statusCode: error.statusCode,
+        body: { error: error.message }
+      };
+    }
+
     console.error('Create listing error:', {
       message: error.message,
       stack: error.stack,
@@ -832,42 +1085,150 @@ exports.handler = async (event, context) => {
       fullError: JSON.stringify(error, Object.getOwnPropertyNames(error))
     });
 
+    if (step) {
+      await recordPublishFailure(draftId, offerId, step, error);
+    }
+
     // Classify errors for better error handling
     if (error.name === 'TokenError') {
       return {
         statusCode: 403,
-        headers,
-        body: JSON.stringify({
+        body: {
           error: error.message,
           code: error.code,
           action: error.action,
-          requiresUserAction: true
-        })
+          requiresUserAction: true,
+          draftId
+        }
       };
     }
 
     if (error.ebayStatusCode) {
       return {
         statusCode: 502,
-        headers,
-        body: JSON.stringify({
+        body: {
           error: 'eBay API error',
           message: error.message,
           ebayStatusCode: error.ebayStatusCode,
-          ebayError: error.ebayErrorResponse
-        })
+          ebayError: error.ebayErrorResponse,
+          step,
+          offerId,
+          draftId
+        }
       };
     }
 
     // Generic server error
     return {
       statusCode: 500,
-      headers,
-      body: JSON.stringify({
+      body: {
         error: 'Failed to create eBay listing',
         message: error.message,
+        step,
+        offerId,
+        draftId,
         stack: process.env.NODE_ENV === 'development' ? error.stack : undefined
+      }
+    };
+  }
+}
+
+/**
+ * POST /create-ebay-listing
+ *
+ * Body: the listing (title, description, price, quantity, images, aspects,
+ * condition, categoryId, ebayAccountId, optional itemCost, inboundShippingCost,
+ * shippingCost, promotedAdRate and templateId, ...) plus
+ *   mode: 'publish' (default) - create the inventory item and offer, then publish
+ *   mode: 'validate'          - resolve category, aspects, condition, fees
+ *                               (net proceeds and margin) and the templated
+ *                               title and description only;
+ *                               nothing is written to eBay
+ *   draftId                   - use a saved draft (listing-drafts.js); any listing
+ *                               fields in the body are saved onto it first
+ *
+ * Every publish is tracked on a draft (one is created when no draftId is
+ * given). If eBay accepts the offer but publishing fails, the draft keeps
+ * the offer ID with status 'offer_created'; publishing the draft again
+ * reuses that offer.
+ */
+exports.handler = async (event, context) => {
+  const headers = getCorsHeaders(event);
+
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 200, headers, body: '' };
+  }
+
+  if (event.httpMethod !== 'POST') {
+    return {
+      statusCode: 405,
+      headers,
+      body: JSON.stringify({ error: 'Method not allowed' })
+    };
+  }
+
+  try {
+    // 1. Authenticate user
+    const authHeader = event.headers.authorization || event.headers.Authorization;
+    if (!authHeader) {
+      return {
+        statusCode: 401,
+        headers,
+        body: JSON.stringify({ error: 'Unauthorized' })
+      };
+    }
+
+    // Validate Bearer token format
+    if (!authHeader.startsWith('Bearer ')) {
+      return {
+        statusCode: 401,
+        headers,
+        body: JSON.stringify({ error: 'Authorization header must use Bearer scheme' })
+      };
+    }
+
+    const token = authHeader.substring(7);
+    const { data: { user }, error: authError } = await supabase.auth.getUser(token);
+
+    if (authError || !user) {
+      return {
+        statusCode: 401,
+        headers,
+        body: JSON.stringify({ error: 'Invalid token' })
+      };
+    }
+
+    // 2. Parse request body with error handling
+    let requestBody;
+    try {
+      requestBody = JSON.parse(event.body);
+    } catch (parseError) {
+      return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify({ error: 'Invalid JSON in request body' })
+      };
+    }
+
+    const response = await createListingForUser(user, requestBody);
+    return {
+      statusCode: response.statusCode,
+      headers,
+      body: JSON.stringify(response.body)
+    };
+
+  } catch (error) {
+    console.error('Create listing error:', error);
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({
+        error: 'Failed to create eBay listing',
+        message: error.message
       })
     };
   }
 };
+
+exports.createListingForUser = createListingForUser;
+exports.CONDITION_IDS = conditionStringToIdMap;
@@ -0,0 +1,139 @@
+const { createClient } = require('@supabase/supabase-js');
+const { getCorsHeaders } = require('./utils/cors');
+const {
+  EDITABLE_ACCOUNT_FIELDS,
+  PUBLIC_ACCOUNT_COLUMNS,
+  listEbayAccounts,
+  setDefaultAccount,
+  disconnectAccount
+} = require('./utils/ebay-accounts');
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+/**
+ * Linked eBay Accounts
+ *
+ * GET    /ebay-accounts                         → { accounts } (no tokens)
+ * PUT    /ebay-accounts { accountId, ...fields } → label, policy IDs, sku_prefix, or isDefault: true
+ * DELETE /ebay-accounts?accountId=...            → disconnect (listings are kept)
+ *
+ * New accounts are linked through the OAuth flow (ebay-oauth?action=initiate&addAccount=true).
+ */
+exports.handler = async (event, context) => {
+  const headers = getCorsHeaders(event);
+
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 200, headers, body: '' };
+  }
+
+  if (!['GET', 'PUT', 'DELETE'].includes(event.httpMethod)) {
+    return {
+      statusCode: 405,
+      headers,
+      body: JSON.stringify({ error: 'Method not allowed' })
+    };
+  }
+
+  try {
+    // Authenticate user
+    const authHeader = event.headers.authorization || event.headers.Authorization;
+    if (!authHeader?.startsWith('Bearer ')) {
+      return {
+        statusCode: 401,
+        headers,
+        body: JSON.stringify({ error: 'Authentication required' })
+      };
+    }
+
+    const token = authHeader.replace('Bearer ', '');
+    const { data: { user }, error: authError } = await supabase.auth.getUser(token);
+
+    if (authError || !user) {
+      return {
+        statusCode: 401,
+        headers,
+        body: JSON.stringify({ error: 'Invalid authentication' })
+      };
+    }
+
+    if (event.httpMethod === 'DELETE') {
+      const { accountId } = event.queryStringParameters || {};
+      if (!accountId) {
+        return {
+          statusCode: 400,
+          headers,
+          body: JSON.stringify({ error: 'accountId is required' })
+        };
+      }
+
+      await disconnectAccount(supabase, user.id, accountId);
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify({ success: true })
+      };
+    }
+
+    if (event.httpMethod === 'PUT') {
+      const { accountId, isDefault, ...fields } = JSON.parse(event.body || '{}');
+      if (!accountId) {
+        return {
+          statusCode: 400,
+          headers,
+          body: JSON.stringify({ error: 'accountId is required' })
+        };
+      }
+
+      const updates = {};
+      for (const field of EDITABLE_ACCOUNT_FIELDS) {
+        if (fields[field] !== undefined) {
+          updates[field] = typeof fields[field] === 'string' ? fields[field].trim() || null : fields[field];
+        }
+      }
+
+      if (Object.keys(updates).length > 0) {
+        const { data, error } = await supabase
+          .from('ebay_accounts')
+          .update(updates)
+          .eq('id', accountId)
+          .eq('user_id', user.id)
+          .select(PUBLIC_ACCOUNT_COLUMNS);
+
+        if (error) throw error;
+        if (!data || data.length === 0) {
+          return {
+            statusCode: 404,
+            headers,
+            body: JSON.stringify({ error: 'eBay account not found' })
+          };
+        }
+      }
+
+      if (isDefault === true) {
+        await setDefaultAccount(supabase, user.id, accountId);
+      }
+    }
+
+    const accounts = await listEbayAccounts(supabase, user.id);
+
+    return {
+      statusCode: 200,
+      headers,
+      body: JSON.stringify({ accounts })
+    };
+
+  } catch (error) {
+    console.error('eBay accounts error:', error);
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({
+        error: 'Failed to manage eBay accounts',
+        message: error.message
+      })
+    };
+  }
+};
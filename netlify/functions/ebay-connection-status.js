@@ -47,8 +47,8 @@ exports.handler = async (event, context) => {
 
     console.log(`📊 Checking eBay connection status for user: ${user.email}`);
 
-    // Get connection status using token service
-    const tokenService = new EbayTokenService(user.id);
+    // Get connection status using token service (?accountId= for a linked account other than the default)
+    const tokenService = new EbayTokenService(user.id, event.queryStringParameters?.accountId || null);
     const status = await tokenService.getConnectionStatus();
 
     console.log(`✅ Connection status check complete:`, {
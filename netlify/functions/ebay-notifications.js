@@ -0,0 +1,374 @@
+/**
+ * eBay Notifications Webhook
+ *
+ * GET  /ebay-notifications?challenge_code=...  → Notification API endpoint validation
+ * POST /ebay-notifications (application/json)  → Marketplace Account Deletion
+ * POST /ebay-notifications (text/xml)          → Platform Notifications:
+ *      ItemSold, FixedPriceTransaction, ItemRevised, ItemClosed
+ *
+ * Events are verified, stored once per event_id in webhook_events, and
+ * applied to listings straight away, so price/quantity/status no longer
+ * wait for the hourly sync (which stays as a safety net).
+ *
+ * Env:
+ *   EBAY_VERIFICATION_TOKEN     - token entered in the eBay developer portal
+ *   EBAY_NOTIFICATION_ENDPOINT  - the exact endpoint URL registered with eBay
+ *                                 (defaults to this function on process.env.URL)
+ */
+
+const { createClient } = require('@supabase/supabase-js');
+const { decrypt } = require('./utils/ebay-oauth-helpers');
+const { getValidAccessToken } = require('./utils/ebay-oauth');
+const { getExternalPricePolicy, isExternalPriceChange, reconcileExternalPrice } = require('./utils/external-price');
+const { pushPriceToEbay } = require('./process-price-reductions');
+const { guardPushPrice } = require('./utils/automation-guard');
+const {
+  ACCOUNT_DELETION_TOPIC,
+  computeChallengeResponse,
+  verifyNotificationSignature,
+  parseAccountDeletion,
+  parsePlatformNotification,
+  verifyPlatformSignature,
+  buildListingUpdates
+} = require('./utils/ebay-notifications');
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+const headers = { 'Content-Type': 'application/json' };
+
+const respond = (statusCode, body) => ({
+  statusCode,
+  headers,
+  body: body ? JSON.stringify(body) : ''
+});
+
+function getEndpointUrl() {
+  return process.env.EBAY_NOTIFICATION_ENDPOINT || `${process.env.URL}/.netlify/functions/ebay-notifications`;
+}
+
+/**
+ * Store an event once by event_id
+ * @returns {Promise<Object|null>} The row to process, or null if it was already processed
+ */
+async function storeEvent({ eventId, eventType, userId, payload }) {
+  const { data: inserted, error } = await supabase
+    .from('webhook_events')
+    .upsert({
+      event_id: eventId,
+      event_type: eventType,
+      user_id: userId,
+      payload
+    }, { onConflict: 'event_id', ignoreDuplicates: true })
+    .select('id, processed');
+
+  if (error) throw error;
+  if (inserted?.length) return inserted[0];
+
+  // Duplicate delivery: only retry it if the first attempt failed
+  const { data: existing } = await supabase
+    .from('webhook_events')
+    .select('id, processed')
+    .eq('event_id', eventId)
+    .single();
+
+  return existing && !existing.processed ? existing : null;
+}
+
+async function markEvent(id, error = null) {
+  await supabase
+    .from('webhook_events')
+    .update({
+      processed: !error,
+      processed_at: new Date().toISOString(),
+      error: error ? error.message : null
+    })
+    .eq('id', id);
+}
+
+// ============================================
+// DISPATCH
+// ============================================
+
+/**
+ * A revised price on an auto-reduced listing may be the seller editing on
+ * eBay: route it through their external_price_policy like sync does.
+ * A listing synced after the event is left alone: the late event's price is
+ * older than the stored one and must not pause or re-assert anything.
+ */
+async function reconcileRevisedPrice(userId, itemId, updates) {
+  const { data: listing } = await supabase
+    .from('listings')
+    .select('id, ebay_account_id, source, ebay_item_id, ebay_sku, offer_id, quantity_available, current_price, last_pushed_price, enable_auto_reduction')
+    .eq('user_id', userId)
+    .eq('ebay_item_id', itemId)
+    .or(`last_sync.is.null,last_sync.lt.${updates.last_sync}`)
+    .maybeSingle();
+
+  if (!listing || !isExternalPriceChange(listing, updates.current_price)) {
+    return updates;
+  }
+
+  const { data: owner } = await supabase
+    .from('users')
+    .select('external_price_policy')
+    .eq('id', userId)
+    .single();
+
+  const { updates: priceUpdates } = await reconcileExternalPrice(supabase, listing, updates.current_price, {
+    policy: getExternalPricePolicy(owner),
+    pushPrice: guardPushPrice(supabase, userId, async (l, price) => pushPriceToEbay(await getValidAccessToken(supabase, userId, l.ebay_account_id), l, price), 'notification'),
+    source: 'notification'
+  });
+
+  return { ...updates, ...priceUpdates };
+}
+
+/**
+ * Apply an ItemSold / FixedPriceTransaction / ItemRevised / ItemClosed event
+ */
+async function dispatchPlatformNotification(userId, notification) {
+  let updates = buildListingUpdates(notification);
+  if (!updates) {
+    return { ignored: true };
+  }
+
+  if (notification.eventType === 'ItemRevised' && updates.current_price) {
+    updates = await reconcileRevisedPrice(userId, notification.item.ItemID, updates);
+  }
+
+  // Skip when the listing was synced after this event happened (late delivery)
+  const { data, error } = await supabase
+    .from('listings')
+    .update(updates)
+    .eq('user_id', userId)
+    .eq('ebay_item_id', notification.item.ItemID)
+    .or(`last_sync.is.null,last_sync.lt.${updates.last_sync}`)
+    .select('id');
+
+  if (error) throw error;
+
+  console.log(`📬 ${notification.eventType} for item ${notification.item.ItemID}: ${data?.length || 0} listing(s) updated`);
+  return { updated: data?.length || 0 };
+}
+
+/**
+ * App users a notification for this eBay user ID belongs to: owners of a
+ * linked account with it, plus users who connected before linked accounts
+ */
+async function findRecipientUsers(ebayUserId, columns = 'id') {
+  const [{ data: accounts }, { data: legacyUsers }] = await Promise.all([
+    supabase.from('ebay_accounts').select('user_id').eq('ebay_user_id', ebayUserId),
+    supabase.from('users').select('id').eq('ebay_user_id', ebayUserId)
+  ]);
+
+  const userIds = [...new Set([
+    ...(accounts || []).map(a => a.user_id),
+    ...(legacyUsers || []).map(u => u.id)
+  ])];
+  if (userIds.length === 0) return [];
+
+  const { data: users } = await supabase.from('users').select(columns).in('id', userIds);
+  return users || [];
+}
+
+/**
+ * The eBay account was deleted: disconnect it and drop the data synced from it
+ * Only that account's listings go; the user's other linked accounts are kept.
+ */
+async function dispatchAccountDeletion(ebayUserId, userIds) {
+  for (const userId of userIds) {
+    const { data: account } = await supabase
+      .from('ebay_accounts')
+      .select('id, is_default')
+      .eq('user_id', userId)
+      .eq('ebay_user_id', ebayUserId)
+      .maybeSingle();
+
+    // Listings with no account belong to the default one
+    let listingsQuery = supabase
+      .from('listings')
+      .delete()
+      .eq('user_id', userId);
+    if (account) {
+      listingsQuery = account.is_default
+        ? listingsQuery.or(`ebay_account_id.eq.${account.id},ebay_account_id.is.null`)
+        : listingsQuery.eq('ebay_account_id', account.id);
+    }
+    const { error: listingsError } = await listingsQuery;
+    if (listingsError) throw listingsError;
+
+    if (account) {
+      const { error: accountError } = await supabase
+        .from('ebay_accounts')
+        .delete()
+        .eq('id', account.id);
+      if (accountError) throw accountError;
+    }
+
+    if (!account || account.is_default) {
+      const { error: userError } = await supabase
+        .from('users')
+        .update({
+          ebay_refresh_token: null,
+          ebay_user_id: null,
+          ebay_connection_status: 'disconnected',
+          ebay_connected_at: null
+        })
+        .eq('id', userId);
+      if (userError) throw userError;
+    }
+
+    console.log(`🗑️ eBay account deleted: disconnected ${ebayUserId} from user ${userId} and removed its listings`);
+  }
+
+  return { users: userIds.length };
+}
+
+// ============================================
+// HANDLERS
+// ============================================
+
+function handleChallenge(challengeCode) {
+  const verificationToken = process.env.EBAY_VERIFICATION_TOKEN;
+  if (!verificationToken) {
+    console.error('EBAY_VERIFICATION_TOKEN is not configured');
+    return respond(500, { error: 'Verification token not configured' });
+  }
+
+  return respond(200, {
+    challengeResponse: computeChallengeResponse(challengeCode, verificationToken, getEndpointUrl())
+  });
+}
+
+async function handleAccountDeletion(rawBody, signatureHeader) {
+  // eBay expects 412 when the signature does not verify
+  if (!await verifyNotificationSignature(rawBody, signatureHeader)) {
+    console.warn('Rejected account deletion notification with an invalid signature');
+    return respond(412, { error: 'Invalid signature' });
+  }
+
+  const payload = JSON.parse(rawBody);
+  const notification = parseAccountDeletion(payload);
+  if (notification.eventType !== ACCOUNT_DELETION_TOPIC || !notification.eventId) {
+    return respond(200, { ignored: true });
+  }
+
+  const users = notification.ebayUserId
+    ? await findRecipientUsers(notification.ebayUserId)
+    : [];
+  const userIds = users.map(u => u.id);
+
+  const event = await storeEvent({
+    eventId: notification.eventId,
+    eventType: notification.eventType,
+    userId: userIds[0] || null,
+    payload
+  });
+  if (!event) {
+    return respond(200, { duplicate: true });
+  }
+
+  try {
+    const result = await dispatchAccountDeletion(notification.ebayUserId, userIds);
+    await markEvent(event.id);
+    return respond(200, { success: true, ...result });
+  } catch (error) {
+    await markEvent(event.id, error);
+    throw error;
+  }
+}
+
+async function handlePlatformNotification(rawBody) {
+  let notification;
+  try {
+    notification = await parsePlatformNotification(rawBody);
+  } catch (error) {
+    return respond(400, { error: 'Invalid notification XML' });
+  }
+
+  if (!notification.eventType || !notification.ebayUserId) {
+    return respond(400, { error: 'Not an eBay Platform Notification' });
+  }
+
+  // Signed with the recipient seller's own app keys
+  const candidates = await findRecipientUsers(notification.ebayUserId, 'id, ebay_app_id, ebay_cert_id_encrypted, ebay_dev_id');
+
+  const user = candidates.find(candidate => {
+    try {
+      return verifyPlatformSignature(notification, {
+        devId: candidate.ebay_dev_id || process.env.EBAY_DEV_ID,
+        appId: candidate.ebay_app_id,
+        certId: candidate.ebay_cert_id_encrypted ? decrypt(candidate.ebay_cert_id_encrypted) : null
+      });
+    } catch (error) {
+      console.warn(`Could not check notification signature for user ${candidate.id}:`, error.message);
+      return false;
+    }
+  });
+
+  if (!user) {
+    console.warn(`Rejected ${notification.eventType} for ${notification.ebayUserId}: no matching signature`);
+    return respond(401, { error: 'Invalid signature' });
+  }
+
+  const event = await storeEvent({
+    eventId: notification.eventId,
+    eventType: notification.eventType,
+    userId: user.id,
+    payload: {
+      timestamp: notification.timestamp,
+      recipientUserId: notification.ebayUserId,
+      item: notification.item,
+      transaction: notification.transaction
+    }
+  });
+  if (!event) {
+    return respond(200, { duplicate: true });
+  }
+
+  try {
+    const result = await dispatchPlatformNotification(user.id, notification);
+    await markEvent(event.id);
+    return respond(200, { success: true, ...result });
+  } catch (error) {
+    await markEvent(event.id, error);
+    throw error;
+  }
+}
+
+exports.handler = async (event, context) => {
+  try {
+    if (event.httpMethod === 'GET') {
+      const challengeCode = event.queryStringParameters?.challenge_code;
+      if (!challengeCode) {
+        return respond(400, { error: 'challenge_code is required' });
+      }
+      return handleChallenge(challengeCode);
+    }
+
+    if (event.httpMethod !== 'POST') {
+      return respond(405, { error: 'Method not allowed' });
+    }
+
+    const rawBody = event.isBase64Encoded
+      ? Buffer.from(event.body || '', 'base64').toString('utf8')
+      : event.body || '';
+    const contentType = event.headers['content-type'] || event.headers['Content-Type'] || '';
+
+    if (contentType.includes('json') || rawBody.trim().startsWith('{')) {
+      return await handleAccountDeletion(rawBody, event.headers['x-ebay-signature'] || event.headers['X-EBAY-SIGNATURE']);
+    }
+
+    return await handlePlatformNotification(rawBody);
+
+  } catch (error) {
+    console.error('eBay notification error:', error);
+    return respond(500, {
+      error: 'Failed to process notification',
+      message: error.message
+    });
+  }
+};
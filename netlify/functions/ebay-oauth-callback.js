@@ -2,13 +2,19 @@
 // It's a separate function to handle the redirect properly
 
 const crypto = require('crypto');
+const { createClient } = require('@supabase/supabase-js');
 const { encrypt, decrypt } = require('./utils/ebay-oauth-helpers');
+const { subscribeToPlatformNotifications } = require('./utils/ebay-notifications');
+const { saveConnectedAccount } = require('./utils/ebay-accounts');
 
 // Supabase configuration
 const SUPABASE_URL = process.env.SUPABASE_URL;
 const SUPABASE_ANON_KEY = process.env.SUPABASE_ANON_KEY;
 const SUPABASE_SERVICE_KEY = process.env.SUPABASE_SERVICE_ROLE_KEY || process.env.SUPABASE_SERVICE_KEY;
 
+// Service-role client for ebay_accounts (see utils/ebay-accounts.js)
+const supabase = createClient(SUPABASE_URL, SUPABASE_SERVICE_KEY);
+
 // Helper function to make Supabase API calls
 async function supabaseRequest(endpoint, method = 'GET', body = null, headers = {}, useServiceKey = false) {
   const url = `${SUPABASE_URL}/rest/v1/${endpoint}`;
@@ -336,23 +342,42 @@ exports.handler = async (event, context) => {
       console.log('- Access token expires:', accessTokenExpiry.toISOString());
       console.log('- Refresh token expires:', refreshTokenExpiry.toISOString());
 
-      // Update user record with all required fields
+      // Store the linked account: a new store, or a reconnect of one we know
+      // (matched by eBay user ID)
       // Note: Access tokens are ephemeral (2-hour lifetime) and obtained on-demand
       // We only store the refresh token (18-month lifetime)
-      await supabaseRequest(
-        `users?id=eq.${userId}`,
-        'PATCH',
-        {
-          ebay_refresh_token: encryptedToken,
-          ebay_connection_status: 'connected',
-          ebay_connected_at: now.toISOString(),
-          ebay_user_id: ebayUserId
-        },
-        {},
-        true // Use service key for updating users table
-      );
+      const account = await saveConnectedAccount(supabase, userId, {
+        ebayUserId,
+        refreshToken: encryptedToken,
+        refreshTokenExpiresAt: refreshTokenExpiry.toISOString()
+      });
+
+      // The users columns mirror the default account only
+      if (account.is_default) {
+        await supabaseRequest(
+          `users?id=eq.${userId}`,
+          'PATCH',
+          {
+            ebay_refresh_token: encryptedToken,
+            ebay_connection_status: 'connected',
+            ebay_connected_at: now.toISOString(),
+            ebay_user_id: ebayUserId
+          },
+          {},
+          true // Use service key for updating users table
+        );
+      }
 
-      console.log('Refresh token stored successfully');
+      console.log(`Refresh token stored successfully for eBay account ${account.id}`);
+
+      // Push sales, revisions and closures to ebay-notifications instead of waiting for the hourly sync
+      try {
+        const siteUrl = process.env.URL || 'https://dainty-horse-49c336.netlify.app';
+        await subscribeToPlatformNotifications(tokenData.access_token, `${siteUrl}/.netlify/functions/ebay-notifications`);
+        console.log('Subscribed to eBay Platform Notifications');
+      } catch (e) {
+        console.warn('Could not subscribe to eBay Platform Notifications:', e.message);
+      }
 
       // Return success page
       return {
@@ -385,7 +410,8 @@ exports.handler = async (event, context) => {
               if (window.opener) {
                 window.opener.postMessage({
                   type: 'ebay-oauth-success',
-                  ebayUser: '${ebayUserId || ''}'
+                  ebayUser: '${ebayUserId || ''}',
+                  ebayAccountId: '${account.id}'
                 }, '*');
               }
               // Close window after 3 seconds
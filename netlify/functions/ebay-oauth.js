@@ -150,7 +150,7 @@ exports.handler = async (event, context) => {
   }
 
   try {
-    const { action, code, state } = event.queryStringParameters || {};
+    const { action, code, state, addAccount } = event.queryStringParameters || {};
 
     // If we receive a code and state without an action, this is the OAuth callback
     if (code && state && !action) {
@@ -284,7 +284,10 @@ exports.handler = async (event, context) => {
         `scope=${encodeURIComponent('https://api.ebay.com/oauth/api_scope https://api.ebay.com/oauth/api_scope/sell.marketing.readonly https://api.ebay.com/oauth/api_scope/sell.marketing https://api.ebay.com/oauth/api_scope/sell.inventory.readonly https://api.ebay.com/oauth/api_scope/sell.inventory https://api.ebay.com/oauth/api_scope/sell.account.readonly https://api.ebay.com/oauth/api_scope/sell.account https://api.ebay.com/oauth/api_scope/sell.fulfillment.readonly https://api.ebay.com/oauth/api_scope/sell.fulfillment https://api.ebay.com/oauth/api_scope/sell.analytics.readonly')}&` +
         `state=${oauthState}&` +
         `code_challenge=${codeChallenge}&` +
-        `code_challenge_method=S256`;
+        `code_challenge_method=S256` +
+        // Linking another store: make eBay ask which seller to sign in as
+        // instead of reusing the account the browser is signed in to
+        (addAccount === 'true' ? '&prompt=login' : '');
 
       return {
         statusCode: 200,
@@ -384,6 +387,21 @@ exports.handler = async (event, context) => {
           true // Use service key for protected table
         );
 
+        // No eBay user ID on this path, so it reconnects the default linked account
+        await supabaseRequest(
+          `ebay_accounts?user_id=eq.${authUser.id}&is_default=eq.true`,
+          'PATCH',
+          {
+            refresh_token: encryptedToken,
+            access_token: null,
+            token_expires_at: null,
+            connection_status: 'connected',
+            connected_at: new Date().toISOString()
+          },
+          {},
+          true // Use service key for protected table
+        );
+
         return {
           statusCode: 200,
           headers,
@@ -853,6 +871,22 @@ exports.handler = async (event, context) => {
 
         console.log('Update result:', updateResult);
 
+        // The users columns mirror the default linked account; disconnect it too
+        // (other linked accounts are disconnected through ebay-accounts)
+        await supabaseRequest(
+          `ebay_accounts?user_id=eq.${authUser.id}&is_default=eq.true`,
+          'PATCH',
+          {
+            refresh_token: null,
+            access_token: null,
+            token_expires_at: null,
+            connection_status: 'disconnected',
+            connected_at: null
+          },
+          {},
+          true // Use service key
+        );
+
         // Verify the update worked
         if (updateResult && updateResult.length > 0) {
           const updatedUser = updateResult[0];
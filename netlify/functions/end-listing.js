@@ -1,5 +1,52 @@
 const { supabase } = require('./utils/supabase');
 const { EbayApiClient } = require('./utils/ebay-api-client');
+const { getListingAccess, hasRole } = require('./utils/organizations');
+const { getRequestId, getAuditSource, recordAudit } = require('./utils/audit-log');
+
+/**
+ * Whether an eBay error means the listing is already ended or gone
+ * eBay error codes/messages for already-ended listings:
+ * - "The auction has already been closed"
+ * - "Item status is invalid"
+ * - "already ended"
+ * - "The item is closed"
+ */
+function isAlreadyClosedError(error) {
+  const errorMsg = (error?.message || '').toLowerCase();
+  return errorMsg.includes('already') ||
+    errorMsg.includes('closed') ||
+    errorMsg.includes('ended') ||
+    errorMsg.includes('invalid') ||
+    errorMsg.includes('not exist') ||
+    errorMsg.includes('not found');
+}
+
+/**
+ * End a listing on eBay (Trading API EndItem)
+ * An already-ended listing counts as success. Also used by the end-of-life
+ * actions in process-price-reductions.js.
+ *
+ * @param {string} userId - Listing owner (whose eBay token is used)
+ * @param {string} itemId - eBay item ID
+ * @param {string} reason - EndingReason (default: 'NotAvailable')
+ * @param {string|null} accountId - Linked eBay account the listing lives on (null: default)
+ * @returns {Object} { alreadyClosed }
+ */
+async function endListingOnEbay(userId, itemId, reason = 'NotAvailable', accountId = null) {
+  const ebayClient = new EbayApiClient(userId, accountId);
+  await ebayClient.initialize();
+
+  try {
+    const endResponse = await ebayClient.endListing(itemId, reason);
+    console.log(`Successfully ended listing ${itemId} on eBay:`, endResponse);
+    return { alreadyClosed: false };
+  } catch (ebayError) {
+    if (isAlreadyClosedError(ebayError)) {
+      return { alreadyClosed: true };
+    }
+    throw ebayError;
+  }
+}
 
 /**
  * End a listing on eBay
@@ -63,15 +110,15 @@ exports.handler = async (event, context) => {
       };
     }
 
-    // Get listing from database
-    const { data: listing, error: fetchError } = await supabase
-      .from('listings')
-      .select('id, ebay_item_id, title, quantity, listing_status')
-      .eq('id', listingId)
-      .eq('user_id', user.id)
-      .single();
+    // Get listing from database (own listing, or a teammate's through an organization)
+    const { listing, role } = await getListingAccess(
+      supabase,
+      user.id,
+      listingId,
+      'id, user_id, ebay_account_id, ebay_item_id, title, quantity, listing_status'
+    );
 
-    if (fetchError || !listing) {
+    if (!listing) {
       return {
         statusCode: 404,
         headers,
@@ -79,6 +126,14 @@ exports.handler = async (event, context) => {
       };
     }
 
+    if (!hasRole(role, 'manager')) {
+      return {
+        statusCode: 403,
+        headers,
+        body: JSON.stringify({ error: 'Viewers cannot end listings' })
+      };
+    }
+
     // Allow closing if:
     // 1. Quantity is 0 (sold out), OR
     // 2. Listing status is 'Ended' (already ended on eBay)
@@ -92,15 +147,9 @@ exports.handler = async (event, context) => {
       };
     }
 
-    // Initialize eBay API client
-    const ebayClient = new EbayApiClient(user.id);
-    await ebayClient.initialize();
-
     // End the listing on eBay
     try {
-      const endResponse = await ebayClient.endListing(listing.ebay_item_id, 'NotAvailable');
-
-      console.log(`Successfully ended listing ${listing.ebay_item_id} on eBay:`, endResponse);
+      const { alreadyClosed } = await endListingOnEbay(listing.user_id, listing.ebay_item_id, 'NotAvailable', listing.ebay_account_id);
 
       // Update database to mark listing as Ended AND hidden (manually closed)
       const { error: updateError } = await supabase
@@ -110,19 +159,37 @@ exports.handler = async (event, context) => {
           hidden: true,
           updated_at: new Date().toISOString()
         })
-        .eq('id', listingId)
-        .eq('user_id', user.id);
+        .eq('id', listingId);
 
       if (updateError) {
         console.error('Failed to update listing status in database:', updateError);
         // Don't fail the request - listing was ended on eBay successfully
       }
 
+      await recordAudit(supabase, {
+        userId: listing.user_id,
+        actorId: user.id,
+        source: getAuditSource(event),
+        action: 'listing.ended',
+        entityType: 'listing',
+        entityId: listing.id,
+        before: { listing_status: listing.listing_status, hidden: false },
+        after: { listing_status: 'Ended', hidden: true },
+        requestId: getRequestId(event, context),
+        metadata: { title: listing.title, ebayItemId: listing.ebay_item_id, alreadyClosed }
+      });
+
+      if (alreadyClosed) {
+        console.log(`✅ Listing ${listing.ebay_item_id} was already ended on eBay, updated database`);
+      }
+
       return {
         statusCode: 200,
         headers,
         body: JSON.stringify({
-          message: 'Listing ended successfully on eBay',
+          message: alreadyClosed
+            ? 'Listing was already ended on eBay (marked as ended in database)'
+            : 'Listing ended successfully on eBay',
           listing: {
             id: listing.id,
             title: listing.title,
@@ -133,49 +200,6 @@ exports.handler = async (event, context) => {
 
     } catch (ebayError) {
       console.error('eBay API error when ending listing:', ebayError);
-      const errorMsg = ebayError.message || '';
-
-      // Check if listing is already ended or no longer exists
-      // eBay error codes/messages for already-ended listings:
-      // - "The auction has already been closed"
-      // - "Item status is invalid"
-      // - "already ended"
-      // - "The item is closed"
-      const isAlreadyClosed =
-        errorMsg.toLowerCase().includes('already') ||
-        errorMsg.toLowerCase().includes('closed') ||
-        errorMsg.toLowerCase().includes('ended') ||
-        errorMsg.toLowerCase().includes('invalid') ||
-        errorMsg.toLowerCase().includes('not exist') ||
-        errorMsg.toLowerCase().includes('not found');
-
-      if (isAlreadyClosed) {
-        // Update database anyway - treat as success, mark as hidden (manually closed)
-        await supabase
-          .from('listings')
-          .update({
-            listing_status: 'Ended',
-            hidden: true,
-            updated_at: new Date().toISOString()
-          })
-          .eq('id', listingId)
-          .eq('user_id', user.id);
-
-        console.log(`✅ Listing ${listing.ebay_item_id} was already ended on eBay, updated database`);
-
-        return {
-          statusCode: 200,
-          headers,
-          body: JSON.stringify({
-            message: 'Listing was already ended on eBay (marked as ended in database)',
-            listing: {
-              id: listing.id,
-              title: listing.title,
-              ebay_item_id: listing.ebay_item_id
-            }
-          })
-        };
-      }
 
       // Different error - return as failure
       return {
@@ -198,3 +222,5 @@ exports.handler = async (event, context) => {
     };
   }
 };
+
+exports.endListingOnEbay = endListingOnEbay;
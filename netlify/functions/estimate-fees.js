@@ -0,0 +1,116 @@
+const { createClient } = require('@supabase/supabase-js');
+const { getCorsHeaders } = require('./utils/cors');
+const { listAccessibleUserIds } = require('./utils/organizations');
+const {
+  loadFeeContext,
+  estimateListingFees
+} = require('./utils/listing-fees');
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+const MAX_LISTINGS = 200;
+
+const FEE_COLUMNS = 'id, user_id, current_price, category_id, item_cost, inbound_shipping_cost, shipping_cost, promoted_ad_rate';
+
+/**
+ * Fee and net-proceeds estimates (utils/listing-fees.js)
+ *
+ * POST /estimate-fees
+ *   { listingIds: [...] }
+ *       → { estimates: { <listingId>: { netProceeds, profit, marginPercentage, ... } } }
+ *       at each listing's current price with its own costs; teammates' listings
+ *       use their owner's fee rates
+ *   { price, categoryId?, itemCost?, inboundShippingCost?, shippingCost?, promotedAdRate? }
+ *       → { estimate } for a listing that does not exist yet
+ */
+exports.handler = async (event, context) => {
+  const headers = getCorsHeaders(event);
+
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 200, headers, body: '' };
+  }
+
+  if (event.httpMethod !== 'POST') {
+    return { statusCode: 405, headers, body: JSON.stringify({ error: 'Method not allowed' }) };
+  }
+
+  try {
+    const authHeader = event.headers.authorization || event.headers.Authorization;
+    if (!authHeader) {
+      return { statusCode: 401, headers, body: JSON.stringify({ error: 'Unauthorized' }) };
+    }
+
+    const token = authHeader.substring(7);
+    const { data: { user }, error: authError } = await supabase.auth.getUser(token);
+
+    if (authError || !user) {
+      return { statusCode: 401, headers, body: JSON.stringify({ error: 'Invalid token' }) };
+    }
+
+    const body = JSON.parse(event.body || '{}');
+
+    if (!Array.isArray(body.listingIds)) {
+      const price = parseFloat(body.price);
+      if (isNaN(price) || price < 0) {
+        return { statusCode: 400, headers, body: JSON.stringify({ error: 'price or listingIds is required' }) };
+      }
+
+      const feeContext = await loadFeeContext(supabase, user.id);
+      const estimate = estimateListingFees({
+        current_price: price,
+        category_id: body.categoryId || null,
+        item_cost: body.itemCost,
+        inbound_shipping_cost: body.inboundShippingCost,
+        shipping_cost: body.shippingCost,
+        promoted_ad_rate: body.promotedAdRate
+      }, feeContext);
+
+      return { statusCode: 200, headers, body: JSON.stringify({ estimate }) };
+    }
+
+    if (body.listingIds.length > MAX_LISTINGS) {
+      return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify({ error: `Estimates are limited to ${MAX_LISTINGS} listings per request` })
+      };
+    }
+
+    if (body.listingIds.length === 0) {
+      return { statusCode: 200, headers, body: JSON.stringify({ estimates: {} }) };
+    }
+
+    const ownerIds = await listAccessibleUserIds(supabase, user.id);
+    const { data: listings, error: fetchError } = await supabase
+      .from('listings')
+      .select(FEE_COLUMNS)
+      .in('id', body.listingIds)
+      .in('user_id', ownerIds);
+
+    if (fetchError) throw fetchError;
+
+    // One fee context per listing owner
+    const contexts = new Map();
+    for (const ownerId of new Set((listings || []).map(l => l.user_id))) {
+      contexts.set(ownerId, await loadFeeContext(supabase, ownerId));
+    }
+
+    const estimates = {};
+    for (const listing of listings || []) {
+      estimates[listing.id] = estimateListingFees(listing, contexts.get(listing.user_id));
+    }
+
+    return { statusCode: 200, headers, body: JSON.stringify({ estimates }) };
+
+  } catch (error) {
+    console.error('estimate-fees error:', error);
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({ error: 'Failed to estimate fees', message: error.message })
+    };
+  }
+};
@@ -0,0 +1,142 @@
+const { createClient } = require('@supabase/supabase-js');
+const { getCorsHeaders } = require('./utils/cors');
+const { getRequestId, getAuditSource, recordAudit } = require('./utils/audit-log');
+const { isAdministrator } = require('./utils/admins');
+const {
+  FeeScheduleError,
+  getActiveFeeSchedule,
+  listFeeSchedules,
+  getFeeSchedule,
+  createFeeScheduleVersion,
+  updateFeeSchedule,
+  deleteFeeSchedule
+} = require('./utils/fee-schedules');
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+// Audit entries keep the rates, not the per-category rows
+const summarize = (schedule) => schedule && {
+  version: schedule.version,
+  name: schedule.name,
+  effective_from: schedule.effectiveFrom,
+  default_final_value_fee_percentage: schedule.defaultFinalValueFeePercentage,
+  per_order_fee: schedule.perOrderFee,
+  categories: schedule.categories?.length ?? 0
+};
+
+/**
+ * eBay fee tables (utils/fee-schedules.js)
+ *
+ * GET    /fee-schedules              → { active, schedules, canEdit }
+ * GET    /fee-schedules?id=<id>      → one version with its category rates
+ * POST   /fee-schedules  { copyFromId?, name?, effectiveFrom?, ... }   new version (admins)
+ * PUT    /fee-schedules  { id, name?, effectiveFrom?, defaultFinalValueFeePercentage?,
+ *                          tierThreshold?, aboveThresholdFeePercentage?, perOrderFee?,
+ *                          smallOrderPerOrderFee?, smallOrderThreshold?, notes?,
+ *                          categories?: [{ categoryId, categoryName, finalValueFeePercentage,
+ *                                          tierThreshold, aboveThresholdFeePercentage }] }
+ *                                     edit a version that has not taken effect (admins)
+ * DELETE /fee-schedules?id=<id>      delete a version that never took effect (admins)
+ *
+ * Administrators are listed in ADMIN_EMAILS (utils/admins.js).
+ */
+exports.handler = async (event, context) => {
+  const headers = getCorsHeaders(event);
+
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 200, headers, body: '' };
+  }
+
+  if (!['GET', 'POST', 'PUT', 'DELETE'].includes(event.httpMethod)) {
+    return { statusCode: 405, headers, body: JSON.stringify({ error: 'Method not allowed' }) };
+  }
+
+  try {
+    const authHeader = event.headers.authorization || event.headers.Authorization;
+    if (!authHeader) {
+      return { statusCode: 401, headers, body: JSON.stringify({ error: 'Unauthorized' }) };
+    }
+
+    const token = authHeader.substring(7);
+    const { data: { user }, error: authError } = await supabase.auth.getUser(token);
+
+    if (authError || !user) {
+      return { statusCode: 401, headers, body: JSON.stringify({ error: 'Invalid token' }) };
+    }
+
+    const params = event.queryStringParameters || {};
+
+    if (event.httpMethod === 'GET') {
+      if (params.id) {
+        const schedule = await getFeeSchedule(supabase, params.id);
+        return { statusCode: 200, headers, body: JSON.stringify({ schedule }) };
+      }
+
+      const [active, schedules] = await Promise.all([
+        getActiveFeeSchedule(supabase),
+        listFeeSchedules(supabase)
+      ]);
+
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify({ active, schedules, canEdit: isAdministrator(user) })
+      };
+    }
+
+    if (!isAdministrator(user)) {
+      return {
+        statusCode: 403,
+        headers,
+        body: JSON.stringify({ error: 'Only administrators can change the fee tables' })
+      };
+    }
+
+    const audit = {
+      userId: user.id,
+      actorId: user.id,
+      source: getAuditSource(event),
+      requestId: getRequestId(event, context),
+      action: 'system.fee_schedule_changed',
+      entityType: 'fee_schedule'
+    };
+
+    if (event.httpMethod === 'DELETE') {
+      const deleted = await deleteFeeSchedule(supabase, params.id);
+      await recordAudit(supabase, { ...audit, entityId: deleted.id, before: summarize(deleted), after: null });
+      return { statusCode: 200, headers, body: JSON.stringify({ success: true }) };
+    }
+
+    const body = JSON.parse(event.body || '{}');
+
+    if (event.httpMethod === 'POST') {
+      const schedule = await createFeeScheduleVersion(supabase, user.id, body);
+      await recordAudit(supabase, { ...audit, entityId: schedule.id, before: null, after: summarize(schedule) });
+      console.log(`💲 Fee schedule v${schedule.version} created by ${user.email}, effective ${schedule.effectiveFrom}`);
+      return { statusCode: 200, headers, body: JSON.stringify({ schedule }) };
+    }
+
+    // PUT
+    const { id, ...changes } = body;
+    const before = await getFeeSchedule(supabase, id);
+    const schedule = await updateFeeSchedule(supabase, id, changes);
+    await recordAudit(supabase, { ...audit, entityId: schedule.id, before: summarize(before), after: summarize(schedule) });
+
+    return { statusCode: 200, headers, body: JSON.stringify({ schedule }) };
+
+  } catch (error) {
+    if (error instanceof FeeScheduleError) {
+      return { statusCode: error.statusCode, headers, body: JSON.stringify({ error: error.message }) };
+    }
+
+    console.error('fee-schedules error:', error);
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({ error: 'Fee schedule request failed', message: error.message })
+    };
+  }
+};
@@ -0,0 +1,198 @@
+const { createClient } = require('@supabase/supabase-js');
+const { getCorsHeaders } = require('./utils/cors');
+const { validateStrategy } = require('./utils/strategy-types');
+const { analysisFromListing } = require('./utils/competitive-pricing-service');
+const {
+  DEFAULT_FORECAST_MAX_STEPS,
+  getReductionIntervalDays,
+  simulateReductionTimeline
+} = require('./utils/pricing-core');
+const { fetchUserSchedules } = require('./utils/reduction-calendar');
+const { loadFeeContext, estimateListingFees } = require('./utils/listing-fees');
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+const MAX_LISTINGS = 50;
+const MAX_STEPS = 200;
+
+/**
+ * Forecast Price Reductions
+ *
+ * POST /forecast-price-reductions
+ * Body: { strategyId | strategy, listingIds: [], maxSteps? }
+ *
+ * Projects the price timeline each listing would follow under a strategy
+ * until it reaches minimum_price, using the same pricing core and reduction
+ * calendars as the scheduled job. Nothing is written; pass an unsaved
+ * strategy object to preview a rule before creating it. Each forecast and
+ * timeline step carries the estimated net proceeds (utils/listing-fees.js),
+ * plus profit and margin when the listing has an item cost.
+ */
+exports.handler = async (event, context) => {
+  const headers = getCorsHeaders(event);
+
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 200, headers, body: '' };
+  }
+
+  if (event.httpMethod !== 'POST') {
+    return {
+      statusCode: 405,
+      headers,
+      body: JSON.stringify({ error: 'Method not allowed' })
+    };
+  }
+
+  try {
+    // Authenticate user
+    const authHeader = event.headers.authorization || event.headers.Authorization;
+    if (!authHeader?.startsWith('Bearer ')) {
+      return {
+        statusCode: 401,
+        headers,
+        body: JSON.stringify({ error: 'Authentication required' })
+      };
+    }
+
+    const token = authHeader.replace('Bearer ', '');
+    const { data: { user }, error: authError } = await supabase.auth.getUser(token);
+
+    if (authError || !user) {
+      return {
+        statusCode: 401,
+        headers,
+        body: JSON.stringify({ error: 'Invalid authentication' })
+      };
+    }
+
+    const { strategyId, strategy: draftStrategy, listingIds, maxSteps } = JSON.parse(event.body || '{}');
+
+    if (!Array.isArray(listingIds) || listingIds.length === 0) {
+      return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify({ error: 'listingIds must be a non-empty array' })
+      };
+    }
+
+    if (listingIds.length > MAX_LISTINGS) {
+      return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify({ error: `Forecast is limited to ${MAX_LISTINGS} listings per request` })
+      };
+    }
+
+    // Saved strategy (must belong to the user) or an unsaved draft
+    let strategy = draftStrategy || null;
+    if (strategyId) {
+      const { data, error } = await supabase
+        .from('strategies')
+        .select('*')
+        .eq('id', strategyId)
+        .eq('user_id', user.id)
+        .single();
+
+      if (error || !data) {
+        return {
+          statusCode: 404,
+          headers,
+          body: JSON.stringify({ error: 'Strategy not found' })
+        };
+      }
+      strategy = data;
+    }
+
+    if (strategy) {
+      const validation = validateStrategy(strategy);
+      if (!validation.valid) {
+        return {
+          statusCode: 400,
+          headers,
+          body: JSON.stringify({ error: validation.error })
+        };
+      }
+    }
+
+    const { data: listings, error: fetchError } = await supabase
+      .from('listings')
+      .select('*')
+      .in('id', listingIds)
+      .eq('user_id', user.id);
+
+    if (fetchError) {
+      throw new Error(`Failed to fetch listings: ${fetchError.message}`);
+    }
+
+    const steps = Math.min(Math.max(parseInt(maxSteps) || DEFAULT_FORECAST_MAX_STEPS, 1), MAX_STEPS);
+    const now = new Date();
+    const userSchedule = (await fetchUserSchedules(supabase, [user.id])).get(user.id);
+    const feeContext = await loadFeeContext(supabase, user.id);
+
+    const forecasts = (listings || []).map(listing => {
+      // Competitor-anchored strategies use the stored analysis; forecasts never call eBay
+      const forecast = simulateReductionTimeline(listing, strategy, {
+        now,
+        maxSteps: steps,
+        marketAnalysis: analysisFromListing(listing),
+        userSchedule
+      });
+      const finalFees = estimateListingFees(listing, feeContext, forecast.finalPrice);
+
+      return {
+        listingId: listing.id,
+        title: listing.title,
+        intervalDays: getReductionIntervalDays(listing, strategy),
+        ...forecast,
+        timeline: forecast.timeline.map(point => ({
+          ...point,
+          netProceeds: estimateListingFees(listing, feeContext, point.price).netProceeds
+        })),
+        startNetProceeds: estimateListingFees(listing, feeContext, forecast.startPrice).netProceeds,
+        finalNetProceeds: finalFees.netProceeds,
+        finalProfit: finalFees.profit,
+        finalMarginPercentage: finalFees.marginPercentage
+      };
+    });
+
+    const summary = {
+      listings: forecasts.length,
+      reachingMinimum: forecasts.filter(f => f.reachesMinimum).length,
+      totalSteps: forecasts.reduce((sum, f) => sum + f.steps, 0),
+      totalMarginGivenUp: Math.round(forecasts.reduce((sum, f) => sum + f.marginGivenUp, 0) * 100) / 100,
+      totalNetGivenUp: Math.round(forecasts.reduce((sum, f) => sum + (f.startNetProceeds - f.finalNetProceeds), 0) * 100) / 100,
+      unprofitableAtFinal: forecasts.filter(f => f.finalProfit !== null && f.finalProfit < 0).length,
+      lastReductionAt: forecasts
+        .map(f => f.timeline[f.timeline.length - 1]?.date)
+        .filter(Boolean)
+        .sort()
+        .pop() || null
+    };
+
+    return {
+      statusCode: 200,
+      headers,
+      body: JSON.stringify({
+        success: true,
+        strategy: strategy ? { id: strategy.id || null, name: strategy.name || null } : null,
+        maxSteps: steps,
+        summary,
+        forecasts
+      })
+    };
+
+  } catch (error) {
+    console.error('Forecast price reductions error:', error);
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({
+        error: 'Failed to forecast price reductions',
+        message: error.message
+      })
+    };
+  }
+};
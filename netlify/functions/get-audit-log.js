@@ -0,0 +1,231 @@
+const { createClient } = require('@supabase/supabase-js');
+const { getCorsHeaders } = require('./utils/cors');
+const { listAccessibleUserIds } = require('./utils/organizations');
+const { AUDIT_SOURCES } = require('./utils/audit-log');
+
+// Initialize Supabase client
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+const MAX_PAGE_SIZE = 200;
+const MAX_EXPORT_ROWS = 10000;
+const EXPORT_PAGE_SIZE = 1000; // PostgREST returns at most 1000 rows per request
+
+const CSV_COLUMNS = [
+  ['created_at', 'Time'],
+  ['action', 'Action'],
+  ['source', 'Source'],
+  ['actor_email', 'Actor'],
+  ['owner_email', 'Owner'],
+  ['entity_type', 'Entity Type'],
+  ['entity_id', 'Entity ID'],
+  ['before_values', 'Before'],
+  ['after_values', 'After'],
+  ['request_id', 'Request ID'],
+  ['metadata', 'Details']
+];
+
+// Spreadsheets run a cell starting with = + - @ (or tab / CR) as a formula;
+// a leading ' keeps it text. request_id comes from the caller's x-request-id.
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  let text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(entries) {
+  const lines = [CSV_COLUMNS.map(([, label]) => label).join(',')];
+  for (const entry of entries) {
+    lines.push(CSV_COLUMNS.map(([key]) => csvCell(entry[key])).join(','));
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Audit trail for the authenticated user and their organization teammates
+ *
+ * GET /get-audit-log
+ *   ?action=listing.ended   exact action
+ *   ?source=ui|scheduler|api
+ *   ?entityType=listing     ?entityId=<id>
+ *   ?actorId=<user id>      ?requestId=<id>
+ *   ?from=ISO&to=ISO        created_at range
+ *   ?limit=50&offset=0      paging (JSON only)
+ *   ?format=csv             every matching row (up to 10,000) as a CSV download
+ */
+const handler = async (event, context) => {
+  const headers = getCorsHeaders(event);
+
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 200, headers, body: '' };
+  }
+
+  if (event.httpMethod !== 'GET') {
+    return {
+      statusCode: 405,
+      headers,
+      body: JSON.stringify({ error: 'Method not allowed' })
+    };
+  }
+
+  try {
+    const authHeader = event.headers.authorization || event.headers.Authorization;
+    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+      return {
+        statusCode: 401,
+        headers,
+        body: JSON.stringify({ error: 'Authentication required' })
+      };
+    }
+
+    const token = authHeader.replace('Bearer ', '');
+    const { data: { user }, error: authError } = await supabase.auth.getUser(token);
+
+    if (authError || !user) {
+      return {
+        statusCode: 401,
+        headers,
+        body: JSON.stringify({ error: 'Invalid authentication token' })
+      };
+    }
+
+    const params = event.queryStringParameters || {};
+    const isCsv = params.format === 'csv';
+    const limit = Math.min(parseInt(params.limit) || 50, MAX_PAGE_SIZE);
+    const offset = Math.max(parseInt(params.offset) || 0, 0);
+
+    if (params.source && !AUDIT_SOURCES.includes(params.source)) {
+      return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify({ error: `source must be one of: ${AUDIT_SOURCES.join(', ')}` })
+      };
+    }
+
+    // Own entries plus teammates' (add-organizations.sql)
+    const userIds = await listAccessibleUserIds(supabase, user.id);
+
+    const buildQuery = (options) => {
+      let query = supabase
+        .from('audit_log')
+        .select('*', options)
+        .in('user_id', userIds)
+        .order('created_at', { ascending: false })
+        .order('id', { ascending: false });
+
+      if (params.action) query = query.eq('action', params.action);
+      if (params.source) query = query.eq('source', params.source);
+      if (params.entityType) query = query.eq('entity_type', params.entityType);
+      if (params.entityId) query = query.eq('entity_id', params.entityId);
+      if (params.actorId) query = query.eq('actor_id', params.actorId);
+      if (params.requestId) query = query.eq('request_id', params.requestId);
+      if (params.from) query = query.gte('created_at', params.from);
+      if (params.to) query = query.lte('created_at', params.to);
+      return query;
+    };
+
+    let rows = [];
+    let count = null;
+    if (isCsv) {
+      // One page per request, up to MAX_EXPORT_ROWS
+      for (let from = 0; from < MAX_EXPORT_ROWS; from += EXPORT_PAGE_SIZE) {
+        const to = Math.min(from + EXPORT_PAGE_SIZE, MAX_EXPORT_ROWS) - 1;
+        const { data, error: pageError } = await buildQuery().range(from, to);
+        if (pageError) throw pageError;
+        rows.push(...(data || []));
+        if (!data || data.length < to - from + 1) break;
+      }
+    } else {
+      const { data, error: queryError, count: total } = await buildQuery({ count: 'exact' })
+        .range(offset, offset + limit - 1);
+      if (queryError) throw queryError;
+      rows = data || [];
+      count = total;
+    }
+
+    // Emails for actor / owner columns
+    const peopleIds = [...new Set((rows || []).flatMap(r => [r.actor_id, r.user_id]).filter(Boolean))];
+    let emailById = new Map();
+    if (peopleIds.length > 0) {
+      const { data: people, error: peopleError } = await supabase
+        .from('users')
+        .select('id, email')
+        .in('id', peopleIds);
+      if (peopleError) throw peopleError;
+      emailById = new Map((people || []).map(p => [p.id, p.email]));
+    }
+
+    const entries = (rows || []).map(row => ({
+      ...row,
+      actor_email: row.actor_id ? emailById.get(row.actor_id) || null : null,
+      owner_email: emailById.get(row.user_id) || null
+    }));
+
+    if (isCsv) {
+      return {
+        statusCode: 200,
+        headers: {
+          ...headers,
+          'Content-Type': 'text/csv; charset=utf-8',
+          'Content-Disposition': `attachment; filename="audit-log-${new Date().toISOString().slice(0, 10)}.csv"`
+        },
+        body: toCsv(entries)
+      };
+    }
+
+    // Actions present for this user's data, for the filter dropdown
+    const { data: actionRows, error: actionsError } = await supabase
+      .from('audit_log')
+      .select('action')
+      .in('user_id', userIds)
+      .order('created_at', { ascending: false })
+      .limit(1000);
+    if (actionsError) throw actionsError;
+
+    return {
+      statusCode: 200,
+      headers,
+      body: JSON.stringify({
+        success: true,
+        entries: entries.map(entry => ({
+          id: entry.id,
+          userId: entry.user_id,
+          ownerEmail: entry.owner_email,
+          actorId: entry.actor_id,
+          actorEmail: entry.actor_email,
+          source: entry.source,
+          action: entry.action,
+          entityType: entry.entity_type,
+          entityId: entry.entity_id,
+          before: entry.before_values,
+          after: entry.after_values,
+          requestId: entry.request_id,
+          metadata: entry.metadata,
+          createdAt: entry.created_at
+        })),
+        total: count || 0,
+        limit,
+        offset,
+        actions: [...new Set((actionRows || []).map(r => r.action))].sort(),
+        timestamp: new Date().toISOString()
+      })
+    };
+
+  } catch (error) {
+    console.error('Failed to fetch audit log:', error);
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({
+        success: false,
+        error: error.message,
+        timestamp: new Date().toISOString()
+      })
+    };
+  }
+};
+
+module.exports = { handler };
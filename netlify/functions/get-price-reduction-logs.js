@@ -1,6 +1,7 @@
 const { Handler } = require('@netlify/functions');
 const { createClient } = require('@supabase/supabase-js');
 const { getCorsHeaders } = require('./utils/cors');
+const { listAccessibleUserIds } = require('./utils/organizations');
 
 // Initialize Supabase client
 const supabase = createClient(
@@ -9,8 +10,9 @@ const supabase = createClient(
 );
 
 /**
- * Get price reduction logs for the authenticated user
- * Shows recent price reductions with details
+ * Get price reduction logs for the authenticated user and their organization teammates
+ * Shows recent price reductions with details. Recovery rows (price raises)
+ * carry negative amounts and are counted separately from savings.
  */
 const handler = async (event, context) => {
   const headers = getCorsHeaders(event);
@@ -54,26 +56,34 @@ const handler = async (event, context) => {
     const queryParams = event.queryStringParameters || {};
     const limit = parseInt(queryParams.limit) || 100;
     const days = parseInt(queryParams.days) || 10;
-    const type = queryParams.type; // Optional: 'manual', 'scheduled', or undefined for all
+    const type = queryParams.type; // Optional: 'manual', 'scheduled', 'automated', 'recovery', 'end_of_life', or undefined for all
+    const listingId = queryParams.listingId; // Optional: history for a single listing
 
     // Calculate date threshold
     const dateThreshold = new Date();
     dateThreshold.setDate(dateThreshold.getDate() - days);
 
+    // Own logs plus teammates' (every organization role may see pricing)
+    const userIds = await listAccessibleUserIds(supabase, user.id);
+
     // Build query
     let query = supabase
       .from('price_reduction_log')
       .select('*')
-      .eq('user_id', user.id)
+      .in('user_id', userIds)
       .gte('created_at', dateThreshold.toISOString())
       .order('created_at', { ascending: false })
       .limit(limit);
 
     // Filter by type if specified
-    if (type && ['manual', 'scheduled', 'automated'].includes(type)) {
+    if (type && ['manual', 'scheduled', 'automated', 'recovery', 'end_of_life'].includes(type)) {
       query = query.eq('reduction_type', type);
     }
 
+    if (listingId) {
+      query = query.eq('listing_id', listingId);
+    }
+
     const { data: logs, error: queryError } = await query;
 
     if (queryError) {
@@ -81,20 +91,30 @@ const handler = async (event, context) => {
     }
 
     // Calculate statistics
+    const reductions = logs.filter(log => !['recovery', 'end_of_life'].includes(log.reduction_type));
     const stats = {
-      totalReductions: logs.length,
+      totalReductions: reductions.length,
       totalSavings: 0,
       averageSavings: 0,
+      totalRecoveries: logs.filter(log => log.reduction_type === 'recovery').length,
+      totalRecovered: 0,
+      totalEndOfLife: logs.filter(log => log.reduction_type === 'end_of_life').length,
       byType: {
         manual: 0,
         scheduled: 0,
-        automated: 0
+        automated: 0,
+        recovery: 0,
+        end_of_life: 0
       },
       byStrategy: {}
     };
 
     logs.forEach(log => {
-      stats.totalSavings += parseFloat(log.reduction_amount || 0);
+      if (log.reduction_type === 'recovery') {
+        stats.totalRecovered -= parseFloat(log.reduction_amount || 0);
+      } else if (log.reduction_type !== 'end_of_life') {
+        stats.totalSavings += parseFloat(log.reduction_amount || 0);
+      }
       stats.byType[log.reduction_type] = (stats.byType[log.reduction_type] || 0) + 1;
 
       if (log.reduction_strategy) {
@@ -102,10 +122,11 @@ const handler = async (event, context) => {
       }
     });
 
-    if (logs.length > 0) {
-      stats.averageSavings = (stats.totalSavings / logs.length).toFixed(2);
+    if (reductions.length > 0) {
+      stats.averageSavings = (stats.totalSavings / reductions.length).toFixed(2);
       stats.totalSavings = stats.totalSavings.toFixed(2);
     }
+    stats.totalRecovered = stats.totalRecovered.toFixed(2);
 
     return {
       statusCode: 200,
@@ -122,6 +143,10 @@ const handler = async (event, context) => {
           reductionAmount: parseFloat(log.reduction_amount),
           reductionPercentage: parseFloat(log.reduction_percentage),
           type: log.reduction_type,
+          direction: log.reduction_type === 'recovery' ? 'increase' : log.reduction_type === 'end_of_life' ? 'action' : 'decrease',
+          method: log.reduction_method,
+          notes: log.notes,
+          listingId: log.listing_id,
           strategy: log.reduction_strategy,
           createdAt: log.created_at
         })),
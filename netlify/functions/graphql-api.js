@@ -1,4 +1,4 @@
-const { ApolloServer, gql } = require('apollo-server-lambda');
+const { ApolloServer, gql, UserInputError } = require('apollo-server-lambda');
 const DataLoader = require('dataloader');
 const { createClient } = require('@supabase/supabase-js');
 
@@ -54,10 +54,12 @@ const typeDefs = gql`
     endTime: DateTime
     createdAt: DateTime
     updatedAt: DateTime
+    watched: Boolean
 
     # Relations
     priceHistory(limit: Int = 10): [PriceHistory]
     syncMetrics: SyncMetrics
+    priceAlert: PriceAlertSettings
   }
 
   # Price history type
@@ -208,6 +210,9 @@ const typeDefs = gql`
 
     # Get sync status
     getSyncStatus: SyncStatus
+
+    # Get all of the user's price alerts
+    getPriceAlerts: [PriceAlertSettings]!
   }
 
   type UserStats {
@@ -249,12 +254,15 @@ const typeDefs = gql`
     scheduledFor: DateTime!
   }
 
+  # threshold: minimum drop, in percent of the previous price, that raises an alert
   type PriceAlertSettings {
     listingId: ID!
     threshold: Float!
     enabled: Boolean!
   }
 
+  # Lambda functions can't hold a subscription open, so these are delivered
+  # over Supabase Realtime by frontend/src/lib/listingEvents.js in the same shape
   type Subscription {
     # Real-time listing updates
     listingUpdated(userId: ID!): ListingUpdate
@@ -317,6 +325,22 @@ const createLoaders = (supabase, userId) => ({
     });
 
     return categoryIds.map(id => categoryMap[id]);
+  }),
+
+  // Batch load price alerts by listing
+  priceAlertLoader: new DataLoader(async (listingIds) => {
+    const { data } = await supabase
+      .from('price_alerts')
+      .select('*')
+      .in('listing_id', listingIds)
+      .eq('user_id', userId);
+
+    const alertMap = {};
+    (data || []).forEach(alert => {
+      alertMap[alert.listing_id] = toPriceAlertSettings(alert);
+    });
+
+    return listingIds.map(id => alertMap[id] || null);
   })
 });
 
@@ -489,6 +513,20 @@ const resolvers = {
         nextScheduled,
         queueLength: jobs?.length || 0
       };
+    },
+
+    // Get price alerts
+    getPriceAlerts: async (_, __, { supabase, userId }) => {
+      const { data, error } = await supabase
+        .from('price_alerts')
+        .select('*')
+        .eq('user_id', userId);
+
+      if (error) {
+        throw error;
+      }
+
+      return data.map(toPriceAlertSettings);
     }
   },
 
@@ -535,6 +573,56 @@ const resolvers = {
         status: data.status,
         scheduledFor: data.scheduled_for
       };
+    },
+
+    // Watch/unwatch listing
+    watchListing: async (_, { listingId, watch }, { supabase, userId }) => {
+      const { data, error } = await supabase
+        .from('listings')
+        .update({ watched: watch })
+        .eq('id', listingId)
+        .eq('user_id', userId)
+        .select()
+        .maybeSingle();
+
+      if (error) {
+        throw error;
+      }
+
+      if (!data) {
+        throw new UserInputError('Listing not found');
+      }
+
+      return data;
+    },
+
+    // Create or update the price alert for a listing
+    updatePriceAlert: async (_, { listingId, threshold, enabled }, { supabase, userId, loaders }) => {
+      if (!(threshold > 0 && threshold <= 100)) {
+        throw new UserInputError('Threshold must be a percentage between 0 and 100');
+      }
+
+      const listing = await loaders.listingLoader.load(listingId);
+      if (!listing) {
+        throw new UserInputError('Listing not found');
+      }
+
+      const { data, error } = await supabase
+        .from('price_alerts')
+        .upsert({
+          user_id: userId,
+          listing_id: listingId,
+          threshold,
+          enabled
+        }, { onConflict: 'user_id,listing_id' })
+        .select()
+        .single();
+
+      if (error) {
+        throw error;
+      }
+
+      return toPriceAlertSettings(data);
     }
   },
 
@@ -563,6 +651,11 @@ const resolvers = {
         cacheHitRate: data.metadata?.cache_hit_rate || 0,
         syncFrequency: calculateSyncFrequency(parent.last_synced)
       };
+    },
+
+    // Resolve price alert using DataLoader
+    priceAlert: async (parent, _, { loaders }) => {
+      return loaders.priceAlertLoader.load(parent.id);
     }
   },
 
@@ -653,6 +746,15 @@ async function calculateAggregations(supabase, userId, filter) {
   };
 }
 
+// Map a price_alerts row to PriceAlertSettings
+function toPriceAlertSettings(alert) {
+  return {
+    listingId: alert.listing_id,
+    threshold: parseFloat(alert.threshold),
+    enabled: alert.enabled
+  };
+}
+
 // Calculate sync frequency label
 function calculateSyncFrequency(lastSynced) {
   if (!lastSynced) return 'Never';
@@ -0,0 +1,146 @@
+const { createClient } = require('@supabase/supabase-js');
+const { getCorsHeaders } = require('./utils/cors');
+const { IMPORT_FIELDS, ListingJobError } = require('./utils/listing-jobs');
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+const MAX_NAME_LENGTH = 100;
+const MAX_HEADER_LENGTH = 200;
+
+function formatProfile(profile) {
+  return {
+    id: profile.id,
+    name: profile.name,
+    mapping: profile.mapping || {},
+    updatedAt: profile.updated_at
+  };
+}
+
+/**
+ * Keep the mapped fields Auto-List knows; unmapped fields are left out
+ */
+function validateMapping(mapping) {
+  if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping)) {
+    throw new ListingJobError('mapping must be an object of field → column header');
+  }
+
+  const unknown = Object.keys(mapping).filter(field => !IMPORT_FIELDS.includes(field));
+  if (unknown.length > 0) {
+    throw new ListingJobError(`Unknown field(s): ${unknown.join(', ')}. Fields: ${IMPORT_FIELDS.join(', ')}`);
+  }
+
+  const cleaned = {};
+  for (const [field, header] of Object.entries(mapping)) {
+    if (header === null || header === undefined || header === '') continue;
+    if (typeof header !== 'string' || header.length > MAX_HEADER_LENGTH) {
+      throw new ListingJobError(`The column for ${field} must be a header of at most ${MAX_HEADER_LENGTH} characters`);
+    }
+    cleaned[field] = header;
+  }
+
+  if (!cleaned.asin && !cleaned.upc && !cleaned.title) {
+    throw new ListingJobError('Map a column to ASIN, UPC or title');
+  }
+  return cleaned;
+}
+
+/**
+ * Saved spreadsheet column mappings for Auto-List (add-import-mapping-profiles.sql)
+ *
+ * GET    /import-mappings                  → { profiles, fields }
+ * POST   /import-mappings  { name, mapping: { asin: 'ASIN', price: 'Your Price', ... } }
+ *        → { profile } - saving under an existing name replaces that profile
+ * DELETE /import-mappings?id=<id>
+ */
+exports.handler = async (event, context) => {
+  const headers = getCorsHeaders(event);
+
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 200, headers, body: '' };
+  }
+
+  if (!['GET', 'POST', 'DELETE'].includes(event.httpMethod)) {
+    return { statusCode: 405, headers, body: JSON.stringify({ error: 'Method not allowed' }) };
+  }
+
+  try {
+    const authHeader = event.headers.authorization || event.headers.Authorization;
+    if (!authHeader) {
+      return { statusCode: 401, headers, body: JSON.stringify({ error: 'Unauthorized' }) };
+    }
+
+    const token = authHeader.substring(7);
+    const { data: { user }, error: authError } = await supabase.auth.getUser(token);
+
+    if (authError || !user) {
+      return { statusCode: 401, headers, body: JSON.stringify({ error: 'Invalid token' }) };
+    }
+
+    if (event.httpMethod === 'GET') {
+      const { data: profiles, error } = await supabase
+        .from('import_mapping_profiles')
+        .select('*')
+        .eq('user_id', user.id)
+        .order('updated_at', { ascending: false });
+
+      if (error) throw error;
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify({ profiles: (profiles || []).map(formatProfile), fields: IMPORT_FIELDS })
+      };
+    }
+
+    if (event.httpMethod === 'DELETE') {
+      const id = (event.queryStringParameters || {}).id;
+      if (!id) throw new ListingJobError('id is required');
+
+      const { data: deleted, error } = await supabase
+        .from('import_mapping_profiles')
+        .delete()
+        .eq('id', id)
+        .eq('user_id', user.id)
+        .select('id');
+
+      if (error) throw error;
+      if (!deleted || deleted.length === 0) throw new ListingJobError('Mapping profile not found', 404);
+      return { statusCode: 200, headers, body: JSON.stringify({ success: true }) };
+    }
+
+    const body = JSON.parse(event.body || '{}');
+    const name = typeof body.name === 'string' ? body.name.trim() : '';
+    if (!name || name.length > MAX_NAME_LENGTH) {
+      throw new ListingJobError(`name is required (at most ${MAX_NAME_LENGTH} characters)`);
+    }
+    const mapping = validateMapping(body.mapping);
+
+    const { data: profile, error } = await supabase
+      .from('import_mapping_profiles')
+      .upsert({
+        user_id: user.id,
+        name,
+        mapping,
+        updated_at: new Date().toISOString()
+      }, { onConflict: 'user_id,name' })
+      .select()
+      .single();
+
+    if (error) throw error;
+    return { statusCode: 200, headers, body: JSON.stringify({ profile: formatProfile(profile) }) };
+
+  } catch (error) {
+    if (error instanceof ListingJobError) {
+      return { statusCode: error.statusCode, headers, body: JSON.stringify({ error: error.message }) };
+    }
+
+    console.error('import-mappings error:', error);
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({ error: 'Mapping profile request failed', message: error.message })
+    };
+  }
+};
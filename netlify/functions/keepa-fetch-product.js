@@ -26,6 +26,149 @@ function decryptApiKey(encryptedKey) {
   }
 }
 
+class KeepaFetchError extends Error {
+  constructor(statusCode, body) {
+    super(body.error);
+    this.name = 'KeepaFetchError';
+    this.statusCode = statusCode;
+    this.body = body;
+  }
+}
+
+/**
+ * Fetch one product from Keepa with the user's API key and transform it
+ * @param {Object} options - { code } looks the product up by UPC/EAN instead
+ *   of ASIN (pass null for the ASIN)
+ * @throws {KeepaFetchError} for a bad ASIN, a missing key or a Keepa error
+ *   (statusCode 429 when the key is out of tokens)
+ * @returns {Promise<Object>} { product, ebayDraft, tokensLeft, refillIn } -
+ *   refillIn is Keepa's milliseconds until the next token
+ */
+async function fetchKeepaProduct(userId, asin, { code = null } = {}) {
+  if (code) {
+    // UPC-A (12), EAN-13 or GTIN-14 digits
+    if (!/^\d{12,14}$/.test(code)) {
+      throw new KeepaFetchError(400, { error: 'Invalid UPC/EAN format. Must be 12 to 14 digits.' });
+    }
+  } else {
+    if (!asin) {
+      throw new KeepaFetchError(400, { error: 'ASIN is required' });
+    }
+
+    // Validate ASIN format (B followed by 9 alphanumeric characters)
+    if (!/^B[0-9A-Z]{9}$/.test(asin)) {
+      throw new KeepaFetchError(400, { error: 'Invalid ASIN format. Must be B followed by 9 characters.' });
+    }
+  }
+
+  // Get Keepa API key from user's database record
+  const { data: userData, error: userError } = await supabase
+    .from('users')
+    .select('keepa_api_key')
+    .eq('id', userId)
+    .single();
+
+  if (userError) {
+    throw new Error('Failed to retrieve user data');
+  }
+
+  const encryptedKey = userData?.keepa_api_key;
+  if (!encryptedKey) {
+    throw new KeepaFetchError(400, {
+      error: 'Keepa API key not configured. Please add your Keepa API key in settings.'
+    });
+  }
+
+  // Decrypt the API key
+  const keepaApiKey = decryptApiKey(encryptedKey);
+  if (!keepaApiKey) {
+    console.error('Failed to decrypt Keepa API key');
+    throw new KeepaFetchError(500, {
+      error: 'Failed to decrypt Keepa API key. Please re-save your API key in settings.'
+    });
+  }
+
+  // Add stats=0 to get full product data including description
+  // stats=0 gives us access to description, features, and other detailed product info
+  const lookup = code ? `code=${code}` : `asin=${asin}`;
+  const keepaUrl = `https://api.keepa.com/product?key=${keepaApiKey}&domain=1&${lookup}&stats=0`;
+
+  console.log(`Fetching Keepa data for ${code ? 'UPC/EAN' : 'ASIN'}: ${code || asin}`);
+  console.log(`Keepa URL (masked): https://api.keepa.com/product?key=${keepaApiKey.substring(0, 8)}...&domain=1&${lookup}&stats=0`);
+  const keepaResponse = await fetch(keepaUrl, {
+    headers: {
+      'Accept': 'application/json',
+      'User-Agent': 'eBay-Price-Reducer/1.0'
+    }
+  });
+
+  console.log(`Keepa API response status: ${keepaResponse.status}`);
+
+  if (!keepaResponse.ok) {
+    const errorText = await keepaResponse.text();
+    console.error(`Keepa API error: ${keepaResponse.status} - ${errorText}`);
+    console.error(`Keepa URL (masked key): https://api.keepa.com/product?key=***&domain=1&${lookup}&stats=0`);
+
+    // Keepa answers 429 when the key has no tokens left
+    let refillIn = null;
+    try {
+      refillIn = JSON.parse(errorText).refillIn ?? null;
+    } catch (parseError) {
+      // Not JSON; no refill time
+    }
+
+    // Return more detailed error
+    throw new KeepaFetchError(keepaResponse.status === 429 ? 429 : 400, {
+      error: keepaResponse.status === 429 ? 'Keepa API tokens used up' : 'Keepa API request failed',
+      keepaStatus: keepaResponse.status,
+      keepaError: errorText,
+      asin: asin,
+      code,
+      refillIn,
+      suggestion: keepaResponse.status === 400
+        ? 'Check if your Keepa API key is valid and has sufficient tokens'
+        : keepaResponse.status === 429
+          ? 'Wait for your Keepa tokens to refill'
+          : 'Keepa API is unavailable'
+    });
+  }
+
+  const keepaData = await keepaResponse.json();
+  console.log(`Keepa response received for ${code || asin}:`, {
+    hasProducts: !!keepaData.products,
+    productsLength: keepaData.products?.length || 0,
+    productTitle: keepaData.products?.[0]?.title?.substring(0, 50),
+    tokensLeft: keepaData.tokensLeft
+  });
+
+  // Validate Keepa response
+  if (!keepaData.products || keepaData.products.length === 0) {
+    throw new KeepaFetchError(404, { error: 'Product not found on Amazon/Keepa' });
+  }
+
+  const product = keepaData.products[0];
+
+  // DEBUG: Log raw Keepa product structure
+  console.log('🔍 RAW KEEPA PRODUCT STRUCTURE:', {
+    hasImages: !!product.images,
+    imagesType: Array.isArray(product.images) ? 'array' : typeof product.images,
+    imagesLength: product.images?.length || 0,
+    firstImageStructure: product.images?.[0] ? Object.keys(product.images[0]) : [],
+    firstImageSample: product.images?.[0],
+    hasImagesCSV: !!product.imagesCSV,
+    imagesCSVLength: product.imagesCSV?.length || 0,
+    imagesCSVSample: product.imagesCSV?.substring(0, 200)
+  });
+
+  // Transform to eBay-compatible format
+  return {
+    product,
+    ebayDraft: transformKeepaToEbay(product),
+    tokensLeft: keepaData.tokensLeft ?? null,
+    refillIn: keepaData.refillIn ?? null
+  };
+}
+
 exports.handler = async (event, context) => {
   const headers = getCorsHeaders(event);
 
@@ -69,130 +212,12 @@ exports.handler = async (event, context) => {
 
     console.log(`✅ User authenticated: ${user.id}`);
 
-    // 2. Parse and validate ASIN
+    // 2. Parse the ASIN
     const { asin } = JSON.parse(event.body);
     console.log(`📦 Requested ASIN: ${asin}`);
 
-    if (!asin) {
-      return {
-        statusCode: 400,
-        headers,
-        body: JSON.stringify({ error: 'ASIN is required' })
-      };
-    }
-
-    // Validate ASIN format (B followed by 9 alphanumeric characters)
-    if (!/^B[0-9A-Z]{9}$/.test(asin)) {
-      return {
-        statusCode: 400,
-        headers,
-        body: JSON.stringify({ error: 'Invalid ASIN format. Must be B followed by 9 characters.' })
-      };
-    }
-
-    // 3. Get Keepa API key from user's database record
-    const { data: userData, error: userError } = await supabase
-      .from('users')
-      .select('keepa_api_key')
-      .eq('id', user.id)
-      .single();
-
-    if (userError) {
-      throw new Error('Failed to retrieve user data');
-    }
-
-    const encryptedKey = userData?.keepa_api_key;
-    if (!encryptedKey) {
-      return {
-        statusCode: 400,
-        headers,
-        body: JSON.stringify({
-          error: 'Keepa API key not configured. Please add your Keepa API key in settings.'
-        })
-      };
-    }
-
-    // Decrypt the API key
-    const keepaApiKey = decryptApiKey(encryptedKey);
-    if (!keepaApiKey) {
-      console.error('Failed to decrypt Keepa API key');
-      return {
-        statusCode: 500,
-        headers,
-        body: JSON.stringify({
-          error: 'Failed to decrypt Keepa API key. Please re-save your API key in settings.'
-        })
-      };
-    }
-
-    // Add stats=0 to get full product data including description
-    // stats=0 gives us access to description, features, and other detailed product info
-    const keepaUrl = `https://api.keepa.com/product?key=${keepaApiKey}&domain=1&asin=${asin}&stats=0`;
-
-    console.log(`Fetching Keepa data for ASIN: ${asin}`);
-    console.log(`Keepa URL (masked): https://api.keepa.com/product?key=${keepaApiKey.substring(0, 8)}...&domain=1&asin=${asin}&stats=0`);
-    const keepaResponse = await fetch(keepaUrl, {
-      headers: {
-        'Accept': 'application/json',
-        'User-Agent': 'eBay-Price-Reducer/1.0'
-      }
-    });
-
-    console.log(`Keepa API response status: ${keepaResponse.status}`);
-
-    if (!keepaResponse.ok) {
-      const errorText = await keepaResponse.text();
-      console.error(`Keepa API error: ${keepaResponse.status} - ${errorText}`);
-      console.error(`Keepa URL (masked key): https://api.keepa.com/product?key=***&domain=1&asin=${asin}&stats=0`);
-
-      // Return more detailed error
-      return {
-        statusCode: 400,
-        headers,
-        body: JSON.stringify({
-          error: 'Keepa API request failed',
-          keepaStatus: keepaResponse.status,
-          keepaError: errorText,
-          asin: asin,
-          suggestion: keepaResponse.status === 400
-            ? 'Check if your Keepa API key is valid and has sufficient tokens'
-            : 'Keepa API is unavailable'
-        })
-      };
-    }
-
-    const keepaData = await keepaResponse.json();
-    console.log(`Keepa response received for ${asin}:`, {
-      hasProducts: !!keepaData.products,
-      productsLength: keepaData.products?.length || 0,
-      productTitle: keepaData.products?.[0]?.title?.substring(0, 50)
-    });
-
-    // 4. Validate Keepa response
-    if (!keepaData.products || keepaData.products.length === 0) {
-      return {
-        statusCode: 404,
-        headers,
-        body: JSON.stringify({ error: 'Product not found on Amazon/Keepa' })
-      };
-    }
-
-    const product = keepaData.products[0];
-
-    // DEBUG: Log raw Keepa product structure
-    console.log('🔍 RAW KEEPA PRODUCT STRUCTURE:', {
-      hasImages: !!product.images,
-      imagesType: Array.isArray(product.images) ? 'array' : typeof product.images,
-      imagesLength: product.images?.length || 0,
-      firstImageStructure: product.images?.[0] ? Object.keys(product.images[0]) : [],
-      firstImageSample: product.images?.[0],
-      hasImagesCSV: !!product.imagesCSV,
-      imagesCSVLength: product.imagesCSV?.length || 0,
-      imagesCSVSample: product.imagesCSV?.substring(0, 200)
-    });
-
-    // 5. Transform to eBay-compatible format
-    const ebayDraft = transformKeepaToEbay(product);
+    // 3-5. Fetch from Keepa and transform to eBay-compatible format
+    const { product, ebayDraft } = await fetchKeepaProduct(user.id, asin);
 
     // 6. Return both raw Keepa data and transformed draft
     return {
@@ -207,6 +232,14 @@ exports.handler = async (event, context) => {
     };
 
   } catch (error) {
+    if (error instanceof KeepaFetchError) {
+      return {
+        statusCode: error.statusCode,
+        headers,
+        body: JSON.stringify(error.body)
+      };
+    }
+
     console.error('❌ Keepa fetch error:', error);
     console.error('Error stack:', error.stack);
     console.error('Error details:', {
@@ -468,3 +501,6 @@ function escapeHtml(text) {
   };
   return String(text).replace(/[&<>"']/g, m => map[m]);
 }
+
+exports.fetchKeepaProduct = fetchKeepaProduct;
+exports.KeepaFetchError = KeepaFetchError;
@@ -0,0 +1,184 @@
+const { createClient } = require('@supabase/supabase-js');
+const { getCorsHeaders } = require('./utils/cors');
+const { EbayInventoryClient } = require('./utils/ebay-inventory-client');
+const {
+  ListingDraftError,
+  formatDraft,
+  getDraft,
+  saveDraft,
+  listDrafts,
+  deleteDraft
+} = require('./utils/listing-drafts');
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+/**
+ * Remove what an unpublished draft left on eBay: its offer, and the
+ * inventory item when no other offer or listing uses the SKU. Offers that are live are
+ * never touched (the SKU may belong to a listing published earlier).
+ * @returns {Promise<{offerDeleted, inventoryItemDeleted}>}
+ */
+async function cleanUpUnpublishedOffer(userId, draft) {
+  const result = { offerDeleted: false, inventoryItemDeleted: false };
+  if (!draft.sku) return result; // Never got as far as eBay
+
+  const ebayClient = new EbayInventoryClient(userId, draft.ebay_account_id || null);
+  await ebayClient.initialize();
+
+  let offers = [];
+  try {
+    const response = await ebayClient.getOffersBySku(draft.sku);
+    offers = response.offers || [];
+  } catch (error) {
+    if (error.ebayStatusCode !== 404) throw error;
+  }
+
+  const offer = offers.find(o => o.offerId === draft.offer_id);
+  if (offer && offer.status === 'UNPUBLISHED') {
+    await ebayClient.deleteOffer(offer.offerId);
+    result.offerDeleted = true;
+  }
+
+  const remainingOffers = result.offerDeleted ? offers.filter(o => o !== offer) : offers;
+  if (remainingOffers.length === 0) {
+    const { count, error } = await supabase
+      .from('listings')
+      .select('id', { count: 'exact', head: true })
+      .eq('user_id', userId)
+      .eq('sku', draft.sku);
+
+    if (error) throw error;
+
+    if (!count) {
+      try {
+        await ebayClient.deleteInventoryItem(draft.sku);
+        result.inventoryItemDeleted = true;
+      } catch (error) {
+        if (error.ebayStatusCode !== 404) throw error;
+      }
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Listing drafts (utils/listing-drafts.js)
+ *
+ * GET    /listing-drafts                       → the caller's unpublished drafts
+ *          ?status=offer_created  ?includePublished=true
+ * GET    /listing-drafts?id=<id>               → one draft
+ * POST   /listing-drafts  { id?, payload }     → create or update a draft
+ * DELETE /listing-drafts?id=<id>               → discard; an unpublished eBay
+ *          offer left by the draft is deleted too
+ *
+ * Validating and publishing go through create-ebay-listing with { draftId }.
+ */
+exports.handler = async (event, context) => {
+  const headers = getCorsHeaders(event);
+
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 200, headers, body: '' };
+  }
+
+  if (!['GET', 'POST', 'DELETE'].includes(event.httpMethod)) {
+    return { statusCode: 405, headers, body: JSON.stringify({ error: 'Method not allowed' }) };
+  }
+
+  try {
+    const authHeader = event.headers.authorization || event.headers.Authorization;
+    if (!authHeader) {
+      return { statusCode: 401, headers, body: JSON.stringify({ error: 'Unauthorized' }) };
+    }
+
+    const token = authHeader.substring(7);
+    const { data: { user }, error: authError } = await supabase.auth.getUser(token);
+
+    if (authError || !user) {
+      return { statusCode: 401, headers, body: JSON.stringify({ error: 'Invalid token' }) };
+    }
+
+    const params = event.queryStringParameters || {};
+
+    if (event.httpMethod === 'GET') {
+      if (params.id) {
+        const draft = await getDraft(supabase, user.id, params.id);
+        return { statusCode: 200, headers, body: JSON.stringify({ draft: formatDraft(draft) }) };
+      }
+
+      const drafts = await listDrafts(supabase, user.id, {
+        status: params.status || null,
+        includePublished: params.includePublished === 'true',
+        limit: params.limit
+      });
+
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify({ drafts: drafts.map(formatDraft) })
+      };
+    }
+
+    if (event.httpMethod === 'POST') {
+      const body = JSON.parse(event.body || '{}');
+      if (!body.payload || typeof body.payload !== 'object') {
+        throw new ListingDraftError('payload is required');
+      }
+
+      const draft = await saveDraft(supabase, user.id, { id: body.id || null, payload: body.payload });
+      return { statusCode: 200, headers, body: JSON.stringify({ draft: formatDraft(draft) }) };
+    }
+
+    // DELETE
+    const draft = await getDraft(supabase, user.id, params.id);
+    let cleanup = { offerDeleted: false, inventoryItemDeleted: false };
+
+    if (draft.status !== 'published') {
+      try {
+        cleanup = await cleanUpUnpublishedOffer(user.id, draft);
+      } catch (error) {
+        // Keep the draft so the offer stays visible and can be retried
+        console.error(`Failed to clean up eBay offer for draft ${draft.id}:`, error.message);
+        return {
+          statusCode: 502,
+          headers,
+          body: JSON.stringify({
+            error: 'Could not remove the unpublished eBay offer; the draft was kept',
+            message: error.message
+          })
+        };
+      }
+    }
+
+    await deleteDraft(supabase, draft.id);
+
+    return {
+      statusCode: 200,
+      headers,
+      body: JSON.stringify({ success: true, ...cleanup })
+    };
+
+  } catch (error) {
+    if (error instanceof ListingDraftError) {
+      return { statusCode: error.statusCode, headers, body: JSON.stringify({ error: error.message }) };
+    }
+
+    if (error.name === 'TokenError') {
+      return {
+        statusCode: 403,
+        headers,
+        body: JSON.stringify({ error: error.message, code: error.code, action: error.action, requiresUserAction: true })
+      };
+    }
+
+    console.error('listing-drafts error:', error);
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({ error: 'Listing draft request failed', message: error.message })
+    };
+  }
+};
@@ -0,0 +1,283 @@
+const crypto = require('crypto');
+const { createClient } = require('@supabase/supabase-js');
+const { getCorsHeaders } = require('./utils/cors');
+const {
+  LISTING_JOB_CONFIG,
+  ListingJobError,
+  previewRow,
+  checkRows,
+  createListingJob,
+  processListingJob,
+  cancelListingJob,
+  retryFailedRows,
+  getJob
+} = require('./utils/listing-jobs');
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+const RECENT_JOBS_LIMIT = 10;
+const MAX_ROWS_PAGE = 500;
+
+const CSV_COLUMNS = [
+  ['row', 'Row'],
+  ['asin', 'ASIN'],
+  ['upc', 'UPC'],
+  ['inputSku', 'Your SKU'],
+  ['title', 'Title'],
+  ['price', 'Price'],
+  ['status', 'Status'],
+  ['message', 'Message'],
+  ['listingId', 'eBay Item ID'],
+  ['sku', 'eBay SKU'],
+  ['viewUrl', 'eBay URL'],
+  ['processedAt', 'Processed At']
+];
+
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(rows) {
+  const lines = [CSV_COLUMNS.map(([, label]) => label).join(',')];
+  for (const row of rows) {
+    lines.push(CSV_COLUMNS.map(([key]) => csvCell(row[key])).join(','));
+  }
+  return lines.join('\n');
+}
+
+function formatJob(job) {
+  return {
+    id: job.id,
+    source: job.source,
+    ebayAccountId: job.ebay_account_id,
+    templateId: job.template_id,
+    status: job.status,
+    total: job.total,
+    processed: job.processed,
+    succeeded: job.succeeded,
+    failed: job.failed,
+    skipped: job.skipped,
+    throttledUntil: job.throttled_until,
+    throttleReason: job.throttle_reason,
+    createdAt: job.created_at,
+    startedAt: job.started_at,
+    completedAt: job.completed_at
+  };
+}
+
+function formatRow(row) {
+  const input = row.input || {};
+  return {
+    row: row.position + 1,
+    asin: input.asin || row.product?.asin || null,
+    upc: input.upc || null,
+    inputSku: input.sku || null,
+    title: row.result?.title || input.title || row.product?.ebayDraft?.title || null,
+    price: row.result?.price ?? input.price ?? null,
+    status: row.status,
+    attempts: row.attempts,
+    message: row.message,
+    listingId: row.result?.listingId || null,
+    sku: row.result?.sku || null,
+    viewUrl: row.result?.viewUrl || null,
+    processedAt: row.processed_at
+  };
+}
+
+/**
+ * Server-side Auto-List batches (utils/listing-jobs.js)
+ *
+ * GET  /listing-jobs                      → the caller's recent jobs
+ * GET  /listing-jobs?id=<id>              → progress plus per-row results
+ *        &status=pending|succeeded|failed|skipped  &limit=&offset=
+ * GET  /listing-jobs?id=<id>&format=csv   → every row's result as a CSV report
+ * POST /listing-jobs
+ *   { rows: [{ asin, upc, sku, title, price, quantity, condition, cost, minPrice,
+ *              brand, imageUrl }],
+ *     templateId?, ebayAccountId?, source: 'manual'|'file'|'sheets' }
+ *        → creates the job and processes the first rows; refused (400) while
+ *          any row fails the checks below
+ *   { action: 'check', rows }
+ *        → { rows: [{ row, errors }] } in upload order: invalid values and
+ *          SKUs repeated in the upload or already on one of your listings
+ *   { action: 'process', id }    → processes the next rows
+ *   { action: 'retry', id }      → queues the failed rows again
+ *   { action: 'cancel', id }     → skips whatever is left
+ *   { action: 'preview', row, templateId?, ebayAccountId? }
+ *        → validates one row without publishing (fetches it from Keepa)
+ *
+ * Each call works for a few seconds; the page polls with action 'process'
+ * until status is 'completed'. scheduled-listing-jobs.js finishes jobs
+ * nobody is polling, so closing the tab loses nothing.
+ */
+exports.handler = async (event, context) => {
+  const headers = getCorsHeaders(event);
+  const startTime = Date.now();
+
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 200, headers, body: '' };
+  }
+
+  if (!['GET', 'POST'].includes(event.httpMethod)) {
+    return { statusCode: 405, headers, body: JSON.stringify({ error: 'Method not allowed' }) };
+  }
+
+  try {
+    const authHeader = event.headers.authorization || event.headers.Authorization;
+    if (!authHeader) {
+      return { statusCode: 401, headers, body: JSON.stringify({ error: 'Unauthorized' }) };
+    }
+
+    const token = authHeader.substring(7);
+    const { data: { user }, error: authError } = await supabase.auth.getUser(token);
+
+    if (authError || !user) {
+      return { statusCode: 401, headers, body: JSON.stringify({ error: 'Invalid token' }) };
+    }
+
+    // Jobs are private to the seller who started them
+    const loadOwnJob = async (id) => {
+      const job = id ? await getJob(supabase, id) : null;
+      if (!job || job.user_id !== user.id) {
+        throw new ListingJobError('Listing job not found', 404);
+      }
+      return job;
+    };
+
+    if (event.httpMethod === 'GET') {
+      const params = event.queryStringParameters || {};
+
+      if (!params.id) {
+        const { data: jobs, error } = await supabase
+          .from('listing_jobs')
+          .select('*')
+          .eq('user_id', user.id)
+          .order('created_at', { ascending: false })
+          .limit(RECENT_JOBS_LIMIT);
+
+        if (error) throw error;
+        return { statusCode: 200, headers, body: JSON.stringify({ jobs: (jobs || []).map(formatJob) }) };
+      }
+
+      const job = await loadOwnJob(params.id);
+
+      if (params.format === 'csv') {
+        const { data: rows, error: rowsError } = await supabase
+          .from('listing_job_rows')
+          .select('*')
+          .eq('job_id', job.id)
+          .order('position', { ascending: true })
+          .limit(LISTING_JOB_CONFIG.MAX_ROWS);
+
+        if (rowsError) throw rowsError;
+        return {
+          statusCode: 200,
+          headers: {
+            ...headers,
+            'Content-Type': 'text/csv; charset=utf-8',
+            'Content-Disposition': `attachment; filename="listing-job-${job.created_at.slice(0, 10)}.csv"`
+          },
+          body: toCsv((rows || []).map(formatRow))
+        };
+      }
+
+      const limit = Math.min(parseInt(params.limit) || 100, MAX_ROWS_PAGE);
+      const offset = Math.max(parseInt(params.offset) || 0, 0);
+
+      let query = supabase
+        .from('listing_job_rows')
+        .select('*', { count: 'exact' })
+        .eq('job_id', job.id)
+        .order('position', { ascending: true })
+        .range(offset, offset + limit - 1);
+      if (params.status) query = query.eq('status', params.status);
+
+      const { data: rows, error: rowsError, count } = await query;
+      if (rowsError) throw rowsError;
+
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify({
+          job: formatJob(job),
+          rows: (rows || []).map(formatRow),
+          rowsTotal: count || 0
+        })
+      };
+    }
+
+    const body = JSON.parse(event.body || '{}');
+    const workerId = `listing-jobs:${context?.awsRequestId || crypto.randomUUID()}`;
+    const timeBudgetMs = () => Math.max(LISTING_JOB_CONFIG.TIME_BUDGET_MS - (Date.now() - startTime), 0);
+
+    if (body.action === 'check') {
+      const rows = await checkRows(supabase, user.id, body.rows, body.ebayAccountId || null);
+      return { statusCode: 200, headers, body: JSON.stringify({ rows }) };
+    }
+
+    if (body.action === 'preview') {
+      const preview = await previewRow(supabase, user.id, body.row, {
+        templateId: body.templateId || null,
+        ebayAccountId: body.ebayAccountId || null
+      });
+      return { statusCode: 200, headers, body: JSON.stringify({ preview }) };
+    }
+
+    if (body.action === 'cancel') {
+      const job = await loadOwnJob(body.id);
+      const cancelled = await cancelListingJob(supabase, job.id);
+      return { statusCode: 200, headers, body: JSON.stringify({ job: formatJob(cancelled) }) };
+    }
+
+    if (body.action === 'retry') {
+      const job = await loadOwnJob(body.id);
+      const { retried } = await retryFailedRows(supabase, job.id);
+      const processed = await processListingJob(supabase, job.id, { workerId, timeBudgetMs: timeBudgetMs() });
+      return { statusCode: 200, headers, body: JSON.stringify({ job: formatJob(processed), retried }) };
+    }
+
+    if (body.action === 'process') {
+      const job = await loadOwnJob(body.id);
+      const processed = await processListingJob(supabase, job.id, { workerId, timeBudgetMs: timeBudgetMs() });
+      return { statusCode: 200, headers, body: JSON.stringify({ job: formatJob(processed) }) };
+    }
+
+    if (body.action) {
+      throw new ListingJobError(`Unknown action: ${body.action}`);
+    }
+
+    const { job, ignored } = await createListingJob(supabase, user.id, {
+      rows: body.rows,
+      templateId: body.templateId || null,
+      ebayAccountId: body.ebayAccountId || null,
+      source: body.source || 'manual'
+    });
+
+    console.log(`📋 Listing job started by ${user.email}: ${job.total} row(s)`);
+
+    const processed = await processListingJob(supabase, job.id, { workerId, timeBudgetMs: timeBudgetMs() });
+
+    return {
+      statusCode: 200,
+      headers,
+      body: JSON.stringify({ job: formatJob(processed), ignored })
+    };
+
+  } catch (error) {
+    if (error instanceof ListingJobError) {
+      return { statusCode: error.statusCode, headers, body: JSON.stringify({ error: error.message }) };
+    }
+
+    console.error('listing-jobs error:', error);
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({ error: 'Listing job request failed', message: error.message })
+    };
+  }
+};
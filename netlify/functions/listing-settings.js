@@ -2,6 +2,7 @@ const { getCorsHeaders } = require('./utils/cors');
 const { createClient } = require('@supabase/supabase-js');
 const { EbayInventoryClient } = require('./utils/ebay-inventory-client');
 const { SettingsValidator } = require('./utils/settings-validator');
+const { getRequestId, getAuditSource, diffValues, recordAudit } = require('./utils/audit-log');
 
 const supabase = createClient(
   process.env.SUPABASE_URL,
@@ -157,6 +158,12 @@ exports.handler = async (event, context) => {
         };
       }
 
+      const { data: previous } = await supabase
+        .from('users')
+        .select('listing_settings')
+        .eq('id', user.id)
+        .single();
+
       // Save settings to database - no eBay validation required
       // Note: settings_updated_at will be automatically updated by the trigger
       const { data, error } = await supabase
@@ -172,6 +179,19 @@ exports.handler = async (event, context) => {
         throw error;
       }
 
+      const { before, after } = diffValues(previous?.listing_settings || {}, data.listing_settings || {});
+      await recordAudit(supabase, {
+        userId: user.id,
+        actorId: user.id,
+        source: getAuditSource(event),
+        action: 'settings.listing_settings_saved',
+        entityType: 'settings',
+        entityId: 'listing_settings',
+        before,
+        after,
+        requestId: getRequestId(event, context)
+      });
+
       return {
         statusCode: 200,
         headers,
@@ -0,0 +1,134 @@
+const { createClient } = require('@supabase/supabase-js');
+const { getCorsHeaders } = require('./utils/cors');
+const {
+  TITLE_PLACEHOLDERS,
+  DESCRIPTION_PLACEHOLDERS,
+  ListingTemplateError,
+  applyListingTemplate,
+  validateTemplateInput,
+  listTemplates,
+  getTemplate,
+  saveTemplate,
+  deleteTemplate
+} = require('./utils/listing-templates');
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+/**
+ * Listing templates (utils/listing-templates.js)
+ *
+ * GET    /listing-templates                  → { templates, placeholders }
+ * GET    /listing-templates?id=<id>          → one template with its variants
+ * POST   /listing-templates  { name, titleTemplate, descriptionTemplate, isDefault?,
+ *                              variants?: [{ categoryId, categoryName, titleTemplate?,
+ *                                            descriptionTemplate? }] }
+ * PUT    /listing-templates  { id, ...changes }   (variants, when given, replace all)
+ * DELETE /listing-templates?id=<id>
+ *
+ * POST   /listing-templates?action=preview
+ *          { templateId | template, listing: { title, description, aspects, brand?, model?,
+ *            condition? }, categoryId?, categoryName? }
+ *        → { preview: { title, description, variantCategoryId, titleTrimmed, warnings } }
+ *        Renders without eBay; the category variant only applies when categoryId is
+ *        given. create-ebay-listing's validate mode previews with the resolved category.
+ */
+exports.handler = async (event, context) => {
+  const headers = getCorsHeaders(event);
+
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 200, headers, body: '' };
+  }
+
+  if (!['GET', 'POST', 'PUT', 'DELETE'].includes(event.httpMethod)) {
+    return { statusCode: 405, headers, body: JSON.stringify({ error: 'Method not allowed' }) };
+  }
+
+  try {
+    const authHeader = event.headers.authorization || event.headers.Authorization;
+    if (!authHeader) {
+      return { statusCode: 401, headers, body: JSON.stringify({ error: 'Unauthorized' }) };
+    }
+
+    const token = authHeader.substring(7);
+    const { data: { user }, error: authError } = await supabase.auth.getUser(token);
+
+    if (authError || !user) {
+      return { statusCode: 401, headers, body: JSON.stringify({ error: 'Invalid token' }) };
+    }
+
+    const params = event.queryStringParameters || {};
+
+    if (event.httpMethod === 'GET') {
+      if (params.id) {
+        const template = await getTemplate(supabase, user.id, params.id);
+        return { statusCode: 200, headers, body: JSON.stringify({ template }) };
+      }
+
+      const templates = await listTemplates(supabase, user.id);
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify({
+          templates,
+          placeholders: { title: TITLE_PLACEHOLDERS, description: DESCRIPTION_PLACEHOLDERS }
+        })
+      };
+    }
+
+    if (event.httpMethod === 'DELETE') {
+      await deleteTemplate(supabase, user.id, params.id);
+      return { statusCode: 200, headers, body: JSON.stringify({ success: true }) };
+    }
+
+    const body = JSON.parse(event.body || '{}');
+
+    if (event.httpMethod === 'POST' && params.action === 'preview') {
+      let template;
+      if (body.templateId) {
+        template = await getTemplate(supabase, user.id, body.templateId);
+      } else {
+        // An unsaved template from the editor; checked the same way as on save
+        validateTemplateInput(body.template || {});
+        template = body.template;
+      }
+
+      if (!body.listing || typeof body.listing !== 'object') {
+        throw new ListingTemplateError('listing is required');
+      }
+
+      const preview = applyListingTemplate(template, body.listing, {
+        categoryId: body.categoryId || null,
+        categoryName: body.categoryName || '',
+        conditionId: body.listing.condition || null
+      });
+      return { statusCode: 200, headers, body: JSON.stringify({ preview }) };
+    }
+
+    if (event.httpMethod === 'PUT' && !body.id) {
+      throw new ListingTemplateError('id is required');
+    }
+
+    const { id, ...input } = body;
+    const template = await saveTemplate(supabase, user.id, {
+      id: event.httpMethod === 'PUT' ? id : null,
+      ...input
+    });
+
+    return { statusCode: 200, headers, body: JSON.stringify({ template }) };
+
+  } catch (error) {
+    if (error instanceof ListingTemplateError) {
+      return { statusCode: error.statusCode, headers, body: JSON.stringify({ error: error.message }) };
+    }
+
+    console.error('listing-templates error:', error);
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({ error: 'Listing template request failed', message: error.message })
+    };
+  }
+};
@@ -2,6 +2,16 @@ const { Handler } = require('@netlify/functions');
 const { createClient } = require('@supabase/supabase-js');
 const { EbayApiClient } = require('./utils/ebay-api-client');
 const { getCorsHeaders } = require('./utils/cors');
+const {
+  isDueForReduction,
+  getStrategiesForListings,
+  loadVelocityForListings,
+  evaluateListingReduction,
+  recordPriceReduction
+} = require('./utils/pricing-core');
+const { fetchUserSchedules } = require('./utils/reduction-calendar');
+const { getPriceWriteBlock, recordSkippedRun } = require('./utils/automation-guard');
+const { recordPricePush } = require('./utils/external-price');
 
 // Initialize Supabase client
 const supabase = createClient(
@@ -10,8 +20,9 @@ const supabase = createClient(
 );
 
 /**
- * Manual trigger for price reduction (for testing)
- * This bypasses the time check and runs immediately
+ * Manual trigger for price reduction
+ * Runs the same due check and pricing as the scheduled job (utils/pricing-core.js)
+ * right now instead of waiting for the next scheduled run
  */
 const handler = async (event, context) => {
   const headers = getCorsHeaders(event);
@@ -115,6 +126,7 @@ const handler = async (event, context) => {
       usersProcessed: 0,
       totalListingsChecked: 0,
       totalPricesReduced: 0,
+      totalPricesBlocked: 0,
       errors: [],
       details: []
     };
@@ -126,11 +138,13 @@ const handler = async (event, context) => {
         results.usersProcessed++;
         results.totalListingsChecked += userResult.listingsChecked;
         results.totalPricesReduced += userResult.pricesReduced;
+        results.totalPricesBlocked += userResult.pricesBlocked || 0;
         results.details.push({
           userId: userToProcess.id,
           email: userToProcess.email,
           listingsChecked: userResult.listingsChecked,
           pricesReduced: userResult.pricesReduced,
+          pricesBlocked: userResult.pricesBlocked || 0,
           status: 'success'
         });
 
@@ -160,6 +174,7 @@ const handler = async (event, context) => {
       usersProcessed: results.usersProcessed,
       totalListingsChecked: results.totalListingsChecked,
       totalPricesReduced: results.totalPricesReduced,
+      totalPricesBlocked: results.totalPricesBlocked,
       errors: results.errors.length
     });
 
@@ -194,27 +209,14 @@ const handler = async (event, context) => {
 async function processUserPriceReductions(user, triggeredBy = null) {
   console.log(`🔍 Checking price reductions for user ${user.email}...`);
 
-  // Initialize eBay client
-  const ebayClient = new EbayApiClient(user.id);
-
-  try {
-    await ebayClient.initialize();
-  } catch (initError) {
-    console.error(`⚠️ Failed to initialize eBay client for ${user.email}:`, initError.message);
-    return { listingsChecked: 0, pricesReduced: 0 };
-  }
-
-  // Get listings that might need price reduction
-  // Include listings where next_price_reduction is NULL (never reduced before)
-  // OR where next_price_reduction date has passed
-  const now = new Date().toISOString();
+  // Get listings with auto-reduction enabled; the pricing core decides which are due
   const { data: allListings, error: fetchError } = await supabase
     .from('listings')
     .select('*')
     .eq('user_id', user.id)
-    .eq('price_reduction_enabled', true)
+    .eq('enable_auto_reduction', true)
     .eq('listing_status', 'Active')
-    .or(`next_price_reduction.lte.${now},next_price_reduction.is.null`);
+    .is('ended_at', null);
 
   if (fetchError) {
     throw new Error(`Failed to fetch listings: ${fetchError.message}`);
@@ -225,87 +227,78 @@ async function processUserPriceReductions(user, triggeredBy = null) {
     return { listingsChecked: 0, pricesReduced: 0 };
   }
 
-  // Filter to only listings where current_price > minimum_price
-  const listings = allListings.filter(listing => {
-    const currentPrice = parseFloat(listing.current_price);
-    const minimumPrice = parseFloat(listing.minimum_price);
-    return currentPrice > minimumPrice;
-  });
+  const strategiesById = await getStrategiesForListings(supabase, allListings);
+  const velocityByListing = await loadVelocityForListings(supabase, allListings, strategiesById);
+  const userSchedule = (await fetchUserSchedules(supabase, [user.id])).get(user.id);
+
+  const listings = allListings.filter(listing => isDueForReduction(listing, {
+    strategy: strategiesById.get(listing.strategy_id),
+    velocity: velocityByListing.get(listing.id),
+    userSchedule
+  }));
 
   if (listings.length === 0) {
-    console.log(`No listings above minimum price for user ${user.email}`);
+    console.log(`No listings due for reduction for user ${user.email}`);
     return { listingsChecked: allListings.length, pricesReduced: 0 };
   }
 
   console.log(`Found ${listings.length} eligible listings for user ${user.email}`);
 
   let pricesReduced = 0;
+  let pricesBlocked = 0;
+  const pricingServices = new Map();
+
+  // One eBay client per linked account; a failed connection is not retried
+  const ebayClients = new Map();
+  const clientFor = (listing) => {
+    const accountId = listing.ebay_account_id || null;
+    if (!ebayClients.has(accountId)) {
+      const ebayClient = new EbayApiClient(user.id, accountId);
+      ebayClients.set(accountId, ebayClient.initialize().then(() => ebayClient));
+    }
+    return ebayClients.get(accountId);
+  };
 
   for (const listing of listings) {
     try {
-      // Calculate new price
-      const currentPrice = parseFloat(listing.current_price);
-      const minimumPrice = parseFloat(listing.minimum_price);
-      const reductionPct = parseFloat(listing.reduction_percentage || 5);
-
-      // Validate minimum price is set
-      if (!listing.minimum_price || minimumPrice <= 0) {
-        console.log(`⚠️ Skipping ${listing.ebay_item_id}: minimum_price not set`);
+      const priceResult = await evaluateListingReduction(supabase, listing, {
+        strategy: strategiesById.get(listing.strategy_id) || null,
+        pricingServices
+      });
+
+      if (priceResult.skipped) {
+        console.log(`⚠️ Skipping ${listing.ebay_item_id}: ${priceResult.reason}`);
         continue;
       }
 
-      const reductionAmount = currentPrice * (reductionPct / 100);
-      let newPrice = currentPrice - reductionAmount;
-      newPrice = Math.max(newPrice, minimumPrice);
-      newPrice = Math.round(newPrice * 100) / 100;
+      const { newPrice } = priceResult;
 
-      // Check if reduction is meaningful
-      if (newPrice >= currentPrice) {
-        console.log(`⚠️ Skipping ${listing.ebay_item_id}: new price not lower than current`);
+      // The emergency stop or vacation mode may have been switched on mid-run
+      const block = await getPriceWriteBlock(supabase, user.id);
+      if (block) {
+        await recordSkippedRun(supabase, {
+          job: 'manual-price-reduction',
+          reason: block.reason,
+          userId: user.id,
+          details: { listingId: listing.id, price: newPrice }
+        });
+        pricesBlocked++;
         continue;
       }
 
       // Update price on eBay
-      console.log(`💰 Reducing price for ${listing.ebay_item_id}: $${currentPrice} → $${newPrice}`);
+      console.log(`💰 Reducing price for ${listing.ebay_item_id}: $${listing.current_price} → $${newPrice}`);
 
       try {
+        const ebayClient = await clientFor(listing);
+        await recordPricePush(supabase, listing, newPrice);
         await ebayClient.updateItemPrice(listing.ebay_item_id, newPrice);
 
-        // Calculate next reduction date
-        const nextReduction = new Date();
-        nextReduction.setDate(nextReduction.getDate() + (listing.reduction_interval || 7));
-
-        // Update database
-        await supabase
-          .from('listings')
-          .update({
-            current_price: newPrice,
-            last_price_reduction: new Date().toISOString(),
-            next_price_reduction: nextReduction.toISOString(),
-            updated_at: new Date().toISOString()
-          })
-          .eq('id', listing.id);
-
-        // Log the successful price reduction
-        const reductionAmountCalc = currentPrice - newPrice;
-        const reductionPercentageCalc = ((reductionAmountCalc / currentPrice) * 100).toFixed(2);
-
-        await supabase
-          .from('price_reduction_log')
-          .insert({
-            user_id: user.id,
-            listing_id: listing.id,
-            ebay_item_id: listing.ebay_item_id,
-            sku: listing.sku,
-            title: listing.title,
-            original_price: currentPrice,
-            reduced_price: newPrice,
-            reduction_amount: reductionAmountCalc,
-            reduction_percentage: reductionPercentageCalc,
-            reduction_type: 'manual',
-            reduction_strategy: listing.reduction_strategy || 'fixed_percentage',
-            triggered_by: triggeredBy
-          });
+        // Update database and log the successful price reduction
+        await recordPriceReduction(supabase, listing, priceResult, {
+          source: 'manual',
+          triggeredBy
+        });
 
         pricesReduced++;
 
@@ -322,7 +315,7 @@ async function processUserPriceReductions(user, triggeredBy = null) {
     }
   }
 
-  return { listingsChecked: listings.length, pricesReduced };
+  return { listingsChecked: listings.length, pricesReduced, pricesBlocked };
 }
 
 /**
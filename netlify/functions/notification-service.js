@@ -6,6 +6,46 @@ const supabase = createClient(
   process.env.SUPABASE_SERVICE_ROLE_KEY
 );
 
+/**
+ * Store a notification and email it when the user has email notifications on
+ * Also used by end-of-life actions in process-price-reductions.js
+ * @param {string} userId
+ * @param {Object} notification - { type, title, message, data }
+ * @returns {Object} The stored notification row
+ */
+async function createNotification(userId, { type, title, message, data = {} }) {
+  const { data: notification, error } = await supabase
+    .from('notifications')
+    .insert({
+      user_id: userId,
+      type,
+      title,
+      message,
+      data: data || {},
+      created_at: new Date().toISOString()
+    })
+    .select()
+    .single();
+
+  if (error) {
+    throw new Error(`Failed to create notification: ${error.message}`);
+  }
+
+  // Get user's notification preferences
+  const { data: user } = await supabase
+    .from('users')
+    .select('email, notification_preferences')
+    .eq('id', userId)
+    .single();
+
+  // Send email if enabled (placeholder - implement actual email service)
+  if (user?.notification_preferences?.email && process.env.EMAIL_HOST) {
+    await sendEmailNotification(user.email, title, message);
+  }
+
+  return notification;
+}
+
 const handler = async (event, context) => {
   const headers = {
     'Access-Control-Allow-Origin': '*',
@@ -31,35 +71,7 @@ const handler = async (event, context) => {
       };
     }
 
-    // Create notification
-    const { data: notification, error } = await supabase
-      .from('notifications')
-      .insert({
-        user_id: userId,
-        type,
-        title,
-        message,
-        data: data || {},
-        created_at: new Date().toISOString()
-      })
-      .select()
-      .single();
-
-    if (error) {
-      throw new Error(`Failed to create notification: ${error.message}`);
-    }
-
-    // Get user's notification preferences
-    const { data: user } = await supabase
-      .from('users')
-      .select('email, notification_preferences')
-      .eq('id', userId)
-      .single();
-
-    // Send email if enabled (placeholder - implement actual email service)
-    if (user?.notification_preferences?.email && process.env.EMAIL_HOST) {
-      await sendEmailNotification(user.email, title, message);
-    }
+    const notification = await createNotification(userId, { type, title, message, data });
 
     return {
       statusCode: 200,
@@ -91,4 +103,4 @@ async function sendEmailNotification(email, title, message) {
   console.log(`Email notification sent to ${email}: ${title}`);
 }
 
-module.exports = { handler };
\ No newline at end of file
+module.exports = { handler, createNotification };
\ No newline at end of file
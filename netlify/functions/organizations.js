@@ -0,0 +1,451 @@
+const crypto = require('crypto');
+const { createClient } = require('@supabase/supabase-js');
+const { getCorsHeaders } = require('./utils/cors');
+const { INVITABLE_ROLES, hasRole, getMemberships } = require('./utils/organizations');
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+/**
+ * Team Workspaces
+ *
+ * GET  /organizations → { organizations, pendingInvitations }
+ * POST /organizations { action, ... }
+ *   create       { name }                          → new organization, caller is owner
+ *   invite       { organizationId, email, role }   → owner/manager; returns the invitation token
+ *   accept       { token }                         → caller's email must match the invitation
+ *   updateRole   { organizationId, userId, role }  → owner only
+ *   removeMember { organizationId, userId }        → owner, or a member leaving
+ *   revokeInvite { invitationId }                  → owner/manager
+ *   delete       { organizationId }                → owner only
+ *
+ * Roles: owner and manager can change shared listings and strategies and
+ * trigger price changes; viewers are read-only (see utils/organizations.js).
+ */
+
+const INVITATION_TTL_DAYS = 14;
+
+class OrganizationError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'OrganizationError';
+    this.statusCode = statusCode;
+  }
+}
+
+async function getOrganizationRole(organizationId, userId) {
+  const { data, error } = await supabase
+    .from('organization_members')
+    .select('role')
+    .eq('organization_id', organizationId)
+    .eq('user_id', userId)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data?.role || null;
+}
+
+async function requireOrganizationRole(organizationId, userId, minimum) {
+  if (!organizationId) {
+    throw new OrganizationError('organizationId is required');
+  }
+  const role = await getOrganizationRole(organizationId, userId);
+  if (!role) {
+    throw new OrganizationError('Organization not found', 404);
+  }
+  if (!hasRole(role, minimum)) {
+    throw new OrganizationError(`Only ${minimum === 'owner' ? 'the owner' : 'owners and managers'} can do this`, 403);
+  }
+  return role;
+}
+
+/**
+ * Organizations the user belongs to, with members and open invitations
+ * Invitation tokens are only returned to owners and managers.
+ */
+async function listOrganizations(user) {
+  const memberships = await getMemberships(supabase, user.id);
+  const organizationIds = memberships.map(m => m.organization_id);
+
+  const { data: pending, error: pendingError } = await supabase
+    .from('organization_invitations')
+    .select('id, organization_id, role, expires_at, token, organizations(name)')
+    .eq('email', (user.email || '').toLowerCase())
+    .is('accepted_at', null)
+    .gt('expires_at', new Date().toISOString());
+
+  if (pendingError) throw pendingError;
+
+  const pendingInvitations = (pending || [])
+    .filter(invite => !organizationIds.includes(invite.organization_id))
+    .map(invite => ({
+      id: invite.id,
+      organizationId: invite.organization_id,
+      organizationName: invite.organizations?.name || null,
+      role: invite.role,
+      expiresAt: invite.expires_at,
+      token: invite.token
+    }));
+
+  if (organizationIds.length === 0) {
+    return { organizations: [], pendingInvitations };
+  }
+
+  const [orgsResult, membersResult, invitesResult] = await Promise.all([
+    supabase
+      .from('organizations')
+      .select('id, name, created_by, created_at')
+      .in('id', organizationIds)
+      .order('created_at', { ascending: true }),
+    supabase
+      .from('organization_members')
+      .select('organization_id, user_id, role, created_at')
+      .in('organization_id', organizationIds),
+    supabase
+      .from('organization_invitations')
+      .select('id, organization_id, email, role, token, created_at, expires_at')
+      .in('organization_id', organizationIds)
+      .is('accepted_at', null)
+  ]);
+
+  for (const result of [orgsResult, membersResult, invitesResult]) {
+    if (result.error) throw result.error;
+  }
+
+  const memberIds = [...new Set((membersResult.data || []).map(m => m.user_id))];
+  const { data: profiles, error: profilesError } = await supabase
+    .from('users')
+    .select('id, email, name')
+    .in('id', memberIds);
+
+  if (profilesError) throw profilesError;
+  const profileById = new Map((profiles || []).map(p => [p.id, p]));
+
+  const organizations = (orgsResult.data || []).map(org => {
+    const role = memberships.find(m => m.organization_id === org.id).role;
+    const canInvite = hasRole(role, 'manager');
+
+    return {
+      id: org.id,
+      name: org.name,
+      createdAt: org.created_at,
+      role,
+      members: (membersResult.data || [])
+        .filter(m => m.organization_id === org.id)
+        .map(m => ({
+          userId: m.user_id,
+          email: profileById.get(m.user_id)?.email || null,
+          name: profileById.get(m.user_id)?.name || null,
+          role: m.role,
+          joinedAt: m.created_at,
+          isYou: m.user_id === user.id
+        })),
+      invitations: (invitesResult.data || [])
+        .filter(invite => invite.organization_id === org.id)
+        .map(invite => ({
+          id: invite.id,
+          email: invite.email,
+          role: invite.role,
+          createdAt: invite.created_at,
+          expiresAt: invite.expires_at,
+          expired: new Date(invite.expires_at) <= new Date(),
+          token: canInvite ? invite.token : undefined
+        }))
+    };
+  });
+
+  return { organizations, pendingInvitations };
+}
+
+async function createOrganization(user, { name }) {
+  const trimmed = typeof name === 'string' ? name.trim() : '';
+  if (!trimmed) {
+    throw new OrganizationError('name is required');
+  }
+
+  const { data: organization, error } = await supabase
+    .from('organizations')
+    .insert({ name: trimmed, created_by: user.id })
+    .select()
+    .single();
+
+  if (error) throw error;
+
+  const { error: memberError } = await supabase
+    .from('organization_members')
+    .insert({ organization_id: organization.id, user_id: user.id, role: 'owner' });
+
+  if (memberError) {
+    await supabase.from('organizations').delete().eq('id', organization.id);
+    throw memberError;
+  }
+
+  return { organization };
+}
+
+async function inviteMember(user, { organizationId, email, role = 'viewer' }) {
+  await requireOrganizationRole(organizationId, user.id, 'manager');
+
+  const normalizedEmail = typeof email === 'string' ? email.trim().toLowerCase() : '';
+  if (!normalizedEmail || !normalizedEmail.includes('@')) {
+    throw new OrganizationError('A valid email is required');
+  }
+  if (!INVITABLE_ROLES.includes(role)) {
+    throw new OrganizationError(`role must be one of: ${INVITABLE_ROLES.join(', ')}`);
+  }
+
+  // Emails are stored lowercased. Re-inviting replaces the open invitation (new token, new expiry)
+  const { error: deleteError } = await supabase
+    .from('organization_invitations')
+    .delete()
+    .eq('organization_id', organizationId)
+    .eq('email', normalizedEmail)
+    .is('accepted_at', null);
+
+  if (deleteError) throw deleteError;
+
+  const expiresAt = new Date();
+  expiresAt.setDate(expiresAt.getDate() + INVITATION_TTL_DAYS);
+
+  const { data: invitation, error } = await supabase
+    .from('organization_invitations')
+    .insert({
+      organization_id: organizationId,
+      email: normalizedEmail,
+      role,
+      token: crypto.randomBytes(24).toString('hex'),
+      invited_by: user.id,
+      expires_at: expiresAt.toISOString()
+    })
+    .select('id, email, role, token, expires_at')
+    .single();
+
+  if (error) throw error;
+  return { invitation };
+}
+
+async function acceptInvitation(user, { token }) {
+  if (!token) {
+    throw new OrganizationError('token is required');
+  }
+
+  const { data: invitation, error } = await supabase
+    .from('organization_invitations')
+    .select('*')
+    .eq('token', token)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!invitation || invitation.accepted_at) {
+    throw new OrganizationError('Invitation not found or already used', 404);
+  }
+  if (new Date(invitation.expires_at) <= new Date()) {
+    throw new OrganizationError('Invitation has expired', 410);
+  }
+  if ((user.email || '').toLowerCase() !== invitation.email.toLowerCase()) {
+    throw new OrganizationError(`This invitation was sent to ${invitation.email}`, 403);
+  }
+
+  // Existing members keep their current role
+  const existingRole = await getOrganizationRole(invitation.organization_id, user.id);
+  if (!existingRole) {
+    const { error: memberError } = await supabase
+      .from('organization_members')
+      .insert({
+        organization_id: invitation.organization_id,
+        user_id: user.id,
+        role: invitation.role
+      });
+
+    if (memberError) throw memberError;
+  }
+
+  const { error: acceptError } = await supabase
+    .from('organization_invitations')
+    .update({ accepted_at: new Date().toISOString() })
+    .eq('id', invitation.id);
+
+  if (acceptError) throw acceptError;
+
+  return { organizationId: invitation.organization_id, role: existingRole || invitation.role };
+}
+
+async function updateMemberRole(user, { organizationId, userId, role }) {
+  await requireOrganizationRole(organizationId, user.id, 'owner');
+
+  if (!INVITABLE_ROLES.includes(role)) {
+    throw new OrganizationError(`role must be one of: ${INVITABLE_ROLES.join(', ')}`);
+  }
+  if (userId === user.id) {
+    throw new OrganizationError('The owner\'s role cannot be changed');
+  }
+
+  const { data, error } = await supabase
+    .from('organization_members')
+    .update({ role })
+    .eq('organization_id', organizationId)
+    .eq('user_id', userId)
+    .neq('role', 'owner')
+    .select();
+
+  if (error) throw error;
+  if (!data || data.length === 0) {
+    throw new OrganizationError('Member not found', 404);
+  }
+  return { member: data[0] };
+}
+
+async function removeMember(user, { organizationId, userId }) {
+  const leaving = !userId || userId === user.id;
+  const role = await requireOrganizationRole(organizationId, user.id, leaving ? 'viewer' : 'owner');
+
+  if (leaving && role === 'owner') {
+    throw new OrganizationError('The owner cannot leave; delete the organization instead');
+  }
+
+  const { error } = await supabase
+    .from('organization_members')
+    .delete()
+    .eq('organization_id', organizationId)
+    .eq('user_id', leaving ? user.id : userId)
+    .neq('role', 'owner');
+
+  if (error) throw error;
+  return { success: true };
+}
+
+async function revokeInvitation(user, { invitationId }) {
+  if (!invitationId) {
+    throw new OrganizationError('invitationId is required');
+  }
+
+  const { data: invitation, error } = await supabase
+    .from('organization_invitations')
+    .select('id, organization_id')
+    .eq('id', invitationId)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!invitation) {
+    throw new OrganizationError('Invitation not found', 404);
+  }
+
+  await requireOrganizationRole(invitation.organization_id, user.id, 'manager');
+
+  const { error: deleteError } = await supabase
+    .from('organization_invitations')
+    .delete()
+    .eq('id', invitationId);
+
+  if (deleteError) throw deleteError;
+  return { success: true };
+}
+
+async function deleteOrganization(user, { organizationId }) {
+  await requireOrganizationRole(organizationId, user.id, 'owner');
+
+  // Members and invitations cascade; members' own data is untouched
+  const { error } = await supabase
+    .from('organizations')
+    .delete()
+    .eq('id', organizationId);
+
+  if (error) throw error;
+  return { success: true };
+}
+
+const ACTIONS = {
+  create: createOrganization,
+  invite: inviteMember,
+  accept: acceptInvitation,
+  updateRole: updateMemberRole,
+  removeMember,
+  revokeInvite: revokeInvitation,
+  delete: deleteOrganization
+};
+
+exports.handler = async (event, context) => {
+  const headers = getCorsHeaders(event);
+
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 200, headers, body: '' };
+  }
+
+  if (!['GET', 'POST'].includes(event.httpMethod)) {
+    return {
+      statusCode: 405,
+      headers,
+      body: JSON.stringify({ error: 'Method not allowed' })
+    };
+  }
+
+  try {
+    // Authenticate user
+    const authHeader = event.headers.authorization || event.headers.Authorization;
+    if (!authHeader?.startsWith('Bearer ')) {
+      return {
+        statusCode: 401,
+        headers,
+        body: JSON.stringify({ error: 'Authentication required' })
+      };
+    }
+
+    const token = authHeader.replace('Bearer ', '');
+    const { data: { user }, error: authError } = await supabase.auth.getUser(token);
+
+    if (authError || !user) {
+      return {
+        statusCode: 401,
+        headers,
+        body: JSON.stringify({ error: 'Invalid authentication' })
+      };
+    }
+
+    if (event.httpMethod === 'GET') {
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify(await listOrganizations(user))
+      };
+    }
+
+    const { action, ...params } = JSON.parse(event.body || '{}');
+    const run = ACTIONS[action];
+    if (!run) {
+      return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify({ error: `Unknown action. Use one of: ${Object.keys(ACTIONS).join(', ')}` })
+      };
+    }
+
+    const result = await run(user, params);
+
+    return {
+      statusCode: 200,
+      headers,
+      body: JSON.stringify(result)
+    };
+
+  } catch (error) {
+    if (error instanceof OrganizationError) {
+      return {
+        statusCode: error.statusCode,
+        headers,
+        body: JSON.stringify({ error: error.message })
+      };
+    }
+
+    console.error('Organizations error:', error);
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({
+        error: 'Failed to manage organization',
+        message: error.message
+      })
+    };
+  }
+};
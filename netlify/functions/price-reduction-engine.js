@@ -1,6 +1,16 @@
 const { Handler } = require('@netlify/functions');
 const { createClient } = require('@supabase/supabase-js');
 const { EbayApiClient } = require('./utils/ebay-api-client');
+const {
+  isDueForReduction,
+  getStrategiesForListings,
+  loadVelocityForListings,
+  evaluateListingReduction,
+  recordPriceReduction
+} = require('./utils/pricing-core');
+const { fetchUserSchedules } = require('./utils/reduction-calendar');
+const { getPriceWriteBlock, recordSkippedRun } = require('./utils/automation-guard');
+const { recordPricePush } = require('./utils/external-price');
 
 const supabase = createClient(
   process.env.SUPABASE_URL,
@@ -50,7 +60,8 @@ const handler = async (event, context) => {
       };
     }
 
-    // Initialize eBay client
+    // Check the connection with the default account; listings on another
+    // linked account get a client for that account below
     const ebayClient = new EbayApiClient(user.id);
 
     try {
@@ -71,69 +82,99 @@ const handler = async (event, context) => {
       throw initError;
     }
 
+    const ebayClients = new Map([[null, Promise.resolve(ebayClient)]]);
+    const clientFor = (listing) => {
+      const accountId = listing.ebay_account_id || null;
+      if (!ebayClients.has(accountId)) {
+        const accountClient = new EbayApiClient(user.id, accountId);
+        ebayClients.set(accountId, accountClient.initialize().then(() => accountClient));
+      }
+      return ebayClients.get(accountId);
+    };
+
     // Get listings for this specific user that need price reduction
     const { data: listings, error: fetchError } = await supabase
       .from('listings')
-      .select(`
-        *,
-        reduction_strategies (*)
-      `)
+      .select('*')
       .eq('user_id', user.id)
-      .eq('price_reduction_enabled', true)
-      .gte('end_time', new Date().toISOString())
+      .eq('enable_auto_reduction', true)
+      .eq('listing_status', 'Active')
+      .is('ended_at', null)
       .order('created_at', { ascending: true });
 
     if (fetchError) {
       throw new Error(`Failed to fetch listings: ${fetchError.message}`);
     }
 
+    // Same due check and pricing as the scheduled job (utils/pricing-core.js)
+    const strategiesById = await getStrategiesForListings(supabase, listings || []);
+    const velocityByListing = await loadVelocityForListings(supabase, listings || [], strategiesById);
+    const userSchedule = (await fetchUserSchedules(supabase, [user.id])).get(user.id);
+    const pricingServices = new Map();
+
     let processedCount = 0;
     let reducedCount = 0;
+    let blockedCount = 0;
     const results = [];
 
-    for (const listing of listings) {
+    for (const listing of listings || []) {
       try {
-        // Check if price reduction is needed
-        const shouldReduce = await checkPriceReductionConditions(listing);
+        const strategy = strategiesById.get(listing.strategy_id) || null;
+
+        if (isDueForReduction(listing, { strategy, velocity: velocityByListing.get(listing.id), userSchedule })) {
+          const priceResult = await evaluateListingReduction(supabase, listing, { strategy, pricingServices });
 
-        if (shouldReduce.reduce) {
-          // Calculate new price
-          let newPrice;
-          try {
-            newPrice = calculateNewPrice(listing, shouldReduce.strategy);
-          } catch (calcError) {
-            console.error(`Failed to calculate price for ${listing.ebay_item_id}:`, calcError.message);
+          if (priceResult.skipped) {
+            console.log(`Skipping ${listing.ebay_item_id}: ${priceResult.reason}`);
+            processedCount++;
             continue;
           }
 
-          // Validate new price
-          const currentPrice = parseFloat(listing.current_price);
-          if (newPrice >= currentPrice) {
-            console.log(`Skipping ${listing.ebay_item_id}: New price not lower than current`);
+          const { newPrice } = priceResult;
+          const reason = strategy
+            ? `Strategy "${strategy.name}" (${priceResult.reductionType})`
+            : `Scheduled ${priceResult.reductionValue}% reduction`;
+
+          // Checked per listing: the emergency stop or vacation mode may
+          // have been switched on since the run started
+          const block = await getPriceWriteBlock(supabase, user.id);
+          if (block) {
+            await recordSkippedRun(supabase, {
+              job: 'price-reduction-engine',
+              reason: block.reason,
+              userId: user.id,
+              details: { listingId: listing.id, price: newPrice }
+            });
+            blockedCount++;
+            processedCount++;
+            results.push({
+              itemId: listing.ebay_item_id,
+              title: listing.title,
+              status: 'blocked',
+              error: block.message
+            });
             continue;
           }
 
-          // Update price on eBay
-          const ebayResponse = await ebayClient.updateItemPrice(
+          // Update price on eBay, through the listing's own account
+          const accountClient = await clientFor(listing);
+          await recordPricePush(supabase, listing, newPrice);
+          const ebayResponse = await accountClient.updateItemPrice(
             listing.ebay_item_id,
             newPrice
           );
 
           if (ebayResponse.Ack === 'Success') {
-            // Update database
-            await supabase
-              .from('listings')
-              .update({
-                current_price: newPrice,
-                updated_at: new Date().toISOString()
-              })
-              .eq('id', listing.id);
+            // Update database and log the reduction
+            await recordPriceReduction(supabase, listing, priceResult, {
+              source: 'manual',
+              triggeredBy: user.id
+            });
 
-            // Log price change
-            console.log(`Price changed for ${listing.ebay_item_id}: $${listing.current_price} -> $${newPrice} (${shouldReduce.reason})`);
+            console.log(`Price changed for ${listing.ebay_item_id}: $${listing.current_price} -> $${newPrice} (${reason})`);
 
             // Send notification
-            await sendPriceReductionNotification(listing, newPrice, shouldReduce.reason, user.id);
+            await sendPriceReductionNotification(listing, newPrice, reason, user.id);
 
             reducedCount++;
             results.push({
@@ -141,7 +182,7 @@ const handler = async (event, context) => {
               title: listing.title,
               oldPrice: listing.current_price,
               newPrice: newPrice,
-              reason: shouldReduce.reason,
+              reason,
               status: 'success'
             });
           } else {
@@ -173,6 +214,7 @@ const handler = async (event, context) => {
         success: true,
         processedCount,
         reducedCount,
+        blockedCount,
         results: results.slice(0, 10), // Return first 10 results
         timestamp: new Date().toISOString()
       })
@@ -192,92 +234,6 @@ const handler = async (event, context) => {
   }
 };
 
-// Helper function to check if price reduction is needed
-async function checkPriceReductionConditions(listing) {
-  const now = new Date();
-  const endTime = new Date(listing.end_time);
-  const timeRemaining = endTime.getTime() - now.getTime();
-  const daysRemaining = timeRemaining / (1000 * 60 * 60 * 24);
-
-  // Default strategy if none exists
-  const strategy = listing.reduction_strategies || {
-    reduction_percentage: 5,
-    minimum_price: listing.current_price * 0.7,
-    time_trigger_days: 3,
-    watch_count_threshold: 5
-  };
-
-  // Check if we've reduced price recently (within 24 hours)
-  const twentyFourHoursAgo = new Date();
-  twentyFourHoursAgo.setHours(twentyFourHoursAgo.getHours() - 24);
-
-  // Check last update time on the listing itself instead of price_history
-  if (listing.updated_at) {
-    const lastUpdate = new Date(listing.updated_at);
-    if (lastUpdate >= twentyFourHoursAgo) {
-      return { reduce: false, reason: 'Price reduced recently' };
-    }
-  }
-
-  // Check time-based trigger
-  if (daysRemaining <= strategy.time_trigger_days && daysRemaining > 0) {
-    return {
-      reduce: true,
-      strategy,
-      reason: `Time trigger: ${daysRemaining.toFixed(1)} days remaining`
-    };
-  }
-
-  // Check watch count trigger (low interest)
-  if (listing.watch_count < strategy.watch_count_threshold && daysRemaining <= 7) {
-    return {
-      reduce: true,
-      strategy,
-      reason: `Low interest: ${listing.watch_count} watchers`
-    };
-  }
-
-  // Check if price is too high compared to similar items (placeholder)
-  // TODO: Implement market comparison logic
-
-  return { reduce: false };
-}
-
-// Helper function to calculate new price
-function calculateNewPrice(listing, strategy) {
-  const currentPrice = parseFloat(listing.current_price);
-  const reductionPercentage = parseFloat(strategy.reduction_percentage);
-  const minimumPrice = parseFloat(strategy.minimum_price || (currentPrice * 0.5));
-
-  // Validate inputs
-  if (isNaN(currentPrice) || currentPrice <= 0) {
-    throw new Error('Invalid current price');
-  }
-
-  if (isNaN(reductionPercentage) || reductionPercentage <= 0 || reductionPercentage > 100) {
-    throw new Error('Invalid reduction percentage');
-  }
-
-  // Check if minimum_price is set (not null, undefined, 0, or empty string)
-  if (!listing.minimum_price || isNaN(minimumPrice) || minimumPrice <= 0) {
-    throw new Error('Minimum price must be set before reducing prices');
-  }
-
-  const reductionAmount = currentPrice * (reductionPercentage / 100);
-  const newPrice = currentPrice - reductionAmount;
-
-  // Ensure price doesn't go below minimum
-  const finalPrice = Math.max(newPrice, minimumPrice);
-  const roundedPrice = Math.round(finalPrice * 100) / 100;
-
-  // Final validation
-  if (isNaN(roundedPrice) || roundedPrice <= 0) {
-    throw new Error('Price calculation resulted in invalid value');
-  }
-
-  return roundedPrice;
-}
-
 // Helper function to send price reduction notification
 async function sendPriceReductionNotification(listing, newPrice, reason, userId) {
   try {
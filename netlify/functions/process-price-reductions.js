@@ -6,7 +6,9 @@
  * - If 'trading_api' → use ReviseFixedPriceItem (Task 4)
  * - If 'inventory_api' → use bulkUpdatePriceQuantity
  * 
- * This function processes automatic price reductions for enabled listings.
+ * This function processes automatic price reductions (and recovery raises) for enabled listings,
+ * and runs end-of-life actions for listings that have sat at their price floor.
+ * Due checks, price calculation and logging live in utils/pricing-core.js.
  */
 
 const fetch = require('node-fetch');
@@ -14,6 +16,25 @@ const { createClient } = require('@supabase/supabase-js');
 const { getCorsHeaders } = require('./utils/cors');
 const { getValidAccessToken, ebayApiRequest } = require('./utils/ebay-oauth');
 const { updatePriceTradingApi } = require('./update-price-trading-api');
+const { endListingOnEbay } = require('./end-listing');
+const { createNotification } = require('./notification-service');
+const { EbayApiClient } = require('./utils/ebay-api-client');
+const { getRequestId, getAuditSource, recordAudit } = require('./utils/audit-log');
+const { getGlobalHalt, getVacationUserIds, recordSkippedRun } = require('./utils/automation-guard');
+const { recordPricePush } = require('./utils/external-price');
+const {
+  isDueForReduction,
+  getStrategiesForListings,
+  loadVelocityForListings,
+  loadRecoveryForListings,
+  evaluateListingReduction,
+  recordPriceReduction,
+  recordPriceRecovery,
+  recordEndOfLifeAction,
+  getNextReductionDate
+} = require('./utils/pricing-core');
+const { isReductionAllowed, fetchUserSchedules } = require('./utils/reduction-calendar');
+const { planEndOfLife } = require('./utils/end-of-life');
 
 const supabase = createClient(
   process.env.SUPABASE_URL,
@@ -121,134 +142,105 @@ async function updatePriceInventoryApi(accessToken, listing, newPrice) {
 }
 
 /**
- * Fetch strategy for a listing if it has a strategy_id
+ * Push a new price to eBay, routed by listing source
+ * Used for both reductions and recovery raises.
  */
-async function getStrategyForListing(listing) {
-  if (!listing.strategy_id) {
-    return null;
-  }
-  
-  const { data: strategy, error } = await supabase
-    .from('strategies')
-    .select('*')
-    .eq('id', listing.strategy_id)
-    .single();
-  
-  if (error) {
-    console.warn(`Failed to fetch strategy ${listing.strategy_id}:`, error.message);
-    return null;
-  }
-  
-  return strategy;
-}
+async function pushPriceToEbay(accessToken, listing, newPrice) {
+  // Before the request, so sync never mistakes this push for a seller edit
+  await recordPricePush(supabase, listing, newPrice);
 
-/**
- * Calculate new price based on reduction strategy
- * Supports both percentage and dollar reduction types
- * 
- * @param {Object} listing - The listing record
- * @param {Object} strategy - The strategy record (optional, fetched if listing has strategy_id)
- * @returns {Object} { newPrice, reductionType, reductionApplied }
- */
-function calculateNewPrice(listing, strategy = null) {
-  const currentPrice = parseFloat(listing.current_price);
-  let minimumPrice = parseFloat(listing.minimum_price);
+  // Route based on source column FIRST, then fall back to field detection
+  // IMPORTANT: Import process must set source = 'inventory_api' or 'trading_api'
   
-  // F-PRC003: Validate minimum price to handle edge cases
-  if (isNaN(minimumPrice) || minimumPrice <= 0) {
-    minimumPrice = 0.99; // Sensible default floor - never reduce below $0.99
-    console.log(`⚠️ Invalid minimum_price for listing ${listing.id}, using default $0.99`);
-  }
-  if (minimumPrice >= currentPrice) {
-    console.log(`⚠️ Listing ${listing.id} already at or below minimum ($${currentPrice} <= $${minimumPrice})`);
-    return {
-      newPrice: currentPrice,
-      reductionType: 'none',
-      reductionValue: 0,
-      reductionApplied: 0,
-      skipped: true,
-      reason: 'At or below minimum price'
-    };
-  }
-  
-  // Determine reduction parameters from strategy or fallback to listing defaults
-  let reductionType = 'percentage';
-  let reductionValue = parseFloat(listing.reduction_percentage || 2); // Default 2%
+  let updateError = null;
+  let updated = false;
   
-  if (strategy) {
-    // Handle both schema versions:
-    // UAT: reduction_type, reduction_amount
-    // Production: strategy_type, reduction_percentage/reduction_amount
-    reductionType = strategy.reduction_type || strategy.strategy_type || 'percentage';
+  // PRIORITY 1: Check source column explicitly
+  if (listing.source === 'inventory_api') {
+    // Inventory API - requires SKU and offer_id
+    if (!listing.ebay_sku) {
+      throw new Error('Inventory API listing missing ebay_sku');
+    }
     
-    if (reductionType === 'dollar') {
-      reductionValue = parseFloat(strategy.reduction_amount);
-    } else {
-      // For percentage, check both column names
-      reductionValue = parseFloat(strategy.reduction_amount || strategy.reduction_percentage || 5);
+    // Fetch offer_id if we don't have it
+    let offerId = listing.offer_id;
+    if (!offerId) {
+      offerId = await fetchOfferId(accessToken, listing.ebay_sku);
+      if (offerId) {
+        listing.offer_id = offerId;
+        await supabase
+          .from('listings')
+          .update({ offer_id: offerId })
+          .eq('id', listing.id);
+      }
     }
-    console.log(`📊 Using strategy "${strategy.name}": ${reductionType} reduction of ${reductionType === 'dollar' ? '$' : ''}${reductionValue}${reductionType === 'percentage' ? '%' : ''}`);
-  } else {
-    console.log(`📊 No strategy, using listing fallback: ${reductionValue}%`);
-  }
-  
-  // Calculate reduction based on type
-  let reduction;
-  if (reductionType === 'dollar') {
-    // Dollar amount - subtract fixed amount
-    reduction = reductionValue;
+    
+    if (!offerId) {
+      throw new Error('Could not get offer_id for Inventory API listing');
+    }
+    
+    await updatePriceInventoryApi(accessToken, listing, newPrice);
+    updated = true;
+    
+  } else if (listing.source === 'trading_api') {
+    // Trading API (XML) - requires ebay_item_id
+    if (!listing.ebay_item_id) {
+      throw new Error('Trading API listing missing ebay_item_id');
+    }
+    await updatePriceTradingApi(accessToken, listing, newPrice);
+    updated = true;
+    
   } else {
-    // Percentage - calculate percentage of current price
-    reduction = currentPrice * (reductionValue / 100);
-  }
-  
-  let newPrice = currentPrice - reduction;
-  
-  // Round to 2 decimal places
-  newPrice = Math.round(newPrice * 100) / 100;
-  
-  // Ensure we don't go below minimum
-  const actualReduction = currentPrice - Math.max(newPrice, minimumPrice);
-  if (newPrice < minimumPrice) {
-    newPrice = minimumPrice;
-  }
-  
-  return {
-    newPrice,
-    reductionType,
-    reductionValue,
-    reductionApplied: Math.round(actualReduction * 100) / 100
-  };
-}
-
-/**
- * Check if listing is due for price reduction
- */
-function isDueForReduction(listing) {
-  if (!listing.enable_auto_reduction) {
-    return false;
-  }
-  
-  if (listing.listing_status !== 'Active') {
-    return false;
+    // FALLBACK: source not set - detect from available fields
+    console.warn(`Listing ${listing.id} has no source set - detecting from fields`);
+    
+    // Try Inventory API if we have SKU
+    if (listing.ebay_sku) {
+      let offerId = listing.offer_id;
+      if (!offerId) {
+        offerId = await fetchOfferId(accessToken, listing.ebay_sku);
+        if (offerId) {
+          listing.offer_id = offerId;
+          await supabase
+            .from('listings')
+            .update({ offer_id: offerId, source: 'inventory_api' })
+            .eq('id', listing.id);
+        }
+      }
+      
+      if (offerId) {
+        try {
+          await updatePriceInventoryApi(accessToken, listing, newPrice);
+          updated = true;
+        } catch (invError) {
+          console.warn(`Inventory API failed: ${invError.message}`);
+          updateError = invError;
+        }
+      }
+    }
+    
+    // Try Trading API if we have ItemID
+    if (!updated && listing.ebay_item_id) {
+      try {
+        await updatePriceTradingApi(accessToken, listing, newPrice);
+        updated = true;
+        // Auto-set source for future
+        await supabase
+          .from('listings')
+          .update({ source: 'trading_api' })
+          .eq('id', listing.id);
+      } catch (tradError) {
+        if (tradError.message?.includes('Inventory-based')) {
+          console.warn(`Listing ${listing.id} is actually Inventory API based`);
+        }
+        updateError = tradError;
+      }
+    }
   }
   
-  // Check if already at minimum price
-  const currentPrice = parseFloat(listing.current_price);
-  const minimumPrice = parseFloat(listing.minimum_price);
-  if (currentPrice <= minimumPrice) {
-    return false;
+  if (!updated) {
+    throw updateError || new Error('No valid API method available for this listing');
   }
-  
-  // Check reduction interval
-  const intervalHours = parseInt(listing.reduction_interval || 24);
-  const lastReduction = listing.last_price_reduction 
-    ? new Date(listing.last_price_reduction)
-    : new Date(0);
-  
-  const hoursSinceLastReduction = (Date.now() - lastReduction.getTime()) / (1000 * 60 * 60);
-  
-  return hoursSinceLastReduction >= intervalHours;
 }
 
 /**
@@ -256,155 +248,28 @@ function isDueForReduction(listing) {
  * @param {string} accessToken - eBay access token (null for dry run)
  * @param {Object} listing - The listing to process
  * @param {boolean} dryRun - If true, skip eBay API calls
+ * @param {Object} options - { strategy, pricingServices } shared across the run
  */
-async function processListing(accessToken, listing, dryRun = false) {
-  // Fetch strategy if listing has one assigned
-  const strategy = await getStrategyForListing(listing);
-  
-  // Calculate new price using strategy or fallback
-  const priceResult = calculateNewPrice(listing, strategy);
-  const { newPrice, reductionType, reductionValue, reductionApplied, skipped, reason } = priceResult;
+async function processListing(accessToken, listing, dryRun = false, { strategy = null, pricingServices = new Map() } = {}) {
+  // Calculate new price using the shared pricing core (strategy or listing fallback)
+  const priceResult = await evaluateListingReduction(supabase, listing, { strategy, pricingServices });
+  const { newPrice, reductionType, reductionValue, reductionUnit, reductionApplied, skipped, reason } = priceResult;
   
   // F-PRC003: Handle early return from calculateNewPrice (e.g., at minimum)
   if (skipped) {
     return { skipped: true, reason: reason || 'Skipped by calculateNewPrice' };
   }
   
-  if (newPrice >= listing.current_price) {
-    return { skipped: true, reason: 'New price not lower (at minimum or no reduction)' };
-  }
-  
-  const reductionDisplay = reductionType === 'dollar' 
+  const reductionDisplay = reductionUnit === 'dollar' 
     ? `$${reductionValue}` 
     : `${reductionValue}%`;
   console.log(`💰 Processing listing ${listing.id}: $${listing.current_price} → $${newPrice} (${reductionDisplay} ${reductionType}, source: ${listing.source})${dryRun ? ' [DRY RUN]' : ''}`);
   
   if (!dryRun) {
-    // Route based on source column FIRST, then fall back to field detection
-    // IMPORTANT: Import process must set source = 'inventory_api' or 'trading_api'
+    await pushPriceToEbay(accessToken, listing, newPrice);
     
-    let updateError = null;
-    let updated = false;
-    
-    // PRIORITY 1: Check source column explicitly
-    if (listing.source === 'inventory_api') {
-      // Inventory API - requires SKU and offer_id
-      if (!listing.ebay_sku) {
-        throw new Error('Inventory API listing missing ebay_sku');
-      }
-      
-      // Fetch offer_id if we don't have it
-      let offerId = listing.offer_id;
-      if (!offerId) {
-        offerId = await fetchOfferId(accessToken, listing.ebay_sku);
-        if (offerId) {
-          listing.offer_id = offerId;
-          await supabase
-            .from('listings')
-            .update({ offer_id: offerId })
-            .eq('id', listing.id);
-        }
-      }
-      
-      if (!offerId) {
-        throw new Error('Could not get offer_id for Inventory API listing');
-      }
-      
-      await updatePriceInventoryApi(accessToken, listing, newPrice);
-      updated = true;
-      
-    } else if (listing.source === 'trading_api') {
-      // Trading API (XML) - requires ebay_item_id
-      if (!listing.ebay_item_id) {
-        throw new Error('Trading API listing missing ebay_item_id');
-      }
-      await updatePriceTradingApi(accessToken, listing, newPrice);
-      updated = true;
-      
-    } else {
-      // FALLBACK: source not set - detect from available fields
-      console.warn(`Listing ${listing.id} has no source set - detecting from fields`);
-      
-      // Try Inventory API if we have SKU
-      if (listing.ebay_sku) {
-        let offerId = listing.offer_id;
-        if (!offerId) {
-          offerId = await fetchOfferId(accessToken, listing.ebay_sku);
-          if (offerId) {
-            listing.offer_id = offerId;
-            await supabase
-              .from('listings')
-              .update({ offer_id: offerId, source: 'inventory_api' })
-              .eq('id', listing.id);
-          }
-        }
-        
-        if (offerId) {
-          try {
-            await updatePriceInventoryApi(accessToken, listing, newPrice);
-            updated = true;
-          } catch (invError) {
-            console.warn(`Inventory API failed: ${invError.message}`);
-            updateError = invError;
-          }
-        }
-      }
-      
-      // Try Trading API if we have ItemID
-      if (!updated && listing.ebay_item_id) {
-        try {
-          await updatePriceTradingApi(accessToken, listing, newPrice);
-          updated = true;
-          // Auto-set source for future
-          await supabase
-            .from('listings')
-            .update({ source: 'trading_api' })
-            .eq('id', listing.id);
-        } catch (tradError) {
-          if (tradError.message?.includes('Inventory-based')) {
-            console.warn(`Listing ${listing.id} is actually Inventory API based`);
-          }
-          updateError = tradError;
-        }
-      }
-    }
-    
-    if (!updated) {
-      throw updateError || new Error('No valid API method available for this listing');
-    }
-    
-    // Update database
-    await supabase
-      .from('listings')
-      .update({
-        current_price: newPrice,
-        last_price_reduction: new Date().toISOString(),
-        total_reductions: (listing.total_reductions || 0) + 1,
-        updated_at: new Date().toISOString()
-      })
-      .eq('id', listing.id);
-    
-    // Log reduction with type info
-    try {
-      await supabase.from('price_reduction_log').insert({
-        listing_id: listing.id,
-        user_id: listing.user_id,
-        ebay_item_id: listing.ebay_item_id || listing.ebay_listing_id || 'unknown',
-        sku: listing.ebay_sku,
-        title: listing.title,
-        original_price: listing.current_price,
-        reduced_price: newPrice,
-        reduction_amount: reductionApplied,
-        reduction_percentage: ((reductionApplied / listing.current_price) * 100).toFixed(2),
-        reduction_type: 'automated', // source: manual/scheduled/automated
-        reduction_method: reductionType, // method: percentage/dollar
-        reduction_strategy: strategy?.name || null,
-        strategy_id: strategy?.id || null,
-        created_at: new Date().toISOString()
-      });
-    } catch (e) {
-      console.warn('Failed to log price reduction:', e.message);
-    }
+    // Update database and log the reduction
+    await recordPriceReduction(supabase, listing, priceResult, { source: 'automated' });
   } else {
     console.log(`🧪 DRY RUN: Would update ${listing.title} from $${listing.current_price} to $${newPrice}`);
   }
@@ -419,6 +284,133 @@ async function processListing(accessToken, listing, dryRun = false) {
   };
 }
 
+/**
+ * Apply a recovery raise decided by loadRecoveryForListings
+ * @param {string} accessToken - eBay access token (null for dry run)
+ * @param {Object} listing - The listing to raise
+ * @param {Object} recovery - { newPrice, increase, trigger, reason }
+ * @param {boolean} dryRun - If true, skip eBay API calls
+ * @param {Object} options - { strategy }
+ */
+async function processRecovery(accessToken, listing, recovery, dryRun = false, { strategy = null } = {}) {
+  console.log(`📈 Recovering listing ${listing.id}: $${listing.current_price} → $${recovery.newPrice} (${recovery.reason})${dryRun ? ' [DRY RUN]' : ''}`);
+
+  if (!dryRun) {
+    await pushPriceToEbay(accessToken, listing, recovery.newPrice);
+    await recordPriceRecovery(supabase, listing, { ...recovery, strategy });
+  }
+
+  return {
+    success: true,
+    dryRun,
+    oldPrice: listing.current_price,
+    newPrice: recovery.newPrice,
+    trigger: recovery.trigger
+  };
+}
+
+/**
+ * Run an end-of-life action decided by planEndOfLife
+ * @param {Object} listing - The listing at its price floor
+ * @param {Object} decision - { action, notify, reason }
+ * @param {boolean} dryRun - If true, skip eBay API calls and writes
+ * @param {Object} options - { strategy, audit: { actorId, source, requestId } }
+ */
+async function processEndOfLife(listing, decision, dryRun = false, { strategy = null, audit = {} } = {}) {
+  const { action, reason } = decision;
+  console.log(`🏁 End-of-life for listing ${listing.id}: ${action} (${reason})${dryRun ? ' [DRY RUN]' : ''}`);
+
+  if (dryRun) {
+    return { success: true, dryRun, action };
+  }
+
+  const now = new Date();
+  const outcome = { action, reason, strategy, updates: {} };
+
+  if (action === 'end' || action === 'relist') {
+    if (!listing.ebay_item_id) {
+      throw new Error('Listing has no ebay_item_id to end');
+    }
+    await endListingOnEbay(listing.user_id, listing.ebay_item_id, 'NotAvailable', listing.ebay_account_id);
+    outcome.updates = { listing_status: 'Ended', ended_at: now.toISOString() };
+  }
+
+  if (action === 'relist') {
+    // Fresh start: a new eBay item at the original price, reductions start over
+    const relistPrice = parseFloat(listing.original_price) || parseFloat(listing.current_price);
+    const ebayClient = new EbayApiClient(listing.user_id, listing.ebay_account_id);
+    await ebayClient.initialize();
+    const relisted = await ebayClient.relistItem(listing.ebay_item_id, relistPrice);
+
+    outcome.newPrice = relistPrice;
+    outcome.updates = {
+      ebay_item_id: relisted?.ItemID || listing.ebay_item_id,
+      ebay_url: relisted?.ItemID ? `https://www.ebay.com/itm/${relisted.ItemID}` : listing.ebay_url,
+      listing_status: 'Active',
+      ended_at: null,
+      current_price: relistPrice,
+      start_time: now.toISOString(),
+      last_price_reduction: now.toISOString(),
+      next_price_reduction: getNextReductionDate(listing, strategy, now).toISOString(),
+      floor_reached_at: null,
+      needs_attention: false,
+      needs_attention_reason: null,
+      total_relists: (listing.total_relists || 0) + 1
+    };
+  }
+
+  if (action === 'needs_attention') {
+    outcome.updates = { needs_attention: true, needs_attention_reason: reason };
+  }
+
+  await recordEndOfLifeAction(supabase, listing, outcome);
+
+  // Ending and relisting change the listing on eBay; both go to the audit trail
+  if (action === 'end' || action === 'relist') {
+    await recordAudit(supabase, {
+      userId: listing.user_id,
+      actorId: audit.actorId || null,
+      source: audit.source || 'scheduler',
+      action: action === 'end' ? 'listing.ended' : 'listing.relisted',
+      entityType: 'listing',
+      entityId: listing.id,
+      before: {
+        listing_status: listing.listing_status,
+        ebay_item_id: listing.ebay_item_id,
+        current_price: listing.current_price
+      },
+      after: {
+        listing_status: outcome.updates.listing_status,
+        ebay_item_id: outcome.updates.ebay_item_id || listing.ebay_item_id,
+        current_price: outcome.newPrice ?? listing.current_price
+      },
+      requestId: audit.requestId || null,
+      metadata: { title: listing.title, reason, endOfLife: true }
+    });
+  }
+
+  if (action === 'notify' || decision.notify) {
+    const verb = {
+      notify: 'has been at its price floor',
+      needs_attention: 'needs attention',
+      end: 'was ended',
+      relist: `was relisted at $${outcome.newPrice}`
+    }[action];
+    try {
+      await createNotification(listing.user_id, {
+        type: 'end_of_life',
+        title: 'Listing reached its price floor',
+        message: `"${listing.title}" ${verb}. ${reason}.`,
+        data: { listingId: listing.id, ebayItemId: listing.ebay_item_id, action, reason }
+      });
+    } catch (notifyError) {
+      console.warn(`Failed to notify about listing ${listing.id}:`, notifyError.message);
+    }
+  }
+
+  return { success: true, dryRun, action };
+}
+
 exports.handler = async (event, context) => {
   const headers = getCorsHeaders(event);
 
@@ -441,6 +433,7 @@ exports.handler = async (event, context) => {
     // Authenticate user (or allow scheduled trigger with API key)
     const authHeader = event.headers.authorization || event.headers.Authorization;
     let userId = null;
+    let actorId = null; // Set for user-initiated runs; scheduled runs have no actor
     
     // Check for scheduled job trigger or dry-run test mode
     const { scheduled, userId: requestedUserId, dryRun, testSecret, internalScheduled, limit } = event.body ? JSON.parse(event.body) : {};
@@ -482,6 +475,7 @@ exports.handler = async (event, context) => {
         };
       }
       userId = user.id;
+      actorId = user.id;
     } else {
       return {
         statusCode: 401,
@@ -492,6 +486,32 @@ exports.handler = async (event, context) => {
 
     console.log(`✅ Processing for user: ${userId || 'all users'}`);
 
+    // Combined dry run check: test mode OR internal scheduled with dryRun flag
+    const shouldDryRun = isDryRunTest || (isInternalScheduled && dryRun);
+
+    // Emergency stop: no price writes at all (dry runs still calculate)
+    if (!shouldDryRun) {
+      const halt = await getGlobalHalt(supabase);
+      if (halt.halted) {
+        await recordSkippedRun(supabase, {
+          job: 'process-price-reductions',
+          reason: 'global_halt',
+          userId,
+          details: { haltReason: halt.reason, trigger: actorId ? 'user' : 'scheduler' }
+        });
+        return {
+          statusCode: 200,
+          headers,
+          body: JSON.stringify({
+            success: true,
+            skipped: true,
+            reason: 'global_halt',
+            message: halt.reason ? `Price writes are halted: ${halt.reason}` : 'Price writes are halted'
+          })
+        };
+      }
+    }
+
     // Build query for listings due for reduction
     let query = supabase
       .from('listings')
@@ -512,8 +532,51 @@ exports.handler = async (event, context) => {
 
     console.log(`📊 Found ${listings?.length || 0} listings with auto-reduction enabled`);
 
+    // Assigned strategies set the interval and, with velocity mode, can pause or accelerate it
+    const strategiesById = await getStrategiesForListings(supabase, listings || []);
+    const velocityByListing = await loadVelocityForListings(supabase, listings || [], strategiesById);
+    const velocityDecisions = [...velocityByListing.values()];
+    
+    // Seller calendars: blocked weekdays, allowed hours and blackout ranges
+    const userSchedules = await fetchUserSchedules(supabase, (listings || []).map(l => l.user_id));
+    const calendarBlocked = (listings || []).filter(l => !isReductionAllowed({
+      userSchedule: userSchedules.get(l.user_id),
+      strategySchedule: strategiesById.get(l.strategy_id)?.reduction_schedule
+    }).allowed).length;
+    if (calendarBlocked > 0) {
+      console.log(`📅 ${calendarBlocked} listing(s) outside their reduction calendar right now`);
+    }
+    
+    // Recovery rules: listings selling fast or undercut by competitors step back up
+    // instead of being reduced this run (calendars apply to raises too)
+    const recoveryByListing = await loadRecoveryForListings(supabase, listings || [], strategiesById);
+    const recoveryListings = (listings || []).filter(l => recoveryByListing.has(l.id) && isReductionAllowed({
+      userSchedule: userSchedules.get(l.user_id),
+      strategySchedule: strategiesById.get(l.strategy_id)?.reduction_schedule
+    }).allowed);
+    const recoveringIds = new Set(recoveryListings.map(l => l.id));
+    
+    // End-of-life: mark listings that just reached their floor, clear markers on
+    // listings back above it, and act on the ones that have waited long enough
+    const endOfLifeByListing = new Map();
+    for (const listing of listings || []) {
+      if (recoveringIds.has(listing.id)) continue;
+      const decision = planEndOfLife(listing, strategiesById.get(listing.strategy_id));
+      if (decision) endOfLifeByListing.set(listing.id, decision);
+    }
+    const idsWithStep = (step) => [...endOfLifeByListing].filter(([, d]) => d.step === step).map(([id]) => id);
+    const floorMarkers = { mark: idsWithStep('mark'), reset: idsWithStep('reset') };
+    const endOfLifeListings = (listings || []).filter(l => endOfLifeByListing.get(l.id)?.step === 'act' && isReductionAllowed({
+      userSchedule: userSchedules.get(l.user_id),
+      strategySchedule: strategiesById.get(l.strategy_id)?.reduction_schedule
+    }).allowed);
+    
     // Filter to only listings due for reduction
-    let dueListings = (listings || []).filter(isDueForReduction);
+    let dueListings = (listings || []).filter(l => !recoveringIds.has(l.id) && isDueForReduction(l, {
+      strategy: strategiesById.get(l.strategy_id),
+      velocity: velocityByListing.get(l.id),
+      userSchedule: userSchedules.get(l.user_id)
+    }));
     const totalDue = dueListings.length;
     
     // Apply limit if specified (for testing/batching)
@@ -526,28 +589,50 @@ exports.handler = async (event, context) => {
 
     // Group by user to get access tokens efficiently
     const userListings = {};
+    const userRecoveries = {};
+    const userEndOfLife = {};
     for (const listing of dueListings) {
       if (!userListings[listing.user_id]) {
         userListings[listing.user_id] = [];
       }
       userListings[listing.user_id].push(listing);
     }
+    for (const listing of recoveryListings) {
+      if (!userRecoveries[listing.user_id]) {
+        userRecoveries[listing.user_id] = [];
+      }
+      userRecoveries[listing.user_id].push(listing);
+      userListings[listing.user_id] = userListings[listing.user_id] || [];
+    }
+    for (const listing of endOfLifeListings) {
+      if (!userEndOfLife[listing.user_id]) {
+        userEndOfLife[listing.user_id] = [];
+      }
+      userEndOfLife[listing.user_id].push(listing);
+      userListings[listing.user_id] = userListings[listing.user_id] || [];
+    }
 
     // Check for vacation mode - skip users who have it enabled
-    const userIds = Object.keys(userListings);
-    const { data: usersData } = await supabase
-      .from('users')
-      .select('id, vacation_mode')
-      .in('id', userIds);
-    
-    const vacationUsers = new Set(
-      (usersData || []).filter(u => u.vacation_mode).map(u => u.id)
-    );
+    const vacationUsers = await getVacationUserIds(supabase, Object.keys(userListings));
     
     if (vacationUsers.size > 0) {
       console.log(`🏖️ Skipping ${vacationUsers.size} user(s) in vacation mode`);
       for (const uid of vacationUsers) {
+        if (!shouldDryRun) {
+          await recordSkippedRun(supabase, {
+            job: 'process-price-reductions',
+            reason: 'vacation_mode',
+            userId: uid,
+            details: {
+              reductions: (userListings[uid] || []).length,
+              recoveries: (userRecoveries[uid] || []).length,
+              endOfLife: (userEndOfLife[uid] || []).length
+            }
+          });
+        }
         delete userListings[uid];
+        delete userRecoveries[uid];
+        delete userEndOfLife[uid];
       }
     }
 
@@ -555,21 +640,111 @@ exports.handler = async (event, context) => {
       processed: 0,
       skipped: 0,
       vacationSkipped: vacationUsers.size,
+      velocityPaused: velocityDecisions.filter(v => v.action === 'pause').length,
+      velocityAccelerated: velocityDecisions.filter(v => v.action === 'accelerate').length,
+      calendarBlocked,
+      recovered: 0,
+      endOfLife: 0,
       errors: []
     };
 
+    // Start (or clear) the end-of-life wait
+    if (!shouldDryRun) {
+      const now = new Date().toISOString();
+      if (floorMarkers.mark.length > 0) {
+        await supabase
+          .from('listings')
+          .update({ floor_reached_at: now, end_of_life_at: null })
+          .in('id', floorMarkers.mark);
+      }
+      if (floorMarkers.reset.length > 0) {
+        await supabase
+          .from('listings')
+          .update({ floor_reached_at: null, end_of_life_at: null })
+          .in('id', floorMarkers.reset);
+      }
+    }
+    
+    // Browse API clients for competitor-anchored strategies, shared across the run
+    const pricingServices = new Map();
+
     // Process each user's listings
     for (const [uid, userDueListings] of Object.entries(userListings)) {
       try {
-        // Combined dry run check: test mode OR internal scheduled with dryRun flag
-        const shouldDryRun = isDryRunTest || (isInternalScheduled && dryRun);
+        // One token per linked eBay account; skip token fetch for dry run mode
+        const accessTokens = new Map();
+        const tokenFor = async (listing) => {
+          if (shouldDryRun) return null;
+          const accountId = listing.ebay_account_id || null;
+          if (!accessTokens.has(accountId)) {
+            accessTokens.set(accountId, await getValidAccessToken(supabase, uid, accountId));
+          }
+          return accessTokens.get(accountId);
+        };
+        
+        for (const listing of userRecoveries[uid] || []) {
+          try {
+            const result = await processRecovery(await tokenFor(listing), listing, recoveryByListing.get(listing.id), shouldDryRun, {
+              strategy: strategiesById.get(listing.strategy_id) || null
+            });
+            results.recovered++;
+            if (shouldDryRun) {
+              results.details = results.details || [];
+              results.details.push({
+                listingId: listing.id,
+                title: listing.title,
+                oldPrice: result.oldPrice,
+                newPrice: result.newPrice,
+                reductionType: 'recovery',
+                trigger: result.trigger
+              });
+            }
+          } catch (listingError) {
+            console.error(`Error recovering listing ${listing.id}:`, listingError);
+            results.errors.push({
+              listingId: listing.id,
+              error: listingError.message
+            });
+          }
+        }
         
-        // Skip token fetch for dry run mode
-        const accessToken = shouldDryRun ? null : await getValidAccessToken(supabase, uid);
+        for (const listing of userEndOfLife[uid] || []) {
+          try {
+            const decision = endOfLifeByListing.get(listing.id);
+            await processEndOfLife(listing, decision, shouldDryRun, {
+              strategy: strategiesById.get(listing.strategy_id) || null,
+              audit: {
+                actorId,
+                source: actorId ? getAuditSource(event) : 'scheduler',
+                requestId: getRequestId(event, context)
+              }
+            });
+            results.endOfLife++;
+            if (shouldDryRun) {
+              results.details = results.details || [];
+              results.details.push({
+                listingId: listing.id,
+                title: listing.title,
+                reductionType: 'end_of_life',
+                action: decision.action,
+                reason: decision.reason
+              });
+            }
+          } catch (listingError) {
+            console.error(`Error running end-of-life action for listing ${listing.id}:`, listingError);
+            results.errors.push({
+              listingId: listing.id,
+              error: listingError.message
+            });
+          }
+        }
         
         for (const listing of userDueListings) {
           try {
-            const result = await processListing(accessToken, listing, shouldDryRun);
+            const result = await processListing(await tokenFor(listing), listing, shouldDryRun, {
+              strategy: strategiesById.get(listing.strategy_id) || null,
+              pricingServices
+            });
             if (result.skipped) {
               results.skipped++;
             } else if (result.success) {
@@ -619,6 +794,12 @@ exports.handler = async (event, context) => {
           processed: results.processed,
           skipped: results.skipped,
           vacationSkipped: results.vacationSkipped || 0,
+          velocityPaused: results.velocityPaused,
+          velocityAccelerated: results.velocityAccelerated,
+          calendarBlocked: results.calendarBlocked,
+          recovered: results.recovered,
+          endOfLife: results.endOfLife,
+          atFloorMarked: floorMarkers.mark.length,
           errors: results.errors.length
         },
         details: results.details, // Included in dry run mode
@@ -638,3 +819,5 @@ exports.handler = async (event, context) => {
     };
   }
 };
+
+exports.pushPriceToEbay = pushPriceToEbay;
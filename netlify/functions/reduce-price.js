@@ -2,6 +2,15 @@ const { Handler } = require('@netlify/functions')
 const { getCorsHeaders } = require('./utils/cors')
 const { createClient } = require('@supabase/supabase-js')
 const { EbayApiClient } = require('./utils/ebay-api-client')
+const {
+  getStrategyForListing,
+  getEffectiveMinimumPrice,
+  getMinimumPriceSource,
+  evaluateListingReduction,
+  recordPriceReduction
+} = require('./utils/pricing-core')
+const { getListingAccess, hasRole } = require('./utils/organizations')
+const { recordPricePush } = require('./utils/external-price')
 
 // Initialize Supabase client
 const supabase = createClient(
@@ -64,15 +73,10 @@ const handler = async (event, context) => {
 
     const { customPrice } = JSON.parse(event.body || '{}')
 
-    // Get listing details
-    const { data: listing, error: listingError } = await supabase
-      .from('listings')
-      .select('*')
-      .eq('id', listingId)
-      .eq('user_id', user.id)
-      .single()
+    // Get listing details (own listing, or a teammate's through an organization)
+    const { listing, role } = await getListingAccess(supabase, user.id, listingId)
 
-    if (listingError || !listing) {
+    if (!listing) {
       return {
         statusCode: 404,
         headers: {
@@ -83,47 +87,50 @@ const handler = async (event, context) => {
       }
     }
 
-    // Validate required fields
-    const currentPrice = parseFloat(listing.current_price)
-    const minimumPrice = parseFloat(listing.minimum_price)
-    const reductionPercentage = parseFloat(listing.reduction_percentage)
-
-    if (isNaN(currentPrice) || currentPrice <= 0) {
+    // Viewers can see pricing but not change it
+    if (!hasRole(role, 'manager')) {
       return {
-        statusCode: 400,
+        statusCode: 403,
         headers: {
           'Access-Control-Allow-Origin': '*',
           'Content-Type': 'application/json'
         },
-        body: JSON.stringify({ error: 'Invalid current price' })
+        body: JSON.stringify({ error: 'Viewers cannot reduce prices' })
       }
     }
 
-    // Check if minimum_price is set (not null, undefined, 0, or empty string)
-    if (!listing.minimum_price || isNaN(minimumPrice) || minimumPrice <= 0) {
+    // Validate required fields
+    const currentPrice = parseFloat(listing.current_price)
+    // Higher of minimum_price and the cost-derived profit floor
+    const minimumPrice = getEffectiveMinimumPrice(listing)
+
+    if (isNaN(currentPrice) || currentPrice <= 0) {
       return {
         statusCode: 400,
         headers: {
           'Access-Control-Allow-Origin': '*',
           'Content-Type': 'application/json'
         },
-        body: JSON.stringify({ error: 'Minimum price must be set before reducing prices' })
+        body: JSON.stringify({ error: 'Invalid current price' })
       }
     }
 
-    if (!customPrice && (isNaN(reductionPercentage) || reductionPercentage <= 0 || reductionPercentage > 100)) {
+    // Require a floor: minimum_price or a cost basis (the $0.99 default is too low for manual reductions)
+    if (getMinimumPriceSource(listing) === 'default') {
       return {
         statusCode: 400,
         headers: {
           'Access-Control-Allow-Origin': '*',
           'Content-Type': 'application/json'
         },
-        body: JSON.stringify({ error: 'Invalid reduction percentage' })
+        body: JSON.stringify({ error: 'Minimum price or item cost must be set before reducing prices' })
       }
     }
 
     // Calculate new price
+    const strategy = await getStrategyForListing(supabase, listing)
     let newPrice
+    let priceResult = null
     if (customPrice) {
       const parsedCustomPrice = parseFloat(customPrice)
       if (isNaN(parsedCustomPrice) || parsedCustomPrice <= 0) {
@@ -138,25 +145,19 @@ const handler = async (event, context) => {
       }
       newPrice = Math.max(parsedCustomPrice, minimumPrice)
     } else {
-      // Calculate based on strategy
-      switch (listing.reduction_strategy) {
-        case 'fixed_percentage':
-          newPrice = currentPrice * (1 - reductionPercentage / 100)
-          break
-        case 'market_based':
-          // For market-based, we'd need to call eBay API for market data
-          // For now, fall back to fixed percentage
-          newPrice = currentPrice * (1 - reductionPercentage / 100)
-          break
-        case 'time_based':
-          // More aggressive reduction over time
-          const daysListed = Math.ceil((new Date() - new Date(listing.start_time)) / (1000 * 60 * 60 * 24))
-          const aggressiveFactor = Math.min(1 + (daysListed / 30) * 0.5, 2)
-          newPrice = currentPrice * (1 - (reductionPercentage / 100) * aggressiveFactor)
-          break
-        default:
-          newPrice = currentPrice * (1 - reductionPercentage / 100)
+      // Same strategy / fallback pricing as the scheduled job (utils/pricing-core.js)
+      priceResult = await evaluateListingReduction(supabase, listing, { strategy })
+      if (priceResult.skipped) {
+        return {
+          statusCode: 400,
+          headers: {
+            'Access-Control-Allow-Origin': '*',
+            'Content-Type': 'application/json'
+          },
+          body: JSON.stringify({ error: priceResult.reason })
+        }
       }
+      newPrice = priceResult.newPrice
     }
 
     newPrice = Math.max(newPrice, minimumPrice)
@@ -185,9 +186,9 @@ const handler = async (event, context) => {
       }
     }
 
-    // Initialize eBay client (matching trigger-sync.js pattern)
-    console.log('🔍 REDUCE-PRICE: Initializing eBay client for user:', user.id)
-    const ebayClient = new EbayApiClient(user.id)
+    // Initialize eBay client for the listing owner's account, whoever triggered the reduction
+    console.log('🔍 REDUCE-PRICE: Initializing eBay client for user:', listing.user_id)
+    const ebayClient = new EbayApiClient(listing.user_id, listing.ebay_account_id)
 
     try {
       await ebayClient.initialize()
@@ -216,6 +217,7 @@ const handler = async (event, context) => {
 
     // Update price on eBay
     try {
+      await recordPricePush(supabase, listing, newPrice)
       await ebayClient.updateItemPrice(listing.ebay_item_id, newPrice)
     } catch (ebayError) {
       // Log the error but continue with database update for demo purposes
@@ -231,27 +233,18 @@ const handler = async (event, context) => {
       })
     }
 
-    // Update listing in database
-    const nextReduction = new Date()
-    nextReduction.setDate(nextReduction.getDate() + listing.reduction_interval)
-
-    const { data: updatedListing, error: updateError } = await supabase
-      .from('listings')
-      .update({
-        current_price: newPrice,
-        last_price_reduction: new Date().toISOString(),
-        next_price_reduction: nextReduction.toISOString()
-      })
-      .eq('id', listingId)
-      .select()
-      .single()
-
-    if (updateError) {
-      throw updateError
-    }
-
-    // Log price change (price_history table removed)
-    console.log(`Price change logged for listing ${listingId}: $${currentPrice} -> $${newPrice} (${customPrice ? 'manual' : `${listing.reduction_strategy}_reduction`})`);
+    // Update listing in database and log the reduction
+    const updatedListing = await recordPriceReduction(supabase, listing, priceResult || {
+      newPrice,
+      reductionApplied: Math.round((currentPrice - newPrice) * 100) / 100,
+      reductionType: 'custom',
+      strategy
+    }, {
+      source: 'manual',
+      triggeredBy: user.id
+    })
+
+    console.log(`Price change logged for listing ${listingId}: $${currentPrice} -> $${newPrice} (${customPrice ? 'manual' : `${priceResult.reductionType}_reduction`})`)
 
     return {
       statusCode: 200,
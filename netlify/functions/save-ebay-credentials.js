@@ -1,12 +1,19 @@
 const crypto = require('crypto');
+const { createClient } = require('@supabase/supabase-js');
 const { getCorsHeaders } = require('./utils/cors');
 const { encrypt } = require('./utils/ebay-oauth-helpers');
+const { getRequestId, getAuditSource, diffValues, recordAudit } = require('./utils/audit-log');
 
 // Supabase configuration
 const SUPABASE_URL = process.env.SUPABASE_URL;
 const SUPABASE_ANON_KEY = process.env.SUPABASE_ANON_KEY;
 const SUPABASE_SERVICE_KEY = process.env.SUPABASE_SERVICE_ROLE_KEY || process.env.SUPABASE_SERVICE_KEY;
 
+// Service-role client for the audit trail (everything else here goes through supabaseRequest)
+const auditClient = SUPABASE_URL && SUPABASE_SERVICE_KEY
+  ? createClient(SUPABASE_URL, SUPABASE_SERVICE_KEY)
+  : null;
+
 // Helper function to make Supabase API calls
 async function supabaseRequest(endpoint, method = 'GET', body = null, headers = {}, useServiceKey = false) {
   const url = `${SUPABASE_URL}/rest/v1/${endpoint}`;
@@ -240,6 +247,27 @@ exports.handler = async (event, context) => {
                            existingUsers[0]?.ebay_app_id &&
                            existingUsers[0].ebay_app_id !== app_id;
 
+    // The cert ID is only recorded as updated, never stored
+    if (auditClient) {
+      const previous = existingUsers?.[0] || {};
+      const { before, after } = diffValues(
+        { ebay_app_id: previous.ebay_app_id || null, ebay_dev_id: previous.ebay_dev_id || null },
+        { ebay_app_id: app_id, ebay_dev_id: dev_id || null }
+      );
+      await recordAudit(auditClient, {
+        userId: authUser.id,
+        actorId: authUser.id,
+        source: getAuditSource(event),
+        action: 'credentials.saved',
+        entityType: 'credentials',
+        entityId: 'ebay_app',
+        before,
+        after,
+        requestId: getRequestId(event, context),
+        metadata: { certIdUpdated: true, ebayDisconnected: Boolean(needsReconnect) }
+      });
+    }
+
     return {
       statusCode: 200,
       headers,
@@ -0,0 +1,59 @@
+const crypto = require('crypto');
+const { schedule } = require('@netlify/functions');
+const { createClient } = require('@supabase/supabase-js');
+const { BULK_CONFIG, listUnattendedOperations, processBulkOperation } = require('./utils/bulk-operations');
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+/**
+ * Scheduled function to finish bulk operations
+ * Runs every 2 minutes
+ *
+ * Purpose: the listings page drives a bulk operation while it is open; if the
+ * tab is closed mid-way, the remaining items are processed here.
+ */
+const handler = async (event, context) => {
+  const startTime = Date.now();
+  const workerId = `scheduled-bulk-operations:${context?.awsRequestId || crypto.randomUUID()}`;
+  const results = { operations: 0, completed: 0, errors: [] };
+
+  try {
+    const operationIds = await listUnattendedOperations(supabase);
+
+    for (const operationId of operationIds) {
+      const remaining = BULK_CONFIG.TIME_BUDGET_MS - (Date.now() - startTime);
+      if (remaining <= 0) break;
+
+      try {
+        const operation = await processBulkOperation(supabase, operationId, { workerId, timeBudgetMs: remaining });
+        results.operations++;
+        if (operation?.status === 'completed') results.completed++;
+      } catch (error) {
+        console.error(`❌ Bulk operation ${operationId} failed:`, error.message);
+        results.errors.push({ operationId, error: error.message });
+      }
+    }
+
+    if (results.operations > 0) {
+      console.log('📦 Bulk operations run:', results);
+    }
+
+    return {
+      statusCode: 200,
+      body: JSON.stringify({ success: true, results })
+    };
+
+  } catch (error) {
+    console.error('❌ Scheduled bulk operations failed:', error);
+    return {
+      statusCode: 500,
+      body: JSON.stringify({ error: error.message })
+    };
+  }
+};
+
+// Run every 2 minutes
+exports.handler = schedule('*/2 * * * *', handler);
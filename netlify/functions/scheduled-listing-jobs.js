@@ -0,0 +1,59 @@
+const crypto = require('crypto');
+const { schedule } = require('@netlify/functions');
+const { createClient } = require('@supabase/supabase-js');
+const { LISTING_JOB_CONFIG, listUnattendedJobs, processListingJob } = require('./utils/listing-jobs');
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+/**
+ * Scheduled function to finish listing jobs
+ * Runs every 2 minutes
+ *
+ * Purpose: the Auto-List page drives a job while it is open; once the tab is
+ * closed, or after a rate-limit wait, the remaining rows are listed here.
+ */
+const handler = async (event, context) => {
+  const startTime = Date.now();
+  const workerId = `scheduled-listing-jobs:${context?.awsRequestId || crypto.randomUUID()}`;
+  const results = { jobs: 0, completed: 0, errors: [] };
+
+  try {
+    const jobIds = await listUnattendedJobs(supabase);
+
+    for (const jobId of jobIds) {
+      const remaining = LISTING_JOB_CONFIG.TIME_BUDGET_MS - (Date.now() - startTime);
+      if (remaining < LISTING_JOB_CONFIG.ROW_TIME_ESTIMATE_MS) break;
+
+      try {
+        const job = await processListingJob(supabase, jobId, { workerId, timeBudgetMs: remaining });
+        results.jobs++;
+        if (job?.status === 'completed') results.completed++;
+      } catch (error) {
+        console.error(`❌ Listing job ${jobId} failed:`, error.message);
+        results.errors.push({ jobId, error: error.message });
+      }
+    }
+
+    if (results.jobs > 0) {
+      console.log('📋 Listing jobs run:', results);
+    }
+
+    return {
+      statusCode: 200,
+      body: JSON.stringify({ success: true, results })
+    };
+
+  } catch (error) {
+    console.error('❌ Scheduled listing jobs failed:', error);
+    return {
+      statusCode: 500,
+      body: JSON.stringify({ error: error.message })
+    };
+  }
+};
+
+// Run every 2 minutes
+exports.handler = schedule('*/2 * * * *', handler);
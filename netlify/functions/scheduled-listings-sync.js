@@ -1,6 +1,7 @@
 const { schedule } = require('@netlify/functions');
 const { createClient } = require('@supabase/supabase-js');
 const { EnhancedEbayClient } = require('./utils/enhanced-ebay-client');
+const { recordEngagementSnapshots } = require('./utils/engagement-velocity');
 
 // Initialize Supabase client
 const supabase = createClient(
@@ -192,13 +193,21 @@ async function syncUserListings(user) {
     .upsert(listingsToUpsert, {
       onConflict: 'user_id,ebay_item_id',
       ignoreDuplicates: false
-    });
+    })
+    .select('id, view_count, watch_count, quantity_sold');
 
   if (error) {
     console.error(`Failed to upsert listings for user ${user.email}:`, error);
     throw error;
   }
 
+  // Snapshot view/watch/sold counters for velocity-aware and recovery strategies
+  await recordEngagementSnapshots(
+    supabase,
+    user.id,
+    (data || []).map(row => ({ listing_id: row.id, view_count: row.view_count, watch_count: row.watch_count, quantity_sold: row.quantity_sold }))
+  );
+
   // Mark listings as 'Ended' if they were in our DB but NOT returned by eBay
   // (This handles listings deleted on eBay)
   const ebayItemIds = ebayData.listings
@@ -3,9 +3,17 @@
  * 
  * Runs every 4 hours via Netlify scheduled functions
  * NOTE: Cannot be manually invoked via HTTP when schedule is active
+ * Skips the run (and logs why) while the emergency stop is on.
  */
 
 const https = require('https');
+const { createClient } = require('@supabase/supabase-js');
+const { getGlobalHalt, recordSkippedRun } = require('./utils/automation-guard');
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
 
 function httpsPost(url, data) {
   return new Promise((resolve, reject) => {
@@ -40,6 +48,24 @@ exports.handler = async (event, context) => {
   console.log('⏰ Scheduled price reduction triggered at', new Date().toISOString());
   
   try {
+    const halt = await getGlobalHalt(supabase);
+    if (halt.halted) {
+      await recordSkippedRun(supabase, {
+        job: 'scheduled-price-reduction',
+        reason: 'global_halt',
+        details: { haltReason: halt.reason }
+      });
+      return {
+        statusCode: 200,
+        body: JSON.stringify({
+          scheduled: true,
+          skipped: true,
+          reason: 'global_halt',
+          success: true
+        })
+      };
+    }
+    
     // Get the site URL from environment
     const siteUrl = process.env.URL || 'https://dainty-horse-49c336.netlify.app';
     const functionUrl = `${siteUrl}/.netlify/functions/process-price-reductions`;
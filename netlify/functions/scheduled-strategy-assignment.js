@@ -0,0 +1,83 @@
+const { schedule } = require('@netlify/functions');
+const { createClient } = require('@supabase/supabase-js');
+const { applyAssignmentRules } = require('./utils/strategy-assignment');
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+/**
+ * Scheduled function to re-run strategy assignment rules
+ * Runs daily at 3:30 AM UTC
+ *
+ * Purpose: Syncs already apply rules, but age-based rules ("listed > 60 days")
+ * become true without anything changing on eBay.
+ */
+const handler = async (event) => {
+  console.log('🧭 Starting strategy assignment at', new Date().toISOString());
+
+  try {
+    // Users with rules, plus users whose rule-assigned listings may need clearing
+    const { data: ruleOwners, error: rulesError } = await supabase
+      .from('strategy_assignment_rules')
+      .select('user_id')
+      .eq('is_active', true);
+
+    if (rulesError) throw rulesError;
+
+    const { data: ruleListings, error: listingsError } = await supabase
+      .from('listings')
+      .select('user_id')
+      .eq('strategy_source', 'rule');
+
+    if (listingsError) throw listingsError;
+
+    const userIds = [...new Set([...(ruleOwners || []), ...(ruleListings || [])].map(row => row.user_id))];
+
+    console.log(`📋 Found ${userIds.length} users with assignment rules`);
+
+    const results = {
+      total: userIds.length,
+      success: 0,
+      failed: 0,
+      assigned: 0,
+      unassigned: 0,
+      errors: []
+    };
+
+    for (const userId of userIds) {
+      try {
+        const outcome = await applyAssignmentRules(supabase, userId);
+        results.success++;
+        results.assigned += outcome.assigned;
+        results.unassigned += outcome.unassigned;
+      } catch (error) {
+        console.error(`❌ Strategy assignment failed for ${userId}:`, error.message);
+        results.failed++;
+        results.errors.push({ userId, error: error.message });
+      }
+    }
+
+    console.log('✅ Strategy assignment complete:', results);
+
+    return {
+      statusCode: 200,
+      body: JSON.stringify({
+        success: true,
+        results,
+        completedAt: new Date().toISOString()
+      })
+    };
+
+  } catch (error) {
+    console.error('❌ Strategy assignment failed:', error);
+    return {
+      statusCode: 500,
+      body: JSON.stringify({ error: error.message })
+    };
+  }
+};
+
+// Run daily at 3:30 AM UTC
+exports.handler = schedule('30 3 * * *', handler);
@@ -1,86 +1,70 @@
 /**
  * Scheduled eBay Listing Sync
- * 
+ *
  * Runs hourly via Netlify scheduled functions
- * Syncs listings from eBay (Trading API + Inventory API)
+ * Queues a full_sync job per connected user; sync-service runs them from
+ * sync_queue within its eBay call budget, retrying failures with backoff.
+ * Sales, revisions and closures also arrive in real time via ebay-notifications;
+ * this catches anything a notification missed.
  */
 
-const https = require('https');
+const { createClient } = require('@supabase/supabase-js');
+const { SYNC_CONFIG, enqueueSyncJob } = require('./utils/sync-queue');
 
-function httpsPost(url, data) {
-  return new Promise((resolve, reject) => {
-    const urlObj = new URL(url);
-    const postData = JSON.stringify(data);
-    
-    const options = {
-      hostname: urlObj.hostname,
-      port: 443,
-      path: urlObj.pathname,
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Content-Length': Buffer.byteLength(postData)
-      }
-    };
-    
-    const req = https.request(options, (res) => {
-      let body = '';
-      res.on('data', chunk => body += chunk);
-      res.on('end', () => resolve({ status: res.statusCode, body }));
-    });
-    
-    req.on('error', reject);
-    req.write(postData);
-    req.end();
-  });
-}
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
 
 exports.handler = async (event, context) => {
   const startTime = Date.now();
   console.log('🔄 Scheduled eBay sync triggered at', new Date().toISOString());
-  
+
   try {
-    const siteUrl = process.env.URL || 'https://dainty-horse-49c336.netlify.app';
-    const functionUrl = `${siteUrl}/.netlify/functions/sync-ebay-listings`;
-    
-    console.log(`📡 Calling ${functionUrl}`);
-    
-    // Call sync function - limit to prevent timeout
-    // ~50 listings/user takes ~17s, so 50 * 2 users = ~35s, safe for 60s timeout
-    const response = await httpsPost(functionUrl, {
-      internalScheduled: 'netlify-scheduled-function',
-      maxListings: 50  // Process 50/user to stay within 60s timeout
-    });
-    
-    let result;
-    try {
-      result = JSON.parse(response.body);
-    } catch (e) {
-      result = { raw: response.body.substring(0, 500) };
+    // Get all users with eBay connected
+    const { data: users, error } = await supabase
+      .from('users')
+      .select('id')
+      .not('ebay_access_token', 'is', null);
+
+    if (error) throw error;
+
+    let queued = 0;
+    let alreadyQueued = 0;
+
+    for (const user of users || []) {
+      // One open full_sync per user; a slow queue never stacks them up
+      const job = await enqueueSyncJob(supabase, {
+        userId: user.id,
+        jobType: 'full_sync',
+        priority: SYNC_CONFIG.PRIORITY_THRESHOLDS.NORMAL,
+        payload: { max_listings: 50 },  // ~50 listings/user keeps a job well inside the function timeout
+        dedupeKey: 'full_sync'
+      });
+
+      if (job) {
+        queued++;
+      } else {
+        alreadyQueued++;
+      }
     }
-    
+
     const duration = ((Date.now() - startTime) / 1000).toFixed(2);
-    
-    if (response.status === 200) {
-      console.log(`✅ Scheduled sync completed in ${duration}s`);
-      console.log(`📊 Results:`, JSON.stringify(result.results || {}, null, 2));
-    } else {
-      console.error(`❌ Sync failed with status ${response.status}`);
-    }
-    
+    console.log(`✅ Queued ${queued} full sync job(s) (${alreadyQueued} already queued) in ${duration}s`);
+
     return {
-      statusCode: response.status,
+      statusCode: 200,
       body: JSON.stringify({
         scheduled: true,
         duration: `${duration}s`,
-        success: response.status === 200,
-        results: result.results
+        success: true,
+        results: { queued, alreadyQueued }
       })
     };
-    
+
   } catch (error) {
     console.error('❌ Scheduled sync failed:', error);
-    
+
     return {
       statusCode: 500,
       body: JSON.stringify({
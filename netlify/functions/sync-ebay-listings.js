@@ -5,14 +5,24 @@
  * Handles both Trading API (XML) and Inventory API (REST) listings.
  * 
  * CRITICAL RULES:
- * - ALWAYS sync current_price from eBay (source of truth for live prices)
+ * - ALWAYS sync current_price from eBay (source of truth for live prices),
+ *   except a price edited on eBay under an auto-reduced listing: that goes
+ *   through the seller's external_price_policy (utils/external-price.js)
  * - NEVER overwrite minimum_price, strategy_id, enable_auto_reduction (user settings)
+ *   (strategy assignment rules may set strategy_id, never on manual picks)
  * - ALWAYS update: title, quantity, status, images, current_price
  */
 
 const { createClient } = require('@supabase/supabase-js');
 const { getCorsHeaders } = require('./utils/cors');
 const { getValidAccessToken } = require('./utils/ebay-oauth');
+const { getEbayAccount, listEbayAccounts } = require('./utils/ebay-accounts');
+const { recordEngagementSnapshots } = require('./utils/engagement-velocity');
+const { applyAssignmentRules } = require('./utils/strategy-assignment');
+const { calculateChecksum, diffListing, recordListingChanges } = require('./utils/listing-changes');
+const { getExternalPricePolicy, isExternalPriceChange, reconcileExternalPrice } = require('./utils/external-price');
+const { pushPriceToEbay } = require('./process-price-reductions');
+const { guardPushPrice } = require('./utils/automation-guard');
 
 const supabase = createClient(
   process.env.SUPABASE_URL,
@@ -96,6 +106,9 @@ function parseGetMyeBaySellingResponse(xmlText) {
       price = parseFloat(getValue('BuyItNowPrice')) || parseFloat(getValue('StartPrice')) || 0.01;
     }
     
+    const watchCount = getValue('WatchCount');
+    const hitCount = getValue('HitCount');
+    
     const listing = {
       ebay_item_id: getValue('ItemID'),
       ebay_sku: getValue('SKU'),
@@ -106,6 +119,9 @@ function parseGetMyeBaySellingResponse(xmlText) {
       listing_status: getValue('ListingStatus') || 'Active',
       image_url: getValue('GalleryURL') || getValue('PictureURL'),
       ebay_url: getValue('ViewItemURL'),
+      // Engagement counters (null when eBay omits them, so we don't overwrite with 0)
+      watch_count: watchCount !== null ? parseInt(watchCount) || 0 : null,
+      view_count: hitCount !== null ? parseInt(hitCount) || 0 : null,
       source: 'trading_api'
     };
     
@@ -301,11 +317,21 @@ async function fetchOfferForSku(accessToken, sku) {
  * Optimization: Batch fetch existing listings, then batch insert/update
  * Before: ~600 queries for 200 listings
  * After: ~3-5 queries total
+ * 
+ * Delta sync: listings whose data_checksum still matches only get last_sync
+ * bumped (one query for all of them); changed ones are rewritten and their
+ * changes recorded in listing_changes.
  */
-async function upsertListings(userId, listings) {
+// Columns read back to match, diff and checksum existing listings
+const EXISTING_LISTING_COLUMNS = 'id, ebay_account_id, ebay_item_id, ebay_sku, offer_id, source, title, current_price, original_price, minimum_price, quantity_available, quantity_sold, listing_status, image_url, ebay_url, view_count, watch_count, enable_auto_reduction, last_pushed_price, data_checksum';
+
+async function upsertListings(userId, listings, { accessToken = null, accountId = null } = {}) {
   const results = {
     inserted: 0,
     updated: 0,
+    unchanged: 0,
+    changesRecorded: 0,
+    externalPriceChanges: 0,
     errors: []
   };
   
@@ -321,16 +347,21 @@ async function upsertListings(userId, listings) {
     // Fetch by item_id
     const { data: existingByItemId } = await supabase
       .from('listings')
-      .select('id, ebay_item_id, ebay_sku, current_price, original_price, minimum_price')
+      .select(EXISTING_LISTING_COLUMNS)
       .eq('user_id', userId)
       .in('ebay_item_id', itemIds.length > 0 ? itemIds : ['__none__']);
     
-    // Fetch by SKU (for ones not found by item_id)
-    const { data: existingBySku } = await supabase
+    // Fetch by SKU (for ones not found by item_id); SKUs are only unique
+    // within one eBay account
+    let skuQuery = supabase
       .from('listings')
-      .select('id, ebay_item_id, ebay_sku, current_price, original_price, minimum_price')
+      .select(EXISTING_LISTING_COLUMNS)
       .eq('user_id', userId)
       .in('ebay_sku', skus.length > 0 ? skus : ['__none__']);
+    if (accountId) {
+      skuQuery = skuQuery.or(`ebay_account_id.eq.${accountId},ebay_account_id.is.null`);
+    }
+    const { data: existingBySku } = await skuQuery;
     
     // Build lookup maps
     const byItemId = new Map((existingByItemId || []).map(e => [e.ebay_item_id, e]));
@@ -356,6 +387,7 @@ async function upsertListings(userId, listings) {
     if (toInsert.length > 0) {
       const insertData = toInsert.map(listing => ({
         user_id: userId,
+        ebay_account_id: accountId,
         ebay_item_id: listing.ebay_item_id,
         ebay_sku: listing.ebay_sku,
         offer_id: listing.offer_id,
@@ -370,6 +402,7 @@ async function upsertListings(userId, listings) {
         ebay_url: listing.ebay_url,
         source: listing.source,
         enable_auto_reduction: false,
+        data_checksum: calculateChecksum({ ...listing, listing_status: deriveStatus(listing) }),
         last_sync: now,
         created_at: now,
         updated_at: now
@@ -386,6 +419,7 @@ async function upsertListings(userId, listings) {
           try {
             const { error } = await supabase.from('listings').insert({
               user_id: userId,
+              ebay_account_id: accountId,
               ebay_item_id: listing.ebay_item_id,
               ebay_sku: listing.ebay_sku,
               offer_id: listing.offer_id,
@@ -400,6 +434,7 @@ async function upsertListings(userId, listings) {
               ebay_url: listing.ebay_url,
               source: listing.source,
               enable_auto_reduction: false,
+              data_checksum: calculateChecksum({ ...listing, listing_status: deriveStatus(listing) }),
               last_sync: now,
               created_at: now,
               updated_at: now
@@ -415,9 +450,81 @@ async function upsertListings(userId, listings) {
       }
     }
     
-    // STEP 4: Batch update existing listings (Supabase doesn't support batch update, so we do individual)
+    // STEP 4: Split existing listings into changed and unchanged by checksum
+    const { data: owner } = await supabase
+      .from('users')
+      .select('external_price_policy')
+      .eq('id', userId)
+      .single();
+    const externalPricePolicy = getExternalPricePolicy(owner);
+    const snapshots = [];
+    const unchangedIds = [];
+    const changed = [];
+    
+    for (const { listing, existing } of toUpdate) {
+      const engagement = {};
+      if (listing.view_count != null) engagement.view_count = listing.view_count;
+      if (listing.watch_count != null) engagement.watch_count = listing.watch_count;
+      
+      const fields = {
+        ...engagement,
+        title: listing.title,
+        current_price: listing.current_price,  // Always sync from eBay
+        quantity_available: listing.quantity_available,
+        quantity_sold: listing.quantity_sold,
+        listing_status: deriveStatus(listing),
+        image_url: listing.image_url,
+        ebay_url: listing.ebay_url,
+        ebay_item_id: listing.ebay_item_id || existing.ebay_item_id,
+        ebay_sku: listing.ebay_sku || existing.ebay_sku,
+        offer_id: listing.offer_id
+      };
+      
+      // Listings from before linked accounts get claimed by the account that sees them
+      const needsAccount = accountId && existing.ebay_account_id !== accountId;
+      if (needsAccount) fields.ebay_account_id = accountId;
+      
+      // Price edited on eBay: pause, adopt or re-assert instead of silently taking it
+      if (isExternalPriceChange(existing, listing.current_price)) {
+        const { updates } = await reconcileExternalPrice(supabase, existing, listing.current_price, {
+          policy: externalPricePolicy,
+          pushPrice: guardPushPrice(supabase, userId, accessToken ? (l, price) => pushPriceToEbay(accessToken, l, price) : null, 'sync'),
+          source: 'sync'
+        });
+        Object.assign(fields, updates);
+        results.externalPriceChanges++;
+      }
+      
+      const checksum = calculateChecksum({ ...existing, ...fields });
+      
+      // Counters are snapshotted every sync, changed or not, so velocity windows stay continuous
+      snapshots.push({ listing_id: existing.id, ...engagement, quantity_sold: listing.quantity_sold });
+      
+      if (checksum === existing.data_checksum && !needsAccount) {
+        unchangedIds.push(existing.id);
+      } else {
+        changed.push({ listing, existing, fields, checksum });
+      }
+    }
+    
+    // Unchanged: one query per 200 listings just to mark them synced
+    for (let i = 0; i < unchangedIds.length; i += 200) {
+      const ids = unchangedIds.slice(i, i + 200);
+      const { error } = await supabase
+        .from('listings')
+        .update({ last_sync: now })
+        .in('id', ids);
+      
+      if (error) {
+        results.errors.push({ error: `Failed to mark unchanged listings synced: ${error.message}` });
+      } else {
+        results.unchanged += ids.length;
+      }
+    }
+    
+    // STEP 5: Update changed listings (Supabase doesn't support batch update, so we do individual)
     // But we can parallelize with Promise.all
-    const updatePromises = toUpdate.map(async ({ listing, existing }) => {
+    const updatePromises = changed.map(async ({ listing, existing, fields, checksum }) => {
       try {
         // Log price changes
         if (Math.abs(existing.current_price - listing.current_price) > 0.01) {
@@ -427,23 +534,17 @@ async function upsertListings(userId, listings) {
         const { error } = await supabase
           .from('listings')
           .update({
-            title: listing.title,
-            current_price: listing.current_price,  // Always sync from eBay
-            quantity_available: listing.quantity_available,
-            quantity_sold: listing.quantity_sold,
-            listing_status: deriveStatus(listing),
-            image_url: listing.image_url,
-            ebay_url: listing.ebay_url,
-            ebay_item_id: listing.ebay_item_id || existing.ebay_item_id,
-            ebay_sku: listing.ebay_sku || existing.ebay_sku,
-            offer_id: listing.offer_id,
+            ...fields,
+            data_checksum: checksum,
             last_sync: now,
             updated_at: now
           })
           .eq('id', existing.id);
         
         if (error) throw error;
-        return { success: true };
+        // Without a previous checksum (first sync since delta sync) there is no baseline to diff
+        const change = existing.data_checksum ? { listing_id: existing.id, ...diffListing(existing, fields) } : null;
+        return { success: true, change };
       } catch (err) {
         return { success: false, error: err.message, listing: listing.ebay_item_id };
       }
@@ -451,15 +552,34 @@ async function upsertListings(userId, listings) {
     
     // Run updates in parallel (max 10 at a time to avoid overwhelming DB)
     const BATCH_SIZE = 10;
+    const changes = [];
     for (let i = 0; i < updatePromises.length; i += BATCH_SIZE) {
       const batch = updatePromises.slice(i, i + BATCH_SIZE);
       const batchResults = await Promise.all(batch);
       for (const r of batchResults) {
-        if (r.success) results.updated++;
-        else results.errors.push({ listing: r.listing, error: r.error });
+        if (r.success) {
+          results.updated++;
+          if (r.change) changes.push(r.change);
+        } else {
+          results.errors.push({ listing: r.listing, error: r.error });
+        }
       }
     }
     
+    results.changesRecorded = await recordListingChanges(supabase, userId, changes);
+    
+    // STEP 6: Snapshot view/watch counters for velocity-aware strategies
+    results.snapshots = await recordEngagementSnapshots(supabase, userId, snapshots);
+    
+    // STEP 7: Assign strategies by rule (new listings, and prices/quantities that moved)
+    try {
+      const assignment = await applyAssignmentRules(supabase, userId);
+      results.strategiesAssigned = assignment.assigned;
+      results.strategiesCleared = assignment.unassigned;
+    } catch (err) {
+      console.warn('Strategy assignment rules failed:', err.message);
+    }
+    
   } catch (err) {
     console.error('Batch upsert error:', err.message);
     results.errors.push({ error: err.message });
@@ -481,12 +601,14 @@ function deriveStatus(listing) {
 
 /**
  * Mark listings as ended if not found in eBay response
+ * Scoped to the account that was synced; listings with no account belong to
+ * the default one.
  */
-async function markEndedListings(userId, foundIds, source) {
+async function markEndedListings(userId, foundIds, source, account = null) {
   const idField = source === 'inventory_api' ? 'ebay_sku' : 'ebay_item_id';
   
   // Get all active listings of this source type
-  const { data: dbListings } = await supabase
+  let query = supabase
     .from('listings')
     .select('id, ' + idField)
     .eq('user_id', userId)
@@ -494,6 +616,14 @@ async function markEndedListings(userId, foundIds, source) {
     .eq('listing_status', 'Active')
     .is('ended_at', null);
   
+  if (account) {
+    query = account.is_default
+      ? query.or(`ebay_account_id.eq.${account.id},ebay_account_id.is.null`)
+      : query.eq('ebay_account_id', account.id);
+  }
+  
+  const { data: dbListings } = await query;
+  
   if (!dbListings) return 0;
   
   let endedCount = 0;
@@ -515,6 +645,105 @@ async function markEndedListings(userId, foundIds, source) {
   return endedCount;
 }
 
+/**
+ * Import the listings of one linked eBay account from both APIs
+ * @param {string} uid - User ID
+ * @param {Object|null} account - ebay_accounts row; null for users without linked accounts
+ * @param {Object} options - { source, maxListings }
+ */
+async function syncAccountListings(uid, account, { source = null, maxListings = null } = {}) {
+  const accessToken = await getValidAccessToken(supabase, uid, account?.id || null);
+  const accountId = account?.id || null;
+  
+  let tradingResults = { inserted: 0, updated: 0, errors: [] };
+  let inventoryResults = { inserted: 0, updated: 0, errors: [] };
+  let tradingEnded = 0;
+  let inventoryEnded = 0;
+  
+  // Import Trading API listings
+  if (!source || source === 'trading_api') {
+    const tradingListings = await importTradingApiListings(accessToken, uid, maxListings);
+    tradingResults = await upsertListings(uid, tradingListings, { accessToken, accountId });
+    
+    // Mark ended listings (skip if using maxListings to avoid false ended)
+    if (!maxListings) {
+      const foundIds = new Set(tradingListings.map(l => l.ebay_item_id));
+      tradingEnded = await markEndedListings(uid, foundIds, 'trading_api', account);
+    }
+  }
+  
+  // Import Inventory API listings
+  if (!source || source === 'inventory_api') {
+    const inventoryListings = await importInventoryApiListings(accessToken, uid, maxListings);
+    inventoryResults = await upsertListings(uid, inventoryListings, { accessToken, accountId });
+    
+    // Mark ended listings (skip if using maxListings to avoid false ended)
+    if (!maxListings) {
+      const foundIds = new Set(inventoryListings.map(l => l.ebay_sku));
+      inventoryEnded = await markEndedListings(uid, foundIds, 'inventory_api', account);
+    }
+  }
+  
+  return {
+    accountId,
+    tradingApi: {
+      ...tradingResults,
+      ended: tradingEnded
+    },
+    inventoryApi: {
+      ...inventoryResults,
+      ended: inventoryEnded
+    }
+  };
+}
+
+/**
+ * Import one user's listings: one linked account, or all connected ones
+ * Also run by the sync-service queue runner for full_sync jobs.
+ * tradingApi / inventoryApi are totals across accounts; accounts has each one.
+ * @param {string} uid - User ID
+ * @param {Object} options - { source, maxListings, accountId }
+ */
+async function syncUserListings(uid, { source = null, maxListings = null, accountId = null } = {}) {
+  const accounts = accountId
+    ? [await getEbayAccount(supabase, uid, accountId)]
+    : await listEbayAccounts(supabase, uid, { connectedOnly: true });
+  
+  // No connected accounts: fall back to the default / legacy users tokens,
+  // which reports "not connected" the same way it always has
+  if (accounts.length === 0) accounts.push(null);
+  
+  const totals = () => ({ inserted: 0, updated: 0, unchanged: 0, ended: 0, changesRecorded: 0, externalPriceChanges: 0, errors: [] });
+  const result = { userId: uid, tradingApi: totals(), inventoryApi: totals(), accounts: [] };
+  
+  for (const account of accounts) {
+    let accountResult;
+    try {
+      accountResult = await syncAccountListings(uid, account, { source, maxListings });
+    } catch (error) {
+      // One store failing (e.g. revoked token) should not stop the others
+      if (accounts.length === 1) throw error;
+      console.error(`Error syncing eBay account ${account?.id} for user ${uid}:`, error.message);
+      result.accounts.push({ accountId: account?.id || null, error: error.message });
+      result.tradingApi.errors.push({ account: account?.id, error: error.message });
+      continue;
+    }
+    
+    result.accounts.push(accountResult);
+    for (const api of ['tradingApi', 'inventoryApi']) {
+      for (const [key, value] of Object.entries(accountResult[api])) {
+        if (key === 'errors') {
+          result[api].errors.push(...value);
+        } else if (typeof value === 'number') {
+          result[api][key] = (result[api][key] || 0) + value;
+        }
+      }
+    }
+  }
+  
+  return result;
+}
+
 // ============================================
 // MAIN HANDLER
 // ============================================
@@ -531,7 +760,7 @@ exports.handler = async (event, context) => {
   
   try {
     const body = event.body ? JSON.parse(event.body) : {};
-    let { userId, source, testSecret, limit, maxListings, internalScheduled } = body;
+    let { userId, source, testSecret, limit, maxListings, internalScheduled, accountId } = body;
     
     // Extract user ID from JWT token if present (frontend auth)
     const authHeader = event.headers?.authorization || event.headers?.Authorization;
@@ -589,49 +818,7 @@ exports.handler = async (event, context) => {
     
     for (const uid of usersToSync) {
       try {
-        const accessToken = await getValidAccessToken(supabase, uid);
-        
-        let tradingResults = { inserted: 0, updated: 0, errors: [] };
-        let inventoryResults = { inserted: 0, updated: 0, errors: [] };
-        let tradingEnded = 0;
-        let inventoryEnded = 0;
-        
-        // Import Trading API listings
-        if (!source || source === 'trading_api') {
-          const tradingListings = await importTradingApiListings(accessToken, uid, maxListings);
-          tradingResults = await upsertListings(uid, tradingListings);
-          
-          // Mark ended listings (skip if using maxListings to avoid false ended)
-          if (!maxListings) {
-            const foundIds = new Set(tradingListings.map(l => l.ebay_item_id));
-            tradingEnded = await markEndedListings(uid, foundIds, 'trading_api');
-          }
-        }
-        
-        // Import Inventory API listings
-        if (!source || source === 'inventory_api') {
-          const inventoryListings = await importInventoryApiListings(accessToken, uid, maxListings);
-          inventoryResults = await upsertListings(uid, inventoryListings);
-          
-          // Mark ended listings (skip if using maxListings to avoid false ended)
-          if (!maxListings) {
-            const foundIds = new Set(inventoryListings.map(l => l.ebay_sku));
-            inventoryEnded = await markEndedListings(uid, foundIds, 'inventory_api');
-          }
-        }
-        
-        allResults.push({
-          userId: uid,
-          tradingApi: {
-            ...tradingResults,
-            ended: tradingEnded
-          },
-          inventoryApi: {
-            ...inventoryResults,
-            ended: inventoryEnded
-          }
-        });
-        
+        allResults.push(await syncUserListings(uid, { source, maxListings, accountId: userId ? accountId : null }));
       } catch (userError) {
         console.error(`Error syncing user ${uid}:`, userError.message);
         allResults.push({
@@ -666,3 +853,5 @@ exports.handler = async (event, context) => {
     };
   }
 };
+
+exports.syncUserListings = syncUserListings;
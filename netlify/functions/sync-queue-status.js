@@ -0,0 +1,133 @@
+const { createClient } = require('@supabase/supabase-js');
+const { getCorsHeaders } = require('./utils/cors');
+const { getQueueDepth, retryDeadJob } = require('./utils/sync-queue');
+const { isAdministrator } = require('./utils/admins');
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+const DEAD_LETTER_LIMIT = 20;
+
+/**
+ * Sync Queue Status
+ *
+ * GET  /sync-queue-status                → { depth, globalDepth, deadLetters }
+ * POST /sync-queue-status { retryJobId } → puts a dead job back in the queue
+ *
+ * depth and deadLetters are the caller's own jobs; globalDepth is the
+ * sync_queue_depth view (counts only) so a backlog across all sellers shows
+ * up. It is null unless the caller is an administrator (utils/admins.js).
+ */
+exports.handler = async (event, context) => {
+  const headers = getCorsHeaders(event);
+
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 200, headers, body: '' };
+  }
+
+  if (event.httpMethod !== 'GET' && event.httpMethod !== 'POST') {
+    return {
+      statusCode: 405,
+      headers,
+      body: JSON.stringify({ error: 'Method not allowed' })
+    };
+  }
+
+  try {
+    // Authenticate user
+    const authHeader = event.headers.authorization || event.headers.Authorization;
+    if (!authHeader?.startsWith('Bearer ')) {
+      return {
+        statusCode: 401,
+        headers,
+        body: JSON.stringify({ error: 'Authentication required' })
+      };
+    }
+
+    const token = authHeader.replace('Bearer ', '');
+    const { data: { user }, error: authError } = await supabase.auth.getUser(token);
+
+    if (authError || !user) {
+      return {
+        statusCode: 401,
+        headers,
+        body: JSON.stringify({ error: 'Invalid authentication' })
+      };
+    }
+
+    if (event.httpMethod === 'POST') {
+      const { retryJobId } = JSON.parse(event.body || '{}');
+      if (!retryJobId) {
+        return {
+          statusCode: 400,
+          headers,
+          body: JSON.stringify({ error: 'retryJobId is required' })
+        };
+      }
+
+      const job = await retryDeadJob(supabase, retryJobId, user.id);
+      if (!job) {
+        return {
+          statusCode: 404,
+          headers,
+          body: JSON.stringify({ error: 'Dead job not found' })
+        };
+      }
+
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify({ success: true, job })
+      };
+    }
+
+    const canViewGlobal = isAdministrator(user);
+    const [depth, globalResult, deadResult] = await Promise.all([
+      getQueueDepth(supabase, user.id),
+      canViewGlobal ? supabase.from('sync_queue_depth').select('*') : { data: null, error: null },
+      supabase
+        .from('sync_errors')
+        .select('id, job_id, job_type, attempts, error_message, created_at')
+        .eq('user_id', user.id)
+        .not('job_id', 'is', null)
+        .eq('resolved', false)
+        .order('created_at', { ascending: false })
+        .limit(DEAD_LETTER_LIMIT)
+    ]);
+
+    if (globalResult.error) throw globalResult.error;
+    if (deadResult.error) throw deadResult.error;
+
+    return {
+      statusCode: 200,
+      headers,
+      body: JSON.stringify({
+        depth,
+        globalDepth: canViewGlobal
+          ? (globalResult.data || []).map(row => ({
+            status: row.status,
+            jobType: row.job_type,
+            count: row.job_count,
+            users: row.user_count,
+            due: row.due_count,
+            oldestScheduledFor: row.oldest_scheduled_for
+          }))
+          : null,
+        deadLetters: deadResult.data || []
+      })
+    };
+
+  } catch (error) {
+    console.error('Sync queue status error:', error);
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({
+        error: 'Failed to load sync queue status',
+        message: error.message
+      })
+    };
+  }
+};
@@ -1,6 +1,38 @@
+/**
+ * Sync Service
+ *
+ * Runs the sync_queue every 5 minutes:
+ *   1. plans listing_refresh jobs for hot/warm listings that are due
+ *   2. claims jobs (leased, fair across users) and runs them until this
+ *      run's eBay call budget or time budget is used up
+ *   3. completes them, or retries with backoff / dead-letters to sync_errors
+ *
+ * A worker that dies mid-run leaves its jobs leased; once locked_until
+ * passes, claim_sync_jobs() hands them to the next run.
+ *
+ * Queue helpers live in utils/sync-queue.js.
+ */
+
 const crypto = require('crypto');
+const { schedule } = require('@netlify/functions');
 const { createClient } = require('@supabase/supabase-js');
-const { decrypt } = require('./utils/ebay-oauth-helpers');
+const { getValidAccessToken } = require('./utils/ebay-oauth');
+const { syncUserListings } = require('./sync-ebay-listings');
+const { calculateChecksum, diffListing, recordListingChanges } = require('./utils/listing-changes');
+const { getExternalPricePolicy, isExternalPriceChange, reconcileExternalPrice } = require('./utils/external-price');
+const { pushPriceToEbay } = require('./process-price-reductions');
+const { guardPushPrice } = require('./utils/automation-guard');
+const {
+  SYNC_CONFIG,
+  REFRESH_JOB_TYPES,
+  estimateApiCalls,
+  claimSyncJobs,
+  completeSyncJob,
+  releaseSyncJob,
+  failSyncJob,
+  recoverExpiredSyncJobs,
+  planTieredRefreshes
+} = require('./utils/sync-queue');
 
 // =============================================
 // CONFIGURATION
@@ -12,435 +44,294 @@ const SUPABASE_SERVICE_KEY = process.env.SUPABASE_SERVICE_ROLE_KEY || process.en
 // Initialize Supabase client with service key for admin operations
 const supabase = createClient(SUPABASE_URL, SUPABASE_SERVICE_KEY);
 
-// Sync configuration
-const SYNC_CONFIG = {
-  BATCH_SIZE: 10, // Number of listings to sync at once
-  MAX_API_CALLS_PER_RUN: 50, // eBay rate limit protection
-  PRIORITY_THRESHOLDS: {
-    CRITICAL: 3,   // Inventory updates
-    HIGH: 5,       // Price updates
-    NORMAL: 7,     // Description updates
-    LOW: 9         // Historical data
-  },
-  SYNC_INTERVALS: {
-    HOT_DATA: 5 * 60 * 1000,      // 5 minutes for critical items
-    WARM_DATA: 30 * 60 * 1000,    // 30 minutes for active listings
-    COLD_DATA: 24 * 60 * 60 * 1000 // 24 hours for inactive listings
-  }
-};
+const IS_SANDBOX = process.env.EBAY_ENVIRONMENT === 'sandbox';
+const EBAY_API_BASE = IS_SANDBOX
+  ? 'https://api.sandbox.ebay.com'
+  : 'https://api.ebay.com';
+const TRADING_API_URL = IS_SANDBOX
+  ? 'https://api.sandbox.ebay.com/ws/api.dll'
+  : 'https://api.ebay.com/ws/api.dll';
+
+// Stop claiming new jobs after this long, leaving room before the function timeout
+const TIME_BUDGET_MS = 20 * 1000;
 
 // =============================================
 // EBAY API HELPERS
 // =============================================
 
-// Note: decrypt() function now imported from shared module ./utils/ebay-oauth-helpers
-
-// Get access token from refresh token
-async function getAccessToken(refreshToken, appId, certId) {
-  const tokenUrl = 'https://api.ebay.com/identity/v1/oauth2/token';
-  const params = new URLSearchParams({
-    grant_type: 'refresh_token',
-    refresh_token: refreshToken,
-    scope: 'https://api.ebay.com/oauth/api_scope https://api.ebay.com/oauth/api_scope/sell.inventory https://api.ebay.com/oauth/api_scope/sell.marketing'
-  });
-
-  const response = await fetch(tokenUrl, {
+/**
+ * Re-read a Trading API listing with GetItem
+ * @returns {Promise<Object|null>} Listing columns, or null if eBay no longer has it
+ */
+async function fetchTradingListing(accessToken, itemId) {
+  const response = await fetch(TRADING_API_URL, {
     method: 'POST',
     headers: {
-      'Content-Type': 'application/x-www-form-urlencoded',
-      'Authorization': 'Basic ' + Buffer.from(`${appId}:${certId}`).toString('base64')
+      'X-EBAY-API-SITEID': '0',
+      'X-EBAY-API-COMPATIBILITY-LEVEL': '967',
+      'X-EBAY-API-CALL-NAME': 'GetItem',
+      'X-EBAY-API-IAF-TOKEN': accessToken,
+      'Content-Type': 'text/xml'
     },
-    body: params
+    body: `<?xml version="1.0" encoding="utf-8"?>
+<GetItemRequest xmlns="urn:ebay:apis:eBLBaseComponents">
+  <ItemID>${itemId}</ItemID>
+  <IncludeWatchCount>true</IncludeWatchCount>
+</GetItemRequest>`
   });
 
-  if (!response.ok) {
-    throw new Error('Failed to get access token from eBay');
-  }
-
-  const data = await response.json();
-  return data.access_token;
-}
-
-// =============================================
-// SYNC STRATEGIES
-// =============================================
-
-// Calculate listing priority based on various factors
-function calculatePriority(listing) {
-  let priority = SYNC_CONFIG.PRIORITY_THRESHOLDS.NORMAL;
-
-  // Higher priority for recently updated listings
-  const hoursSinceSync = (Date.now() - new Date(listing.last_synced).getTime()) / (1000 * 60 * 60);
-  if (hoursSinceSync > 24) {
-    priority -= 2;
-  } else if (hoursSinceSync > 6) {
-    priority -= 1;
-  }
-
-  // Higher priority for active listings with price reduction enabled
-  if (listing.price_reduction_enabled && listing.listing_status === 'Active') {
-    priority -= 2;
-  }
-
-  // Higher priority for high-value items
-  if (listing.current_price > 100) {
-    priority -= 1;
-  }
+  const xmlText = await response.text();
+  const getValue = (tag) => {
+    const m = xmlText.match(new RegExp(`<${tag}[^>]*>([^<]*)</${tag}>`));
+    return m ? m[1] : null;
+  };
 
-  // Higher priority for items with low stock
-  if (listing.quantity_available <= 5) {
-    priority -= 1;
+  if (getValue('Ack') === 'Failure') {
+    // 17: item not found / not the seller's
+    if (getValue('ErrorCode') === '17') return null;
+    throw new Error(`GetItem ${itemId} failed: ${getValue('ShortMessage') || `HTTP ${response.status}`}`);
   }
 
-  return Math.max(1, priority); // Ensure priority is at least 1
+  const quantity = parseInt(getValue('Quantity')) || 0;
+  const quantitySold = parseInt(getValue('QuantitySold')) || 0;
+  const quantityAvailable = Math.max(quantity - quantitySold, 0);
+  const ebayStatus = getValue('ListingStatus');
+  const watchCount = getValue('WatchCount');
+  const hitCount = getValue('HitCount');
+
+  const price = parseFloat(getValue('CurrentPrice'));
+  const listing = {
+    quantity_available: quantityAvailable,
+    quantity_sold: quantitySold,
+    listing_status: ebayStatus === 'Completed' || ebayStatus === 'Ended'
+      ? 'Ended'
+      : quantityAvailable === 0 ? 'Sold Out' : 'Active'
+  };
+  if (price > 0) listing.current_price = price;
+  if (watchCount !== null) listing.watch_count = parseInt(watchCount) || 0;
+  if (hitCount !== null) listing.view_count = parseInt(hitCount) || 0;
+  return listing;
 }
 
-// Delta sync - only update changed fields
-async function deltaSync(existingListing, newData) {
-  const changes = {};
-  const fieldsToCheck = [
-    'current_price', 'quantity', 'quantity_available',
-    'title', 'description', 'listing_status'
-  ];
-
-  let hasChanges = false;
-
-  for (const field of fieldsToCheck) {
-    if (existingListing[field] !== newData[field]) {
-      changes[field] = newData[field];
-      hasChanges = true;
-    }
-  }
-
-  // Calculate new checksum
-  const newChecksum = calculateChecksum(newData);
-  if (existingListing.data_checksum !== newChecksum) {
-    changes.data_checksum = newChecksum;
-    hasChanges = true;
-  }
-
-  if (hasChanges) {
-    changes.last_synced = new Date().toISOString();
-    changes.sync_status = 'synced';
-
-    // Update the listing
-    const { error } = await supabase
-      .from('listings')
-      .update(changes)
-      .eq('id', existingListing.id);
-
-    if (error) {
-      throw error;
-    }
-
-    // Log price changes
-    if (changes.current_price && changes.current_price !== existingListing.current_price) {
-      await supabase.from('price_history').insert({
-        listing_id: existingListing.id,
-        price: changes.current_price,
-        previous_price: existingListing.current_price,
-        change_type: 'sync',
-        change_reason: 'eBay sync update'
-      });
+/**
+ * Re-read an Inventory API listing through its offer
+ * @returns {Promise<Object|null>} Listing columns, or null if the offer is gone
+ */
+async function fetchInventoryListing(accessToken, sku) {
+  const response = await fetch(`${EBAY_API_BASE}/sell/inventory/v1/offer?sku=${encodeURIComponent(sku)}`, {
+    headers: {
+      'Authorization': `Bearer ${accessToken}`,
+      'Accept': 'application/json'
     }
+  });
 
-    return true;
+  if (response.status === 404) return null;
+  if (!response.ok) {
+    throw new Error(`Offer lookup for ${sku} failed: HTTP ${response.status}`);
   }
 
-  return false;
-}
+  const offer = (await response.json()).offers?.[0];
+  if (!offer) return null;
 
-// Calculate checksum for change detection
-function calculateChecksum(data) {
-  const relevantData = {
-    price: data.current_price,
-    quantity: data.quantity,
-    status: data.listing_status,
-    title: data.title
+  const quantityAvailable = offer.availableQuantity ?? null;
+  const price = parseFloat(offer.pricingSummary?.price?.value);
+  const listing = {
+    listing_status: offer.status !== 'PUBLISHED'
+      ? 'Ended'
+      : quantityAvailable === 0 ? 'Sold Out' : 'Active'
   };
-  return crypto.createHash('sha256')
-    .update(JSON.stringify(relevantData))
-    .digest('hex');
+  if (price > 0) listing.current_price = price;
+  if (quantityAvailable !== null) listing.quantity_available = quantityAvailable;
+  return listing;
 }
 
 // =============================================
-// BATCH PROCESSING
+// JOB HANDLERS
 // =============================================
 
-// Process a batch of listings
-async function processBatch(listings, accessToken, userId) {
-  const results = {
-    success: 0,
-    failed: 0,
-    skipped: 0,
-    errors: []
+/**
+ * listing_refresh / price_update: re-read the listings in payload.listing_ids
+ * Only fields eBay owns are written; user settings are never touched.
+ */
+async function runListingRefresh(job) {
+  const listingIds = job.payload?.listing_ids || [];
+  if (listingIds.length === 0) return { refreshed: 0 };
+
+  const { data: listings, error } = await supabase
+    .from('listings')
+    .select('id, ebay_account_id, source, ebay_item_id, ebay_sku, offer_id, title, current_price, quantity_available, quantity_sold, listing_status, image_url, ebay_url, view_count, watch_count, enable_auto_reduction, last_pushed_price, data_checksum')
+    .eq('user_id', job.user_id)
+    .in('id', listingIds);
+
+  if (error) throw error;
+  if (!listings?.length) return { refreshed: 0 };
+
+  // One token per linked eBay account the listings live on
+  const accessTokens = new Map();
+  const tokenFor = async (listing) => {
+    const accountId = listing.ebay_account_id || null;
+    if (!accessTokens.has(accountId)) {
+      accessTokens.set(accountId, await getValidAccessToken(supabase, job.user_id, accountId));
+    }
+    return accessTokens.get(accountId);
   };
+  const { data: owner } = await supabase
+    .from('users')
+    .select('external_price_policy')
+    .eq('id', job.user_id)
+    .single();
+  const result = { refreshed: 0, unchanged: 0, missing: 0, externalPriceChanges: 0 };
+  const changes = [];
 
   for (const listing of listings) {
-    try {
-      // Fetch latest data from eBay
-      const ebayData = await fetchEbayListing(accessToken, listing.sku);
-
-      if (!ebayData) {
-        results.skipped++;
-        continue;
-      }
-
-      // Perform delta sync
-      const updated = await deltaSync(listing, ebayData);
-
-      if (updated) {
-        results.success++;
-      } else {
-        results.skipped++;
-      }
-
-    } catch (error) {
-      results.failed++;
-      results.errors.push({
-        listing_id: listing.id,
-        sku: listing.sku,
-        error: error.message
-      });
-
-      // Update sync status to error
-      await supabase
-        .from('listings')
-        .update({
-          sync_status: 'error',
-          sync_error: error.message,
-          last_synced: new Date().toISOString()
-        })
-        .eq('id', listing.id);
+    const accessToken = await tokenFor(listing);
+    const fresh = listing.source === 'inventory_api' && listing.ebay_sku
+      ? await fetchInventoryListing(accessToken, listing.ebay_sku)
+      : listing.ebay_item_id ? await fetchTradingListing(accessToken, listing.ebay_item_id) : null;
+
+    // Leave missing listings to the next full sync, which ends them properly
+    if (!fresh) {
+      result.missing++;
+      continue;
     }
-  }
 
-  return results;
-}
-
-// Fetch single listing from eBay
-async function fetchEbayListing(accessToken, sku) {
-  try {
-    // Fetch inventory item
-    const inventoryUrl = `https://api.ebay.com/sell/inventory/v1/inventory_item/${encodeURIComponent(sku)}`;
-    const inventoryResponse = await fetch(inventoryUrl, {
-      headers: {
-        'Authorization': `Bearer ${accessToken}`,
-        'Content-Type': 'application/json'
-      }
-    });
-
-    if (!inventoryResponse.ok) {
-      return null;
+    if (isExternalPriceChange(listing, fresh.current_price)) {
+      const { updates } = await reconcileExternalPrice(supabase, listing, fresh.current_price, {
+        policy: getExternalPricePolicy(owner),
+        pushPrice: guardPushPrice(supabase, job.user_id, (l, price) => pushPriceToEbay(accessToken, l, price), 'refresh'),
+        source: 'refresh'
+      });
+      Object.assign(fresh, updates);
+      result.externalPriceChanges++;
     }
 
-    const inventoryData = await inventoryResponse.json();
+    // Same delta rule as the importers: unchanged rows only get last_sync
+    const now = new Date().toISOString();
+    const checksum = calculateChecksum({ ...listing, ...fresh });
+    const unchanged = checksum === listing.data_checksum;
+    const { error: updateError } = await supabase
+      .from('listings')
+      .update(unchanged ? { last_sync: now } : { ...fresh, data_checksum: checksum, last_sync: now, updated_at: now })
+      .eq('id', listing.id);
 
-    // Fetch offers
-    const offersUrl = `https://api.ebay.com/sell/inventory/v1/offer?sku=${encodeURIComponent(sku)}`;
-    const offersResponse = await fetch(offersUrl, {
-      headers: {
-        'Authorization': `Bearer ${accessToken}`,
-        'Content-Type': 'application/json'
-      }
-    });
+    if (updateError) throw updateError;
 
-    let offerData = null;
-    if (offersResponse.ok) {
-      const offersJson = await offersResponse.json();
-      if (offersJson.offers && offersJson.offers.length > 0) {
-        offerData = offersJson.offers[0];
+    if (unchanged) {
+      result.unchanged++;
+    } else {
+      result.refreshed++;
+      if (listing.data_checksum) {
+        changes.push({ listing_id: listing.id, ...diffListing(listing, fresh) });
       }
     }
-
-    // Combine data
-    return {
-      title: inventoryData.product?.title,
-      description: inventoryData.product?.description,
-      quantity: inventoryData.availability?.shipToLocationAvailability?.quantity || 1,
-      quantity_available: inventoryData.availability?.shipToLocationAvailability?.quantity || 1,
-      current_price: offerData?.pricingSummary?.price?.value || 0,
-      listing_status: offerData?.status === 'PUBLISHED' ? 'Active' : 'Ended',
-      condition: inventoryData.condition,
-      image_urls: inventoryData.product?.imageUrls || []
-    };
-
-  } catch (error) {
-    console.error(`Error fetching listing ${sku}:`, error);
-    return null;
   }
-}
 
-// =============================================
-// QUEUE MANAGEMENT
-// =============================================
+  await recordListingChanges(supabase, job.user_id, changes, 'refresh');
+  return result;
+}
 
-// Get next batch of jobs from queue
-async function getNextJobs(limit = SYNC_CONFIG.BATCH_SIZE) {
-  const { data: jobs, error } = await supabase
-    .from('sync_queue')
-    .select('*')
-    .in('status', ['pending', 'processing'])
-    .lte('scheduled_for', new Date().toISOString())
-    .order('priority')
-    .order('scheduled_for')
-    .limit(limit);
-
-  if (error) {
-    throw error;
-  }
+/**
+ * full_sync: import the user's listings like the manual "Sync" button
+ */
+async function runFullSync(job) {
+  const result = await syncUserListings(job.user_id, {
+    source: job.payload?.source || null,
+    maxListings: job.payload?.max_listings || null,
+    accountId: job.payload?.account_id || null
+  });
 
-  // Mark jobs as processing
-  if (jobs && jobs.length > 0) {
-    const jobIds = jobs.map(j => j.id);
-    await supabase
-      .from('sync_queue')
-      .update({
-        status: 'processing',
-        started_at: new Date().toISOString(),
-        attempts: supabase.rpc('increment', { x: 1 })
-      })
-      .in('id', jobIds);
+  const errors = [...result.tradingApi.errors, ...result.inventoryApi.errors];
+  if (errors.length > 0 && result.tradingApi.inserted + result.tradingApi.updated + result.inventoryApi.inserted + result.inventoryApi.updated === 0) {
+    throw new Error(`Full sync failed: ${errors[0].error || errors[0]}`);
   }
 
-  return jobs || [];
+  return result;
 }
 
-// Complete a job
-async function completeJob(jobId, success = true, error = null) {
-  const update = {
-    status: success ? 'completed' : 'failed',
-    completed_at: new Date().toISOString()
-  };
-
-  if (error) {
-    update.error_message = error;
+async function runJob(job) {
+  if (job.job_type === 'full_sync') {
+    return runFullSync(job);
   }
-
-  await supabase
-    .from('sync_queue')
-    .update(update)
-    .eq('id', jobId);
+  if (REFRESH_JOB_TYPES.includes(job.job_type)) {
+    return runListingRefresh(job);
+  }
+  throw new Error(`Unknown job type: ${job.job_type}`);
 }
 
 // =============================================
 // MAIN SYNC HANDLER
 // =============================================
 
-exports.handler = async (event, context) => {
+const handler = async (event, context) => {
   console.log('🔄 Sync Service started');
 
   const startTime = Date.now();
+  const workerId = `sync-service:${context?.awsRequestId || crypto.randomUUID()}`;
   const results = {
+    planned: null,
     jobs_processed: 0,
-    listings_synced: 0,
+    jobs_retried: 0,
+    jobs_dead: 0,
+    jobs_released: 0,
+    api_calls: 0,
     errors: [],
     duration: 0
   };
 
   try {
-    // Get next batch of sync jobs
-    const jobs = await getNextJobs();
-
-    if (jobs.length === 0) {
-      console.log('📭 No sync jobs in queue');
-      return {
-        statusCode: 200,
-        body: JSON.stringify({
-          message: 'No jobs to process',
-          results
-        })
-      };
+    results.planned = await planTieredRefreshes(supabase);
+    console.log(`🗓️ Planned refreshes: ${results.planned.hot} hot, ${results.planned.warm} warm`);
+
+    // Jobs left behind by a crashed or timed-out run count as a failed attempt
+    const recovered = await recoverExpiredSyncJobs(supabase);
+    results.jobs_retried += recovered.retried;
+    results.jobs_dead += recovered.dead;
+    if (recovered.retried + recovered.dead > 0) {
+      console.log(`♻️ Expired leases: ${recovered.retried} retried later, ${recovered.dead} dead-lettered`);
     }
 
-    console.log(`📋 Processing ${jobs.length} sync jobs`);
+    let apiBudget = SYNC_CONFIG.MAX_API_CALLS_PER_RUN;
 
-    // Group jobs by user for efficient processing
-    const jobsByUser = {};
-    for (const job of jobs) {
-      if (!jobsByUser[job.user_id]) {
-        jobsByUser[job.user_id] = [];
-      }
-      jobsByUser[job.user_id].push(job);
-    }
+    while (apiBudget > 0 && Date.now() - startTime < TIME_BUDGET_MS) {
+      const jobs = await claimSyncJobs(supabase, workerId);
+      if (jobs.length === 0) break;
 
-    // Process jobs for each user
-    for (const [userId, userJobs] of Object.entries(jobsByUser)) {
-      try {
-        // Get user credentials
-        const { data: user } = await supabase
-          .from('users')
-          .select('ebay_app_id, ebay_cert_id, ebay_refresh_token')
-          .eq('id', userId)
-          .single();
-
-        if (!user || !user.ebay_refresh_token) {
-          // Mark jobs as failed
-          for (const job of userJobs) {
-            await completeJob(job.id, false, 'User eBay credentials not found');
-          }
+      console.log(`📋 Claimed ${jobs.length} sync jobs`);
+
+      for (const job of jobs) {
+        const cost = estimateApiCalls(job);
+
+        // Over budget: hand it back for the next run rather than hold the lease
+        if (cost > apiBudget || Date.now() - startTime >= TIME_BUDGET_MS) {
+          await releaseSyncJob(supabase, job, workerId);
+          results.jobs_released++;
           continue;
         }
 
-        // Get access token
-        const refreshToken = decrypt(user.ebay_refresh_token);
-        const accessToken = await getAccessToken(refreshToken, user.ebay_app_id, user.ebay_cert_id);
-
-        // Process each job for this user
-        for (const job of userJobs) {
-          try {
-            if (job.job_type === 'full_sync') {
-              // Get all listings for this user
-              const { data: listings } = await supabase
-                .from('listings')
-                .select('*')
-                .eq('user_id', userId)
-                .is('archived_at', null)
-                .order('last_synced', { ascending: true })
-                .limit(SYNC_CONFIG.BATCH_SIZE);
-
-              if (listings && listings.length > 0) {
-                const batchResults = await processBatch(listings, accessToken, userId);
-                results.listings_synced += batchResults.success;
-                results.errors.push(...batchResults.errors);
-              }
-
-            } else if (job.job_type === 'price_update') {
-              // Process specific listings for price updates
-              const listingIds = job.payload?.listing_ids || [];
-              if (listingIds.length > 0) {
-                const { data: listings } = await supabase
-                  .from('listings')
-                  .select('*')
-                  .in('id', listingIds);
-
-                if (listings) {
-                  const batchResults = await processBatch(listings, accessToken, userId);
-                  results.listings_synced += batchResults.success;
-                  results.errors.push(...batchResults.errors);
-                }
-              }
-            }
-
-            await completeJob(job.id, true);
-            results.jobs_processed++;
-
-          } catch (jobError) {
-            console.error(`Error processing job ${job.id}:`, jobError);
-            await completeJob(job.id, false, jobError.message);
-            results.errors.push({
-              job_id: job.id,
-              error: jobError.message
-            });
+        apiBudget -= cost;
+        results.api_calls += cost;
+
+        try {
+          await runJob(job);
+          await completeSyncJob(supabase, job, workerId);
+          results.jobs_processed++;
+        } catch (jobError) {
+          console.error(`Error processing job ${job.id}:`, jobError);
+          const outcome = await failSyncJob(supabase, job, workerId, jobError.message);
+          if (outcome === 'dead') {
+            results.jobs_dead++;
+          } else if (outcome === 'retry') {
+            results.jobs_retried++;
           }
-        }
-
-      } catch (userError) {
-        console.error(`Error processing user ${userId}:`, userError);
-        for (const job of userJobs) {
-          await completeJob(job.id, false, userError.message);
+          results.errors.push({
+            job_id: job.id,
+            error: jobError.message
+          });
         }
       }
+
+      // Everything left in the batch was released, so nothing more fits this run
+      if (results.jobs_released > 0) break;
     }
 
     // Record metrics
@@ -450,15 +341,14 @@ exports.handler = async (event, context) => {
       value: results.duration,
       metadata: {
         jobs_processed: results.jobs_processed,
-        listings_synced: results.listings_synced,
+        jobs_retried: results.jobs_retried,
+        jobs_dead: results.jobs_dead,
+        api_calls: results.api_calls,
         error_count: results.errors.length
       }
     });
 
-    // Schedule next sync for active users
-    await scheduleNextSync();
-
-    console.log(`✅ Sync completed: ${results.listings_synced} listings updated in ${results.duration}ms`);
+    console.log(`✅ Sync completed: ${results.jobs_processed} jobs, ${results.api_calls} eBay calls in ${results.duration}ms`);
 
     return {
       statusCode: 200,
@@ -481,49 +371,5 @@ exports.handler = async (event, context) => {
   }
 };
 
-// =============================================
-// SCHEDULING HELPERS
-// =============================================
-
-// Schedule next sync based on listing activity
-async function scheduleNextSync() {
-  // Get users with active listings
-  const { data: activeUsers } = await supabase
-    .from('user_listing_stats')
-    .select('user_id, active_listings, last_sync');
-
-  if (!activeUsers) return;
-
-  for (const user of activeUsers) {
-    const timeSinceSync = Date.now() - new Date(user.last_sync).getTime();
-
-    // Determine sync interval based on activity
-    let interval = SYNC_CONFIG.SYNC_INTERVALS.COLD_DATA;
-    if (user.active_listings > 50) {
-      interval = SYNC_CONFIG.SYNC_INTERVALS.HOT_DATA;
-    } else if (user.active_listings > 10) {
-      interval = SYNC_CONFIG.SYNC_INTERVALS.WARM_DATA;
-    }
-
-    // Schedule if due
-    if (timeSinceSync > interval) {
-      await supabase.from('sync_queue').insert({
-        user_id: user.user_id,
-        job_type: 'full_sync',
-        priority: calculatePriorityForUser(user),
-        scheduled_for: new Date(Date.now() + 60000).toISOString() // 1 minute from now
-      });
-    }
-  }
-}
-
-// Calculate priority for user sync job
-function calculatePriorityForUser(user) {
-  if (user.active_listings > 100) return 3;
-  if (user.active_listings > 50) return 5;
-  if (user.active_listings > 10) return 7;
-  return 9;
-}
-
-// This function can also be triggered by a cron schedule
-exports.schedule = "@every 5m"; // Run every 5 minutes
\ No newline at end of file
+// Hot listings are due every 5 minutes, so run on the same cadence
+exports.handler = schedule('*/5 * * * *', handler);
@@ -0,0 +1,33 @@
+const { isAdministrator } = require('../../utils/admins');
+
+describe('admins', () => {
+  const originalAdmins = process.env.ADMIN_EMAILS;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation();
+  });
+
+  afterEach(() => {
+    process.env.ADMIN_EMAILS = originalAdmins;
+    if (originalAdmins === undefined) delete process.env.ADMIN_EMAILS;
+    jest.restoreAllMocks();
+  });
+
+  it('should allow listed emails, ignoring case and spaces', () => {
+    process.env.ADMIN_EMAILS = 'owner@example.com, Ops@Example.com';
+    expect(isAdministrator({ email: 'ops@example.com' })).toBe(true);
+    expect(isAdministrator({ email: 'OWNER@example.com' })).toBe(true);
+  });
+
+  it('should refuse anyone else', () => {
+    process.env.ADMIN_EMAILS = 'owner@example.com';
+    expect(isAdministrator({ email: 'seller@example.com' })).toBe(false);
+    expect(isAdministrator(null)).toBe(false);
+  });
+
+  it('should fail closed and log when ADMIN_EMAILS is not set', () => {
+    delete process.env.ADMIN_EMAILS;
+    expect(isAdministrator({ email: 'owner@example.com' })).toBe(false);
+    expect(console.error).toHaveBeenCalledWith(expect.stringMatching(/ADMIN_EMAILS is not set/));
+  });
+});
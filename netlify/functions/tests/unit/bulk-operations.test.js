@@ -0,0 +1,60 @@
+jest.mock('../../utils/ebay-oauth', () => ({ getValidAccessToken: jest.fn() }));
+jest.mock('../../end-listing', () => ({ endListingOnEbay: jest.fn() }));
+jest.mock('../../process-price-reductions', () => ({ pushPriceToEbay: jest.fn() }));
+jest.mock('../../utils/organizations', () => ({
+  getAccessRole: jest.fn(async () => null),
+  hasRole: jest.fn(() => false),
+  listAccessibleUserIds: jest.fn(async () => ['user-1'])
+}));
+
+const { createBulkOperation, BULK_CONFIG } = require('../../utils/bulk-operations');
+
+// Listings table that honours range() and caps every response at 1000 rows, like PostgREST
+const fakeSupabase = (matching) => {
+  const ranges = [];
+  return {
+    ranges,
+    from() {
+      let range = [0, Infinity];
+      const query = {
+        select: () => query,
+        in: () => query,
+        eq: () => query,
+        order: () => query,
+        range: (from, to) => { range = [from, to]; ranges.push(range); return query; },
+        then: (resolve, reject) => {
+          const [from, to] = range;
+          const count = Math.max(Math.min(matching, to + 1, from + 1000) - from, 0);
+          const data = Array.from({ length: count }, (_, i) => ({ id: `listing-${from + i}`, user_id: 'user-1' }));
+          return Promise.resolve({ data, error: null }).then(resolve, reject);
+        }
+      };
+      return query;
+    }
+  };
+};
+
+const create = (supabase) => createBulkOperation(supabase, 'user-1', {
+  operation: 'toggle_reduction',
+  params: { enabled: false },
+  filter: { status: 'Active' }
+});
+
+describe('bulk-operations', () => {
+  describe('createBulkOperation with a filter', () => {
+    it('should read every page of matching listings', async () => {
+      const supabase = fakeSupabase(2500);
+
+      // The mocked organizations give no access, so nothing is created
+      await expect(create(supabase)).rejects.toThrow('No listings to update');
+      expect(supabase.ranges).toEqual([[0, 999], [1000, 1999], [2000, 2999]]);
+    });
+
+    it('should refuse a filter that matches more than MAX_TARGETS listings', async () => {
+      const supabase = fakeSupabase(BULK_CONFIG.MAX_TARGETS + 1);
+
+      await expect(create(supabase)).rejects.toThrow(`more than ${BULK_CONFIG.MAX_TARGETS} listings`);
+      expect(supabase.ranges).toHaveLength(Math.ceil((BULK_CONFIG.MAX_TARGETS + 1) / BULK_CONFIG.FILTER_PAGE_SIZE));
+    });
+  });
+});
@@ -0,0 +1,149 @@
+const crypto = require('crypto');
+const {
+  computeChallengeResponse,
+  verifyNotificationSignature,
+  parsePlatformNotification,
+  verifyPlatformSignature
+} = require('../../utils/ebay-notifications');
+
+const keys = { devId: 'dev-id', appId: 'app-id', certId: 'cert-id' };
+
+const platformSignature = (timestamp, { devId, appId, certId } = keys) => crypto
+  .createHash('md5')
+  .update(`${timestamp}${devId}${appId}${certId}`)
+  .digest('base64');
+
+const envelope = (timestamp, signature) => `<?xml version="1.0" encoding="UTF-8"?>
+<soapenv:Envelope xmlns:soapenv="http://schemas.xmlsoap.org/soap/envelope/">
+  <soapenv:Header>
+    <ebl:RequesterCredentials xmlns:ebl="urn:ebay:apis:eBLBaseComponents">
+      <ebl:NotificationSignature>${signature}</ebl:NotificationSignature>
+    </ebl:RequesterCredentials>
+  </soapenv:Header>
+  <soapenv:Body>
+    <GetItemResponse xmlns="urn:ebay:apis:eBLBaseComponents">
+      <Timestamp>${timestamp}</Timestamp>
+      <NotificationEventName>ItemRevised</NotificationEventName>
+      <RecipientUserID>seller1</RecipientUserID>
+      <Item><ItemID>123456789</ItemID></Item>
+    </GetItemResponse>
+  </soapenv:Body>
+</soapenv:Envelope>`;
+
+describe('ebay-notifications', () => {
+  describe('verifyPlatformSignature', () => {
+    const timestamp = '2026-10-19T12:00:00.000Z';
+    const now = new Date('2026-10-19T12:03:00.000Z');
+
+    it('should accept a signature made with the seller app keys', async () => {
+      const notification = await parsePlatformNotification(envelope(timestamp, platformSignature(timestamp)));
+
+      expect(notification.eventType).toBe('ItemRevised');
+      expect(notification.timestamp).toBe(timestamp);
+      expect(verifyPlatformSignature(notification, keys, now)).toBe(true);
+    });
+
+    it('should reject a signature made with other keys', async () => {
+      const forged = platformSignature(timestamp, { ...keys, certId: 'other-cert' });
+      const notification = await parsePlatformNotification(envelope(timestamp, forged));
+
+      expect(verifyPlatformSignature(notification, keys, now)).toBe(false);
+    });
+
+    it('should reject a notification whose timestamp was changed', () => {
+      const notification = {
+        signature: platformSignature(timestamp),
+        timestamp: '2026-10-19T12:01:00.000Z'
+      };
+
+      expect(verifyPlatformSignature(notification, keys, now)).toBe(false);
+    });
+
+    it('should reject a signature older than ten minutes', () => {
+      const notification = { signature: platformSignature(timestamp), timestamp };
+      const later = new Date('2026-10-19T12:10:01.000Z');
+
+      expect(verifyPlatformSignature(notification, keys, later)).toBe(false);
+    });
+
+    it('should reject when the signature or app keys are missing', () => {
+      const notification = { signature: platformSignature(timestamp), timestamp };
+
+      expect(verifyPlatformSignature({ timestamp }, keys, now)).toBe(false);
+      expect(verifyPlatformSignature(notification, { ...keys, certId: undefined }, now)).toBe(false);
+    });
+  });
+
+  describe('computeChallengeResponse', () => {
+    it('should hash the challenge, token and endpoint in that order', () => {
+      const expected = crypto
+        .createHash('sha256')
+        .update('challenge-abctoken-xyzhttps://example.com/.netlify/functions/ebay-notifications')
+        .digest('hex');
+
+      expect(computeChallengeResponse(
+        'challenge-abc',
+        'token-xyz',
+        'https://example.com/.netlify/functions/ebay-notifications'
+      )).toBe(expected);
+    });
+  });
+
+  describe('verifyNotificationSignature', () => {
+    const { publicKey, privateKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'prime256v1' });
+    const publicPem = publicKey.export({ type: 'spki', format: 'pem' });
+    const rawBody = JSON.stringify({
+      metadata: { topic: 'MARKETPLACE_ACCOUNT_DELETION' },
+      notification: { notificationId: 'n-1', data: { username: 'seller1' } }
+    });
+
+    const signatureHeader = (kid, body = rawBody) => {
+      const signer = crypto.createSign('sha1');
+      signer.update(body);
+      const signature = signer.sign(privateKey, 'base64');
+      return Buffer.from(JSON.stringify({ alg: 'ECDSA', kid, signature, digest: 'SHA1' })).toString('base64');
+    };
+
+    const originalFetch = global.fetch;
+
+    beforeEach(() => {
+      // eBay serves the key on one line without PEM breaks
+      const oneLineKey = publicPem.replace(/\n/g, '');
+      global.fetch = jest.fn(async (url) => ({
+        ok: true,
+        json: async () => (String(url).includes('/public_key/')
+          ? { key: oneLineKey, digest: 'SHA1' }
+          : { access_token: 'app-token' })
+      }));
+    });
+
+    afterEach(() => {
+      global.fetch = originalFetch;
+    });
+
+    it('should accept a body signed with eBay\'s key', async () => {
+      await expect(verifyNotificationSignature(rawBody, signatureHeader('kid-valid'))).resolves.toBe(true);
+      expect(global.fetch).toHaveBeenCalledWith(
+        expect.stringContaining('/public_key/kid-valid'),
+        expect.any(Object)
+      );
+    });
+
+    it('should reject a body changed after signing', async () => {
+      const header = signatureHeader('kid-tampered');
+      const tampered = rawBody.replace('seller1', 'seller2');
+
+      await expect(verifyNotificationSignature(tampered, header)).resolves.toBe(false);
+    });
+
+    it('should reject a missing or garbled header without fetching a key', async () => {
+      await expect(verifyNotificationSignature(rawBody, undefined)).resolves.toBe(false);
+      await expect(verifyNotificationSignature(rawBody, 'not-base64-json')).resolves.toBe(false);
+      await expect(verifyNotificationSignature(
+        rawBody,
+        Buffer.from(JSON.stringify({ kid: 'kid-only' })).toString('base64')
+      )).resolves.toBe(false);
+      expect(global.fetch).not.toHaveBeenCalled();
+    });
+  });
+});
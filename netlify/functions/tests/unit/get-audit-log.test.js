@@ -0,0 +1,80 @@
+const mockAuditRows = [];
+const mockRanges = [];
+
+jest.mock('@supabase/supabase-js', () => ({
+  createClient: () => ({
+    auth: {
+      getUser: async () => ({ data: { user: { id: 'user-1', email: 'seller@example.com' } }, error: null })
+    },
+    from(table) {
+      let range = [0, Infinity];
+      const query = {
+        select: () => query,
+        in: () => query,
+        eq: () => query,
+        gte: () => query,
+        lte: () => query,
+        order: () => query,
+        limit: () => query,
+        range: (from, to) => { range = [from, to]; mockRanges.push(range); return query; },
+        then: (resolve, reject) => {
+          // Like PostgREST: never more than 1000 rows per response
+          const [from, to] = range;
+          const data = table === 'audit_log'
+            ? mockAuditRows.slice(from, Math.min(to + 1, from + 1000))
+            : [{ id: 'user-1', email: 'seller@example.com' }];
+          return Promise.resolve({ data, error: null, count: mockAuditRows.length }).then(resolve, reject);
+        }
+      };
+      return query;
+    }
+  })
+}));
+jest.mock('../../utils/organizations', () => ({
+  listAccessibleUserIds: async () => ['user-1']
+}));
+
+const { handler } = require('../../get-audit-log');
+
+const exportCsv = () => handler({
+  httpMethod: 'GET',
+  headers: { authorization: 'Bearer token' },
+  queryStringParameters: { format: 'csv' }
+});
+
+const auditRow = (overrides = {}) => ({
+  id: 'entry-1',
+  user_id: 'user-1',
+  actor_id: 'user-1',
+  action: 'listing.updated',
+  source: 'ui',
+  created_at: '2026-10-19T12:00:00.000Z',
+  ...overrides
+});
+
+describe('get-audit-log', () => {
+  beforeEach(() => {
+    mockAuditRows.length = 0;
+    mockRanges.length = 0;
+  });
+
+  it('should export every row in 1000-row pages', async () => {
+    mockAuditRows.push(...Array.from({ length: 2500 }, (_, i) => auditRow({ id: `entry-${i}` })));
+
+    const response = await exportCsv();
+
+    expect(response.statusCode).toBe(200);
+    expect(response.body.split('\n')).toHaveLength(2501);
+    expect(mockRanges).toEqual([[0, 999], [1000, 1999], [2000, 2999]]);
+  });
+
+  it('should keep cells that look like formulas as text', async () => {
+    mockAuditRows.push(auditRow({ request_id: '=HYPERLINK("http://evil.example","x")', entity_id: '@SUM(A1)' }));
+
+    const response = await exportCsv();
+    const [, line] = response.body.split('\n');
+
+    expect(line).toContain('"\'=HYPERLINK(""http://evil.example"",""x"")"');
+    expect(line).toContain("'@SUM(A1)");
+  });
+});
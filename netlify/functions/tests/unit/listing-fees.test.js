@@ -0,0 +1,118 @@
+const {
+  resolveFeeRates,
+  estimateFees,
+  estimateListingFees
+} = require('../../utils/listing-fees');
+const { DEFAULT_FEE_SCHEDULE } = require('../../utils/fee-schedules');
+
+const feeContext = (overrides = {}) => ({
+  schedule: {
+    ...DEFAULT_FEE_SCHEDULE,
+    version: 3,
+    categories: [
+      { categoryId: '261', categoryName: 'Coins', finalValueFeePercentage: 15, tierThreshold: null, aboveThresholdFeePercentage: null }
+    ]
+  },
+  sellerRates: new Map(),
+  sellerSettings: {},
+  ...overrides
+});
+
+describe('listing-fees', () => {
+  describe('resolveFeeRates', () => {
+    it('should use the schedule default for categories it does not list', () => {
+      const rates = resolveFeeRates(feeContext(), '9355');
+      expect(rates).toMatchObject({
+        finalValueFeePercentage: 13.25,
+        tierThreshold: 7500,
+        aboveThresholdFeePercentage: 2.35,
+        perOrderFee: 0.40,
+        smallOrderPerOrderFee: 0.30,
+        source: 'schedule',
+        scheduleVersion: 3
+      });
+    });
+
+    it('should use the schedule category rate with the schedule tier', () => {
+      const rates = resolveFeeRates(feeContext(), 261);
+      expect(rates).toMatchObject({ finalValueFeePercentage: 15, tierThreshold: 7500, source: 'schedule_category' });
+    });
+
+    it('should prefer the seller category rate and its per-order fee, untiered', () => {
+      const context = feeContext({
+        sellerRates: new Map([['261', { category_id: '261', final_value_fee_percentage: '12.5', per_order_fee: '0' }]])
+      });
+      const rates = resolveFeeRates(context, '261');
+      expect(rates).toMatchObject({
+        finalValueFeePercentage: 12.5,
+        tierThreshold: null,
+        perOrderFee: 0,
+        smallOrderPerOrderFee: 0,
+        source: 'seller_category'
+      });
+    });
+
+    it('should fall back to the seller default before the schedule', () => {
+      const context = feeContext({ sellerSettings: { default_final_value_fee_percentage: 10 } });
+      expect(resolveFeeRates(context, '261')).toMatchObject({ finalValueFeePercentage: 10, source: 'seller_default' });
+    });
+  });
+
+  describe('estimateFees', () => {
+    const rates = resolveFeeRates(feeContext(), null);
+
+    it('should take the final value fee and per-order fee from the price', () => {
+      expect(estimateFees(100, rates)).toMatchObject({
+        finalValueFee: 13.25,
+        perOrderFee: 0.40,
+        totalFees: 13.65,
+        netProceeds: 86.35,
+        profit: null,
+        marginPercentage: null
+      });
+    });
+
+    it('should charge the small-order fee at or below the threshold', () => {
+      expect(estimateFees(8, rates)).toMatchObject({ finalValueFee: 1.06, perOrderFee: 0.30, netProceeds: 6.64 });
+    });
+
+    it('should charge the lower rate above the tier threshold', () => {
+      // 7500 x 13.25% + 2500 x 2.35%
+      expect(estimateFees(10000, rates)).toMatchObject({ finalValueFee: 1052.50, netProceeds: 8947.10 });
+    });
+
+    it('should subtract promoted, shipping and item costs', () => {
+      const estimate = estimateFees(100, rates, { promotedAdRate: 5, shippingCost: 8, itemCost: 30, inboundShippingCost: 2.35 });
+      expect(estimate).toMatchObject({
+        promotedFee: 5,
+        totalFees: 18.65,
+        netProceeds: 73.35,
+        profit: 41,
+        marginPercentage: 41
+      });
+    });
+
+    it('should charge nothing on a zero price', () => {
+      expect(estimateFees(0, rates)).toMatchObject({ totalFees: 0, netProceeds: 0, marginPercentage: null });
+    });
+  });
+
+  describe('estimateListingFees', () => {
+    it('should price a stored listing with the seller default shipping cost', () => {
+      const context = feeContext({ sellerSettings: { default_shipping_cost: 5 } });
+      const estimate = estimateListingFees({ category_id: '261', current_price: '100.00', item_cost: '40' }, context);
+      expect(estimate).toMatchObject({
+        finalValueFee: 15,
+        shippingCost: 5,
+        netProceeds: 79.60,
+        profit: 39.60,
+        marginPercentage: 39.6
+      });
+    });
+
+    it('should estimate at another price when given one', () => {
+      const estimate = estimateListingFees({ category_id: '261', current_price: 100 }, feeContext(), 50);
+      expect(estimate.finalValueFee).toBe(7.5);
+    });
+  });
+});
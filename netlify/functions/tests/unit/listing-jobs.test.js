@@ -0,0 +1,151 @@
+jest.mock('../../create-ebay-listing', () => ({
+  createListingForUser: jest.fn(),
+  CONDITION_IDS: { NEW: '1000', USED_EXCELLENT: '3000' }
+}));
+jest.mock('../../keepa-fetch-product', () => ({
+  fetchKeepaProduct: jest.fn(),
+  KeepaFetchError: class KeepaFetchError extends Error {}
+}));
+
+const { checkRows, ListingJobError } = require('../../utils/listing-jobs');
+
+const USER_ID = 'user-1';
+
+const matches = (row, condition) => {
+  const [column, op, ...rest] = condition.split('.');
+  const value = rest.join('.');
+  if (op === 'is') return row[column] === null || row[column] === undefined;
+  if (op === 'eq') return String(row[column]) === value;
+  if (op === 'neq') return row[column] !== null && row[column] !== undefined && String(row[column]) !== value;
+  throw new Error(`Unsupported filter ${condition}`);
+};
+
+// Just enough of the Supabase query builder for checkRows: eq, in, or, order, limit
+const fakeSupabase = (tables) => ({
+  from(table) {
+    let rows = [...(tables[table] || [])];
+    const query = {
+      select: () => query,
+      eq: (column, value) => { rows = rows.filter(row => row[column] === value); return query; },
+      in: (column, values) => { rows = rows.filter(row => values.includes(row[column])); return query; },
+      or: (filters) => { rows = rows.filter(row => filters.split(',').some(f => matches(row, f))); return query; },
+      order: () => query,
+      limit: (count) => { rows = rows.slice(0, count); return query; },
+      then: (resolve, reject) => Promise.resolve({ data: rows, error: null }).then(resolve, reject)
+    };
+    return query;
+  }
+});
+
+const accounts = [
+  { id: 'acct-main', user_id: USER_ID, is_default: true },
+  { id: 'acct-second', user_id: USER_ID, is_default: false }
+];
+
+const listing = (overrides) => ({
+  user_id: USER_ID,
+  sku: null,
+  ebay_sku: null,
+  ebay_account_id: 'acct-main',
+  listing_status: 'Active',
+  title: 'Listed item',
+  ...overrides
+});
+
+const errorsFor = (results) => results.map(result => result.errors);
+
+describe('listing-jobs', () => {
+  describe('checkRows', () => {
+    it('should flag a SKU used twice in the upload', async () => {
+      const supabase = fakeSupabase({ ebay_accounts: accounts, listings: [] });
+
+      const results = await checkRows(supabase, USER_ID, [
+        { asin: 'B000000001', sku: 'A-1' },
+        { asin: 'B000000002', sku: 'A-1' }
+      ]);
+
+      expect(errorsFor(results)).toEqual([[], ['SKU A-1 is also used on row 1']]);
+    });
+
+    it('should flag SKUs on listings created here and on synced listings', async () => {
+      const supabase = fakeSupabase({
+        ebay_accounts: accounts,
+        listings: [
+          listing({ sku: 'A-1', title: 'Created here' }),
+          listing({ ebay_sku: 'A-2', title: 'Synced from eBay' })
+        ]
+      });
+
+      const results = await checkRows(supabase, USER_ID, [
+        { asin: 'B000000001', sku: 'A-1' },
+        { asin: 'B000000002', sku: 'A-2' },
+        { asin: 'B000000003', sku: 'A-3' }
+      ]);
+
+      expect(errorsFor(results)).toEqual([
+        ['SKU A-1 is already used by your listing "Created here"'],
+        ['SKU A-2 is already used by your listing "Synced from eBay"'],
+        []
+      ]);
+    });
+
+    it('should ignore ended listings and other users', async () => {
+      const supabase = fakeSupabase({
+        ebay_accounts: accounts,
+        listings: [
+          listing({ sku: 'A-1', listing_status: 'Ended' }),
+          listing({ ebay_sku: 'A-2', user_id: 'someone-else' })
+        ]
+      });
+
+      const results = await checkRows(supabase, USER_ID, [
+        { asin: 'B000000001', sku: 'A-1' },
+        { asin: 'B000000002', sku: 'A-2' }
+      ]);
+
+      expect(errorsFor(results)).toEqual([[], []]);
+    });
+
+    it('should only count listings on the account being listed to', async () => {
+      const supabase = fakeSupabase({
+        ebay_accounts: accounts,
+        listings: [
+          listing({ ebay_sku: 'A-1', ebay_account_id: 'acct-second', title: 'Second account' }),
+          listing({ ebay_sku: 'A-2', ebay_account_id: null, title: 'Before accounts' })
+        ]
+      });
+      const rows = [
+        { asin: 'B000000001', sku: 'A-1' },
+        { asin: 'B000000002', sku: 'A-2' }
+      ];
+
+      // Listings without an account belong to the default one
+      expect(errorsFor(await checkRows(supabase, USER_ID, rows))).toEqual([
+        [],
+        ['SKU A-2 is already used by your listing "Before accounts"']
+      ]);
+      expect(errorsFor(await checkRows(supabase, USER_ID, rows, 'acct-second'))).toEqual([
+        ['SKU A-1 is already used by your listing "Second account"'],
+        []
+      ]);
+    });
+
+    it('should check every account when the user has none linked', async () => {
+      const supabase = fakeSupabase({
+        ebay_accounts: [],
+        listings: [listing({ sku: 'A-1', ebay_account_id: null })]
+      });
+
+      const results = await checkRows(supabase, USER_ID, [{ asin: 'B000000001', sku: 'A-1' }]);
+
+      expect(errorsFor(results)).toEqual([['SKU A-1 is already used by your listing "Listed item"']]);
+    });
+
+    it('should refuse an account the user does not have', async () => {
+      const supabase = fakeSupabase({ ebay_accounts: accounts, listings: [] });
+
+      await expect(checkRows(supabase, USER_ID, [{ asin: 'B000000001' }], 'acct-other'))
+        .rejects.toThrow(ListingJobError);
+    });
+  });
+});
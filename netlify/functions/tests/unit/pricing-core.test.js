@@ -0,0 +1,167 @@
+const {
+  MINIMUM_PRICE_FLOOR,
+  getReductionIntervalDays,
+  isDueForReduction,
+  getEffectiveMinimumPrice,
+  getMinimumPriceSource,
+  calculateNewPrice,
+  simulateReductionTimeline,
+  recordPriceReduction
+} = require('../../utils/pricing-core');
+
+const NOW = new Date('2026-03-10T12:00:00Z');
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const activeListing = (overrides = {}) => ({
+  id: 'listing-1',
+  current_price: 100,
+  minimum_price: 50,
+  listing_status: 'Active',
+  enable_auto_reduction: true,
+  reduction_interval: 7,
+  last_price_reduction: new Date(NOW.getTime() - 8 * DAY_MS).toISOString(),
+  ...overrides
+});
+
+describe('pricing-core', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation();
+    jest.spyOn(console, 'warn').mockImplementation();
+    jest.spyOn(console, 'error').mockImplementation();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('getReductionIntervalDays', () => {
+    it('should prefer the strategy interval over the listing', () => {
+      expect(getReductionIntervalDays({ reduction_interval: 3 }, { interval_days: 2 })).toBe(2);
+      expect(getReductionIntervalDays({ reduction_interval: 3 }, { frequency_days: 4 })).toBe(4);
+      expect(getReductionIntervalDays({ reduction_interval: 3 })).toBe(3);
+    });
+
+    it('should fall back to 7 days', () => {
+      expect(getReductionIntervalDays({})).toBe(7);
+      expect(getReductionIntervalDays({ reduction_interval: -1 })).toBe(7);
+    });
+  });
+
+  describe('price floor', () => {
+    it('should use the higher of minimum_price and profit_floor_price', () => {
+      expect(getEffectiveMinimumPrice({ minimum_price: 20, profit_floor_price: 25 })).toBe(25);
+      expect(getMinimumPriceSource({ minimum_price: 20, profit_floor_price: 25 })).toBe('profit_floor');
+      expect(getEffectiveMinimumPrice({ minimum_price: 30, profit_floor_price: 25 })).toBe(30);
+      expect(getMinimumPriceSource({ minimum_price: 30, profit_floor_price: 25 })).toBe('minimum_price');
+    });
+
+    it('should default to $0.99 when neither is set', () => {
+      expect(getEffectiveMinimumPrice({ minimum_price: 0 })).toBe(MINIMUM_PRICE_FLOOR);
+      expect(getMinimumPriceSource({})).toBe('default');
+    });
+  });
+
+  describe('isDueForReduction', () => {
+    it('should be due once the interval has passed', () => {
+      expect(isDueForReduction(activeListing(), { now: NOW })).toBe(true);
+    });
+
+    it('should wait for the interval since the last reduction or recovery', () => {
+      expect(isDueForReduction(activeListing({
+        last_price_reduction: new Date(NOW.getTime() - 2 * DAY_MS).toISOString()
+      }), { now: NOW })).toBe(false);
+      expect(isDueForReduction(activeListing({
+        last_price_recovery: new Date(NOW.getTime() - 1 * DAY_MS).toISOString()
+      }), { now: NOW })).toBe(false);
+    });
+
+    it('should skip disabled, inactive and floored listings', () => {
+      expect(isDueForReduction(activeListing({ enable_auto_reduction: false }), { now: NOW })).toBe(false);
+      expect(isDueForReduction(activeListing({ listing_status: 'Ended' }), { now: NOW })).toBe(false);
+      expect(isDueForReduction(activeListing({ current_price: 50 }), { now: NOW })).toBe(false);
+    });
+
+    it('should hold the price when velocity says pause', () => {
+      expect(isDueForReduction(activeListing(), { now: NOW, velocity: { action: 'pause' } })).toBe(false);
+    });
+  });
+
+  describe('calculateNewPrice', () => {
+    it('should apply the listing fallback percentage without a strategy', () => {
+      const result = calculateNewPrice(activeListing({ reduction_percentage: 10 }), null, NOW);
+      expect(result).toMatchObject({ newPrice: 90, reductionType: 'percentage', reductionApplied: 10 });
+    });
+
+    it('should default to 5% without a strategy or listing percentage', () => {
+      expect(calculateNewPrice(activeListing(), null, NOW).newPrice).toBe(95);
+    });
+
+    it('should clamp to the floor', () => {
+      const result = calculateNewPrice(activeListing({ current_price: 52 }), { name: 'Big', reduction_type: 'dollar', reduction_amount: 10 }, NOW);
+      expect(result).toMatchObject({ newPrice: 50, reductionApplied: 2 });
+    });
+
+    it('should skip listings at or below the floor', () => {
+      const result = calculateNewPrice(activeListing({ current_price: 50 }), null, NOW);
+      expect(result).toMatchObject({ newPrice: 50, skipped: true, reason: 'At or below minimum price' });
+    });
+
+    it('should reduce with legacy fixed_percentage strategies', () => {
+      const strategy = { name: 'Legacy', strategy_type: 'fixed_percentage', reduction_percentage: 10 };
+      const result = calculateNewPrice(activeListing(), strategy, NOW);
+      expect(result.skipped).toBeUndefined();
+      expect(result).toMatchObject({ newPrice: 90, reductionType: 'percentage' });
+    });
+
+    it('should skip invalid strategies', () => {
+      const result = calculateNewPrice(activeListing(), { name: 'Bad', reduction_type: 'dollar', reduction_amount: 0 }, NOW);
+      expect(result.skipped).toBe(true);
+      expect(result.reason).toMatch(/^Invalid strategy/);
+    });
+
+    it('should round to cents', () => {
+      const result = calculateNewPrice(activeListing({ current_price: 99.99 }), { name: 'Pct', reduction_type: 'percentage', reduction_percentage: 3 }, NOW);
+      expect(result.newPrice).toBe(96.99);
+    });
+  });
+
+  describe('simulateReductionTimeline', () => {
+    it('should step down one interval at a time until the floor', () => {
+      const forecast = simulateReductionTimeline(
+        activeListing({ current_price: 60 }),
+        { name: 'Dollar', reduction_type: 'dollar', reduction_amount: 4, interval_days: 2 },
+        { now: NOW }
+      );
+
+      expect(forecast.timeline.map(step => step.price)).toEqual([56, 52, 50]);
+      expect(forecast.reachesMinimum).toBe(true);
+      expect(forecast.finalPrice).toBe(50);
+    });
+  });
+
+  describe('recordPriceReduction', () => {
+    const mockSupabase = (logError) => {
+      const insert = jest.fn().mockResolvedValue({ error: logError });
+      const single = jest.fn().mockResolvedValue({ data: { id: 'listing-1', current_price: 90 }, error: null });
+      const listings = { update: jest.fn(() => listings), eq: jest.fn(() => listings), select: jest.fn(() => listings), single };
+      return { insert, from: jest.fn(table => (table === 'listings' ? listings : { insert })) };
+    };
+
+    it('should write the log row after updating the listing', async () => {
+      const supabase = mockSupabase(null);
+      const updated = await recordPriceReduction(supabase, activeListing(), { newPrice: 90, reductionApplied: 10, reductionType: 'percentage' });
+
+      expect(updated).toEqual({ id: 'listing-1', current_price: 90 });
+      expect(supabase.insert).toHaveBeenCalledWith(expect.objectContaining({ listing_id: 'listing-1', reduced_price: 90 }));
+      expect(console.error).not.toHaveBeenCalled();
+    });
+
+    it('should report a failed log insert without failing the reduction', async () => {
+      const supabase = mockSupabase({ message: 'permission denied' });
+      const updated = await recordPriceReduction(supabase, activeListing(), { newPrice: 90, reductionApplied: 10, reductionType: 'percentage' });
+
+      expect(updated).toEqual({ id: 'listing-1', current_price: 90 });
+      expect(console.error).toHaveBeenCalledWith('Failed to log price reduction for listing listing-1:', 'permission denied');
+    });
+  });
+});
@@ -0,0 +1,106 @@
+const {
+  getStrategyTypeKey,
+  validateStrategy,
+  calculateReduction
+} = require('../../utils/strategy-types');
+
+describe('strategy-types', () => {
+  describe('getStrategyTypeKey', () => {
+    it('should default to percentage without a strategy or type', () => {
+      expect(getStrategyTypeKey(null)).toBe('percentage');
+      expect(getStrategyTypeKey({})).toBe('percentage');
+    });
+
+    it('should prefer reduction_type over strategy_type', () => {
+      expect(getStrategyTypeKey({ reduction_type: 'dollar', strategy_type: 'percentage' })).toBe('dollar');
+      expect(getStrategyTypeKey({ strategy_type: 'stepped' })).toBe('stepped');
+    });
+
+    it('should treat legacy enum values as percentage', () => {
+      expect(getStrategyTypeKey({ strategy_type: 'fixed_percentage' })).toBe('percentage');
+      expect(getStrategyTypeKey({ reduction_type: 'time_based' })).toBe('percentage');
+      expect(getStrategyTypeKey({ strategy_type: 'market_based' })).toBe('percentage');
+    });
+  });
+
+  describe('validateStrategy', () => {
+    it('should accept a legacy fixed_percentage strategy', () => {
+      expect(validateStrategy({ strategy_type: 'fixed_percentage', reduction_percentage: 10 })).toEqual({ valid: true });
+    });
+
+    it('should reject percentages above 50', () => {
+      const result = validateStrategy({ reduction_type: 'percentage', reduction_amount: 60 });
+      expect(result.valid).toBe(false);
+      expect(result.error).toMatch(/cannot exceed 50%/);
+    });
+
+    it('should reject a dollar strategy without an amount', () => {
+      expect(validateStrategy({ reduction_type: 'dollar' }).valid).toBe(false);
+    });
+
+    it('should reject a stepped schedule with an invalid step', () => {
+      const result = validateStrategy({
+        reduction_type: 'stepped',
+        parameters: { steps: [{ reduction_type: 'percentage', amount: 10 }, { reduction_type: 'fixed', amount: 2 }] }
+      });
+      expect(result).toEqual({ valid: false, error: 'Step 2 must be a percentage or dollar reduction' });
+    });
+
+    it('should reject exponential decay outside 0-100', () => {
+      expect(validateStrategy({ reduction_type: 'exponential_decay', parameters: { decay_percentage: 100 } }).valid).toBe(false);
+    });
+
+    it('should read parameters stored as a JSON string', () => {
+      const result = validateStrategy({
+        reduction_type: 'target_date',
+        parameters: JSON.stringify({ target_price: 20, target_date: '2026-12-01' })
+      });
+      expect(result).toEqual({ valid: true });
+    });
+  });
+
+  describe('calculateReduction', () => {
+    const context = { listing: {}, currentPrice: 100, minimumPrice: 20, intervalHours: 24, now: new Date('2026-01-01T00:00:00Z') };
+
+    it('should take a percentage of the current price', () => {
+      const result = calculateReduction({ reduction_type: 'percentage', reduction_percentage: 10 }, context);
+      expect(result).toMatchObject({ reductionType: 'percentage', reduction: 10, reductionUnit: 'percentage' });
+    });
+
+    it('should take the UAT reduction_amount column for percentages', () => {
+      expect(calculateReduction({ reduction_type: 'percentage', reduction_amount: 4 }, context).reduction).toBe(4);
+    });
+
+    it('should take a fixed dollar amount', () => {
+      const result = calculateReduction({ reduction_type: 'dollar', reduction_amount: 3 }, context);
+      expect(result).toMatchObject({ reductionType: 'dollar', reduction: 3, reductionUnit: 'dollar' });
+    });
+
+    it('should pick the step by total reductions and repeat the last one', () => {
+      const strategy = {
+        reduction_type: 'stepped',
+        parameters: { steps: [{ reduction_type: 'percentage', amount: 10 }, { reduction_type: 'dollar', amount: 2 }] }
+      };
+      expect(calculateReduction(strategy, { ...context, listing: { total_reductions: 0 } })).toMatchObject({ reduction: 10, step: 1 });
+      expect(calculateReduction(strategy, { ...context, listing: { total_reductions: 5 } })).toMatchObject({ reduction: 2, step: 2 });
+    });
+
+    it('should remove a share of the gap to the floor, at least min_step', () => {
+      const strategy = { reduction_type: 'exponential_decay', parameters: { decay_percentage: 25, min_step: 1 } };
+      expect(calculateReduction(strategy, context).reduction).toBe(20);
+      expect(calculateReduction(strategy, { ...context, currentPrice: 22 }).reduction).toBe(1);
+    });
+
+    it('should spread the gap to the target over the intervals left', () => {
+      const strategy = { reduction_type: 'target_date', parameters: { target_price: 60, target_date: '2026-01-05T00:00:00Z' } };
+      expect(calculateReduction(strategy, context)).toMatchObject({ reduction: 10, stepsLeft: 4 });
+    });
+
+    it('should undercut the lowest competitor', () => {
+      const strategy = { reduction_type: 'competitor_anchored', parameters: { anchor: 'lowest', undercut_cents: 50 } };
+      const result = calculateReduction(strategy, { ...context, marketAnalysis: { marketLowestPrice: 80 } });
+      expect(result.anchorPrice).toBe(79.5);
+      expect(result.reduction).toBeCloseTo(20.5);
+    });
+  });
+});
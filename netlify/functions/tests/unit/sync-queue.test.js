@@ -0,0 +1,104 @@
+const { failSyncJob, recoverExpiredSyncJobs, SYNC_CONFIG } = require('../../utils/sync-queue');
+
+const NOW = new Date('2026-10-19T12:00:00Z');
+
+// Records sync_queue updates and sync_errors inserts; an update only matches
+// while the job's locked_by is the one the caller filters on
+const fakeSupabase = (jobs) => {
+  const calls = { updates: [], deadLetters: [] };
+  const supabase = {
+    calls,
+    from(table) {
+      const filters = {};
+      let update = null;
+      const query = {
+        select: () => query,
+        eq: (column, value) => { filters[column] = value; return query; },
+        not: () => query,
+        lt: () => query,
+        order: () => query,
+        limit: () => query,
+        update: (values) => { update = values; return query; },
+        insert: async (row) => {
+          calls.deadLetters.push({ table, ...row });
+          return { error: null };
+        },
+        then: (resolve, reject) => {
+          let data;
+          if (update) {
+            const job = jobs.find(j => j.id === filters.id && j.locked_by === filters.locked_by);
+            if (job) {
+              calls.updates.push({ id: job.id, ...update });
+              Object.assign(job, update);
+            }
+            data = job ? [{ id: job.id }] : [];
+          } else {
+            data = jobs.filter(j => j.status === 'processing');
+          }
+          return Promise.resolve({ data, error: null }).then(resolve, reject);
+        }
+      };
+      return query;
+    }
+  };
+  return supabase;
+};
+
+const expiredJob = (overrides = {}) => ({
+  id: 'job-1',
+  user_id: 'user-1',
+  job_type: 'full_sync',
+  payload: {},
+  status: 'processing',
+  locked_by: 'sync-service:crashed',
+  locked_until: new Date(NOW.getTime() - 60 * 1000).toISOString(),
+  attempts: 1,
+  max_attempts: 3,
+  ...overrides
+});
+
+describe('sync-queue', () => {
+  beforeEach(() => {
+    jest.useFakeTimers({ now: NOW });
+    jest.spyOn(Math, 'random').mockReturnValue(0);
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  describe('recoverExpiredSyncJobs', () => {
+    it('should back off an expired job that has attempts left', async () => {
+      const supabase = fakeSupabase([expiredJob({ attempts: 2 })]);
+
+      await expect(recoverExpiredSyncJobs(supabase)).resolves.toEqual({ retried: 1, dead: 0 });
+
+      const [update] = supabase.calls.updates;
+      expect(update).toMatchObject({ status: 'pending', locked_by: null, locked_until: null });
+      expect(new Date(update.scheduled_for).getTime()).toBe(NOW.getTime() + 2 * SYNC_CONFIG.RETRY_BASE_MS);
+      expect(supabase.calls.deadLetters).toEqual([]);
+    });
+
+    it('should dead-letter an expired job whose attempts are used up', async () => {
+      const supabase = fakeSupabase([expiredJob({ attempts: 3 })]);
+
+      await expect(recoverExpiredSyncJobs(supabase)).resolves.toEqual({ retried: 0, dead: 1 });
+
+      expect(supabase.calls.updates[0]).toMatchObject({ status: 'dead' });
+      expect(supabase.calls.deadLetters).toEqual([
+        expect.objectContaining({ table: 'sync_errors', job_id: 'job-1', attempts: 3 })
+      ]);
+    });
+  });
+
+  describe('failSyncJob', () => {
+    it('should leave a job alone once another worker holds it', async () => {
+      const supabase = fakeSupabase([expiredJob({ attempts: 3, locked_by: 'sync-service:other' })]);
+
+      await expect(failSyncJob(supabase, expiredJob({ attempts: 3 }), 'sync-service:crashed', 'boom'))
+        .resolves.toBe('lost');
+      expect(supabase.calls.deadLetters).toEqual([]);
+    });
+  });
+});
@@ -1,5 +1,10 @@
 const { Handler } = require('@netlify/functions');
 const { createClient } = require('@supabase/supabase-js');
+const { getReductionIntervalDays, getNextReductionDate } = require('./utils/pricing-core');
+const { getRequestId, getAuditSource, getActorFromEvent, diffValues, recordAudit } = require('./utils/audit-log');
+const { getAccessRole, hasRole, listAccessibleUserIds } = require('./utils/organizations');
+
+const AUDITED_FIELDS = ['price_reduction_enabled', 'enable_auto_reduction', 'next_price_reduction'];
 
 // Initialize Supabase client
 const supabase = createClient(
@@ -38,29 +43,31 @@ const handler = async (event, context) => {
   }
 
   try {
-    // Parse request body
-    const requestBody = JSON.parse(event.body || '{}');
-    const { itemId, userId, enabled } = requestBody;
-
-    // Validate required parameters
-    if (!itemId) {
+    const actor = await getActorFromEvent(supabase, event);
+    if (!actor) {
       return {
-        statusCode: 400,
+        statusCode: 401,
         headers,
         body: JSON.stringify({
-          error: 'Missing required parameter',
-          message: 'itemId is required'
+          error: 'Authentication required',
+          message: 'Please log in again'
         })
       };
     }
 
-    if (!userId) {
+    // Parse request body; userId is optional and only picks the owner when
+    // teammates list the same eBay item
+    const requestBody = JSON.parse(event.body || '{}');
+    const { itemId, userId, enabled } = requestBody;
+
+    // Validate required parameters
+    if (!itemId) {
       return {
         statusCode: 400,
         headers,
         body: JSON.stringify({
           error: 'Missing required parameter',
-          message: 'userId is required'
+          message: 'itemId is required'
         })
       };
     }
@@ -76,15 +83,17 @@ const handler = async (event, context) => {
       };
     }
 
-    // Check if listing exists and belongs to user
-    const { data: listing, error: fetchError } = await supabase
+    // Own listing, or a teammate's through an organization
+    const ownerIds = await listAccessibleUserIds(supabase, actor.id);
+    const { data: matches, error: fetchError } = await supabase
       .from('listings')
       .select('*')
       .eq('ebay_item_id', itemId)
-      .eq('user_id', userId)
-      .single();
+      .in('user_id', ownerIds);
+
+    const listing = (matches || []).find(l => l.user_id === (userId || actor.id)) || (matches || [])[0];
 
-    if (fetchError) {
+    if (fetchError || !listing) {
       console.error('Error fetching listing:', fetchError);
       return {
         statusCode: 404,
@@ -96,19 +105,31 @@ const handler = async (event, context) => {
       };
     }
 
+    if (!hasRole(await getAccessRole(supabase, actor.id, listing.user_id), 'manager')) {
+      return {
+        statusCode: 403,
+        headers,
+        body: JSON.stringify({
+          error: 'Forbidden',
+          message: 'Viewers cannot change auto-reduction'
+        })
+      };
+    }
+
     // Update the price reduction setting
     // When enabling: calculate next_price_reduction based on reduction_interval
     // When disabling: clear next_price_reduction
+    // enable_auto_reduction is the flag the pricing core reads
     const updateData = {
       price_reduction_enabled: enabled,
+      enable_auto_reduction: enabled,
       updated_at: new Date().toISOString()
     };
 
     if (enabled) {
-      // Enable: Calculate next reduction date based on reduction_interval (default 7 days)
-      const nextReduction = new Date();
-      const interval = listing.reduction_interval || 7;
-      nextReduction.setDate(nextReduction.getDate() + interval);
+      // Enable: Calculate next reduction date based on reduction_interval (days, default 7)
+      const nextReduction = getNextReductionDate(listing);
+      const interval = getReductionIntervalDays(listing);
       updateData.next_price_reduction = nextReduction.toISOString();
       console.log(`Enabling price reduction for ${listing.title} - next reduction: ${nextReduction.toISOString()} (${interval} days from now)`);
     } else {
@@ -120,8 +141,7 @@ const handler = async (event, context) => {
     const { data: updatedListing, error: updateError } = await supabase
       .from('listings')
       .update(updateData)
-      .eq('ebay_item_id', itemId)
-      .eq('user_id', userId)
+      .eq('id', listing.id)
       .select()
       .single();
 
@@ -137,9 +157,22 @@ const handler = async (event, context) => {
       };
     }
 
-    // Log the change (price_history table removed)
     console.log(`Price reduction ${enabled ? 'enabled' : 'disabled'} for listing ${listing.id} (${listing.title})`);
 
+    const { before, after } = diffValues(listing, updatedListing, AUDITED_FIELDS);
+    await recordAudit(supabase, {
+      userId: listing.user_id,
+      actorId: actor.id,
+      source: getAuditSource(event),
+      action: 'listing.auto_reduction_toggled',
+      entityType: 'listing',
+      entityId: listing.id,
+      before,
+      after,
+      requestId: getRequestId(event, context),
+      metadata: { title: listing.title, ebayItemId: itemId, enabled }
+    });
+
     return {
       statusCode: 200,
       headers,
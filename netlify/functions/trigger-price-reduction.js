@@ -6,9 +6,17 @@
  * 
  * POST /trigger-price-reduction
  * Body: { "testSecret": "uat-test-2026", "dryRun": true/false }
+ * Live runs are refused (and logged) while the emergency stop is on.
  */
 
 const https = require('https');
+const { createClient } = require('@supabase/supabase-js');
+const { getGlobalHalt, recordSkippedRun } = require('./utils/automation-guard');
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
 
 function httpsPost(url, data) {
   return new Promise((resolve, reject) => {
@@ -76,6 +84,28 @@ exports.handler = async (event, context) => {
     const dryRun = body.dryRun !== false; // Default to dry run for safety
     const limit = body.limit || null; // Optional limit for testing
     
+    if (!dryRun) {
+      const halt = await getGlobalHalt(supabase);
+      if (halt.halted) {
+        await recordSkippedRun(supabase, {
+          job: 'trigger-price-reduction',
+          reason: 'global_halt',
+          details: { haltReason: halt.reason, limit }
+        });
+        return {
+          statusCode: 200,
+          headers,
+          body: JSON.stringify({
+            triggered: false,
+            skipped: true,
+            reason: 'global_halt',
+            message: halt.reason ? `Price writes are halted: ${halt.reason}` : 'Price writes are halted',
+            success: true
+          })
+        };
+      }
+    }
+    
     // Get the site URL from environment
     const siteUrl = process.env.URL || 'https://dainty-horse-49c336.netlify.app';
     const functionUrl = `${siteUrl}/.netlify/functions/process-price-reductions`;
@@ -1,6 +1,9 @@
 const { Handler } = require('@netlify/functions');
 const { EbayApiClient } = require('./utils/ebay-api-client');
 const { createClient } = require('@supabase/supabase-js');
+const { getEffectiveMinimumPrice, getMinimumPriceSource } = require('./utils/pricing-core');
+const { getAccessRole, hasRole, listAccessibleUserIds } = require('./utils/organizations');
+const { recordPricePush } = require('./utils/external-price');
 
 const handler = async (event, context) => {
   // Set CORS headers
@@ -96,8 +99,45 @@ const handler = async (event, context) => {
       };
     }
 
-    // Initialize eBay client
-    const ebayClient = new EbayApiClient(user.id);
+    // The tracked listing, own or a teammate's (own first)
+    const accessibleUserIds = await listAccessibleUserIds(supabase, user.id);
+    const { data: matches } = await supabase
+      .from('listings')
+      .select('id, user_id, ebay_account_id, minimum_price, profit_floor_price')
+      .in('user_id', accessibleUserIds)
+      .eq('ebay_item_id', itemId);
+    const listing = (matches || []).find(l => l.user_id === user.id) || (matches || [])[0] || null;
+
+    if (listing && !hasRole(await getAccessRole(supabase, user.id, listing.user_id), 'manager')) {
+      return {
+        statusCode: 403,
+        headers,
+        body: JSON.stringify({
+          success: false,
+          error: 'Forbidden',
+          message: 'Viewers cannot change prices'
+        })
+      };
+    }
+
+    // Never push a tracked listing below its floor (minimum_price or cost-derived profit floor)
+
+    if (listing && getMinimumPriceSource(listing) !== 'default' && parseFloat(newPrice) < getEffectiveMinimumPrice(listing)) {
+      return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify({
+          success: false,
+          error: 'Price below floor',
+          message: `newPrice must be at least $${getEffectiveMinimumPrice(listing).toFixed(2)} (${getMinimumPriceSource(listing) === 'profit_floor' ? 'profit floor' : 'minimum price'})`
+        })
+      };
+    }
+
+    // Initialize eBay client (the listing owner's account for a teammate's listing)
+    const ebayClient = listing
+      ? new EbayApiClient(listing.user_id, listing.ebay_account_id)
+      : new EbayApiClient(user.id);
 
     try {
       await ebayClient.initialize();
@@ -120,6 +160,11 @@ const handler = async (event, context) => {
     // Format price properly (2 decimal places)
     const formattedPrice = parseFloat(newPrice).toFixed(2);
 
+    // Recorded first so the sync that reads it back does not see a seller edit
+    if (listing) {
+      await recordPricePush(supabase, listing, formattedPrice);
+    }
+
     // Update item price using ReviseItem API
     const response = await ebayClient.updateItemPrice(itemId, formattedPrice);
 
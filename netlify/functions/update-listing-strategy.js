@@ -1,5 +1,10 @@
 const { Handler } = require('@netlify/functions');
 const { createClient } = require('@supabase/supabase-js');
+const { getReductionIntervalDays, getNextReductionDate } = require('./utils/pricing-core');
+const { getRequestId, getAuditSource, getActorFromEvent, diffValues, recordAudit } = require('./utils/audit-log');
+const { getListingAccess, hasRole } = require('./utils/organizations');
+
+const AUDITED_FIELDS = ['strategy_id', 'strategy_source', 'strategy_rule_id', 'reduction_interval', 'next_price_reduction'];
 
 // Initialize Supabase client
 const supabase = createClient(
@@ -38,45 +43,46 @@ const handler = async (event, context) => {
   }
 
   try {
-    // Parse request body
-    const requestBody = JSON.parse(event.body || '{}');
-    const { listingId, strategyId, userId } = requestBody;
-
-    // Validate required parameters
-    if (!listingId) {
+    const actor = await getActorFromEvent(supabase, event);
+    if (!actor) {
       return {
-        statusCode: 400,
+        statusCode: 401,
         headers,
         body: JSON.stringify({
-          error: 'Missing required parameter',
-          message: 'listingId is required'
+          error: 'Authentication required',
+          message: 'Please log in again'
         })
       };
     }
 
-    if (!strategyId) {
+    // Parse request body (userId is no longer needed: the listing's owner is used)
+    const requestBody = JSON.parse(event.body || '{}');
+    const { listingId, strategyId } = requestBody;
+
+    // Validate required parameters
+    if (!listingId) {
       return {
         statusCode: 400,
         headers,
         body: JSON.stringify({
           error: 'Missing required parameter',
-          message: 'strategyId is required'
+          message: 'listingId is required'
         })
       };
     }
 
-    if (!userId) {
+    if (!strategyId) {
       return {
         statusCode: 400,
         headers,
         body: JSON.stringify({
           error: 'Missing required parameter',
-          message: 'userId is required'
+          message: 'strategyId is required'
         })
       };
     }
 
-    // Get the strategy details to find frequency_days
+    // Get the strategy details to find its interval (interval_days / frequency_days)
     const { data: strategy, error: strategyError } = await supabase
       .from('strategies')
       .select('*')
@@ -95,16 +101,10 @@ const handler = async (event, context) => {
       };
     }
 
-    // Check if listing exists and belongs to user
-    const { data: listing, error: fetchError } = await supabase
-      .from('listings')
-      .select('*')
-      .eq('id', listingId)
-      .eq('user_id', userId)
-      .single();
+    // Own listing, or a teammate's through an organization
+    const { listing, role } = await getListingAccess(supabase, actor.id, listingId);
 
-    if (fetchError || !listing) {
-      console.error('Error fetching listing:', fetchError);
+    if (!listing) {
       return {
         statusCode: 404,
         headers,
@@ -115,30 +115,44 @@ const handler = async (event, context) => {
       };
     }
 
+    if (!hasRole(role, 'manager')) {
+      return {
+        statusCode: 403,
+        headers,
+        body: JSON.stringify({
+          error: 'Forbidden',
+          message: 'Viewers cannot change listing strategies'
+        })
+      };
+    }
+
     // Calculate new next_price_reduction based on strategy frequency
-    const nextReduction = new Date();
-    const interval = strategy.frequency_days || 7;
-    nextReduction.setDate(nextReduction.getDate() + interval);
+    const nextReduction = getNextReductionDate(listing, strategy);
+    const interval = getReductionIntervalDays(listing, strategy);
 
     // Update the listing with new strategy, interval, and next_price_reduction date
+    // A hand-picked strategy is a manual override: assignment rules leave it alone
     const updateData = {
       strategy_id: strategyId,
       reduction_strategy: strategyId, // Also update old field for compatibility
+      strategy_source: 'manual',
+      strategy_rule_id: null,
+      strategy_assigned_at: new Date().toISOString(),
       reduction_interval: interval,
-      next_price_reduction: listing.price_reduction_enabled ? nextReduction.toISOString() : listing.next_price_reduction,
+      next_price_reduction: listing.enable_auto_reduction || listing.price_reduction_enabled ? nextReduction.toISOString() : listing.next_price_reduction,
       updated_at: new Date().toISOString()
     };
 
     console.log(`Updating strategy for ${listing.title}:`);
     console.log(`- New strategy: ${strategy.name}`);
     console.log(`- Interval: ${interval} days`);
-    console.log(`- Next reduction: ${listing.price_reduction_enabled ? nextReduction.toISOString() : 'N/A (disabled)'}`);
+    console.log(`- Next reduction: ${listing.enable_auto_reduction || listing.price_reduction_enabled ? nextReduction.toISOString() : 'N/A (disabled)'}`);
 
     const { data: updatedListing, error: updateError } = await supabase
       .from('listings')
       .update(updateData)
       .eq('id', listingId)
-      .eq('user_id', userId)
+      .eq('user_id', listing.user_id)
       .select()
       .single();
 
@@ -156,6 +170,20 @@ const handler = async (event, context) => {
 
     console.log(`✅ Strategy updated for listing ${listing.id} (${listing.title})`);
 
+    const { before, after } = diffValues(listing, updatedListing, AUDITED_FIELDS);
+    await recordAudit(supabase, {
+      userId: listing.user_id,
+      actorId: actor.id,
+      source: getAuditSource(event),
+      action: 'listing.strategy_changed',
+      entityType: 'listing',
+      entityId: listing.id,
+      before,
+      after,
+      requestId: getRequestId(event, context),
+      metadata: { title: listing.title, strategyName: strategy.name }
+    });
+
     return {
       statusCode: 200,
       headers,
@@ -166,6 +194,7 @@ const handler = async (event, context) => {
           id: updatedListing.id,
           title: updatedListing.title,
           strategyId: updatedListing.strategy_id,
+          strategySource: updatedListing.strategy_source,
           reductionInterval: updatedListing.reduction_interval,
           nextPriceReduction: updatedListing.next_price_reduction,
           updatedAt: updatedListing.updated_at
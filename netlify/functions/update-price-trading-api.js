@@ -11,6 +11,8 @@ const fetch = require('node-fetch');
 const { createClient } = require('@supabase/supabase-js');
 const { getCorsHeaders } = require('./utils/cors');
 const { getValidAccessToken } = require('./utils/ebay-oauth');
+const { getEffectiveMinimumPrice, getMinimumPriceSource } = require('./utils/pricing-core');
+const { getListingAccess, hasRole } = require('./utils/organizations');
 
 const supabase = createClient(
   process.env.SUPABASE_URL,
@@ -177,15 +179,10 @@ exports.handler = async (event, context) => {
       };
     }
 
-    // Get the listing from database
-    const { data: listing, error: fetchError } = await supabase
-      .from('listings')
-      .select('*')
-      .eq('id', listingId)
-      .eq('user_id', user.id)
-      .single();
+    // Get the listing from database (own, or a teammate's through an organization)
+    const { listing, role } = await getListingAccess(supabase, user.id, listingId);
 
-    if (fetchError || !listing) {
+    if (!listing) {
       return {
         statusCode: 404,
         headers,
@@ -193,6 +190,14 @@ exports.handler = async (event, context) => {
       };
     }
 
+    if (!hasRole(role, 'manager')) {
+      return {
+        statusCode: 403,
+        headers,
+        body: JSON.stringify({ error: 'Viewers cannot change prices' })
+      };
+    }
+
     if (!listing.ebay_item_id) {
       return {
         statusCode: 400,
@@ -212,21 +217,24 @@ exports.handler = async (event, context) => {
       };
     }
 
-    // Check minimum price
-    if (listing.minimum_price && newPrice < listing.minimum_price) {
+    // Check minimum price (including the cost-derived profit floor)
+    const minimumPrice = getEffectiveMinimumPrice(listing);
+    if (getMinimumPriceSource(listing) !== 'default' && newPrice < minimumPrice) {
+      const isProfitFloor = getMinimumPriceSource(listing) === 'profit_floor';
       return {
         statusCode: 400,
         headers,
         body: JSON.stringify({ 
-          error: 'New price is below minimum price',
-          minimumPrice: listing.minimum_price,
+          error: isProfitFloor ? 'New price is below the profit floor (cost + fees + margin)' : 'New price is below minimum price',
+          minimumPrice,
+          floorSource: getMinimumPriceSource(listing),
           requestedPrice: newPrice
         })
       };
     }
 
     // Get valid eBay access token
-    const accessToken = await getValidAccessToken(supabase, user.id);
+    const accessToken = await getValidAccessToken(supabase, listing.user_id, listing.ebay_account_id);
     console.log('✅ Got valid eBay access token');
 
     // Update price on eBay
@@ -252,7 +260,7 @@ exports.handler = async (event, context) => {
     try {
       await supabase.from('price_reduction_log').insert({
         listing_id: listingId,
-        user_id: user.id,
+        user_id: listing.user_id,
         ebay_item_id: listing.ebay_item_id || listing.ebay_listing_id || 'unknown',
         sku: listing.ebay_sku,
         title: listing.title,
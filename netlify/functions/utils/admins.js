@@ -0,0 +1,31 @@
+/**
+ * Administrators
+ *
+ * ADMIN_EMAILS (comma-separated) lists who may change settings that apply to
+ * every seller: the emergency stop and the eBay fee tables. Unset means
+ * nobody: the check fails closed and logs the misconfiguration.
+ */
+
+function getAdminEmails() {
+  return (process.env.ADMIN_EMAILS || '')
+    .split(',')
+    .map(email => email.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+/**
+ * @param {Object} user - Supabase auth user
+ * @returns {boolean}
+ */
+function isAdministrator(user) {
+  const admins = getAdminEmails();
+  if (admins.length === 0) {
+    console.error('ADMIN_EMAILS is not set - administrator actions are disabled');
+    return false;
+  }
+  return admins.includes((user?.email || '').toLowerCase());
+}
+
+module.exports = {
+  isAdministrator
+};
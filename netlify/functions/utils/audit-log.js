@@ -0,0 +1,147 @@
+/**
+ * Audit Log
+ *
+ * Appends to audit_log (add-audit-log.sql) for state-changing actions: who
+ * (actor), from where (source), what changed (before/after of the changed
+ * fields only) and the request id. Recording never fails the action itself;
+ * a failed insert is logged and skipped, like recordListingChanges.
+ */
+
+const crypto = require('crypto');
+
+const AUDIT_SOURCES = ['ui', 'scheduler', 'api'];
+
+// Never written to before/after values
+const SECRET_FIELD_PATTERN = /token|secret|password|cert_id|encrypted/i;
+
+function getHeader(event, name) {
+  const headers = event?.headers || {};
+  return headers[name] || headers[name.toLowerCase()] || null;
+}
+
+/**
+ * Request id for grouping rows: caller-supplied x-request-id, else Netlify's
+ * x-nf-request-id, else the Lambda request id, else a fresh uuid
+ */
+function getRequestId(event, context) {
+  return getHeader(event, 'x-request-id') ||
+    getHeader(event, 'x-nf-request-id') ||
+    context?.awsRequestId ||
+    crypto.randomUUID();
+}
+
+/**
+ * Where an HTTP request came from: browsers send Origin/Referer, scripts and
+ * integrations usually don't. Scheduled jobs pass 'scheduler' explicitly.
+ */
+function getAuditSource(event) {
+  return getHeader(event, 'origin') || getHeader(event, 'referer') ? 'ui' : 'api';
+}
+
+function redact(values) {
+  if (!values || typeof values !== 'object') return values ?? null;
+  const result = {};
+  for (const [key, value] of Object.entries(values)) {
+    result[key] = SECRET_FIELD_PATTERN.test(key) ? '[redacted]' : value;
+  }
+  return result;
+}
+
+/**
+ * Only the fields that differ between two objects
+ * @param {Array<string>|null} fields - Fields to compare (default: keys of both)
+ * @returns {Object} { before, after } with just the changed fields
+ */
+function diffValues(before, after, fields = null) {
+  const keys = fields || [...new Set([...Object.keys(before || {}), ...Object.keys(after || {})])];
+  const changedBefore = {};
+  const changedAfter = {};
+
+  for (const key of keys) {
+    const from = before?.[key] ?? null;
+    const to = after?.[key] ?? null;
+    if (JSON.stringify(from) !== JSON.stringify(to)) {
+      changedBefore[key] = from;
+      changedAfter[key] = to;
+    }
+  }
+
+  return { before: changedBefore, after: changedAfter };
+}
+
+/**
+ * Append one audit entry
+ * @param {Object} entry
+ * @param {string} entry.userId - Owner of the changed data
+ * @param {string|null} entry.actorId - Signed-in user (null for the scheduler)
+ * @param {string} entry.source - 'ui' | 'scheduler' | 'api'
+ * @param {string} entry.action - e.g. 'listing.strategy_changed'
+ * @param {string} entry.entityType - e.g. 'listing', 'settings', 'credentials'
+ * @param {string|null} entry.entityId
+ * @param {Object|null} entry.before - Values before (secret fields are redacted)
+ * @param {Object|null} entry.after - Values after
+ * @param {string|null} entry.requestId
+ * @param {Object} entry.metadata - Extra context (titles, reasons)
+ * @returns {Promise<boolean>} Whether the entry was written
+ */
+async function recordAudit(supabase, {
+  userId,
+  actorId = null,
+  source = 'api',
+  action,
+  entityType,
+  entityId = null,
+  before = null,
+  after = null,
+  requestId = null,
+  metadata = {}
+}) {
+  if (!userId || !action || !entityType) {
+    console.warn('Audit entry skipped: userId, action and entityType are required');
+    return false;
+  }
+
+  const { error } = await supabase
+    .from('audit_log')
+    .insert({
+      user_id: userId,
+      actor_id: actorId,
+      source: AUDIT_SOURCES.includes(source) ? source : 'api',
+      action,
+      entity_type: entityType,
+      entity_id: entityId === null || entityId === undefined ? null : String(entityId),
+      before_values: redact(before),
+      after_values: redact(after),
+      request_id: requestId,
+      metadata: metadata || {},
+      created_at: new Date().toISOString()
+    });
+
+  if (error) {
+    console.warn(`Failed to record audit entry ${action}:`, error.message);
+    return false;
+  }
+
+  return true;
+}
+
+/**
+ * Signed-in user from the Authorization header, or null
+ * For functions that take userId in the body and don't require a session.
+ */
+async function getActorFromEvent(supabase, event) {
+  const authHeader = getHeader(event, 'authorization');
+  if (!authHeader?.startsWith('Bearer ')) return null;
+
+  const { data, error } = await supabase.auth.getUser(authHeader.replace('Bearer ', ''));
+  return error ? null : data?.user || null;
+}
+
+module.exports = {
+  AUDIT_SOURCES,
+  getRequestId,
+  getAuditSource,
+  getActorFromEvent,
+  diffValues,
+  recordAudit
+};
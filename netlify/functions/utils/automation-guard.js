@@ -0,0 +1,168 @@
+/**
+ * Automation Guard
+ *
+ * Two switches stop automated price writes (add-automation-halt.sql):
+ * - the global emergency stop: system_state 'price_writes_halted', set from
+ *   AdminSettings through the automation-controls function
+ * - per-seller vacation mode: users.vacation_mode
+ *
+ * Anything that writes prices to eBay on its own (the scheduled reducer, the
+ * manual trigger, sync re-asserts) or in bulk (bulk operations) checks them
+ * first and records what it skipped in automation_skips. Price changes a
+ * seller makes to one listing by hand are not blocked.
+ */
+
+const HALT_KEY = 'price_writes_halted';
+
+const SKIP_REASONS = {
+  global_halt: 'Price writes are halted (emergency stop)',
+  vacation_mode: 'Seller is in vacation mode'
+};
+
+/**
+ * Current global halt state
+ * A read error throws, so callers stop rather than write blind.
+ * @returns {Promise<{halted, reason, updatedBy, updatedAt}>}
+ */
+async function getGlobalHalt(supabase) {
+  const { data, error } = await supabase
+    .from('system_state')
+    .select('value, updated_at')
+    .eq('key', HALT_KEY)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Could not read the emergency stop: ${error.message}`);
+  }
+  if (!data) {
+    return { halted: false, reason: null, updatedBy: null, updatedAt: null };
+  }
+
+  let state = {};
+  try {
+    state = JSON.parse(data.value);
+  } catch (e) {
+    // Plain 'true' / 'false' set by hand
+    state = { halted: data.value === 'true' };
+  }
+
+  return {
+    halted: state.halted === true,
+    reason: state.reason || null,
+    updatedBy: state.updatedBy || null,
+    updatedAt: state.updatedAt || data.updated_at || null
+  };
+}
+
+/**
+ * Turn the emergency stop on or off
+ * @returns {Promise<Object>} The new state
+ */
+async function setGlobalHalt(supabase, { halted, reason = null, actorId = null }) {
+  const updatedAt = new Date().toISOString();
+  const state = {
+    halted: Boolean(halted),
+    reason: halted ? reason || null : null,
+    updatedBy: actorId,
+    updatedAt
+  };
+
+  const { error } = await supabase
+    .from('system_state')
+    .upsert({ key: HALT_KEY, value: JSON.stringify(state), updated_at: updatedAt }, { onConflict: 'key' });
+
+  if (error) throw error;
+  return state;
+}
+
+/**
+ * Sellers among userIds with vacation mode on
+ * @returns {Promise<Set<string>>}
+ */
+async function getVacationUserIds(supabase, userIds) {
+  if (!userIds || userIds.length === 0) return new Set();
+
+  const { data, error } = await supabase
+    .from('users')
+    .select('id, vacation_mode')
+    .in('id', userIds);
+
+  if (error) throw error;
+  return new Set((data || []).filter(u => u.vacation_mode).map(u => u.id));
+}
+
+/**
+ * Why automated price writes for a seller are blocked right now, or null
+ * @param {string|null} userId - Seller (null: only the global stop is checked)
+ * @returns {Promise<{reason, message}|null>}
+ */
+async function getPriceWriteBlock(supabase, userId = null) {
+  const halt = await getGlobalHalt(supabase);
+  if (halt.halted) {
+    return {
+      reason: 'global_halt',
+      message: halt.reason ? `${SKIP_REASONS.global_halt}: ${halt.reason}` : SKIP_REASONS.global_halt
+    };
+  }
+
+  if (userId && (await getVacationUserIds(supabase, [userId])).has(userId)) {
+    return { reason: 'vacation_mode', message: SKIP_REASONS.vacation_mode };
+  }
+
+  return null;
+}
+
+/**
+ * Log a skipped run or write; never throws
+ * @param {Object} entry - { job, reason, userId, details }
+ */
+async function recordSkippedRun(supabase, { job, reason, userId = null, details = {} }) {
+  console.log(`⏸️ ${job} skipped${userId ? ` for user ${userId}` : ''}: ${SKIP_REASONS[reason] || reason}`);
+
+  const { error } = await supabase
+    .from('automation_skips')
+    .insert({
+      user_id: userId,
+      job,
+      reason,
+      details: details || {},
+      created_at: new Date().toISOString()
+    });
+
+  if (error) {
+    console.warn(`Failed to record skipped ${job} run:`, error.message);
+  }
+}
+
+/**
+ * Wrap a pushPrice(listing, price) callback (reconcileExternalPrice's
+ * re-assert) so it checks both switches first. A blocked push is logged and
+ * throws, which makes the reconciler pause the listing instead.
+ */
+function guardPushPrice(supabase, userId, pushPrice, job) {
+  if (!pushPrice) return null;
+
+  return async (listing, price) => {
+    const block = await getPriceWriteBlock(supabase, userId);
+    if (block) {
+      await recordSkippedRun(supabase, {
+        job,
+        reason: block.reason,
+        userId,
+        details: { listingId: listing.id, price }
+      });
+      throw new Error(block.message);
+    }
+    return pushPrice(listing, price);
+  };
+}
+
+module.exports = {
+  SKIP_REASONS,
+  getGlobalHalt,
+  setGlobalHalt,
+  getVacationUserIds,
+  getPriceWriteBlock,
+  recordSkippedRun,
+  guardPushPrice
+};
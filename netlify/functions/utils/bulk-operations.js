@@ -0,0 +1,708 @@
+/**
+ * Bulk Operations
+ *
+ * One change applied to many listings (add-bulk-operations.sql). Creating an
+ * operation resolves its targets up front (an id list or a filter) and writes
+ * one bulk_operation_items row per listing; processing works through the
+ * pending items a chunk at a time under a lease, so the browser
+ * (bulk-operations.js) and the scheduled runner (scheduled-bulk-operations.js)
+ * can both drive it without doing an item twice.
+ *
+ * Operations:
+ *   set_strategy          { strategyId }  (null clears the strategy)
+ *   set_min_price_percent { percent }     minimum price = percent of the current price
+ *   toggle_reduction      { enabled }
+ *   end                   end on eBay and hide, like end-listing
+ *   hide                  hide without touching eBay
+ *   reduce_percent        { percent }     cut the price now, never below the floor
+ *
+ * Targets can belong to organization teammates; the actor needs manager
+ * access to the owner. Items the actor can only view are skipped.
+ *
+ * end and reduce_percent check the emergency stop and the owner's vacation
+ * mode (utils/automation-guard.js) before each eBay call; blocked items are
+ * skipped with result { blocked: true, reason }.
+ */
+
+const { getValidAccessToken } = require('./ebay-oauth');
+const { endListingOnEbay } = require('../end-listing');
+const { pushPriceToEbay } = require('../process-price-reductions');
+const { getAccessRole, hasRole, listAccessibleUserIds } = require('./organizations');
+const { diffValues, recordAudit } = require('./audit-log');
+const { getPriceWriteBlock, recordSkippedRun } = require('./automation-guard');
+const {
+  getReductionIntervalDays,
+  getNextReductionDate,
+  getEffectiveMinimumPrice,
+  getMinimumPriceSource,
+  recordPriceReduction
+} = require('./pricing-core');
+
+const BULK_OPERATIONS = {
+  set_strategy: { label: 'Set strategy', usesEbay: false },
+  set_min_price_percent: { label: 'Set minimum price', usesEbay: false },
+  toggle_reduction: { label: 'Toggle auto-reduction', usesEbay: false },
+  end: { label: 'End listings', usesEbay: true },
+  hide: { label: 'Hide listings', usesEbay: false },
+  reduce_percent: { label: 'Cut price', usesEbay: true }
+};
+
+const BULK_CONFIG = {
+  MAX_TARGETS: 5000,
+  CHUNK_SIZE: 25,            // Items loaded per chunk
+  EBAY_CHUNK_SIZE: 5,        // Smaller chunks when every item calls eBay
+  LEASE_SECONDS: 60,
+  TIME_BUDGET_MS: 7000,      // Per invocation; functions time out at 10s
+  INSERT_BATCH_SIZE: 500,
+  FILTER_PAGE_SIZE: 1000     // PostgREST returns at most 1000 rows per request
+};
+
+class BulkOperationError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'BulkOperationError';
+    this.statusCode = statusCode;
+  }
+}
+
+function parsePercent(value, { min, max }) {
+  const percent = parseFloat(value);
+  if (isNaN(percent) || percent < min || percent > max) {
+    throw new BulkOperationError(`percent must be between ${min} and ${max}`);
+  }
+  return Math.round(percent * 100) / 100;
+}
+
+/**
+ * Check and normalize an operation's parameters
+ * @returns {Promise<Object>} Params to store on the operation
+ */
+async function validateParams(supabase, actorId, operation, params = {}) {
+  if (!BULK_OPERATIONS[operation]) {
+    throw new BulkOperationError(`operation must be one of: ${Object.keys(BULK_OPERATIONS).join(', ')}`);
+  }
+
+  switch (operation) {
+    case 'set_strategy': {
+      if (!params.strategyId) return { strategyId: null, strategyName: null };
+
+      // Own strategies or a teammate's (strategies RLS, add-organizations.sql)
+      const userIds = await listAccessibleUserIds(supabase, actorId);
+      const { data: strategy, error } = await supabase
+        .from('strategies')
+        .select('id, name')
+        .eq('id', params.strategyId)
+        .in('user_id', userIds)
+        .maybeSingle();
+
+      if (error) throw error;
+      if (!strategy) throw new BulkOperationError('Strategy not found', 404);
+      return { strategyId: strategy.id, strategyName: strategy.name };
+    }
+    case 'set_min_price_percent':
+      return { percent: parsePercent(params.percent, { min: 1, max: 100 }) };
+    case 'toggle_reduction':
+      if (typeof params.enabled !== 'boolean') {
+        throw new BulkOperationError('enabled must be true or false');
+      }
+      return { enabled: params.enabled };
+    case 'reduce_percent':
+      return { percent: parsePercent(params.percent, { min: 0.1, max: 90 }) };
+    default:
+      return {};
+  }
+}
+
+// Characters that would break a PostgREST or() expression
+function sanitizeSearch(search) {
+  return String(search || '').replace(/[,()%*\\]/g, ' ').trim();
+}
+
+/**
+ * Listings matching a filter among those the actor can see
+ * filter: { status: 'Active'|'Ended'|'all', ebayAccountId, search, strategyId ('none'
+ * for no strategy), autoReduction: bool, needsAttention: bool }
+ * Read in pages; stops once more than MAX_TARGETS are found, so the caller can
+ * tell a filter that matches too many.
+ */
+async function findListingsByFilter(supabase, actorId, filter = {}) {
+  const userIds = await listAccessibleUserIds(supabase, actorId);
+  const status = filter.status || 'Active';
+  const search = sanitizeSearch(filter.search);
+  const pageSize = BULK_CONFIG.FILTER_PAGE_SIZE;
+
+  const listings = [];
+  for (let from = 0; listings.length <= BULK_CONFIG.MAX_TARGETS; from += pageSize) {
+    let query = supabase
+      .from('listings')
+      .select('id, user_id')
+      .in('user_id', userIds)
+      .eq('hidden', false);
+
+    if (status !== 'all') query = query.eq('listing_status', status);
+    if (filter.ebayAccountId) query = query.eq('ebay_account_id', filter.ebayAccountId);
+    if (filter.strategyId === 'none') query = query.is('strategy_id', null);
+    else if (filter.strategyId) query = query.eq('strategy_id', filter.strategyId);
+    if (typeof filter.autoReduction === 'boolean') query = query.eq('enable_auto_reduction', filter.autoReduction);
+    if (filter.needsAttention === true) query = query.eq('needs_attention', true);
+    if (search) query = query.or(`title.ilike.%${search}%,ebay_sku.ilike.%${search}%`);
+
+    const { data, error } = await query
+      .order('created_at', { ascending: true })
+      .order('id', { ascending: true })
+      .range(from, from + pageSize - 1);
+
+    if (error) throw error;
+    listings.push(...(data || []));
+    if (!data || data.length < pageSize) break;
+  }
+  return listings;
+}
+
+async function findListingsByIds(supabase, listingIds) {
+  const found = [];
+  for (let i = 0; i < listingIds.length; i += 200) {
+    const { data, error } = await supabase
+      .from('listings')
+      .select('id, user_id')
+      .in('id', listingIds.slice(i, i + 200));
+
+    if (error) throw error;
+    found.push(...(data || []));
+  }
+
+  // Keep the caller's order
+  const byId = new Map(found.map(l => [l.id, l]));
+  return listingIds.map(id => byId.get(id)).filter(Boolean);
+}
+
+/**
+ * The actor's role on each owner's data
+ * @returns {Promise<Map<string, string|null>>}
+ */
+async function getRolesByOwner(supabase, actorId, ownerIds) {
+  const roles = new Map();
+  for (const ownerId of new Set(ownerIds)) {
+    roles.set(ownerId, await getAccessRole(supabase, actorId, ownerId));
+  }
+  return roles;
+}
+
+/**
+ * Create an operation and its items
+ * @param {Object} request - { operation, params, listingIds, filter, source, requestId }
+ * @returns {Promise<{operation, notFound}>}
+ */
+async function createBulkOperation(supabase, actorId, { operation, params, listingIds, filter, source = 'ui', requestId = null }) {
+  const validParams = await validateParams(supabase, actorId, operation, params);
+
+  let targets;
+  let notFound = 0;
+  if (Array.isArray(listingIds)) {
+    const ids = [...new Set(listingIds.filter(id => typeof id === 'string'))];
+    if (ids.length > BULK_CONFIG.MAX_TARGETS) {
+      throw new BulkOperationError(`At most ${BULK_CONFIG.MAX_TARGETS} listings per bulk operation`);
+    }
+    targets = await findListingsByIds(supabase, ids);
+    notFound = ids.length - targets.length;
+  } else if (filter && typeof filter === 'object') {
+    targets = await findListingsByFilter(supabase, actorId, filter);
+    if (targets.length > BULK_CONFIG.MAX_TARGETS) {
+      throw new BulkOperationError(`The filter matches more than ${BULK_CONFIG.MAX_TARGETS} listings; narrow it down`);
+    }
+  } else {
+    throw new BulkOperationError('Send listingIds or a filter');
+  }
+
+  // Listings of users the actor shares no organization with are treated as missing
+  const roles = await getRolesByOwner(supabase, actorId, targets.map(t => t.user_id));
+  const visible = targets.filter(t => roles.get(t.user_id));
+  notFound += targets.length - visible.length;
+
+  if (visible.length === 0) {
+    throw new BulkOperationError('No listings to update', 404);
+  }
+
+  const { data: created, error: createError } = await supabase
+    .from('bulk_operations')
+    .insert({
+      user_id: actorId,
+      operation,
+      params: validParams,
+      selection: Array.isArray(listingIds) ? { listingIds: visible.map(t => t.id) } : { filter },
+      total: visible.length,
+      source,
+      request_id: requestId
+    })
+    .select()
+    .single();
+
+  if (createError) throw createError;
+
+  const now = new Date().toISOString();
+  const items = visible.map((target, position) => (
+    hasRole(roles.get(target.user_id), 'manager')
+      ? { operation_id: created.id, listing_id: target.id, position }
+      : {
+        operation_id: created.id,
+        listing_id: target.id,
+        position,
+        status: 'skipped',
+        message: 'You can only view this listing',
+        processed_at: now
+      }
+  ));
+
+  for (let i = 0; i < items.length; i += BULK_CONFIG.INSERT_BATCH_SIZE) {
+    const { error: itemsError } = await supabase
+      .from('bulk_operation_items')
+      .insert(items.slice(i, i + BULK_CONFIG.INSERT_BATCH_SIZE));
+
+    if (itemsError) {
+      await supabase.from('bulk_operations').delete().eq('id', created.id);
+      throw itemsError;
+    }
+  }
+
+  return { operation: await refreshCounts(supabase, created.id), notFound };
+}
+
+/**
+ * Recount items by status into the operation row (the items are the source of truth)
+ */
+async function refreshCounts(supabase, operationId, extra = {}) {
+  const counts = {};
+  for (const status of ['succeeded', 'failed', 'skipped']) {
+    const { count, error } = await supabase
+      .from('bulk_operation_items')
+      .select('id', { count: 'exact', head: true })
+      .eq('operation_id', operationId)
+      .eq('status', status);
+
+    if (error) throw error;
+    counts[status] = count || 0;
+  }
+
+  const { data, error } = await supabase
+    .from('bulk_operations')
+    .update({
+      ...counts,
+      processed: counts.succeeded + counts.failed + counts.skipped,
+      updated_at: new Date().toISOString(),
+      ...extra
+    })
+    .eq('id', operationId)
+    .select()
+    .single();
+
+  if (error) throw error;
+  return data;
+}
+
+// =============================================
+// PER-LISTING ACTIONS
+// Each returns { status: 'succeeded'|'skipped', message, result }; throwing fails the item
+// =============================================
+
+async function updateListing(supabase, listingId, updates) {
+  const { data, error } = await supabase
+    .from('listings')
+    .update({ ...updates, updated_at: new Date().toISOString() })
+    .eq('id', listingId)
+    .select()
+    .single();
+
+  if (error) throw new Error(error.message);
+  return data;
+}
+
+async function applySetStrategy(supabase, listing, params, context) {
+  if ((listing.strategy_id || null) === params.strategyId && listing.strategy_source === 'manual') {
+    return { status: 'skipped', message: 'Already uses this strategy' };
+  }
+
+  const strategy = params.strategyId ? await context.getStrategy(params.strategyId) : null;
+  const reductionEnabled = listing.enable_auto_reduction || listing.price_reduction_enabled;
+
+  // A bulk pick is a manual override, like choosing it on the listing
+  const updated = await updateListing(supabase, listing.id, {
+    strategy_id: params.strategyId,
+    reduction_strategy: params.strategyId,
+    strategy_source: 'manual',
+    strategy_rule_id: null,
+    strategy_assigned_at: new Date().toISOString(),
+    ...(strategy ? { reduction_interval: getReductionIntervalDays(listing, strategy) } : {}),
+    ...(strategy && reductionEnabled ? { next_price_reduction: getNextReductionDate(listing, strategy).toISOString() } : {})
+  });
+
+  const { before, after } = diffValues(listing, updated, ['strategy_id', 'strategy_source', 'strategy_rule_id', 'reduction_interval', 'next_price_reduction']);
+  await context.audit(listing, 'listing.strategy_changed', before, after, { strategyName: params.strategyName });
+
+  return {
+    status: 'succeeded',
+    message: params.strategyName ? `Strategy set to ${params.strategyName}` : 'Strategy cleared',
+    result: { before: before.strategy_id ?? null, after: params.strategyId }
+  };
+}
+
+async function applySetMinPricePercent(supabase, listing, params, context) {
+  const currentPrice = parseFloat(listing.current_price);
+  if (isNaN(currentPrice) || currentPrice <= 0) {
+    return { status: 'skipped', message: 'No current price' };
+  }
+
+  const minimumPrice = Math.round(currentPrice * params.percent) / 100;
+  if (parseFloat(listing.minimum_price) === minimumPrice) {
+    return { status: 'skipped', message: `Minimum price is already $${minimumPrice.toFixed(2)}` };
+  }
+
+  await updateListing(supabase, listing.id, { minimum_price: minimumPrice });
+
+  const before = { minimum_price: listing.minimum_price ?? null };
+  const after = { minimum_price: minimumPrice };
+  await context.audit(listing, 'listing.minimum_price_changed', before, after, { percent: params.percent });
+
+  return {
+    status: 'succeeded',
+    message: `Minimum price set to $${minimumPrice.toFixed(2)}`,
+    result: { before: before.minimum_price, after: minimumPrice }
+  };
+}
+
+async function applyToggleReduction(supabase, listing, params, context) {
+  if (Boolean(listing.enable_auto_reduction) === params.enabled) {
+    return { status: 'skipped', message: `Auto-reduction is already ${params.enabled ? 'on' : 'off'}` };
+  }
+
+  // Same rule as the listings page: no auto-reduction without a floor
+  if (params.enabled && (!listing.minimum_price || listing.minimum_price <= 0)) {
+    return { status: 'skipped', message: 'Set a minimum price before enabling auto-reduction' };
+  }
+
+  const updated = await updateListing(supabase, listing.id, {
+    price_reduction_enabled: params.enabled,
+    enable_auto_reduction: params.enabled,
+    next_price_reduction: params.enabled
+      ? getNextReductionDate(listing, await context.getStrategy(listing.strategy_id)).toISOString()
+      : null
+  });
+
+  const { before, after } = diffValues(listing, updated, ['price_reduction_enabled', 'enable_auto_reduction', 'next_price_reduction']);
+  await context.audit(listing, 'listing.auto_reduction_toggled', before, after);
+
+  return { status: 'succeeded', message: `Auto-reduction ${params.enabled ? 'enabled' : 'disabled'}` };
+}
+
+/**
+ * Skip outcome when eBay writes for the listing's owner are blocked, or null
+ */
+async function checkWriteBlock(supabase, listing, context) {
+  const block = await getPriceWriteBlock(supabase, listing.user_id);
+  if (!block) return null;
+
+  await recordSkippedRun(supabase, {
+    job: 'bulk-operations',
+    reason: block.reason,
+    userId: listing.user_id,
+    details: { bulkOperationId: context.operationId, listingId: listing.id }
+  });
+  return { status: 'skipped', message: block.message, result: { blocked: true, reason: block.reason } };
+}
+
+async function applyEnd(supabase, listing, params, context) {
+  if (listing.listing_status === 'Ended' && listing.hidden) {
+    return { status: 'skipped', message: 'Already ended' };
+  }
+
+  let alreadyClosed = listing.listing_status === 'Ended';
+  if (!alreadyClosed) {
+    if (!listing.ebay_item_id) throw new Error('Listing has no eBay item ID');
+    const blocked = await checkWriteBlock(supabase, listing, context);
+    if (blocked) return blocked;
+    ({ alreadyClosed } = await endListingOnEbay(listing.user_id, listing.ebay_item_id, 'NotAvailable', listing.ebay_account_id));
+  }
+
+  await updateListing(supabase, listing.id, { listing_status: 'Ended', hidden: true });
+
+  await context.audit(
+    listing,
+    'listing.ended',
+    { listing_status: listing.listing_status, hidden: Boolean(listing.hidden) },
+    { listing_status: 'Ended', hidden: true },
+    { ebayItemId: listing.ebay_item_id, alreadyClosed }
+  );
+
+  return { status: 'succeeded', message: alreadyClosed ? 'Already ended on eBay; hidden' : 'Ended on eBay' };
+}
+
+async function applyHide(supabase, listing, params, context) {
+  if (listing.hidden) {
+    return { status: 'skipped', message: 'Already hidden' };
+  }
+
+  await updateListing(supabase, listing.id, { hidden: true });
+  await context.audit(listing, 'listing.hidden', { hidden: false }, { hidden: true });
+
+  return { status: 'succeeded', message: 'Hidden' };
+}
+
+async function applyReducePercent(supabase, listing, params, context) {
+  if (listing.listing_status !== 'Active') {
+    return { status: 'skipped', message: 'Listing is not active' };
+  }
+
+  const currentPrice = parseFloat(listing.current_price);
+  if (isNaN(currentPrice) || currentPrice <= 0) {
+    return { status: 'skipped', message: 'No current price' };
+  }
+
+  // Same requirement as a manual reduction (reduce-price.js)
+  if (getMinimumPriceSource(listing) === 'default') {
+    return { status: 'skipped', message: 'Set a minimum price or item cost first' };
+  }
+
+  const minimumPrice = getEffectiveMinimumPrice(listing);
+  const newPrice = Math.round(Math.max(currentPrice * (1 - params.percent / 100), minimumPrice) * 100) / 100;
+  if (newPrice >= currentPrice) {
+    return { status: 'skipped', message: `Already at its minimum price ($${minimumPrice.toFixed(2)})` };
+  }
+
+  const blocked = await checkWriteBlock(supabase, listing, context);
+  if (blocked) return blocked;
+
+  const accessToken = await getValidAccessToken(supabase, listing.user_id, listing.ebay_account_id);
+  await pushPriceToEbay(accessToken, listing, newPrice);
+
+  const reductionApplied = Math.round((currentPrice - newPrice) * 100) / 100;
+  await recordPriceReduction(supabase, listing, {
+    newPrice,
+    reductionApplied,
+    reductionType: 'percentage',
+    strategy: await context.getStrategy(listing.strategy_id)
+  }, {
+    source: 'manual',
+    triggeredBy: context.actorId
+  });
+
+  return {
+    status: 'succeeded',
+    message: `$${currentPrice.toFixed(2)} → $${newPrice.toFixed(2)}`,
+    result: { oldPrice: currentPrice, newPrice }
+  };
+}
+
+const ACTIONS = {
+  set_strategy: applySetStrategy,
+  set_min_price_percent: applySetMinPricePercent,
+  toggle_reduction: applyToggleReduction,
+  end: applyEnd,
+  hide: applyHide,
+  reduce_percent: applyReducePercent
+};
+
+// =============================================
+// PROCESSING
+// =============================================
+
+/**
+ * Take the operation's lease; null when it is finished or someone else holds it
+ */
+async function claimOperation(supabase, operationId, workerId) {
+  const now = new Date();
+  const { data, error } = await supabase
+    .from('bulk_operations')
+    .update({
+      status: 'running',
+      locked_by: workerId,
+      locked_until: new Date(now.getTime() + BULK_CONFIG.LEASE_SECONDS * 1000).toISOString(),
+      updated_at: now.toISOString()
+    })
+    .eq('id', operationId)
+    .in('status', ['pending', 'running'])
+    .or(`locked_until.is.null,locked_until.lt.${now.toISOString()}`)
+    .select()
+    .maybeSingle();
+
+  if (error) throw error;
+  if (data && !data.started_at) {
+    await supabase.from('bulk_operations').update({ started_at: now.toISOString() }).eq('id', operationId);
+  }
+  return data;
+}
+
+/**
+ * Work through pending items until done or out of time
+ * @param {Object} options - { workerId, timeBudgetMs }
+ * @returns {Promise<Object>} The operation row after this pass
+ */
+async function processBulkOperation(supabase, operationId, { workerId, timeBudgetMs = BULK_CONFIG.TIME_BUDGET_MS } = {}) {
+  const startTime = Date.now();
+  const operation = await claimOperation(supabase, operationId, workerId);
+  if (!operation) return getOperation(supabase, operationId);
+
+  const apply = ACTIONS[operation.operation];
+  const chunkSize = BULK_OPERATIONS[operation.operation].usesEbay ? BULK_CONFIG.EBAY_CHUNK_SIZE : BULK_CONFIG.CHUNK_SIZE;
+
+  const strategies = new Map();
+  const context = {
+    operationId: operation.id,
+    actorId: operation.user_id,
+    getStrategy: async (strategyId) => {
+      if (!strategyId) return null;
+      if (!strategies.has(strategyId)) {
+        const { data } = await supabase.from('strategies').select('*').eq('id', strategyId).maybeSingle();
+        strategies.set(strategyId, data || null);
+      }
+      return strategies.get(strategyId);
+    },
+    audit: (listing, action, before, after, metadata = {}) => recordAudit(supabase, {
+      userId: listing.user_id,
+      actorId: operation.user_id,
+      source: operation.source,
+      action,
+      entityType: 'listing',
+      entityId: listing.id,
+      before,
+      after,
+      requestId: operation.request_id,
+      metadata: { title: listing.title, bulkOperationId: operation.id, ...metadata }
+    })
+  };
+
+  let finished = false;
+  while (Date.now() - startTime < timeBudgetMs) {
+    const { data: current } = await supabase
+      .from('bulk_operations')
+      .select('status')
+      .eq('id', operationId)
+      .single();
+    if (current?.status === 'cancelled') break;
+
+    const { data: items, error: itemsError } = await supabase
+      .from('bulk_operation_items')
+      .select('id, listing_id')
+      .eq('operation_id', operationId)
+      .eq('status', 'pending')
+      .order('position', { ascending: true })
+      .limit(chunkSize);
+
+    if (itemsError) throw itemsError;
+    if (!items || items.length === 0) {
+      finished = true;
+      break;
+    }
+
+    const { data: listings, error: listingsError } = await supabase
+      .from('listings')
+      .select('*')
+      .in('id', items.map(i => i.listing_id));
+
+    if (listingsError) throw listingsError;
+    const listingsById = new Map((listings || []).map(l => [l.id, l]));
+
+    // Access is checked again per chunk: memberships can change mid-run
+    const roles = await getRolesByOwner(supabase, operation.user_id, (listings || []).map(l => l.user_id));
+
+    for (const item of items) {
+      if (Date.now() - startTime >= timeBudgetMs) break;
+
+      const listing = listingsById.get(item.listing_id);
+      let outcome;
+      if (!listing) {
+        outcome = { status: 'skipped', message: 'Listing no longer exists' };
+      } else if (!hasRole(roles.get(listing.user_id), 'manager')) {
+        outcome = { status: 'skipped', message: 'You can only view this listing' };
+      } else {
+        try {
+          outcome = await apply(supabase, listing, operation.params || {}, context);
+        } catch (error) {
+          console.error(`Bulk ${operation.operation} failed for listing ${item.listing_id}:`, error.message);
+          outcome = { status: 'failed', message: error.message };
+        }
+      }
+
+      await supabase
+        .from('bulk_operation_items')
+        .update({
+          status: outcome.status,
+          message: outcome.message || null,
+          result: outcome.result || null,
+          processed_at: new Date().toISOString()
+        })
+        .eq('id', item.id);
+    }
+
+    await supabase
+      .from('bulk_operations')
+      .update({ locked_until: new Date(Date.now() + BULK_CONFIG.LEASE_SECONDS * 1000).toISOString() })
+      .eq('id', operationId)
+      .eq('locked_by', workerId);
+  }
+
+  const done = finished ? { status: 'completed', completed_at: new Date().toISOString() } : {};
+  return refreshCounts(supabase, operationId, { ...done, locked_by: null, locked_until: null });
+}
+
+/**
+ * Stop an operation; items not yet processed are skipped
+ */
+async function cancelBulkOperation(supabase, operationId) {
+  const { data: operation, error } = await supabase
+    .from('bulk_operations')
+    .update({ status: 'cancelled', completed_at: new Date().toISOString() })
+    .eq('id', operationId)
+    .in('status', ['pending', 'running'])
+    .select()
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!operation) return getOperation(supabase, operationId);
+
+  await supabase
+    .from('bulk_operation_items')
+    .update({ status: 'skipped', message: 'Cancelled', processed_at: new Date().toISOString() })
+    .eq('operation_id', operationId)
+    .eq('status', 'pending');
+
+  return refreshCounts(supabase, operationId);
+}
+
+async function getOperation(supabase, operationId) {
+  const { data, error } = await supabase
+    .from('bulk_operations')
+    .select('*')
+    .eq('id', operationId)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Operations nobody is driving: open and not leased
+ */
+async function listUnattendedOperations(supabase, limit = 5) {
+  const now = new Date().toISOString();
+  const { data, error } = await supabase
+    .from('bulk_operations')
+    .select('id')
+    .in('status', ['pending', 'running'])
+    .or(`locked_until.is.null,locked_until.lt.${now}`)
+    .order('created_at', { ascending: true })
+    .limit(limit);
+
+  if (error) throw error;
+  return (data || []).map(o => o.id);
+}
+
+module.exports = {
+  BULK_OPERATIONS,
+  BULK_CONFIG,
+  BulkOperationError,
+  validateParams,
+  createBulkOperation,
+  processBulkOperation,
+  cancelBulkOperation,
+  getOperation,
+  listUnattendedOperations
+};
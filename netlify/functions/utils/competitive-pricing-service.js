@@ -121,4 +121,73 @@ class CompetitivePricingService {
   }
 }
 
-module.exports = { CompetitivePricingService };
+/**
+ * Build a pricing service from a user's stored eBay app credentials
+ * @returns {CompetitivePricingService|null} null when credentials are missing
+ */
+async function createPricingServiceForUser(supabase, userId) {
+  const { data: userData } = await supabase
+    .from('users')
+    .select('ebay_user_id, ebay_app_id, ebay_cert_id_encrypted')
+    .eq('id', userId)
+    .single();
+
+  const appId = userData?.ebay_app_id;
+  let certId = null;
+  if (userData?.ebay_cert_id_encrypted) {
+    const { decrypt } = require('./ebay-oauth-helpers');
+    certId = decrypt(userData.ebay_cert_id_encrypted);
+  }
+
+  if (!appId || !certId) {
+    return null;
+  }
+
+  return new CompetitivePricingService(appId, certId, userData.ebay_user_id);
+}
+
+/**
+ * Map an analysis result to the listings table market_* columns
+ */
+function toListingMarketColumns(analysis) {
+  return {
+    market_average_price: analysis.suggestedAvgPrice,
+    market_lowest_price: analysis.suggestedMinPrice,
+    market_highest_price: analysis.marketHighestPrice,
+    market_competitor_count: analysis.competitorCount,
+    price_match_tier: analysis.matchTier,
+    last_market_analysis: new Date().toISOString(),
+    price_analysis_completed: true
+  };
+}
+
+/**
+ * Rebuild an analysis result from a listing's stored market_* columns
+ * @returns {Object|null} null when the listing was never analyzed
+ */
+function analysisFromListing(listing) {
+  if (!listing.last_market_analysis || !listing.price_match_tier) {
+    return null;
+  }
+
+  const toPrice = (value) => (value === null || value === undefined ? null : parseFloat(value));
+  const competitorCount = listing.market_competitor_count || 0;
+
+  return {
+    suggestedMinPrice: toPrice(listing.market_lowest_price),
+    suggestedAvgPrice: toPrice(listing.market_average_price),
+    marketLowestPrice: toPrice(listing.market_lowest_price),
+    marketHighestPrice: toPrice(listing.market_highest_price),
+    competitorCount,
+    matchTier: listing.price_match_tier,
+    hasInsufficientData: competitorCount < 5,
+    analyzedAt: listing.last_market_analysis
+  };
+}
+
+module.exports = {
+  CompetitivePricingService,
+  createPricingServiceForUser,
+  toListingMarketColumns,
+  analysisFromListing
+};
@@ -0,0 +1,195 @@
+/**
+ * Linked eBay Accounts
+ *
+ * An app user can connect several eBay seller accounts (ebay_accounts rows),
+ * each with its own refresh token, business policies, SKU prefix and
+ * listings (listings.ebay_account_id). Anything that talks to eBay for a
+ * listing uses that listing's account; anything without one uses the
+ * user's default account.
+ *
+ * Users who connected before ebay_accounts existed and were not backfilled
+ * have no rows: getEbayAccount() returns null and callers fall back to the
+ * legacy users.ebay_* token columns. Those columns mirror the default
+ * account, so code that still reads them keeps working.
+ */
+
+// Columns safe to hand to the browser (no tokens)
+const PUBLIC_ACCOUNT_COLUMNS = 'id, ebay_user_id, label, connection_status, connected_at, fulfillment_policy_id, payment_policy_id, return_policy_id, sku_prefix, is_default, created_at';
+
+// Columns a user may change through the ebay-accounts function
+const EDITABLE_ACCOUNT_FIELDS = ['label', 'fulfillment_policy_id', 'payment_policy_id', 'return_policy_id', 'sku_prefix'];
+
+/**
+ * A user's linked accounts, default first
+ * @param {Object} options - { connectedOnly, includeTokens }
+ */
+async function listEbayAccounts(supabase, userId, { connectedOnly = false, includeTokens = false } = {}) {
+  let query = supabase
+    .from('ebay_accounts')
+    .select(includeTokens ? '*' : PUBLIC_ACCOUNT_COLUMNS)
+    .eq('user_id', userId)
+    .order('is_default', { ascending: false })
+    .order('created_at', { ascending: true });
+
+  if (connectedOnly) {
+    query = query.eq('connection_status', 'connected');
+  }
+
+  const { data, error } = await query;
+  if (error) throw error;
+  return data || [];
+}
+
+/**
+ * One account of a user (with tokens), or their default account
+ * @param {string|null} accountId - Account to load; null for the default
+ * @returns {Promise<Object|null>} Account row, or null if the user has no accounts
+ */
+async function getEbayAccount(supabase, userId, accountId = null) {
+  let query = supabase
+    .from('ebay_accounts')
+    .select('*')
+    .eq('user_id', userId);
+
+  query = accountId
+    ? query.eq('id', accountId)
+    : query.order('is_default', { ascending: false }).order('created_at', { ascending: true }).limit(1);
+
+  const { data, error } = await query;
+  if (error) throw error;
+
+  if (accountId && (!data || data.length === 0)) {
+    throw new Error(`eBay account ${accountId} not found`);
+  }
+
+  return data?.[0] || null;
+}
+
+/**
+ * Store a connected account after OAuth (new, or reconnecting an existing one)
+ * The first account a user connects becomes their default.
+ * @param {Object} connection - { ebayUserId, refreshToken, refreshTokenExpiresAt } (token already encrypted)
+ * @returns {Promise<Object>} The account row
+ */
+async function saveConnectedAccount(supabase, userId, { ebayUserId, refreshToken, refreshTokenExpiresAt = null }) {
+  const now = new Date().toISOString();
+  const accounts = await listEbayAccounts(supabase, userId);
+
+  // Without an eBay user ID we cannot tell stores apart: reconnect the default
+  const existing = ebayUserId
+    ? accounts.find(a => a.ebay_user_id === ebayUserId)
+    : accounts.find(a => a.is_default);
+
+  const fields = {
+    refresh_token: refreshToken,
+    refresh_token_expires_at: refreshTokenExpiresAt,
+    access_token: null,
+    token_expires_at: null,
+    connection_status: 'connected',
+    connected_at: now
+  };
+
+  const { data, error } = existing
+    ? await supabase
+      .from('ebay_accounts')
+      .update(fields)
+      .eq('id', existing.id)
+      .select()
+      .single()
+    : await supabase
+      .from('ebay_accounts')
+      .insert({
+        ...fields,
+        user_id: userId,
+        ebay_user_id: ebayUserId,
+        label: ebayUserId,
+        is_default: !accounts.some(a => a.is_default)
+      })
+      .select()
+      .single();
+
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Make an account the user's default and mirror its tokens to users.ebay_*
+ */
+async function setDefaultAccount(supabase, userId, accountId) {
+  const account = await getEbayAccount(supabase, userId, accountId);
+
+  // Clear first: the partial unique index allows one default per user
+  const { error: clearError } = await supabase
+    .from('ebay_accounts')
+    .update({ is_default: false })
+    .eq('user_id', userId)
+    .neq('id', accountId);
+  if (clearError) throw clearError;
+
+  const { error } = await supabase
+    .from('ebay_accounts')
+    .update({ is_default: true })
+    .eq('id', accountId);
+  if (error) throw error;
+
+  await mirrorToUser(supabase, userId, { ...account, is_default: true });
+}
+
+/**
+ * Copy the default account's tokens to the legacy users columns
+ * No-op for other accounts.
+ */
+async function mirrorToUser(supabase, userId, account) {
+  if (!account?.is_default) return;
+
+  const { error } = await supabase
+    .from('users')
+    .update({
+      ebay_refresh_token: account.refresh_token,
+      ebay_refresh_token_expires_at: account.refresh_token_expires_at,
+      ebay_access_token: account.access_token,
+      ebay_token_expires_at: account.token_expires_at,
+      ebay_user_id: account.ebay_user_id,
+      ebay_connection_status: account.connection_status,
+      ebay_connected_at: account.connected_at
+    })
+    .eq('id', userId);
+
+  if (error) {
+    console.warn(`Failed to mirror default eBay account to user ${userId}:`, error.message);
+  }
+}
+
+/**
+ * Disconnect one account: clear its tokens, keep the row and its listings
+ */
+async function disconnectAccount(supabase, userId, accountId) {
+  const { data: account, error } = await supabase
+    .from('ebay_accounts')
+    .update({
+      refresh_token: null,
+      access_token: null,
+      token_expires_at: null,
+      connection_status: 'disconnected',
+      connected_at: null
+    })
+    .eq('id', accountId)
+    .eq('user_id', userId)
+    .select()
+    .single();
+
+  if (error) throw error;
+  await mirrorToUser(supabase, userId, account);
+  return account;
+}
+
+module.exports = {
+  PUBLIC_ACCOUNT_COLUMNS,
+  EDITABLE_ACCOUNT_FIELDS,
+  listEbayAccounts,
+  getEbayAccount,
+  saveConnectedAccount,
+  setDefaultAccount,
+  mirrorToUser,
+  disconnectAccount
+};
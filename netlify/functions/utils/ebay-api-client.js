@@ -6,9 +6,10 @@ const xml2js = require('xml2js');
  * Uses EbayTokenService for all token operations
  */
 class EbayApiClient {
-  constructor(userId) {
+  constructor(userId, accountId = null) {
     this.userId = userId;
-    this.tokenService = new EbayTokenService(userId);
+    this.accountId = accountId;
+    this.tokenService = new EbayTokenService(userId, accountId);
     this.accessToken = null;
   }
 
@@ -204,6 +205,23 @@ class EbayApiClient {
     return await this.makeApiCall('EndItem', 'POST', requestBody, 'trading');
   }
 
+  /**
+   * Relist an ended fixed-price listing as a new item
+   * @param {string} itemId - eBay item ID of the ended listing
+   * @param {number} startPrice - Price for the new listing
+   * @returns {Promise<Object>} eBay RelistFixedPriceItem response (ItemID is the new listing)
+   */
+  async relistItem(itemId, startPrice) {
+    const requestBody = `
+      <Item>
+        <ItemID>${itemId}</ItemID>
+        <StartPrice>${startPrice}</StartPrice>
+      </Item>
+    `;
+
+    return await this.makeApiCall('RelistFixedPriceItem', 'POST', requestBody, 'trading');
+  }
+
   /**
    * Search for similar items (for competitive pricing)
    * @param {string} keywords - Search keywords
@@ -2,9 +2,10 @@ const fetch = require('node-fetch');
 const { EbayTokenService } = require('./ebay-token-service');
 
 class EbayInventoryClient {
-  constructor(userId) {
+  constructor(userId, accountId = null) {
     this.userId = userId;
-    this.tokenService = new EbayTokenService(userId);
+    this.accountId = accountId;
+    this.tokenService = new EbayTokenService(userId, accountId);
     this.accessToken = null;
   }
 
@@ -350,6 +351,23 @@ class EbayInventoryClient {
     return await this.makeApiCall(endpoint, 'POST', {}, 'inventory');
   }
 
+  /**
+   * Delete an offer
+   * An unpublished offer is simply removed; a published one would end its listing
+   */
+  async deleteOffer(offerId) {
+    const endpoint = `/offer/${offerId}`;
+    return await this.makeApiCall(endpoint, 'DELETE', null, 'inventory');
+  }
+
+  /**
+   * Delete inventory item (and any offers for its SKU)
+   */
+  async deleteInventoryItem(sku) {
+    const endpoint = `/inventory_item/${encodeURIComponent(sku)}`;
+    return await this.makeApiCall(endpoint, 'DELETE', null, 'inventory');
+  }
+
   /**
    * Delete inventory location
    * WARNING: Can only delete if no active inventory items are associated
@@ -0,0 +1,295 @@
+/**
+ * eBay Notifications
+ *
+ * Helpers for ebay-notifications.js, which receives two kinds of pushes:
+ *
+ *   Platform Notifications (Trading API, SOAP/XML)
+ *     ItemSold, FixedPriceTransaction, ItemRevised, ItemClosed
+ *     Signed with NotificationSignature = base64(md5(Timestamp + DevId + AppId + CertId))
+ *     using the seller's own app keys, and only valid for 10 minutes.
+ *
+ *   Notification API (JSON)
+ *     MARKETPLACE_ACCOUNT_DELETION
+ *     Endpoint ownership is proven with a challenge_code handshake; each push
+ *     carries an X-EBAY-SIGNATURE header verified against eBay's public key.
+ *
+ * Every event is stored in webhook_events by event_id, so eBay's retries
+ * are processed once.
+ */
+
+const crypto = require('crypto');
+const xml2js = require('xml2js');
+
+const TRADING_API_URL = 'https://api.ebay.com/ws/api.dll';
+const NOTIFICATION_API_URL = 'https://api.ebay.com/commerce/notification/v1';
+const TOKEN_URL = 'https://api.ebay.com/identity/v1/oauth2/token';
+
+const PLATFORM_EVENTS = ['ItemSold', 'FixedPriceTransaction', 'ItemRevised', 'ItemClosed'];
+const ACCOUNT_DELETION_TOPIC = 'MARKETPLACE_ACCOUNT_DELETION';
+
+const SIGNATURE_MAX_AGE_MS = 10 * 60 * 1000;
+
+// Public keys by kid; eBay rotates them rarely, so keep them for the life of the instance
+const publicKeyCache = new Map();
+
+// ============================================
+// NOTIFICATION API (ACCOUNT DELETION)
+// ============================================
+
+/**
+ * Answer eBay's endpoint validation: hex(sha256(challengeCode + verificationToken + endpoint))
+ */
+function computeChallengeResponse(challengeCode, verificationToken, endpoint) {
+  return crypto
+    .createHash('sha256')
+    .update(challengeCode)
+    .update(verificationToken)
+    .update(endpoint)
+    .digest('hex');
+}
+
+async function getApplicationToken() {
+  const credentials = Buffer.from(`${process.env.EBAY_APP_ID}:${process.env.EBAY_CERT_ID}`).toString('base64');
+  const response = await fetch(TOKEN_URL, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/x-www-form-urlencoded',
+      'Authorization': `Basic ${credentials}`
+    },
+    body: 'grant_type=client_credentials&scope=https://api.ebay.com/oauth/api_scope'
+  });
+
+  const data = await response.json();
+  if (!response.ok) {
+    throw new Error(`Failed to get application token: ${data.error_description || data.error || response.status}`);
+  }
+  return data.access_token;
+}
+
+/**
+ * eBay returns the key as one line; Node needs PEM line breaks
+ */
+function toPem(key) {
+  const body = key
+    .replace('-----BEGIN PUBLIC KEY-----', '')
+    .replace('-----END PUBLIC KEY-----', '')
+    .replace(/\s+/g, '');
+  const lines = body.match(/.{1,64}/g) || [];
+  return `-----BEGIN PUBLIC KEY-----\n${lines.join('\n')}\n-----END PUBLIC KEY-----\n`;
+}
+
+async function getPublicKey(kid) {
+  if (publicKeyCache.has(kid)) {
+    return publicKeyCache.get(kid);
+  }
+
+  const token = await getApplicationToken();
+  const response = await fetch(`${NOTIFICATION_API_URL}/public_key/${encodeURIComponent(kid)}`, {
+    headers: { 'Authorization': `Bearer ${token}` }
+  });
+
+  const data = await response.json();
+  if (!response.ok || !data.key) {
+    throw new Error(`Failed to fetch eBay public key ${kid}: ${response.status}`);
+  }
+
+  const publicKey = { pem: toPem(data.key), digest: data.digest || 'SHA1' };
+  publicKeyCache.set(kid, publicKey);
+  return publicKey;
+}
+
+/**
+ * Verify the X-EBAY-SIGNATURE header of a Notification API push
+ * @param {string} rawBody - Request body exactly as received
+ * @param {string} signatureHeader - base64 JSON { alg, kid, signature, digest }
+ * @returns {Promise<boolean>}
+ */
+async function verifyNotificationSignature(rawBody, signatureHeader) {
+  if (!signatureHeader) return false;
+
+  let signature;
+  try {
+    signature = JSON.parse(Buffer.from(signatureHeader, 'base64').toString('utf8'));
+  } catch (error) {
+    return false;
+  }
+  if (!signature.kid || !signature.signature) return false;
+
+  const publicKey = await getPublicKey(signature.kid);
+  const verifier = crypto.createVerify(publicKey.digest.toLowerCase());
+  verifier.update(rawBody);
+  return verifier.verify(publicKey.pem, signature.signature, 'base64');
+}
+
+/**
+ * Normalize a Notification API payload
+ * @returns {Object} { eventId, eventType, ebayUserId, occurredAt }
+ */
+function parseAccountDeletion(payload) {
+  const notification = payload?.notification || {};
+  return {
+    eventId: notification.notificationId,
+    eventType: payload?.metadata?.topic,
+    ebayUserId: notification.data?.username || null,
+    occurredAt: notification.eventDate || null
+  };
+}
+
+// ============================================
+// PLATFORM NOTIFICATIONS (TRADING API)
+// ============================================
+
+const textOf = (value) => (value && typeof value === 'object' ? value._ : value);
+
+/**
+ * Parse a Platform Notification SOAP envelope
+ * @param {string} xml - Raw SOAP body
+ * @returns {Promise<Object>} { eventType, eventId, signature, timestamp, ebayUserId, item, transaction }
+ */
+async function parsePlatformNotification(xml) {
+  const parser = new xml2js.Parser({
+    explicitArray: false,
+    ignoreAttrs: false,
+    tagNameProcessors: [xml2js.processors.stripPrefix]
+  });
+  const parsed = await parser.parseStringPromise(xml);
+
+  const envelope = parsed?.Envelope || {};
+  const signature = textOf(envelope.Header?.RequesterCredentials?.NotificationSignature);
+  const body = envelope.Body || {};
+  const responseKey = Object.keys(body).find(key => key.endsWith('Response'));
+  const response = responseKey ? body[responseKey] : {};
+
+  const eventType = response.NotificationEventName;
+  const item = response.Item || {};
+  const transactions = response.TransactionArray?.Transaction;
+  const transaction = Array.isArray(transactions) ? transactions[0] : transactions || null;
+
+  return {
+    eventType,
+    // No id on the envelope; the event, item, sale and timestamp together are unique
+    eventId: [eventType, item.ItemID, transaction?.TransactionID, response.Timestamp].filter(Boolean).join(':'),
+    signature,
+    timestamp: response.Timestamp,
+    ebayUserId: response.RecipientUserID || null,
+    item,
+    transaction
+  };
+}
+
+/**
+ * Check a Platform Notification signature against the seller's app keys
+ * @param {Object} notification - From parsePlatformNotification
+ * @param {Object} keys - { devId, appId, certId }
+ * @param {Date} now - Reference time
+ * @returns {boolean}
+ */
+function verifyPlatformSignature(notification, { devId, appId, certId }, now = new Date()) {
+  if (!notification.signature || !notification.timestamp || !devId || !appId || !certId) {
+    return false;
+  }
+
+  const age = Math.abs(now.getTime() - new Date(notification.timestamp).getTime());
+  if (isNaN(age) || age > SIGNATURE_MAX_AGE_MS) {
+    return false;
+  }
+
+  const expected = crypto
+    .createHash('md5')
+    .update(`${notification.timestamp}${devId}${appId}${certId}`)
+    .digest('base64');
+
+  const expectedBuffer = Buffer.from(expected);
+  const actualBuffer = Buffer.from(String(notification.signature));
+  return expectedBuffer.length === actualBuffer.length && crypto.timingSafeEqual(expectedBuffer, actualBuffer);
+}
+
+/**
+ * Listing columns to update for a Platform Notification, or null to ignore it
+ * Mirrors the field mapping in sync-ebay-listings.js
+ */
+function buildListingUpdates(notification, now = new Date()) {
+  const { eventType, item } = notification;
+  if (!PLATFORM_EVENTS.includes(eventType) || !item?.ItemID) {
+    return null;
+  }
+
+  // last_sync carries the event time so older, late deliveries can be skipped
+  const updates = { last_sync: notification.timestamp || now.toISOString(), updated_at: now.toISOString() };
+
+  const price = parseFloat(textOf(item.SellingStatus?.CurrentPrice)) || parseFloat(textOf(item.StartPrice));
+  if (price > 0) updates.current_price = price;
+  if (item.Title) updates.title = item.Title;
+
+  const quantity = parseInt(item.Quantity);
+  const quantitySold = parseInt(item.SellingStatus?.QuantitySold);
+  if (!isNaN(quantitySold)) updates.quantity_sold = quantitySold;
+  if (!isNaN(quantity)) {
+    updates.quantity_available = Math.max(quantity - (isNaN(quantitySold) ? 0 : quantitySold), 0);
+  }
+
+  const ended = eventType === 'ItemClosed' || item.SellingStatus?.ListingStatus === 'Completed' || item.SellingStatus?.ListingStatus === 'Ended';
+  if (ended) {
+    updates.listing_status = 'Ended';
+    updates.ended_at = item.ListingDetails?.EndTime || now.toISOString();
+  } else if (updates.quantity_available === 0) {
+    updates.listing_status = 'Sold Out';
+  } else if (updates.quantity_available > 0) {
+    updates.listing_status = 'Active';
+  }
+
+  return updates;
+}
+
+/**
+ * Subscribe a seller to the Platform Notifications this app handles
+ * @param {string} accessToken - Seller's OAuth access token
+ * @param {string} applicationUrl - Where eBay should deliver them
+ */
+async function subscribeToPlatformNotifications(accessToken, applicationUrl) {
+  const enables = PLATFORM_EVENTS.map(event => `
+      <NotificationEnable>
+        <EventType>${event}</EventType>
+        <EventEnable>Enable</EventEnable>
+      </NotificationEnable>`).join('');
+
+  const response = await fetch(TRADING_API_URL, {
+    method: 'POST',
+    headers: {
+      'X-EBAY-API-SITEID': '0',
+      'X-EBAY-API-COMPATIBILITY-LEVEL': '967',
+      'X-EBAY-API-CALL-NAME': 'SetNotificationPreferences',
+      'X-EBAY-API-IAF-TOKEN': accessToken,
+      'Content-Type': 'text/xml'
+    },
+    body: `<?xml version="1.0" encoding="utf-8"?>
+    <SetNotificationPreferencesRequest xmlns="urn:ebay:apis:eBLBaseComponents">
+      <ApplicationDeliveryPreferences>
+        <ApplicationEnable>Enable</ApplicationEnable>
+        <ApplicationURL>${applicationUrl}</ApplicationURL>
+        <DeviceType>Platform</DeviceType>
+      </ApplicationDeliveryPreferences>
+      <UserDeliveryPreferenceArray>${enables}
+      </UserDeliveryPreferenceArray>
+    </SetNotificationPreferencesRequest>`
+  });
+
+  const text = await response.text();
+  const ack = text.match(/<Ack>([^<]+)<\/Ack>/)?.[1];
+  if (!response.ok || ack === 'Failure') {
+    const message = text.match(/<LongMessage>([^<]+)<\/LongMessage>/)?.[1] || `HTTP ${response.status}`;
+    throw new Error(`SetNotificationPreferences failed: ${message}`);
+  }
+}
+
+module.exports = {
+  PLATFORM_EVENTS,
+  ACCOUNT_DELETION_TOPIC,
+  computeChallengeResponse,
+  verifyNotificationSignature,
+  parseAccountDeletion,
+  parsePlatformNotification,
+  verifyPlatformSignature,
+  buildListingUpdates,
+  subscribeToPlatformNotifications
+};
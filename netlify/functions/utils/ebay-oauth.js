@@ -14,6 +14,7 @@
 
 const fetch = require('node-fetch');
 const { encrypt, decrypt } = require('./encryption');
+const { getEbayAccount, mirrorToUser } = require('./ebay-accounts');
 
 // eBay API endpoints - switch based on environment
 const IS_SANDBOX = process.env.EBAY_ENVIRONMENT === 'sandbox';
@@ -135,12 +136,13 @@ async function refreshAccessToken(refreshToken, clientId, clientSecret) {
 }
 
 /**
- * Get a valid access token for a user, refreshing if necessary
+ * Get a valid access token for a user's eBay account, refreshing if necessary
  * @param {Object} supabase - Supabase client
  * @param {string} userId - User ID
+ * @param {string|null} accountId - Linked eBay account (ebay_accounts.id); null for the default
  * @returns {Promise<string>} - Valid access token
  */
-async function getValidAccessToken(supabase, userId) {
+async function getValidAccessToken(supabase, userId, accountId = null) {
   // Use platform-level eBay App credentials from environment
   const clientId = process.env.EBAY_CLIENT_ID;
   const clientSecret = process.env.EBAY_CLIENT_SECRET;
@@ -149,37 +151,56 @@ async function getValidAccessToken(supabase, userId) {
     throw new Error('eBay platform credentials not configured. Contact support.');
   }
 
-  // Get user's eBay tokens (per-user, stored in database)
-  const { data: user, error } = await supabase
-    .from('users')
-    .select('ebay_access_token, ebay_refresh_token, ebay_token_expires_at')
-    .eq('id', userId)
-    .single();
+  // Tokens live on the linked account; users without one use the legacy users columns
+  const account = await getEbayAccount(supabase, userId, accountId);
+  let tokens;
 
-  if (error || !user) {
-    throw new Error('User not found');
+  if (account) {
+    tokens = {
+      refresh: account.refresh_token,
+      access: account.access_token,
+      expiresAt: account.token_expires_at
+    };
+  } else {
+    const { data: user, error } = await supabase
+      .from('users')
+      .select('ebay_access_token, ebay_refresh_token, ebay_token_expires_at')
+      .eq('id', userId)
+      .single();
+
+    if (error || !user) {
+      throw new Error('User not found');
+    }
+
+    tokens = {
+      refresh: user.ebay_refresh_token,
+      access: user.ebay_access_token,
+      expiresAt: user.ebay_token_expires_at
+    };
   }
 
-  if (!user.ebay_refresh_token) {
-    throw new Error('eBay account not connected. Please connect your eBay account in API Keys.');
+  if (!tokens.refresh) {
+    throw new Error(account
+      ? `eBay account ${account.label || account.ebay_user_id || account.id} is not connected. Please reconnect it in API Keys.`
+      : 'eBay account not connected. Please connect your eBay account in API Keys.');
   }
 
   // Decrypt user tokens
-  const refreshToken = decrypt(user.ebay_refresh_token);
-  let accessToken = decrypt(user.ebay_access_token);
+  const refreshToken = decrypt(tokens.refresh);
+  let accessToken = decrypt(tokens.access);
 
   if (!refreshToken) {
     throw new Error('eBay connection expired. Please reconnect your eBay account.');
   }
 
   // Check if access token is expired (with 5 minute buffer)
-  const expiresAt = user.ebay_token_expires_at ? new Date(user.ebay_token_expires_at) : new Date(0);
+  const expiresAt = tokens.expiresAt ? new Date(tokens.expiresAt) : new Date(0);
   const now = new Date();
   const bufferMs = 5 * 60 * 1000; // 5 minutes
 
   if (!accessToken || expiresAt.getTime() - bufferMs < now.getTime()) {
     // Token expired or about to expire, refresh it
-    console.log(`Refreshing eBay token for user ${userId}`);
+    console.log(`Refreshing eBay token for user ${userId}${account ? ` (account ${account.id})` : ''}`);
     
     const newTokens = await refreshAccessToken(refreshToken, clientId, clientSecret);
     accessToken = newTokens.access_token;
@@ -188,17 +209,32 @@ async function getValidAccessToken(supabase, userId) {
     const newExpiresAt = new Date(now.getTime() + newTokens.expires_in * 1000);
 
     // Store new access token (encrypted)
-    const { error: updateError } = await supabase
-      .from('users')
-      .update({
-        ebay_access_token: encrypt(accessToken),
-        ebay_token_expires_at: newExpiresAt.toISOString()
-      })
-      .eq('id', userId);
+    const encryptedAccessToken = encrypt(accessToken);
+    const { error: updateError } = account
+      ? await supabase
+        .from('ebay_accounts')
+        .update({
+          access_token: encryptedAccessToken,
+          token_expires_at: newExpiresAt.toISOString()
+        })
+        .eq('id', account.id)
+      : await supabase
+        .from('users')
+        .update({
+          ebay_access_token: encryptedAccessToken,
+          ebay_token_expires_at: newExpiresAt.toISOString()
+        })
+        .eq('id', userId);
 
     if (updateError) {
       console.error('Failed to store refreshed token:', updateError);
       // Continue anyway, token is still valid for this request
+    } else if (account) {
+      await mirrorToUser(supabase, userId, {
+        ...account,
+        access_token: encryptedAccessToken,
+        token_expires_at: newExpiresAt.toISOString()
+      });
     }
   }
 
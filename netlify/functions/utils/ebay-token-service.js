@@ -1,5 +1,6 @@
 const { createClient } = require('@supabase/supabase-js');
 const { decrypt } = require('./ebay-oauth-helpers');
+const { getEbayAccount, disconnectAccount } = require('./ebay-accounts');
 
 // Initialize Supabase client
 const supabase = createClient(
@@ -30,10 +31,15 @@ class TokenError extends Error {
 /**
  * Unified eBay Token Management Service
  * Single source of truth for all eBay token operations
+ *
+ * Scoped to one linked eBay account (ebay_accounts); without an accountId
+ * the user's default account is used.
  */
 class EbayTokenService {
-  constructor(userId) {
+  constructor(userId, accountId = null) {
     this.userId = userId;
+    this.accountId = accountId;
+    this.cacheKey = `${userId}:${accountId || 'default'}`;
     // In-memory cache for access tokens
     // Note: This is per-instance, so works for serverless but not across invocations
     this.cache = new Map();
@@ -49,7 +55,7 @@ class EbayTokenService {
    */
   async getAccessToken() {
     // 1. Check cache for valid access token
-    const cached = this.cache.get(this.userId);
+    const cached = this.cache.get(this.cacheKey);
     if (cached && cached.expiresAt > Date.now() + 60000) { // 1 min buffer
       console.log('✓ Using cached access token', { userId: this.userId });
       return cached.accessToken;
@@ -65,7 +71,7 @@ class EbayTokenService {
     const tokenData = await this.exchangeRefreshToken(credentials);
 
     // 5. Cache access token
-    this.cache.set(this.userId, {
+    this.cache.set(this.cacheKey, {
       accessToken: tokenData.access_token,
       expiresAt: Date.now() + (tokenData.expires_in * 1000)
     });
@@ -74,8 +80,8 @@ class EbayTokenService {
   }
 
   /**
-   * Get user's eBay credentials (app credentials + refresh token)
-   * @returns {Promise<Object>} { appId, certId, refreshToken, ebayUserId }
+   * Get user's eBay credentials (app credentials + the account's refresh token)
+   * @returns {Promise<Object>} { appId, certId, refreshToken, ebayUserId, accountId }
    */
   async getCredentials() {
     // Single RPC call to get all credentials
@@ -100,8 +106,31 @@ class EbayTokenService {
         'GO_TO_ADMIN_SETTINGS');
     }
 
+    // The refresh token comes from the linked account; users without
+    // ebay_accounts rows still have it on users
+    let account;
+    try {
+      account = await getEbayAccount(supabase, this.userId, this.accountId);
+    } catch (error) {
+      throw new TokenError('ACCOUNT_NOT_FOUND', error.message, 'CONNECT_EBAY');
+    }
+
+    const connection = account
+      ? {
+        refreshToken: account.refresh_token,
+        ebayUserId: account.ebay_user_id,
+        connectionStatus: account.connection_status,
+        connectedAt: account.connected_at
+      }
+      : {
+        refreshToken: creds.ebay_refresh_token,
+        ebayUserId: creds.ebay_user_id,
+        connectionStatus: creds.ebay_connection_status,
+        connectedAt: creds.ebay_connected_at
+      };
+
     // Check if user has connected eBay account (refresh token)
-    if (!creds.ebay_refresh_token) {
+    if (!connection.refreshToken) {
       throw new TokenError('NOT_CONNECTED',
         'eBay account not connected. Please complete OAuth flow.',
         'CONNECT_EBAY');
@@ -110,10 +139,11 @@ class EbayTokenService {
     return {
       appId: creds.ebay_app_id,
       certId: this.decryptCertId(creds.ebay_cert_id_encrypted),
-      refreshToken: this.decryptRefreshToken(creds.ebay_refresh_token),
-      ebayUserId: creds.ebay_user_id,
-      connectionStatus: creds.ebay_connection_status,
-      connectedAt: creds.ebay_connected_at
+      refreshToken: this.decryptRefreshToken(connection.refreshToken),
+      ebayUserId: connection.ebayUserId,
+      connectionStatus: connection.connectionStatus,
+      connectedAt: connection.connectedAt,
+      accountId: account?.id || null
     };
   }
 
@@ -133,6 +163,7 @@ class EbayTokenService {
           hasCredentials: true,
           canSync: true,
           ebayUserId: credentials.ebayUserId,
+          accountId: credentials.accountId,
           connectedAt: credentials.connectedAt,
           issues: []
         };
@@ -198,6 +229,17 @@ class EbayTokenService {
    * @returns {Promise<void>}
    */
   async disconnect() {
+    const account = await getEbayAccount(supabase, this.userId, this.accountId).catch(() => null);
+    if (account) {
+      try {
+        await disconnectAccount(supabase, this.userId, account.id);
+      } catch (error) {
+        throw new TokenError('DISCONNECT_FAILED', `Failed to disconnect: ${error.message}`);
+      }
+      this.cache.delete(this.cacheKey);
+      return;
+    }
+
     const { error } = await supabase
       .from('users')
       .update({
@@ -213,7 +255,7 @@ class EbayTokenService {
     }
 
     // Clear cache
-    this.cache.delete(this.userId);
+    this.cache.delete(this.cacheKey);
   }
 
   // ============================================================================
@@ -398,10 +440,17 @@ class EbayTokenService {
             const ageInMonths = (Date.now() - new Date(credentials.connectedAt).getTime()) / (30 * 24 * 60 * 60 * 1000);
             if (ageInMonths > 18) {
               // Token expired, mark as such
-              await supabase
-                .from('users')
-                .update({ ebay_connection_status: 'expired' })
-                .eq('id', this.userId);
+              if (credentials.accountId) {
+                await supabase
+                  .from('ebay_accounts')
+                  .update({ connection_status: 'expired' })
+                  .eq('id', credentials.accountId);
+              } else {
+                await supabase
+                  .from('users')
+                  .update({ ebay_connection_status: 'expired' })
+                  .eq('id', this.userId);
+              }
               return false;
             }
           }
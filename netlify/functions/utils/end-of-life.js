@@ -0,0 +1,125 @@
+/**
+ * End-of-Life Actions
+ *
+ * A listing that reaches its price floor stops being reduced and, without
+ * these rules, sits there forever. Strategies can pick what happens once it
+ * has waited wait_days at the floor:
+ *
+ *   none             → leave it (default)
+ *   notify           → send the seller a notification
+ *   needs_attention  → flag it for the Listings "Needs attention" queue
+ *   end              → end it on eBay (end-listing.js)
+ *   relist           → end it and relist at original_price for a fresh start
+ *                      (Trading API listings; at most max_relists times, then
+ *                      it falls back to needs_attention)
+ *
+ * notify: true also sends a notification alongside any other action.
+ * Stored in strategies.end_of_life_settings:
+ *   { action, wait_days, notify, max_relists }
+ *
+ * listings.floor_reached_at marks when the listing was first seen at the
+ * floor; end_of_life_at marks when the action ran, so it runs once per visit
+ * to the floor. Both are cleared if the price moves back above the floor.
+ */
+
+const { getEffectiveMinimumPrice } = require('./pricing-core');
+
+const END_OF_LIFE_ACTIONS = ['none', 'notify', 'needs_attention', 'end', 'relist'];
+
+const DEFAULT_END_OF_LIFE_SETTINGS = {
+  action: 'none',
+  wait_days: 7,     // Days at the floor before acting
+  notify: false,    // Also notify the seller when acting
+  max_relists: 1    // Fresh starts before falling back to needs_attention
+};
+
+const MAX_WAIT_DAYS = 365;
+const MAX_RELISTS = 10;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Merge a strategy's end-of-life settings over the defaults
+ */
+function getEndOfLifeSettings(strategy) {
+  const settings = { ...DEFAULT_END_OF_LIFE_SETTINGS, ...(strategy?.end_of_life_settings || {}) };
+
+  if (!END_OF_LIFE_ACTIONS.includes(settings.action)) {
+    settings.action = 'none';
+  }
+  settings.wait_days = Math.min(Math.max(parseFloat(settings.wait_days) || 0, 0), MAX_WAIT_DAYS);
+  settings.notify = Boolean(settings.notify);
+  settings.max_relists = Math.min(Math.max(parseInt(settings.max_relists) || 0, 0), MAX_RELISTS);
+
+  return settings;
+}
+
+function hasEndOfLifeAction(strategy) {
+  const settings = getEndOfLifeSettings(strategy);
+  return settings.action !== 'none' || settings.notify;
+}
+
+function isAtPriceFloor(listing) {
+  const currentPrice = parseFloat(listing.current_price);
+  return !isNaN(currentPrice) && currentPrice <= getEffectiveMinimumPrice(listing);
+}
+
+/**
+ * Decide what, if anything, to do with a listing at (or back above) its floor
+ * @param {Object} listing - The listing record
+ * @param {Object} strategy - Its strategy (end_of_life_settings)
+ * @param {Date} now - Reference time
+ * @returns {Object|null}
+ *   { step: 'reset' }                    - back above the floor; clear the markers
+ *   { step: 'mark' }                     - first time seen at the floor
+ *   { step: 'wait', daysLeft }           - at the floor, not long enough yet
+ *   { step: 'act', action, notify, reason }
+ *   null                                 - nothing to do
+ */
+function planEndOfLife(listing, strategy, now = new Date()) {
+  if (!isAtPriceFloor(listing)) {
+    return listing.floor_reached_at ? { step: 'reset' } : null;
+  }
+
+  if (!listing.floor_reached_at) {
+    return { step: 'mark' };
+  }
+
+  if (listing.end_of_life_at || !hasEndOfLifeAction(strategy)) {
+    return null;
+  }
+
+  const settings = getEndOfLifeSettings(strategy);
+  const daysAtFloor = (now.getTime() - new Date(listing.floor_reached_at).getTime()) / DAY_MS;
+  if (daysAtFloor < settings.wait_days) {
+    return { step: 'wait', daysLeft: Math.ceil(settings.wait_days - daysAtFloor) };
+  }
+
+  let action = settings.action === 'none' ? 'notify' : settings.action;
+  let reason = `At price floor $${getEffectiveMinimumPrice(listing)} for ${Math.floor(daysAtFloor)} days`;
+
+  if (action === 'relist') {
+    if (listing.source === 'inventory_api') {
+      action = 'needs_attention';
+      reason += '; relisting Inventory API listings is not supported';
+    } else if ((listing.total_relists || 0) >= settings.max_relists) {
+      action = 'needs_attention';
+      reason += `; already relisted ${listing.total_relists || 0} time(s)`;
+    }
+  }
+
+  return {
+    step: 'act',
+    action,
+    notify: settings.notify && action !== 'notify',
+    reason
+  };
+}
+
+module.exports = {
+  END_OF_LIFE_ACTIONS,
+  DEFAULT_END_OF_LIFE_SETTINGS,
+  getEndOfLifeSettings,
+  hasEndOfLifeAction,
+  isAtPriceFloor,
+  planEndOfLife
+};
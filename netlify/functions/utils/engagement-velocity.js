@@ -0,0 +1,184 @@
+/**
+ * Engagement Velocity
+ *
+ * Keeps periodic snapshots of eBay view/watch (and units sold) counters per
+ * listing and turns them into a trend the reduction engine can act on:
+ * - watchers growing over the window  → pause reductions (interest is building)
+ * - views flat over the window        → accelerate reductions (nobody is looking)
+ *
+ * Strategies opt in through strategies.velocity_settings:
+ *   { enabled, window_days, watcher_growth_threshold, flat_views_threshold, acceleration_factor }
+ */
+
+const DEFAULT_VELOCITY_SETTINGS = {
+  enabled: false,
+  window_days: 7,
+  watcher_growth_threshold: 1, // New watchers within the window that pause reductions
+  flat_views_threshold: 2,     // Views gained within the window at or below this count as flat
+  acceleration_factor: 2       // Reduction interval is divided by this when views are flat
+};
+
+const MAX_WINDOW_DAYS = 60;
+const MAX_ACCELERATION_FACTOR = 10;
+
+/**
+ * Merge a strategy's velocity settings over the defaults
+ */
+function getVelocitySettings(strategy) {
+  const settings = { ...DEFAULT_VELOCITY_SETTINGS, ...(strategy?.velocity_settings || {}) };
+
+  settings.window_days = Math.min(Math.max(parseFloat(settings.window_days) || DEFAULT_VELOCITY_SETTINGS.window_days, 1), MAX_WINDOW_DAYS);
+  settings.acceleration_factor = Math.min(Math.max(parseFloat(settings.acceleration_factor) || 1, 1), MAX_ACCELERATION_FACTOR);
+  settings.watcher_growth_threshold = Math.max(parseInt(settings.watcher_growth_threshold) || 1, 1);
+  settings.flat_views_threshold = Math.max(parseInt(settings.flat_views_threshold) || 0, 0);
+
+  return settings;
+}
+
+function isVelocityEnabled(strategy) {
+  return Boolean(strategy?.velocity_settings?.enabled);
+}
+
+/**
+ * Record one engagement snapshot per listing
+ * @param {Object} supabase - Service-role Supabase client
+ * @param {string} userId - Owner of the listings
+ * @param {Array} rows - [{ listing_id, view_count, watch_count, quantity_sold }]
+ */
+async function recordEngagementSnapshots(supabase, userId, rows) {
+  const snapshots = (rows || [])
+    .filter(row => row.listing_id && (row.view_count != null || row.watch_count != null || row.quantity_sold != null))
+    .map(row => ({
+      listing_id: row.listing_id,
+      user_id: userId,
+      view_count: parseInt(row.view_count) || 0,
+      watch_count: parseInt(row.watch_count) || 0,
+      quantity_sold: row.quantity_sold != null ? parseInt(row.quantity_sold) || 0 : null,
+      captured_at: new Date().toISOString()
+    }));
+
+  if (snapshots.length === 0) {
+    return 0;
+  }
+
+  const { error } = await supabase
+    .from('listing_engagement_snapshots')
+    .insert(snapshots);
+
+  if (error) {
+    console.warn('Failed to record engagement snapshots:', error.message);
+    return 0;
+  }
+
+  return snapshots.length;
+}
+
+/**
+ * Fetch snapshots for a set of listings since a given time, grouped by listing
+ * @returns {Map} listing_id -> snapshots sorted oldest first
+ */
+async function fetchEngagementSnapshots(supabase, listingIds, since) {
+  const byListing = new Map();
+
+  if (!listingIds || listingIds.length === 0) {
+    return byListing;
+  }
+
+  const { data, error } = await supabase
+    .from('listing_engagement_snapshots')
+    .select('listing_id, view_count, watch_count, quantity_sold, captured_at')
+    .in('listing_id', listingIds)
+    .gte('captured_at', since.toISOString())
+    .order('captured_at', { ascending: true });
+
+  if (error) {
+    console.warn('Failed to fetch engagement snapshots:', error.message);
+    return byListing;
+  }
+
+  for (const snapshot of data || []) {
+    if (!byListing.has(snapshot.listing_id)) {
+      byListing.set(snapshot.listing_id, []);
+    }
+    byListing.get(snapshot.listing_id).push(snapshot);
+  }
+
+  return byListing;
+}
+
+/**
+ * Compute view/watch deltas across the snapshots inside the window
+ * Needs at least two snapshots spanning half the window to be meaningful.
+ */
+function getEngagementTrend(snapshots, windowDays, now = new Date()) {
+  const windowStart = now.getTime() - windowDays * 24 * 60 * 60 * 1000;
+  const inWindow = (snapshots || []).filter(s => new Date(s.captured_at).getTime() >= windowStart);
+
+  if (inWindow.length < 2) {
+    return { hasEnoughData: false, snapshotCount: inWindow.length };
+  }
+
+  const first = inWindow[0];
+  const last = inWindow[inWindow.length - 1];
+  const spanDays = (new Date(last.captured_at) - new Date(first.captured_at)) / (24 * 60 * 60 * 1000);
+
+  return {
+    hasEnoughData: spanDays >= windowDays / 2,
+    snapshotCount: inWindow.length,
+    spanDays: Math.round(spanDays * 10) / 10,
+    viewsGained: (last.view_count || 0) - (first.view_count || 0),
+    watchersGained: (last.watch_count || 0) - (first.watch_count || 0),
+    // Only known when the sync source reports quantity sold (Trading API)
+    unitsSold: first.quantity_sold != null && last.quantity_sold != null
+      ? Math.max(last.quantity_sold - first.quantity_sold, 0)
+      : 0
+  };
+}
+
+/**
+ * Decide how engagement should affect the next reduction
+ * @returns {Object} { action: 'normal'|'pause'|'accelerate', intervalMultiplier, reason }
+ */
+function evaluateVelocity(strategy, snapshots, now = new Date()) {
+  if (!isVelocityEnabled(strategy)) {
+    return { action: 'normal', intervalMultiplier: 1 };
+  }
+
+  const settings = getVelocitySettings(strategy);
+  const trend = getEngagementTrend(snapshots, settings.window_days, now);
+
+  if (!trend.hasEnoughData) {
+    return { action: 'normal', intervalMultiplier: 1, reason: 'Not enough engagement history', trend };
+  }
+
+  if (trend.watchersGained >= settings.watcher_growth_threshold) {
+    return {
+      action: 'pause',
+      intervalMultiplier: 1,
+      reason: `Watchers grew by ${trend.watchersGained} in ${settings.window_days} days`,
+      trend
+    };
+  }
+
+  if (trend.viewsGained <= settings.flat_views_threshold) {
+    return {
+      action: 'accelerate',
+      intervalMultiplier: 1 / settings.acceleration_factor,
+      reason: `Views flat (+${trend.viewsGained}) in ${settings.window_days} days`,
+      trend
+    };
+  }
+
+  return { action: 'normal', intervalMultiplier: 1, trend };
+}
+
+module.exports = {
+  DEFAULT_VELOCITY_SETTINGS,
+  MAX_WINDOW_DAYS,
+  getVelocitySettings,
+  isVelocityEnabled,
+  recordEngagementSnapshots,
+  fetchEngagementSnapshots,
+  getEngagementTrend,
+  evaluateVelocity
+};
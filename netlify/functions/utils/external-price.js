@@ -0,0 +1,142 @@
+/**
+ * External Price Edits
+ *
+ * A seller can change a price directly on eBay (Seller Hub, the app). When a
+ * sync, refresh or ItemRevised notification reports a price that differs from
+ * the one we last pushed, that is an external edit. Every push records its
+ * price in listings.last_pushed_price before calling eBay (recordPricePush),
+ * so eBay echoing a push back before the caller has written current_price is
+ * still recognised as ours. current_price also counts as ours, which covers a
+ * push that was recorded but failed. The edit is logged in price_history
+ * (change_type 'external') and handled per users.external_price_policy:
+ *
+ *   pause    → take the eBay price, turn auto-reduction off, flag the listing
+ *   adopt    → take the eBay price as the new baseline (original_price), keep reducing from it
+ *   reassert → push our last price back to eBay
+ *
+ * Only listings with auto-reduction on are checked: without it nothing would
+ * fight the seller's edit, and auction prices move with every bid.
+ */
+
+const EXTERNAL_PRICE_POLICIES = ['pause', 'adopt', 'reassert'];
+const DEFAULT_EXTERNAL_PRICE_POLICY = 'pause';
+
+const PRICE_TOLERANCE = 0.01;
+
+function getExternalPricePolicy(user) {
+  return EXTERNAL_PRICE_POLICIES.includes(user?.external_price_policy)
+    ? user.external_price_policy
+    : DEFAULT_EXTERNAL_PRICE_POLICY;
+}
+
+/**
+ * Note a price about to be pushed to eBay; call it before the eBay request
+ * A failed write is logged, not thrown: detection falls back to current_price.
+ */
+async function recordPricePush(supabase, listing, price) {
+  const { error } = await supabase
+    .from('listings')
+    .update({
+      last_pushed_price: Math.round(parseFloat(price) * 100) / 100,
+      last_pushed_at: new Date().toISOString()
+    })
+    .eq('id', listing.id);
+
+  if (error) {
+    console.warn(`Failed to record price push for listing ${listing.id}:`, error.message);
+  }
+}
+
+/**
+ * Whether an incoming eBay price is an edit made outside this app
+ * Needs last_pushed_price and current_price on the listing.
+ */
+function isExternalPriceChange(listing, ebayPrice) {
+  const price = parseFloat(ebayPrice);
+  const ours = [listing?.last_pushed_price, listing?.current_price]
+    .map(value => parseFloat(value))
+    .filter(value => value > 0);
+  if (!listing?.enable_auto_reduction || !(price > 0) || ours.length === 0) return false;
+
+  return ours.every(expected => Math.abs(price - expected) > PRICE_TOLERANCE);
+}
+
+/**
+ * Handle an external edit per the seller's policy
+ * @param {Object} supabase - Service-role Supabase client
+ * @param {Object} listing - Stored listing (needs id, current_price, and source/ebay ids for reassert)
+ * @param {number} ebayPrice - Price eBay reported
+ * @param {Object} options
+ * @param {string} options.policy - pause / adopt / reassert
+ * @param {Function} options.pushPrice - async (listing, price) → pushes to eBay (reassert)
+ * @param {string} options.source - Where it was seen: sync / refresh / notification
+ * @returns {Promise<Object>} { action, updates } - listing columns the caller writes with its own update
+ */
+async function reconcileExternalPrice(supabase, listing, ebayPrice, { policy = DEFAULT_EXTERNAL_PRICE_POLICY, pushPrice = null, source = 'sync' } = {}) {
+  const now = new Date();
+  const price = Math.round(parseFloat(ebayPrice) * 100) / 100;
+  const expected = Math.round(parseFloat(listing.current_price) * 100) / 100;
+  let action = policy;
+  let updates;
+
+  if (policy === 'reassert') {
+    try {
+      if (!pushPrice) throw new Error('No way to push the price from here');
+      await pushPrice(listing, expected);
+      updates = { current_price: expected };
+    } catch (error) {
+      // Could not put our price back: stop automation rather than fight blind
+      console.warn(`Failed to re-assert $${expected} on listing ${listing.id}:`, error.message);
+      action = 'pause';
+    }
+  }
+
+  if (action === 'adopt') {
+    updates = {
+      current_price: price,
+      original_price: price,
+      floor_reached_at: null,
+      end_of_life_at: null
+    };
+  }
+
+  if (action === 'pause') {
+    updates = {
+      current_price: price,
+      enable_auto_reduction: false,
+      needs_attention: true,
+      needs_attention_reason: `Price changed on eBay from $${expected.toFixed(2)} to $${price.toFixed(2)}; automation paused`
+    };
+  }
+
+  const reason = {
+    pause: 'automation paused',
+    adopt: 'adopted as new baseline',
+    reassert: `re-asserted $${expected.toFixed(2)}`
+  }[action];
+
+  const { error } = await supabase.from('price_history').insert({
+    listing_id: listing.id,
+    price,
+    previous_price: expected,
+    change_type: 'external',
+    change_reason: `Changed on eBay (seen by ${source}); ${reason}`,
+    timestamp: now.toISOString()
+  });
+
+  if (error) {
+    console.warn(`Failed to log external price change for listing ${listing.id}:`, error.message);
+  }
+
+  console.log(`✏️ External price edit on listing ${listing.id}: $${expected} → $${price} (${action})`);
+  return { action, updates };
+}
+
+module.exports = {
+  EXTERNAL_PRICE_POLICIES,
+  DEFAULT_EXTERNAL_PRICE_POLICY,
+  getExternalPricePolicy,
+  recordPricePush,
+  isExternalPriceChange,
+  reconcileExternalPrice
+};
@@ -0,0 +1,369 @@
+/**
+ * Fee Schedules
+ *
+ * Versioned eBay fee tables (add-fee-schedules.sql). The version in effect
+ * is the latest whose effective_from has passed. Administrators create a
+ * new version as a copy of an existing one, edit it until it takes effect,
+ * and delete versions that never did; versions already in effect are kept
+ * unchanged so past estimates can be explained.
+ */
+
+const MARKETPLACE_ID = 'EBAY_US';
+
+// Used when no schedule is stored (migration not run, or lookup failed)
+const DEFAULT_FEE_SCHEDULE = {
+  id: null,
+  version: null,
+  name: 'eBay US standard',
+  marketplaceId: MARKETPLACE_ID,
+  effectiveFrom: null,
+  defaultFinalValueFeePercentage: 13.25,
+  tierThreshold: 7500,
+  aboveThresholdFeePercentage: 2.35,
+  perOrderFee: 0.40,
+  smallOrderPerOrderFee: 0.30,
+  smallOrderThreshold: 10,
+  notes: null,
+  categories: []
+};
+
+const MAX_FEE_PERCENTAGE = 30;
+
+class FeeScheduleError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'FeeScheduleError';
+    this.statusCode = statusCode;
+  }
+}
+
+const toNumber = (value) => {
+  if (value === null || value === undefined || value === '') return null;
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? number : null;
+};
+
+function formatCategory(row) {
+  return {
+    categoryId: row.category_id,
+    categoryName: row.category_name,
+    finalValueFeePercentage: toNumber(row.final_value_fee_percentage),
+    tierThreshold: toNumber(row.tier_threshold),
+    aboveThresholdFeePercentage: toNumber(row.above_threshold_fee_percentage)
+  };
+}
+
+function formatSchedule(row, categories = []) {
+  return {
+    id: row.id,
+    version: row.version,
+    name: row.name,
+    marketplaceId: row.marketplace_id,
+    effectiveFrom: row.effective_from,
+    defaultFinalValueFeePercentage: toNumber(row.default_final_value_fee_percentage),
+    tierThreshold: toNumber(row.tier_threshold),
+    aboveThresholdFeePercentage: toNumber(row.above_threshold_fee_percentage),
+    perOrderFee: toNumber(row.per_order_fee),
+    smallOrderPerOrderFee: toNumber(row.small_order_per_order_fee),
+    smallOrderThreshold: toNumber(row.small_order_threshold),
+    notes: row.notes,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+    categories: categories.map(formatCategory)
+  };
+}
+
+async function loadCategories(supabase, scheduleId) {
+  const { data, error } = await supabase
+    .from('fee_schedule_categories')
+    .select('*')
+    .eq('schedule_id', scheduleId)
+    .order('category_id');
+
+  if (error) throw error;
+  return data || [];
+}
+
+/**
+ * The schedule in effect at a point in time
+ * Falls back to DEFAULT_FEE_SCHEDULE (logged) so estimates keep working.
+ */
+async function getActiveFeeSchedule(supabase, { at = new Date(), marketplaceId = MARKETPLACE_ID } = {}) {
+  try {
+    const { data: row, error } = await supabase
+      .from('fee_schedules')
+      .select('*')
+      .eq('marketplace_id', marketplaceId)
+      .lte('effective_from', at.toISOString())
+      .order('effective_from', { ascending: false })
+      .limit(1)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!row) return DEFAULT_FEE_SCHEDULE;
+
+    return formatSchedule(row, await loadCategories(supabase, row.id));
+  } catch (error) {
+    console.warn('Failed to load fee schedule, using eBay standard rates:', error.message);
+    return DEFAULT_FEE_SCHEDULE;
+  }
+}
+
+/**
+ * All versions, newest first, flagged with the one in effect
+ */
+async function listFeeSchedules(supabase, { marketplaceId = MARKETPLACE_ID } = {}) {
+  const { data, error } = await supabase
+    .from('fee_schedules')
+    .select('*')
+    .eq('marketplace_id', marketplaceId)
+    .order('version', { ascending: false });
+
+  if (error) throw error;
+
+  const now = Date.now();
+  const activeId = (data || [])
+    .filter(row => new Date(row.effective_from).getTime() <= now)
+    .sort((a, b) => new Date(b.effective_from) - new Date(a.effective_from))[0]?.id || null;
+
+  return (data || []).map(row => ({
+    ...formatSchedule(row),
+    active: row.id === activeId,
+    editable: new Date(row.effective_from).getTime() > now
+  }));
+}
+
+async function getFeeSchedule(supabase, scheduleId) {
+  if (!scheduleId) throw new FeeScheduleError('Fee schedule not found', 404);
+
+  const { data: row, error } = await supabase
+    .from('fee_schedules')
+    .select('*')
+    .eq('id', scheduleId)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!row) throw new FeeScheduleError('Fee schedule not found', 404);
+
+  return {
+    ...formatSchedule(row, await loadCategories(supabase, row.id)),
+    editable: new Date(row.effective_from).getTime() > Date.now()
+  };
+}
+
+function parsePercentage(value, field, { required = false } = {}) {
+  const number = toNumber(value);
+  if (number === null) {
+    if (required) throw new FeeScheduleError(`${field} is required`);
+    return null;
+  }
+  if (number < 0 || number > MAX_FEE_PERCENTAGE) {
+    throw new FeeScheduleError(`${field} must be between 0 and ${MAX_FEE_PERCENTAGE}`);
+  }
+  return Math.round(number * 100) / 100;
+}
+
+function parseAmount(value, field, { required = false, positive = false } = {}) {
+  const number = toNumber(value);
+  if (number === null) {
+    if (required) throw new FeeScheduleError(`${field} is required`);
+    return null;
+  }
+  if (number < 0 || (positive && number === 0)) {
+    throw new FeeScheduleError(`${field} must be ${positive ? 'greater than 0' : '0 or more'}`);
+  }
+  return Math.round(number * 100) / 100;
+}
+
+/**
+ * Check and convert an edited schedule to column values
+ * @returns {{ fields: Object, categories: Array|null }}
+ */
+function validateScheduleInput(input = {}) {
+  const fields = {};
+
+  if (input.name !== undefined) {
+    if (typeof input.name !== 'string' || !input.name.trim()) {
+      throw new FeeScheduleError('name must be a non-empty string');
+    }
+    fields.name = input.name.trim().substring(0, 100);
+  }
+  if (input.effectiveFrom !== undefined) {
+    const effectiveFrom = new Date(input.effectiveFrom);
+    if (isNaN(effectiveFrom.getTime())) {
+      throw new FeeScheduleError('effectiveFrom must be a date');
+    }
+    fields.effective_from = effectiveFrom.toISOString();
+  }
+  if (input.defaultFinalValueFeePercentage !== undefined) {
+    fields.default_final_value_fee_percentage = parsePercentage(input.defaultFinalValueFeePercentage, 'defaultFinalValueFeePercentage', { required: true });
+  }
+  if (input.tierThreshold !== undefined) {
+    fields.tier_threshold = parseAmount(input.tierThreshold, 'tierThreshold', { positive: true });
+  }
+  if (input.aboveThresholdFeePercentage !== undefined) {
+    fields.above_threshold_fee_percentage = parsePercentage(input.aboveThresholdFeePercentage, 'aboveThresholdFeePercentage');
+  }
+  if (input.perOrderFee !== undefined) {
+    fields.per_order_fee = parseAmount(input.perOrderFee, 'perOrderFee', { required: true });
+  }
+  if (input.smallOrderPerOrderFee !== undefined) {
+    fields.small_order_per_order_fee = parseAmount(input.smallOrderPerOrderFee, 'smallOrderPerOrderFee', { required: true });
+  }
+  if (input.smallOrderThreshold !== undefined) {
+    fields.small_order_threshold = parseAmount(input.smallOrderThreshold, 'smallOrderThreshold', { required: true });
+  }
+  if (input.notes !== undefined) {
+    fields.notes = input.notes ? String(input.notes).substring(0, 1000) : null;
+  }
+
+  let categories = null;
+  if (input.categories !== undefined) {
+    if (!Array.isArray(input.categories)) {
+      throw new FeeScheduleError('categories must be an array');
+    }
+    const seen = new Set();
+    categories = input.categories.map((category, index) => {
+      const categoryId = String(category.categoryId || '').trim();
+      if (!categoryId) throw new FeeScheduleError(`categories[${index}].categoryId is required`);
+      if (seen.has(categoryId)) throw new FeeScheduleError(`Category ${categoryId} is listed twice`);
+      seen.add(categoryId);
+
+      return {
+        category_id: categoryId,
+        category_name: category.categoryName ? String(category.categoryName).substring(0, 200) : null,
+        final_value_fee_percentage: parsePercentage(category.finalValueFeePercentage, `categories[${index}].finalValueFeePercentage`, { required: true }),
+        tier_threshold: parseAmount(category.tierThreshold, `categories[${index}].tierThreshold`, { positive: true }),
+        above_threshold_fee_percentage: parsePercentage(category.aboveThresholdFeePercentage, `categories[${index}].aboveThresholdFeePercentage`)
+      };
+    });
+  }
+
+  return { fields, categories };
+}
+
+// Taking effect now is fine; back-dating would change past estimates
+function clampEffectiveFrom(fields) {
+  if (fields.effective_from && new Date(fields.effective_from).getTime() < Date.now()) {
+    fields.effective_from = new Date().toISOString();
+  }
+  return fields;
+}
+
+async function replaceCategories(supabase, scheduleId, categories) {
+  const { error: deleteError } = await supabase
+    .from('fee_schedule_categories')
+    .delete()
+    .eq('schedule_id', scheduleId);
+
+  if (deleteError) throw deleteError;
+  if (categories.length === 0) return;
+
+  const { error } = await supabase
+    .from('fee_schedule_categories')
+    .insert(categories.map(category => ({ ...category, schedule_id: scheduleId })));
+
+  if (error) throw error;
+}
+
+/**
+ * Start a new version as a copy of another (default: the one in effect)
+ * It takes effect a week from now unless effectiveFrom says otherwise.
+ */
+async function createFeeScheduleVersion(supabase, userId, { copyFromId = null, ...input } = {}) {
+  const source = copyFromId
+    ? await getFeeSchedule(supabase, copyFromId)
+    : await getActiveFeeSchedule(supabase);
+
+  const { data: latest, error: latestError } = await supabase
+    .from('fee_schedules')
+    .select('version')
+    .order('version', { ascending: false })
+    .limit(1)
+    .maybeSingle();
+
+  if (latestError) throw latestError;
+
+  const { fields, categories } = validateScheduleInput({
+    name: source.name,
+    defaultFinalValueFeePercentage: source.defaultFinalValueFeePercentage,
+    tierThreshold: source.tierThreshold,
+    aboveThresholdFeePercentage: source.aboveThresholdFeePercentage,
+    perOrderFee: source.perOrderFee,
+    smallOrderPerOrderFee: source.smallOrderPerOrderFee,
+    smallOrderThreshold: source.smallOrderThreshold,
+    notes: source.notes,
+    categories: source.categories,
+    effectiveFrom: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000).toISOString(),
+    ...input
+  });
+
+  const { data: row, error } = await supabase
+    .from('fee_schedules')
+    .insert({
+      ...clampEffectiveFrom(fields),
+      version: (latest?.version || 0) + 1,
+      marketplace_id: source.marketplaceId || MARKETPLACE_ID,
+      created_by: userId
+    })
+    .select()
+    .single();
+
+  if (error) throw error;
+
+  await replaceCategories(supabase, row.id, categories);
+  return getFeeSchedule(supabase, row.id);
+}
+
+/**
+ * Edit a version that has not taken effect yet
+ */
+async function updateFeeSchedule(supabase, scheduleId, input) {
+  const existing = await getFeeSchedule(supabase, scheduleId);
+  if (!existing.editable) {
+    throw new FeeScheduleError('This version is already in effect; create a new version instead', 409);
+  }
+
+  const { fields, categories } = validateScheduleInput(input);
+
+  const { error } = await supabase
+    .from('fee_schedules')
+    .update({ ...clampEffectiveFrom(fields), updated_at: new Date().toISOString() })
+    .eq('id', scheduleId);
+
+  if (error) throw error;
+
+  if (categories) {
+    await replaceCategories(supabase, scheduleId, categories);
+  }
+  return getFeeSchedule(supabase, scheduleId);
+}
+
+/**
+ * Delete a version that never took effect
+ */
+async function deleteFeeSchedule(supabase, scheduleId) {
+  const existing = await getFeeSchedule(supabase, scheduleId);
+  if (!existing.editable) {
+    throw new FeeScheduleError('Versions that have been in effect cannot be deleted', 409);
+  }
+
+  const { error } = await supabase
+    .from('fee_schedules')
+    .delete()
+    .eq('id', scheduleId);
+
+  if (error) throw error;
+  return existing;
+}
+
+module.exports = {
+  DEFAULT_FEE_SCHEDULE,
+  FeeScheduleError,
+  getActiveFeeSchedule,
+  listFeeSchedules,
+  getFeeSchedule,
+  createFeeScheduleVersion,
+  updateFeeSchedule,
+  deleteFeeSchedule
+};
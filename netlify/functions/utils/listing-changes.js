@@ -0,0 +1,114 @@
+/**
+ * Listing Changes
+ *
+ * Delta sync for the importers: a sha256 checksum of the fields eBay owns is
+ * stored on listings.data_checksum. A listing whose checksum matches is not
+ * rewritten; one that differs is updated and the columns that moved are
+ * written to listing_changes (the "what changed since last sync" feed).
+ */
+
+const crypto = require('crypto');
+
+// Feed group → listing columns; only these groups are recorded
+const CHANGE_GROUPS = {
+  price: ['current_price'],
+  quantity: ['quantity_available', 'quantity_sold'],
+  title: ['title'],
+  images: ['image_url'],
+  status: ['listing_status']
+};
+
+// Everything the importers write from eBay (engagement counters included so
+// they still get stored when they are the only thing that moved)
+const CHECKSUM_FIELDS = [
+  'title', 'current_price', 'quantity_available', 'quantity_sold',
+  'listing_status', 'image_url', 'ebay_url', 'offer_id',
+  'ebay_item_id', 'ebay_sku', 'view_count', 'watch_count'
+];
+
+const PRICE_FIELDS = ['current_price'];
+
+function normalize(field, value) {
+  if (value === undefined || value === null || value === '') return null;
+  if (PRICE_FIELDS.includes(field)) return Math.round(parseFloat(value) * 100) / 100;
+  if (/_count$|^quantity_/.test(field)) return parseInt(value);
+  return String(value);
+}
+
+/**
+ * Checksum of the eBay-owned fields of a listing row
+ */
+function calculateChecksum(row) {
+  const relevantData = {};
+  for (const field of CHECKSUM_FIELDS) {
+    relevantData[field] = normalize(field, row[field]);
+  }
+  return crypto.createHash('sha256')
+    .update(JSON.stringify(relevantData))
+    .digest('hex');
+}
+
+/**
+ * Columns in CHANGE_GROUPS that differ between the stored row and the update
+ * Fields missing from the update (e.g. not reported by this API) are skipped.
+ * @returns {Object} { changedFields: ['price', ...], changes: { column: { from, to } } }
+ */
+function diffListing(existing, update) {
+  const changedFields = [];
+  const changes = {};
+
+  for (const [group, columns] of Object.entries(CHANGE_GROUPS)) {
+    for (const column of columns) {
+      if (update[column] === undefined) continue;
+      const from = normalize(column, existing[column]);
+      const to = normalize(column, update[column]);
+      if (from !== to) {
+        changes[column] = { from, to };
+        if (!changedFields.includes(group)) changedFields.push(group);
+      }
+    }
+  }
+
+  return { changedFields, changes };
+}
+
+/**
+ * Append entries to the change feed
+ * @param {Array} rows - [{ listing_id, changedFields, changes }]
+ * @param {string} source - 'sync' (importers) or 'refresh' (sync-service)
+ */
+async function recordListingChanges(supabase, userId, rows, source = 'sync') {
+  const entries = (rows || [])
+    .filter(row => row.listing_id && row.changedFields?.length > 0)
+    .map(row => ({
+      listing_id: row.listing_id,
+      user_id: userId,
+      changed_fields: row.changedFields,
+      changes: row.changes,
+      source,
+      detected_at: new Date().toISOString()
+    }));
+
+  if (entries.length === 0) {
+    return 0;
+  }
+
+  const { error } = await supabase
+    .from('listing_changes')
+    .insert(entries);
+
+  if (error) {
+    console.warn('Failed to record listing changes:', error.message);
+    return 0;
+  }
+
+  return entries.length;
+}
+
+module.exports = {
+  CHANGE_GROUPS,
+  CHECKSUM_FIELDS,
+  calculateChecksum,
+  diffListing,
+  recordListingChanges
+};
@@ -0,0 +1,196 @@
+/**
+ * Listing Drafts
+ *
+ * Listings saved before (or while) they go to eBay (add-listing-drafts.sql).
+ * create-ebay-listing.js validates a draft without touching eBay and records
+ * each publish step on it; listing-drafts.js lists, saves and discards them.
+ *
+ * Statuses:
+ *   draft          saved, not validated since the last edit
+ *   validated      passed validation (resolved holds the preview)
+ *   offer_created  the eBay offer exists but is not published yet
+ *   published      live on eBay (ebay_item_id, listing_id)
+ *   failed         the inventory item or offer could not be created
+ */
+
+const DRAFT_STATUSES = ['draft', 'validated', 'offer_created', 'published', 'failed'];
+
+// Request fields that steer create-ebay-listing rather than describe the listing
+const CONTROL_FIELDS = ['mode', 'draftId'];
+
+const MAX_DRAFTS_PAGE = 100;
+
+class ListingDraftError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'ListingDraftError';
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * The listing fields of a create-ebay-listing request
+ */
+function toDraftPayload(body = {}) {
+  const payload = { ...body };
+  for (const field of CONTROL_FIELDS) delete payload[field];
+  return payload;
+}
+
+function formatDraft(draft) {
+  return {
+    id: draft.id,
+    status: draft.status,
+    title: draft.title,
+    ebayAccountId: draft.ebay_account_id,
+    payload: draft.payload,
+    resolved: draft.resolved,
+    sku: draft.sku,
+    offerId: draft.offer_id,
+    ebayItemId: draft.ebay_item_id,
+    listingId: draft.listing_id,
+    lastStep: draft.last_step,
+    lastError: draft.last_error,
+    validatedAt: draft.validated_at,
+    publishedAt: draft.published_at,
+    createdAt: draft.created_at,
+    updatedAt: draft.updated_at
+  };
+}
+
+/**
+ * Load one of the user's drafts
+ * @throws {ListingDraftError} 404 when missing or someone else's
+ */
+async function getDraft(supabase, userId, draftId) {
+  if (!draftId) {
+    throw new ListingDraftError('Draft not found', 404);
+  }
+
+  const { data, error } = await supabase
+    .from('listing_drafts')
+    .select('*')
+    .eq('id', draftId)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!data || data.user_id !== userId) {
+    throw new ListingDraftError('Draft not found', 404);
+  }
+  return data;
+}
+
+/**
+ * Create a draft, or replace the listing fields of an existing one
+ * Editing drops the last validation; an unpublished offer is kept so the
+ * next publish updates it instead of creating another.
+ */
+async function saveDraft(supabase, userId, { id = null, payload }) {
+  const listing = toDraftPayload(payload);
+  const fields = {
+    payload: listing,
+    title: typeof listing.title === 'string' ? listing.title.substring(0, 200) : null,
+    ebay_account_id: listing.ebayAccountId || null,
+    resolved: null,
+    validated_at: null,
+    updated_at: new Date().toISOString()
+  };
+
+  if (!id) {
+    const { data, error } = await supabase
+      .from('listing_drafts')
+      .insert({ user_id: userId, status: 'draft', ...fields })
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  }
+
+  const existing = await getDraft(supabase, userId, id);
+  if (existing.status === 'published') {
+    throw new ListingDraftError('This draft is already published; edit the listing instead', 409);
+  }
+
+  const { data, error } = await supabase
+    .from('listing_drafts')
+    .update({ ...fields, status: existing.offer_id ? 'offer_created' : 'draft' })
+    .eq('id', id)
+    .select()
+    .single();
+
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Record progress on a draft
+ * Never throws: losing the bookkeeping must not fail a listing that eBay
+ * accepted. Returns the updated row, or null.
+ */
+async function updateDraft(supabase, draftId, fields) {
+  if (!draftId) return null;
+
+  try {
+    const { data, error } = await supabase
+      .from('listing_drafts')
+      .update({ ...fields, updated_at: new Date().toISOString() })
+      .eq('id', draftId)
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  } catch (error) {
+    console.error(`Failed to update listing draft ${draftId}:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * The user's drafts, newest first
+ * @param {Object} options - { status, includePublished, limit }
+ */
+async function listDrafts(supabase, userId, { status = null, includePublished = false, limit = 50 } = {}) {
+  if (status && !DRAFT_STATUSES.includes(status)) {
+    throw new ListingDraftError(`status must be one of: ${DRAFT_STATUSES.join(', ')}`);
+  }
+
+  let query = supabase
+    .from('listing_drafts')
+    .select('*')
+    .eq('user_id', userId)
+    .order('updated_at', { ascending: false })
+    .limit(Math.min(parseInt(limit) || 50, MAX_DRAFTS_PAGE));
+
+  if (status) {
+    query = query.eq('status', status);
+  } else if (!includePublished) {
+    query = query.neq('status', 'published');
+  }
+
+  const { data, error } = await query;
+  if (error) throw error;
+  return data || [];
+}
+
+async function deleteDraft(supabase, draftId) {
+  const { error } = await supabase
+    .from('listing_drafts')
+    .delete()
+    .eq('id', draftId);
+
+  if (error) throw error;
+}
+
+module.exports = {
+  DRAFT_STATUSES,
+  ListingDraftError,
+  toDraftPayload,
+  formatDraft,
+  getDraft,
+  saveDraft,
+  updateDraft,
+  listDrafts,
+  deleteDraft
+};
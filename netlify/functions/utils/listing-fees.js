@@ -0,0 +1,198 @@
+/**
+ * Listing Fees
+ *
+ * Estimates what a sale nets after eBay's cut:
+ *
+ *   net proceeds = price - final value fee - per-order fee
+ *                  - promoted listing ad fee - outbound shipping cost
+ *   profit       = net proceeds - item cost - inbound shipping
+ *
+ * Final value fee rate, most specific first: the seller's category_fee_rates
+ * row, their profit_floor_settings default (both also used by
+ * calculate_profit_floor), then the fee schedule in effect
+ * (utils/fee-schedules.js) for the category, then its default. Tiered rates
+ * and the small-order per-order fee only apply to schedule rates.
+ *
+ * Batch callers load a fee context once per seller with loadFeeContext and
+ * estimate each listing synchronously.
+ */
+
+const { getActiveFeeSchedule } = require('./fee-schedules');
+
+const toNumber = (value) => {
+  if (value === null || value === undefined || value === '') return null;
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? number : null;
+};
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Everything needed to estimate a seller's fees
+ * Lookup errors fall back to schedule rates; an estimate is better than none.
+ * @returns {Promise<{schedule, sellerRates: Map, sellerSettings}>}
+ */
+async function loadFeeContext(supabase, userId, { at = new Date() } = {}) {
+  const [schedule, ratesResult, userResult] = await Promise.all([
+    getActiveFeeSchedule(supabase, { at }),
+    supabase
+      .from('category_fee_rates')
+      .select('category_id, final_value_fee_percentage, per_order_fee')
+      .eq('user_id', userId),
+    supabase
+      .from('users')
+      .select('profit_floor_settings')
+      .eq('id', userId)
+      .maybeSingle()
+  ]);
+
+  if (ratesResult.error) {
+    console.warn('Failed to load category fee rates:', ratesResult.error.message);
+  }
+  if (userResult.error) {
+    console.warn('Failed to load fee defaults:', userResult.error.message);
+  }
+
+  const sellerRates = new Map(
+    (ratesResult.data || []).map(rate => [String(rate.category_id), rate])
+  );
+
+  return {
+    schedule,
+    sellerRates,
+    sellerSettings: userResult.data?.profit_floor_settings || {}
+  };
+}
+
+/**
+ * Fee rates that apply to a listing in a category
+ * @returns {Object} { finalValueFeePercentage, tierThreshold, aboveThresholdFeePercentage,
+ *                     perOrderFee, smallOrderPerOrderFee, smallOrderThreshold,
+ *                     source, scheduleVersion }
+ *          source is 'seller_category', 'seller_default', 'schedule_category' or 'schedule'
+ */
+function resolveFeeRates(context, categoryId) {
+  const { schedule, sellerRates, sellerSettings } = context;
+  const key = categoryId ? String(categoryId) : null;
+  const sellerRate = key ? sellerRates.get(key) : null;
+  const scheduleCategory = key ? schedule.categories.find(c => c.categoryId === key) : null;
+
+  const sellerCategoryFee = toNumber(sellerRate?.final_value_fee_percentage);
+  const sellerDefaultFee = toNumber(sellerSettings.default_final_value_fee_percentage);
+
+  let rates;
+  if (sellerCategoryFee !== null || sellerDefaultFee !== null) {
+    rates = {
+      finalValueFeePercentage: sellerCategoryFee ?? sellerDefaultFee,
+      tierThreshold: null,
+      aboveThresholdFeePercentage: null,
+      source: sellerCategoryFee !== null ? 'seller_category' : 'seller_default'
+    };
+  } else if (scheduleCategory) {
+    rates = {
+      finalValueFeePercentage: scheduleCategory.finalValueFeePercentage,
+      tierThreshold: scheduleCategory.tierThreshold ?? schedule.tierThreshold,
+      aboveThresholdFeePercentage: scheduleCategory.aboveThresholdFeePercentage ?? schedule.aboveThresholdFeePercentage,
+      source: 'schedule_category'
+    };
+  } else {
+    rates = {
+      finalValueFeePercentage: schedule.defaultFinalValueFeePercentage,
+      tierThreshold: schedule.tierThreshold,
+      aboveThresholdFeePercentage: schedule.aboveThresholdFeePercentage,
+      source: 'schedule'
+    };
+  }
+
+  // A per-order fee the seller entered replaces the schedule's, whatever the order size
+  const sellerPerOrderFee = toNumber(sellerRate?.per_order_fee) ?? toNumber(sellerSettings.default_per_order_fee);
+
+  return {
+    ...rates,
+    perOrderFee: sellerPerOrderFee ?? schedule.perOrderFee,
+    smallOrderPerOrderFee: sellerPerOrderFee ?? schedule.smallOrderPerOrderFee,
+    smallOrderThreshold: schedule.smallOrderThreshold,
+    scheduleVersion: schedule.version
+  };
+}
+
+/**
+ * Fee rates for one listing, loading the context on the way
+ */
+async function getFeeRates(supabase, userId, categoryId) {
+  return resolveFeeRates(await loadFeeContext(supabase, userId), categoryId);
+}
+
+/**
+ * Fees, net proceeds and margin for a sale at the given price
+ * @param {number} price - Sale price
+ * @param {Object} rates - From resolveFeeRates
+ * @param {Object} costs - { promotedAdRate, shippingCost, itemCost, inboundShippingCost }
+ *                         itemCost null = unknown, so no profit or margin
+ */
+function estimateFees(price, rates, { promotedAdRate = 0, shippingCost = 0, itemCost = null, inboundShippingCost = 0 } = {}) {
+  const salePrice = Math.max(toNumber(price) ?? 0, 0);
+
+  let finalValueFee = salePrice * (rates.finalValueFeePercentage / 100);
+  if (rates.tierThreshold && rates.aboveThresholdFeePercentage !== null && salePrice > rates.tierThreshold) {
+    finalValueFee = rates.tierThreshold * (rates.finalValueFeePercentage / 100) +
+      (salePrice - rates.tierThreshold) * (rates.aboveThresholdFeePercentage / 100);
+  }
+
+  const perOrderFee = salePrice === 0
+    ? 0
+    : salePrice <= rates.smallOrderThreshold ? rates.smallOrderPerOrderFee : rates.perOrderFee;
+  const adRate = toNumber(promotedAdRate) ?? 0;
+  const promotedFee = salePrice * (adRate / 100);
+  const shipping = toNumber(shippingCost) ?? 0;
+
+  const totalFees = roundMoney(finalValueFee) + roundMoney(perOrderFee) + roundMoney(promotedFee);
+  const netProceeds = roundMoney(salePrice - totalFees - shipping);
+
+  const cost = toNumber(itemCost);
+  const profit = cost === null ? null : roundMoney(netProceeds - cost - (toNumber(inboundShippingCost) ?? 0));
+
+  return {
+    price: roundMoney(salePrice),
+    finalValueFee: roundMoney(finalValueFee),
+    perOrderFee: roundMoney(perOrderFee),
+    promotedAdRate: adRate,
+    promotedFee: roundMoney(promotedFee),
+    shippingCost: roundMoney(shipping),
+    totalFees: roundMoney(totalFees),
+    netProceeds,
+    itemCost: cost,
+    profit,
+    marginPercentage: profit === null || salePrice === 0 ? null : Math.round((profit / salePrice) * 1000) / 10,
+    rates
+  };
+}
+
+/**
+ * A listing's own selling costs, with the seller's defaults filled in
+ */
+function getListingCosts(listing, context) {
+  const settings = context.sellerSettings || {};
+  return {
+    promotedAdRate: toNumber(listing.promoted_ad_rate) ?? toNumber(settings.default_promoted_ad_rate) ?? 0,
+    shippingCost: toNumber(listing.shipping_cost) ?? toNumber(settings.default_shipping_cost) ?? 0,
+    itemCost: toNumber(listing.item_cost),
+    inboundShippingCost: toNumber(listing.inbound_shipping_cost) ?? 0
+  };
+}
+
+/**
+ * Estimate for a stored listing, at its current price unless another is given
+ */
+function estimateListingFees(listing, context, price = listing.current_price) {
+  return estimateFees(price, resolveFeeRates(context, listing.category_id), getListingCosts(listing, context));
+}
+
+module.exports = {
+  loadFeeContext,
+  resolveFeeRates,
+  getFeeRates,
+  estimateFees,
+  getListingCosts,
+  estimateListingFees
+};
@@ -0,0 +1,811 @@
+/**
+ * Listing Jobs
+ *
+ * Auto-List batches run on the server (add-listing-jobs.sql). Creating a job
+ * stores every uploaded row; processing works through the pending rows one
+ * at a time under a lease, so the Auto-List page (listing-jobs.js) and the
+ * scheduled runner (scheduled-listing-jobs.js) can both drive it without
+ * listing a row twice.
+ *
+ * Rows are checked before a job is created (checkRows): bad ASINs, prices or
+ * conditions, and SKUs already in the upload or on one of the seller's
+ * listings, which eBay would overwrite.
+ *
+ * Each row:
+ *   1. fetches its product from Keepa when it has an ASIN or a UPC (kept on
+ *      the row, so retries do not spend tokens again)
+ *   2. creates the eBay listing through create-ebay-listing, resuming the
+ *      draft of an earlier attempt
+ *
+ * Rows are spaced out by ROW_INTERVAL_MS. When Keepa runs out of tokens or
+ * eBay answers 429 the row stays pending and the whole job waits
+ * (throttled_until) instead of failing the rows behind it.
+ */
+
+const { createListingForUser, CONDITION_IDS } = require('../create-ebay-listing');
+const { fetchKeepaProduct, KeepaFetchError } = require('../keepa-fetch-product');
+const { getEbayAccount } = require('./ebay-accounts');
+const { ListingTemplateError, getTemplate } = require('./listing-templates');
+
+const LISTING_JOB_CONFIG = {
+  MAX_ROWS: 1000,
+  ROW_INTERVAL_MS: 1000,       // Pause between rows
+  ROW_TIME_ESTIMATE_MS: 4000,  // A Keepa fetch plus the eBay calls for one row
+  TIME_BUDGET_MS: 8000,        // Per invocation; functions time out at 10s
+  LEASE_SECONDS: 60,
+  INSERT_BATCH_SIZE: 500,
+  SKU_LOOKUP_BATCH_SIZE: 200,
+  MAX_RATE_LIMITED_ATTEMPTS: 5, // A row rate-limited this often fails
+  BACKOFF_SECONDS: 30,          // Doubles per attempt when no refill time is known
+  MAX_BACKOFF_SECONDS: 900
+};
+
+const JOB_SOURCES = ['manual', 'file', 'sheets'];
+
+// Row fields a spreadsheet column can be mapped to (import-mappings.js)
+const IMPORT_FIELDS = ['asin', 'upc', 'sku', 'title', 'price', 'quantity', 'condition', 'cost', 'minPrice', 'brand', 'imageUrl'];
+
+const ASIN_PATTERN = /^B[0-9A-Z]{9}$/; // As keepa-fetch-product accepts
+const UPC_PATTERN = /^\d{12,14}$/;     // UPC-A, EAN-13 or GTIN-14
+
+// Spreadsheet wording for eBay conditions, compared without spaces or punctuation
+const CONDITION_ALIASES = {
+  BRANDNEW: 'NEW',
+  NEWOPENBOX: 'NEW_OTHER',
+  OPENBOX: 'NEW_OTHER',
+  REFURBISHED: 'SELLER_REFURBISHED',
+  USED: 'USED_EXCELLENT',
+  USEDLIKENEW: 'LIKE_NEW',
+  VERYGOOD: 'USED_VERY_GOOD',
+  GOOD: 'USED_GOOD',
+  ACCEPTABLE: 'USED_ACCEPTABLE',
+  FORPARTS: 'FOR_PARTS_OR_NOT_WORKING'
+};
+
+class ListingJobError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'ListingJobError';
+    this.statusCode = statusCode;
+  }
+}
+
+function toText(value, maxLength) {
+  if (value === null || value === undefined) return '';
+  return String(value).trim().substring(0, maxLength);
+}
+
+function toUpc(value) {
+  return toText(value, 20).replace(/[\s-]/g, '');
+}
+
+/**
+ * A spreadsheet amount ("$1,299.00") as a number; NaN when it is not one
+ */
+function parseAmount(value) {
+  if (typeof value === 'number') return value;
+  return Number(toText(value, 50).replace(/[$,\s]/g, ''));
+}
+
+function toAmount(value) {
+  const amount = parseAmount(value);
+  return amount > 0 ? Math.round(amount * 100) / 100 : null;
+}
+
+/**
+ * An eBay condition key (or numeric ID) for a spreadsheet condition; '' when
+ * empty, null when it is not one we know
+ */
+function normalizeCondition(value) {
+  const text = toText(value, 50);
+  if (!text) return '';
+  if (Object.values(CONDITION_IDS).includes(text)) return text;
+
+  const compact = text.toUpperCase().replace(/[^A-Z0-9]/g, '');
+  const key = Object.keys(CONDITION_IDS).find(k => k.replace(/_/g, '') === compact);
+  return key || CONDITION_ALIASES[compact] || null;
+}
+
+/**
+ * Clean one uploaded row; null when it has no ASIN, UPC or title
+ */
+function normalizeRow(row = {}) {
+  const asin = toText(row.asin, 20).toUpperCase();
+  const upc = toUpc(row.upc);
+  const title = toText(row.title, 200);
+  if (!asin && !upc && !title) return null;
+
+  const quantity = parseInt(row.quantity, 10);
+
+  return {
+    asin,
+    upc,
+    sku: toText(row.sku, 100),
+    title,
+    // Empty: the Amazon price from Keepa
+    price: toAmount(row.price),
+    quantity: quantity > 0 ? quantity : 1,
+    condition: normalizeCondition(row.condition) || toText(row.condition, 50) || 'NEW',
+    cost: toAmount(row.cost),
+    minPrice: toAmount(row.minPrice),
+    brand: toText(row.brand, 100),
+    imageUrl: toText(row.imageUrl, 2000)
+  };
+}
+
+/**
+ * What is wrong with one uploaded row, by itself (checkRows adds SKU clashes)
+ * @returns {string[]} One message per problem
+ */
+function validateRow(row = {}) {
+  const errors = [];
+  const asin = toText(row.asin, 20).toUpperCase();
+  const upc = toUpc(row.upc);
+  const title = toText(row.title, 200);
+
+  if (!asin && !upc && !title) {
+    return ['Needs an ASIN, a UPC or a title'];
+  }
+  if (asin && !ASIN_PATTERN.test(asin)) {
+    errors.push(`ASIN ${asin} is not B followed by 9 letters or digits`);
+  }
+  if (upc && !UPC_PATTERN.test(upc)) {
+    errors.push(`UPC ${upc} is not 12 to 14 digits`);
+  }
+
+  const amounts = { price: 'Price', cost: 'Cost', minPrice: 'Min price' };
+  for (const [field, label] of Object.entries(amounts)) {
+    if (toText(row[field], 50) === '') continue;
+    const amount = parseAmount(row[field]);
+    if (isNaN(amount) || amount < 0) {
+      errors.push(`${label} "${toText(row[field], 50)}" is not an amount`);
+    } else if (field === 'price' && amount === 0) {
+      errors.push('Price must be more than 0');
+    }
+  }
+
+  const price = toAmount(row.price);
+  const minPrice = toAmount(row.minPrice);
+  if (price && minPrice && minPrice > price) {
+    errors.push(`Min price ${minPrice} is higher than the price ${price}`);
+  }
+  if (!price && !asin && !upc) {
+    errors.push('Needs a price: there is no ASIN or UPC to take the Amazon price from');
+  }
+
+  if (toText(row.quantity, 20) !== '') {
+    const quantity = Number(toText(row.quantity, 20));
+    if (!Number.isInteger(quantity) || quantity < 1) {
+      errors.push(`Quantity "${toText(row.quantity, 20)}" is not a whole number of at least 1`);
+    }
+  }
+
+  if (normalizeCondition(row.condition) === null) {
+    errors.push(`Unknown condition "${toText(row.condition, 50)}"`);
+  }
+
+  return errors;
+}
+
+/**
+ * Amazon price from Keepa stats: Buy Box first, then Amazon (prices in cents)
+ */
+function getAmazonPrice(keepaProduct) {
+  const current = keepaProduct?.stats?.current || [];
+  const cents = [current[4], current[1]].find(price => price && price > 0);
+  return cents ? cents / 100 : null;
+}
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * The create-ebay-listing body for a row: Keepa data where there is some,
+ * the uploaded columns otherwise
+ * @param {Object} input - normalized row
+ * @param {Object|null} product - { ebayDraft, amazonPrice } from Keepa
+ * @param {Object} options - { ebayAccountId, templateId }
+ */
+function buildRowListing(input, product, { ebayAccountId = null, templateId = null } = {}) {
+  const ebayDraft = product?.ebayDraft || {};
+
+  const price = input.price || product?.amazonPrice || null;
+  if (!price) {
+    throw new ListingJobError('No price: enter one, or use an ASIN or UPC with an Amazon price');
+  }
+
+  const images = ebayDraft.images && ebayDraft.images.length > 0
+    ? ebayDraft.images
+    : (input.imageUrl
+        ? input.imageUrl.split(',').map(img => img.trim()).filter(Boolean).map(img =>
+            img.startsWith('http') ? img : `https://images-na.ssl-images-amazon.com/images/I/${img}`
+          )
+        : []);
+
+  const title = input.title || ebayDraft.title || '';
+
+  const aspects = { ...(ebayDraft.aspects || {}) };
+  if (!aspects.Brand && input.brand) {
+    aspects.Brand = [input.brand];
+  }
+
+  return {
+    asin: input.asin || product?.asin || undefined,
+    sku: input.sku || undefined, // Empty: create-ebay-listing makes one with the seller's prefix
+    title,
+    description: ebayDraft.description
+      || `<h3>${escapeHtml(title)}</h3>\n<p><strong>Condition:</strong> ${escapeHtml(input.condition)}</p>`,
+    price,
+    quantity: input.quantity,
+    condition: input.condition,
+    itemCost: input.cost ?? undefined,
+    minimumPrice: input.minPrice ?? undefined,
+    images,
+    aspects,
+    ebayAccountId,
+    templateId
+  };
+}
+
+/**
+ * Keepa data for a row, fetched once
+ * @returns {Promise<{product, keepa}>} keepa is { tokensLeft, refillIn } after a fetch
+ */
+async function resolveRowProduct(userId, input, cachedProduct = null) {
+  if (cachedProduct || (!input.asin && !input.upc)) return { product: cachedProduct, keepa: null };
+
+  const fetched = input.asin
+    ? await fetchKeepaProduct(userId, input.asin)
+    : await fetchKeepaProduct(userId, null, { code: input.upc });
+  return {
+    product: {
+      asin: fetched.product?.asin || null,
+      ebayDraft: fetched.ebayDraft,
+      amazonPrice: getAmazonPrice(fetched.product)
+    },
+    keepa: { tokensLeft: fetched.tokensLeft, refillIn: fetched.refillIn }
+  };
+}
+
+function describeListingFailure(body = {}) {
+  if (Array.isArray(body.errors) && body.errors.length > 0) {
+    return `${body.error}: ${body.errors.join('; ')}`;
+  }
+  return body.message && body.message !== body.error ? `${body.error}: ${body.message}` : body.error || 'Listing failed';
+}
+
+function backoffSeconds(attempts, refillInMs = null) {
+  if (refillInMs && refillInMs > 0) {
+    return Math.min(Math.ceil(refillInMs / 1000), LISTING_JOB_CONFIG.MAX_BACKOFF_SECONDS);
+  }
+  return Math.min(LISTING_JOB_CONFIG.BACKOFF_SECONDS * 2 ** Math.max(attempts - 1, 0), LISTING_JOB_CONFIG.MAX_BACKOFF_SECONDS);
+}
+
+/**
+ * Validate a row without publishing: the listing create-ebay-listing would
+ * make, with the template applied (Auto-List's per-row preview)
+ * @returns {Promise<Object>} The validate-mode response body
+ */
+async function previewRow(supabase, userId, row, options = {}) {
+  const input = normalizeRow(row);
+  if (!input) throw new ListingJobError('The row needs an ASIN, a UPC or a title');
+
+  let product;
+  try {
+    ({ product } = await resolveRowProduct(userId, input));
+  } catch (error) {
+    if (error instanceof KeepaFetchError) throw new ListingJobError(error.message, error.statusCode);
+    throw error;
+  }
+
+  const response = await createListingForUser({ id: userId }, {
+    ...buildRowListing(input, product, options),
+    mode: 'validate'
+  });
+
+  if (response.statusCode !== 200) {
+    throw new ListingJobError(describeListingFailure(response.body), response.statusCode);
+  }
+  return response.body;
+}
+
+/**
+ * The seller's listings using any of these SKUs on one eBay account, by SKU.
+ * Listings created here keep the SKU in sku, synced ones in ebay_sku. eBay
+ * inventory is per account, so another account's SKUs do not clash; listings
+ * without an account belong to the default one. Ended listings do not count:
+ * their SKUs can be listed again.
+ * @param {Object|null} account - ebay_accounts row, or null when the user has none
+ */
+async function findListedSkus(supabase, userId, skus, account = null) {
+  const listed = new Map();
+  for (let i = 0; i < skus.length; i += LISTING_JOB_CONFIG.SKU_LOOKUP_BATCH_SIZE) {
+    const batch = skus.slice(i, i + LISTING_JOB_CONFIG.SKU_LOOKUP_BATCH_SIZE);
+
+    for (const column of ['sku', 'ebay_sku']) {
+      let query = supabase
+        .from('listings')
+        .select('sku, ebay_sku, title')
+        .eq('user_id', userId)
+        .in(column, batch)
+        .or('listing_status.is.null,listing_status.neq.Ended');
+
+      if (account) {
+        query = account.is_default
+          ? query.or(`ebay_account_id.is.null,ebay_account_id.eq.${account.id}`)
+          : query.eq('ebay_account_id', account.id);
+      }
+
+      const { data, error } = await query;
+      if (error) throw error;
+      for (const listing of data || []) {
+        if (!listed.has(listing[column])) listed.set(listing[column], listing);
+      }
+    }
+  }
+  return listed;
+}
+
+/**
+ * Check uploaded rows before anything is created: validateRow for each, plus
+ * SKUs used twice in the upload or already used by one of the seller's
+ * listings on the account being listed to (publishing would overwrite that
+ * listing's eBay inventory item)
+ * @param {string|null} ebayAccountId - Account the rows will be listed on; null for the default
+ * @returns {Promise<Array>} Per row, in order: { row, errors } - row is the
+ *   normalized row (null when it is empty)
+ */
+async function checkRows(supabase, userId, rows, ebayAccountId = null) {
+  if (!Array.isArray(rows) || rows.length === 0) {
+    throw new ListingJobError('Send at least one row');
+  }
+  if (rows.length > LISTING_JOB_CONFIG.MAX_ROWS) {
+    throw new ListingJobError(`At most ${LISTING_JOB_CONFIG.MAX_ROWS} rows per job`);
+  }
+
+  let account;
+  try {
+    account = await getEbayAccount(supabase, userId, ebayAccountId);
+  } catch (error) {
+    if (ebayAccountId) throw new ListingJobError('eBay account not found', 404);
+    throw error;
+  }
+
+  const results = rows.map(row => ({ row: normalizeRow(row || {}), errors: validateRow(row || {}) }));
+
+  const firstRowBySku = new Map();
+  results.forEach((result, index) => {
+    const sku = result.row?.sku;
+    if (!sku) return;
+    if (firstRowBySku.has(sku)) {
+      result.errors.push(`SKU ${sku} is also used on row ${firstRowBySku.get(sku) + 1}`);
+    } else {
+      firstRowBySku.set(sku, index);
+    }
+  });
+
+  const listed = await findListedSkus(supabase, userId, [...firstRowBySku.keys()], account);
+  for (const result of results) {
+    const sku = result.row?.sku;
+    const listing = sku ? listed.get(sku) : null;
+    if (listing) {
+      result.errors.push(`SKU ${sku} is already used by your listing "${listing.title}"`);
+    }
+  }
+
+  return results;
+}
+
+/**
+ * Create a job and its rows
+ * @param {Object} request - { rows, templateId, ebayAccountId, source }
+ * @returns {Promise<{job, ignored}>} ignored = empty rows (no ASIN, UPC or title)
+ */
+async function createListingJob(supabase, userId, { rows, templateId = null, ebayAccountId = null, source = 'manual' }) {
+  if (!JOB_SOURCES.includes(source)) {
+    throw new ListingJobError(`source must be one of: ${JOB_SOURCES.join(', ')}`);
+  }
+
+  // The page shows these problems before starting; refuse what got past it
+  const checked = await checkRows(supabase, userId, rows, ebayAccountId);
+  const invalid = checked.filter(result => result.row && result.errors.length > 0);
+  if (invalid.length > 0) {
+    throw new ListingJobError(
+      `${invalid.length} row(s) cannot be listed, e.g. row ${checked.indexOf(invalid[0]) + 1}: ${invalid[0].errors[0]}`
+    );
+  }
+
+  const inputs = checked.map(result => result.row).filter(Boolean);
+  if (inputs.length === 0) {
+    throw new ListingJobError('No rows with an ASIN, a UPC or a title');
+  }
+
+  // Check up front what would otherwise fail every row
+  if (templateId) {
+    try {
+      await getTemplate(supabase, userId, templateId);
+    } catch (error) {
+      if (error instanceof ListingTemplateError) throw new ListingJobError(error.message, error.statusCode);
+      throw error;
+    }
+  }
+
+  const { data: created, error: createError } = await supabase
+    .from('listing_jobs')
+    .insert({
+      user_id: userId,
+      ebay_account_id: ebayAccountId,
+      template_id: templateId,
+      source,
+      total: inputs.length
+    })
+    .select()
+    .single();
+
+  if (createError) throw createError;
+
+  const jobRows = inputs.map((input, position) => ({ job_id: created.id, position, input }));
+  for (let i = 0; i < jobRows.length; i += LISTING_JOB_CONFIG.INSERT_BATCH_SIZE) {
+    const { error: rowsError } = await supabase
+      .from('listing_job_rows')
+      .insert(jobRows.slice(i, i + LISTING_JOB_CONFIG.INSERT_BATCH_SIZE));
+
+    if (rowsError) {
+      await supabase.from('listing_jobs').delete().eq('id', created.id);
+      throw rowsError;
+    }
+  }
+
+  return { job: created, ignored: rows.length - inputs.length };
+}
+
+/**
+ * Recount rows by status into the job row (the rows are the source of truth)
+ */
+async function refreshCounts(supabase, jobId, extra = {}) {
+  const counts = {};
+  for (const status of ['succeeded', 'failed', 'skipped']) {
+    const { count, error } = await supabase
+      .from('listing_job_rows')
+      .select('id', { count: 'exact', head: true })
+      .eq('job_id', jobId)
+      .eq('status', status);
+
+    if (error) throw error;
+    counts[status] = count || 0;
+  }
+
+  const { data, error } = await supabase
+    .from('listing_jobs')
+    .update({
+      ...counts,
+      processed: counts.succeeded + counts.failed + counts.skipped,
+      updated_at: new Date().toISOString(),
+      ...extra
+    })
+    .eq('id', jobId)
+    .select()
+    .single();
+
+  if (error) throw error;
+  return data;
+}
+
+// =============================================
+// PROCESSING
+// =============================================
+
+/**
+ * List one row. Returns the row update plus { throttle: { seconds, reason } }
+ * when the job should wait before the next row.
+ */
+async function processRow(job, row) {
+  const input = row.input || {};
+  const attempts = row.attempts + 1;
+  const update = { attempts };
+
+  const rateLimited = (reason, refillInMs = null) => {
+    const throttle = { seconds: backoffSeconds(attempts, refillInMs), reason };
+    if (attempts >= LISTING_JOB_CONFIG.MAX_RATE_LIMITED_ATTEMPTS) {
+      return { update: { ...update, status: 'failed', message: `${reason}; gave up after ${attempts} attempts` }, throttle };
+    }
+    // Stays pending for after the wait
+    return { update, throttle };
+  };
+
+  // 1. Product data from Keepa
+  let product = row.product;
+  let throttle = null;
+  try {
+    const resolved = await resolveRowProduct(job.user_id, input, row.product);
+    product = resolved.product;
+    if (resolved.keepa) update.product = product;
+
+    // Out of tokens after this one: let them refill before the next row
+    if (resolved.keepa && resolved.keepa.tokensLeft !== null && resolved.keepa.tokensLeft <= 0) {
+      throttle = { seconds: backoffSeconds(1, resolved.keepa.refillIn), reason: 'Waiting for Keepa tokens' };
+    }
+  } catch (error) {
+    if (error instanceof KeepaFetchError) {
+      if (error.statusCode === 429) return rateLimited('Keepa tokens used up', error.body.refillIn);
+      return { update: { ...update, status: 'failed', message: `Keepa: ${error.message}` } };
+    }
+    throw error;
+  }
+
+  // 2. The eBay listing
+  let listing;
+  try {
+    listing = buildRowListing(input, product, { ebayAccountId: job.ebay_account_id, templateId: job.template_id });
+  } catch (error) {
+    if (error instanceof ListingJobError) return { update: { ...update, status: 'failed', message: error.message }, throttle };
+    throw error;
+  }
+
+  const response = await createListingForUser({ id: job.user_id }, {
+    ...listing,
+    mode: 'publish',
+    draftId: row.draft_id || undefined
+  });
+  const body = response.body || {};
+  if (body.draftId) update.draft_id = body.draftId;
+
+  const published = response.statusCode === 200 || response.statusCode === 207
+    // A retry of a row whose draft went through after all
+    || (response.statusCode === 409 && body.listingId);
+
+  if (published) {
+    return {
+      update: {
+        ...update,
+        status: 'succeeded',
+        message: body.partialSuccess ? body.message : body.wasUpdated ? 'Updated an existing eBay listing' : 'Listed',
+        result: {
+          listingId: body.listingId,
+          sku: body.sku || null,
+          viewUrl: body.viewUrl || null,
+          title: body.listing?.title || listing.title,
+          price: listing.price
+        }
+      },
+      throttle
+    };
+  }
+
+  if (response.statusCode === 429 || body.ebayStatusCode === 429) {
+    return rateLimited('eBay rate limit reached');
+  }
+
+  return { update: { ...update, status: 'failed', message: describeListingFailure(body) }, throttle };
+}
+
+/**
+ * Take the job's lease; null when it is finished, waiting out a rate limit,
+ * someone else holds it, or another job of the same seller is running
+ */
+async function claimJob(supabase, jobId, workerId) {
+  const now = new Date();
+  const job = await getJob(supabase, jobId);
+  if (!job || !['pending', 'running'].includes(job.status)) return null;
+  if (job.throttled_until && new Date(job.throttled_until) > now) return null;
+
+  // One job per seller at a time: they share Keepa tokens and eBay limits
+  const { data: busy, error: busyError } = await supabase
+    .from('listing_jobs')
+    .select('id')
+    .eq('user_id', job.user_id)
+    .neq('id', jobId)
+    .in('status', ['pending', 'running'])
+    .gt('locked_until', now.toISOString())
+    .limit(1);
+
+  if (busyError) throw busyError;
+  if (busy && busy.length > 0) return null;
+
+  const { data, error } = await supabase
+    .from('listing_jobs')
+    .update({
+      status: 'running',
+      locked_by: workerId,
+      locked_until: new Date(now.getTime() + LISTING_JOB_CONFIG.LEASE_SECONDS * 1000).toISOString(),
+      throttled_until: null,
+      throttle_reason: null,
+      updated_at: now.toISOString()
+    })
+    .eq('id', jobId)
+    .in('status', ['pending', 'running'])
+    .or(`locked_until.is.null,locked_until.lt.${now.toISOString()}`)
+    .select()
+    .maybeSingle();
+
+  if (error) throw error;
+  if (data && !data.started_at) {
+    await supabase.from('listing_jobs').update({ started_at: now.toISOString() }).eq('id', jobId);
+  }
+  return data;
+}
+
+/**
+ * Work through pending rows until done, rate-limited or out of time
+ * @param {Object} options - { workerId, timeBudgetMs }
+ * @returns {Promise<Object>} The job row after this pass
+ */
+async function processListingJob(supabase, jobId, { workerId, timeBudgetMs = LISTING_JOB_CONFIG.TIME_BUDGET_MS } = {}) {
+  const startTime = Date.now();
+  const job = await claimJob(supabase, jobId, workerId);
+  if (!job) return getJob(supabase, jobId);
+
+  let finished = false;
+  let throttle = null;
+  let rowsDone = 0;
+
+  // Always one row; more while another is likely to fit in the budget
+  while (rowsDone === 0 || Date.now() - startTime + LISTING_JOB_CONFIG.ROW_TIME_ESTIMATE_MS < timeBudgetMs) {
+    const { data: current } = await supabase
+      .from('listing_jobs')
+      .select('status')
+      .eq('id', jobId)
+      .single();
+    if (current?.status === 'cancelled') break;
+
+    const { data: rows, error: rowsError } = await supabase
+      .from('listing_job_rows')
+      .select('*')
+      .eq('job_id', jobId)
+      .eq('status', 'pending')
+      .order('position', { ascending: true })
+      .limit(1);
+
+    if (rowsError) throw rowsError;
+    if (!rows || rows.length === 0) {
+      finished = true;
+      break;
+    }
+
+    const row = rows[0];
+    let outcome;
+    try {
+      outcome = await processRow(job, row);
+    } catch (error) {
+      console.error(`Listing job ${jobId} row ${row.position} failed:`, error.message);
+      outcome = { update: { attempts: row.attempts + 1, status: 'failed', message: error.message } };
+    }
+
+    await supabase
+      .from('listing_job_rows')
+      .update({
+        ...outcome.update,
+        processed_at: outcome.update.status ? new Date().toISOString() : null
+      })
+      .eq('id', row.id);
+
+    rowsDone++;
+    if (outcome.throttle) {
+      throttle = outcome.throttle;
+      break;
+    }
+
+    await supabase
+      .from('listing_jobs')
+      .update({ locked_until: new Date(Date.now() + LISTING_JOB_CONFIG.LEASE_SECONDS * 1000).toISOString() })
+      .eq('id', jobId)
+      .eq('locked_by', workerId);
+
+    if (Date.now() - startTime + LISTING_JOB_CONFIG.ROW_INTERVAL_MS >= timeBudgetMs) break;
+    await new Promise(resolve => setTimeout(resolve, LISTING_JOB_CONFIG.ROW_INTERVAL_MS));
+  }
+
+  const done = finished ? { status: 'completed', completed_at: new Date().toISOString() } : {};
+  const waiting = throttle
+    ? {
+      throttled_until: new Date(Date.now() + throttle.seconds * 1000).toISOString(),
+      throttle_reason: throttle.reason
+    }
+    : {};
+  return refreshCounts(supabase, jobId, { ...done, ...waiting, locked_by: null, locked_until: null });
+}
+
+/**
+ * Stop a job; rows not yet processed are skipped
+ */
+async function cancelListingJob(supabase, jobId) {
+  const { data: job, error } = await supabase
+    .from('listing_jobs')
+    .update({ status: 'cancelled', completed_at: new Date().toISOString(), throttled_until: null, throttle_reason: null })
+    .eq('id', jobId)
+    .in('status', ['pending', 'running'])
+    .select()
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!job) return getJob(supabase, jobId);
+
+  await supabase
+    .from('listing_job_rows')
+    .update({ status: 'skipped', message: 'Cancelled', processed_at: new Date().toISOString() })
+    .eq('job_id', jobId)
+    .eq('status', 'pending');
+
+  return refreshCounts(supabase, jobId);
+}
+
+/**
+ * Queue the failed rows again; succeeded and skipped rows are left alone.
+ * Retried rows keep their Keepa data and resume their listing draft.
+ */
+async function retryFailedRows(supabase, jobId) {
+  const { data: retried, error } = await supabase
+    .from('listing_job_rows')
+    .update({ status: 'pending', message: null, attempts: 0, processed_at: null })
+    .eq('job_id', jobId)
+    .eq('status', 'failed')
+    .select('id');
+
+  if (error) throw error;
+  if (!retried || retried.length === 0) {
+    throw new ListingJobError('No failed rows to retry');
+  }
+
+  const job = await refreshCounts(supabase, jobId, {
+    status: 'pending',
+    completed_at: null,
+    throttled_until: null,
+    throttle_reason: null
+  });
+  return { job, retried: retried.length };
+}
+
+async function getJob(supabase, jobId) {
+  const { data, error } = await supabase
+    .from('listing_jobs')
+    .select('*')
+    .eq('id', jobId)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Jobs nobody is driving: open, not leased and not waiting out a rate limit
+ */
+async function listUnattendedJobs(supabase, limit = 5) {
+  const now = new Date().toISOString();
+  const { data, error } = await supabase
+    .from('listing_jobs')
+    .select('id, throttled_until')
+    .in('status', ['pending', 'running'])
+    .or(`locked_until.is.null,locked_until.lt.${now}`)
+    .order('created_at', { ascending: true })
+    .limit(limit * 4);
+
+  if (error) throw error;
+  return (data || [])
+    .filter(j => !j.throttled_until || j.throttled_until < now)
+    .slice(0, limit)
+    .map(j => j.id);
+}
+
+module.exports = {
+  LISTING_JOB_CONFIG,
+  JOB_SOURCES,
+  IMPORT_FIELDS,
+  ListingJobError,
+  normalizeRow,
+  normalizeCondition,
+  validateRow,
+  buildRowListing,
+  checkRows,
+  previewRow,
+  createListingJob,
+  processListingJob,
+  cancelListingJob,
+  retryFailedRows,
+  getJob,
+  listUnattendedJobs
+};
@@ -0,0 +1,531 @@
+/**
+ * Listing Templates
+ *
+ * Seller-defined title and description templates (add-listing-templates.sql)
+ * applied by create-ebay-listing.js once the category and condition are
+ * resolved. Placeholders:
+ *
+ *   {{title}} {{brand}} {{model}} {{mpn}} {{condition}} {{category}}
+ *   {{aspect:Name}}    values of one item specific, e.g. {{aspect:Color}}
+ *   {{description}}    the listing's own description (description only)
+ *   {{aspects}}        every item specific as a <ul> (description only)
+ *
+ * A variant for the listing's category replaces the template's title and/or
+ * description. Titles are tidied (separators left by empty placeholders)
+ * and trimmed to eBay's 80 characters; placeholder values are escaped in
+ * descriptions and the rendered HTML is sanitized against an allowlist,
+ * since eBay rejects active content.
+ */
+
+const TITLE_MAX_LENGTH = 80;
+
+// Cut at a word boundary only if it keeps at least this much of the title
+const TITLE_WORD_BOUNDARY_MIN = 60;
+
+const TITLE_PLACEHOLDERS = ['title', 'brand', 'model', 'mpn', 'condition', 'category', 'aspect'];
+const DESCRIPTION_PLACEHOLDERS = [...TITLE_PLACEHOLDERS, 'description', 'aspects'];
+
+const MAX_TITLE_TEMPLATE_LENGTH = 500;
+const MAX_DESCRIPTION_TEMPLATE_LENGTH = 100000;
+
+const PLACEHOLDER_PATTERN = /\{\{\s*([a-zA-Z_]+)(?:\s*:\s*([^}]+?))?\s*\}\}/g;
+
+// eBay condition IDs, for {{condition}} when the category gave no display name
+const CONDITION_NAMES = {
+  '1000': 'New',
+  '1500': 'New (Other)',
+  '1750': 'New with Defects',
+  '2000': 'Certified Refurbished',
+  '2500': 'Seller Refurbished',
+  '2750': 'Like New',
+  '3000': 'Used',
+  '4000': 'Used - Very Good',
+  '5000': 'Used - Good',
+  '6000': 'Used - Acceptable',
+  '7000': 'For Parts or Not Working'
+};
+
+const ALLOWED_TAGS = new Set([
+  'a', 'b', 'blockquote', 'br', 'caption', 'center', 'code', 'dd', 'div', 'dl', 'dt',
+  'em', 'font', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'hr', 'i', 'img', 'li', 'ol', 'p',
+  'pre', 's', 'small', 'span', 'strong', 'sub', 'sup', 'table', 'tbody', 'td', 'tfoot',
+  'th', 'thead', 'tr', 'u', 'ul'
+]);
+
+// Removed along with everything inside them
+const DROPPED_ELEMENTS = [
+  'script', 'style', 'iframe', 'object', 'embed', 'applet', 'noscript',
+  'template', 'svg', 'math', 'head', 'title', 'textarea', 'select'
+];
+
+const GLOBAL_ATTRIBUTES = ['style', 'class', 'align', 'title', 'dir'];
+const TAG_ATTRIBUTES = {
+  a: ['href', 'target'],
+  img: ['src', 'alt', 'width', 'height', 'border'],
+  table: ['width', 'border', 'cellpadding', 'cellspacing', 'bgcolor'],
+  td: ['colspan', 'rowspan', 'width', 'valign', 'bgcolor'],
+  th: ['colspan', 'rowspan', 'width', 'valign', 'bgcolor'],
+  font: ['color', 'size', 'face']
+};
+
+class ListingTemplateError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'ListingTemplateError';
+    this.statusCode = statusCode;
+  }
+}
+
+function escapeHtml(text) {
+  const map = {
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    "'": '&#039;'
+  };
+  return String(text).replace(/[&<>"']/g, m => map[m]);
+}
+
+// Entities and control characters can hide a javascript: URL
+function decodeForUrlCheck(value) {
+  return value
+    .replace(/&#x([0-9a-f]+);?/gi, (m, hex) => String.fromCharCode(parseInt(hex, 16)))
+    .replace(/&#(\d+);?/g, (m, dec) => String.fromCharCode(parseInt(dec, 10)))
+    .replace(/&colon;/gi, ':')
+    .replace(/&(tab|newline);/gi, '')
+    .replace(/[\x00-\x20]/g, '');
+}
+
+function isSafeAttribute(name, value) {
+  if (name === 'href') return /^(https?:|mailto:)/i.test(decodeForUrlCheck(value));
+  if (name === 'src') return /^https?:/i.test(decodeForUrlCheck(value));
+  if (name === 'style') return !/expression\s*\(|url\s*\(|javascript:|behavior\s*:|@import/i.test(decodeForUrlCheck(value));
+  return true;
+}
+
+function sanitizeAttributes(tag, source) {
+  const allowed = [...GLOBAL_ATTRIBUTES, ...(TAG_ATTRIBUTES[tag] || [])];
+  const attributes = [];
+  const pattern = /([a-zA-Z_:][-a-zA-Z0-9_:.]*)\s*=\s*("([^"]*)"|'([^']*)'|([^\s"'>]+))/g;
+
+  let match;
+  while ((match = pattern.exec(source)) !== null) {
+    const name = match[1].toLowerCase();
+    const value = match[3] ?? match[4] ?? match[5] ?? '';
+    if (!allowed.includes(name) || !isSafeAttribute(name, value)) continue;
+    attributes.push(`${name}="${value.replace(/"/g, '&quot;').replace(/</g, '&lt;').replace(/>/g, '&gt;')}"`);
+  }
+
+  if (tag === 'a' && attributes.some(attr => attr.startsWith('target='))) {
+    attributes.push('rel="noopener noreferrer"');
+  }
+  return attributes.length ? ` ${attributes.join(' ')}` : '';
+}
+
+/**
+ * Keep formatting HTML only: allowlisted tags and attributes, http(s)
+ * links and images; scripts, frames, forms, comments and event handlers go
+ */
+function sanitizeHtml(html) {
+  if (!html) return '';
+
+  const dropped = new RegExp(`<(${DROPPED_ELEMENTS.join('|')})\\b[^>]*>[\\s\\S]*?<\\/\\1\\s*>`, 'gi');
+
+  return String(html)
+    .replace(dropped, '')
+    .replace(/<!--[\s\S]*?(?:-->|$)|<[!?][^>]*>|<(\/?)([a-zA-Z][a-zA-Z0-9]*)\b([^>]*)>|</g, (match, closing, tagName, attributes) => {
+      if (!tagName) return match === '<' ? '&lt;' : '';
+
+      const tag = tagName.toLowerCase();
+      if (!ALLOWED_TAGS.has(tag)) return '';
+      return closing ? `</${tag}>` : `<${tag}${sanitizeAttributes(tag, attributes)}>`;
+    })
+    .trim();
+}
+
+// Separators and brackets left behind by placeholders that were empty
+function tidyTitle(title) {
+  return title
+    .replace(/\s+/g, ' ')
+    .replace(/\(\s*\)|\[\s*\]/g, '')
+    .replace(/\s*([-|\/•])(?:\s*[-|\/•,])+/g, ' $1')
+    .replace(/\s+,/g, ',')
+    .replace(/,(?:\s*,)+/g, ',')
+    .replace(/^[\s\-|,\/•]+|[\s\-|,\/•]+$/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Trim a title to eBay's limit, at a word boundary when that keeps enough
+ */
+function trimTitle(title, maxLength = TITLE_MAX_LENGTH) {
+  const tidy = tidyTitle(title || '');
+  if (tidy.length <= maxLength) return tidy;
+
+  let trimmed = tidy.substring(0, maxLength);
+  const lastSpace = trimmed.lastIndexOf(' ');
+  if (lastSpace > TITLE_WORD_BOUNDARY_MIN && tidy[maxLength] !== ' ') {
+    trimmed = trimmed.substring(0, lastSpace);
+  }
+  return tidyTitle(trimmed);
+}
+
+// '1500' → 'New (Other)'; 'LIKE_NEW' → 'Like New'
+function describeCondition(condition) {
+  if (!condition) return '';
+  const value = String(condition);
+  if (CONDITION_NAMES[value]) return CONDITION_NAMES[value];
+  if (/^\d+$/.test(value)) return '';
+  return value.toLowerCase().split(/[_\s]+/).map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(' ');
+}
+
+const findAspect = (aspects, name) => {
+  const key = Object.keys(aspects || {}).find(k => k.toLowerCase() === String(name).trim().toLowerCase());
+  const values = key ? aspects[key] : null;
+  return Array.isArray(values) ? values.filter(Boolean).join(', ') : (values || '');
+};
+
+/**
+ * Placeholder values for a listing
+ * @param {Object} listing - create-ebay-listing request fields (title, description, aspects, brand, model)
+ * @param {Object} options - { categoryName, conditionId, conditionName }
+ */
+function buildTemplateValues(listing, { categoryName = '', conditionId = null, conditionName = null } = {}) {
+  const aspects = listing.aspects || {};
+  return {
+    title: listing.title || '',
+    brand: listing.brand || findAspect(aspects, 'Brand'),
+    model: listing.model || findAspect(aspects, 'Model'),
+    mpn: findAspect(aspects, 'MPN'),
+    condition: conditionName || describeCondition(conditionId),
+    category: categoryName || '',
+    description: listing.description || '',
+    aspects
+  };
+}
+
+function renderText(template, values, { html }) {
+  const empty = new Set();
+
+  const rendered = template.replace(PLACEHOLDER_PATTERN, (match, rawName, argument) => {
+    const name = rawName.toLowerCase();
+    let value;
+
+    if (name === 'aspect') {
+      value = findAspect(values.aspects, argument || '');
+    } else if (name === 'aspects') {
+      const entries = Object.entries(values.aspects || {}).filter(([, v]) => Array.isArray(v) && v.length);
+      value = entries.length
+        ? `<ul>${entries.map(([key, v]) => `<li><strong>${escapeHtml(key)}:</strong> ${escapeHtml(v.join(', '))}</li>`).join('')}</ul>`
+        : '';
+      if (!value) empty.add('{{aspects}}');
+      return value;
+    } else if (name === 'description') {
+      if (!values.description) empty.add('{{description}}');
+      return values.description; // HTML already; sanitized with the rest
+    } else {
+      value = values[name] ?? '';
+    }
+
+    if (!value) empty.add(argument ? `{{${name}:${argument.trim()}}}` : `{{${name}}}`);
+    return html ? escapeHtml(value) : value;
+  });
+
+  return { rendered, empty: [...empty] };
+}
+
+/**
+ * Render a template for a listing
+ * @param {Object} template - formatTemplate() result, with variants
+ * @param {Object} listing - create-ebay-listing request fields
+ * @param {Object} options - { categoryId, categoryName, conditionId, conditionName }
+ * @returns {{ title, description, variantCategoryId, titleTrimmed, warnings }}
+ */
+function applyListingTemplate(template, listing, options = {}) {
+  const categoryId = options.categoryId ? String(options.categoryId) : null;
+  const variant = categoryId ? (template.variants || []).find(v => v.categoryId === categoryId) : null;
+  const values = buildTemplateValues(listing, options);
+  const warnings = [];
+
+  const titleResult = renderText(variant?.titleTemplate || template.titleTemplate, values, { html: false });
+  const untrimmed = tidyTitle(titleResult.rendered);
+  let title = trimTitle(untrimmed);
+  const titleTrimmed = title.length < untrimmed.length;
+  if (titleTrimmed) {
+    warnings.push(`Title trimmed to ${TITLE_MAX_LENGTH} characters`);
+  }
+  if (!title) {
+    title = trimTitle(listing.title || '');
+    warnings.push('Template title was empty for this listing; the original title was used');
+  }
+
+  const descriptionResult = renderText(variant?.descriptionTemplate || template.descriptionTemplate, values, { html: true });
+  let description = sanitizeHtml(descriptionResult.rendered);
+  if (!description.replace(/<[^>]*>/g, '').trim()) {
+    description = sanitizeHtml(listing.description || '');
+    warnings.push('Template description was empty for this listing; the original description was used');
+  }
+
+  const empty = [...new Set([...titleResult.empty, ...descriptionResult.empty])];
+  if (empty.length > 0) {
+    warnings.push(`No value for ${empty.join(', ')}`);
+  }
+
+  return {
+    title,
+    description,
+    variantCategoryId: variant ? variant.categoryId : null,
+    titleTrimmed,
+    warnings
+  };
+}
+
+function unknownPlaceholders(text, allowed) {
+  const unknown = new Set();
+  for (const match of String(text).matchAll(PLACEHOLDER_PATTERN)) {
+    const name = match[1].toLowerCase();
+    if (!allowed.includes(name) || (name === 'aspect' && !match[2])) {
+      unknown.add(match[0]);
+    }
+  }
+  return [...unknown];
+}
+
+function checkTemplateText(text, field, { required, title }) {
+  if (text === null || text === undefined || String(text).trim() === '') {
+    if (required) throw new ListingTemplateError(`${field} is required`);
+    return null;
+  }
+  if (typeof text !== 'string') {
+    throw new ListingTemplateError(`${field} must be a string`);
+  }
+
+  const maxLength = title ? MAX_TITLE_TEMPLATE_LENGTH : MAX_DESCRIPTION_TEMPLATE_LENGTH;
+  if (text.length > maxLength) {
+    throw new ListingTemplateError(`${field} must be ${maxLength} characters or less`);
+  }
+
+  const unknown = unknownPlaceholders(text, title ? TITLE_PLACEHOLDERS : DESCRIPTION_PLACEHOLDERS);
+  if (unknown.length > 0) {
+    throw new ListingTemplateError(`${field} has unknown placeholders: ${unknown.join(', ')}`);
+  }
+  return text;
+}
+
+/**
+ * Check a template and convert it to column values
+ * @returns {{ fields: Object, variants: Array|null }}
+ */
+function validateTemplateInput(input = {}, { partial = false } = {}) {
+  const fields = {};
+
+  if (!partial || input.name !== undefined) {
+    if (typeof input.name !== 'string' || !input.name.trim()) {
+      throw new ListingTemplateError('name is required');
+    }
+    fields.name = input.name.trim().substring(0, 100);
+  }
+  if (!partial || input.titleTemplate !== undefined) {
+    fields.title_template = checkTemplateText(input.titleTemplate, 'titleTemplate', { required: true, title: true });
+  }
+  if (!partial || input.descriptionTemplate !== undefined) {
+    fields.description_template = checkTemplateText(input.descriptionTemplate, 'descriptionTemplate', { required: true, title: false });
+  }
+  if (input.isDefault !== undefined) {
+    fields.is_default = input.isDefault === true;
+  }
+
+  let variants = null;
+  if (input.variants !== undefined) {
+    if (!Array.isArray(input.variants)) {
+      throw new ListingTemplateError('variants must be an array');
+    }
+    const seen = new Set();
+    variants = input.variants.map((variant, index) => {
+      const categoryId = String(variant.categoryId || '').trim();
+      if (!categoryId) throw new ListingTemplateError(`variants[${index}].categoryId is required`);
+      if (seen.has(categoryId)) throw new ListingTemplateError(`Category ${categoryId} has two variants`);
+      seen.add(categoryId);
+
+      const row = {
+        category_id: categoryId,
+        category_name: variant.categoryName ? String(variant.categoryName).substring(0, 200) : null,
+        title_template: checkTemplateText(variant.titleTemplate, `variants[${index}].titleTemplate`, { required: false, title: true }),
+        description_template: checkTemplateText(variant.descriptionTemplate, `variants[${index}].descriptionTemplate`, { required: false, title: false })
+      };
+      if (!row.title_template && !row.description_template) {
+        throw new ListingTemplateError(`The variant for category ${categoryId} needs a title or a description`);
+      }
+      return row;
+    });
+  }
+
+  return { fields, variants };
+}
+
+function formatVariant(row) {
+  return {
+    categoryId: row.category_id,
+    categoryName: row.category_name,
+    titleTemplate: row.title_template,
+    descriptionTemplate: row.description_template
+  };
+}
+
+function formatTemplate(row, variants = []) {
+  return {
+    id: row.id,
+    name: row.name,
+    titleTemplate: row.title_template,
+    descriptionTemplate: row.description_template,
+    isDefault: row.is_default,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+    variants: variants.map(formatVariant)
+  };
+}
+
+/**
+ * The caller's templates with their variants, default first
+ */
+async function listTemplates(supabase, userId) {
+  const { data: rows, error } = await supabase
+    .from('listing_templates')
+    .select('*')
+    .eq('user_id', userId)
+    .order('is_default', { ascending: false })
+    .order('name');
+
+  if (error) throw error;
+  if (!rows || rows.length === 0) return [];
+
+  const { data: variants, error: variantsError } = await supabase
+    .from('listing_template_variants')
+    .select('*')
+    .in('template_id', rows.map(row => row.id))
+    .order('category_id');
+
+  if (variantsError) throw variantsError;
+
+  return rows.map(row => formatTemplate(row, (variants || []).filter(v => v.template_id === row.id)));
+}
+
+/**
+ * One of the caller's templates; 404 if missing or someone else's
+ */
+async function getTemplate(supabase, userId, templateId) {
+  if (!templateId) throw new ListingTemplateError('Template not found', 404);
+
+  const { data: row, error } = await supabase
+    .from('listing_templates')
+    .select('*')
+    .eq('id', templateId)
+    .eq('user_id', userId)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!row) throw new ListingTemplateError('Template not found', 404);
+
+  const { data: variants, error: variantsError } = await supabase
+    .from('listing_template_variants')
+    .select('*')
+    .eq('template_id', row.id)
+    .order('category_id');
+
+  if (variantsError) throw variantsError;
+  return formatTemplate(row, variants || []);
+}
+
+async function replaceVariants(supabase, templateId, variants) {
+  const { error: deleteError } = await supabase
+    .from('listing_template_variants')
+    .delete()
+    .eq('template_id', templateId);
+
+  if (deleteError) throw deleteError;
+  if (variants.length === 0) return;
+
+  const { error } = await supabase
+    .from('listing_template_variants')
+    .insert(variants.map(variant => ({ ...variant, template_id: templateId })));
+
+  if (error) throw error;
+}
+
+/**
+ * Create a template, or update one when input.id is given
+ * Variants are replaced when input.variants is present.
+ */
+async function saveTemplate(supabase, userId, { id = null, ...input }) {
+  if (id) await getTemplate(supabase, userId, id);
+
+  const { fields, variants } = validateTemplateInput(input, { partial: !!id });
+
+  if (fields.is_default) {
+    let query = supabase
+      .from('listing_templates')
+      .update({ is_default: false })
+      .eq('user_id', userId)
+      .eq('is_default', true);
+    if (id) query = query.neq('id', id);
+
+    const { error: defaultError } = await query;
+    if (defaultError) throw defaultError;
+  }
+
+  const { data: row, error } = id
+    ? await supabase
+      .from('listing_templates')
+      .update({ ...fields, updated_at: new Date().toISOString() })
+      .eq('id', id)
+      .select()
+      .single()
+    : await supabase
+      .from('listing_templates')
+      .insert({ ...fields, user_id: userId })
+      .select()
+      .single();
+
+  if (error) {
+    if (error.code === '23505') {
+      throw new ListingTemplateError(`A template named "${fields.name}" already exists`, 409);
+    }
+    throw error;
+  }
+
+  if (variants) {
+    await replaceVariants(supabase, row.id, variants);
+  }
+  return getTemplate(supabase, userId, row.id);
+}
+
+async function deleteTemplate(supabase, userId, templateId) {
+  const existing = await getTemplate(supabase, userId, templateId);
+
+  const { error } = await supabase
+    .from('listing_templates')
+    .delete()
+    .eq('id', templateId)
+    .eq('user_id', userId);
+
+  if (error) throw error;
+  return existing;
+}
+
+module.exports = {
+  TITLE_MAX_LENGTH,
+  TITLE_PLACEHOLDERS,
+  DESCRIPTION_PLACEHOLDERS,
+  ListingTemplateError,
+  sanitizeHtml,
+  trimTitle,
+  buildTemplateValues,
+  applyListingTemplate,
+  validateTemplateInput,
+  listTemplates,
+  getTemplate,
+  saveTemplate,
+  deleteTemplate
+};
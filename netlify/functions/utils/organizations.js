@@ -0,0 +1,125 @@
+/**
+ * Team Workspaces
+ *
+ * Data stays keyed on the seller's user_id; organizations (add-organizations.sql)
+ * only decide who else may see or change it. Two users who share an
+ * organization can see each other's listings, strategies and pricing history.
+ * Owners and managers can change them, viewers are read-only.
+ *
+ * RLS applies these rules to browser queries (can_view_user_data /
+ * can_manage_user_data). Functions use the service role key and bypass RLS,
+ * so they check access here before touching another user's rows, and use
+ * the listing owner's user_id (not the caller's) for eBay tokens.
+ */
+
+const ORG_ROLES = ['owner', 'manager', 'viewer'];
+
+// Roles an invitation may grant; ownership is only held by the creator
+const INVITABLE_ROLES = ['manager', 'viewer'];
+
+const ROLE_RANK = { viewer: 1, manager: 2, owner: 3 };
+
+/**
+ * Whether a role meets a minimum role
+ * @param {string|null} role - Role held (null: no access)
+ * @param {string} minimum - 'viewer' | 'manager' | 'owner'
+ */
+function hasRole(role, minimum) {
+  return Boolean(role) && ROLE_RANK[role] >= ROLE_RANK[minimum];
+}
+
+/**
+ * Organizations a user belongs to, with their role in each
+ * @returns {Promise<Array<{organization_id, role}>>}
+ */
+async function getMemberships(supabase, userId) {
+  const { data, error } = await supabase
+    .from('organization_members')
+    .select('organization_id, role')
+    .eq('user_id', userId);
+
+  if (error) throw error;
+  return data || [];
+}
+
+/**
+ * The actor's access to data owned by another user
+ * Everyone is 'owner' of their own data. Otherwise the highest role the actor
+ * holds in an organization that both belong to.
+ *
+ * @param {string} actorId - Signed-in user
+ * @param {string} ownerId - user_id on the rows being accessed
+ * @returns {Promise<string|null>} 'owner' | 'manager' | 'viewer', or null for no access
+ */
+async function getAccessRole(supabase, actorId, ownerId) {
+  if (!actorId || !ownerId) return null;
+  if (actorId === ownerId) return 'owner';
+
+  const memberships = await getMemberships(supabase, actorId);
+  if (memberships.length === 0) return null;
+
+  const { data: shared, error } = await supabase
+    .from('organization_members')
+    .select('organization_id')
+    .eq('user_id', ownerId)
+    .in('organization_id', memberships.map(m => m.organization_id));
+
+  if (error) throw error;
+  if (!shared || shared.length === 0) return null;
+
+  const sharedIds = new Set(shared.map(s => s.organization_id));
+  return memberships
+    .filter(m => sharedIds.has(m.organization_id))
+    .reduce((best, m) => (ROLE_RANK[m.role] > ROLE_RANK[best] ? m.role : best), 'viewer');
+}
+
+/**
+ * user_ids whose data the actor can see: themselves plus everyone in their organizations
+ * @returns {Promise<string[]>}
+ */
+async function listAccessibleUserIds(supabase, actorId) {
+  const memberships = await getMemberships(supabase, actorId);
+  if (memberships.length === 0) return [actorId];
+
+  const { data, error } = await supabase
+    .from('organization_members')
+    .select('user_id')
+    .in('organization_id', memberships.map(m => m.organization_id));
+
+  if (error) throw error;
+  return [...new Set([actorId, ...(data || []).map(m => m.user_id)])];
+}
+
+/**
+ * Load a listing the actor can access, with their role on it
+ * The select always includes user_id so callers can act as the owner.
+ *
+ * @param {string} columns - Columns to select (default '*')
+ * @returns {Promise<{listing: Object|null, role: string|null}>} listing is null
+ *   when it does not exist or the actor has no access to it
+ */
+async function getListingAccess(supabase, actorId, listingId, columns = '*') {
+  const select = columns === '*' || /\buser_id\b/.test(columns) ? columns : `${columns}, user_id`;
+
+  const { data: listing, error } = await supabase
+    .from('listings')
+    .select(select)
+    .eq('id', listingId)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!listing) return { listing: null, role: null };
+
+  const role = await getAccessRole(supabase, actorId, listing.user_id);
+  return role ? { listing, role } : { listing: null, role: null };
+}
+
+module.exports = {
+  ORG_ROLES,
+  INVITABLE_ROLES,
+  hasRole,
+  getMemberships,
+  getAccessRole,
+  listAccessibleUserIds,
+  getListingAccess
+};
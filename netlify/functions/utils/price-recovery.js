@@ -0,0 +1,145 @@
+/**
+ * Price Recovery (bump-up rules)
+ *
+ * The reduction engine only lowers prices. Recovery rules let a strategy step
+ * a listing back up toward original_price when the market says it is cheap:
+ * - sales velocity   → a multi-quantity listing sold sales_threshold units
+ *                      within window_days (from engagement snapshots)
+ * - competitor rise  → the lowest competitor price sits competitor_gap_percentage
+ *                      or more above our current price
+ *
+ * Each raise is at most step_percentage of the current price, never above
+ * max_price_percentage of original_price (or the lowest competitor, for
+ * competitor-driven raises), and at most once per cooldown_days.
+ *
+ * Strategies opt in through strategies.recovery_settings:
+ *   { enabled, window_days, sales_threshold, competitor_gap_percentage,
+ *     step_percentage, max_price_percentage, cooldown_days }
+ */
+
+const { getEngagementTrend } = require('./engagement-velocity');
+
+const DEFAULT_RECOVERY_SETTINGS = {
+  enabled: false,
+  window_days: 7,
+  sales_threshold: 3,            // Units sold within the window that trigger a raise (0 = off)
+  competitor_gap_percentage: 10, // Lowest competitor this far above us triggers a raise (0 = off)
+  step_percentage: 5,            // Largest single raise, % of current price
+  max_price_percentage: 100,     // Ceiling as % of original_price
+  cooldown_days: 3               // Minimum days between raises
+};
+
+const MAX_STEP_PERCENTAGE = 25;
+const MAX_WINDOW_DAYS = 60;
+
+/**
+ * Merge a strategy's recovery settings over the defaults
+ */
+function getRecoverySettings(strategy) {
+  const settings = { ...DEFAULT_RECOVERY_SETTINGS, ...(strategy?.recovery_settings || {}) };
+  const number = (value, fallback) => {
+    const parsed = parseFloat(value);
+    return isNaN(parsed) ? fallback : parsed;
+  };
+
+  settings.window_days = Math.min(Math.max(number(settings.window_days, DEFAULT_RECOVERY_SETTINGS.window_days), 1), MAX_WINDOW_DAYS);
+  settings.sales_threshold = Math.max(parseInt(settings.sales_threshold) || 0, 0);
+  settings.competitor_gap_percentage = Math.max(number(settings.competitor_gap_percentage, 0), 0);
+  settings.step_percentage = Math.min(Math.max(number(settings.step_percentage, DEFAULT_RECOVERY_SETTINGS.step_percentage), 0.5), MAX_STEP_PERCENTAGE);
+  settings.max_price_percentage = Math.min(Math.max(number(settings.max_price_percentage, 100), 1), 100);
+  settings.cooldown_days = Math.max(number(settings.cooldown_days, DEFAULT_RECOVERY_SETTINGS.cooldown_days), 0);
+
+  return settings;
+}
+
+function isRecoveryEnabled(strategy) {
+  return Boolean(strategy?.recovery_settings?.enabled);
+}
+
+/**
+ * Decide whether a listing's price should step back up
+ * @param {Object} listing - The listing record
+ * @param {Object} strategy - Its strategy (recovery_settings)
+ * @param {Object} options
+ * @param {Array} options.snapshots - Engagement snapshots, oldest first
+ * @param {Object} options.marketAnalysis - Stored competitor pricing (analysisFromListing)
+ * @param {Date} options.now - Reference time
+ * @returns {Object} { action: 'none'|'raise', newPrice, increase, trigger, reason }
+ */
+function evaluateRecovery(listing, strategy, { snapshots = [], marketAnalysis = null, now = new Date() } = {}) {
+  if (!isRecoveryEnabled(strategy)) {
+    return { action: 'none' };
+  }
+
+  const settings = getRecoverySettings(strategy);
+  const currentPrice = parseFloat(listing.current_price);
+  const originalPrice = parseFloat(listing.original_price);
+
+  if (isNaN(currentPrice) || isNaN(originalPrice) || originalPrice <= 0) {
+    return { action: 'none', reason: 'No original price to recover toward' };
+  }
+
+  let ceiling = Math.round(originalPrice * (settings.max_price_percentage / 100) * 100) / 100;
+  if (currentPrice >= ceiling) {
+    return { action: 'none', reason: 'Already at recovery ceiling' };
+  }
+
+  if (listing.last_price_recovery) {
+    const daysSince = (now.getTime() - new Date(listing.last_price_recovery).getTime()) / (24 * 60 * 60 * 1000);
+    if (daysSince < settings.cooldown_days) {
+      return { action: 'none', reason: `Raised ${Math.round(daysSince * 10) / 10} days ago (cooldown ${settings.cooldown_days} days)` };
+    }
+  }
+
+  let trigger = null;
+  let reason = null;
+
+  // Sales velocity - only meaningful when there is stock left to sell
+  const quantityLeft = parseInt(listing.quantity_available ?? listing.quantity) || 0;
+  if (settings.sales_threshold > 0 && quantityLeft > 0) {
+    const trend = getEngagementTrend(snapshots, settings.window_days, now);
+    if (trend.hasEnoughData && trend.unitsSold >= settings.sales_threshold) {
+      trigger = 'sales_velocity';
+      reason = `Sold ${trend.unitsSold} in ${settings.window_days} days`;
+    }
+  }
+
+  // Competitors priced well above us
+  const competitorLowest = marketAnalysis?.marketLowestPrice;
+  if (!trigger && settings.competitor_gap_percentage > 0 && competitorLowest && marketAnalysis.matchTier !== 'error') {
+    const gap = ((competitorLowest - currentPrice) / currentPrice) * 100;
+    if (gap >= settings.competitor_gap_percentage) {
+      trigger = 'competitor_rise';
+      reason = `Lowest competitor $${competitorLowest} is ${Math.round(gap)}% above current price`;
+      // Stay a cent under the cheapest competitor
+      ceiling = Math.min(ceiling, Math.round((competitorLowest - 0.01) * 100) / 100);
+    }
+  }
+
+  if (!trigger) {
+    return { action: 'none' };
+  }
+
+  const newPrice = Math.min(
+    Math.round(currentPrice * (1 + settings.step_percentage / 100) * 100) / 100,
+    ceiling
+  );
+  if (newPrice <= currentPrice) {
+    return { action: 'none', reason: 'No room to raise' };
+  }
+
+  return {
+    action: 'raise',
+    newPrice,
+    increase: Math.round((newPrice - currentPrice) * 100) / 100,
+    trigger,
+    reason
+  };
+}
+
+module.exports = {
+  DEFAULT_RECOVERY_SETTINGS,
+  getRecoverySettings,
+  isRecoveryEnabled,
+  evaluateRecovery
+};
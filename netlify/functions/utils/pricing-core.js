@@ -0,0 +1,770 @@
+/**
+ * Pricing Core
+ *
+ * The single place that decides whether a listing is due for a price
+ * reduction, what its next price is, and how the result is recorded.
+ * Every entry point goes through here so a listing behaves the same no
+ * matter which trigger fires:
+ * - process-price-reductions (scheduled run and trigger-price-reduction)
+ * - manual-price-reduction and price-reduction-engine ("run now" buttons)
+ * - reduce-price (single listing reduce)
+ *
+ * INTERVAL UNIT: DAYS
+ * listings.reduction_interval, strategies.interval_days (production) and
+ * strategies.frequency_days (UAT) all store whole days between reductions.
+ * An assigned strategy's interval wins over the listing's own value.
+ * Hours are only used internally, because velocity acceleration can shorten
+ * an interval below one day. See add-pricing-core-interval-days.sql.
+ *
+ * DEFAULTS
+ * 5% every 7 days when neither the strategy nor the listing says otherwise.
+ *
+ * CALENDARS
+ * users.reduction_schedule and strategies.reduction_schedule can block
+ * weekdays, limit reductions to local hours and black out date ranges
+ * (see reduction-calendar.js). A due listing outside its calendar waits for
+ * the next run inside it.
+ *
+ * PRICE FLOOR
+ * The higher of the hand-entered minimum_price and profit_floor_price, which
+ * the database derives from item cost, inbound shipping, estimated eBay fees
+ * and the desired margin (see add-cost-basis-profit-floor.sql). $0.99 only
+ * when neither is set.
+ *
+ * RECOVERY
+ * Strategies with recovery_settings can also step a price back UP toward
+ * original_price (see price-recovery.js). Raises are logged with
+ * reduction_type 'recovery' and negative amounts, and restart the reduction
+ * interval so a raise is not undone on the next run.
+ */
+
+const {
+  validateStrategy,
+  getStrategyTypeKey,
+  requiresMarketData,
+  calculateReduction
+} = require('./strategy-types');
+const {
+  createPricingServiceForUser,
+  toListingMarketColumns,
+  analysisFromListing
+} = require('./competitive-pricing-service');
+const {
+  isVelocityEnabled,
+  getVelocitySettings,
+  fetchEngagementSnapshots,
+  evaluateVelocity
+} = require('./engagement-velocity');
+const { isReductionAllowed, getNextAllowedTime } = require('./reduction-calendar');
+const { isRecoveryEnabled, getRecoverySettings, evaluateRecovery } = require('./price-recovery');
+
+const DEFAULT_REDUCTION_PERCENTAGE = 5;
+const DEFAULT_REDUCTION_INTERVAL_DAYS = 7;
+const MINIMUM_PRICE_FLOOR = 0.99;
+const DEFAULT_FORECAST_MAX_STEPS = 100;
+const HOURS_PER_DAY = 24;
+
+/**
+ * Days between reductions for a listing
+ * @param {Object} listing - The listing record
+ * @param {Object} strategy - Assigned strategy (optional); its interval wins
+ */
+function getReductionIntervalDays(listing, strategy = null) {
+  const days = parseFloat(
+    strategy?.interval_days ||
+    strategy?.frequency_days ||
+    listing.reduction_interval ||
+    DEFAULT_REDUCTION_INTERVAL_DAYS
+  );
+  return days > 0 ? days : DEFAULT_REDUCTION_INTERVAL_DAYS;
+}
+
+/**
+ * Hours between reductions (internal resolution for due checks)
+ */
+function getReductionIntervalHours(listing, strategy = null) {
+  return getReductionIntervalDays(listing, strategy) * HOURS_PER_DAY;
+}
+
+/**
+ * When the next reduction falls due, counting from a reference time
+ */
+function getNextReductionDate(listing, strategy = null, from = new Date()) {
+  const intervalMs = getReductionIntervalHours(listing, strategy) * 60 * 60 * 1000;
+  return new Date(from.getTime() + intervalMs);
+}
+
+/**
+ * Whether automatic reductions are switched on for a listing
+ * enable_auto_reduction is the production column; the data migration copies
+ * the older price_reduction_enabled flag into it.
+ */
+function isAutoReductionEnabled(listing) {
+  return Boolean(listing.enable_auto_reduction);
+}
+
+/**
+ * Check if listing is due for price reduction
+ * @param {Object} listing - The listing record
+ * @param {Object} options
+ * @param {Object} options.strategy - Assigned strategy (optional, sets the interval)
+ * @param {Object} options.velocity - Engagement velocity decision (optional, see engagement-velocity.js)
+ * @param {Object} options.userSchedule - Seller's reduction calendar (optional, see reduction-calendar.js)
+ * @param {Date} options.now - Reference time
+ */
+function isDueForReduction(listing, { strategy = null, velocity = null, userSchedule = null, now = new Date() } = {}) {
+  if (!isAutoReductionEnabled(listing)) {
+    return false;
+  }
+
+  if (listing.listing_status !== 'Active') {
+    return false;
+  }
+
+  // Check if already at the price floor
+  const currentPrice = parseFloat(listing.current_price);
+  if (currentPrice <= getEffectiveMinimumPrice(listing)) {
+    return false;
+  }
+
+  // Watchers growing - hold the price while interest builds
+  if (velocity?.action === 'pause') {
+    return false;
+  }
+
+  // Blocked weekday, outside allowed hours, or inside a blackout range
+  if (!isReductionAllowed({ userSchedule, strategySchedule: strategy?.reduction_schedule, now }).allowed) {
+    return false;
+  }
+
+  // Check reduction interval (shortened when views are flat), counted from
+  // the last price change in either direction
+  const intervalHours = getReductionIntervalHours(listing, strategy) * (velocity?.intervalMultiplier || 1);
+  const lastReduction = new Date(Math.max(
+    listing.last_price_reduction ? new Date(listing.last_price_reduction).getTime() : 0,
+    listing.last_price_recovery ? new Date(listing.last_price_recovery).getTime() : 0
+  ));
+
+  const hoursSinceLastReduction = (now.getTime() - lastReduction.getTime()) / (1000 * 60 * 60);
+
+  return hoursSinceLastReduction >= intervalHours;
+}
+
+/**
+ * Reduction for listings without a strategy, from the listing's own
+ * reduction_percentage and legacy reduction_strategy column
+ * time_based gets up to 2x more aggressive over the first 30 days listed.
+ */
+function calculateListingFallback(listing, currentPrice, now) {
+  const percentage = parseFloat(listing.reduction_percentage) || DEFAULT_REDUCTION_PERCENTAGE;
+  let factor = 1;
+
+  if (listing.reduction_strategy === 'time_based' && listing.start_time) {
+    const daysListed = Math.ceil((now - new Date(listing.start_time)) / (1000 * 60 * 60 * 24));
+    factor = Math.min(1 + (daysListed / 30) * 0.5, 2);
+  }
+
+  return {
+    reductionType: listing.reduction_strategy === 'time_based' ? 'time_based' : 'percentage',
+    reduction: currentPrice * (percentage / 100) * factor,
+    reductionValue: Math.round(percentage * factor * 100) / 100,
+    reductionUnit: 'percentage'
+  };
+}
+
+function parseFloor(value) {
+  const price = parseFloat(value);
+  return isNaN(price) || price <= 0 ? null : price;
+}
+
+/**
+ * Price floor used by the engine: the higher of listing.minimum_price and the
+ * cost-derived profit_floor_price, or $0.99 when neither is set
+ */
+function getEffectiveMinimumPrice(listing) {
+  const floors = [parseFloor(listing.minimum_price), parseFloor(listing.profit_floor_price)].filter(f => f !== null);
+  return floors.length > 0 ? Math.max(...floors) : MINIMUM_PRICE_FLOOR;
+}
+
+/**
+ * Which floor is binding for a listing
+ * @returns {string} 'profit_floor', 'minimum_price' or 'default'
+ */
+function getMinimumPriceSource(listing) {
+  const minimumPrice = parseFloor(listing.minimum_price);
+  const profitFloor = parseFloor(listing.profit_floor_price);
+  if (profitFloor !== null && (minimumPrice === null || profitFloor > minimumPrice)) {
+    return 'profit_floor';
+  }
+  return minimumPrice !== null ? 'minimum_price' : 'default';
+}
+
+/**
+ * Calculate new price based on reduction strategy
+ * The strategy's type is resolved through the strategy type registry
+ * (strategy-types.js); listings without a strategy fall back to their own
+ * reduction_percentage.
+ *
+ * @param {Object} listing - The listing record
+ * @param {Object} strategy - The strategy record (optional)
+ * @param {Date} now - Reference time for date-based strategies
+ * @param {Object} marketAnalysis - Competitor pricing for market-based strategy types
+ * @param {Object} options - { quiet } suppresses per-call logging (used by forecasts)
+ * @returns {Object} { newPrice, reductionType, reductionValue, reductionUnit, reductionApplied }
+ */
+function calculateNewPrice(listing, strategy = null, now = new Date(), marketAnalysis = null, { quiet = false } = {}) {
+  const log = quiet ? () => {} : console.log;
+  const currentPrice = parseFloat(listing.current_price);
+  const minimumPrice = getEffectiveMinimumPrice(listing);
+
+  // F-PRC003: Validate minimum price to handle edge cases
+  const floorSource = getMinimumPriceSource(listing);
+  if (floorSource === 'default') {
+    log(`⚠️ Invalid minimum_price and no cost basis for listing ${listing.id}, using default $${MINIMUM_PRICE_FLOOR}`);
+  } else if (floorSource === 'profit_floor') {
+    log(`💵 Listing ${listing.id} floored at profit floor $${minimumPrice} (minimum_price $${listing.minimum_price ?? 'unset'})`);
+  }
+  if (minimumPrice >= currentPrice) {
+    log(`⚠️ Listing ${listing.id} already at or below minimum ($${currentPrice} <= $${minimumPrice})`);
+    return {
+      newPrice: currentPrice,
+      reductionType: 'none',
+      reductionValue: 0,
+      reductionApplied: 0,
+      skipped: true,
+      reason: 'At or below minimum price'
+    };
+  }
+
+  let result;
+
+  if (strategy) {
+    const validation = validateStrategy(strategy);
+    if (!validation.valid) {
+      if (!quiet) {
+        console.warn(`⚠️ Strategy "${strategy.name}" is invalid: ${validation.error}`);
+      }
+      return {
+        newPrice: currentPrice,
+        reductionType: getStrategyTypeKey(strategy),
+        reductionValue: 0,
+        reductionApplied: 0,
+        skipped: true,
+        reason: `Invalid strategy: ${validation.error}`
+      };
+    }
+
+    result = calculateReduction(strategy, {
+      listing,
+      currentPrice,
+      minimumPrice,
+      intervalHours: getReductionIntervalHours(listing, strategy),
+      now,
+      marketAnalysis
+    });
+    if (result.skipped) {
+      log(`⏭️ Strategy "${strategy.name}" skipped listing ${listing.id}: ${result.reason}`);
+      return {
+        newPrice: currentPrice,
+        reductionType: result.reductionType,
+        reductionValue: 0,
+        reductionApplied: 0,
+        skipped: true,
+        reason: result.reason
+      };
+    }
+    log(`📊 Using strategy "${strategy.name}": ${result.reductionType} reduction of ${result.reductionUnit === 'dollar' ? '$' : ''}${result.reductionValue}${result.reductionUnit === 'percentage' ? '%' : ''}`);
+  } else {
+    result = calculateListingFallback(listing, currentPrice, now);
+    log(`📊 No strategy, using listing fallback: ${result.reductionValue}% (${result.reductionType})`);
+  }
+
+  let newPrice = currentPrice - result.reduction;
+
+  // Round to 2 decimal places
+  newPrice = Math.round(newPrice * 100) / 100;
+
+  // Ensure we don't go below minimum
+  const actualReduction = currentPrice - Math.max(newPrice, minimumPrice);
+  if (newPrice < minimumPrice) {
+    newPrice = minimumPrice;
+  }
+
+  return {
+    newPrice,
+    reductionType: result.reductionType,
+    reductionValue: result.reductionValue,
+    reductionUnit: result.reductionUnit,
+    reductionApplied: Math.round(actualReduction * 100) / 100
+  };
+}
+
+/**
+ * Project the price timeline for a listing under a strategy
+ * Repeats calculateNewPrice one interval at a time - exactly what the
+ * scheduled run does - until the price reaches its floor, the strategy stops
+ * reducing, or maxSteps is hit. Steps that land outside the seller's or
+ * strategy's calendar move to the next allowed hour. Engagement velocity is
+ * not simulated (it depends on future views/watchers) and competitor-anchored
+ * strategies treat the given market analysis as constant.
+ *
+ * @param {Object} listing - The listing record
+ * @param {Object} strategy - Strategy to forecast (null = listing fallback)
+ * @param {Object} options - { now, maxSteps, marketAnalysis, userSchedule }
+ * @returns {Object} { startPrice, minimumPrice, finalPrice, steps, reachesMinimum,
+ *                     reachesMinimumAt, marginGivenUp, stopReason, timeline }
+ */
+function simulateReductionTimeline(listing, strategy = null, { now = new Date(), maxSteps = DEFAULT_FORECAST_MAX_STEPS, marketAnalysis = null, userSchedule = null } = {}) {
+  const intervalMs = getReductionIntervalHours(listing, strategy) * 60 * 60 * 1000;
+  const startPrice = parseFloat(listing.current_price);
+  const minimumPrice = getEffectiveMinimumPrice(listing);
+  const timeline = [];
+
+  // First step falls due one interval after the last reduction, or now if already due
+  const lastReduction = listing.last_price_reduction ? new Date(listing.last_price_reduction).getTime() : 0;
+  let stepTime = new Date(Math.max(now.getTime(), lastReduction + intervalMs));
+  let state = { ...listing };
+  let stopReason = `Stopped after ${maxSteps} steps`;
+
+  for (let step = 1; step <= maxSteps; step++) {
+    stepTime = getNextAllowedTime({ userSchedule, strategySchedule: strategy?.reduction_schedule, from: stepTime });
+    if (!stepTime) {
+      stopReason = 'Calendar allows no reductions within the next year';
+      break;
+    }
+
+    const result = calculateNewPrice(state, strategy, stepTime, marketAnalysis, { quiet: true });
+    if (result.skipped || result.newPrice >= parseFloat(state.current_price)) {
+      stopReason = result.reason || 'No further reduction';
+      break;
+    }
+
+    timeline.push({
+      step,
+      date: stepTime.toISOString(),
+      price: result.newPrice,
+      reduction: result.reductionApplied,
+      reductionType: result.reductionType
+    });
+
+    state = {
+      ...state,
+      current_price: result.newPrice,
+      total_reductions: (parseInt(state.total_reductions) || 0) + 1,
+      last_price_reduction: stepTime.toISOString()
+    };
+    stepTime = new Date(stepTime.getTime() + intervalMs);
+  }
+
+  const finalPrice = timeline.length > 0 ? timeline[timeline.length - 1].price : startPrice;
+  const reachesMinimum = finalPrice <= minimumPrice;
+
+  return {
+    startPrice,
+    minimumPrice,
+    finalPrice,
+    steps: timeline.length,
+    reachesMinimum,
+    reachesMinimumAt: reachesMinimum && timeline.length > 0 ? timeline[timeline.length - 1].date : null,
+    marginGivenUp: Math.round((startPrice - finalPrice) * 100) / 100,
+    stopReason,
+    timeline
+  };
+}
+
+/**
+ * Fetch strategy for a listing if it has a strategy_id
+ */
+async function getStrategyForListing(supabase, listing) {
+  if (!listing.strategy_id) {
+    return null;
+  }
+
+  const { data: strategy, error } = await supabase
+    .from('strategies')
+    .select('*')
+    .eq('id', listing.strategy_id)
+    .single();
+
+  if (error) {
+    console.warn(`Failed to fetch strategy ${listing.strategy_id}:`, error.message);
+    return null;
+  }
+
+  return strategy;
+}
+
+/**
+ * Fetch the strategies assigned to a set of listings
+ * @returns {Map} strategy id -> strategy
+ */
+async function getStrategiesForListings(supabase, listings) {
+  const strategiesById = new Map();
+
+  const strategyIds = [...new Set(listings.map(l => l.strategy_id).filter(Boolean))];
+  if (strategyIds.length === 0) {
+    return strategiesById;
+  }
+
+  const { data: strategies, error } = await supabase
+    .from('strategies')
+    .select('*')
+    .in('id', strategyIds);
+
+  if (error) {
+    console.warn('Failed to fetch strategies for listings:', error.message);
+    return strategiesById;
+  }
+
+  for (const strategy of strategies || []) {
+    strategiesById.set(strategy.id, strategy);
+  }
+
+  return strategiesById;
+}
+
+/**
+ * Evaluate engagement velocity for listings whose strategy has it enabled
+ * @param {Object} supabase - Service-role Supabase client
+ * @param {Array} listings - Listings to evaluate
+ * @param {Map} strategiesById - From getStrategiesForListings
+ * @returns {Map} listing id -> velocity decision
+ */
+async function loadVelocityForListings(supabase, listings, strategiesById) {
+  const velocityByListing = new Map();
+
+  const velocityStrategies = new Map(
+    [...strategiesById.values()].filter(isVelocityEnabled).map(s => [s.id, s])
+  );
+  const tracked = listings.filter(l => velocityStrategies.has(l.strategy_id));
+  if (tracked.length === 0) {
+    return velocityByListing;
+  }
+
+  const maxWindowDays = Math.max(
+    ...[...velocityStrategies.values()].map(s => getVelocitySettings(s).window_days)
+  );
+  const since = new Date(Date.now() - maxWindowDays * 24 * 60 * 60 * 1000);
+  const snapshots = await fetchEngagementSnapshots(supabase, tracked.map(l => l.id), since);
+
+  for (const listing of tracked) {
+    const velocity = evaluateVelocity(
+      velocityStrategies.get(listing.strategy_id),
+      snapshots.get(listing.id) || []
+    );
+    if (velocity.action !== 'normal') {
+      console.log(`📈 Listing ${listing.id}: ${velocity.action} (${velocity.reason})`);
+    }
+    velocityByListing.set(listing.id, velocity);
+  }
+
+  return velocityByListing;
+}
+
+/**
+ * Evaluate recovery (bump-up) rules for listings whose strategy has them enabled
+ * Uses stored competitor analysis only; recovery never calls the Browse API.
+ * @param {Object} supabase - Service-role Supabase client
+ * @param {Array} listings - Listings to evaluate
+ * @param {Map} strategiesById - From getStrategiesForListings
+ * @returns {Map} listing id -> recovery decision ({ action: 'raise', newPrice, increase, trigger, reason })
+ */
+async function loadRecoveryForListings(supabase, listings, strategiesById) {
+  const recoveryByListing = new Map();
+
+  const recoveryStrategies = new Map(
+    [...strategiesById.values()].filter(isRecoveryEnabled).map(s => [s.id, s])
+  );
+  const tracked = listings.filter(l => recoveryStrategies.has(l.strategy_id));
+  if (tracked.length === 0) {
+    return recoveryByListing;
+  }
+
+  const maxWindowDays = Math.max(
+    ...[...recoveryStrategies.values()].map(s => getRecoverySettings(s).window_days)
+  );
+  const since = new Date(Date.now() - maxWindowDays * 24 * 60 * 60 * 1000);
+  const snapshots = await fetchEngagementSnapshots(supabase, tracked.map(l => l.id), since);
+
+  for (const listing of tracked) {
+    const recovery = evaluateRecovery(listing, recoveryStrategies.get(listing.strategy_id), {
+      snapshots: snapshots.get(listing.id) || [],
+      marketAnalysis: analysisFromListing(listing)
+    });
+    if (recovery.action === 'raise') {
+      console.log(`📈 Listing ${listing.id}: recover $${listing.current_price} → $${recovery.newPrice} (${recovery.reason})`);
+      recoveryByListing.set(listing.id, recovery);
+    }
+  }
+
+  return recoveryByListing;
+}
+
+/**
+ * Competitor pricing for a listing, reusing the stored analysis while fresh
+ * @param {Object} supabase - Service-role Supabase client
+ * @param {Object} listing - The listing record
+ * @param {Object} strategy - Strategy whose parameters set max_analysis_age_hours
+ * @param {Map} pricingServices - Per-run cache of user id -> CompetitivePricingService
+ */
+async function getMarketAnalysis(supabase, listing, strategy, pricingServices = new Map()) {
+  const maxAgeHours = parseFloat(strategy.parameters?.max_analysis_age_hours) || 24;
+  const stored = analysisFromListing(listing);
+
+  if (stored && stored.matchTier !== 'error') {
+    const ageHours = (Date.now() - new Date(stored.analyzedAt).getTime()) / (1000 * 60 * 60);
+    if (ageHours < maxAgeHours) {
+      return stored;
+    }
+  }
+
+  if (!pricingServices.has(listing.user_id)) {
+    pricingServices.set(listing.user_id, await createPricingServiceForUser(supabase, listing.user_id));
+  }
+  const pricingService = pricingServices.get(listing.user_id);
+  if (!pricingService) {
+    console.warn(`No eBay app credentials for user ${listing.user_id}, using stored analysis`);
+    return stored;
+  }
+
+  const analysis = await pricingService.analyzeListingPricing(listing);
+
+  const { error } = await supabase
+    .from('listings')
+    .update(toListingMarketColumns(analysis))
+    .eq('id', listing.id);
+  if (error) {
+    console.warn(`Failed to store market analysis for listing ${listing.id}:`, error.message);
+  }
+
+  return analysis;
+}
+
+/**
+ * Work out the next price for a listing, loading whatever its strategy needs
+ * @param {Object} supabase - Service-role Supabase client
+ * @param {Object} listing - The listing record
+ * @param {Object} options
+ * @param {Object} options.strategy - Pre-loaded strategy (fetched from strategy_id when undefined)
+ * @param {Map} options.pricingServices - Per-run CompetitivePricingService cache
+ * @param {Date} options.now - Reference time
+ * @returns {Object} calculateNewPrice result plus the strategy used
+ */
+async function evaluateListingReduction(supabase, listing, { strategy, pricingServices = new Map(), now = new Date() } = {}) {
+  if (strategy === undefined) {
+    strategy = await getStrategyForListing(supabase, listing);
+  }
+
+  // Competitor-anchored strategies need current market pricing
+  const marketAnalysis = strategy && requiresMarketData(strategy)
+    ? await getMarketAnalysis(supabase, listing, strategy, pricingServices)
+    : null;
+
+  const priceResult = calculateNewPrice(listing, strategy, now, marketAnalysis);
+
+  if (!priceResult.skipped && priceResult.newPrice >= parseFloat(listing.current_price)) {
+    return { ...priceResult, strategy, skipped: true, reason: 'New price not lower (at minimum or no reduction)' };
+  }
+
+  return { ...priceResult, strategy };
+}
+
+/**
+ * Write a price_reduction_log row. The listing has already been updated by
+ * then, so a failed write is logged rather than failing the price change.
+ * supabase-js returns insert failures as { error } instead of throwing.
+ */
+async function insertPriceLog(supabase, row, label) {
+  const { error } = await supabase.from('price_reduction_log').insert(row);
+  if (error) {
+    console.error(`Failed to log ${label} for listing ${row.listing_id}:`, error.message);
+  }
+  return !error;
+}
+
+/**
+ * Persist an applied reduction: update the listing and write the log row
+ * @param {Object} supabase - Service-role Supabase client
+ * @param {Object} listing - The listing as it was before the reduction
+ * @param {Object} reduction - { newPrice, reductionApplied, reductionType, strategy }
+ * @param {Object} options
+ * @param {string} options.source - price_reduction_log.reduction_type: manual/scheduled/automated
+ * @param {string} options.triggeredBy - User who triggered a manual run (optional)
+ * @returns {Object} Updated listing row (or null if the update failed)
+ */
+async function recordPriceReduction(supabase, listing, reduction, { source = 'automated', triggeredBy = null } = {}) {
+  const { newPrice, reductionApplied, reductionType, strategy = null } = reduction;
+  const now = new Date();
+  const originalPrice = parseFloat(listing.current_price);
+
+  const { data: updatedListing, error: updateError } = await supabase
+    .from('listings')
+    .update({
+      current_price: newPrice,
+      last_price_reduction: now.toISOString(),
+      next_price_reduction: getNextReductionDate(listing, strategy, now).toISOString(),
+      total_reductions: (listing.total_reductions || 0) + 1,
+      // Starts the end-of-life wait (end-of-life.js)
+      ...(newPrice <= getEffectiveMinimumPrice(listing) && !listing.floor_reached_at
+        ? { floor_reached_at: now.toISOString(), end_of_life_at: null }
+        : {}),
+      updated_at: now.toISOString()
+    })
+    .eq('id', listing.id)
+    .select()
+    .single();
+
+  if (updateError) {
+    throw new Error(`Failed to update listing ${listing.id}: ${updateError.message}`);
+  }
+
+  // Log reduction with type info
+  await insertPriceLog(supabase, {
+    listing_id: listing.id,
+    user_id: listing.user_id,
+    ebay_item_id: listing.ebay_item_id || listing.ebay_listing_id || 'unknown',
+    sku: listing.ebay_sku || listing.sku,
+    title: listing.title,
+    original_price: originalPrice,
+    reduced_price: newPrice,
+    reduction_amount: reductionApplied,
+    reduction_percentage: ((reductionApplied / originalPrice) * 100).toFixed(2),
+    reduction_type: source, // source: manual/scheduled/automated
+    reduction_method: reductionType, // method: strategy type (percentage/dollar/stepped/...)
+    reduction_strategy: strategy?.name || listing.reduction_strategy || null,
+    strategy_id: strategy?.id || null,
+    triggered_by: triggeredBy,
+    created_at: now.toISOString()
+  }, 'price reduction');
+
+  return updatedListing;
+}
+
+/**
+ * Persist an applied recovery (price raise): update the listing and write the log row
+ * Logged in price_reduction_log with reduction_type 'recovery' and negative
+ * reduction_amount/percentage, so totals of real reductions stay correct.
+ * @param {Object} supabase - Service-role Supabase client
+ * @param {Object} listing - The listing as it was before the raise
+ * @param {Object} recovery - { newPrice, increase, trigger, strategy }
+ * @param {Object} options - { triggeredBy }
+ * @returns {Object} Updated listing row
+ */
+async function recordPriceRecovery(supabase, listing, recovery, { triggeredBy = null } = {}) {
+  const { newPrice, trigger, strategy = null } = recovery;
+  const now = new Date();
+  const originalPrice = parseFloat(listing.current_price);
+  const change = Math.round((originalPrice - newPrice) * 100) / 100;
+
+  const { data: updatedListing, error: updateError } = await supabase
+    .from('listings')
+    .update({
+      current_price: newPrice,
+      last_price_recovery: now.toISOString(),
+      next_price_reduction: getNextReductionDate(listing, strategy, now).toISOString(),
+      total_recoveries: (listing.total_recoveries || 0) + 1,
+      updated_at: now.toISOString()
+    })
+    .eq('id', listing.id)
+    .select()
+    .single();
+
+  if (updateError) {
+    throw new Error(`Failed to update listing ${listing.id}: ${updateError.message}`);
+  }
+
+  await insertPriceLog(supabase, {
+    listing_id: listing.id,
+    user_id: listing.user_id,
+    ebay_item_id: listing.ebay_item_id || listing.ebay_listing_id || 'unknown',
+    sku: listing.ebay_sku || listing.sku,
+    title: listing.title,
+    original_price: originalPrice,
+    reduced_price: newPrice,
+    reduction_amount: change,
+    reduction_percentage: ((change / originalPrice) * 100).toFixed(2),
+    reduction_type: 'recovery',
+    reduction_method: trigger, // sales_velocity / competitor_rise
+    reduction_strategy: strategy?.name || null,
+    strategy_id: strategy?.id || null,
+    triggered_by: triggeredBy,
+    created_at: now.toISOString()
+  }, 'price recovery');
+
+  return updatedListing;
+}
+
+/**
+ * Persist an end-of-life action: apply its listing changes and write the log row
+ * @param {Object} supabase - Service-role Supabase client
+ * @param {Object} listing - The listing as it was before the action
+ * @param {Object} outcome - { action, reason, strategy, updates, newPrice }
+ *   updates: extra listing columns (e.g. listing_status for 'end'); newPrice
+ *   only when the price changed (relist at original_price)
+ * @param {Object} options - { triggeredBy }
+ */
+async function recordEndOfLifeAction(supabase, listing, outcome, { triggeredBy = null } = {}) {
+  const { action, reason, strategy = null, updates = {}, newPrice = null } = outcome;
+  const now = new Date();
+  const oldPrice = parseFloat(listing.current_price);
+  const finalPrice = newPrice ?? oldPrice;
+  const change = Math.round((oldPrice - finalPrice) * 100) / 100;
+
+  const { error: updateError } = await supabase
+    .from('listings')
+    .update({
+      end_of_life_action: action,
+      end_of_life_at: now.toISOString(),
+      ...updates,
+      updated_at: now.toISOString()
+    })
+    .eq('id', listing.id);
+
+  if (updateError) {
+    throw new Error(`Failed to update listing ${listing.id}: ${updateError.message}`);
+  }
+
+  await insertPriceLog(supabase, {
+    listing_id: listing.id,
+    user_id: listing.user_id,
+    ebay_item_id: listing.ebay_item_id || listing.ebay_listing_id || 'unknown',
+    sku: listing.ebay_sku || listing.sku,
+    title: listing.title,
+    original_price: oldPrice,
+    reduced_price: finalPrice,
+    reduction_amount: change,
+    reduction_percentage: oldPrice > 0 ? ((change / oldPrice) * 100).toFixed(2) : 0,
+    reduction_type: 'end_of_life',
+    reduction_method: action, // notify / needs_attention / end / relist
+    reduction_strategy: strategy?.name || null,
+    strategy_id: strategy?.id || null,
+    triggered_by: triggeredBy,
+    notes: reason || null,
+    created_at: now.toISOString()
+  }, 'end-of-life action');
+}
+
+module.exports = {
+  DEFAULT_REDUCTION_PERCENTAGE,
+  DEFAULT_REDUCTION_INTERVAL_DAYS,
+  MINIMUM_PRICE_FLOOR,
+  DEFAULT_FORECAST_MAX_STEPS,
+  getReductionIntervalDays,
+  getReductionIntervalHours,
+  getNextReductionDate,
+  isAutoReductionEnabled,
+  isDueForReduction,
+  getEffectiveMinimumPrice,
+  getMinimumPriceSource,
+  calculateNewPrice,
+  simulateReductionTimeline,
+  getStrategyForListing,
+  getStrategiesForListings,
+  loadVelocityForListings,
+  loadRecoveryForListings,
+  getMarketAnalysis,
+  evaluateListingReduction,
+  recordPriceReduction,
+  recordPriceRecovery,
+  recordEndOfLifeAction
+};
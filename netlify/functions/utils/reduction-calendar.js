@@ -0,0 +1,239 @@
+/**
+ * Reduction Calendar
+ *
+ * Per-user and per-strategy rules for WHEN reductions may happen. The
+ * scheduled job runs every 4 hours around the clock; a calendar narrows that:
+ *
+ *   {
+ *     timezone: 'America/Chicago',     // user calendar only; strategies use the seller's zone
+ *     allowed_weekdays: [1, 2, 3, 4, 5], // 0 = Sunday; empty/missing = every day
+ *     start_hour: 8,                     // local hour window [start_hour, end_hour)
+ *     end_hour: 20,                      // start_hour > end_hour wraps past midnight
+ *     blackout_ranges: [{ start: '2026-11-27', end: '2026-11-30', label: 'Black Friday' }]
+ *   }
+ *
+ * Stored in users.reduction_schedule and strategies.reduction_schedule. A
+ * reduction must be allowed by BOTH calendars. Blackout dates are inclusive
+ * local calendar dates.
+ */
+
+const DEFAULT_TIMEZONE = 'America/Chicago';
+const MAX_BLACKOUT_RANGES = 50;
+const MAX_SEARCH_DAYS = 366;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const WEEKDAY_INDEX = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+const WEEKDAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+const formatters = new Map();
+
+function isValidTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+function getFormatter(timezone) {
+  if (!formatters.has(timezone)) {
+    formatters.set(timezone, new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      weekday: 'short',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      hourCycle: 'h23'
+    }));
+  }
+  return formatters.get(timezone);
+}
+
+/**
+ * Weekday, hour and YYYY-MM-DD date of an instant in a time zone
+ */
+function getLocalTime(date, timezone = DEFAULT_TIMEZONE) {
+  const zone = isValidTimezone(timezone) ? timezone : DEFAULT_TIMEZONE;
+  const parts = {};
+  for (const part of getFormatter(zone).formatToParts(date)) {
+    parts[part.type] = part.value;
+  }
+  return {
+    weekday: WEEKDAY_INDEX[parts.weekday],
+    hour: parseInt(parts.hour) % 24,
+    date: `${parts.year}-${parts.month}-${parts.day}`
+  };
+}
+
+function hasHourWindow(schedule) {
+  return Number.isInteger(schedule?.start_hour) && Number.isInteger(schedule?.end_hour) &&
+    schedule.start_hour !== schedule.end_hour;
+}
+
+function isEmptySchedule(schedule) {
+  return !schedule ||
+    (!(schedule.allowed_weekdays || []).length && !hasHourWindow(schedule) && !(schedule.blackout_ranges || []).length);
+}
+
+/**
+ * Check one calendar against a local time
+ * @returns {Object} { allowed, reason }
+ */
+function checkSchedule(schedule, local, label) {
+  if (isEmptySchedule(schedule)) {
+    return { allowed: true };
+  }
+
+  const blackout = (schedule.blackout_ranges || []).find(range => local.date >= range.start && local.date <= range.end);
+  if (blackout) {
+    return { allowed: false, reason: `${label} blackout${blackout.label ? ` "${blackout.label}"` : ''} (${blackout.start} to ${blackout.end})` };
+  }
+
+  const weekdays = schedule.allowed_weekdays || [];
+  if (weekdays.length > 0 && !weekdays.includes(local.weekday)) {
+    return { allowed: false, reason: `${label} calendar skips ${WEEKDAY_NAMES[local.weekday]}` };
+  }
+
+  if (hasHourWindow(schedule)) {
+    const { start_hour: start, end_hour: end } = schedule;
+    const inWindow = start < end
+      ? local.hour >= start && local.hour < end
+      : local.hour >= start || local.hour < end;
+    if (!inWindow) {
+      return { allowed: false, reason: `${label} calendar only reduces between ${start}:00 and ${end}:00` };
+    }
+  }
+
+  return { allowed: true };
+}
+
+/**
+ * Whether a reduction may happen at a given time under the user's and strategy's calendars
+ * @param {Object} options
+ * @param {Object} options.userSchedule - users.reduction_schedule (sets the time zone)
+ * @param {Object} options.strategySchedule - strategies.reduction_schedule
+ * @param {Date} options.now - Time to check
+ * @returns {Object} { allowed, reason }
+ */
+function isReductionAllowed({ userSchedule = null, strategySchedule = null, now = new Date() } = {}) {
+  if (isEmptySchedule(userSchedule) && isEmptySchedule(strategySchedule)) {
+    return { allowed: true };
+  }
+
+  const local = getLocalTime(now, userSchedule?.timezone || DEFAULT_TIMEZONE);
+  const userCheck = checkSchedule(userSchedule, local, 'Account');
+  if (!userCheck.allowed) {
+    return userCheck;
+  }
+  return checkSchedule(strategySchedule, local, 'Strategy');
+}
+
+/**
+ * First time at or after `from` when a reduction is allowed (hourly resolution)
+ * @returns {Date|null} null when nothing is allowed within a year
+ */
+function getNextAllowedTime({ userSchedule = null, strategySchedule = null, from = new Date() } = {}) {
+  if (isReductionAllowed({ userSchedule, strategySchedule, now: from }).allowed) {
+    return from;
+  }
+
+  const hourMs = 60 * 60 * 1000;
+  let candidate = Math.ceil(from.getTime() / hourMs) * hourMs;
+  const limit = from.getTime() + MAX_SEARCH_DAYS * 24 * hourMs;
+
+  for (; candidate <= limit; candidate += hourMs) {
+    const time = new Date(candidate);
+    if (isReductionAllowed({ userSchedule, strategySchedule, now: time }).allowed) {
+      return time;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Validate a calendar before saving
+ * @returns {Object} { valid, error }
+ */
+function validateSchedule(schedule) {
+  if (!schedule || typeof schedule !== 'object' || Array.isArray(schedule)) {
+    return { valid: false, error: 'Schedule must be an object' };
+  }
+
+  if (schedule.timezone !== undefined && !isValidTimezone(schedule.timezone)) {
+    return { valid: false, error: `Unknown time zone: ${schedule.timezone}` };
+  }
+
+  const weekdays = schedule.allowed_weekdays || [];
+  if (!Array.isArray(weekdays) || weekdays.some(day => !Number.isInteger(day) || day < 0 || day > 6)) {
+    return { valid: false, error: 'Allowed weekdays must be numbers from 0 (Sunday) to 6 (Saturday)' };
+  }
+
+  const hasStart = schedule.start_hour !== undefined && schedule.start_hour !== null;
+  const hasEnd = schedule.end_hour !== undefined && schedule.end_hour !== null;
+  if (hasStart !== hasEnd) {
+    return { valid: false, error: 'Set both a start hour and an end hour, or neither' };
+  }
+  if (hasStart) {
+    if (!Number.isInteger(schedule.start_hour) || schedule.start_hour < 0 || schedule.start_hour > 23) {
+      return { valid: false, error: 'Start hour must be between 0 and 23' };
+    }
+    if (!Number.isInteger(schedule.end_hour) || schedule.end_hour < 0 || schedule.end_hour > 24) {
+      return { valid: false, error: 'End hour must be between 0 and 24' };
+    }
+  }
+
+  const ranges = schedule.blackout_ranges || [];
+  if (!Array.isArray(ranges) || ranges.length > MAX_BLACKOUT_RANGES) {
+    return { valid: false, error: `Blackout ranges must be a list of at most ${MAX_BLACKOUT_RANGES}` };
+  }
+  for (const range of ranges) {
+    if (!DATE_PATTERN.test(range?.start || '') || !DATE_PATTERN.test(range?.end || '')) {
+      return { valid: false, error: 'Blackout ranges need start and end dates (YYYY-MM-DD)' };
+    }
+    if (range.start > range.end) {
+      return { valid: false, error: `Blackout range ${range.start} to ${range.end} ends before it starts` };
+    }
+  }
+
+  return { valid: true };
+}
+
+/**
+ * Fetch account calendars for a set of users
+ * @returns {Map} user id -> reduction_schedule
+ */
+async function fetchUserSchedules(supabase, userIds) {
+  const schedules = new Map();
+  const ids = [...new Set((userIds || []).filter(Boolean))];
+
+  if (ids.length === 0) {
+    return schedules;
+  }
+
+  const { data, error } = await supabase
+    .from('users')
+    .select('id, reduction_schedule')
+    .in('id', ids);
+
+  if (error) {
+    console.warn('Failed to fetch reduction schedules:', error.message);
+    return schedules;
+  }
+
+  for (const user of data || []) {
+    schedules.set(user.id, user.reduction_schedule || {});
+  }
+
+  return schedules;
+}
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  getLocalTime,
+  isReductionAllowed,
+  getNextAllowedTime,
+  validateSchedule,
+  fetchUserSchedules
+};
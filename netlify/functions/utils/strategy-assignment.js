@@ -0,0 +1,319 @@
+/**
+ * Strategy Assignment Rules
+ *
+ * Ordered per-user rules that pick a listing's strategy automatically:
+ *
+ *   { name: 'Shoes go fast', position: 0, strategy_id, is_active: true,
+ *     conditions: [{ field: 'category_id', operator: 'equals', value: '9355' }] }
+ *
+ * Rules are checked lowest position first and the first rule whose conditions
+ * ALL match wins. A rule with no conditions matches everything, which makes a
+ * catch-all default when placed last.
+ *
+ * Manual overrides: a listing whose strategy the seller picked by hand has
+ * strategy_source = 'manual' and is never touched. Rule-assigned listings
+ * (strategy_source = 'rule') follow the rules - when no rule matches any more
+ * their strategy is cleared. strategy_rule_id records which rule matched.
+ *
+ * Evaluated after every listing sync (sync-ebay-listings.js) and daily by
+ * scheduled-strategy-assignment.js, since days_listed changes on its own.
+ */
+
+const { getReductionIntervalDays, getNextReductionDate, isAutoReductionEnabled } = require('./pricing-core');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_RULES = 50;
+const MAX_CONDITIONS = 10;
+const UPDATE_BATCH_SIZE = 10;
+
+const NUMBER_OPERATORS = ['greater_than', 'at_least', 'less_than', 'at_most', 'equals'];
+const TEXT_OPERATORS = ['equals', 'not_equals', 'contains', 'in'];
+
+const RULE_FIELDS = {
+  category_id: { type: 'text', label: 'Category ID' },
+  current_price: { type: 'number', label: 'Price' },
+  days_listed: { type: 'number', label: 'Days listed' },
+  quantity_available: { type: 'number', label: 'Quantity' },
+  title: { type: 'text', label: 'Title' },
+  ebay_sku: { type: 'text', label: 'SKU' }
+};
+
+/**
+ * Days since a listing went live (start_time, else when we first saw it)
+ */
+function getDaysListed(listing, now = new Date()) {
+  const listedAt = listing.start_time || listing.created_at;
+  if (!listedAt) return 0;
+  return Math.max((now.getTime() - new Date(listedAt).getTime()) / DAY_MS, 0);
+}
+
+function getFieldValue(listing, field, now) {
+  if (field === 'days_listed') return getDaysListed(listing, now);
+  return listing[field];
+}
+
+function matchesCondition(listing, condition, now = new Date()) {
+  const definition = RULE_FIELDS[condition.field];
+  if (!definition) return false;
+
+  const actual = getFieldValue(listing, condition.field, now);
+  if (actual === undefined || actual === null || actual === '') return false;
+
+  if (definition.type === 'number') {
+    const value = parseFloat(actual);
+    const target = parseFloat(condition.value);
+    if (isNaN(value) || isNaN(target)) return false;
+
+    switch (condition.operator) {
+      case 'greater_than': return value > target;
+      case 'at_least': return value >= target;
+      case 'less_than': return value < target;
+      case 'at_most': return value <= target;
+      case 'equals': return Math.abs(value - target) < 0.005;
+      default: return false;
+    }
+  }
+
+  const value = String(actual).trim().toLowerCase();
+  const target = String(condition.value ?? '').trim().toLowerCase();
+
+  switch (condition.operator) {
+    case 'equals': return value === target;
+    case 'not_equals': return value !== target;
+    case 'contains': return target !== '' && value.includes(target);
+    case 'in': return target.split(',').map(v => v.trim()).filter(Boolean).includes(value);
+    default: return false;
+  }
+}
+
+function matchesRule(listing, rule, now = new Date()) {
+  return (rule.conditions || []).every(condition => matchesCondition(listing, condition, now));
+}
+
+/**
+ * First active rule that matches, in position order
+ * @param {Array} rules - Sorted by position
+ * @returns {Object|null}
+ */
+function findMatchingRule(listing, rules, now = new Date()) {
+  return rules.find(rule => rule.is_active !== false && matchesRule(listing, rule, now)) || null;
+}
+
+/**
+ * Validate a rule before saving
+ * @returns {Object} { valid, error }
+ */
+function validateAssignmentRule(rule) {
+  if (!rule || typeof rule !== 'object') {
+    return { valid: false, error: 'Rule is required' };
+  }
+  if (!rule.name || !String(rule.name).trim()) {
+    return { valid: false, error: 'Rule name is required' };
+  }
+  if (!rule.strategy_id) {
+    return { valid: false, error: 'Choose the strategy this rule assigns' };
+  }
+
+  const conditions = rule.conditions || [];
+  if (!Array.isArray(conditions)) {
+    return { valid: false, error: 'Conditions must be a list' };
+  }
+  if (conditions.length > MAX_CONDITIONS) {
+    return { valid: false, error: `At most ${MAX_CONDITIONS} conditions per rule` };
+  }
+
+  for (const condition of conditions) {
+    const definition = RULE_FIELDS[condition.field];
+    if (!definition) {
+      return { valid: false, error: `Unknown field: ${condition.field}` };
+    }
+    const operators = definition.type === 'number' ? NUMBER_OPERATORS : TEXT_OPERATORS;
+    if (!operators.includes(condition.operator)) {
+      return { valid: false, error: `${definition.label} cannot use "${condition.operator}"` };
+    }
+    if (definition.type === 'number' && isNaN(parseFloat(condition.value))) {
+      return { valid: false, error: `${definition.label} needs a number` };
+    }
+    if (definition.type === 'text' && !String(condition.value ?? '').trim()) {
+      return { valid: false, error: `${definition.label} needs a value` };
+    }
+  }
+
+  return { valid: true };
+}
+
+/**
+ * A user's rules in evaluation order
+ */
+async function fetchAssignmentRules(supabase, userId, { activeOnly = true } = {}) {
+  let query = supabase
+    .from('strategy_assignment_rules')
+    .select('*')
+    .eq('user_id', userId)
+    .order('position', { ascending: true })
+    .order('created_at', { ascending: true })
+    .limit(MAX_RULES);
+
+  if (activeOnly) {
+    query = query.eq('is_active', true);
+  }
+
+  const { data, error } = await query;
+  if (error) {
+    throw new Error(`Failed to fetch assignment rules: ${error.message}`);
+  }
+  return data || [];
+}
+
+/**
+ * Work out what should change for one listing
+ * @returns {Object|null} Update payload, or null when nothing changes
+ */
+function planAssignment(listing, rules, strategiesById, now = new Date()) {
+  if (listing.strategy_source === 'manual') return null;
+
+  const rule = findMatchingRule(listing, rules, now);
+
+  if (!rule) {
+    // Only clear what a rule set; unassigned listings stay unassigned
+    if (listing.strategy_source !== 'rule') return null;
+    return {
+      strategy_id: null,
+      strategy_source: null,
+      strategy_rule_id: null,
+      strategy_assigned_at: now.toISOString()
+    };
+  }
+
+  if (listing.strategy_id === rule.strategy_id && listing.strategy_rule_id === rule.id && listing.strategy_source === 'rule') {
+    return null;
+  }
+
+  const update = {
+    strategy_id: rule.strategy_id,
+    strategy_source: 'rule',
+    strategy_rule_id: rule.id,
+    strategy_assigned_at: now.toISOString()
+  };
+
+  // Same bookkeeping as a manual change (update-listing-strategy.js)
+  if (listing.strategy_id !== rule.strategy_id) {
+    const strategy = strategiesById.get(rule.strategy_id) || null;
+    update.reduction_interval = getReductionIntervalDays(listing, strategy);
+    if (isAutoReductionEnabled(listing)) {
+      update.next_price_reduction = getNextReductionDate(listing, strategy, now).toISOString();
+    }
+  }
+
+  return update;
+}
+
+/**
+ * Evaluate a user's rules against their listings and save the results
+ * @param {Object} supabase - Service-role client
+ * @param {string} userId
+ * @param {Object} options
+ * @param {Array} options.listingIds - Only these listings (default: all of the user's listings)
+ * @param {boolean} options.clearOverrides - Drop manual picks on listingIds and hand them back to the rules
+ * @param {Date} options.now - Reference time
+ * @returns {Object} { evaluated, assigned, unassigned, manual, errors }
+ */
+async function applyAssignmentRules(supabase, userId, { listingIds = null, clearOverrides = false, now = new Date() } = {}) {
+  const results = { evaluated: 0, assigned: 0, unassigned: 0, manual: 0, errors: [] };
+
+  if (clearOverrides && listingIds?.length) {
+    const { error } = await supabase
+      .from('listings')
+      .update({ strategy_id: null, strategy_source: null, strategy_rule_id: null })
+      .eq('user_id', userId)
+      .in('id', listingIds)
+      .eq('strategy_source', 'manual');
+
+    if (error) {
+      throw new Error(`Failed to clear manual overrides: ${error.message}`);
+    }
+  }
+
+  const rules = await fetchAssignmentRules(supabase, userId);
+
+  let query = supabase
+    .from('listings')
+    .select('*')
+    .eq('user_id', userId);
+
+  if (listingIds?.length) {
+    query = query.in('id', listingIds);
+  } else if (rules.length === 0) {
+    // Nothing can match; only rule-assigned listings need clearing
+    query = query.eq('strategy_source', 'rule');
+  }
+
+  const { data: listings, error: listingsError } = await query;
+  if (listingsError) {
+    throw new Error(`Failed to fetch listings: ${listingsError.message}`);
+  }
+
+  const strategyIds = [...new Set(rules.map(rule => rule.strategy_id))];
+  const strategiesById = new Map();
+  if (strategyIds.length > 0) {
+    const { data: strategies } = await supabase
+      .from('strategies')
+      .select('*')
+      .in('id', strategyIds);
+    for (const strategy of strategies || []) {
+      strategiesById.set(strategy.id, strategy);
+    }
+  }
+
+  const updates = [];
+  for (const listing of listings || []) {
+    results.evaluated++;
+    if (listing.strategy_source === 'manual') {
+      results.manual++;
+      continue;
+    }
+    const update = planAssignment(listing, rules, strategiesById, now);
+    if (update) updates.push({ listing, update });
+  }
+
+  for (let i = 0; i < updates.length; i += UPDATE_BATCH_SIZE) {
+    const batch = updates.slice(i, i + UPDATE_BATCH_SIZE);
+    await Promise.all(batch.map(async ({ listing, update }) => {
+      const { error } = await supabase
+        .from('listings')
+        .update({ ...update, updated_at: now.toISOString() })
+        .eq('id', listing.id)
+        .eq('user_id', userId)
+        // A manual pick made since we read the listing still wins
+        .or('strategy_source.is.null,strategy_source.eq.rule');
+
+      if (error) {
+        results.errors.push({ listingId: listing.id, error: error.message });
+      } else if (update.strategy_id) {
+        results.assigned++;
+      } else {
+        results.unassigned++;
+      }
+    }));
+  }
+
+  if (results.assigned || results.unassigned) {
+    console.log(`🧭 Strategy rules for ${userId}: ${results.assigned} assigned, ${results.unassigned} cleared, ${results.manual} manual`);
+  }
+
+  return results;
+}
+
+module.exports = {
+  RULE_FIELDS,
+  NUMBER_OPERATORS,
+  TEXT_OPERATORS,
+  getDaysListed,
+  matchesCondition,
+  matchesRule,
+  findMatchingRule,
+  validateAssignmentRule,
+  fetchAssignmentRules,
+  planAssignment,
+  applyAssignmentRules
+};
@@ -0,0 +1,330 @@
+/**
+ * Strategy Type Registry
+ *
+ * Each strategy type validates its own parameters and computes the size of
+ * the next reduction step. The original types (percentage, dollar) read the
+ * reduction_percentage / reduction_amount columns; newer types read their
+ * settings from the strategies.parameters JSONB column.
+ *
+ * calculate() receives a context object:
+ *   { listing, strategy, currentPrice, minimumPrice, intervalHours, now, marketAnalysis }
+ * and returns { reduction, reductionValue, reductionUnit } where reduction is
+ * the dollar amount to subtract (before the minimum price clamp), or
+ * { skipped: true, reason } when the type refuses to act.
+ *
+ * Types flagged requiresMarketData expect the caller to pass the result of
+ * CompetitivePricingService.analyzeListingPricing as context.marketAnalysis.
+ */
+
+const MAX_PERCENTAGE = 50;
+const MAX_STEPS = 20;
+const COMPETITOR_ANCHORS = ['lowest', 'average'];
+
+function toNumber(value) {
+  const parsed = parseFloat(value);
+  return isNaN(parsed) ? null : parsed;
+}
+
+function getParameters(strategy) {
+  if (!strategy || !strategy.parameters) {
+    return {};
+  }
+  if (typeof strategy.parameters === 'string') {
+    try {
+      return JSON.parse(strategy.parameters);
+    } catch (e) {
+      return {};
+    }
+  }
+  return strategy.parameters;
+}
+
+/**
+ * Percentage value for legacy-shaped strategies
+ * UAT stores it in reduction_amount, production in reduction_percentage
+ */
+function getPercentageValue(strategy) {
+  return toNumber(strategy.reduction_amount || strategy.reduction_percentage || 5);
+}
+
+function validateAmount(reductionType, amount, label) {
+  if (amount === null || amount <= 0) {
+    return { valid: false, error: `${label} must be greater than 0` };
+  }
+  if (reductionType === 'percentage' && amount > MAX_PERCENTAGE) {
+    return { valid: false, error: `${label} cannot exceed ${MAX_PERCENTAGE}%` };
+  }
+  return { valid: true };
+}
+
+const STRATEGY_TYPES = {
+  percentage: {
+    label: 'Percentage',
+    validate(strategy) {
+      return validateAmount('percentage', getPercentageValue(strategy), 'Reduction percentage');
+    },
+    calculate({ strategy, currentPrice }) {
+      const value = getPercentageValue(strategy);
+      return {
+        reduction: currentPrice * (value / 100),
+        reductionValue: value,
+        reductionUnit: 'percentage'
+      };
+    }
+  },
+
+  dollar: {
+    label: 'Dollar Amount',
+    validate(strategy) {
+      return validateAmount('dollar', toNumber(strategy.reduction_amount), 'Reduction amount');
+    },
+    calculate({ strategy }) {
+      const value = toNumber(strategy.reduction_amount);
+      return {
+        reduction: value,
+        reductionValue: value,
+        reductionUnit: 'dollar'
+      };
+    }
+  },
+
+  /**
+   * Stepped schedule - a different reduction for each successive step
+   * parameters: { steps: [{ reduction_type: 'percentage'|'dollar', amount }] }
+   * The step is chosen by listing.total_reductions; the last step repeats.
+   */
+  stepped: {
+    label: 'Stepped Schedule',
+    validate(strategy) {
+      const { steps } = getParameters(strategy);
+      if (!Array.isArray(steps) || steps.length === 0) {
+        return { valid: false, error: 'Stepped schedule needs at least one step' };
+      }
+      if (steps.length > MAX_STEPS) {
+        return { valid: false, error: `Stepped schedule cannot have more than ${MAX_STEPS} steps` };
+      }
+      for (let i = 0; i < steps.length; i++) {
+        const step = steps[i] || {};
+        if (step.reduction_type !== 'percentage' && step.reduction_type !== 'dollar') {
+          return { valid: false, error: `Step ${i + 1} must be a percentage or dollar reduction` };
+        }
+        const result = validateAmount(step.reduction_type, toNumber(step.amount), `Step ${i + 1} amount`);
+        if (!result.valid) {
+          return result;
+        }
+      }
+      return { valid: true };
+    },
+    calculate({ listing, strategy, currentPrice }) {
+      const { steps } = getParameters(strategy);
+      const index = Math.min(parseInt(listing.total_reductions || 0), steps.length - 1);
+      const step = steps[index];
+      const amount = toNumber(step.amount);
+      return {
+        reduction: step.reduction_type === 'dollar' ? amount : currentPrice * (amount / 100),
+        reductionValue: amount,
+        reductionUnit: step.reduction_type,
+        step: index + 1
+      };
+    }
+  },
+
+  /**
+   * Exponential decay toward the minimum price
+   * parameters: { decay_percentage, min_step }
+   * Each step removes decay_percentage of the remaining gap between the
+   * current price and minimum_price, but never less than min_step dollars.
+   */
+  exponential_decay: {
+    label: 'Exponential Decay',
+    validate(strategy) {
+      const { decay_percentage, min_step } = getParameters(strategy);
+      const decay = toNumber(decay_percentage);
+      if (decay === null || decay <= 0 || decay >= 100) {
+        return { valid: false, error: 'Decay percentage must be between 0 and 100' };
+      }
+      if (min_step !== undefined && min_step !== null && min_step !== '') {
+        const minStep = toNumber(min_step);
+        if (minStep === null || minStep < 0) {
+          return { valid: false, error: 'Minimum step must be 0 or greater' };
+        }
+      }
+      return { valid: true };
+    },
+    calculate({ strategy, currentPrice, minimumPrice }) {
+      const params = getParameters(strategy);
+      const decay = toNumber(params.decay_percentage);
+      const minStep = toNumber(params.min_step) || 0;
+      const gap = currentPrice - minimumPrice;
+      return {
+        reduction: Math.max(gap * (decay / 100), minStep),
+        reductionValue: decay,
+        reductionUnit: 'percentage'
+      };
+    }
+  },
+
+  /**
+   * Hit a target price by a given date
+   * parameters: { target_price, target_date }
+   * The remaining gap is spread evenly over the reduction intervals left
+   * before target_date. Once the date has passed the price drops straight
+   * to the target. minimum_price still wins if it is higher than the target.
+   */
+  target_date: {
+    label: 'Target Price by Date',
+    validate(strategy) {
+      const { target_price, target_date } = getParameters(strategy);
+      const targetPrice = toNumber(target_price);
+      if (targetPrice === null || targetPrice <= 0) {
+        return { valid: false, error: 'Target price must be greater than 0' };
+      }
+      if (!target_date || isNaN(new Date(target_date).getTime())) {
+        return { valid: false, error: 'Target date must be a valid date' };
+      }
+      return { valid: true };
+    },
+    calculate({ strategy, currentPrice, minimumPrice, intervalHours, now }) {
+      const params = getParameters(strategy);
+      const targetPrice = Math.max(toNumber(params.target_price), minimumPrice);
+      const hoursLeft = (new Date(params.target_date).getTime() - now.getTime()) / (1000 * 60 * 60);
+      const stepsLeft = Math.max(1, Math.ceil(hoursLeft / intervalHours));
+      const gap = Math.max(currentPrice - targetPrice, 0);
+      return {
+        reduction: gap / stepsLeft,
+        reductionValue: Math.round((gap / stepsLeft) * 100) / 100,
+        reductionUnit: 'dollar',
+        stepsLeft
+      };
+    }
+  },
+
+  /**
+   * Competitor-anchored repricing
+   * parameters: { anchor: 'lowest'|'average', undercut_cents, below_average_percentage,
+   *               allow_title_only, max_analysis_age_hours }
+   * Reprices to N cents under the lowest competitor or X% below the market
+   * average. Weak title_only matches are ignored unless allow_title_only is set.
+   */
+  competitor_anchored: {
+    label: 'Competitor Anchored',
+    requiresMarketData: true,
+    validate(strategy) {
+      const params = getParameters(strategy);
+      if (!COMPETITOR_ANCHORS.includes(params.anchor)) {
+        return { valid: false, error: 'Anchor must be "lowest" or "average"' };
+      }
+      if (params.anchor === 'lowest') {
+        const cents = toNumber(params.undercut_cents);
+        if (cents === null || cents < 0) {
+          return { valid: false, error: 'Undercut amount must be 0 cents or more' };
+        }
+      } else {
+        const percentage = toNumber(params.below_average_percentage);
+        if (percentage === null || percentage < 0 || percentage > MAX_PERCENTAGE) {
+          return { valid: false, error: `Percentage below average must be between 0 and ${MAX_PERCENTAGE}` };
+        }
+      }
+      if (params.max_analysis_age_hours !== undefined && params.max_analysis_age_hours !== null) {
+        const hours = toNumber(params.max_analysis_age_hours);
+        if (hours === null || hours <= 0) {
+          return { valid: false, error: 'Maximum analysis age must be greater than 0 hours' };
+        }
+      }
+      return { valid: true };
+    },
+    calculate({ strategy, currentPrice, marketAnalysis }) {
+      const params = getParameters(strategy);
+
+      if (!marketAnalysis || marketAnalysis.matchTier === 'no_matches' || marketAnalysis.matchTier === 'error') {
+        return { skipped: true, reason: 'No competitor pricing available' };
+      }
+      if (marketAnalysis.matchTier === 'title_only' && !params.allow_title_only) {
+        return { skipped: true, reason: 'Competitor match is title_only (weak) and not allowed by strategy' };
+      }
+
+      let targetPrice;
+      let reductionValue;
+      let reductionUnit;
+      if (params.anchor === 'lowest') {
+        const lowest = marketAnalysis.marketLowestPrice ?? marketAnalysis.suggestedMinPrice;
+        if (!lowest) {
+          return { skipped: true, reason: 'No lowest competitor price available' };
+        }
+        reductionValue = toNumber(params.undercut_cents) / 100;
+        reductionUnit = 'dollar';
+        targetPrice = lowest - reductionValue;
+      } else {
+        if (!marketAnalysis.suggestedAvgPrice) {
+          return { skipped: true, reason: 'No market average price available' };
+        }
+        reductionValue = toNumber(params.below_average_percentage);
+        reductionUnit = 'percentage';
+        targetPrice = marketAnalysis.suggestedAvgPrice * (1 - reductionValue / 100);
+      }
+
+      if (targetPrice >= currentPrice) {
+        return { skipped: true, reason: `Already at or below competitor anchor ($${targetPrice.toFixed(2)})` };
+      }
+
+      return {
+        reduction: currentPrice - targetPrice,
+        reductionValue,
+        reductionUnit,
+        anchorPrice: Math.round(targetPrice * 100) / 100,
+        matchTier: marketAnalysis.matchTier
+      };
+    }
+  }
+};
+
+/**
+ * Resolve the registry key for a strategy row
+ * Handles both schema versions (UAT: reduction_type, production: strategy_type),
+ * reduction_type first as the original engine did. Values the registry does
+ * not know - e.g. the reduction_strategy enum of older schemas
+ * ('fixed_percentage', 'time_based', 'market_based') - reduce by a percentage,
+ * as the original engine treated anything but 'dollar'.
+ */
+function getStrategyTypeKey(strategy) {
+  if (!strategy) {
+    return 'percentage';
+  }
+  const key = strategy.reduction_type || strategy.strategy_type || 'percentage';
+  return STRATEGY_TYPES[key] ? key : 'percentage';
+}
+
+/**
+ * Validate a strategy row against its type's parameter rules
+ * @returns {Object} { valid, error }
+ */
+function validateStrategy(strategy) {
+  return STRATEGY_TYPES[getStrategyTypeKey(strategy)].validate(strategy);
+}
+
+/**
+ * Whether a strategy needs competitor pricing passed as context.marketAnalysis
+ */
+function requiresMarketData(strategy) {
+  return Boolean(STRATEGY_TYPES[getStrategyTypeKey(strategy)]?.requiresMarketData);
+}
+
+/**
+ * Compute the next reduction for a strategy
+ * Callers must validate the strategy first.
+ */
+function calculateReduction(strategy, context) {
+  const typeKey = getStrategyTypeKey(strategy);
+  return {
+    reductionType: typeKey,
+    ...STRATEGY_TYPES[typeKey].calculate({ ...context, strategy })
+  };
+}
+
+module.exports = {
+  STRATEGY_TYPES,
+  getStrategyTypeKey,
+  validateStrategy,
+  requiresMarketData,
+  calculateReduction
+};
@@ -0,0 +1,429 @@
+/**
+ * Sync Queue
+ *
+ * sync_queue holds the background eBay sync work:
+ *   - schedulers enqueue jobs (sync-ebay-listings-scheduled, planTieredRefreshes)
+ *   - sync-service.js claims and runs them within an eBay call budget
+ *
+ * Job types:
+ *   full_sync        → import the user's listings (payload: { max_listings, reconcile })
+ *   listing_refresh  → re-read specific listings (payload: { listing_ids, tier })
+ *   price_update     → alias of listing_refresh (GraphQL triggerSync)
+ *
+ * Leasing: claim_sync_jobs() (add-sync-queue-runner.sql) marks jobs processing
+ * with locked_by/locked_until. Completing or failing a job only succeeds while
+ * the caller still holds the lease. A lease that runs out is a failed attempt
+ * (recoverExpiredSyncJobs): backed off, or dead-lettered at max_attempts.
+ *
+ * Tiers decide how often a listing is refreshed:
+ *   hot  → every SYNC_INTERVALS.HOT_DATA  (auto-reduced, valuable, low stock, watched)
+ *   warm → every SYNC_INTERVALS.WARM_DATA (other active listings worth watching)
+ *   cold → every SYNC_INTERVALS.COLD_DATA (left to full syncs)
+ */
+
+const SYNC_CONFIG = {
+  BATCH_SIZE: 10, // Number of listings to sync at once
+  MAX_API_CALLS_PER_RUN: 50, // eBay rate limit protection
+  PRIORITY_THRESHOLDS: {
+    CRITICAL: 3,   // Inventory updates
+    HIGH: 5,       // Price updates
+    NORMAL: 7,     // Description updates
+    LOW: 9         // Historical data
+  },
+  SYNC_INTERVALS: {
+    HOT_DATA: 5 * 60 * 1000,      // 5 minutes for critical items
+    WARM_DATA: 30 * 60 * 1000,    // 30 minutes for active listings
+    COLD_DATA: 24 * 60 * 60 * 1000 // 24 hours for inactive listings
+  },
+  LEASE_SECONDS: 5 * 60,          // Longer than one function invocation
+  JOBS_PER_USER_PER_CLAIM: 2,     // Fairness: nobody gets a third job before others get one
+  RETRY_BASE_MS: 60 * 1000,       // 1, 2, 4, 8... minutes
+  RETRY_MAX_MS: 60 * 60 * 1000,
+  MAX_REFRESH_LISTINGS_PER_USER: 30, // Per tier per planning run
+  PLAN_PAGE_SIZE: 1000            // PostgREST returns at most 1000 rows per request
+};
+
+const TIER_INTERVALS = {
+  hot: SYNC_CONFIG.SYNC_INTERVALS.HOT_DATA,
+  warm: SYNC_CONFIG.SYNC_INTERVALS.WARM_DATA,
+  cold: SYNC_CONFIG.SYNC_INTERVALS.COLD_DATA
+};
+
+const REFRESH_JOB_TYPES = ['listing_refresh', 'price_update'];
+
+// ============================================
+// PRIORITY AND TIERS
+// ============================================
+
+/**
+ * How much a listing matters, staleness aside (lower is more important)
+ */
+function getBasePriority(listing) {
+  let priority = SYNC_CONFIG.PRIORITY_THRESHOLDS.NORMAL;
+
+  // Higher priority for active listings with price reduction enabled
+  const reductionEnabled = listing.enable_auto_reduction ?? listing.price_reduction_enabled;
+  if (reductionEnabled && listing.listing_status === 'Active') {
+    priority -= 2;
+  }
+
+  // Higher priority for high-value items
+  if (listing.current_price > 100) {
+    priority -= 1;
+  }
+
+  // Higher priority for items with low stock
+  if (listing.quantity_available <= 5) {
+    priority -= 1;
+  }
+
+  // Seller is watching it
+  if (listing.watched) {
+    priority -= 2;
+  }
+
+  return priority;
+}
+
+// Calculate listing priority based on various factors
+function calculatePriority(listing) {
+  let priority = getBasePriority(listing);
+
+  // Higher priority the longer since the last sync
+  const lastSync = listing.last_sync || listing.last_synced;
+  const hoursSinceSync = lastSync ? (Date.now() - new Date(lastSync).getTime()) / (1000 * 60 * 60) : Infinity;
+  if (hoursSinceSync > 24) {
+    priority -= 2;
+  } else if (hoursSinceSync > 6) {
+    priority -= 1;
+  }
+
+  return Math.max(1, priority); // Ensure priority is at least 1
+}
+
+function getSyncTier(listing) {
+  if (listing.listing_status !== 'Active') return 'cold';
+  const priority = getBasePriority(listing);
+  if (priority <= SYNC_CONFIG.PRIORITY_THRESHOLDS.CRITICAL) return 'hot';
+  if (priority <= SYNC_CONFIG.PRIORITY_THRESHOLDS.HIGH) return 'warm';
+  return 'cold';
+}
+
+function isDueForRefresh(listing, now = Date.now()) {
+  const lastSync = listing.last_sync || listing.last_synced;
+  if (!lastSync) return true;
+  return now - new Date(lastSync).getTime() >= TIER_INTERVALS[getSyncTier(listing)];
+}
+
+/**
+ * Rough eBay calls a job will use, for the per-run budget
+ */
+function estimateApiCalls(job) {
+  if (REFRESH_JOB_TYPES.includes(job.job_type)) {
+    return Math.max((job.payload?.listing_ids || []).length, 1);
+  }
+  if (job.job_type === 'full_sync') {
+    // GetMyeBaySelling pages of 200 plus the Inventory API pages
+    return job.payload?.max_listings ? 2 : 6;
+  }
+  return 1;
+}
+
+/**
+ * Delay before the next attempt: 1, 2, 4, 8... minutes with jitter, capped
+ */
+function getRetryDelay(attempts) {
+  const base = SYNC_CONFIG.RETRY_BASE_MS * Math.pow(2, Math.max(attempts - 1, 0));
+  const jitter = Math.random() * SYNC_CONFIG.RETRY_BASE_MS;
+  return Math.min(base + jitter, SYNC_CONFIG.RETRY_MAX_MS);
+}
+
+// ============================================
+// QUEUE OPERATIONS
+// ============================================
+
+/**
+ * Add a job unless one with the same dedupe key is already open
+ * @returns {Promise<Object|null>} The job, or null when deduplicated
+ */
+async function enqueueSyncJob(supabase, { userId, jobType, priority = SYNC_CONFIG.PRIORITY_THRESHOLDS.NORMAL, payload = {}, scheduledFor = new Date(), dedupeKey = null, maxAttempts = 3 }) {
+  const { data, error } = await supabase
+    .from('sync_queue')
+    .insert({
+      user_id: userId,
+      job_type: jobType,
+      priority,
+      payload,
+      dedupe_key: dedupeKey,
+      max_attempts: maxAttempts,
+      status: 'pending',
+      scheduled_for: scheduledFor.toISOString()
+    })
+    .select()
+    .single();
+
+  // 23505: an open job with this dedupe key already exists
+  if (error?.code === '23505') return null;
+  if (error) throw error;
+  return data;
+}
+
+async function claimSyncJobs(supabase, workerId, limit = SYNC_CONFIG.BATCH_SIZE) {
+  const { data, error } = await supabase.rpc('claim_sync_jobs', {
+    p_worker: workerId,
+    p_limit: limit,
+    p_lease_seconds: SYNC_CONFIG.LEASE_SECONDS,
+    p_per_user: SYNC_CONFIG.JOBS_PER_USER_PER_CLAIM
+  });
+
+  if (error) throw error;
+  return data || [];
+}
+
+async function completeSyncJob(supabase, job, workerId) {
+  const { error } = await supabase
+    .from('sync_queue')
+    .update({
+      status: 'completed',
+      completed_at: new Date().toISOString(),
+      locked_by: null,
+      locked_until: null,
+      error_message: null
+    })
+    .eq('id', job.id)
+    .eq('locked_by', workerId);
+
+  if (error) throw error;
+}
+
+/**
+ * Hand a claimed job back untouched (e.g. over this run's call budget)
+ */
+async function releaseSyncJob(supabase, job, workerId) {
+  const { error } = await supabase
+    .from('sync_queue')
+    .update({
+      status: 'pending',
+      attempts: Math.max((job.attempts || 1) - 1, 0),
+      locked_by: null,
+      locked_until: null
+    })
+    .eq('id', job.id)
+    .eq('locked_by', workerId);
+
+  if (error) throw error;
+}
+
+/**
+ * Retry later with backoff, or dead-letter once max_attempts is used up
+ * @returns {Promise<string>} 'retry' | 'dead' | 'lost' (the caller no longer holds the lease)
+ */
+async function failSyncJob(supabase, job, workerId, errorMessage) {
+  const now = new Date();
+  const attempts = job.attempts || 1;
+  const dead = attempts >= (job.max_attempts || 3);
+
+  const update = dead
+    ? { status: 'dead', completed_at: now.toISOString() }
+    : { status: 'pending', scheduled_for: new Date(now.getTime() + getRetryDelay(attempts)).toISOString() };
+
+  const { data, error } = await supabase
+    .from('sync_queue')
+    .update({
+      ...update,
+      locked_by: null,
+      locked_until: null,
+      error_message: errorMessage,
+      last_error_at: now.toISOString()
+    })
+    .eq('id', job.id)
+    .eq('locked_by', workerId)
+    .select('id');
+
+  if (error) throw error;
+
+  // Someone else holds the job now (e.g. it was recovered after its lease ran out)
+  if (!data || data.length === 0) return 'lost';
+
+  if (dead) {
+    const { error: deadLetterError } = await supabase
+      .from('sync_errors')
+      .insert({
+        user_id: job.user_id,
+        job_id: job.id,
+        job_type: job.job_type,
+        payload: job.payload,
+        attempts,
+        error_message: errorMessage
+      });
+
+    if (deadLetterError) {
+      console.warn(`Failed to dead-letter sync job ${job.id}:`, deadLetterError.message);
+    }
+  }
+
+  return dead ? 'dead' : 'retry';
+}
+
+/**
+ * Fail jobs whose lease ran out: their invocation crashed or timed out before
+ * it could call failSyncJob, so they back off or dead-letter like any failure
+ * instead of being claimed again straight away
+ * @returns {Promise<Object>} { retried, dead }
+ */
+async function recoverExpiredSyncJobs(supabase, limit = SYNC_CONFIG.BATCH_SIZE * 5) {
+  const { data: jobs, error } = await supabase
+    .from('sync_queue')
+    .select('*')
+    .eq('status', 'processing')
+    .not('locked_by', 'is', null)
+    .lt('locked_until', new Date().toISOString())
+    .order('locked_until', { ascending: true })
+    .limit(limit);
+
+  if (error) throw error;
+
+  const recovered = { retried: 0, dead: 0 };
+  for (const job of jobs || []) {
+    const outcome = await failSyncJob(supabase, job, job.locked_by, 'Lease expired: the sync run crashed or timed out');
+    if (outcome === 'dead') recovered.dead++;
+    if (outcome === 'retry') recovered.retried++;
+  }
+  return recovered;
+}
+
+/**
+ * Put a dead job back in the queue (admin retry)
+ */
+async function retryDeadJob(supabase, jobId, userId) {
+  const { data, error } = await supabase
+    .from('sync_queue')
+    .update({
+      status: 'pending',
+      attempts: 0,
+      scheduled_for: new Date().toISOString(),
+      completed_at: null,
+      error_message: null
+    })
+    .eq('id', jobId)
+    .eq('user_id', userId)
+    .eq('status', 'dead')
+    .select()
+    .maybeSingle();
+
+  if (error) throw error;
+  if (data) {
+    await supabase.from('sync_errors').update({ resolved: true }).eq('job_id', jobId);
+  }
+  return data;
+}
+
+/**
+ * Queue depth by status and job type, optionally for one user
+ */
+async function getQueueDepth(supabase, userId = null) {
+  let query = supabase
+    .from('sync_queue')
+    .select('status, job_type, scheduled_for')
+    .in('status', ['pending', 'processing', 'dead']);
+
+  if (userId) {
+    query = query.eq('user_id', userId);
+  }
+
+  const { data, error } = await query;
+  if (error) throw error;
+
+  const now = Date.now();
+  const depth = {};
+  for (const job of data || []) {
+    const key = `${job.status}:${job.job_type}`;
+    if (!depth[key]) {
+      depth[key] = { status: job.status, jobType: job.job_type, count: 0, due: 0, oldestScheduledFor: null };
+    }
+    const entry = depth[key];
+    entry.count++;
+    if (new Date(job.scheduled_for).getTime() <= now) entry.due++;
+    if (!entry.oldestScheduledFor || job.scheduled_for < entry.oldestScheduledFor) {
+      entry.oldestScheduledFor = job.scheduled_for;
+    }
+  }
+
+  return Object.values(depth);
+}
+
+// ============================================
+// PLANNING
+// ============================================
+
+/**
+ * Enqueue listing_refresh jobs for hot and warm listings that are due
+ * One open job per user and tier (dedupe_key refresh:<tier>), so a backlog
+ * never piles up; cold listings are left to full syncs.
+ * @returns {Promise<Object>} { hot, warm } jobs enqueued
+ */
+async function planTieredRefreshes(supabase, { now = Date.now() } = {}) {
+  const groups = {};
+
+  // Paged by id: one request would stop at PostgREST's row limit
+  for (let from = 0; ; from += SYNC_CONFIG.PLAN_PAGE_SIZE) {
+    const { data: listings, error } = await supabase
+      .from('listings')
+      .select('id, user_id, listing_status, current_price, quantity_available, enable_auto_reduction, watched, last_sync, source, ebay_item_id, ebay_sku')
+      .eq('listing_status', 'Active')
+      .order('id', { ascending: true })
+      .range(from, from + SYNC_CONFIG.PLAN_PAGE_SIZE - 1);
+
+    if (error) throw error;
+
+    for (const listing of listings || []) {
+      const tier = getSyncTier(listing);
+      if (tier === 'cold' || !isDueForRefresh(listing, now)) continue;
+
+      const key = `${listing.user_id}:${tier}`;
+      if (!groups[key]) groups[key] = { userId: listing.user_id, tier, listings: [] };
+      groups[key].listings.push(listing);
+    }
+
+    if (!listings || listings.length < SYNC_CONFIG.PLAN_PAGE_SIZE) break;
+  }
+
+  const enqueued = { hot: 0, warm: 0 };
+  for (const { userId, tier, listings: due } of Object.values(groups)) {
+    // Stalest (and so most urgent) first
+    const picked = due
+      .sort((a, b) => calculatePriority(a) - calculatePriority(b))
+      .slice(0, SYNC_CONFIG.MAX_REFRESH_LISTINGS_PER_USER);
+
+    const job = await enqueueSyncJob(supabase, {
+      userId,
+      jobType: 'listing_refresh',
+      priority: Math.min(...picked.map(calculatePriority)),
+      payload: { listing_ids: picked.map(l => l.id), tier },
+      dedupeKey: `refresh:${tier}`
+    });
+
+    if (job) enqueued[tier]++;
+  }
+
+  return enqueued;
+}
+
+module.exports = {
+  SYNC_CONFIG,
+  REFRESH_JOB_TYPES,
+  calculatePriority,
+  getSyncTier,
+  isDueForRefresh,
+  estimateApiCalls,
+  getRetryDelay,
+  enqueueSyncJob,
+  claimSyncJobs,
+  completeSyncJob,
+  releaseSyncJob,
+  failSyncJob,
+  recoverExpiredSyncJobs,
+  retryDeadJob,
+  getQueueDepth,
+  planTieredRefreshes
+};